@@ -0,0 +1,373 @@
+// Tests for the PostgreSQL database adapter (run against pg-mem)
+
+const { newDb } = require('pg-mem');
+const { createPostgresDb } = require('../../db/postgres');
+
+function createTestDb() {
+    const mem = newDb();
+    const { Pool } = mem.adapters.createPg();
+    return createPostgresDb(new Pool());
+}
+
+describe('PostgreSQL adapter', () => {
+    let db;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        db = createTestDb();
+        await db.ready();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('reports adapter name', () => {
+        expect(db.adapter).toBe('postgresql');
+    });
+
+    describe('events', () => {
+        test('upsert inserts and updates by id', async () => {
+            await db.events.upsert({ id: 'e1', slug: 'first', title: 'First', category: 'Politics' });
+            await db.events.upsert({ id: 'e1', slug: 'first', title: 'First (edited)', category: 'Politics' });
+
+            const event = await db.events.getById('e1');
+            expect(event.title).toBe('First (edited)');
+            expect(event.updatedAt).toBeDefined();
+            expect(await db.events.getBySlug('first')).toMatchObject({ id: 'e1' });
+        });
+
+        test('getAll excludes resolved events and filters by category', async () => {
+            await db.events.upsert({ id: 'e1', category: 'Politics' });
+            await db.events.upsert({ id: 'e2', category: 'Finance' });
+            await db.events.upsert({ id: 'e3', category: 'Politics', resolved: true });
+
+            const all = await db.events.getAll();
+            expect(all.map(e => e.id).sort()).toEqual(['e1', 'e2']);
+
+            const politics = await db.events.getAll({ category: 'Politics' });
+            expect(politics.map(e => e.id)).toEqual(['e1']);
+        });
+
+        test('getCategories groups missing categories under Other', async () => {
+            await db.events.upsert({ id: 'e1', category: 'Politics' });
+            await db.events.upsert({ id: 'e2' });
+
+            const categories = await db.events.getCategories();
+            expect(categories).toEqual(expect.arrayContaining([
+                { name: 'Politics', count: 1 },
+                { name: 'Other', count: 1 }
+            ]));
+        });
+    });
+
+    describe('articles', () => {
+        test('create deduplicates by eventId and slug', async () => {
+            const first = await db.articles.create({ eventId: 'e1', headline: 'Candidate Wins Race', category: 'Politics' });
+            const sameEvent = await db.articles.create({ eventId: 'e1', headline: 'Something Else' });
+            const sameSlug = await db.articles.create({ eventId: 'e2', headline: 'Candidate Wins Race' });
+
+            expect(first.slug).toBe('candidate-wins-race');
+            expect(sameEvent.id).toBe(first.id);
+            expect(sameSlug.id).toBe(first.id);
+            expect(await db.articles.count()).toBe(1);
+        });
+
+        test('update merges fields into the stored record', async () => {
+            const article = await db.articles.create({ eventId: 'e1', headline: 'Rates Hold Steady', category: 'Finance' });
+            const updated = await db.articles.update(article.id, { probability: 0.8 });
+
+            expect(updated.headline).toBe('Rates Hold Steady');
+            expect((await db.articles.getBySlug('rates-hold-steady')).probability).toBe(0.8);
+            expect(await db.articles.update('missing', {})).toBeNull();
+        });
+
+        test('updateProbability updates every article for the event', async () => {
+            await db.articles.create({ eventId: 'e1', headline: 'Storm Makes Landfall', probability: 0.4 });
+
+            const updated = await db.articles.updateProbability('e1', 0.65);
+            const article = await db.articles.getByEventId('e1');
+
+            expect(updated).toBe(1);
+            expect(article.probability).toBe(0.65);
+            expect(article.probabilityUpdatedAt).toBeDefined();
+        });
+
+        test('getAll sorts by probability and filters by category', async () => {
+            await db.articles.create({ eventId: 'e1', headline: 'A', category: 'Politics', probability: 0.3 });
+            await db.articles.create({ eventId: 'e2', headline: 'B', category: 'Politics', probability: 0.9 });
+            await db.articles.create({ eventId: 'e3', headline: 'C', category: 'World', probability: 0.5 });
+
+            const politics = await db.articles.getAll({ category: 'Politics', sort: 'probability' });
+            expect(politics.map(a => a.headline)).toEqual(['B', 'A']);
+        });
+
+        test('getFeatured picks the top article per category', async () => {
+            await db.articles.create({ eventId: 'e1', headline: 'Low Politics', category: 'Politics', probability: 0.3 });
+            await db.articles.create({ eventId: 'e2', headline: 'High Politics', category: 'Politics', probability: 0.9 });
+            await db.articles.create({ eventId: 'e3', headline: 'Hurricane Season Costs', category: 'Finance', probability: 0.95 });
+            await db.articles.create({ eventId: 'e4', headline: 'Markets Rally', category: 'Finance', probability: 0.6 });
+
+            const featured = await db.articles.getFeatured();
+            expect(featured.map(a => a.headline)).toEqual(['High Politics', 'Markets Rally']);
+        });
+    });
+
+    describe('wallet profiles', () => {
+        test('upsert lowercases the address and preserves createdAt', async () => {
+            const created = await db.walletProfiles.upsert('0xABC', { winRate: 0.9, totalTrades: 12, totalVolume: 5000 });
+            const updated = await db.walletProfiles.upsert('0xabc', { suspiciousFlags: ['HIGH_WIN_RATE'] });
+
+            expect(updated.address).toBe('0xabc');
+            expect(updated.createdAt).toBe(created.createdAt);
+            expect(updated.winRate).toBe(0.9);
+            expect(await db.walletProfiles.getSuspicious()).toHaveLength(1);
+        });
+
+        test('getAll filters by win rate and trade count', async () => {
+            await db.walletProfiles.upsert('0x1', { winRate: 0.9, totalTrades: 20, totalVolume: 100 });
+            await db.walletProfiles.upsert('0x2', { winRate: 0.4, totalTrades: 50, totalVolume: 900 });
+
+            expect((await db.walletProfiles.getAll()).map(w => w.address)).toEqual(['0x2', '0x1']);
+            expect((await db.walletProfiles.getAll({ minWinRate: 0.8 })).map(w => w.address)).toEqual(['0x1']);
+            expect(await db.walletProfiles.getAll({ minTrades: 100 })).toEqual([]);
+        });
+    });
+
+    describe('trade history', () => {
+        test('queries by wallet, market and time range', async () => {
+            await db.tradeHistory.record({ tokenId: 't1', maker: '0xAAA', taker: '0xbbb', timestamp: '2024-01-01T00:00:00Z' });
+            await db.tradeHistory.record({ tokenId: 't2', maker: '0xccc', taker: '0xaaa', timestamp: 1704153600000 });
+
+            expect(await db.tradeHistory.getByWallet('0xaaa')).toHaveLength(2);
+            expect(await db.tradeHistory.getByMarket('t1')).toHaveLength(1);
+            expect((await db.tradeHistory.getRecent(1))[0].tokenId).toBe('t2');
+
+            const inRange = await db.tradeHistory.getInTimeRange('2023-12-31T00:00:00Z', '2024-01-01T12:00:00Z');
+            expect(inRange.map(t => t.tokenId)).toEqual(['t1']);
+        });
+
+        test('reports which trade IDs are already recorded', async () => {
+            await db.tradeHistory.record({ id: 'trade-1', tokenId: 't1', maker: '0xaaa', timestamp: '2024-01-01T00:00:00Z' });
+            await db.tradeHistory.record({ id: 'trade-1', tokenId: 't1', address: '0xaaa', timestamp: '2024-01-01T00:00:00Z' });
+
+            const existing = await db.tradeHistory.getExistingIds(['trade-1', 'trade-2']);
+
+            expect(Array.from(existing)).toEqual(['trade-1']);
+            expect((await db.tradeHistory.getExistingIds([])).size).toBe(0);
+        });
+    });
+
+    describe('orderbook snapshots', () => {
+        test('returns newest snapshots first', async () => {
+            await db.orderbookSnapshots.record('t1', { midpoint: 0.4 });
+            await db.orderbookSnapshots.record('t1', { midpoint: 0.5 });
+
+            expect((await db.orderbookSnapshots.getLatest('t1')).midpoint).toBe(0.5);
+            expect((await db.orderbookSnapshots.getHistory('t1', 5)).map(s => s.midpoint)).toEqual([0.5, 0.4]);
+        });
+
+        test('reads a token\'s snapshots in a time range, oldest first', async () => {
+            const before = Date.now() - 1000;
+            await db.orderbookSnapshots.record('t1', { midpoint: 0.4 });
+            await db.orderbookSnapshots.record('t1', { midpoint: 0.5 });
+            await db.orderbookSnapshots.record('t2', { midpoint: 0.9 });
+
+            expect((await db.orderbookSnapshots.getInTimeRange('t1', before, Date.now() + 1000)).map(s => s.midpoint)).toEqual([0.4, 0.5]);
+            expect(await db.orderbookSnapshots.getInTimeRange('t1', before - 5000, before)).toEqual([]);
+        });
+    });
+
+    describe('patterns and whale trades', () => {
+        test('record, count and clear', async () => {
+            await db.detectedPatterns.record({ eventId: 'e1', type: 'PRE_RESOLUTION_ACCUMULATION' });
+            await db.whaleTrades.record({ assetId: 'a1', size: 5000 });
+
+            expect(await db.detectedPatterns.getByType('PRE_RESOLUTION_ACCUMULATION')).toHaveLength(1);
+            expect(await db.whaleTrades.getByAsset('a1')).toHaveLength(1);
+
+            const counts = await db.getCounts();
+            expect(counts).toMatchObject({ detectedPatterns: 1, whaleTrades: 1, events: 0 });
+
+            await db.detectedPatterns.clear();
+            await db.whaleTrades.clear();
+            expect(await db.detectedPatterns.count()).toBe(0);
+            expect(await db.whaleTrades.count()).toBe(0);
+        });
+
+        test('reads signals and patterns detected since a time', async () => {
+            await db.signals.create({ eventId: 'e1', signalType: 'fresh-wallet' });
+            await db.detectedPatterns.record({ eventId: 'e1', type: 'fresh-wallet' });
+
+            const past = new Date(Date.now() - 60000).toISOString();
+            const future = new Date(Date.now() + 60000).toISOString();
+
+            expect((await db.signals.getSince(past)).map(s => s.signalType)).toEqual(['fresh-wallet']);
+            expect(await db.detectedPatterns.getSince(past)).toHaveLength(1);
+            expect(await db.signals.getSince(future)).toEqual([]);
+            expect(await db.detectedPatterns.getSince(future)).toEqual([]);
+        });
+
+        test('filters whale trades by classification and informedScore', async () => {
+            await db.whaleTrades.record({ assetId: 'a1', size: 1 });
+            await db.whaleTrades.record({ assetId: 'a1', size: 2, classification: 'informed', informedScore: 0.8 });
+            await db.whaleTrades.record({ assetId: 'a2', size: 3, classification: 'market-maker', informedScore: 0.2 });
+
+            const informed = await db.whaleTrades.getRecent(10, { classification: ['informed'] });
+            expect(informed.map(t => t.size)).toEqual([2]);
+
+            const unknown = await db.whaleTrades.getByAsset('a1', 10, { classification: ['unknown'] });
+            expect(unknown.map(t => t.size)).toEqual([1]);
+
+            const scored = await db.whaleTrades.getRecent(10, { minInformedScore: 0.1 });
+            expect(scored.map(t => t.size)).toEqual([3, 2]);
+        });
+
+        test('patches a whale trade with its classification', async () => {
+            const record = await db.whaleTrades.record({ assetId: 'a1', size: 1, classification: 'unknown', informedScore: null });
+
+            const updated = await db.whaleTrades.update(record.id, { wallet: '0xw', classification: 'informed', informedScore: 0.9 });
+
+            expect(updated).toMatchObject({ id: record.id, size: 1, wallet: '0xw', classification: 'informed' });
+            expect(await db.whaleTrades.getRecent(10, { classification: ['informed'] })).toEqual([updated]);
+            expect(await db.whaleTrades.update('missing', { classification: 'informed' })).toBeNull();
+        });
+    });
+
+    describe('resolutions', () => {
+        test('keeps one record per market', async () => {
+            await db.resolutions.record({ marketId: 'm1', eventId: 'e1', winningOutcome: 'No' });
+            await db.resolutions.record({ marketId: 'm1', eventId: 'e1', winningOutcome: 'Yes' });
+            await db.resolutions.record({ marketId: 'm2', eventId: 'e1', winningOutcome: 'Yes' });
+
+            expect((await db.resolutions.getByMarketId('m1')).winningOutcome).toBe('Yes');
+            expect(await db.resolutions.getByEventId('e1')).toHaveLength(2);
+            expect(await db.resolutions.count()).toBe(2);
+        });
+    });
+
+    describe('probability snapshots', () => {
+        test('keeps snapshots per article in recording order', async () => {
+            await db.probabilitySnapshots.record({ articleId: 'a1', marketProbability: 0.6, adjustedProbability: 0.62 });
+            await db.probabilitySnapshots.record({ articleId: 'a2', marketProbability: 0.3 });
+            await db.probabilitySnapshots.record({ articleId: 'a1', marketProbability: 0.7, kind: 'close' });
+
+            const snapshots = await db.probabilitySnapshots.getByArticleId('a1');
+            expect(snapshots.map(s => s.marketProbability)).toEqual([0.6, 0.7]);
+            expect(snapshots[0].recordedAt).toBeDefined();
+            expect((await db.probabilitySnapshots.getLatestByArticleId('a1')).kind).toBe('close');
+            expect(await db.probabilitySnapshots.count()).toBe(3);
+        });
+
+        test('thins old interval snapshots to one per article per spacing', async () => {
+            const day = '2026-01-01T';
+            for (const time of ['00:00:00Z', '01:00:00Z', '02:00:00Z']) {
+                await db.probabilitySnapshots.record({ articleId: 'a1', kind: 'interval', recordedAt: day + time });
+            }
+            await db.probabilitySnapshots.record({ articleId: 'a1', kind: 'close', recordedAt: day + '03:00:00Z' });
+            await db.probabilitySnapshots.record({ articleId: 'a2', kind: 'interval', recordedAt: day + '01:00:00Z' });
+            await db.probabilitySnapshots.record({ articleId: 'a1', kind: 'interval', recordedAt: '2026-02-01T00:00:00Z' });
+
+            expect(await db.probabilitySnapshots.thin('2026-01-15T00:00:00Z', 24 * 60 * 60 * 1000)).toBe(2);
+
+            expect((await db.probabilitySnapshots.getByArticleId('a1')).map(s => [s.kind, s.recordedAt])).toEqual([
+                ['interval', day + '00:00:00Z'],
+                ['close', day + '03:00:00Z'],
+                ['interval', '2026-02-01T00:00:00Z']
+            ]);
+            expect(await db.probabilitySnapshots.getByArticleId('a2')).toHaveLength(1);
+        });
+    });
+
+    describe('wallet funding', () => {
+        test('stores transfers once and finds them by wallet', async () => {
+            const transfer = { id: '0xt:0', txHash: '0xt', from: '0xa', to: '0xb', amount: 10, timestamp: '2026-02-01T00:00:00.000Z' };
+
+            expect(await db.fundingTransfers.recordMany([transfer, { ...transfer, id: '0xt:1', to: '0xc' }])).toHaveLength(2);
+            expect(await db.fundingTransfers.recordMany([transfer])).toEqual([]);
+
+            expect((await db.fundingTransfers.getByWallet('0xB')).map(t => t.id)).toEqual(['0xt:0']);
+            expect(await db.fundingTransfers.getAll()).toHaveLength(2);
+            expect(await db.fundingTransfers.count()).toBe(2);
+        });
+
+        test('replaces clusters and looks them up by member', async () => {
+            await db.walletClusters.replaceAll([{ id: 'c1', wallets: ['0xa', '0xb'], edges: [] }]);
+            await db.walletClusters.replaceAll([{ id: 'c2', wallets: ['0xb', '0xc'], edges: [] }]);
+
+            expect(await db.walletClusters.getByAddress('0xa')).toBeNull();
+            expect((await db.walletClusters.getByAddress('0xC')).id).toBe('c2');
+            expect(await db.walletClusters.count()).toBe(1);
+        });
+
+        test('replaces clusters in one transaction on a single client', async () => {
+            const { Pool } = newDb().adapters.createPg();
+            const pool = new Pool();
+            const clusterDb = createPostgresDb(pool);
+            await clusterDb.ready();
+
+            const statements = [];
+            const connect = pool.connect.bind(pool);
+            jest.spyOn(pool, 'connect').mockImplementation(async () => {
+                const client = await connect();
+                const clientQuery = client.query.bind(client);
+                client.query = (text, params) => {
+                    statements.push(text.split(' VALUES')[0]);
+                    return clientQuery(text, params);
+                };
+                return client;
+            });
+
+            await clusterDb.walletClusters.replaceAll([
+                { id: 'c1', wallets: ['0xa', '0xb'], edges: [] },
+                { id: 'c2', wallets: ['0xc', '0xb'], edges: [] }
+            ]);
+
+            expect(pool.connect).toHaveBeenCalledTimes(1);
+            expect(statements).toEqual([
+                'BEGIN',
+                'DELETE FROM wallet_cluster_members',
+                'DELETE FROM wallet_clusters',
+                'INSERT INTO wallet_clusters (id, data)',
+                'INSERT INTO wallet_cluster_members (address, cluster_id)',
+                'COMMIT'
+            ]);
+            expect((await clusterDb.walletClusters.getByAddress('0xb')).id).toBe('c1');
+            expect(await clusterDb.walletClusters.count()).toBe(2);
+
+            // Duplicate cluster IDs fail partway through and roll back
+            statements.length = 0;
+            await expect(clusterDb.walletClusters.replaceAll([
+                { id: 'c3', wallets: ['0xd'], edges: [] },
+                { id: 'c3', wallets: ['0xe'], edges: [] }
+            ])).rejects.toThrow();
+            expect(statements[statements.length - 1]).toBe('ROLLBACK');
+        });
+    });
+
+    describe('article revisions', () => {
+        test('keeps versions per article in revision order', async () => {
+            await db.articleRevisions.create({ articleId: 'a1', revision: 2, headline: 'No deal', favoredOutcome: 'No' });
+            await db.articleRevisions.create({ articleId: 'a1', revision: 1, headline: 'Deal signed', favoredOutcome: 'Yes' });
+            await db.articleRevisions.create({ articleId: 'a2', revision: 1, headline: 'Other' });
+
+            const revisions = await db.articleRevisions.getByArticleId('a1');
+            expect(revisions.map(r => [r.revision, r.headline])).toEqual([[1, 'Deal signed'], [2, 'No deal']]);
+            expect(revisions[0].createdAt).toBeDefined();
+            expect(await db.articleRevisions.count()).toBe(3);
+        });
+    });
+
+    describe('migrations', () => {
+        test('records applied migrations', async () => {
+            const { listMigrations } = require('../../db/migrate');
+            const { Pool } = newDb().adapters.createPg();
+            const pool = new Pool();
+            await createPostgresDb(pool).ready();
+
+            const { rows } = await pool.query('SELECT name FROM schema_migrations ORDER BY name');
+
+            expect(rows.map(r => r.name)).toEqual(listMigrations());
+        });
+    });
+});
@@ -1,5 +1,7 @@
 // Test fixtures for orderbook data
 
+const crypto = require('crypto');
+
 // Standard orderbook with good depth
 const standardOrderbook = {
     bids: [
@@ -131,6 +133,37 @@ const priceChangeAltFields = {
     side: 'BUY'
 };
 
+// REST /book summary as Polymarket returns it (bids ascending, asks descending)
+const restBookSummary = {
+    market: '0xconditionid',
+    asset_id: '0x123abc456def',
+    timestamp: '1704067200000',
+    hash: '',
+    bids: [
+        { price: '0.58', size: '3000' },
+        { price: '0.59', size: '2000' },
+        { price: '0.6', size: '1000' }
+    ],
+    asks: [
+        { price: '0.63', size: '3000' },
+        { price: '0.62', size: '2000' },
+        { price: '0.61', size: '1000' }
+    ],
+    min_order_size: '5',
+    tick_size: '0.01',
+    neg_risk: false
+};
+
+// Polymarket's book hash: SHA-1 of the summary JSON with an empty hash field
+function polymarketHash(summary) {
+    return crypto.createHash('sha1').update(JSON.stringify({ ...summary, hash: '' })).digest('hex');
+}
+
+// A summary carrying its own valid hash
+function withHash(summary) {
+    return { ...summary, hash: polymarketHash(summary) };
+}
+
 module.exports = {
     standardOrderbook,
     thinOrderbook,
@@ -143,5 +176,9 @@ module.exports = {
     priceChangeMessages,
     priceChangeAdd,
     priceChangeRemove,
-    priceChangeAltFields
+    priceChangeAltFields,
+    // Hash verification
+    restBookSummary,
+    polymarketHash,
+    withHash
 };
@@ -0,0 +1,131 @@
+// Tests for Atom and JSON Feed generation
+
+jest.mock('../../../config', () => ({
+    site: { url: 'https://futuretimes.example', name: 'Future Times' },
+    feeds: { maxItems: 10 }
+}));
+
+const mockDb = {
+    articles: {
+        getAll: jest.fn()
+    }
+};
+
+jest.mock('../../../db', () => mockDb);
+jest.mock('../../../services/article/probability', () => ({
+    getDisplayProbability: jest.fn(async article => article.probability + 0.05)
+}));
+
+const {
+    resolveFeedCategory,
+    getFeedEntries,
+    buildAtomFeed,
+    buildJsonFeed,
+    getFeedValidators
+} = require('../../../services/article/feeds');
+
+const articles = [
+    {
+        id: 'a2',
+        slug: 'coalition-talks-begin',
+        headline: 'Coalition Talks Begin <Berlin>',
+        summary: 'Parties meet & negotiate.',
+        body: 'First paragraph.\n\nSecond paragraph.',
+        category: 'Politics',
+        probability: 0.7,
+        expiresAt: '2025-03-01T00:00:00.000Z',
+        revision: 2,
+        favoredOutcome: 'Yes',
+        publishedAt: '2025-02-02T00:00:00.000Z',
+        revisedAt: '2025-02-05T12:00:00.000Z'
+    },
+    {
+        id: 'a1',
+        slug: 'merz-wins',
+        headline: 'Merz Wins',
+        summary: 'The CDU leader wins.',
+        body: 'Merz wins.',
+        category: 'Politics',
+        probability: 0.8,
+        publishedAt: '2025-02-01T00:00:00.000Z'
+    }
+];
+
+const selfUrl = 'https://api.example/feeds/politics.xml';
+
+describe('Article feeds', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockDb.articles.getAll.mockResolvedValue(articles);
+    });
+
+    test('resolveFeedCategory maps URL names to categories', () => {
+        expect(resolveFeedCategory('all')).toEqual({ name: 'all', category: null });
+        expect(resolveFeedCategory('Politics')).toEqual({ name: 'politics', category: 'Politics' });
+        expect(resolveFeedCategory('weather')).toBeNull();
+    });
+
+    test('entries carry the display probability, expiry and revision time', async () => {
+        const entries = await getFeedEntries({ category: 'Politics' });
+
+        expect(mockDb.articles.getAll).toHaveBeenCalledWith({ limit: 10, category: 'Politics', sort: 'publishedAt' });
+        expect(entries[0]).toMatchObject({
+            id: 'urn:futuretimes:article:a2',
+            url: 'https://futuretimes.example/article/coalition-talks-begin',
+            probability: 0.75,
+            expiresAt: '2025-03-01T00:00:00.000Z',
+            revision: 2,
+            updatedAt: '2025-02-05T12:00:00.000Z'
+        });
+        // Never revised: updated when published
+        expect(entries[1]).toMatchObject({ revision: 1, updatedAt: '2025-02-01T00:00:00.000Z' });
+    });
+
+    test('builds an escaped Atom document updated at the latest revision', async () => {
+        const entries = await getFeedEntries({ category: 'Politics' });
+        const xml = buildAtomFeed(entries, { category: 'Politics', selfUrl });
+
+        expect(xml).toMatch(/^<\?xml version="1.0" encoding="utf-8"\?>/);
+        expect(xml).toContain('<title>Future Times - Politics</title>');
+        expect(xml).toContain('<updated>2025-02-05T12:00:00.000Z</updated>');
+        expect(xml).toContain(`<link rel="self" type="application/atom+xml" href="${selfUrl}"/>`);
+        expect(xml).toContain('<title>Coalition Talks Begin &lt;Berlin&gt;</title>');
+        expect(xml).toContain('<summary>Parties meet &amp; negotiate.</summary>');
+        expect(xml).toContain('&lt;p&gt;Second paragraph.&lt;/p&gt;');
+        expect(xml).toContain('<ft:probability>0.75</ft:probability>');
+        expect(xml).toContain('<ft:expiresAt>2025-03-01T00:00:00.000Z</ft:expiresAt>');
+        expect(xml.match(/<entry>/g)).toHaveLength(2);
+    });
+
+    test('builds a JSON Feed 1.1 document with a publisher extension', async () => {
+        const entries = await getFeedEntries({ category: null });
+        const feed = buildJsonFeed(entries, { category: null, selfUrl: 'https://api.example/feeds/all.json' });
+
+        expect(feed).toMatchObject({
+            version: 'https://jsonfeed.org/version/1.1',
+            title: 'Future Times',
+            home_page_url: 'https://futuretimes.example',
+            feed_url: 'https://api.example/feeds/all.json'
+        });
+        expect(feed.items[0]).toMatchObject({
+            id: 'urn:futuretimes:article:a2',
+            title: 'Coalition Talks Begin <Berlin>',
+            date_published: '2025-02-02T00:00:00.000Z',
+            date_modified: '2025-02-05T12:00:00.000Z',
+            tags: ['Politics'],
+            _future_times: { probability: 0.75, expires_at: '2025-03-01T00:00:00.000Z', revision: 2, favored_outcome: 'Yes' }
+        });
+        expect(feed.items[0].content_html).toContain('Market probability: 75%');
+    });
+
+    test('validators change with the content and track the latest revision', async () => {
+        const entries = await getFeedEntries();
+        const body = buildAtomFeed(entries, { selfUrl });
+
+        const validators = getFeedValidators(entries, body);
+        expect(validators.etag).toMatch(/^"[0-9a-f]{40}"$/);
+        expect(validators.lastModified).toBe('Wed, 05 Feb 2025 12:00:00 GMT');
+        expect(getFeedValidators(entries, body).etag).toBe(validators.etag);
+        expect(getFeedValidators(entries, `${body} `).etag).not.toBe(validators.etag);
+    });
+});
@@ -0,0 +1,302 @@
+// Tests for article generation and revisions in the article generator
+
+jest.mock('../../../config', () => ({
+    article: {
+        revisionBands: [0.6, 0.75, 0.9],
+        minRevisionIntervalMs: 30 * 60 * 1000,
+        multiOutcome: { minOutcomes: 3, minLeaderProbability: 0.35, minLeaderMargin: 0.1, maxFieldSize: 4 }
+    }
+}));
+
+// Minimal article store with revision history
+const mockArticles = new Map();
+const mockRevisions = [];
+const mockDb = {
+    articles: {
+        create: jest.fn(async (article) => {
+            const record = { id: `article-${article.eventId}`, slug: `slug-${article.eventId}`, ...article, publishedAt: new Date().toISOString() };
+            mockArticles.set(record.id, record);
+            return record;
+        }),
+        update: jest.fn(async (id, updates) => {
+            const updated = { ...mockArticles.get(id), ...updates };
+            mockArticles.set(id, updated);
+            return updated;
+        }),
+        getByEventId: jest.fn(async (eventId) => Array.from(mockArticles.values()).find(a => a.eventId === eventId) || null)
+    },
+    events: {
+        getById: jest.fn(async (id) => (id === 'event-1' ? event : null))
+    },
+    predictions: {
+        getLatestByEventId: jest.fn(async () => ({ adjustedProbability: 0.8 }))
+    },
+    articleRevisions: {
+        create: jest.fn(async (revision) => {
+            mockRevisions.push(revision);
+            return revision;
+        })
+    }
+};
+
+jest.mock('../../../db', () => mockDb);
+jest.mock('../../../services/rag', () => ({
+    findRelatedNews: jest.fn(async () => ({ relatedArticles: [] }))
+}));
+
+// No provider by default (template articles); tests can switch to the stub provider
+jest.mock('../../../services/llm', () => {
+    const { LlmClient } = jest.requireActual('../../../services/llm');
+    return new LlmClient(null, { maxRetries: 0 });
+});
+
+const llm = require('../../../services/llm');
+const StubProvider = require('../../../services/llm/providers/stub');
+const { generationMetrics } = require('../../../services/article/generation-metrics');
+const { createArticle, generateArticle, reviseArticle, regenerateArticleForEvent, getFavoredOutcome, getOutcomeField } = require('../../../services/article/generator');
+const { toFavoredProbability } = require('../../../services/article/probability');
+
+const event = {
+    id: 'event-1',
+    title: 'Will the treaty pass?',
+    category: 'Politics',
+    outcomes: [{ name: 'Yes', probability: 0.8 }, { name: 'No', probability: 0.2 }]
+};
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+describe('Article revisions', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockArticles.clear();
+        mockRevisions.length = 0;
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+        llm.provider = null;
+    });
+
+    async function createOldArticle(probability = 0.8) {
+        const article = await createArticle({ ...event, probability }, { adjustedProbability: probability });
+        // Old enough for the next rewrite
+        return mockDb.articles.update(article.id, { publishedAt: hoursAgo(2) });
+    }
+
+    test('new articles start at revision 1 with their favored outcome', async () => {
+        const article = await createArticle({ ...event, probability: 0.8 }, { adjustedProbability: 0.8 });
+
+        expect(article).toMatchObject({ revision: 1, favoredOutcome: 'Yes', favoredProbability: 0.8 });
+        expect(mockRevisions).toEqual([expect.objectContaining({ articleId: article.id, revision: 1, reason: 'created' })]);
+    });
+
+    test('rewrites the article when the favored outcome flips', async () => {
+        const original = await createOldArticle();
+
+        const revised = await reviseArticle(event, 0.3);
+
+        expect(revised).toMatchObject({ id: original.id, slug: original.slug, revision: 2, favoredOutcome: 'No', probability: 0.3 });
+        // Readers see the No price next to the No headline
+        expect(revised).toMatchObject({ favoredIndex: 1, favoredProbability: 0.7 });
+        expect(toFavoredProbability(revised, revised.probability)).toBeCloseTo(0.7, 10);
+        expect(revised.headline).not.toBe(original.headline);
+        expect(revised.headline).toMatch(/does not/);
+        expect(mockRevisions.map(r => [r.revision, r.favoredOutcome, r.favoredIndex, r.reason])).toEqual([
+            [1, 'Yes', 0, 'created'],
+            [2, 'No', 1, 'favored-outcome-changed']
+        ]);
+    });
+
+    test('rewrites when the probability crosses a band, not within one', async () => {
+        await createOldArticle(0.8);
+
+        const sameBand = await reviseArticle(event, 0.85);
+        expect(sameBand).toMatchObject({ revision: 1, probability: 0.85 });
+
+        const nextBand = await reviseArticle(event, 0.95);
+        expect(nextBand).toMatchObject({ revision: 2, favoredOutcome: 'Yes' });
+        expect(mockRevisions[1].reason).toBe('probability-band-changed');
+    });
+
+    test('waits for the minimum interval before rewriting again', async () => {
+        await createArticle({ ...event, probability: 0.8 }, { adjustedProbability: 0.8 });
+
+        const tooSoon = await reviseArticle(event, 0.3);
+
+        expect(tooSoon).toMatchObject({ revision: 1, favoredOutcome: 'Yes', probability: 0.3 });
+        expect(mockRevisions).toHaveLength(1);
+    });
+
+    test('a manual regenerate waits for a revision in progress and takes the next revision', async () => {
+        await createOldArticle();
+
+        const [revised, regenerated] = await Promise.all([
+            reviseArticle(event, 0.3),
+            regenerateArticleForEvent(event.id)
+        ]);
+
+        expect(revised.revision).toBe(2);
+        expect(regenerated.revision).toBe(3);
+        expect(mockRevisions.map(r => [r.revision, r.reason])).toEqual([
+            [1, 'created'],
+            [2, 'favored-outcome-changed'],
+            [3, 'regenerated']
+        ]);
+    });
+
+    test('leaves resolved articles alone', async () => {
+        const original = await createOldArticle();
+        await mockDb.articles.update(original.id, { resolved: true });
+
+        const result = await reviseArticle(event, 0.1);
+
+        expect(result).toMatchObject({ revision: 1, probability: 0.8 });
+    });
+
+    test('getFavoredOutcome reads raw outcome names for binary markets', () => {
+        const rawEvent = { rawData: { outcomes: '["Over", "Under"]' } };
+
+        expect(getFavoredOutcome(rawEvent, 0.7)).toEqual({ name: 'Over', probability: 0.7, index: 0 });
+        expect(getFavoredOutcome(rawEvent, 0.25)).toEqual({ name: 'Under', probability: 0.75, index: 1 });
+    });
+
+    test('generates offline through the stub provider', async () => {
+        llm.provider = new StubProvider({ fixturesPath: 'services/llm/fixtures/default.json' });
+
+        const article = await createArticle({ ...event, probability: 0.8 }, { adjustedProbability: 0.8 });
+
+        expect(article).toMatchObject({ category: 'Politics', revision: 1, favoredOutcome: 'Yes' });
+        expect(article.headline).toMatch(/^The treaty pass/);
+        expect(article.summary).toContain('Politics story');
+        expect(llm.getUsage().byPurpose).toEqual([expect.objectContaining({ purpose: 'article', requests: 1 })]);
+    });
+});
+
+describe('Article output validation', () => {
+    const article = {
+        headline: 'Treaty Passes Senate',
+        summary: 'The treaty clears its final hurdle.',
+        body: 'The Senate approves the treaty in a close vote.',
+        category: 'Politics',
+        isMeaningful: true
+    };
+
+    function useFixtures(fixtures) {
+        llm.provider = new StubProvider({ fixtures });
+    }
+
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        llm.resetUsage();
+        generationMetrics.reset();
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+        llm.provider = null;
+    });
+
+    test('repairs schema failures with a targeted follow-up prompt', async () => {
+        useFixtures([
+            { purpose: 'article', response: { ...article, category: 'Weather' } },
+            { purpose: 'article-repair', match: 'category: must be one of', response: article }
+        ]);
+
+        const result = await generateArticle(event, { adjustedProbability: 0.8 });
+
+        expect(result).toMatchObject({ headline: 'Treaty Passes Senate', category: 'Politics' });
+        expect(generationMetrics.getMetrics()).toMatchObject({
+            generations: 1,
+            repaired: 1,
+            validationFailures: 1,
+            repairAttempts: 1,
+            errorsByField: { category: 1 }
+        });
+    });
+
+    test('retries tense violations and keeps the corrected article', async () => {
+        useFixtures([
+            { purpose: 'article', response: { ...article, headline: 'Senate Will Pass Treaty' } },
+            { purpose: 'article-tense', match: '"Will Pass" (future)', response: article }
+        ]);
+
+        const result = await generateArticle(event, { adjustedProbability: 0.8 });
+
+        expect(result.headline).toBe('Treaty Passes Senate');
+        expect(generationMetrics.getMetrics()).toMatchObject({ tenseViolations: 1, tenseRetries: 1, repaired: 1 });
+        expect(llm.getUsage().byPurpose.map(p => p.purpose)).toEqual(['article', 'article-tense']);
+    });
+
+    test('falls back to a template article when the repair still fails validation', async () => {
+        useFixtures([{ response: 'not json' }]);
+
+        const result = await generateArticle(event, { adjustedProbability: 0.8 });
+
+        expect(result.headline).toBe('The treaty pass');
+        const metrics = generationMetrics.getMetrics();
+        expect(metrics).toMatchObject({ validationFailures: 2, repairAttempts: 1, fallbacks: { 'invalid-output': 1 } });
+        expect(metrics.recentFailures[0]).toMatchObject({ eventId: 'event-1', stage: 'invalid-output' });
+    });
+});
+
+describe('Multi-outcome articles', () => {
+    const election = (outcomes) => ({
+        id: 'election',
+        title: 'Who will win the German election?',
+        category: 'Politics',
+        outcomes: outcomes.map(([name, probability]) => ({ name, probability }))
+    });
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockArticles.clear();
+        mockRevisions.length = 0;
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('writes about a clear leader and stores the ranked field', async () => {
+        const event = election([['Scholz', 0.2], ['Merz', 0.48], ['Habeck', 0.12], ['Weidel', 0.1], ['Lindner', 0.06]]);
+
+        const article = await createArticle(event, { adjustedProbability: 0.2 });
+
+        expect(article).toMatchObject({ format: 'multi-outcome', probability: 0.48, favoredOutcome: 'Merz', revision: 1 });
+        expect(article.headline).toMatch(/^Merz win/);
+        expect(article.body).toContain('Scholz and Habeck trail');
+        expect(article.field).toEqual([
+            { rank: 1, name: 'Merz', probability: 0.48 },
+            { rank: 2, name: 'Scholz', probability: 0.2 },
+            { rank: 3, name: 'Habeck', probability: 0.12 },
+            { rank: 4, name: 'Weidel', probability: 0.1 }
+        ]);
+    });
+
+    test('skips fields without a clear leader instead of applying the 70% gate', async () => {
+        const closeRace = election([['Merz', 0.4], ['Scholz', 0.35], ['Habeck', 0.25]]);
+        const weakLeader = election([['Merz', 0.3], ['Scholz', 0.15], ['Habeck', 0.1], ['Other', 0.45 / 3]]);
+
+        expect(await generateArticle(closeRace, null)).toBeNull();
+        expect(await generateArticle(weakLeader, null)).toBeNull();
+        expect(await generateArticle(closeRace, null, { minProbability: 0 })).toMatchObject({ format: 'multi-outcome' });
+    });
+
+    test('keeps the field current and ignores single-market probabilities', async () => {
+        const article = await createArticle(election([['Merz', 0.5], ['Scholz', 0.3], ['Habeck', 0.2]]), null);
+
+        const updated = await reviseArticle(election([['Merz', 0.55], ['Scholz', 0.25], ['Habeck', 0.2]]), 0.55);
+        expect(updated).toMatchObject({ revision: 1, probability: 0.55 });
+        expect(updated.field[1]).toEqual({ rank: 2, name: 'Scholz', probability: 0.25 });
+
+        // A whale trade on one contender's market carries no outcomes for the field
+        const untouched = await reviseArticle({ id: 'election', title: 'Who will win the German election?' }, 0.05);
+        expect(untouched).toMatchObject({ id: article.id, probability: 0.55, favoredOutcome: 'Merz' });
+    });
+
+    test('getOutcomeField ignores binary and two-way events', () => {
+        expect(getOutcomeField({ outcomes: [{ name: 'Yes', probability: 0.6 }, { name: 'No', probability: 0.4 }] })).toBeNull();
+        expect(getOutcomeField({ rawData: { outcomes: '["A", "B", "C"]' } })).toBeNull();
+    });
+});
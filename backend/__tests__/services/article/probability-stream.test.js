@@ -0,0 +1,207 @@
+// Tests for the live article probability stream
+
+jest.mock('../../../config', () => ({
+    articleStream: {
+        bufferSize: 3,
+        heartbeatMs: 25000,
+        debounceMs: 1000,
+        refreshIntervalMs: 30000,
+        minDelta: 0.001
+    }
+}));
+
+const mockDb = {
+    articles: {
+        getAll: jest.fn(),
+        getBySlug: jest.fn()
+    },
+    predictions: {
+        getLatestByEventId: jest.fn()
+    }
+};
+
+jest.mock('../../../db', () => mockDb);
+jest.mock('../../../services/pipeline/stream-processor', () => ({ streamProcessor: {} }));
+
+const EventEmitter = require('events');
+const { ProbabilityStream } = require('../../../services/article/probability-stream');
+const { ProbabilityAdjuster } = require('../../../services/orderbook/probability-adjuster');
+
+const article = {
+    id: 'article-1',
+    slug: 'will-it-rain',
+    eventId: 'event-1',
+    probability: 0.5,
+    rawData: { clobTokenIds: '["token-yes", "token-no"]' }
+};
+
+function mockResponse() {
+    return { write: jest.fn(), end: jest.fn() };
+}
+
+// Parse SSE frames written to a mock response
+function frames(res) {
+    return res.write.mock.calls
+        .map(([chunk]) => chunk)
+        .filter(chunk => chunk.startsWith('id:'))
+        .map(chunk => {
+            const [, id] = chunk.match(/^id: (\d+)/);
+            const [, event] = chunk.match(/event: (\w+)/);
+            const [, data] = chunk.match(/data: (.*)/);
+            return { id: Number(id), event, data: JSON.parse(data) };
+        });
+}
+
+describe('ProbabilityStream', () => {
+    let processor;
+    let adjuster;
+    let stream;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        processor = new EventEmitter();
+        adjuster = new ProbabilityAdjuster();
+        stream = new ProbabilityStream({ processor, adjuster });
+
+        mockDb.articles.getAll.mockResolvedValue([article]);
+        mockDb.articles.getBySlug.mockResolvedValue(article);
+        mockDb.predictions.getLatestByEventId.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        stream.stop();
+        jest.useRealTimers();
+    });
+
+    test('publishes the whale-adjusted probability with its delta', async () => {
+        const res = mockResponse();
+        stream.addClient(res);
+
+        adjuster.recordWhaleTrade({ assetId: 'token-yes', side: 'BUY', depthPercent: 20, notional: 5000 });
+        const message = await stream.refreshAsset('token-yes');
+
+        expect(message.data.slug).toBe('will-it-rain');
+        expect(message.data.probability).toBeCloseTo(0.65, 4);
+        expect(message.data.delta).toBeCloseTo(0.15, 4);
+
+        const [frame] = frames(res);
+        expect(frame.event).toBe('probability');
+        expect(frame.id).toBe(message.id);
+        expect(frame.data).toMatchObject({ slug: 'will-it-rain', probability: message.data.probability });
+    });
+
+    test('publishes the No price for articles revised to favor No', async () => {
+        mockDb.articles.getBySlug.mockResolvedValue({ ...article, probability: 0.3, favoredOutcome: 'No', favoredIndex: 1 });
+
+        adjuster.recordWhaleTrade({ assetId: 'token-yes', side: 'BUY', depthPercent: 20, notional: 5000 });
+        const message = await stream.refreshAsset('token-yes');
+
+        // Yes buying makes No less likely: 0.7 falls, not 0.3 rising
+        expect(message.data.probability).toBeCloseTo(0.55, 4);
+        expect(message.data.delta).toBeCloseTo(-0.15, 4);
+    });
+
+    test('skips unchanged probabilities and unknown assets', async () => {
+        await expect(stream.refreshAsset('token-yes')).resolves.toBeNull();
+        await expect(stream.refreshAsset('unknown-token')).resolves.toBeNull();
+        expect(stream.getStatus().published).toBe(0);
+    });
+
+    test('debounces bursts of updates for one asset once started', async () => {
+        const refresh = jest.spyOn(stream, 'refreshAsset').mockResolvedValue(null);
+        stream.start();
+
+        adjuster.recordWhaleTrade({ assetId: 'token-yes', side: 'BUY', depthPercent: 10, notional: 5000 });
+        processor.emit('whale-trade', { assetId: 'token-yes' });
+        adjuster.recordWhaleTrade({ assetId: 'token-yes', side: 'BUY', depthPercent: 10, notional: 5000 });
+
+        expect(refresh).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1000);
+        expect(refresh).toHaveBeenCalledTimes(1);
+        expect(refresh).toHaveBeenCalledWith('token-yes');
+    });
+
+    test('filters messages by slug', () => {
+        const res = mockResponse();
+        stream.addClient(res, { slugs: ['other-article'] });
+
+        stream.publish({ slug: 'will-it-rain', probability: 0.6, delta: 0.1 });
+        stream.publish({ slug: 'other-article', probability: 0.3, delta: -0.1 });
+
+        expect(frames(res).map(f => f.data.slug)).toEqual(['other-article']);
+    });
+
+    test('replays messages after Last-Event-ID on reconnect', () => {
+        const first = stream.publish({ slug: 'a', probability: 0.6, delta: 0.1 });
+        const second = stream.publish({ slug: 'b', probability: 0.4, delta: -0.1 });
+        const third = stream.publish({ slug: 'c', probability: 0.7, delta: 0.2 });
+
+        const res = mockResponse();
+        stream.addClient(res, { lastEventId: String(first.id) });
+
+        expect(frames(res).map(f => f.id)).toEqual([second.id, third.id]);
+    });
+
+    test('sends nothing when the client is already up to date', () => {
+        const latest = stream.publish({ slug: 'a', probability: 0.6, delta: 0.1 });
+
+        const res = mockResponse();
+        stream.addClient(res, { lastEventId: latest.id });
+
+        expect(frames(res)).toEqual([]);
+    });
+
+    test('asks the client to resync when the gap is no longer buffered', () => {
+        const first = stream.publish({ slug: 'a', probability: 0.6, delta: 0.1 });
+        for (let i = 0; i < 3; i++) {
+            stream.publish({ slug: 'b', probability: 0.4, delta: -0.1 });
+        }
+
+        const res = mockResponse();
+        stream.addClient(res, { lastEventId: first.id - 1 });
+
+        const sent = frames(res);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].event).toBe('resync');
+        expect(sent[0].id).toBe(stream.getStatus().lastEventId);
+    });
+
+    test('asks clients from a previous process to resync', () => {
+        const res = mockResponse();
+        stream.addClient(res, { lastEventId: '42' });
+
+        expect(frames(res).map(f => f.event)).toEqual(['resync']);
+    });
+
+    test('publishes decay back to the market probability when a signal expires', async () => {
+        let now = Date.now();
+        adjuster = new ProbabilityAdjuster({}, { now: () => now });
+        stream = new ProbabilityStream({ processor, adjuster });
+
+        adjuster.recordWhaleTrade({ assetId: 'token-yes', side: 'SELL', depthPercent: 20, notional: 5000 });
+        await stream.refreshAsset('token-yes');
+
+        now += adjuster.getConfig().maxSignalAge + 1;
+        await expect(stream.refreshTracked()).resolves.toBe(1);
+
+        const { data } = stream.buffer[stream.buffer.length - 1];
+        expect(data.probability).toBe(0.5);
+        expect(data.delta).toBeCloseTo(0.15, 4);
+        expect(stream.getStatus().trackedAssets).toBe(0);
+    });
+
+    test('stop ends client connections and detaches from sources', () => {
+        const res = mockResponse();
+        stream.start();
+        stream.addClient(res);
+        stream.stop();
+
+        expect(res.end).toHaveBeenCalled();
+        expect(processor.listenerCount('whale-trade')).toBe(0);
+        expect(adjuster.listenerCount('signal-updated')).toBe(0);
+        expect(stream.getStatus().clients).toBe(0);
+    });
+});
@@ -0,0 +1,70 @@
+// Tests for frontend revalidation after article changes
+
+jest.mock('../../../config', () => ({}));
+jest.mock('../../../db', () => ({}));
+
+const EventEmitter = require('events');
+const { RevalidationNotifier } = require('../../../services/article/revalidation');
+
+const settings = { url: 'https://futuretimes.example', revalidateSecret: 'secret', revalidateDebounceMs: 1000 };
+
+describe('RevalidationNotifier', () => {
+    let store;
+    let fetch;
+    let notifier;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        store = { changes: new EventEmitter() };
+        fetch = jest.fn(async () => ({ ok: true, status: 200 }));
+        notifier = new RevalidationNotifier({ store, fetch, settings });
+    });
+
+    afterEach(() => {
+        notifier.stop();
+        jest.useRealTimers();
+        console.log.mockRestore();
+        console.error.mockRestore();
+    });
+
+    test('batches article changes into one request per window', async () => {
+        notifier.start();
+        store.changes.emit('article', { slug: 'merz-wins', category: 'Politics' });
+        store.changes.emit('article', { slug: 'fed-holds', category: 'Finance' });
+        store.changes.emit('article', { slug: 'merz-wins', category: 'Politics' });
+
+        expect(fetch).not.toHaveBeenCalled();
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(fetch).toHaveBeenCalledTimes(1);
+        const [url, request] = fetch.mock.calls[0];
+        expect(url).toBe('https://futuretimes.example/api/revalidate');
+        expect(request.headers['x-revalidate-secret']).toBe('secret');
+        expect(JSON.parse(request.body)).toEqual({ slugs: ['merz-wins', 'fed-holds'] });
+        expect(notifier.getStatus()).toMatchObject({ requests: 1, revalidatedSlugs: 2, pending: 0 });
+    });
+
+    test('records failures without throwing', async () => {
+        fetch.mockResolvedValue({ ok: false, status: 401 });
+        notifier.start();
+        store.changes.emit('article', { slug: 'merz-wins' });
+
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(notifier.getStatus()).toMatchObject({ failures: 1, lastError: 'Frontend responded 401' });
+    });
+
+    test('stays off without a secret and stops listening when stopped', async () => {
+        const disabled = new RevalidationNotifier({ store, fetch, settings: { ...settings, revalidateSecret: null } });
+        expect(disabled.start()).toBe(false);
+
+        notifier.start();
+        notifier.stop();
+        store.changes.emit('article', { slug: 'merz-wins' });
+        await jest.advanceTimersByTimeAsync(1000);
+
+        expect(fetch).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,84 @@
+// Tests for article schema validation and the present-tense checker
+
+jest.mock('../../../config', () => ({
+    article: { maxLength: 20, summaryLength: 60, headlineLength: 40 }
+}));
+
+const {
+    parseArticle,
+    validateArticle,
+    checkPresentTense,
+    buildRepairPrompt
+} = require('../../../services/article/validation');
+
+const valid = {
+    headline: 'Senate Passes Climate Bill',
+    summary: 'Lawmakers approve the package in a late vote.',
+    body: 'The Senate approves the climate bill.\nSupporters celebrate outside the chamber.',
+    category: 'Politics',
+    isMeaningful: true
+};
+
+describe('Article validation', () => {
+    test('accepts a valid payload, including one wrapped in a code block', () => {
+        expect(validateArticle(valid)).toEqual([]);
+
+        const { payload, errors } = parseArticle('```json\n' + JSON.stringify(valid) + '\n```');
+        expect(errors).toEqual([]);
+        expect(payload.headline).toBe(valid.headline);
+    });
+
+    test('reports types, limits, the category enum and missing fields', () => {
+        const errors = validateArticle({
+            headline: 'A headline that is far too long for the configured limit',
+            summary: 42,
+            body: Array(25).fill('word').join(' '),
+            category: 'Weather'
+        });
+
+        expect(errors.map(e => e.field)).toEqual(['headline', 'summary', 'body', 'category', 'isMeaningful']);
+        expect(errors[0].message).toMatch(/at most 40 characters/);
+        expect(errors[1].message).toBe('must be a string (got number)');
+        expect(errors[2].message).toBe('must be at most 20 words (got 25)');
+        expect(errors[3].message).toMatch(/must be one of Politics/);
+        expect(errors[4].message).toBe('is required');
+    });
+
+    test('turns unparseable output into a json error', () => {
+        const { payload, errors } = parseArticle('Sure! Here is the article: {headline: oops');
+
+        expect(payload).toBeNull();
+        expect(errors).toEqual([{ field: 'json', message: expect.stringMatching(/^is not valid JSON/) }]);
+        expect(buildRepairPrompt(errors)).toContain('- json: is not valid JSON');
+    });
+});
+
+describe('Present-tense checker', () => {
+    test('passes present-tense copy', () => {
+        expect(checkPresentTense(valid)).toEqual([]);
+    });
+
+    test('flags future, hedged and present-perfect phrasing in any field', () => {
+        const violations = checkPresentTense({
+            ...valid,
+            headline: 'President Will Sign Treaty',
+            body: 'Officials are expected to confirm the deal. The minister has announced support.'
+        });
+
+        expect(violations).toEqual([
+            { field: 'headline', rule: 'future', phrase: 'Will Sign' },
+            { field: 'body', rule: 'future', phrase: 'are expected to confirm' },
+            { field: 'body', rule: 'present-perfect', phrase: 'has announced' }
+        ]);
+    });
+
+    test('polices past-tense verbs in the headline and summary only', () => {
+        const violations = checkPresentTense({
+            ...valid,
+            summary: 'The team won the final.',
+            body: 'The team won the semifinal last week.'
+        });
+
+        expect(violations).toEqual([{ field: 'summary', rule: 'past', phrase: 'won' }]);
+    });
+});
@@ -0,0 +1,33 @@
+// Tests for backtest scoring metrics
+
+const { brierScore, logLoss, score, skill } = require('../../../services/backtest/metrics');
+
+describe('Backtest metrics', () => {
+    test('brierScore is the mean squared error', () => {
+        expect(brierScore([
+            { probability: 0.8, outcome: 1 },
+            { probability: 0.4, outcome: 0 }
+        ])).toBeCloseTo((0.04 + 0.16) / 2);
+    });
+
+    test('logLoss is the mean binary cross-entropy', () => {
+        expect(logLoss([{ probability: 0.5, outcome: 1 }])).toBeCloseTo(Math.log(2));
+    });
+
+    test('logLoss stays finite for certain wrong forecasts', () => {
+        expect(Number.isFinite(logLoss([{ probability: 0, outcome: 1 }]))).toBe(true);
+    });
+
+    test('returns null scores without forecasts', () => {
+        expect(score([])).toEqual({ count: 0, brier: null, logLoss: null });
+        expect(skill(score([]), score([]))).toEqual({ brierSkill: null, logLossSkill: null });
+    });
+
+    test('skill is positive when the forecast beats the baseline', () => {
+        const better = score([{ probability: 0.9, outcome: 1 }]);
+        const worse = score([{ probability: 0.6, outcome: 1 }]);
+
+        expect(skill(better, worse).brierSkill).toBeGreaterThan(0);
+        expect(skill(worse, better).brierSkill).toBeLessThan(0);
+    });
+});
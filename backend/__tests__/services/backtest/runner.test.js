@@ -0,0 +1,163 @@
+// Tests for the Backtest Runner
+
+jest.mock('../../../config', () => ({
+    backtest: { maxTrades: 1000 }
+}));
+
+const mockDb = {
+    resolutions: { getRecent: jest.fn() },
+    events: { getById: jest.fn() },
+    tradeHistory: { getInTimeRange: jest.fn() },
+    orderbookSnapshots: { getInTimeRange: jest.fn() },
+    whaleTrades: { getInTimeRange: jest.fn() },
+    backtests: { create: jest.fn(async (run) => ({ id: 'run-1', ...run })) }
+};
+
+jest.mock('../../../db', () => mockDb);
+jest.mock('../../../services/signals/registry', () => ({ getRealtimeProcessors: jest.fn(() => []) }));
+
+const { BacktestRunner } = require('../../../services/backtest/runner');
+
+const T0 = Date.parse('2024-03-01T12:00:00Z');
+const at = (seconds) => new Date(T0 + seconds * 1000).toISOString();
+
+const resolution = {
+    marketId: 'm1',
+    eventId: 'e1',
+    question: 'Will it happen?',
+    winningOutcome: 'Yes',
+    payouts: [
+        { tokenId: 'yes-token', outcome: 'Yes', payout: 1 },
+        { tokenId: 'no-token', outcome: 'No', payout: 0 }
+    ]
+};
+
+const book = {
+    recordedAt: at(0),
+    bids: [{ price: 0.48, size: 1000 }],
+    asks: [{ price: 0.5, size: 1000 }]
+};
+
+describe('BacktestRunner', () => {
+    let runner;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        runner = new BacktestRunner({ registry: { getRealtimeProcessors: () => [] } });
+
+        mockDb.resolutions.getRecent.mockResolvedValue([resolution]);
+        mockDb.events.getById.mockResolvedValue({ id: 'e1', endDate: at(86400) });
+        mockDb.orderbookSnapshots.getInTimeRange.mockImplementation(async (tokenId) => tokenId === 'yes-token' ? [book] : []);
+        mockDb.whaleTrades.getInTimeRange.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    const params = {
+        startTime: at(-60),
+        endTime: at(3600),
+        whaleConfig: { minNotionalUsd: 50 }
+    };
+
+    test('replays whale trades through the adjuster and scores against outcomes', async () => {
+        mockDb.tradeHistory.getInTimeRange.mockResolvedValue([
+            { id: 't2', tokenId: 'yes-token', side: 'BUY', size: 10, price: 0.55, timestamp: at(60) },
+            { id: 't1', tokenId: 'yes-token', side: 'BUY', size: 200, price: 0.5, timestamp: String(T0 + 30000) },
+            { id: 't1', tokenId: 'yes-token', side: 'BUY', size: 200, price: 0.5, timestamp: String(T0 + 30000), address: '0xabc' },
+            { id: 't3', tokenId: 'other-token', side: 'BUY', size: 10, price: 0.5, timestamp: at(90) }
+        ]);
+
+        const run = await runner.run(params);
+
+        expect(mockDb.backtests.create).toHaveBeenCalledTimes(1);
+        expect(mockDb.orderbookSnapshots.getInTimeRange).toHaveBeenCalledWith('yes-token', params.startTime, params.endTime);
+        expect(run.status).toBe('completed');
+        expect(run.counts).toMatchObject({
+            resolvedTokens: 2,
+            snapshots: 1,
+            trades: 2,
+            detectedWhaleTrades: 1,
+            forecasts: 2,
+            truncated: false
+        });
+
+        // Whale buying on the eventual winner pushes the forecast toward the outcome
+        expect(run.metrics.whaleAdjusted.brier).toBeLessThan(run.metrics.raw.brier);
+        expect(run.metrics.whaleVsRaw.brierSkill).toBeGreaterThan(0);
+        expect(run.markets).toHaveLength(1);
+        expect(run.markets[0].marketId).toBe('m1');
+    });
+
+    test('uses recorded whale trades for tokens without book history', async () => {
+        mockDb.whaleTrades.getInTimeRange.mockResolvedValue([
+            { assetId: 'no-token', side: 'SELL', depthPercent: 20, notional: 5000, timestamp: at(10) }
+        ]);
+        mockDb.tradeHistory.getInTimeRange.mockResolvedValue([
+            { id: 't1', tokenId: 'no-token', side: 'SELL', size: 5, price: 0.4, timestamp: at(20) }
+        ]);
+
+        const run = await runner.run(params);
+
+        expect(run.counts.recordedWhaleTrades).toBe(1);
+        expect(run.metrics.whaleAdjusted.brier).toBeLessThan(run.metrics.raw.brier);
+    });
+
+    test('applies signal processor adjustments to the combined forecast', async () => {
+        const processor = {
+            name: 'test-signal',
+            process: jest.fn().mockResolvedValue({ detected: true, confidence: 1, direction: 'YES' }),
+            calculateAdjustment: jest.fn().mockReturnValue(0.1)
+        };
+        runner = new BacktestRunner({ registry: { getRealtimeProcessors: () => [processor] } });
+        mockDb.tradeHistory.getInTimeRange.mockResolvedValue([
+            { id: 't1', tokenId: 'yes-token', side: 'BUY', size: 1, price: 0.5, timestamp: at(30) }
+        ]);
+
+        const run = await runner.run(params);
+
+        expect(processor.process).toHaveBeenCalledWith(expect.objectContaining({
+            mode: 'realtime',
+            event: expect.objectContaining({ id: 'e1' }),
+            market: expect.objectContaining({ tokenId: 'yes-token' }),
+            trade: expect.objectContaining({ id: 't1' }),
+            orderbook: expect.objectContaining({ asks: [{ price: 0.5, size: 1000 }] })
+        }));
+        expect(run.counts.signals).toBe(1);
+        expect(run.metrics.combined.brier).toBeCloseTo(Math.pow(1 - 0.6, 2));
+    });
+
+    test('leaves out processors that read resolution-derived state', async () => {
+        const accuracy = {
+            name: 'wallet-accuracy',
+            usesOutcomes: true,
+            process: jest.fn().mockResolvedValue({ detected: true, confidence: 1, direction: 'YES' })
+        };
+        runner = new BacktestRunner({ registry: { getRealtimeProcessors: () => [accuracy] } });
+        mockDb.tradeHistory.getInTimeRange.mockResolvedValue([
+            { id: 't1', tokenId: 'yes-token', side: 'BUY', size: 1, price: 0.5, address: '0xabc', timestamp: at(30) }
+        ]);
+
+        const run = await runner.run(params);
+
+        expect(accuracy.process).not.toHaveBeenCalled();
+        expect(run.parameters.excludedProcessors).toEqual(['wallet-accuracy']);
+        expect(run.metrics.combined).toEqual(run.metrics.whaleAdjusted);
+    });
+
+    test('skips signal processors when includeSignals is false', async () => {
+        const processor = { name: 'test-signal', process: jest.fn(), calculateAdjustment: jest.fn() };
+        runner = new BacktestRunner({ registry: { getRealtimeProcessors: () => [processor] } });
+        mockDb.tradeHistory.getInTimeRange.mockResolvedValue([
+            { id: 't1', tokenId: 'yes-token', side: 'BUY', size: 1, price: 0.5, timestamp: at(30) }
+        ]);
+
+        const run = await runner.run({ ...params, includeSignals: false });
+
+        expect(processor.process).not.toHaveBeenCalled();
+        expect(run.metrics.combined).toEqual(run.metrics.whaleAdjusted);
+    });
+});
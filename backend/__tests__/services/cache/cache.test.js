@@ -0,0 +1,159 @@
+// Tests for the cache and its drivers
+
+const RedisMock = require('ioredis-mock');
+
+jest.mock('../../../config', () => ({
+    redis: { url: null, useInMemory: true },
+    cache: { articleTTL: 60000 }
+}));
+
+const cache = require('../../../services/cache');
+const { Cache } = cache;
+const MemoryDriver = require('../../../services/cache/drivers/memory');
+const RedisDriver = require('../../../services/cache/drivers/redis');
+
+const drivers = {
+    memory: () => new MemoryDriver(),
+    redis: () => new RedisDriver({ client: new RedisMock(), keyPrefix: `test:${Date.now()}:${Math.random()}:` })
+};
+
+describe.each(Object.keys(drivers))('Cache with %s driver', (driverName) => {
+    let instance;
+
+    beforeEach(() => {
+        instance = new Cache(drivers[driverName]());
+    });
+
+    afterEach(async () => {
+        await instance.close();
+        jest.useRealTimers();
+    });
+
+    test('stores and retrieves JSON values', async () => {
+        await instance.set('market:abc', { probability: 0.42, outcomes: ['Yes', 'No'] }, 1000);
+
+        expect(await instance.get('market:abc')).toEqual({ probability: 0.42, outcomes: ['Yes', 'No'] });
+        expect(await instance.has('market:abc')).toBe(true);
+        expect(await instance.get('missing')).toBeNull();
+    });
+
+    test('expires entries after their TTL', async () => {
+        await instance.set('short', 'value', 20);
+        await new Promise(resolve => setTimeout(resolve, 40));
+
+        expect(await instance.get('short')).toBeNull();
+    });
+
+    test('delete, keys, size and clear', async () => {
+        await instance.set('a', 1, 1000);
+        await instance.set('b', 2, 1000);
+
+        expect((await instance.keys()).sort()).toEqual(['a', 'b']);
+        expect(await instance.size()).toBe(2);
+
+        await instance.delete('a');
+        expect(await instance.keys()).toEqual(['b']);
+
+        await instance.clear();
+        expect(await instance.size()).toBe(0);
+    });
+
+    test('invalidateTag removes every entry with the tag', async () => {
+        await instance.set('article:1', 'one', 1000, { tags: ['category:Politics'] });
+        await instance.set('article:2', 'two', 1000, { tags: ['category:Politics', 'featured'] });
+        await instance.set('article:3', 'three', 1000, { tags: ['category:World'] });
+
+        const removed = await instance.invalidateTag('category:Politics');
+
+        expect(removed).toBe(2);
+        expect(await instance.get('article:1')).toBeNull();
+        expect(await instance.get('article:2')).toBeNull();
+        expect(await instance.get('article:3')).toBe('three');
+        expect(await instance.invalidateTag('category:Politics')).toBe(0);
+    });
+
+    test('getOrSet coalesces concurrent fetches for the same key', async () => {
+        let resolveFetch;
+        const fetchFn = jest.fn(() => new Promise(resolve => { resolveFetch = resolve; }));
+
+        const first = instance.getOrSet('events', fetchFn, 1000);
+        const second = instance.getOrSet('events', fetchFn, 1000);
+
+        // Let both callers pass the cache lookup
+        await new Promise(resolve => setImmediate(resolve));
+        resolveFetch(['event']);
+
+        expect(await first).toEqual(['event']);
+        expect(await second).toEqual(['event']);
+        expect(fetchFn).toHaveBeenCalledTimes(1);
+
+        // Subsequent calls are served from the cache
+        expect(await instance.getOrSet('events', fetchFn, 1000)).toEqual(['event']);
+        expect(fetchFn).toHaveBeenCalledTimes(1);
+    });
+
+    test('getOrSet shares failures and retries on the next call', async () => {
+        const fetchFn = jest.fn()
+            .mockRejectedValueOnce(new Error('upstream down'))
+            .mockResolvedValueOnce('ok');
+
+        const results = await Promise.allSettled([
+            instance.getOrSet('flaky', fetchFn, 1000),
+            instance.getOrSet('flaky', fetchFn, 1000)
+        ]);
+
+        expect(results.map(r => r.status)).toEqual(['rejected', 'rejected']);
+        expect(await instance.getOrSet('flaky', fetchFn, 1000)).toBe('ok');
+        expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+
+    test('getOrSet resolves tags from the fetched value', async () => {
+        await instance.getOrSet('markets', async () => [{ category: 'Finance' }], 1000, {
+            tags: markets => markets.map(m => `category:${m.category}`)
+        });
+
+        expect(await instance.invalidateTag('category:Finance')).toBe(1);
+        expect(await instance.get('markets')).toBeNull();
+    });
+
+    test('getOrSet does not cache null results', async () => {
+        const fetchFn = jest.fn().mockResolvedValue(null);
+
+        await instance.getOrSet('nothing', fetchFn, 1000);
+        await instance.getOrSet('nothing', fetchFn, 1000);
+
+        expect(fetchFn).toHaveBeenCalledTimes(2);
+    });
+});
+
+describe('Cache', () => {
+    test('uses the in-memory driver without REDIS_URL', () => {
+        expect(cache.driverName).toBe('in-memory');
+    });
+
+    test('treats driver errors as cache misses', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const broken = new Cache({
+            name: 'broken',
+            get: jest.fn().mockRejectedValue(new Error('connection refused')),
+            set: jest.fn().mockRejectedValue(new Error('connection refused'))
+        });
+
+        expect(await broken.getOrSet('key', async () => 'fresh', 1000)).toBe('fresh');
+        expect(console.error).toHaveBeenCalled();
+        console.error.mockRestore();
+    });
+
+    test('redis driver extends the TTL of a tag set to its longest member', async () => {
+        const driver = new RedisDriver({ client: new RedisMock(), keyPrefix: 'ttl-test:' });
+
+        await driver.set('a', 1, 1000, ['group']);
+        await driver.set('b', 2, 5000, ['group']);
+        await driver.set('c', 3, 500, ['group']);
+
+        const ttl = await driver.redis.pttl('ttl-test:tag:group');
+        expect(ttl).toBeGreaterThan(1000);
+        expect(ttl).toBeLessThanOrEqual(5000);
+        await driver.close();
+    });
+});
@@ -0,0 +1,93 @@
+// Tests for recording displayed article probabilities
+
+jest.mock('../../../config', () => ({
+    calibration: { snapshotIntervalMs: 3600000, thinAfterDays: 7, thinnedSpacingMs: 86400000 }
+}));
+jest.mock('../../../db', () => ({}));
+jest.mock('../../../services/article/probability', () => ({
+    getLiveProbability: jest.fn(async article => article.probability),
+    getAdjustedProbability: jest.fn((article, probability) => probability + 0.05)
+}));
+
+const { CalibrationRecorder } = require('../../../services/calibration/recorder');
+
+function createStore(articles) {
+    const snapshots = [];
+    return {
+        snapshots,
+        articles: { getAll: jest.fn(async () => articles) },
+        probabilitySnapshots: {
+            record: jest.fn(async snapshot => {
+                snapshots.push(snapshot);
+                return snapshot;
+            }),
+            getLatestByArticleId: jest.fn(async id => snapshots.filter(s => s.articleId === id).pop() || null),
+            thin: jest.fn(async () => 0)
+        }
+    };
+}
+
+describe('CalibrationRecorder', () => {
+    const future = new Date(Date.now() + 86400000).toISOString();
+    const past = new Date(Date.now() - 3600000).toISOString();
+
+    test('records market and adjusted probabilities for open articles', async () => {
+        const store = createStore([
+            { id: 'a1', eventId: 'e1', category: 'Politics', probability: 0.7, expiresAt: future },
+            { id: 'a2', eventId: 'e2', category: 'Sports', probability: 0.4, expiresAt: future, resolved: true },
+            { id: 'a3', eventId: 'e3', category: 'Sports', probability: null, expiresAt: future }
+        ]);
+        const recorder = new CalibrationRecorder({ store });
+
+        expect(await recorder.snapshotOnce()).toEqual({ recorded: 1, closed: 0 });
+        expect(store.snapshots).toEqual([expect.objectContaining({
+            articleId: 'a1',
+            category: 'Politics',
+            format: 'binary',
+            marketProbability: 0.7,
+            adjustedProbability: 0.75,
+            kind: 'interval'
+        })]);
+    });
+
+    test('names the field leader on multi-outcome snapshots', async () => {
+        const store = createStore([{
+            id: 'a1',
+            eventId: 'e1',
+            format: 'multi-outcome',
+            favoredOutcome: 'Merz',
+            field: [{ rank: 1, name: 'Merz', probability: 0.45 }],
+            probability: 0.45,
+            expiresAt: future
+        }]);
+
+        await new CalibrationRecorder({ store }).snapshotOnce();
+
+        expect(store.snapshots[0]).toMatchObject({ format: 'multi-outcome', outcome: 'Merz', marketProbability: 0.45 });
+    });
+
+    test('thins old interval snapshots about once per spacing', async () => {
+        const store = createStore([]);
+        store.probabilitySnapshots.thin.mockResolvedValue(12);
+        const recorder = new CalibrationRecorder({ store });
+        const now = Date.now();
+
+        expect(await recorder.snapshotOnce()).toEqual({ recorded: 0, closed: 0, thinned: 12 });
+        expect(store.probabilitySnapshots.thin).toHaveBeenCalledWith(expect.any(Number), 86400000);
+        expect(store.probabilitySnapshots.thin.mock.calls[0][0]).toBeLessThanOrEqual(now - 7 * 86400000 + 1000);
+
+        await recorder.snapshotOnce();
+        expect(store.probabilitySnapshots.thin).toHaveBeenCalledTimes(1);
+        expect(recorder.getStatus().snapshotsThinned).toBe(12);
+    });
+
+    test('records one close snapshot once an article expires', async () => {
+        const store = createStore([{ id: 'a1', eventId: 'e1', probability: 0.9, expiresAt: past }]);
+
+        expect(await new CalibrationRecorder({ store }).snapshotOnce()).toEqual({ recorded: 1, closed: 1 });
+        // A restarted recorder finds the stored close snapshot
+        const restarted = new CalibrationRecorder({ store });
+        expect(await restarted.snapshotOnce()).toEqual({ recorded: 0, closed: 0 });
+        expect(store.snapshots.map(s => s.kind)).toEqual(['close']);
+    });
+});
@@ -0,0 +1,118 @@
+// Tests for calibration of published probabilities against resolved outcomes
+
+jest.mock('../../../config', () => ({ calibration: { bins: 10 } }));
+jest.mock('../../../db', () => ({
+    articles: { getAll: jest.fn() },
+    events: { getById: jest.fn() },
+    resolutions: { getByMarketId: jest.fn(), getByEventId: jest.fn() },
+    probabilitySnapshots: { getByArticleId: jest.fn() }
+}));
+
+const db = require('../../../db');
+const { reliabilityDiagram, buildCalibrationReport, getCalibrationReport } = require('../../../services/calibration/report');
+
+describe('reliabilityDiagram', () => {
+    test('buckets forecasts and compares them with observed rates', () => {
+        const { bins, ece } = reliabilityDiagram([
+            { probability: 0.82, outcome: 1 },
+            { probability: 0.88, outcome: 0 },
+            { probability: 0.15, outcome: 0 },
+            { probability: 1, outcome: 1 }
+        ], 5);
+
+        expect(bins).toHaveLength(5);
+        expect(bins[0]).toMatchObject({ lower: 0, upper: 0.2, count: 1, meanForecast: 0.15, observedRate: 0 });
+        expect(bins[4]).toMatchObject({ count: 3, meanForecast: 0.9, observedRate: 0.6667 });
+        expect(bins[2]).toMatchObject({ count: 0, meanForecast: null, observedRate: null });
+        // (1/4)·0.15 + (3/4)·|0.9 − 0.6667|
+        expect(ece).toBeCloseTo(0.2125, 3);
+    });
+
+    test('has no error without forecasts', () => {
+        expect(reliabilityDiagram([], 10).ece).toBeNull();
+    });
+});
+
+describe('buildCalibrationReport', () => {
+    test('scores market and adjusted probabilities overall and per category', () => {
+        const report = buildCalibrationReport([
+            { category: 'Politics', market: 0.7, adjusted: 0.8, outcome: 1 },
+            { category: 'Politics', market: 0.6, adjusted: 0.7, outcome: 1 },
+            { category: 'Sports', market: 0.9, adjusted: 0.85, outcome: 0 }
+        ]);
+
+        expect(report.overall.count).toBe(3);
+        expect(report.overall.market.brier).toBeCloseTo((0.09 + 0.16 + 0.81) / 3, 6);
+        expect(report.overall.adjusted.brier).toBeCloseTo((0.04 + 0.09 + 0.7225) / 3, 6);
+        expect(report.overall.adjustedSkill.brierSkill).toBeGreaterThan(0);
+        expect(report.byCategory.map(c => [c.category, c.count])).toEqual([['Politics', 2], ['Sports', 1]]);
+        expect(report.byCategory[0].market.reliability).toHaveLength(10);
+    });
+});
+
+describe('getCalibrationReport', () => {
+    const articles = [
+        { id: 'a1', eventId: 'e1', category: 'Politics', resolved: true, resolvedAt: '2026-03-02T00:00:00Z' },
+        { id: 'a2', eventId: 'e2', category: 'Sports', resolved: true, resolvedAt: '2026-03-02T00:00:00Z', format: 'multi-outcome' },
+        { id: 'a3', eventId: 'e3', category: 'Sports', resolved: false },
+        { id: 'a4', eventId: 'e4', category: 'Sports', resolved: true, resolvedAt: '2026-03-02T00:00:00Z' }
+    ];
+    const snapshots = {
+        a1: [
+            { kind: 'interval', recordedAt: '2026-02-20T00:00:00Z', marketProbability: 0.6, adjustedProbability: 0.65 },
+            { kind: 'close', recordedAt: '2026-03-01T00:00:00Z', marketProbability: 0.8, adjustedProbability: 0.9 },
+            { kind: 'interval', recordedAt: '2026-03-03T00:00:00Z', marketProbability: 1, adjustedProbability: 1 }
+        ]
+    };
+
+    beforeEach(() => {
+        db.articles.getAll.mockResolvedValue(articles);
+        db.probabilitySnapshots.getByArticleId.mockImplementation(async id => snapshots[id] || []);
+        db.events.getById.mockImplementation(async id => ({ id, resolvedMarketId: `m-${id}` }));
+        db.resolutions.getByMarketId.mockImplementation(async marketId => ({
+            marketId,
+            payouts: [{ outcome: 'Yes', payout: 1 }, { outcome: 'No', payout: 0 }]
+        }));
+        db.resolutions.getByEventId.mockResolvedValue([]);
+    });
+
+    test('scores the close snapshot of each resolved binary article', async () => {
+        const report = await getCalibrationReport();
+
+        expect(report.resolvedArticles).toBe(3);
+        expect(report.excluded).toEqual({ multiOutcome: 0, noSnapshots: 2, noOutcome: 0 });
+        expect(report.overall.count).toBe(1);
+        expect(report.overall.market.brier).toBeCloseTo(0.04, 6);
+        expect(report.overall.adjusted.brier).toBeCloseTo(0.01, 6);
+    });
+
+    test('scores multi-outcome snapshots on whether the named leader won the field', async () => {
+        db.articles.getAll.mockResolvedValue([
+            { id: 'f1', eventId: 'e5', format: 'multi-outcome', resolved: true, resolvedAt: '2026-03-02T00:00:00Z', winningOutcome: 'Scholz' },
+            { id: 'f2', eventId: 'e6', format: 'multi-outcome', resolved: true, resolvedAt: '2026-03-02T00:00:00Z', winningOutcome: 'Merz' }
+        ]);
+        db.probabilitySnapshots.getByArticleId.mockImplementation(async id => ({
+            f1: [
+                { kind: 'interval', recordedAt: '2026-02-20T00:00:00Z', outcome: 'Merz', marketProbability: 0.5 },
+                { kind: 'interval', recordedAt: '2026-02-25T00:00:00Z', outcome: 'Scholz', marketProbability: 0.4 }
+            ],
+            // Recorded before snapshots named the leader
+            f2: [{ kind: 'interval', recordedAt: '2026-02-20T00:00:00Z', marketProbability: 0.5 }]
+        })[id]);
+
+        const report = await getCalibrationReport({ horizon: 'all' });
+
+        expect(report.excluded).toEqual({ multiOutcome: 1, noSnapshots: 0, noOutcome: 0 });
+        expect(report.overall.count).toBe(2);
+        // Merz at 0.5 lost, Scholz at 0.4 won
+        expect(report.overall.market.brier).toBeCloseTo((0.25 + 0.36) / 2, 6);
+    });
+
+    test('uses every snapshot before resolution for the all horizon', async () => {
+        const report = await getCalibrationReport({ horizon: 'all', bins: 5 });
+
+        expect(report.horizon).toBe('all');
+        expect(report.overall.count).toBe(2);
+        expect(report.overall.market.reliability).toHaveLength(5);
+    });
+});
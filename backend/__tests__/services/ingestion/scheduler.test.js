@@ -0,0 +1,173 @@
+// Tests for the Ingestion Job Scheduler
+
+jest.mock('../../../config', () => ({
+    ingestion: {
+        enabled: true,
+        historySize: 3,
+        eventSync: {
+            intervalMs: 60000,
+            initialDelayMs: 3000,
+            limit: 500,
+            minDaysUntilResolution: 1,
+            maxDaysUntilResolution: 30
+        }
+    }
+}));
+
+jest.mock('../../../services/ingestion/sync', () => ({
+    syncEvents: jest.fn(),
+    syncMarkets: jest.fn(),
+    loadWhaleHistory: jest.fn(),
+    backfillWallets: jest.fn()
+}));
+
+const { JobScheduler, defaultJobs } = require('../../../services/ingestion/scheduler');
+const config = require('../../../config');
+
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+describe('JobScheduler', () => {
+    let scheduler;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        scheduler?.stop();
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('records a run with its metrics and merged params', async () => {
+        const run = jest.fn(async (params, metrics) => {
+            metrics.fetched = 12;
+            metrics.newEvents = 2;
+        });
+        scheduler = new JobScheduler({
+            jobs: [{ name: 'sync', metrics: ['fetched', 'newEvents', 'errors'], params: { limit: 500, maxDays: 30 }, run }]
+        });
+
+        const result = await scheduler.runJob('sync', { params: { limit: 10 } });
+
+        expect(run).toHaveBeenCalledWith({ limit: 10, maxDays: 30 }, expect.any(Object));
+        expect(result).toMatchObject({
+            job: 'sync',
+            trigger: 'manual',
+            status: 'succeeded',
+            metrics: { fetched: 12, newEvents: 2, errors: 0 },
+            error: null
+        });
+        expect(result.durationMs).toBeGreaterThanOrEqual(0);
+        expect(scheduler.getRuns()).toEqual([result]);
+        expect(scheduler.getJobs()[0]).toMatchObject({ name: 'sync', running: false, runCount: 1, lastRun: result });
+    });
+
+    test('skips a run while the same job is still running', async () => {
+        const gate = deferred();
+        const run = jest.fn(() => gate.promise);
+        scheduler = new JobScheduler({ jobs: [{ name: 'sync', run }] });
+
+        const first = scheduler.runJob('sync', { trigger: 'schedule' });
+        expect(scheduler.isRunning('sync')).toBe(true);
+
+        const second = await scheduler.runJob('sync', { trigger: 'schedule' });
+        expect(second).toBeNull();
+        expect(run).toHaveBeenCalledTimes(1);
+        expect(scheduler.getJobs()[0].skippedRuns).toBe(1);
+
+        gate.resolve();
+        await first;
+
+        expect(scheduler.isRunning('sync')).toBe(false);
+        expect(await scheduler.runJob('sync')).not.toBeNull();
+    });
+
+    test('keeps partial metrics and the error when a run fails', async () => {
+        scheduler = new JobScheduler({
+            jobs: [{
+                name: 'sync',
+                metrics: ['fetched', 'errors'],
+                run: async (params, metrics) => {
+                    metrics.fetched = 4;
+                    throw new Error('Polymarket API error: 503');
+                }
+            }]
+        });
+
+        const result = await scheduler.runJob('sync');
+
+        expect(result).toMatchObject({
+            status: 'failed',
+            error: 'Polymarket API error: 503',
+            metrics: { fetched: 4, errors: 1 }
+        });
+        expect(scheduler.isRunning('sync')).toBe(false);
+    });
+
+    test('keeps the newest runs up to historySize, filterable by job', async () => {
+        scheduler = new JobScheduler({
+            jobs: [{ name: 'a', run: jest.fn() }, { name: 'b', run: jest.fn() }]
+        });
+
+        for (const name of ['a', 'b', 'a', 'b', 'a']) {
+            await scheduler.runJob(name);
+        }
+
+        expect(scheduler.getRuns().map(r => r.id)).toEqual([5, 4, 3]);
+        expect(scheduler.getRuns({ job: 'a' }).map(r => r.id)).toEqual([5, 3]);
+        expect(scheduler.getRuns({ limit: 1 }).map(r => r.id)).toEqual([5]);
+    });
+
+    test('rejects unknown jobs and duplicate names', async () => {
+        scheduler = new JobScheduler({ jobs: [{ name: 'sync', run: jest.fn() }] });
+
+        await expect(scheduler.runJob('missing')).rejects.toThrow('Unknown job: missing');
+        expect(() => scheduler.register({ name: 'sync', run: jest.fn() })).toThrow('Job already registered');
+    });
+
+    test('start runs startup jobs once and scheduled jobs on their interval', async () => {
+        jest.useFakeTimers();
+        const scheduled = jest.fn();
+        const startup = jest.fn();
+        const manual = jest.fn();
+        scheduler = new JobScheduler({
+            config: { historySize: 10 },
+            jobs: [
+                { name: 'scheduled', intervalMs: 1000, run: scheduled },
+                { name: 'startup', initialDelayMs: 500, run: startup },
+                { name: 'manual', run: manual }
+            ]
+        });
+
+        scheduler.start();
+        await jest.advanceTimersByTimeAsync(3500);
+
+        expect(scheduled).toHaveBeenCalledTimes(3);
+        expect(startup).toHaveBeenCalledTimes(1);
+        expect(manual).not.toHaveBeenCalled();
+        expect(scheduler.getRuns({ job: 'startup' })[0].trigger).toBe('startup');
+
+        scheduler.stop();
+        await jest.advanceTimersByTimeAsync(5000);
+        expect(scheduled).toHaveBeenCalledTimes(3);
+    });
+
+    test('default jobs use the configured event sync schedule and options', () => {
+        const jobs = defaultJobs(config.ingestion);
+        const eventSync = jobs.find(job => job.name === 'event-sync');
+
+        expect(jobs.map(job => job.name)).toEqual(['event-sync', 'market-sync', 'whale-history', 'wallet-backfill']);
+        expect(eventSync).toMatchObject({
+            intervalMs: 60000,
+            initialDelayMs: 3000,
+            params: { limit: 500, minDaysUntilResolution: 1, maxDaysUntilResolution: 30 }
+        });
+        expect(jobs.find(job => job.name === 'market-sync').intervalMs).toBe(0);
+    });
+});
@@ -0,0 +1,165 @@
+// Tests for Polymarket event sync
+
+jest.mock('../../../config', () => ({}));
+
+const mockDb = {
+    events: {
+        getById: jest.fn(),
+        upsert: jest.fn()
+    },
+    articles: {
+        getByEventId: jest.fn()
+    },
+    predictions: {
+        getLatestByEventId: jest.fn()
+    }
+};
+
+const mockStreamProcessor = {
+    subscriptions: new Set(),
+    subscribeToMarket: jest.fn(tokenId => mockStreamProcessor.subscriptions.add(tokenId))
+};
+
+jest.mock('../../../db', () => mockDb);
+jest.mock('../../../services/polymarket/client', () => ({ fetchEvents: jest.fn(), fetchMarkets: jest.fn() }));
+jest.mock('../../../services/prediction/engine', () => ({ calculatePrediction: jest.fn() }));
+jest.mock('../../../services/article/generator', () => ({ createArticle: jest.fn(), reviseArticle: jest.fn() }));
+jest.mock('../../../services/pipeline/stream-processor', () => ({ streamProcessor: mockStreamProcessor }));
+jest.mock('../../../services/orderbook/asset-registry', () => ({ assetRegistry: { register: jest.fn() } }));
+jest.mock('../../../services/orderbook/probability-adjuster', () => ({ probabilityAdjuster: {} }));
+jest.mock('../../../services/wallet/backfill', () => ({ walletBackfill: { run: jest.fn() } }));
+
+const polymarket = require('../../../services/polymarket/client');
+const { createArticle, reviseArticle } = require('../../../services/article/generator');
+const { assetRegistry } = require('../../../services/orderbook/asset-registry');
+const { syncEvents, pickPrimaryMarket, getFieldOutcomes } = require('../../../services/ingestion/sync');
+
+function event(id, markets) {
+    return {
+        id,
+        slug: `event-${id}`,
+        title: `Event ${id}`,
+        category: 'Politics',
+        markets: markets.map(([marketId, totalVolume]) => ({
+            id: marketId,
+            question: `Market ${marketId}?`,
+            probability: 0.5,
+            totalVolume,
+            outcomes: [{ name: 'Yes' }, { name: 'No' }],
+            rawData: { clobTokenIds: `["${marketId}-yes", "${marketId}-no"]` }
+        }))
+    };
+}
+
+function emptyMetrics() {
+    return { fetched: 0, newEvents: 0, newArticles: 0, revisedArticles: 0, newSubscriptions: 0, errors: 0 };
+}
+
+describe('syncEvents', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockStreamProcessor.subscriptions.clear();
+
+        mockDb.events.getById.mockResolvedValue(null);
+        mockDb.articles.getByEventId.mockResolvedValue(null);
+        mockDb.predictions.getLatestByEventId.mockResolvedValue(null);
+        createArticle.mockImplementation(async (e) => ({ id: `article-${e.id}` }));
+        reviseArticle.mockImplementation(async (e) => ({ id: `article-${e.id}`, revision: 1 }));
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
+    });
+
+    test('creates events and articles and subscribes every market of the event', async () => {
+        polymarket.fetchEvents.mockResolvedValue([event('e1', [['m1', 100], ['m2', 900]])]);
+
+        const metrics = await syncEvents({ limit: 500 }, emptyMetrics());
+
+        expect(polymarket.fetchEvents).toHaveBeenCalledWith({ limit: 500 });
+        expect(metrics).toEqual({ fetched: 1, newEvents: 1, newArticles: 1, revisedArticles: 0, newSubscriptions: 4, errors: 0 });
+
+        // Article built from the primary (highest volume) market
+        expect(mockDb.events.upsert).toHaveBeenCalledWith(expect.objectContaining({ id: 'e1', resolved: false }));
+        expect(createArticle.mock.calls[0][0]).toMatchObject({ id: 'e1', question: 'Event e1', totalVolume: 900 });
+        expect(assetRegistry.register).toHaveBeenCalledWith('m2-no', expect.objectContaining({
+            eventId: 'e1',
+            marketId: 'm2',
+            outcome: 'No',
+            outcomeIndex: 1
+        }));
+    });
+
+    test('skips resolved events and counts only new events, articles and subscriptions', async () => {
+        polymarket.fetchEvents.mockResolvedValue([event('resolved', [['m1', 1]]), event('known', [['m2', 1]])]);
+        mockDb.events.getById.mockImplementation(async id => ({ id, resolved: id === 'resolved' }));
+        mockDb.articles.getByEventId.mockResolvedValue({ id: 'article-known' });
+        mockStreamProcessor.subscriptions.add('m2-yes');
+
+        const metrics = await syncEvents({}, emptyMetrics());
+
+        expect(metrics).toEqual({ fetched: 2, newEvents: 0, newArticles: 0, revisedArticles: 0, newSubscriptions: 1, errors: 0 });
+        expect(mockDb.events.upsert).toHaveBeenCalledTimes(1);
+        expect(createArticle).not.toHaveBeenCalled();
+    });
+
+    test('revises existing articles at the latest probability', async () => {
+        polymarket.fetchEvents.mockResolvedValue([event('e1', [['m1', 1]])]);
+        mockDb.articles.getByEventId.mockResolvedValue({ id: 'article-e1', revision: 1 });
+        mockDb.predictions.getLatestByEventId.mockResolvedValue({ adjustedProbability: 0.3 });
+        reviseArticle.mockResolvedValue({ id: 'article-e1', revision: 2 });
+
+        const metrics = await syncEvents({}, emptyMetrics());
+
+        expect(reviseArticle).toHaveBeenCalledWith(expect.objectContaining({ id: 'e1' }), 0.3);
+        expect(metrics).toMatchObject({ newArticles: 0, revisedArticles: 1 });
+    });
+
+    test('does not subscribe events whose article was filtered out', async () => {
+        polymarket.fetchEvents.mockResolvedValue([event('e1', [['m1', 1]])]);
+        createArticle.mockResolvedValue(null);
+
+        const metrics = await syncEvents({}, emptyMetrics());
+
+        expect(metrics.newArticles).toBe(0);
+        expect(mockStreamProcessor.subscribeToMarket).not.toHaveBeenCalled();
+    });
+
+    test('counts a failing event as an error and keeps going', async () => {
+        polymarket.fetchEvents.mockResolvedValue([event('bad', [['m1', 1]]), event('good', [['m2', 1]])]);
+        mockDb.events.upsert.mockImplementation(async e => {
+            if (e.id === 'bad') throw new Error('write failed');
+        });
+
+        const metrics = await syncEvents({}, emptyMetrics());
+
+        expect(metrics).toMatchObject({ fetched: 2, newEvents: 1, newArticles: 1, errors: 1 });
+    });
+
+    test('pickPrimaryMarket prefers volume, then probability', () => {
+        expect(pickPrimaryMarket([])).toBeNull();
+        expect(pickPrimaryMarket([
+            { id: 'a', totalVolume: 100, probability: 0.2 },
+            { id: 'b', totalVolume: 100, probability: 0.6 }
+        ]).id).toBe('b');
+    });
+
+    test('passes negative-risk events to the generator as a field of outcomes', async () => {
+        const field = event('e1', [['m1', 100], ['m2', 900], ['m3', 50]]);
+        field.markets.forEach((market, i) => {
+            market.probability = [0.5, 0.3, 0.2][i];
+            market.rawData = { ...market.rawData, negRisk: true, groupItemTitle: `Candidate ${i + 1}` };
+        });
+        polymarket.fetchEvents.mockResolvedValue([field]);
+
+        await syncEvents({}, emptyMetrics());
+
+        expect(createArticle.mock.calls[0][0].outcomes).toEqual([
+            { name: 'Candidate 1', probability: 0.5, marketId: 'm1' },
+            { name: 'Candidate 2', probability: 0.3, marketId: 'm2' },
+            { name: 'Candidate 3', probability: 0.2, marketId: 'm3' }
+        ]);
+        expect(getFieldOutcomes(event('e2', [['m1', 1], ['m2', 1]]))).toBeNull();
+    });
+});
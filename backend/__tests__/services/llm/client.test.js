@@ -0,0 +1,204 @@
+// Tests for the LLM client and its providers
+
+jest.mock('../../../config', () => ({}));
+
+const { LlmClient, createProvider } = require('../../../services/llm');
+const StubProvider = require('../../../services/llm/providers/stub');
+const OpenAIProvider = require('../../../services/llm/providers/openai');
+const AnthropicProvider = require('../../../services/llm/providers/anthropic');
+
+function httpError(status) {
+    const error = new Error(`HTTP ${status}`);
+    error.status = status;
+    return error;
+}
+
+function fakeProvider(outcomes) {
+    return {
+        name: 'fake',
+        model: 'fake-1',
+        isConfigured: () => true,
+        complete: jest.fn(async () => {
+            const next = outcomes.shift();
+            if (next instanceof Error) throw next;
+            return { text: next, model: 'fake-1', usage: { inputTokens: 10, outputTokens: 5 } };
+        })
+    };
+}
+
+describe('LlmClient', () => {
+    let sleep;
+
+    beforeEach(() => {
+        sleep = jest.fn(async () => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    test('retries transient failures with exponential backoff', async () => {
+        const provider = fakeProvider([httpError(429), new Error('socket hang up'), 'done']);
+        const client = new LlmClient(provider, { maxRetries: 2, retryDelayMs: 100, sleep });
+
+        const result = await client.complete({ purpose: 'article', prompt: 'Hello' });
+
+        expect(result).toMatchObject({ text: 'done', provider: 'fake', model: 'fake-1', attempts: 3 });
+        expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([100, 200]);
+        expect(provider.complete).toHaveBeenCalledWith(expect.objectContaining({
+            messages: [{ role: 'user', content: 'Hello' }],
+            maxTokens: 1000
+        }));
+    });
+
+    test('does not retry client errors and gives up after maxRetries', async () => {
+        const badRequest = new LlmClient(fakeProvider([httpError(400), 'unused']), { sleep });
+        await expect(badRequest.complete({ prompt: 'x' })).rejects.toThrow('HTTP 400');
+        expect(sleep).not.toHaveBeenCalled();
+
+        const overloaded = new LlmClient(fakeProvider([httpError(529), httpError(503)]), { maxRetries: 1, sleep });
+        await expect(overloaded.complete({ prompt: 'x' })).rejects.toThrow('HTTP 503');
+        expect(overloaded.getUsage().totals).toMatchObject({ requests: 1, failures: 1, retries: 1 });
+    });
+
+    test('accounts tokens per model and per purpose', async () => {
+        const client = new LlmClient(fakeProvider(['a', 'b', httpError(400)]), { sleep });
+
+        await client.complete({ purpose: 'article', prompt: 'x' });
+        await client.complete({ purpose: 'related-summary', prompt: 'y' });
+        await client.complete({ purpose: 'article', prompt: 'z' }).catch(() => {});
+
+        const usage = client.getUsage();
+        expect(usage).toMatchObject({ provider: 'fake', model: 'fake-1', configured: true });
+        expect(usage.totals).toEqual({ requests: 3, failures: 1, retries: 0, inputTokens: 20, outputTokens: 10 });
+        expect(usage.byModel).toEqual([
+            { provider: 'fake', model: 'fake-1', requests: 3, failures: 1, retries: 0, inputTokens: 20, outputTokens: 10 }
+        ]);
+        expect(usage.byPurpose.map(p => [p.purpose, p.requests, p.inputTokens])).toEqual([
+            ['article', 2, 10],
+            ['related-summary', 1, 10]
+        ]);
+
+        client.resetUsage();
+        expect(client.getUsage().totals.requests).toBe(0);
+    });
+
+    test('refuses to run without a configured provider', async () => {
+        const client = new LlmClient(null);
+
+        expect(client.isConfigured()).toBe(false);
+        expect(client.providerName).toBe('none');
+        await expect(client.complete({ prompt: 'x' })).rejects.toThrow('No LLM provider configured');
+    });
+
+    test('createProvider picks the provider and its model from config', () => {
+        const llmConfig = {
+            anthropic: { apiKey: 'a', model: 'claude-x' },
+            openai: { apiKey: 'o', model: 'gpt-x' },
+            stub: { fixtures: [] }
+        };
+
+        expect(createProvider({ ...llmConfig, provider: 'anthropic' })).toMatchObject({ name: 'anthropic', model: 'claude-x' });
+        expect(createProvider({ ...llmConfig, provider: 'openai' })).toMatchObject({ name: 'openai', model: 'gpt-x' });
+        expect(createProvider({ ...llmConfig, provider: 'stub' })).toMatchObject({ name: 'stub' });
+        expect(createProvider({ ...llmConfig, provider: 'none' })).toBeNull();
+    });
+});
+
+describe('StubProvider', () => {
+    test('answers from the first matching fixture and fills placeholders', async () => {
+        const stub = new StubProvider({
+            fixtures: [
+                { purpose: 'article', match: 'Election', response: { headline: '{{headline}}', quoted: 'Say "{{headline}}"' } },
+                { purpose: 'article', response: 'generic' }
+            ]
+        });
+
+        const specific = await stub.complete({
+            purpose: 'article',
+            messages: [{ role: 'user', content: 'Election night' }],
+            vars: { headline: 'Incumbent "wins"' }
+        });
+        expect(JSON.parse(specific.text)).toEqual({ headline: 'Incumbent "wins"', quoted: 'Say "Incumbent "wins""' });
+        expect(specific.usage.outputTokens).toBeGreaterThan(0);
+
+        const generic = await stub.complete({ purpose: 'article', messages: [{ role: 'user', content: 'Rates' }] });
+        expect(generic.text).toBe('generic');
+
+        await expect(stub.complete({ purpose: 'other', messages: [{ role: 'user', content: 'x' }] }))
+            .rejects.toMatchObject({ retryable: false });
+    });
+
+    test('loads the bundled default fixtures', async () => {
+        const stub = new StubProvider({ fixturesPath: 'services/llm/fixtures/default.json' });
+
+        const result = await stub.complete({
+            purpose: 'article',
+            messages: [{ role: 'user', content: 'prompt' }],
+            vars: { headline: 'Treaty passes', category: 'World' }
+        });
+
+        expect(JSON.parse(result.text)).toMatchObject({ headline: 'Treaty passes', category: 'World', isMeaningful: true });
+    });
+});
+
+describe('OpenAIProvider', () => {
+    test('sends chat completions and maps usage', async () => {
+        const fetch = jest.fn(async () => ({
+            ok: true,
+            json: async () => ({
+                model: 'gpt-4o-mini-2024',
+                choices: [{ message: { content: 'Hi' } }],
+                usage: { prompt_tokens: 12, completion_tokens: 3 }
+            })
+        }));
+        const provider = new OpenAIProvider({ apiKey: 'key', model: 'gpt-4o-mini', baseUrl: 'https://llm.test/v1/', fetch });
+
+        const result = await provider.complete({ system: 'Be brief', messages: [{ role: 'user', content: 'Hello' }], maxTokens: 10, temperature: 0 });
+
+        expect(result).toEqual({ text: 'Hi', model: 'gpt-4o-mini-2024', usage: { inputTokens: 12, outputTokens: 3 } });
+        const [url, request] = fetch.mock.calls[0];
+        expect(url).toBe('https://llm.test/v1/chat/completions');
+        expect(request.headers.Authorization).toBe('Bearer key');
+        expect(JSON.parse(request.body)).toEqual({
+            model: 'gpt-4o-mini',
+            messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hello' }],
+            max_tokens: 10,
+            temperature: 0
+        });
+    });
+
+    test('surfaces the HTTP status for retry decisions', async () => {
+        const fetch = jest.fn(async () => ({ ok: false, status: 429, text: async () => 'rate limited' }));
+        const provider = new OpenAIProvider({ apiKey: 'key', model: 'gpt-4o-mini', fetch });
+
+        await expect(provider.complete({ messages: [] })).rejects.toMatchObject({ status: 429 });
+    });
+});
+
+describe('AnthropicProvider', () => {
+    test('calls the Messages API and maps usage', async () => {
+        const client = {
+            messages: {
+                create: jest.fn(async () => ({
+                    model: 'claude-test',
+                    content: [{ type: 'text', text: 'Hello' }],
+                    usage: { input_tokens: 7, output_tokens: 2 }
+                }))
+            }
+        };
+        const provider = new AnthropicProvider({ model: 'claude-test', client });
+
+        const result = await provider.complete({ system: 'sys', messages: [{ role: 'user', content: 'Hi' }], maxTokens: 50, temperature: 0.5 });
+
+        expect(result).toEqual({ text: 'Hello', model: 'claude-test', usage: { inputTokens: 7, outputTokens: 2 } });
+        expect(client.messages.create).toHaveBeenCalledWith({
+            model: 'claude-test',
+            system: 'sys',
+            messages: [{ role: 'user', content: 'Hi' }],
+            max_tokens: 50,
+            temperature: 0.5
+        });
+    });
+});
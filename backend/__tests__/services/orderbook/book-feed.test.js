@@ -0,0 +1,166 @@
+/**
+ * Tests for OrderBookFeed (snapshot + delta push)
+ */
+
+const { OrderBookManager } = require('../../../services/orderbook/order-book-manager');
+const { AssetRegistry } = require('../../../services/orderbook/asset-registry');
+const { OrderBookFeed, diffLevels } = require('../../../services/orderbook/book-feed');
+const { OrderBook } = require('../../../services/orderbook/order-book');
+const { bookSnapshot, priceChangeMessages } = require('../../fixtures/orderbooks');
+
+const ASSET = bookSnapshot.asset_id;
+
+// Rebuild a book from the messages a client received
+function applyMessages(messages) {
+    const book = new OrderBook(ASSET);
+    for (const message of messages) {
+        if (message.type === 'snapshot') {
+            book.initializeFromSnapshot(message);
+        } else if (message.type === 'delta') {
+            book.applyPriceChanges(message.changes);
+        }
+    }
+    return book;
+}
+
+describe('OrderBookFeed', () => {
+    let manager;
+    let registry;
+    let feed;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        manager = new OrderBookManager();
+        registry = new AssetRegistry();
+        feed = new OrderBookFeed({ manager, registry });
+        feed.start();
+    });
+
+    afterEach(() => {
+        feed.stop();
+    });
+
+    test('sends a snapshot with event metadata on subscribe', () => {
+        registry.register(ASSET, { eventId: 'event-1', eventTitle: 'Will it rain?', outcome: 'Yes' });
+        manager.handleBookSnapshot(bookSnapshot);
+
+        const send = jest.fn();
+        feed.subscribe(ASSET, send);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        const snapshot = send.mock.calls[0][0];
+        expect(snapshot).toMatchObject({
+            type: 'snapshot',
+            assetId: ASSET,
+            seq: 0,
+            eventTitle: 'Will it rain?',
+            outcome: 'Yes',
+            hash: 'snapshot_hash_abc123'
+        });
+        expect(snapshot.bids[0]).toEqual({ price: 0.6, size: 1000 });
+        expect(snapshot.stats.bidLevels).toBe(3);
+    });
+
+    test('sends pending, then a snapshot once the book initializes', () => {
+        const send = jest.fn();
+        feed.subscribe(ASSET, send);
+        manager.handleBookSnapshot(bookSnapshot);
+
+        expect(send.mock.calls.map(([m]) => m.type)).toEqual(['pending', 'snapshot']);
+    });
+
+    test('sends numbered deltas that rebuild the book', () => {
+        manager.handleBookSnapshot(bookSnapshot);
+        const send = jest.fn();
+        feed.subscribe(ASSET, send);
+
+        manager.handlePriceChange(priceChangeMessages);
+        manager.handlePriceChange({ asset_id: ASSET, price: '0.64', size: '250', side: 'SELL' });
+
+        const messages = send.mock.calls.map(([m]) => m);
+        expect(messages.map(m => [m.type, m.seq])).toEqual([['snapshot', 0], ['delta', 1], ['delta', 2]]);
+        expect(messages[1].changes).toEqual(expect.arrayContaining([
+            { side: 'BUY', price: 0.595, size: 500 },
+            { side: 'BUY', price: 0.6, size: 1500 },
+            { side: 'SELL', price: 0.61, size: 0 }
+        ]));
+
+        const rebuilt = applyMessages(messages);
+        expect(rebuilt.getFullBook().bids).toEqual(manager.getOrderBook(ASSET).getFullBook().bids);
+        expect(rebuilt.getFullBook().asks).toEqual(manager.getOrderBook(ASSET).getFullBook().asks);
+        expect(messages[2].stats.spread).toBeCloseTo(0.02, 6);
+    });
+
+    test('diffs a replacement snapshot into a delta', () => {
+        manager.handleBookSnapshot(bookSnapshot);
+        const send = jest.fn();
+        feed.subscribe(ASSET, send);
+
+        manager.handleBookSnapshot({
+            ...bookSnapshot,
+            bids: [{ price: '0.60', size: '1000' }],
+            asks: [{ price: '0.62', size: '2000' }]
+        });
+
+        const delta = send.mock.calls[1][0];
+        expect(delta.type).toBe('delta');
+        expect(delta.changes).toHaveLength(4);
+        expect(delta.changes.every(c => c.size === 0)).toBe(true);
+    });
+
+    test('skips updates that change nothing', () => {
+        manager.handleBookSnapshot(bookSnapshot);
+        const send = jest.fn();
+        feed.subscribe(ASSET, send);
+
+        manager.handleBookSnapshot(bookSnapshot);
+
+        expect(send).toHaveBeenCalledTimes(1);
+    });
+
+    test('late subscribers start at the current sequence', () => {
+        manager.handleBookSnapshot(bookSnapshot);
+        const first = jest.fn();
+        feed.subscribe(ASSET, first);
+        manager.handlePriceChange(priceChangeMessages);
+
+        const second = jest.fn();
+        feed.subscribe(ASSET, second);
+        manager.handlePriceChange({ asset_id: ASSET, price: '0.64', size: '250', side: 'SELL' });
+
+        expect(second.mock.calls.map(([m]) => [m.type, m.seq])).toEqual([['snapshot', 1], ['delta', 2]]);
+    });
+
+    test('unsubscribe stops messages and drops idle assets', () => {
+        manager.handleBookSnapshot(bookSnapshot);
+        const send = jest.fn();
+        feed.subscribe(ASSET, send);
+        feed.unsubscribeAll(send);
+
+        manager.handlePriceChange(priceChangeMessages);
+
+        expect(send).toHaveBeenCalledTimes(1);
+        expect(feed.getStatus()).toMatchObject({ assets: 0, subscriptions: 0 });
+    });
+
+    test('ignores assets nobody subscribed to', () => {
+        manager.handleBookSnapshot(bookSnapshot);
+        manager.handlePriceChange(priceChangeMessages);
+
+        expect(feed.getStatus()).toMatchObject({ snapshotsSent: 0, deltasSent: 0 });
+    });
+});
+
+describe('diffLevels', () => {
+    test('reports added, changed and removed levels', () => {
+        const previous = new Map([[0.5, 100], [0.49, 200]]);
+        const next = new Map([[0.5, 150], [0.48, 50]]);
+
+        expect(diffLevels(previous, next, 'BUY')).toEqual([
+            { side: 'BUY', price: 0.5, size: 150 },
+            { side: 'BUY', price: 0.48, size: 50 },
+            { side: 'BUY', price: 0.49, size: 0 }
+        ]);
+    });
+});
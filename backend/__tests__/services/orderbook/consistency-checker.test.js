@@ -0,0 +1,148 @@
+/**
+ * Tests for ConsistencyChecker (sibling outcome sums and Yes/No mirror books)
+ */
+
+const mockDb = {
+    signals: {
+        create: jest.fn().mockResolvedValue({})
+    }
+};
+
+jest.mock('../../../db', () => mockDb);
+
+const { OrderBookManager } = require('../../../services/orderbook/order-book-manager');
+const { AssetRegistry } = require('../../../services/orderbook/asset-registry');
+const { ConsistencyChecker, SIGNAL_TYPE } = require('../../../services/orderbook/consistency-checker');
+
+const EVENT = 'event-1';
+
+// Register a market's Yes/No tokens and load one-level books for them
+function addMarket(manager, registry, marketId, { yes, no, negRisk = true }) {
+    const sides = [['Yes', yes], ['No', no]];
+    sides.forEach(([outcome, quote], outcomeIndex) => {
+        if (!quote) return;
+        const tokenId = `${marketId}-${outcome.toLowerCase()}`;
+        registry.register(tokenId, {
+            eventId: EVENT,
+            eventTitle: 'Who will win?',
+            outcome,
+            outcomeIndex,
+            marketId,
+            marketQuestion: `Will ${marketId} win?`,
+            negRisk
+        });
+        manager.handleBookSnapshot({
+            asset_id: tokenId,
+            bids: [{ price: String(quote[0]), size: '100' }],
+            asks: [{ price: String(quote[1]), size: '100' }]
+        });
+    });
+}
+
+describe('ConsistencyChecker', () => {
+    let manager;
+    let registry;
+    let checker;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        mockDb.signals.create.mockClear();
+        manager = new OrderBookManager();
+        registry = new AssetRegistry();
+        checker = new ConsistencyChecker({
+            manager,
+            registry,
+            config: { sumTolerance: 0.05, mirrorTolerance: 0.03, minArbSpread: 0.005 }
+        });
+    });
+
+    test('passes a negative-risk event whose outcomes sum to 1', () => {
+        addMarket(manager, registry, 'alice', { yes: [0.49, 0.51], no: [0.49, 0.51] });
+        addMarket(manager, registry, 'bob', { yes: [0.29, 0.31], no: [0.69, 0.71] });
+        addMarket(manager, registry, 'carol', { yes: [0.19, 0.21], no: [0.79, 0.81] });
+
+        const report = checker.checkEvent(EVENT);
+
+        expect(report).toMatchObject({ negRisk: true, complete: true, impliedSum: 1, arbSpread: 0, inconsistent: false });
+        expect(report.markets.map(m => m.probability)).toEqual([0.5, 0.3, 0.2]);
+    });
+
+    test('flags an implied sum far from 1 and the buy-every-Yes arbitrage', () => {
+        addMarket(manager, registry, 'alice', { yes: [0.39, 0.40] });
+        addMarket(manager, registry, 'bob', { yes: [0.24, 0.25] });
+        addMarket(manager, registry, 'carol', { yes: [0.19, 0.20] });
+
+        const report = checker.checkEvent(EVENT);
+
+        expect(report.inconsistent).toBe(true);
+        expect(report.impliedSum).toBeCloseTo(0.835, 4);
+        expect(report.arbSpread).toBeCloseTo(0.15, 4);
+        expect(report.issues).toEqual(expect.arrayContaining([
+            expect.objectContaining({ type: 'implied-sum' }),
+            expect.objectContaining({ type: 'arbitrage', strategy: 'buy-all-yes' })
+        ]));
+    });
+
+    test('does not sum outcomes of events that are not negative-risk', () => {
+        addMarket(manager, registry, 'rain', { yes: [0.69, 0.71], negRisk: false });
+        addMarket(manager, registry, 'snow', { yes: [0.59, 0.61], negRisk: false });
+
+        const report = checker.checkEvent(EVENT);
+
+        expect(report.impliedSum).toBeNull();
+        expect(report.inconsistent).toBe(false);
+    });
+
+    test('flags Yes/No books that are not mirrors', () => {
+        addMarket(manager, registry, 'alice', { yes: [0.59, 0.61], no: [0.29, 0.31], negRisk: false });
+
+        const report = checker.checkEvent(EVENT);
+
+        expect(report.markets[0].mirrorSum).toBeCloseTo(0.9, 4);
+        expect(report.issues).toEqual(expect.arrayContaining([
+            expect.objectContaining({ type: 'mirror', marketId: 'alice' }),
+            expect.objectContaining({ type: 'arbitrage', strategy: 'buy-yes-and-no', edge: 0.08 })
+        ]));
+    });
+
+    test('checkAll records one signal per new set of issues', async () => {
+        addMarket(manager, registry, 'alice', { yes: [0.59, 0.61], no: [0.29, 0.31], negRisk: false });
+        const listener = jest.fn();
+        checker.on('inconsistency', listener);
+
+        await checker.checkAll();
+        await checker.checkAll();
+
+        expect(mockDb.signals.create).toHaveBeenCalledTimes(1);
+        expect(mockDb.signals.create.mock.calls[0][0]).toMatchObject({
+            eventId: EVENT,
+            signalType: SIGNAL_TYPE,
+            severity: 'HIGH',
+            adjustment: 0
+        });
+        expect(listener).toHaveBeenCalledTimes(1);
+        expect(checker.getStatus()).toMatchObject({ checkedEvents: 1, inconsistentEvents: 1, signalsRecorded: 1 });
+    });
+
+    test('skips markets whose books are not loaded', () => {
+        registry.register('lonely-yes', { eventId: EVENT, outcomeIndex: 0, marketId: 'lonely', negRisk: true });
+        addMarket(manager, registry, 'alice', { yes: [0.49, 0.51] });
+
+        const report = checker.checkEvent(EVENT);
+
+        expect(report.complete).toBe(false);
+        expect(report.impliedSum).toBeNull();
+        expect(manager.hasOrderBook('lonely-yes')).toBe(false);
+    });
+
+    test('getEventSummary lists sibling probabilities for articles', () => {
+        addMarket(manager, registry, 'alice', { yes: [0.49, 0.51] });
+        addMarket(manager, registry, 'bob', { yes: [0.69, 0.71] });
+
+        const summary = checker.getEventSummary(EVENT);
+
+        expect(summary).toMatchObject({ inconsistent: true, impliedSum: 1.2, issues: ['implied-sum', 'arbitrage'] });
+        expect(summary.siblings.map(s => s.probability)).toEqual([0.5, 0.7]);
+        expect(checker.getEventSummary('missing')).toBeNull();
+    });
+});
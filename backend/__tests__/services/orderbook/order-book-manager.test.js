@@ -3,7 +3,7 @@
  */
 
 const { OrderBookManager } = require('../../../services/orderbook/order-book-manager');
-const { bookSnapshot, priceChangeMessages } = require('../../fixtures/orderbooks');
+const { bookSnapshot, priceChangeMessages, restBookSummary, polymarketHash, withHash } = require('../../fixtures/orderbooks');
 
 describe('OrderBookManager', () => {
     let manager;
@@ -356,4 +356,101 @@ describe('OrderBookManager', () => {
             expect(status.initializedCount).toBe(1);
         });
     });
+
+    describe('sync', () => {
+        const ASSET = restBookSummary.asset_id;
+        let fetchSnapshot;
+
+        // Price change in the current WebSocket format, carrying the hash of the resulting book
+        const priceChange = (hash) => ({
+            event_type: 'price_change',
+            market: restBookSummary.market,
+            timestamp: '1704067201000',
+            price_changes: [{ asset_id: ASSET, price: '0.595', size: '500', side: 'BUY', hash }]
+        });
+
+        const hashAfterChange = polymarketHash({
+            ...restBookSummary,
+            timestamp: '1704067201000',
+            bids: [...restBookSummary.bids.slice(0, 2), { price: '0.595', size: '500' }, restBookSummary.bids[2]]
+        });
+
+        beforeEach(() => {
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            fetchSnapshot = jest.fn().mockResolvedValue(withHash({ ...restBookSummary, timestamp: '1704067202000' }));
+            manager = new OrderBookManager({}, { fetchSnapshot });
+            manager.handleBookSnapshot(withHash(restBookSummary));
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        test('applies wrapped price_changes and keeps a matching book synced', () => {
+            manager.handlePriceChange(priceChange(hashAfterChange));
+
+            const orderBook = manager.getOrderBook(ASSET);
+            expect(orderBook.bids.get(0.595)).toBe(500);
+            expect(orderBook.isDesynced()).toBe(false);
+            expect(fetchSnapshot).not.toHaveBeenCalled();
+        });
+
+        test('resyncs from a fresh snapshot on a hash mismatch', async () => {
+            const desynced = jest.fn();
+            const resynced = jest.fn();
+            manager.on('desynced', desynced);
+            manager.on('resynced', resynced);
+
+            manager.handlePriceChange(priceChange('not-the-book-hash'));
+            expect(desynced).toHaveBeenCalledWith(ASSET, 'hash_mismatch');
+
+            await manager.resyncing.get(ASSET);
+
+            expect(fetchSnapshot).toHaveBeenCalledWith(ASSET);
+            expect(resynced).toHaveBeenCalledWith(ASSET);
+            expect(manager.getOrderBook(ASSET).isDesynced()).toBe(false);
+            expect(manager.getOrderBook(ASSET).bids.has(0.595)).toBe(false);
+            expect(manager.getStatus().sync).toMatchObject({ desyncedCount: 0, hashMismatches: 1, resyncs: 1 });
+        });
+
+        test('verifies the message hash of the older changes format', () => {
+            manager.handlePriceChange({
+                event_type: 'price_change',
+                asset_id: ASSET,
+                timestamp: '1704067201000',
+                hash: 'not-the-book-hash',
+                changes: [{ price: '0.595', size: '500', side: 'BUY' }]
+            });
+
+            expect(manager.getOrderBook(ASSET).isDesynced()).toBe(true);
+        });
+
+        test('does not verify when disabled', () => {
+            manager = new OrderBookManager({ verifyHashes: false }, { fetchSnapshot });
+            manager.handleBookSnapshot(withHash(restBookSummary));
+            manager.handlePriceChange(priceChange('not-the-book-hash'));
+
+            expect(manager.getOrderBook(ASSET).isDesynced()).toBe(false);
+        });
+
+        test('checkSync resyncs stale books', async () => {
+            manager.config.staleAfterMs = 1000;
+            manager.getOrderBook(ASSET).lastUpdateAt = Date.now() - 5000;
+
+            await expect(manager.checkSync()).resolves.toBe(1);
+            expect(fetchSnapshot).toHaveBeenCalledTimes(1);
+        });
+
+        test('keeps the book desynced when the snapshot fetch fails', async () => {
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+            fetchSnapshot.mockRejectedValue(new Error('rate limited'));
+
+            manager.handlePriceChange(priceChange('not-the-book-hash'));
+            await manager.resyncing.get(ASSET);
+
+            expect(manager.getOrderBook(ASSET).getSyncState()).toMatchObject({ state: 'desynced', reason: 'hash_mismatch' });
+            expect(manager.getStatus().sync.failedResyncs).toBe(1);
+        });
+    });
 });
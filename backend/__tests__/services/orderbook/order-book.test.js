@@ -3,6 +3,7 @@
  */
 
 const { OrderBook } = require('../../../services/orderbook/order-book');
+const { restBookSummary, polymarketHash, withHash } = require('../../fixtures/orderbooks');
 
 describe('OrderBook', () => {
     let orderBook;
@@ -502,4 +503,68 @@ describe('OrderBook', () => {
             expect(orderBook.sortedAskPrices).toEqual([0.61, 0.63, 0.65, 0.70]);
         });
     });
+
+    describe('hash verification', () => {
+        test('reproduces the snapshot hash', () => {
+            orderBook.initializeFromSnapshot(withHash(restBookSummary));
+
+            expect(orderBook.hashVerifiable).toBe(true);
+            expect(orderBook.getSyncState().state).toBe('synced');
+        });
+
+        test('matches the hash of the book after a change', () => {
+            orderBook.initializeFromSnapshot(withHash(restBookSummary));
+            orderBook.applyPriceChange({ price: '0.595', size: '500', side: 'BUY' });
+
+            const expected = polymarketHash({
+                ...restBookSummary,
+                timestamp: '1704067201000',
+                bids: [
+                    { price: '0.58', size: '3000' },
+                    { price: '0.59', size: '2000' },
+                    { price: '0.595', size: '500' },
+                    { price: '0.6', size: '1000' }
+                ]
+            });
+
+            expect(orderBook.verifyHash(expected, '1704067201000')).toBe(true);
+            expect(orderBook.hash).toBe(expected);
+        });
+
+        test('marks the book desynced on a mismatch', () => {
+            orderBook.initializeFromSnapshot(withHash(restBookSummary));
+            orderBook.applyPriceChange({ price: '0.595', size: '500', side: 'BUY' });
+
+            // Hash of the book as if the change never happened
+            const stale = polymarketHash({ ...restBookSummary, timestamp: '1704067201000' });
+
+            expect(orderBook.verifyHash(stale, '1704067201000')).toBe(false);
+            expect(orderBook.isDesynced()).toBe(true);
+            expect(orderBook.getSyncState()).toMatchObject({ state: 'desynced', reason: 'hash_mismatch', hashMismatches: 1 });
+        });
+
+        test('skips verification when the snapshot hash cannot be reproduced', () => {
+            orderBook.initializeFromSnapshot({ ...restBookSummary, hash: 'unknown-format' });
+
+            expect(orderBook.hashVerifiable).toBe(false);
+            expect(orderBook.verifyHash('anything', '1')).toBeNull();
+            expect(orderBook.isDesynced()).toBe(false);
+        });
+
+        test('a new snapshot clears the desynced state', () => {
+            orderBook.initializeFromSnapshot(withHash(restBookSummary));
+            orderBook.markDesynced('stale');
+            orderBook.initializeFromSnapshot(withHash(restBookSummary));
+
+            expect(orderBook.getSyncState()).toMatchObject({ state: 'synced', reason: null });
+        });
+
+        test('reports staleness from the last update', () => {
+            orderBook.initializeFromSnapshot(restBookSummary);
+            const now = orderBook.lastUpdateAt;
+
+            expect(orderBook.isStale(1000, now + 500)).toBe(false);
+            expect(orderBook.isStale(1000, now + 1500)).toBe(true);
+        });
+    });
 });
@@ -0,0 +1,279 @@
+/**
+ * Tests for whale flow classification (market maker vs. informed)
+ */
+
+const mockDb = {
+    tradeHistory: {
+        getByWallet: jest.fn()
+    }
+};
+
+jest.mock('../../../db', () => mockDb);
+
+jest.mock('../../../config', () => ({
+    signals: {
+        freshWallet: { weight: 0.15, maxAgeDays: 7, maxTrades: 10, minTradeSize: 0.02 },
+        walletAccuracy: { weight: 0.18, minWinRate: 0.7, minResolvedPositions: 20 }
+    },
+    whaleClassification: {
+        minHistoryTrades: 4,
+        historyLimit: 500,
+        reversalWindowMs: 10 * 60 * 1000,
+        longHoldMs: 24 * 60 * 60 * 1000,
+        informedThreshold: 0.6,
+        marketMakerThreshold: 0.35
+    }
+}));
+
+const { WhaleDetector } = require('../../../services/orderbook/whale-detector');
+const { WalletTracker } = require('../../../services/wallet/tracker');
+const { ProbabilityAdjuster } = require('../../../services/orderbook/probability-adjuster');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const START = Date.parse('2024-01-01T00:00:00Z');
+
+function trade(id, side, size, offsetMs, tokenId = 'token-1') {
+    return { id, tokenId, side, size, price: 0.5, address: '0xwallet', timestamp: new Date(START + offsetMs).toISOString() };
+}
+
+// Quotes both sides and flips inventory within a couple of minutes
+const marketMakerHistory = [
+    trade('t1', 'BUY', 100, 0),
+    trade('t2', 'SELL', 100, 2 * MINUTE),
+    trade('t3', 'SELL', 100, 5 * MINUTE),
+    trade('t4', 'BUY', 100, 6 * MINUTE),
+    trade('t5', 'BUY', 100, 10 * MINUTE),
+    trade('t6', 'SELL', 100, 11 * MINUTE)
+];
+
+// Builds a one-sided position and holds it
+const informedHistory = [
+    trade('t1', 'BUY', 100, 0),
+    trade('t2', 'BUY', 200, HOUR),
+    trade('t3', 'BUY', 300, 2 * HOUR),
+    trade('t4', 'BUY', 400, 3 * HOUR),
+    trade('t5', 'SELL', 50, 40 * HOUR)
+];
+
+const whale = { assetId: 'token-1', side: 'BUY', size: 5000, notional: 2500, depthPercent: 20 };
+
+describe('WalletTracker.getTradingBehavior', () => {
+    const tracker = new WalletTracker();
+
+    test('measures two-sided flow, holding time and quick reversals', async () => {
+        mockDb.tradeHistory.getByWallet.mockResolvedValue(marketMakerHistory);
+
+        const behavior = await tracker.getTradingBehavior('0xWallet', { limit: 100, reversalWindowMs: 10 * MINUTE });
+
+        expect(mockDb.tradeHistory.getByWallet).toHaveBeenCalledWith('0xwallet', 100);
+        expect(behavior.trades).toBe(6);
+        expect(behavior.twoSidedRatio).toBe(1);
+        expect(behavior.avgHoldingMs).toBeCloseTo(4 * MINUTE / 3, 0);
+        expect(behavior.quickReversalRate).toBe(1);
+    });
+
+    test('ignores duplicate records of the same trade', async () => {
+        mockDb.tradeHistory.getByWallet.mockResolvedValue([...informedHistory, ...informedHistory]);
+
+        const behavior = await tracker.getTradingBehavior('0xwallet', { limit: 100, reversalWindowMs: 10 * MINUTE });
+
+        expect(behavior.trades).toBe(5);
+        expect(behavior.twoSidedRatio).toBeCloseTo(100 / 1050, 6);
+        expect(behavior.avgHoldingMs).toBe(40 * HOUR);
+        expect(behavior.quickReversalRate).toBe(0);
+    });
+
+    test('counts trades the wallet made as the maker on the opposite side', async () => {
+        // Same positions as informedHistory, but the wallet provided liquidity on every other fill
+        const asMaker = informedHistory.map(({ address, ...t }, i) => (i % 2 === 1
+            ? { ...t, side: t.side === 'BUY' ? 'SELL' : 'BUY', taker: '0xOther', maker: '0xWallet' }
+            : { ...t, taker: '0xWallet', maker: '0xOther' }));
+        mockDb.tradeHistory.getByWallet.mockResolvedValue(asMaker);
+
+        const behavior = await tracker.getTradingBehavior('0xwallet', { limit: 100, reversalWindowMs: 10 * MINUTE });
+
+        expect(behavior.twoSidedRatio).toBeCloseTo(100 / 1050, 6);
+        expect(behavior.avgHoldingMs).toBe(40 * HOUR);
+    });
+
+    test('only counts trades from before the given time', async () => {
+        mockDb.tradeHistory.getByWallet.mockResolvedValue(informedHistory);
+
+        // t4 happened 3 hours in; a copy stamped within the same second is left out too
+        const behavior = await tracker.getTradingBehavior('0xwallet', {
+            limit: 100,
+            reversalWindowMs: 10 * MINUTE,
+            before: new Date(START + 3 * HOUR + 500).toISOString()
+        });
+
+        expect(behavior.trades).toBe(3);
+        expect(behavior.avgHoldingMs).toBeNull();
+    });
+});
+
+describe('WhaleDetector.classifyTrade', () => {
+    const detector = new WhaleDetector(null, {}, { walletTracker: new WalletTracker() });
+
+    beforeEach(() => {
+        mockDb.tradeHistory.getByWallet.mockReset();
+    });
+
+    test('classifies two-sided, quickly reversing wallets as market makers', async () => {
+        mockDb.tradeHistory.getByWallet.mockResolvedValue(marketMakerHistory);
+
+        const result = await detector.classifyTrade(whale, { taker: '0xWallet' });
+
+        expect(result).toMatchObject({ ...whale, wallet: '0xwallet', classification: 'market-maker' });
+        expect(result.informedScore).toBeLessThan(0.35);
+        expect(result.flowMetrics.trades).toBe(6);
+    });
+
+    test('classifies one-sided, long-held positions as informed', async () => {
+        mockDb.tradeHistory.getByWallet.mockResolvedValue(informedHistory);
+
+        const result = await detector.classifyTrade(whale, { taker: '0xwallet' });
+
+        expect(result.classification).toBe('informed');
+        expect(result.informedScore).toBeGreaterThan(0.9);
+    });
+
+    test('leaves trades without a wallet or enough history unknown', async () => {
+        const anonymous = await detector.classifyTrade(whale, {});
+        expect(anonymous).toMatchObject({ wallet: null, classification: 'unknown', informedScore: null });
+        expect(mockDb.tradeHistory.getByWallet).not.toHaveBeenCalled();
+
+        mockDb.tradeHistory.getByWallet.mockResolvedValue(informedHistory.slice(0, 2));
+        const thin = await detector.classifyTrade(whale, { maker: '0xwallet' });
+        expect(thin).toMatchObject({ classification: 'unknown', informedScore: null });
+        expect(thin.flowMetrics.trades).toBe(2);
+    });
+
+    test('scores the wallet on history from before the trade', async () => {
+        mockDb.tradeHistory.getByWallet.mockResolvedValue([
+            ...informedHistory,
+            trade('t6', 'BUY', 5000, 50 * HOUR)
+        ]);
+
+        const result = await detector.classifyTrade(
+            { ...whale, timestamp: new Date(START + 50 * HOUR).toISOString() },
+            { taker: '0xwallet' }
+        );
+
+        expect(result.flowMetrics.trades).toBe(5);
+    });
+
+    test('looks up the wallet on the CLOB when the trade carries none', async () => {
+        const second = Math.floor((START + 50 * HOUR) / 1000);
+        const clob = {
+            getTrades: jest.fn().mockResolvedValue([
+                { id: 'c1', side: 'BUY', price: '0.5', size: '5000', match_time: String(second + 3), maker_address: '0xOther' },
+                { id: 'c2', side: 'SELL', price: '0.5', size: '5000', match_time: String(second), maker_address: '0xSeller' },
+                { id: 'c3', side: 'BUY', price: '0.5', size: '5000', match_time: String(second), maker_address: '0xWallet' }
+            ])
+        };
+        const lookup = new WhaleDetector(null, {}, { walletTracker: new WalletTracker(), clob });
+        mockDb.tradeHistory.getByWallet.mockResolvedValue(informedHistory);
+
+        const result = await lookup.classifyTrade(
+            { ...whale, price: 0.5, timestamp: new Date(START + 50 * HOUR + 250).toISOString() },
+            { asset_id: 'token-1', price: '0.5', size: '5000', side: 'BUY' }
+        );
+
+        expect(clob.getTrades).toHaveBeenCalledWith({ assetId: 'token-1', after: second - 5, before: second + 6 });
+        expect(mockDb.tradeHistory.getByWallet).toHaveBeenCalledWith('0xwallet', 500);
+        expect(result).toMatchObject({ wallet: '0xwallet', classification: 'informed' });
+    });
+
+    test('stays unknown when the CLOB has no matching trade', async () => {
+        const clob = { getTrades: jest.fn().mockResolvedValue([]) };
+        const lookup = new WhaleDetector(null, {}, { walletTracker: new WalletTracker(), clob });
+
+        const result = await lookup.classifyTrade({ ...whale, price: 0.5, timestamp: new Date(START).toISOString() }, {});
+
+        expect(result).toMatchObject({ wallet: null, classification: 'unknown' });
+        expect(mockDb.tradeHistory.getByWallet).not.toHaveBeenCalled();
+    });
+
+    test('waits for a fresh trade to reach the CLOB before looking it up', async () => {
+        const clob = { getTrades: jest.fn().mockResolvedValue([]) };
+        const lookup = new WhaleDetector(null, { walletLookupDelayMs: 50 }, { walletTracker: new WalletTracker(), clob });
+
+        const pending = lookup.classifyTrade({ ...whale, price: 0.5, timestamp: new Date().toISOString() }, {});
+        await new Promise(resolve => setTimeout(resolve, 10));
+        expect(clob.getTrades).not.toHaveBeenCalled();
+
+        await pending;
+        expect(clob.getTrades).toHaveBeenCalledTimes(1);
+    });
+
+    test('falls back to unknown when history cannot be loaded', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDb.tradeHistory.getByWallet.mockRejectedValue(new Error('db down'));
+
+        const result = await detector.classifyTrade(whale, { taker: '0xwallet' });
+
+        expect(result.classification).toBe('unknown');
+        console.error.mockRestore();
+    });
+});
+
+describe('ProbabilityAdjuster weighting by informedScore', () => {
+    test('scales the signal by informedScore', () => {
+        const full = new ProbabilityAdjuster();
+        const weighted = new ProbabilityAdjuster();
+
+        full.recordWhaleTrade(whale);
+        weighted.recordWhaleTrade({ ...whale, informedScore: 0.5 });
+
+        const fullShift = full.getAdjustedProbability('token-1', 0.5) - 0.5;
+        const weightedShift = weighted.getAdjustedProbability('token-1', 0.5) - 0.5;
+        expect(weightedShift).toBeCloseTo(fullShift / 2, 3);
+    });
+
+    test('ignores pure market-maker flow', () => {
+        const adjuster = new ProbabilityAdjuster();
+        const listener = jest.fn();
+        adjuster.on('signal-updated', listener);
+
+        adjuster.recordWhaleTrade({ ...whale, informedScore: 0 });
+
+        expect(adjuster.getWhaleActivity('token-1')).toBeNull();
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('re-weights a trade once its classification comes back', () => {
+        const classifiedUpFront = new ProbabilityAdjuster();
+        const classifiedLater = new ProbabilityAdjuster();
+        classifiedUpFront.recordWhaleTrade({ ...whale, informedScore: 0.25 });
+
+        const contribution = classifiedLater.recordWhaleTrade(whale);
+        const listener = jest.fn();
+        classifiedLater.on('signal-updated', listener);
+
+        expect(classifiedLater.reweightWhaleTrade(contribution, 0.25)).toBe(true);
+        expect(listener).toHaveBeenCalledWith('token-1');
+        expect(classifiedLater.getAdjustedProbability('token-1', 0.5))
+            .toBeCloseTo(classifiedUpFront.getAdjustedProbability('token-1', 0.5), 6);
+    });
+
+    test('drops the signal when the only trade turns out to be market making', () => {
+        const adjuster = new ProbabilityAdjuster();
+        const contribution = adjuster.recordWhaleTrade(whale);
+
+        adjuster.reweightWhaleTrade(contribution, 0);
+
+        expect(adjuster.getWhaleActivity('token-1')).toBeNull();
+        expect(adjuster.getAdjustedProbability('token-1', 0.5)).toBe(0.5);
+    });
+
+    test('leaves the signal alone for unknown or informed trades', () => {
+        const adjuster = new ProbabilityAdjuster();
+        const contribution = adjuster.recordWhaleTrade(whale);
+        const before = adjuster.getAdjustedProbability('token-1', 0.5);
+
+        expect(adjuster.reweightWhaleTrade(contribution, null)).toBe(false);
+        expect(adjuster.reweightWhaleTrade(contribution, 1)).toBe(false);
+        expect(adjuster.getAdjustedProbability('token-1', 0.5)).toBeCloseTo(before, 6);
+    });
+});
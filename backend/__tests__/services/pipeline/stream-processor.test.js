@@ -14,6 +14,11 @@ jest.mock('../../../services/polymarket/clob-websocket', () => ({
     ClobWebSocketClient: jest.fn()
 }));
 
+// Mock the CLOB REST client (whale wallet lookups)
+jest.mock('../../../services/polymarket/clob-client', () => ({
+    clobClient: { getTrades: jest.fn().mockResolvedValue([]) }
+}));
+
 // Mock walletTracker
 const mockWalletTracker = {
     trackTrade: jest.fn().mockResolvedValue({}),
@@ -49,11 +54,18 @@ const mockDb = {
     },
     events: {
         getAll: jest.fn().mockResolvedValue([])
+    },
+    articles: {
+        getByEventId: jest.fn().mockResolvedValue(null),
+        updateProbability: jest.fn().mockResolvedValue([])
     }
 };
 
 jest.mock('../../../db', () => mockDb);
 
+const mockArticleGenerator = { reviseArticle: jest.fn().mockResolvedValue(null) };
+jest.mock('../../../services/article/generator', () => mockArticleGenerator);
+
 // Mock config
 jest.mock('../../../config', () => ({
     realtime: {
@@ -477,3 +489,134 @@ describe('StreamProcessor', () => {
         });
     });
 });
+
+describe('StreamProcessor whale article updates', () => {
+    const event = {
+        id: 'event-1',
+        markets: [{ clobTokenIds: ['token-1', 'token-2'] }],
+        rawData: { outcomePrices: '["0.6", "0.4"]' }
+    };
+    let processor;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        processor = new StreamProcessor({ subscribeToActiveMarkets: false });
+        mockDb.events.getAll.mockResolvedValue([event]);
+    });
+
+    test('moves binary articles to the adjusted probability', async () => {
+        mockDb.articles.getByEventId.mockResolvedValue({ id: 'article-1', format: 'binary' });
+
+        await processor._updateArticleForWhale({ assetId: 'token-1' });
+
+        expect(mockDb.articles.updateProbability).toHaveBeenCalledWith('event-1', 0.6);
+        expect(mockArticleGenerator.reviseArticle).toHaveBeenCalledWith(event, 0.6);
+    });
+
+    test('leaves multi-outcome articles at the field leader\'s probability', async () => {
+        mockDb.articles.getByEventId.mockResolvedValue({ id: 'article-1', format: 'multi-outcome', probability: 0.45 });
+
+        await processor._updateArticleForWhale({ assetId: 'token-1' });
+
+        expect(mockDb.articles.updateProbability).not.toHaveBeenCalled();
+        expect(mockArticleGenerator.reviseArticle).not.toHaveBeenCalled();
+    });
+});
+
+describe('StreamProcessor with an injected feed', () => {
+    test('uses the given client and can skip subscribing to active markets', async () => {
+        jest.clearAllMocks();
+        const feed = new EventEmitter();
+        feed.connect = jest.fn().mockResolvedValue();
+        feed.disconnect = jest.fn();
+        feed.subscribe = jest.fn();
+
+        const processor = new StreamProcessor({ wsClient: feed, subscribeToActiveMarkets: false });
+        await processor.start();
+
+        expect(feed.connect).toHaveBeenCalled();
+        expect(mockClobClient.connect).not.toHaveBeenCalled();
+        expect(mockDb.events.getAll).not.toHaveBeenCalled();
+
+        const processTrade = jest.spyOn(processor, 'processTrade').mockResolvedValue();
+        feed.emit('last_trade_price', { asset_id: 'token-1', price: 0.5, size: 10 });
+        expect(processTrade).toHaveBeenCalled();
+
+        processor.stop();
+        expect(feed.disconnect).toHaveBeenCalled();
+    });
+});
+
+describe('StreamProcessor whale classification', () => {
+    const detected = {
+        assetId: 'token-1', side: 'BUY', price: 0.5, size: 5000, notional: 2500, depthPercent: 20,
+        timestamp: new Date().toISOString()
+    };
+    let feed;
+    let processor;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        feed = new EventEmitter();
+        feed.connect = jest.fn().mockResolvedValue();
+        feed.disconnect = jest.fn();
+        mockDb.whaleTrades = {
+            record: jest.fn(trade => Promise.resolve({ id: 'whale-1', ...trade })),
+            update: jest.fn().mockResolvedValue({})
+        };
+        processor = new StreamProcessor({ wsClient: feed, subscribeToActiveMarkets: false, clob: null });
+        jest.spyOn(processor, 'processTrade').mockResolvedValue();
+        jest.spyOn(processor, '_updateArticleForWhale').mockResolvedValue();
+        jest.spyOn(processor.whaleDetector, 'analyzeTrade').mockReturnValue(detected);
+    });
+
+    afterEach(() => {
+        processor.stop();
+        delete mockDb.whaleTrades;
+    });
+
+    test('records the whale trade before classifying it, then patches the record', async () => {
+        let finishClassifying;
+        jest.spyOn(processor.whaleDetector, 'classifyTrade').mockReturnValue(
+            new Promise(resolve => { finishClassifying = resolve; })
+        );
+        const whaleTradeEvents = [];
+        processor.on('whale-trade', whale => whaleTradeEvents.push(whale));
+        await processor.start();
+
+        feed.emit('last_trade_price', { asset_id: 'token-1', price: 0.5, size: 5000, side: 'BUY' });
+        await new Promise(setImmediate);
+
+        expect(mockDb.whaleTrades.record).toHaveBeenCalledWith(
+            expect.objectContaining({ assetId: 'token-1', classification: 'unknown', informedScore: null })
+        );
+        expect(whaleTradeEvents).toHaveLength(1);
+        expect(mockDb.whaleTrades.update).not.toHaveBeenCalled();
+
+        finishClassifying({ ...detected, wallet: '0xmm', classification: 'market-maker', informedScore: 0.1, flowMetrics: { trades: 40 } });
+        await processor.drain();
+
+        expect(mockDb.whaleTrades.update).toHaveBeenCalledWith('whale-1', {
+            wallet: '0xmm', classification: 'market-maker', informedScore: 0.1, flowMetrics: { trades: 40 }
+        });
+        expect(processor.inFlight.size).toBe(0);
+    });
+
+    test('drain waits for feed handlers and the classifications they start', async () => {
+        jest.spyOn(processor.whaleDetector, 'classifyTrade').mockImplementation(async () => {
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return { ...detected, wallet: '0xw', classification: 'informed', informedScore: 0.9, flowMetrics: null };
+        });
+        await processor.start();
+
+        feed.emit('last_trade_price', { asset_id: 'token-1', price: 0.5, size: 5000, side: 'BUY' });
+        await processor.drain();
+
+        expect(mockDb.whaleTrades.record).toHaveBeenCalledTimes(1);
+        expect(mockDb.whaleTrades.update).toHaveBeenCalledWith('whale-1', expect.objectContaining({ classification: 'informed' }));
+    });
+
+    test('passes clob: null through so replays never look trades up', () => {
+        expect(processor.whaleDetector.clob).toBeNull();
+    });
+});
@@ -0,0 +1,275 @@
+// Tests for WebSocket capture recording and replay
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../../config', () => ({
+    polymarket: {
+        wsUrl: 'wss://test-ws.polymarket.com/ws/market'
+    },
+    realtime: {
+        reconnectAttempts: 3,
+        heartbeatIntervalMs: 30000,
+        reconnectDelayMs: 1000
+    },
+    wsCapture: {
+        enabled: false,
+        directory: 'data/ws-captures',
+        maxFileBytes: 1024 * 1024,
+        maxFiles: 5
+    },
+    orderbookSync: {
+        verifyHashes: false
+    }
+}));
+
+const { WsRecorder } = require('../../../services/polymarket/ws-recorder');
+const { WsReplaySource, parseSpeed } = require('../../../services/polymarket/ws-replay');
+const { OrderBookManager } = require('../../../services/orderbook/order-book-manager');
+const { bookSnapshot } = require('../../fixtures/orderbooks');
+
+const ASSET = bookSnapshot.asset_id;
+
+const frames = [
+    JSON.stringify(bookSnapshot),
+    JSON.stringify({
+        event_type: 'price_change',
+        asset_id: ASSET,
+        price_changes: [
+            { asset_id: ASSET, price: '0.595', size: '500', side: 'BUY' },
+            { asset_id: ASSET, price: '0.61', size: '0', side: 'SELL' }
+        ]
+    }),
+    JSON.stringify({ event_type: 'last_trade_price', asset_id: ASSET, price: '0.62', size: '40', side: 'BUY' })
+];
+
+function writeCapture(directory, entries) {
+    const file = path.join(directory, 'capture-20240101T000000000Z-0000.ndjson');
+    fs.writeFileSync(file, entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+    return file;
+}
+
+describe('WsRecorder', () => {
+    let directory;
+    let recorder;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ws-capture-'));
+    });
+
+    afterEach(async () => {
+        await recorder?.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('writes raw frames and lifecycle events as NDJSON', async () => {
+        const client = new EventEmitter();
+        recorder = new WsRecorder({ directory, maxFileBytes: 1024 * 1024, maxFiles: 5 }).attach(client);
+
+        client.emit('connected');
+        client.emit('raw-message', frames[0], 1704067200000);
+        client.emit('raw-message', frames[1], 1704067200250);
+        await recorder.close();
+
+        const [file] = WsRecorder.listCaptures(directory);
+        const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+        expect(lines[0].event).toBe('connected');
+        expect(lines.slice(1)).toEqual([
+            { t: 1704067200000, frame: frames[0] },
+            { t: 1704067200250, frame: frames[1] }
+        ]);
+        expect(recorder.getStatus()).toMatchObject({ recording: false, framesRecorded: 2, filesWritten: 1 });
+    });
+
+    test('stops recording instead of throwing when the capture directory cannot be written', () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const blocked = path.join(directory, 'not-a-directory');
+        fs.writeFileSync(blocked, '');
+        const client = new EventEmitter();
+        recorder = new WsRecorder({ directory: blocked, maxFileBytes: 1024, maxFiles: 5 }).attach(client);
+
+        expect(() => client.emit('raw-message', frames[0], 1)).not.toThrow();
+
+        expect(console.error).toHaveBeenCalledWith('[WsRecorder] Recording disabled:', expect.any(String));
+        expect(client.listenerCount('raw-message')).toBe(0);
+        expect(recorder.getStatus()).toMatchObject({ recording: false, framesRecorded: 0, lastError: expect.any(String) });
+    });
+
+    test('rotates by size and keeps at most maxFiles captures', async () => {
+        recorder = new WsRecorder({ directory, maxFileBytes: 200, maxFiles: 2 });
+
+        for (let i = 0; i < 10; i++) {
+            recorder.record({ t: i, frame: 'x'.repeat(100) });
+        }
+        await recorder.close();
+
+        const files = WsRecorder.listCaptures(directory);
+        expect(recorder.filesWritten).toBe(10);
+        expect(files).toHaveLength(2);
+
+        // The newest captures survive
+        const lastEntry = JSON.parse(fs.readFileSync(files[1], 'utf8').trim());
+        expect(lastEntry.t).toBe(9);
+    });
+});
+
+describe('WsReplaySource', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ws-replay-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('emits captured frames in order with their capture times', async () => {
+        writeCapture(directory, [
+            { t: 1000, event: 'connected' },
+            { t: 1000, frame: frames[0] },
+            { t: 1100, frame: frames[1] },
+            { t: 1200, event: 'disconnected' },
+            { t: 1300, event: 'connected' },
+            { t: 1400, frame: frames[2] }
+        ]);
+
+        const replay = new WsReplaySource({ path: directory, speed: 'max' });
+        const seen = [];
+        for (const name of ['connected', 'disconnected', 'book', 'price_change', 'last_trade_price']) {
+            replay.on(name, () => seen.push([name, replay.currentTime]));
+        }
+
+        await replay.connect();
+        const status = await replay.waitForEnd();
+
+        expect(seen).toEqual([
+            ['connected', null],
+            ['book', 1000],
+            ['price_change', 1100],
+            ['disconnected', 1200],
+            ['connected', 1300],
+            ['last_trade_price', 1400]
+        ]);
+        expect(status).toMatchObject({ framesReplayed: 3, playing: false, speed: 'max' });
+    });
+
+    test('rebuilds the same order book as the live feed', async () => {
+        const file = writeCapture(directory, frames.slice(0, 2).map((frame, i) => ({ t: 1000 + i, frame })));
+
+        const live = new OrderBookManager();
+        live.handleBookSnapshot(JSON.parse(frames[0]));
+        live.handlePriceChange(JSON.parse(frames[1]));
+
+        const replayed = new OrderBookManager();
+        const replay = new WsReplaySource({ path: file, speed: 'max' });
+        replay.on('book', data => replayed.handleBookSnapshot(data));
+        replay.on('price_change', data => replayed.handlePriceChange(data));
+
+        await replay.connect();
+        await replay.waitForEnd();
+
+        const expected = live.getOrderBook(ASSET).getFullBook();
+        const actual = replayed.getOrderBook(ASSET).getFullBook();
+        expect(actual.bids).toEqual(expected.bids);
+        expect(actual.asks).toEqual(expected.asks);
+    });
+
+    test('waits for async handlers between frames when given a drain', async () => {
+        const file = writeCapture(directory, frames.map((frame, i) => ({ t: 1000 + i, frame })));
+
+        // Handlers that take several turns of the event loop, like StreamProcessor's
+        const log = [];
+        const running = new Set();
+        const slowHandler = (name) => (data) => {
+            const work = (async () => {
+                log.push(`start ${name}`);
+                for (let i = 0; i < 3; i++) await new Promise(resolve => setImmediate(resolve));
+                log.push(`end ${name}`);
+            })();
+            running.add(work);
+            work.finally(() => running.delete(work));
+        };
+        const drain = jest.fn(() => Promise.all(running));
+
+        const replay = new WsReplaySource({ path: file, speed: 'max', onFrame: drain });
+        for (const name of ['book', 'price_change', 'last_trade_price']) {
+            replay.on(name, slowHandler(name));
+        }
+
+        await replay.connect();
+        await replay.waitForEnd();
+
+        expect(drain).toHaveBeenCalledTimes(3);
+        expect(drain.mock.calls[0][0]).toMatchObject({ t: 1000, frame: frames[0] });
+        expect(log).toEqual([
+            'start book', 'end book',
+            'start price_change', 'end price_change',
+            'start last_trade_price', 'end last_trade_price'
+        ]);
+    });
+
+    test('scales capture gaps by the speed multiplier', async () => {
+        const file = writeCapture(directory, [
+            { t: 0, frame: frames[0] },
+            { t: 500, frame: frames[1] }
+        ]);
+
+        const replay = new WsReplaySource({ path: file, speed: 10 });
+        const times = [];
+        replay.on('book', () => times.push(Date.now()));
+        replay.on('price_change', () => times.push(Date.now()));
+
+        await replay.connect();
+        await replay.waitForEnd();
+
+        const gap = times[1] - times[0];
+        expect(gap).toBeGreaterThanOrEqual(40);
+        expect(gap).toBeLessThan(400);
+    });
+
+    test('disconnect stops playback early', async () => {
+        const file = writeCapture(directory, [
+            { t: 0, frame: frames[0] },
+            { t: 60000, frame: frames[1] }
+        ]);
+
+        const replay = new WsReplaySource({ path: file, speed: 1 });
+        const priceChange = jest.fn();
+        replay.on('price_change', priceChange);
+        replay.once('book', () => replay.disconnect());
+
+        await replay.connect();
+        const status = await replay.waitForEnd();
+
+        expect(priceChange).not.toHaveBeenCalled();
+        expect(status.framesReplayed).toBe(1);
+    });
+
+    test('skips malformed lines', async () => {
+        const file = path.join(directory, 'broken.ndjson');
+        fs.writeFileSync(file, `not json\n${JSON.stringify({ t: 1, frame: frames[0] })}\n`);
+
+        const replay = new WsReplaySource({ path: file, speed: 'max' });
+        const book = jest.fn();
+        replay.on('book', book);
+
+        await replay.connect();
+        const status = await replay.waitForEnd();
+
+        expect(book).toHaveBeenCalledTimes(1);
+        expect(status.linesSkipped).toBe(1);
+    });
+
+    test('parseSpeed accepts multipliers and max', () => {
+        expect(parseSpeed(undefined)).toBe(1);
+        expect(parseSpeed('4')).toBe(4);
+        expect(parseSpeed('max')).toBe(Infinity);
+        expect(() => parseSpeed('0')).toThrow('Invalid replay speed');
+    });
+});
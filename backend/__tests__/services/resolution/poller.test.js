@@ -0,0 +1,247 @@
+// Tests for the Resolution Poller
+
+jest.mock('../../../config', () => ({
+    resolution: {
+        enabled: true,
+        pollIntervalMs: 60000,
+        lookaheadHours: 24,
+        batchSize: 10
+    }
+}));
+
+const mockDb = {
+    events: {
+        getAll: jest.fn(),
+        upsert: jest.fn()
+    },
+    articles: {
+        getByEventId: jest.fn(),
+        update: jest.fn()
+    },
+    tradeHistory: {
+        getByMarket: jest.fn()
+    },
+    resolutions: {
+        getByMarketId: jest.fn(),
+        record: jest.fn(async (resolution) => ({ ...resolution, recordedAt: 'now' }))
+    }
+};
+
+jest.mock('../../../db', () => mockDb);
+jest.mock('../../../services/polymarket/client', () => ({ fetchEventById: jest.fn() }));
+jest.mock('../../../services/wallet/tracker', () => ({ walletTracker: {} }));
+
+const { ResolutionPoller } = require('../../../services/resolution/poller');
+
+function market(id, overrides = {}) {
+    return {
+        id,
+        question: `Market ${id}`,
+        rawData: {
+            id,
+            closed: true,
+            outcomes: '["Yes", "No"]',
+            outcomePrices: '["0", "1"]',
+            clobTokenIds: `["${id}-yes", "${id}-no"]`,
+            ...overrides
+        }
+    };
+}
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+describe('ResolutionPoller', () => {
+    let client;
+    let tracker;
+    let poller;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        client = { fetchEventById: jest.fn() };
+        tracker = { updateWalletOnResolution: jest.fn() };
+        poller = new ResolutionPoller({ client, tracker });
+
+        mockDb.resolutions.getByMarketId.mockResolvedValue(null);
+        mockDb.tradeHistory.getByMarket.mockResolvedValue([]);
+        mockDb.articles.getByEventId.mockResolvedValue({ id: 'article-1' });
+    });
+
+    afterEach(() => {
+        poller.stop();
+        console.log.mockRestore();
+    });
+
+    test('only checks unresolved events that are due, oldest first', async () => {
+        mockDb.events.getAll.mockResolvedValue([
+            { id: 'later', endDate: hoursFromNow(72) },
+            { id: 'soon', endDate: hoursFromNow(2) },
+            { id: 'past', endDate: hoursFromNow(-5) },
+            { id: 'no-date' }
+        ]);
+        client.fetchEventById.mockResolvedValue(null);
+
+        const result = await poller.pollOnce();
+
+        expect(result.checked).toBe(2);
+        expect(client.fetchEventById.mock.calls.map(c => c[0])).toEqual(['past', 'soon']);
+    });
+
+    test('rotates through more stuck events than fit in a batch', async () => {
+        const stuck = Array.from({ length: 15 }, (_, i) => ({ id: `stuck-${i}`, endDate: hoursFromNow(-100 + i) }));
+        mockDb.events.getAll.mockResolvedValue(stuck);
+        client.fetchEventById.mockResolvedValue(null);
+
+        await poller.pollOnce();
+        expect(client.fetchEventById.mock.calls.map(c => c[0])).toEqual(stuck.slice(0, 10).map(e => e.id));
+
+        // A newly due event and the unchecked remainder go ahead of events already tried
+        mockDb.events.getAll.mockResolvedValue([...stuck, { id: 'new', endDate: hoursFromNow(-1) }]);
+        client.fetchEventById.mockClear();
+
+        await poller.pollOnce();
+        expect(client.fetchEventById.mock.calls.map(c => c[0])).toEqual([
+            ...stuck.slice(10).map(e => e.id), 'new', ...stuck.slice(0, 4).map(e => e.id)
+        ]);
+        expect(poller.getStatus()).toMatchObject({ pendingEvents: 16, maxAttempts: 2 });
+    });
+
+    test('settles wallets and closes out the event and article', async () => {
+        const event = { id: 'e1', endDate: hoursFromNow(-1), resolved: false, rawData: { id: 'm1' } };
+        mockDb.events.getAll.mockResolvedValue([event]);
+        client.fetchEventById.mockResolvedValue({ id: 'e1', markets: [market('m1')] });
+        mockDb.tradeHistory.getByMarket.mockImplementation(async (tokenId) => tokenId === 'm1-no'
+            ? [{ id: 't1', tokenId: 'm1-no', side: 'BUY', size: 100, price: 0.3, taker: '0xwinner', maker: '0xloser' }]
+            : []);
+
+        const result = await poller.pollOnce();
+
+        expect(result).toMatchObject({ checked: 1, settledMarkets: 1, resolvedEvents: ['e1'] });
+        expect(tracker.updateWalletOnResolution).toHaveBeenCalledWith('0xwinner', true, expect.closeTo(70));
+        expect(tracker.updateWalletOnResolution).toHaveBeenCalledWith('0xloser', false, expect.closeTo(-70));
+
+        expect(mockDb.resolutions.record).toHaveBeenCalledWith(expect.objectContaining({
+            marketId: 'm1',
+            eventId: 'e1',
+            winningOutcome: 'No',
+            walletsSettled: 2,
+            winners: 1
+        }));
+        expect(mockDb.events.upsert).toHaveBeenCalledWith(expect.objectContaining({
+            id: 'e1',
+            resolved: true,
+            winningOutcome: 'No'
+        }));
+        expect(mockDb.articles.update).toHaveBeenCalledWith('article-1', expect.objectContaining({
+            resolved: true,
+            winningOutcome: 'No'
+        }));
+    });
+
+    test('does not settle a market twice', async () => {
+        const event = { id: 'e1', endDate: hoursFromNow(-1), rawData: { id: 'm1' } };
+        client.fetchEventById.mockResolvedValue({ id: 'e1', markets: [market('m1')] });
+        mockDb.resolutions.getByMarketId.mockResolvedValue({ marketId: 'm1', winningOutcome: 'No' });
+
+        const result = await poller.checkEvent(event);
+
+        expect(result).toEqual({ resolved: true, settledMarkets: 0 });
+        expect(tracker.updateWalletOnResolution).not.toHaveBeenCalled();
+        expect(mockDb.resolutions.record).not.toHaveBeenCalled();
+    });
+
+    test('records the resolution as settling before crediting wallets', async () => {
+        const event = { id: 'e1', endDate: hoursFromNow(-1), rawData: { id: 'm1' } };
+        client.fetchEventById.mockResolvedValue({ id: 'e1', markets: [market('m1')] });
+        mockDb.tradeHistory.getByMarket.mockImplementation(async (tokenId) => tokenId === 'm1-no'
+            ? [{ id: 't1', tokenId: 'm1-no', side: 'BUY', size: 100, price: 0.3, taker: '0xwinner', maker: '0xloser' }]
+            : []);
+        tracker.updateWalletOnResolution.mockImplementation(async () => {
+            expect(mockDb.resolutions.record).toHaveBeenCalledWith(expect.objectContaining({ marketId: 'm1', status: 'settling' }));
+        });
+
+        await poller.checkEvent(event);
+
+        expect(tracker.updateWalletOnResolution).toHaveBeenCalledTimes(2);
+        const records = mockDb.resolutions.record.mock.calls.map(c => c[0]);
+        expect(records[0]).toMatchObject({ status: 'settling', settledWallets: [] });
+        expect(records[records.length - 1]).toMatchObject({ status: 'settled', walletsSettled: 2 });
+        expect(records[records.length - 1]).not.toHaveProperty('settledWallets');
+    });
+
+    test('resumes an interrupted settlement without crediting wallets twice', async () => {
+        const event = { id: 'e1', endDate: hoursFromNow(-1), rawData: { id: 'm1' } };
+        client.fetchEventById.mockResolvedValue({ id: 'e1', markets: [market('m1')] });
+        mockDb.tradeHistory.getByMarket.mockImplementation(async (tokenId) => tokenId === 'm1-no'
+            ? [{ id: 't1', tokenId: 'm1-no', side: 'BUY', size: 100, price: 0.3, taker: '0xwinner', maker: '0xloser' }]
+            : []);
+        mockDb.resolutions.getByMarketId.mockResolvedValue({
+            marketId: 'm1', eventId: 'e1', resolvedAt: 'earlier', status: 'settling', settledWallets: ['0xwinner']
+        });
+
+        const result = await poller.checkEvent(event);
+
+        expect(result).toEqual({ resolved: true, settledMarkets: 1 });
+        expect(tracker.updateWalletOnResolution).toHaveBeenCalledTimes(1);
+        expect(tracker.updateWalletOnResolution).toHaveBeenCalledWith('0xloser', false, expect.closeTo(-70));
+        expect(mockDb.resolutions.record).toHaveBeenLastCalledWith(expect.objectContaining({
+            status: 'settled', resolvedAt: 'earlier', walletsSettled: 2
+        }));
+    });
+
+    test('leaves the event open until every market resolves', async () => {
+        const event = { id: 'e1', endDate: hoursFromNow(-1), rawData: { id: 'm1' } };
+        client.fetchEventById.mockResolvedValue({
+            id: 'e1',
+            markets: [market('m1'), market('m2', { closed: false })]
+        });
+
+        const result = await poller.checkEvent(event);
+
+        expect(result).toEqual({ resolved: false, settledMarkets: 1 });
+        expect(mockDb.events.upsert).not.toHaveBeenCalled();
+        expect(mockDb.articles.update).not.toHaveBeenCalled();
+    });
+
+    test('closes a negative-risk field with the member whose Yes paid out', async () => {
+        const event = { id: 'e1', endDate: hoursFromNow(-1), rawData: { id: 'm1' } };
+        const field = { negRisk: true, outcomes: '["Yes", "No"]' };
+        client.fetchEventById.mockResolvedValue({
+            id: 'e1',
+            markets: [
+                market('m1', { ...field, groupItemTitle: 'Merz', outcomePrices: '["0", "1"]' }),
+                market('m2', { ...field, groupItemTitle: 'Scholz', outcomePrices: '["1", "0"]' }),
+                market('m3', { ...field, groupItemTitle: 'Habeck', outcomePrices: '["0", "1"]' })
+            ]
+        });
+
+        const result = await poller.checkEvent(event);
+
+        expect(result).toEqual({ resolved: true, settledMarkets: 3 });
+        // Not the primary market's "No"
+        expect(mockDb.articles.update).toHaveBeenCalledWith('article-1', expect.objectContaining({
+            resolved: true,
+            winningOutcome: 'Scholz',
+            resolvedMarketId: 'm2'
+        }));
+    });
+
+    test('continues past events that fail to load', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockDb.events.getAll.mockResolvedValue([
+            { id: 'bad', endDate: hoursFromNow(-2) },
+            { id: 'good', endDate: hoursFromNow(-1), rawData: { id: 'm1' } }
+        ]);
+        client.fetchEventById.mockImplementation(async (id) => {
+            if (id === 'bad') throw new Error('Polymarket API error: 500');
+            return { id, markets: [market('m1')] };
+        });
+
+        const result = await poller.pollOnce();
+
+        expect(result.resolvedEvents).toEqual(['good']);
+        expect(poller.getStatus().resolvedEvents).toBe(1);
+        console.error.mockRestore();
+    });
+});
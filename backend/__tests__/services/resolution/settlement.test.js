@@ -0,0 +1,107 @@
+// Tests for market settlement helpers
+
+const {
+    getMarketResolution,
+    buildPositions,
+    settlePositions
+} = require('../../../services/resolution/settlement');
+
+function rawMarket(overrides = {}) {
+    return {
+        id: 'm1',
+        question: 'Will it happen?',
+        closed: true,
+        outcomes: '["Yes", "No"]',
+        outcomePrices: '["1", "0"]',
+        clobTokenIds: '["yes-token", "no-token"]',
+        ...overrides
+    };
+}
+
+describe('getMarketResolution', () => {
+    test('returns the winning outcome and payouts for a closed market', () => {
+        const resolution = getMarketResolution({ id: 'm1', question: 'Will it happen?', rawData: rawMarket() });
+
+        expect(resolution).toEqual({
+            marketId: 'm1',
+            question: 'Will it happen?',
+            winningOutcome: 'Yes',
+            payouts: [
+                { tokenId: 'yes-token', outcome: 'Yes', payout: 1 },
+                { tokenId: 'no-token', outcome: 'No', payout: 0 }
+            ]
+        });
+    });
+
+    test('returns null for open markets', () => {
+        expect(getMarketResolution(rawMarket({ closed: false }))).toBeNull();
+    });
+
+    test('returns null for closed markets still awaiting resolution', () => {
+        expect(getMarketResolution(rawMarket({ outcomePrices: '["0.62", "0.38"]' }))).toBeNull();
+    });
+
+    test('pays out final prices when resolved without a single winner', () => {
+        const resolution = getMarketResolution(rawMarket({
+            outcomePrices: '["0.5", "0.5"]',
+            umaResolutionStatus: 'resolved'
+        }));
+
+        expect(resolution.winningOutcome).toBeNull();
+        expect(resolution.payouts.map(p => p.payout)).toEqual([0.5, 0.5]);
+    });
+});
+
+describe('buildPositions / settlePositions', () => {
+    const payouts = [
+        { tokenId: 'yes-token', payout: 1 },
+        { tokenId: 'no-token', payout: 0 }
+    ];
+
+    test('taker takes the trade side and maker the opposite', () => {
+        const positions = buildPositions([
+            { id: 't1', tokenId: 'yes-token', side: 'BUY', size: 100, price: 0.4, taker: '0xTaker', maker: '0xmaker' }
+        ]);
+
+        expect(positions.get('0xtaker').shares['yes-token']).toBe(100);
+        expect(positions.get('0xmaker').shares['yes-token']).toBe(-100);
+
+        const results = settlePositions(positions, payouts);
+        const taker = results.find(r => r.address === '0xtaker');
+        const maker = results.find(r => r.address === '0xmaker');
+
+        expect(taker.won).toBe(true);
+        expect(taker.profit).toBeCloseTo(60);
+        expect(maker.won).toBe(false);
+        expect(maker.profit).toBeCloseTo(-60);
+    });
+
+    test('ignores duplicate trade records and unattributed trades', () => {
+        const trade = { id: 't1', tokenId: 'no-token', side: 'BUY', size: 50, price: 0.3, taker: '0xabc' };
+        const positions = buildPositions([
+            trade,
+            { ...trade, address: '0xabc' },
+            { id: 't2', tokenId: 'no-token', side: 'BUY', size: 10, price: 0.3 }
+        ]);
+
+        expect(positions.size).toBe(1);
+        const [result] = settlePositions(positions, payouts);
+        expect(result.profit).toBeCloseTo(-15);
+        expect(result.won).toBe(false);
+    });
+
+    test('nets buys and sells across outcomes', () => {
+        const positions = buildPositions([
+            { id: 't1', tokenId: 'yes-token', side: 'BUY', size: 100, price: 0.5, address: '0xabc' },
+            { id: 't2', tokenId: 'yes-token', side: 'SELL', size: 40, price: 0.8, address: '0xabc' },
+            { id: 't3', tokenId: 'no-token', side: 'BUY', size: 20, price: 0.2, address: '0xabc' }
+        ]);
+
+        const [result] = settlePositions(positions, payouts);
+        // Cost: 50 - 32 + 4 = 22, payout: 60 YES shares at $1
+        expect(result.cost).toBeCloseTo(22);
+        expect(result.payout).toBeCloseTo(60);
+        expect(result.profit).toBeCloseTo(38);
+        expect(result.trades).toBe(3);
+    });
+});
@@ -0,0 +1,191 @@
+// Tests for runtime signal and whale configuration
+
+jest.mock('../../../config', () => ({
+    signals: { timingPattern: { weight: 0.1, windowHours: 24 } },
+    runtimeConfig: { path: 'data/runtime-config.json', auditLimit: 500 }
+}));
+jest.mock('../../../db', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../config');
+const BaseProcessor = require('../../../services/signals/base-processor');
+const { RuntimeConfigStore, RuntimeConfigError } = require('../../../services/runtime-config/store');
+
+class TimingProcessor extends BaseProcessor {
+    constructor() {
+        super('timing-pattern', 0.1, {
+            tunables: {
+                windowHours: { type: 'integer', min: 1, max: 720 },
+                concentrationThreshold: { type: 'number', min: 1, max: 100 }
+            }
+        });
+        this.windowHours = 24;
+        this.concentrationThreshold = 3;
+    }
+
+    validateSettings(settings) {
+        return settings.windowHours > 48 && settings.concentrationThreshold < 2
+            ? ['long windows need a concentrationThreshold of at least 2']
+            : [];
+    }
+}
+
+// Minimal stand-in for WhaleDetector / ProbabilityAdjuster config handling
+function configurable(initial) {
+    let current = { ...initial };
+    return {
+        updateConfig: jest.fn(changes => { current = { ...current, ...changes }; }),
+        getConfig: () => ({ ...current })
+    };
+}
+
+function createTargets() {
+    const processor = new TimingProcessor();
+    return {
+        processor,
+        registry: {
+            processors: [processor],
+            getProcessor: name => (name === processor.name ? processor : null)
+        },
+        whaleDetector: configurable({
+            depthThresholdPercent: 5,
+            minNotionalUsd: 1000,
+            informedThreshold: 0.6,
+            marketMakerThreshold: 0.3
+        }),
+        probabilityAdjuster: configurable({ whaleWeight: 0.15, decayHalfLifeMs: 300000, maxSignalAge: 1800000 })
+    };
+}
+
+describe('RuntimeConfigStore', () => {
+    let dir;
+    let filePath;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'runtime-config-'));
+        filePath = path.join(dir, 'runtime-config.json');
+        config.signals.timingPattern = { weight: 0.1, windowHours: 24 };
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createStore(targets) {
+        return new RuntimeConfigStore({ path: filePath, auditLimit: 3 }).attach(targets);
+    }
+
+    test('applies processor changes live and mirrors thresholds into config.signals', () => {
+        const targets = createTargets();
+        const store = createStore(targets);
+
+        const result = store.updateSignals(
+            { 'timing-pattern': { enabled: false, windowHours: 12 } },
+            { actor: 'ops', reason: 'too noisy' }
+        );
+
+        expect(targets.processor.enabled).toBe(false);
+        expect(targets.processor.windowHours).toBe(12);
+        expect(config.signals.timingPattern.windowHours).toBe(12);
+        expect(result.processors['timing-pattern']).toEqual(expect.objectContaining({ enabled: false, windowHours: 12 }));
+        expect(result.change).toEqual(expect.objectContaining({
+            section: 'signals',
+            actor: 'ops',
+            reason: 'too noisy',
+            changes: [
+                { path: 'timing-pattern.enabled', from: true, to: false },
+                { path: 'timing-pattern.windowHours', from: 24, to: 12 }
+            ]
+        }));
+    });
+
+    test('rejects the whole change when any field is invalid', () => {
+        const targets = createTargets();
+        const store = createStore(targets);
+
+        let error;
+        try {
+            store.updateSignals({
+                'timing-pattern': { windowHours: 2.5, weight: 3, bogus: 1 },
+                'no-such-processor': { enabled: true }
+            });
+        } catch (e) {
+            error = e;
+        }
+
+        expect(error).toBeInstanceOf(RuntimeConfigError);
+        expect(error.errors).toEqual([
+            'timing-pattern.windowHours must be an integer',
+            'timing-pattern.weight must be between 0 and 1',
+            'Unknown setting: timing-pattern.bogus',
+            'Unknown processor: no-such-processor'
+        ]);
+        expect(targets.processor.weight).toBe(0.1);
+        expect(store.getAudit()).toEqual([]);
+        expect(fs.existsSync(filePath)).toBe(false);
+    });
+
+    test('runs the processor cross-field validation', () => {
+        const store = createStore(createTargets());
+
+        expect(() => store.updateSignals({ 'timing-pattern': { windowHours: 72, concentrationThreshold: 1.5 } }))
+            .toThrow(RuntimeConfigError);
+    });
+
+    test('updates the whale detector and probability adjuster', () => {
+        const targets = createTargets();
+        const store = createStore(targets);
+
+        const result = store.updateWhale({ detector: { minNotionalUsd: 5000 }, adjuster: { whaleWeight: 0.2 } });
+
+        expect(targets.whaleDetector.updateConfig).toHaveBeenCalledWith({ minNotionalUsd: 5000 });
+        expect(targets.probabilityAdjuster.updateConfig).toHaveBeenCalledWith({ whaleWeight: 0.2 });
+        expect(result.detector.minNotionalUsd).toBe(5000);
+        expect(result.adjuster.whaleWeight).toBe(0.2);
+
+        expect(() => store.updateWhale({ detector: { marketMakerThreshold: 0.7 } })).toThrow('Invalid whale configuration');
+        expect(() => store.updateWhale({ adjuster: { whaleWeight: 0.9 } })).toThrow(RuntimeConfigError);
+    });
+
+    test('persists overrides and restores them on the next start', () => {
+        const store = createStore(createTargets());
+        store.updateSignals({ 'timing-pattern': { weight: 0.25 } }, { actor: 'ops' });
+        store.updateWhale({ detector: { depthThresholdPercent: 8 } });
+
+        const targets = createTargets();
+        const restarted = createStore(targets);
+
+        expect(targets.processor.weight).toBe(0.25);
+        expect(targets.whaleDetector.getConfig().depthThresholdPercent).toBe(8);
+        expect(restarted.getAudit().map(entry => entry.section)).toEqual(['whale', 'signals']);
+        // Restoring is not itself a change
+        expect(restarted.getAudit()).toHaveLength(2);
+    });
+
+    test('null resets a field to its startup value and drops the override', () => {
+        const targets = createTargets();
+        const store = createStore(targets);
+
+        store.updateSignals({ 'timing-pattern': { weight: 0.3 } });
+        store.updateSignals({ 'timing-pattern': { weight: null } });
+
+        expect(targets.processor.weight).toBe(0.1);
+        expect(store.getSignals().overrides).toEqual({});
+        expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).signals).toEqual({});
+    });
+
+    test('keeps only the most recent audit entries', () => {
+        const store = createStore(createTargets());
+
+        for (const weight of [0.11, 0.12, 0.13, 0.14]) {
+            store.updateSignals({ 'timing-pattern': { weight } });
+        }
+
+        const audit = store.getAudit();
+        expect(audit.map(entry => entry.id)).toEqual([4, 3, 2]);
+        expect(store.getAudit({ limit: 1, section: 'signals' })).toHaveLength(1);
+        expect(store.getAudit({ section: 'whale' })).toEqual([]);
+    });
+});
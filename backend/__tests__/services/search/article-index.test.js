@@ -0,0 +1,144 @@
+// Tests for the article search index
+
+jest.mock('../../../config', () => ({ db: { useInMemory: true } }));
+
+const EventEmitter = require('events');
+const { ArticleSearchIndex } = require('../../../services/search/article-index');
+const { stem } = require('../../../services/search/text');
+
+function createStore(articles) {
+    return {
+        changes: new EventEmitter(),
+        articles: {
+            getAll: jest.fn(async ({ limit, offset }) => articles.slice(offset, offset + limit))
+        }
+    };
+}
+
+const articles = [
+    {
+        id: 'a1',
+        headline: 'Merz Wins German Election',
+        summary: 'The CDU leader secures the chancellery.',
+        body: 'Friedrich Merz wins the federal election as voters turn to the conservatives. Coalition talks begin immediately.',
+        category: 'Politics',
+        publishedAt: '2025-02-01T00:00:00Z'
+    },
+    {
+        id: 'a2',
+        headline: 'Fed Holds Rates Steady',
+        summary: 'Policymakers keep the benchmark rate unchanged ahead of the election.',
+        body: 'The Federal Reserve holds interest rates steady, citing stable inflation.',
+        category: 'Finance',
+        publishedAt: '2025-02-02T00:00:00Z'
+    },
+    {
+        id: 'a3',
+        headline: 'Bitcoin Rallies Past Record',
+        summary: 'The cryptocurrency extends its gains.',
+        body: 'Bitcoin rallies as institutional buyers return.',
+        category: 'Crypto',
+        publishedAt: '2025-02-03T00:00:00Z'
+    }
+];
+
+describe('ArticleSearchIndex', () => {
+    let index;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        index = new ArticleSearchIndex({ store: createStore(articles) });
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('stems inflections to the same term', () => {
+        expect(stem('elections')).toBe(stem('election'));
+        expect(stem('rated')).toBe(stem('rates'));
+        expect(stem('winning')).toBe(stem('wins'));
+        expect(stem('companies')).toBe('company');
+    });
+
+    test('ranks headline matches above body and summary matches', async () => {
+        const { total, results } = await index.search('elections');
+
+        expect(total).toBe(2);
+        expect(results.map(r => r.article.id)).toEqual(['a1', 'a2']);
+        expect(results[0].score).toBeGreaterThan(results[1].score);
+    });
+
+    test('requires every word and matches prefixes', async () => {
+        expect((await index.search('rates election')).results.map(r => r.article.id)).toEqual(['a2']);
+        expect((await index.search('bitc')).results.map(r => r.article.id)).toEqual(['a3']);
+        expect((await index.search('bitcoin election')).total).toBe(0);
+        expect((await index.search('the')).total).toBe(0);
+    });
+
+    test('filters by category and pages results', async () => {
+        const finance = await index.search('election', { category: 'Finance' });
+        expect(finance.results.map(r => r.article.id)).toEqual(['a2']);
+
+        const secondPage = await index.search('election', { limit: 1, offset: 1 });
+        expect(secondPage).toMatchObject({ total: 2 });
+        expect(secondPage.results.map(r => r.article.id)).toEqual(['a2']);
+    });
+
+    test('highlights matched words in the headline and a body snippet', async () => {
+        const [result] = (await index.search('merz wins')).results;
+
+        expect(result.highlights.headline).toEqual([
+            { text: 'Merz', match: true },
+            { text: ' ', match: false },
+            { text: 'Wins', match: true },
+            { text: ' German Election', match: false }
+        ]);
+        expect(result.highlights.snippet.filter(s => s.match).map(s => s.text)).toEqual(['Merz', 'wins']);
+    });
+
+    test('follows article creates and updates from the change feed', async () => {
+        await index.search('bitcoin');
+
+        index.store.changes.emit('article', { ...articles[2], headline: 'Ether Rallies Past Record', body: 'Ether rallies.' });
+        index.store.changes.emit('article', { id: 'a4', headline: 'Bitcoin ETF Approved', body: '', category: 'Crypto' });
+
+        expect((await index.search('bitcoin')).results.map(r => r.article.id)).toEqual(['a4']);
+        expect((await index.search('ether')).results.map(r => r.article.id)).toEqual(['a3']);
+        expect(index.getStats()).toMatchObject({ built: true, articles: 4 });
+    });
+
+    test('keeps changes saved while the index is being built', async () => {
+        const store = createStore(articles);
+        const getAll = store.articles.getAll.getMockImplementation();
+        // The article is updated after the only page was read, before the build finishes
+        store.articles.getAll.mockImplementation(async (options) => {
+            const page = await getAll(options);
+            store.changes.emit('article', { ...articles[2], headline: 'Ether Rallies Past Record', body: 'Ether rallies.' });
+            return page;
+        });
+        index = new ArticleSearchIndex({ store });
+
+        expect((await index.search('ether')).results.map(r => r.article.id)).toEqual(['a3']);
+        expect((await index.search('bitcoin')).total).toBe(0);
+    });
+});
+
+describe('db change feed', () => {
+    test('emits every article saved through the configured adapter', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const db = require('../../../db');
+        const listener = jest.fn();
+        db.changes.on('article', listener);
+
+        const created = await db.articles.create({ eventId: 'search-feed-test', headline: 'Search Feed Test' });
+        await db.articles.update(created.id, { summary: 'Updated' });
+
+        expect(listener.mock.calls.map(([article]) => [article.id, article.summary])).toEqual([
+            [created.id, undefined],
+            [created.id, 'Updated']
+        ]);
+        db.changes.off('article', listener);
+        console.log.mockRestore();
+    });
+});
@@ -0,0 +1,155 @@
+// Tests for the "More from Future Times" article recommender
+
+jest.mock('../../../config', () => ({ db: { useInMemory: true } }));
+
+const EventEmitter = require('events');
+const { ArticleRecommender, normalizeTags } = require('../../../services/search/recommender');
+
+const events = {
+    e1: { id: 'e1', tags: [{ slug: 'elections', label: 'Elections' }, { slug: 'germany' }, { slug: 'all' }] },
+    e2: { id: 'e2', tags: [{ slug: 'elections' }, { slug: 'germany' }] },
+    e3: { id: 'e3', rawData: { tags: ['crypto', 'bitcoin'] } },
+    e4: { id: 'e4', tags: [{ slug: 'fed' }, { slug: 'economy' }] },
+    e5: { id: 'e5', tags: [{ slug: 'elections' }, { slug: 'france' }] }
+};
+
+function createStore(articles) {
+    return {
+        changes: new EventEmitter(),
+        articles: {
+            getAll: jest.fn(async ({ limit, offset }) => articles.slice(offset, offset + limit))
+        },
+        events: {
+            getById: jest.fn(async id => events[id] || null)
+        }
+    };
+}
+
+const articles = [
+    {
+        id: 'a1',
+        eventId: 'e1',
+        headline: 'Merz Wins German Election',
+        body: 'Friedrich Merz wins the federal election as voters turn to the conservatives.',
+        category: 'Politics',
+        expiresAt: '2025-02-23T00:00:00Z',
+        publishedAt: '2025-02-01T00:00:00Z'
+    },
+    {
+        id: 'a2',
+        eventId: 'e2',
+        headline: 'CDU Forms Coalition After German Election',
+        body: 'The conservatives agree a coalition as Merz prepares to govern after the election.',
+        category: 'Politics',
+        expiresAt: '2025-03-01T00:00:00Z',
+        publishedAt: '2025-02-02T00:00:00Z'
+    },
+    {
+        id: 'a3',
+        eventId: 'e3',
+        headline: 'Bitcoin Rallies Past Record',
+        body: 'Bitcoin rallies as institutional buyers return.',
+        category: 'Crypto',
+        expiresAt: '2025-02-23T00:00:00Z',
+        publishedAt: '2025-02-03T00:00:00Z'
+    },
+    {
+        id: 'a4',
+        eventId: 'e4',
+        headline: 'Fed Holds Rates Steady',
+        body: 'The Federal Reserve holds interest rates steady, citing stable inflation.',
+        category: 'Finance',
+        expiresAt: '2025-06-01T00:00:00Z',
+        publishedAt: '2025-02-04T00:00:00Z'
+    },
+    {
+        id: 'a5',
+        eventId: 'e5',
+        headline: 'Macron Calls Snap Vote',
+        body: 'The French president dissolves parliament.',
+        category: 'Politics',
+        expiresAt: '2025-02-20T00:00:00Z',
+        publishedAt: '2025-02-05T00:00:00Z'
+    }
+];
+
+describe('ArticleRecommender', () => {
+    let store;
+    let recommender;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        store = createStore(articles);
+        recommender = new ArticleRecommender({ store, settings: { maxResults: 5, minScore: 0.1 } });
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    test('ranks articles sharing words, category and tags first', async () => {
+        const similar = await recommender.getSimilar(articles[0]);
+
+        expect(similar.map(s => s.article.id)).toEqual(['a2', 'a5']);
+        expect(similar[0].reasons).toMatchObject({ sameCategory: true, sharedTags: ['elections', 'germany'], daysApart: 6 });
+        expect(similar[0].reasons.text).toBeGreaterThan(0);
+        expect(similar[0].score).toBeGreaterThan(similar[1].score);
+    });
+
+    test('needs shared words or tags, not just a category or resolution date', async () => {
+        const similar = await recommender.getSimilar(articles[2], { minScore: 0 });
+
+        // a1 resolves the same day but shares nothing else
+        expect(similar).toEqual([]);
+    });
+
+    test('matches on tags alone when the text has nothing in common', async () => {
+        const similar = await recommender.getSimilar(articles[4]);
+
+        expect(similar[0].article.id).toBe('a1');
+        expect(similar[0].reasons).toMatchObject({ text: 0, sharedTags: ['elections'] });
+    });
+
+    test('skips resolved articles and follows the change feed after the build', async () => {
+        await recommender.ensureBuilt();
+        store.changes.emit('article', { ...articles[1], resolved: true });
+        await new Promise(resolve => setImmediate(resolve));
+
+        const similar = await recommender.getSimilar(articles[0]);
+
+        expect(similar.map(s => s.article.id)).toEqual(['a5']);
+        expect(store.articles.getAll).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps changes saved while it is being built', async () => {
+        const getAll = store.articles.getAll.getMockImplementation();
+        // a2 resolves after the only page was read, before the build finishes
+        store.articles.getAll.mockImplementation(async (options) => {
+            const page = await getAll(options);
+            store.changes.emit('article', { ...articles[1], resolved: true });
+            return page;
+        });
+
+        const similar = await recommender.getSimilar(articles[0]);
+
+        expect(similar.map(s => s.article.id)).toEqual(['a5']);
+        expect(recommender.pendingChanges).toBeNull();
+    });
+
+    test('keeps cached vectors when only the probability changes', async () => {
+        await recommender.getSimilar(articles[0]);
+        const vectors = recommender.vectors;
+
+        await recommender.add({ ...articles[1], probability: 0.9 });
+        expect(recommender.vectors).toBe(vectors);
+
+        await recommender.add({ ...articles[1], headline: 'Coalition Talks Collapse' });
+        expect(recommender.vectors).toBeNull();
+    });
+
+    test('normalizeTags accepts objects and strings and drops generic tags', () => {
+        expect([...normalizeTags([{ slug: 'Elections' }, { label: 'Germany' }, 'All', 'crypto', null])])
+            .toEqual(['elections', 'germany', 'crypto']);
+        expect(normalizeTags(undefined).size).toBe(0);
+    });
+});
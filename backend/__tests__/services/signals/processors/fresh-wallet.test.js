@@ -22,6 +22,7 @@ jest.mock('../../../../services/wallet/tracker', () => ({
 }));
 
 const { FreshWalletProcessor, freshWalletProcessor } = require('../../../../services/signals/processors/fresh-wallet');
+const { createSignalContext } = require('../../../../services/signals/signal');
 const { freshWalletProfile, veryFreshWalletProfile, establishedWalletProfile } = require('../../../fixtures/wallets');
 const { standardMarket, lowLiquidityMarket, zeroLiquidityMarket } = require('../../../fixtures/markets');
 
@@ -45,7 +46,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(true);
             expect(result.confidence).toBeGreaterThan(0);
@@ -63,7 +64,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 150
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(false);
         });
@@ -79,7 +80,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(false);
         });
@@ -95,7 +96,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 5 // Under maxTrades threshold
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(true);
         });
@@ -110,7 +111,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(false);
         });
@@ -120,7 +121,7 @@ describe('FreshWalletProcessor', () => {
             const market = { liquidity: 10000 };
             const trade = { size: 500, side: 'YES' }; // No address
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(false);
         });
@@ -138,7 +139,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 1
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('HIGH');
@@ -155,7 +156,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 5
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('MEDIUM');
@@ -174,7 +175,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(true);
             expect(result.confidence).toBeGreaterThan(0);
@@ -192,7 +193,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 1
             });
 
-            const resultVeryNew = await processor.process(event, market, trade);
+            const resultVeryNew = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             // Moderately new wallet (5 days)
             mockWalletTracker.getWalletProfile.mockResolvedValueOnce({
@@ -200,7 +201,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 8
             });
 
-            const resultModNew = await processor.process(event, market, trade);
+            const resultModNew = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(resultVeryNew.confidence).toBeGreaterThan(resultModNew.confidence);
         });
@@ -217,11 +218,11 @@ describe('FreshWalletProcessor', () => {
 
             // Large trade (8%)
             mockWalletTracker.getWalletProfile.mockResolvedValueOnce(walletProfile);
-            const resultLarge = await processor.process(event, market, { maker: '0xtest', size: 800, side: 'YES' });
+            const resultLarge = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade: { maker: '0xtest', size: 800, side: 'YES' } }));
 
             // Smaller trade (3%)
             mockWalletTracker.getWalletProfile.mockResolvedValueOnce(walletProfile);
-            const resultSmall = await processor.process(event, market, { maker: '0xtest', size: 300, side: 'YES' });
+            const resultSmall = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade: { maker: '0xtest', size: 300, side: 'YES' } }));
 
             expect(resultLarge.confidence).toBeGreaterThan(resultSmall.confidence);
         });
@@ -238,7 +239,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            await processor.process(event, market, trade);
+            await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(mockWalletTracker.getWalletProfile).toHaveBeenCalledWith('0xfrommaker');
         });
@@ -253,7 +254,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            await processor.process(event, market, trade);
+            await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(mockWalletTracker.getWalletProfile).toHaveBeenCalledWith('0xfromtaker');
         });
@@ -268,7 +269,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            await processor.process(event, market, trade);
+            await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(mockWalletTracker.getWalletProfile).toHaveBeenCalledWith('0xfromaddress');
         });
@@ -283,7 +284,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            await processor.process(event, market, trade);
+            await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(mockWalletTracker.getWalletProfile).toHaveBeenCalledWith('0xabc123def');
         });
@@ -300,7 +301,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.metadata.tradeSize).toBe(500);
         });
@@ -315,7 +316,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.metadata.tradeSize).toBe(600);
         });
@@ -330,7 +331,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 2
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.metadata.tradeSize).toBe(500); // 0.5 * 1000
         });
@@ -347,7 +348,7 @@ describe('FreshWalletProcessor', () => {
                 totalTrades: 3
             });
 
-            const result = await processor.process(event, market, trade);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade }));
 
             expect(result.detected).toBe(true);
             expect(result.metadata).toHaveProperty('walletAge');
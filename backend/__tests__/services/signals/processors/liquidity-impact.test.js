@@ -20,6 +20,7 @@ jest.mock('../../../../services/orderbook/analyzer', () => ({
 }));
 
 const { LiquidityImpactProcessor } = require('../../../../services/signals/processors/liquidity-impact');
+const { createSignalContext } = require('../../../../services/signals/signal');
 const { standardOrderbook, thinOrderbook, deepOrderbook } = require('../../../fixtures/orderbooks');
 const { standardMarket } = require('../../../fixtures/markets');
 
@@ -46,7 +47,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 1.5
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(mockOrderBookAnalyzer.calculateLiquidityImpact).toHaveBeenCalledWith(
@@ -70,7 +71,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 0.2
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(false);
         });
@@ -81,7 +82,7 @@ describe('LiquidityImpactProcessor', () => {
             const trade = null;
             const orderbook = standardOrderbook;
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(false);
         });
@@ -92,7 +93,7 @@ describe('LiquidityImpactProcessor', () => {
             const trade = { size: 1000, side: 'BUY' };
             const orderbook = null;
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(false);
         });
@@ -113,7 +114,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 4
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('HIGH');
@@ -133,7 +134,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 2
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('MEDIUM');
@@ -153,7 +154,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 2.5
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('MEDIUM');
@@ -173,7 +174,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 3
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('HIGH');
@@ -195,7 +196,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 8
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.confidence).toBe(1);
@@ -215,7 +216,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 2.5
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.confidence).toBeCloseTo(0.5, 1);
@@ -235,7 +236,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 15
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.confidence).toBe(1);
@@ -256,7 +257,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 2.8
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.metadata.slippage).toBe(2.8);
@@ -278,10 +279,10 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 1.5
             });
 
-            const resultBuy = await processor.process(event, market, { size: 1000, side: 'BUY' }, orderbook);
+            const resultBuy = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade: { size: 1000, side: 'BUY' }, orderbook }));
             expect(resultBuy.direction).toBe('BUY');
 
-            const resultSell = await processor.process(event, market, { size: 1000, side: 'SELL' }, orderbook);
+            const resultSell = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade: { size: 1000, side: 'SELL' }, orderbook }));
             expect(resultSell.direction).toBe('SELL');
         });
     });
@@ -300,7 +301,7 @@ describe('LiquidityImpactProcessor', () => {
                 slippage: 2
             });
 
-            const result = await processor.process(event, market, trade, orderbook);
+            const result = await processor.process(createSignalContext({ mode: 'realtime', event, market, trade, orderbook }));
 
             expect(result.detected).toBe(true);
             expect(result.metadata).toEqual({
@@ -30,6 +30,7 @@ jest.mock('../../../../services/wallet/funding-analyzer', () => ({
 }));
 
 const { SniperClusterProcessor } = require('../../../../services/signals/processors/sniper-cluster');
+const { createSignalContext } = require('../../../../services/signals/signal');
 const { createCoordinatedTrades, createSpreadOutTrades, createMixedDirectionTrades } = require('../../../fixtures/trades');
 const { standardMarket } = require('../../../fixtures/markets');
 
@@ -56,7 +57,7 @@ describe('SniperClusterProcessor', () => {
 
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.metadata.clusterSize).toBe(3);
@@ -75,7 +76,7 @@ describe('SniperClusterProcessor', () => {
 
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(false);
         });
@@ -94,7 +95,7 @@ describe('SniperClusterProcessor', () => {
 
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(false);
         });
@@ -112,7 +113,7 @@ describe('SniperClusterProcessor', () => {
 
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             // Should not detect because only 2 wallets are YES direction in the window
             expect(result.detected).toBe(false);
@@ -124,7 +125,7 @@ describe('SniperClusterProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(false);
         });
@@ -135,7 +136,7 @@ describe('SniperClusterProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(null);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(false);
         });
@@ -157,7 +158,7 @@ describe('SniperClusterProcessor', () => {
 
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('HIGH');
@@ -178,7 +179,7 @@ describe('SniperClusterProcessor', () => {
 
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('MEDIUM');
@@ -200,7 +201,7 @@ describe('SniperClusterProcessor', () => {
             ]);
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result3 = await processor.process(event, market);
+            const result3 = await processor.process(createSignalContext({ mode: 'batch', event, market }));
             const conf3 = result3.confidence;
 
             // 6 wallets
@@ -213,7 +214,7 @@ describe('SniperClusterProcessor', () => {
                 { maker: '0xwallet6', side: 'YES', timestamp: new Date(baseTime + 150000).toISOString(), size: 100 }
             ]);
 
-            const result6 = await processor.process(event, market);
+            const result6 = await processor.process(createSignalContext({ mode: 'batch', event, market }));
             const conf6 = result6.confidence;
 
             expect(conf6).toBeGreaterThan(conf3);
@@ -237,7 +238,7 @@ describe('SniperClusterProcessor', () => {
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.confidence).toBeLessThanOrEqual(1);
         });
@@ -260,7 +261,7 @@ describe('SniperClusterProcessor', () => {
                 { cluster: ['0xwallet1', '0xwallet2'], confidence: 0.8, reason: 'same_funding_source' }
             ]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(mockFundingAnalyzer.detectConnectedWallets).toHaveBeenCalled();
@@ -280,7 +281,7 @@ describe('SniperClusterProcessor', () => {
             // Mock: funding analysis throws error
             mockFundingAnalyzer.detectConnectedWallets.mockRejectedValue(new Error('Funding analysis failed'));
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             // Should still detect based on timing alone
             expect(result.detected).toBe(true);
@@ -294,7 +295,7 @@ describe('SniperClusterProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue([]);
 
-            await processor.process(event, market);
+            await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             // Verify it fetched trades from DB rather than expecting them as parameters
             expect(mockDb.tradeHistory.getByMarket).toHaveBeenCalledWith('token-sig-001');
@@ -315,7 +316,7 @@ describe('SniperClusterProcessor', () => {
 
             mockFundingAnalyzer.detectConnectedWallets.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.metadata).toHaveProperty('clusterSize', 3);
             expect(result.metadata).toHaveProperty('wallets');
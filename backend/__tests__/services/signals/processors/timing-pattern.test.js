@@ -21,6 +21,7 @@ const mockDb = {
 jest.mock('../../../../db/index.js', () => mockDb);
 
 const { TimingPatternProcessor } = require('../../../../services/signals/processors/timing-pattern');
+const { createSignalContext } = require('../../../../services/signals/signal');
 const { nearResolutionMarket, farResolutionMarket, noEndDateMarket, resolutionDateMarket } = require('../../../fixtures/markets');
 const { createConcentratedTrades } = require('../../../fixtures/trades');
 
@@ -68,7 +69,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.metadata.concentrationRatio).toBeGreaterThan(2);
@@ -95,7 +96,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(false);
         });
@@ -109,7 +110,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue([]);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(false);
         });
@@ -142,7 +143,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
         });
@@ -181,7 +182,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             // Expected ratio approximately 4 (slight variation due to timing)
             expect(result.detected).toBe(true);
@@ -213,7 +214,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             // Should handle gracefully - ratio is Infinity which is > threshold
             expect(result.detected).toBe(true);
@@ -252,7 +253,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('HIGH');
@@ -289,7 +290,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.severity).toBe('MEDIUM');
@@ -336,7 +337,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.direction).toBe('YES');
@@ -382,7 +383,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.direction).toBe('NO');
@@ -429,7 +430,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             // NO has higher volume even though fewer trades
@@ -447,7 +448,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue([]);
 
-            await processor.process(event, market);
+            await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(mockDb.tradeHistory.getByMarket).toHaveBeenCalledWith('token-sig-001');
         });
@@ -483,7 +484,7 @@ describe('TimingPatternProcessor', () => {
 
             mockDb.tradeHistory.getByMarket.mockResolvedValue(trades);
 
-            const result = await processor.process(event, market);
+            const result = await processor.process(createSignalContext({ mode: 'batch', event, market }));
 
             expect(result.detected).toBe(true);
             expect(result.metadata).toHaveProperty('hoursToResolution');
@@ -5,6 +5,8 @@ jest.mock('../../../services/signals/processors/volume-spike', () => {
     return jest.fn().mockImplementation(() => ({
         name: 'volume-spike',
         weight: 0.08,
+        inputs: ['market'],
+        modes: ['batch'],
         process: jest.fn().mockResolvedValue({ detected: false }),
         calculateAdjustment: jest.fn().mockReturnValue(0)
     }));
@@ -14,6 +16,8 @@ jest.mock('../../../services/signals/processors/probability-extreme', () => {
     return jest.fn().mockImplementation(() => ({
         name: 'probability-extreme',
         weight: 0.05,
+        inputs: ['market'],
+        modes: ['batch'],
         process: jest.fn().mockResolvedValue({ detected: false }),
         calculateAdjustment: jest.fn().mockReturnValue(0)
     }));
@@ -23,6 +27,8 @@ jest.mock('../../../services/signals/processors/high-liquidity', () => {
     return jest.fn().mockImplementation(() => ({
         name: 'high-liquidity',
         weight: 0.03,
+        inputs: ['market'],
+        modes: ['batch'],
         process: jest.fn().mockResolvedValue({ detected: false }),
         calculateAdjustment: jest.fn().mockReturnValue(0)
     }));
@@ -31,6 +37,8 @@ jest.mock('../../../services/signals/processors/high-liquidity', () => {
 const mockFreshWalletProcessor = {
     name: 'fresh-wallet',
     weight: 0.15,
+    inputs: ['market', 'trade', 'wallet'],
+    modes: ['realtime'],
     process: jest.fn().mockResolvedValue({ detected: false }),
     calculateAdjustment: jest.fn().mockReturnValue(0)
 };
@@ -43,6 +51,8 @@ jest.mock('../../../services/signals/processors/fresh-wallet', () => ({
 const mockLiquidityImpactProcessor = {
     name: 'liquidity-impact',
     weight: 0.12,
+    inputs: ['market', 'trade', 'orderbook'],
+    modes: ['realtime'],
     process: jest.fn().mockResolvedValue({ detected: false }),
     calculateAdjustment: jest.fn().mockReturnValue(0)
 };
@@ -55,6 +65,8 @@ jest.mock('../../../services/signals/processors/liquidity-impact', () => ({
 const mockWalletAccuracyProcessor = {
     name: 'wallet-accuracy',
     weight: 0.18,
+    inputs: ['market', 'trade', 'wallet'],
+    modes: ['realtime'],
     process: jest.fn().mockResolvedValue({ detected: false }),
     calculateAdjustment: jest.fn().mockReturnValue(0)
 };
@@ -67,6 +79,8 @@ jest.mock('../../../services/signals/processors/wallet-accuracy', () => ({
 const mockTimingPatternProcessor = {
     name: 'timing-pattern',
     weight: 0.14,
+    inputs: ['market'],
+    modes: ['batch', 'realtime'],
     process: jest.fn().mockResolvedValue({ detected: false }),
     calculateAdjustment: jest.fn().mockReturnValue(0)
 };
@@ -79,6 +93,8 @@ jest.mock('../../../services/signals/processors/timing-pattern', () => ({
 const mockSniperClusterProcessor = {
     name: 'sniper-cluster',
     weight: 0.16,
+    inputs: ['market'],
+    modes: ['batch', 'realtime'],
     process: jest.fn().mockResolvedValue({ detected: false }),
     calculateAdjustment: jest.fn().mockReturnValue(0)
 };
@@ -93,6 +109,9 @@ const mockDb = {
     signals: {
         create: jest.fn().mockResolvedValue({}),
         getByEventId: jest.fn().mockResolvedValue([])
+    },
+    detectedPatterns: {
+        record: jest.fn().mockResolvedValue({})
     }
 };
 
@@ -140,6 +159,35 @@ describe('SignalRegistry', () => {
 
             expect(registry.getProcessorNames()).toContain('custom-processor');
         });
+
+        test('dispatches a new processor from its declared metadata', async () => {
+            const customProcessor = {
+                name: 'order-flow',
+                weight: 0.1,
+                inputs: ['trade', 'orderbook'],
+                modes: ['realtime'],
+                process: jest.fn().mockResolvedValue({ detected: false }),
+                calculateAdjustment: jest.fn()
+            };
+
+            registry.register(customProcessor);
+            await registry.processEvent({ id: 'event-1' }, {});
+            expect(customProcessor.process).not.toHaveBeenCalled();
+
+            await registry.processRealTimeTrade({ id: 'event-1' }, {}, { size: 1 }, { bids: [], asks: [] });
+            expect(customProcessor.process).toHaveBeenCalledTimes(1);
+            expect(registry.getProcessorMetadata()).toContainEqual(
+                expect.objectContaining({ name: 'order-flow', inputs: ['trade', 'orderbook'], modes: ['realtime'] })
+            );
+        });
+
+        test('rejects processors with unknown inputs or modes', () => {
+            const base = { name: 'bad', weight: 0.1, process: jest.fn(), calculateAdjustment: jest.fn() };
+
+            expect(() => registry.register({ ...base, inputs: ['news'] })).toThrow('unknown inputs: news');
+            expect(() => registry.register({ ...base, modes: ['hourly'] })).toThrow('must run in one of');
+            expect(registry.getProcessorNames()).not.toContain('bad');
+        });
     });
 
     describe('processRealTimeTrade', () => {
@@ -161,37 +209,68 @@ describe('SignalRegistry', () => {
             expect(mockSniperClusterProcessor.process).toHaveBeenCalled();
         });
 
-        test('passes (event, market, trade, orderbook) to trade processors', async () => {
+        test('passes one context with the trading wallet to every processor', async () => {
             const event = { id: 'event-1' };
             const market = { tokenId: 'token-123', liquidity: 10000, endDate: new Date().toISOString() };
-            const trade = { maker: '0xtest', size: 500, side: 'BUY' };
+            const trade = { maker: '0xTEST', size: 500, side: 'BUY' };
             const orderbook = { bids: [[0.5, 100]], asks: [[0.6, 100]] };
 
             await registry.processRealTimeTrade(event, market, trade, orderbook);
 
-            // fresh-wallet gets (event, market, trade, orderbook)
-            expect(mockFreshWalletProcessor.process).toHaveBeenCalledWith(event, market, trade, orderbook);
+            const context = { mode: 'realtime', event, market, trade, orderbook, wallet: { address: '0xtest' } };
+            for (const processor of [mockFreshWalletProcessor, mockLiquidityImpactProcessor, mockWalletAccuracyProcessor,
+                mockTimingPatternProcessor, mockSniperClusterProcessor]) {
+                expect(processor.process).toHaveBeenCalledWith(context);
+            }
+        });
+
+        test('skips processors whose declared inputs are missing', async () => {
+            const event = { id: 'event-1' };
+            const market = { tokenId: 'token-123', liquidity: 10000 };
 
-            // liquidity-impact gets (event, market, trade, orderbook)
-            expect(mockLiquidityImpactProcessor.process).toHaveBeenCalledWith(event, market, trade, orderbook);
+            await registry.processRealTimeTrade(event, market, { size: 500, side: 'BUY' }, null);
 
-            // wallet-accuracy gets (event, market, trade, orderbook)
-            expect(mockWalletAccuracyProcessor.process).toHaveBeenCalledWith(event, market, trade, orderbook);
+            expect(mockLiquidityImpactProcessor.process).not.toHaveBeenCalled();
+            expect(mockFreshWalletProcessor.process).not.toHaveBeenCalled();
+            expect(mockTimingPatternProcessor.process).toHaveBeenCalled();
         });
 
-        test('passes only (event, market) to market processors', async () => {
+        test('normalizes results before storing signals and patterns', async () => {
             const event = { id: 'event-1' };
-            const market = { tokenId: 'token-123', liquidity: 10000, endDate: new Date().toISOString() };
-            const trade = { maker: '0xtest', size: 500, side: 'BUY' };
-            const orderbook = { bids: [[0.5, 100]], asks: [[0.6, 100]] };
+            const market = { tokenId: 'token-123', liquidity: 10000 };
+            const trade = { id: 'trade-1', maker: '0xtest', size: 500, side: 'BUY', outcome: 'No' };
 
-            await registry.processRealTimeTrade(event, market, trade, orderbook);
+            mockLiquidityImpactProcessor.process.mockResolvedValueOnce({
+                detected: true,
+                confidence: 1.4,
+                direction: 'BUY',
+                severity: 'high'
+            });
 
-            // timing-pattern gets (event, market) only
-            expect(mockTimingPatternProcessor.process).toHaveBeenCalledWith(event, market);
+            const [signal] = await registry.processRealTimeTrade(event, market, trade, { bids: [], asks: [] });
 
-            // sniper-cluster gets (event, market) only
-            expect(mockSniperClusterProcessor.process).toHaveBeenCalledWith(event, market);
+            // Buying the No token moves the quoted outcome down
+            expect(signal).toMatchObject({
+                eventId: 'event-1',
+                tokenId: 'token-123',
+                signalType: 'liquidity-impact',
+                mode: 'realtime',
+                severity: 'HIGH',
+                confidence: 1,
+                direction: 'NO',
+                metadata: {},
+                tradeId: 'trade-1'
+            });
+            expect(mockLiquidityImpactProcessor.calculateAdjustment).toHaveBeenCalledWith(
+                expect.objectContaining({ direction: 'NO', confidence: 1 })
+            );
+            expect(mockDb.signals.create).toHaveBeenCalledWith(signal);
+            expect(mockDb.detectedPatterns.record).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'liquidity-impact',
+                eventId: 'event-1',
+                direction: 'NO',
+                severity: 'HIGH'
+            }));
         });
 
         test('aggregates results from all processors', async () => {
@@ -296,6 +375,22 @@ describe('SignalRegistry', () => {
             expect(mockLiquidityImpactProcessor.process).not.toHaveBeenCalled();
             expect(mockWalletAccuracyProcessor.process).not.toHaveBeenCalled();
         });
+
+        test('runs batch processors with a market-only context and stores no patterns', async () => {
+            const event = { id: 'event-1' };
+            const market = { tokenId: 'token-123', probability: 0.95 };
+
+            mockTimingPatternProcessor.process.mockResolvedValueOnce({ detected: true, confidence: 0.5, direction: 'YES' });
+
+            const signals = await registry.processEvent(event, market);
+
+            expect(mockTimingPatternProcessor.process).toHaveBeenCalledWith(
+                expect.objectContaining({ mode: 'batch', event, market, trade: null, wallet: null })
+            );
+            expect(signals.map(s => [s.signalType, s.severity, s.tradeId])).toEqual([['timing-pattern', 'LOW', null]]);
+            expect(mockDb.signals.create).toHaveBeenCalledTimes(1);
+            expect(mockDb.detectedPatterns.record).not.toHaveBeenCalled();
+        });
     });
 
     describe('getRealtimeProcessors', () => {
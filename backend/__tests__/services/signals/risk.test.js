@@ -0,0 +1,139 @@
+// Tests for the aggregated per-event insider risk score
+
+jest.mock('../../../config', () => ({
+    risk: {
+        halfLifeHours: 24,
+        maxAgeDays: 7,
+        correlatedWeight: 0.25,
+        weights: { 'wallet-accuracy': 1, 'sniper-cluster': 0.9, 'fresh-wallet': 0.8, 'timing-pattern': 0.6, 'liquidity-impact': 0.5 },
+        topContributors: 5
+    }
+}));
+jest.mock('../../../db', () => ({}));
+
+const { EventRiskScorer } = require('../../../services/signals/risk');
+
+const NOW = Date.parse('2026-03-01T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+function signal(overrides) {
+    return {
+        id: Math.random().toString(36).slice(2),
+        eventId: 'e1',
+        confidence: 1,
+        severity: 'HIGH',
+        direction: 'YES',
+        detectedAt: new Date(NOW).toISOString(),
+        ...overrides
+    };
+}
+
+describe('EventRiskScorer', () => {
+    const scorer = new EventRiskScorer({ store: {} });
+
+    test('ignores unrelated signal types and expired detections', () => {
+        const risk = scorer.score('e1', [
+            signal({ signalType: 'volume-spike' }),
+            signal({ signalType: 'fresh-wallet', walletAddress: '0xa', detectedAt: new Date(NOW - 8 * 24 * HOUR).toISOString() })
+        ], NOW);
+
+        expect(risk).toEqual(expect.objectContaining({ score: 0, level: 'LOW', detections: 0, direction: null }));
+    });
+
+    test('decays detections by age', () => {
+        const fresh = scorer.score('e1', [signal({ signalType: 'wallet-accuracy', walletAddress: '0xa', confidence: 0.5 })], NOW);
+        const dayOld = scorer.score('e1', [signal({
+            signalType: 'wallet-accuracy',
+            walletAddress: '0xa',
+            confidence: 0.5,
+            detectedAt: new Date(NOW - 24 * HOUR).toISOString()
+        })], NOW);
+
+        expect(fresh.score).toBe(50);
+        expect(dayOld.score).toBe(25);
+    });
+
+    test('does not triple-count several signals from the same wallet', () => {
+        const sameWallet = [
+            signal({ signalType: 'fresh-wallet', walletAddress: '0xa', tradeId: 't1', confidence: 0.5 }),
+            signal({ signalType: 'wallet-accuracy', walletAddress: '0xa', tradeId: 't2', confidence: 0.5 }),
+            signal({ signalType: 'liquidity-impact', tradeId: 't1', confidence: 0.5 })
+        ];
+        const separateWallets = [
+            signal({ signalType: 'fresh-wallet', walletAddress: '0xa', tradeId: 't1', confidence: 0.5 }),
+            signal({ signalType: 'wallet-accuracy', walletAddress: '0xb', tradeId: 't2', confidence: 0.5 }),
+            signal({ signalType: 'liquidity-impact', walletAddress: '0xc', tradeId: 't3', confidence: 0.5 })
+        ];
+
+        const correlated = scorer.score('e1', sameWallet, NOW);
+        const independent = scorer.score('e1', separateWallets, NOW);
+
+        // 0.5 + 0.25 * (0.4 + 0.25)
+        expect(correlated.groups).toBe(1);
+        expect(correlated.score).toBe(66.3);
+        // 1 - 0.5 * 0.6 * 0.75
+        expect(independent.groups).toBe(3);
+        expect(independent.score).toBe(77.5);
+    });
+
+    test('gives no points to weaker repeats of a type within a group', () => {
+        const risk = scorer.score('e1', [
+            signal({ signalType: 'fresh-wallet', walletAddress: '0xa', tradeId: 't1', confidence: 0.5 }),
+            signal({ signalType: 'fresh-wallet', walletAddress: '0xa', tradeId: 't2', confidence: 0.25, direction: 'NO' }),
+            signal({ signalType: 'fresh-wallet', walletAddress: '0xa', tradeId: 't3', confidence: 0.25, direction: 'NO' })
+        ], NOW);
+
+        // Only the strongest fresh-wallet detection counts
+        expect(risk.score).toBe(40);
+        expect(risk.direction).toBe('YES');
+        expect(risk.topTrades.map(t => [t.tradeId, t.points])).toEqual([['t1', 40]]);
+        expect(risk.components).toEqual([expect.objectContaining({ type: 'fresh-wallet', detections: 3, points: 40 })]);
+    });
+
+    test('merges the same real-time detection from signals and detected patterns', () => {
+        const risk = scorer.score('e1', [
+            signal({ signalType: 'fresh-wallet', walletAddress: '0xa', tradeId: 't1', confidence: 0.5 }),
+            signal({ type: 'fresh-wallet', tradeId: 't1', confidence: 0.5 })
+        ], NOW);
+
+        expect(risk.detections).toBe(1);
+        expect(risk.score).toBe(40);
+    });
+
+    test('explains the score by wallet and trade', () => {
+        const risk = scorer.score('e1', [
+            signal({ signalType: 'wallet-accuracy', walletAddress: '0xA', tradeId: 't1', confidence: 0.8 }),
+            signal({ signalType: 'sniper-cluster', direction: 'NO', confidence: 0.2, metadata: { wallets: ['0xb', '0xc'] } }),
+            signal({ signalType: 'timing-pattern', confidence: 0.1, severity: 'MEDIUM' })
+        ], NOW);
+
+        expect(risk.direction).toBe('YES');
+        expect(risk.topWallets[0]).toEqual(expect.objectContaining({ address: '0xa', types: ['wallet-accuracy'] }));
+        expect(risk.topWallets.map(w => w.address)).toEqual(['0xa', '0xb', '0xc']);
+        expect(risk.topTrades).toEqual([expect.objectContaining({ tradeId: 't1', address: '0xa' })]);
+        expect(risk.components.map(c => c.type)).toEqual(['wallet-accuracy', 'sniper-cluster', 'timing-pattern']);
+
+        const points = risk.components.reduce((sum, c) => sum + c.points, 0);
+        expect(points).toBeCloseTo(risk.score, 0);
+    });
+
+    test('ranks events with recent detections', async () => {
+        const store = {
+            signals: {
+                getSince: jest.fn(async () => [
+                    signal({ eventId: 'e1', signalType: 'fresh-wallet', walletAddress: '0xa', confidence: 0.3 }),
+                    signal({ eventId: 'e2', signalType: 'wallet-accuracy', walletAddress: '0xb', confidence: 0.9 }),
+                    signal({ eventId: 'e3', signalType: 'volume-spike' })
+                ])
+            },
+            detectedPatterns: { getSince: jest.fn(async () => []) },
+            events: { getById: jest.fn(async id => ({ id, title: `Event ${id}`, slug: id })) }
+        };
+
+        const { events, scanned } = await new EventRiskScorer({ store }).rankEvents({ now: NOW });
+
+        expect(store.signals.getSince).toHaveBeenCalledWith(new Date(NOW - 7 * 24 * HOUR).toISOString());
+        expect(scanned).toBe(3);
+        expect(events.map(e => [e.eventId, e.title])).toEqual([['e2', 'Event e2'], ['e1', 'Event e1']]);
+    });
+});
@@ -0,0 +1,249 @@
+// Tests for the wallet history backfill from the CLOB trades endpoint
+
+jest.mock('../../../config', () => ({
+    wallet: {
+        historyLookbackDays: 90,
+        maxTrackedWallets: 3,
+        backfill: { pageSize: 2, statePath: 'data/wallet-backfill.json', profileTradeLimit: 1000 }
+    }
+}));
+jest.mock('../../../db', () => ({}));
+jest.mock('../../../services/polymarket/clob-client', () => ({ clobClient: {} }));
+jest.mock('../../../services/wallet/tracker', () => ({ walletTracker: {} }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../config');
+const { WalletBackfill, normalizeClobTrade } = require('../../../services/wallet/backfill');
+
+const DAY_S = 24 * 60 * 60;
+const NOW_S = Math.floor(Date.now() / 1000);
+
+const A = '0x' + 'a'.repeat(40);
+const B = '0x' + 'b'.repeat(40);
+const C = '0x' + 'c'.repeat(40);
+
+function rawTrade(id, daysAgo, overrides = {}) {
+    return {
+        id,
+        asset_id: 'token-1',
+        market: '0xcondition',
+        price: '0.42',
+        size: '100',
+        side: 'BUY',
+        maker_address: A,
+        match_time: String(NOW_S - Math.round(daysAgo * DAY_S)),
+        ...overrides
+    };
+}
+
+// CLOB stand-in: trades newest first, `before` an exclusive match time in unix seconds
+function createClob(tradesByKey) {
+    return {
+        getTrades: jest.fn(async ({ assetId, maker, limit, before }) => {
+            const trades = tradesByKey[assetId || maker] || [];
+            return trades
+                .filter(trade => before === undefined || Number(trade.match_time) < before)
+                .slice(0, limit);
+        })
+    };
+}
+
+const matchTime = trade => Number(trade.match_time);
+
+function createStore(existing = []) {
+    const recorded = [];
+    return {
+        recorded,
+        tradeHistory: {
+            getExistingIds: jest.fn(async ids => new Set(ids.filter(id => existing.includes(id) || recorded.some(t => t.id === id)))),
+            record: jest.fn(async trade => { recorded.push(trade); return trade; })
+        }
+    };
+}
+
+function createTracker() {
+    return { rebuildProfile: jest.fn(async address => ({ address })) };
+}
+
+describe('WalletBackfill', () => {
+    let dir;
+    let settings;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'wallet-backfill-'));
+        settings = {
+            ...config.wallet,
+            backfill: { ...config.wallet.backfill, statePath: path.join(dir, 'state.json') }
+        };
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createBackfill(deps) {
+        return new WalletBackfill({ settings, ...deps });
+    }
+
+    test('normalizes CLOB trades onto the recorded trade shape', () => {
+        const trade = normalizeClobTrade(rawTrade('t1', 0, {
+            side: 'sell',
+            maker_address: A.toUpperCase().replace('0X', '0x'),
+            match_time: '1700000000',
+            transaction_hash: '0xhash'
+        }));
+
+        expect(trade).toEqual({
+            id: 't1',
+            tokenId: 'token-1',
+            marketId: '0xcondition',
+            price: 0.42,
+            size: 100,
+            side: 'SELL',
+            maker: A,
+            taker: null,
+            timestamp: '2023-11-14T22:13:20.000Z',
+            transactionHash: '0xhash',
+            source: 'backfill'
+        });
+        expect(normalizeClobTrade({ id: 't2' })).toBeNull();
+    });
+
+    test('pages an asset back to the lookback cutoff and rebuilds touched profiles', async () => {
+        const trades = [
+            rawTrade('t5', 1),
+            rawTrade('t4', 10, { maker_address: B }),
+            rawTrade('t3', 30, { taker: C }),
+            rawTrade('t2', 100),
+            rawTrade('t1', 120)
+        ];
+        const clob = createClob({ 'token-1': trades });
+        const store = createStore();
+        const tracker = createTracker();
+        const metrics = {};
+
+        await createBackfill({ clob, store, tracker }).run({ assets: ['token-1'] }, metrics);
+
+        expect(clob.getTrades).toHaveBeenCalledTimes(3);
+        expect(clob.getTrades).toHaveBeenNthCalledWith(1, { assetId: 'token-1', limit: 2, before: undefined });
+        // Next page from the oldest trade's second (re-read; stored trades are skipped)
+        expect(clob.getTrades).toHaveBeenNthCalledWith(2, { assetId: 'token-1', limit: 2, before: matchTime(trades[1]) + 1 });
+        expect(clob.getTrades).toHaveBeenNthCalledWith(3, { assetId: 'token-1', limit: 2, before: matchTime(trades[2]) + 1 });
+        expect(store.recorded.map(t => [t.id, t.address])).toEqual([['t5', A], ['t4', B], ['t3', A]]);
+        expect(tracker.rebuildProfile.mock.calls.map(([address]) => address).sort()).toEqual([A, B, C]);
+        expect(metrics).toEqual({
+            assets: 1, wallets: 0, pages: 3, fetched: 6, newTrades: 3, profiles: 3, remaining: 0, errors: 0
+        });
+    });
+
+    test('does not lose or loop on trades sharing a second at a page boundary', async () => {
+        const time = String(NOW_S - DAY_S);
+        const trades = [
+            rawTrade('t3', 0.5),
+            rawTrade('t2', 0, { match_time: time }),
+            rawTrade('t1', 0, { match_time: time }),
+            rawTrade('t0', 2)
+        ];
+        const store = createStore();
+        const clob = createClob({ 'token-1': trades });
+
+        await createBackfill({ clob, store, tracker: createTracker() }).run({ assets: ['token-1'] }, {});
+
+        expect(store.recorded.map(t => t.id).sort()).toEqual(['t0', 't1', 't2', 't3']);
+        expect(clob.getTrades.mock.calls.map(([params]) => params.before)).toEqual([
+            undefined, Number(time) + 1, Number(time)
+        ]);
+    });
+
+    test('resumes from the saved cursor after the page budget runs out', async () => {
+        const trades = [rawTrade('t4', 1), rawTrade('t3', 2), rawTrade('t2', 3), rawTrade('t1', 4)];
+        const store = createStore();
+        const first = createBackfill({ clob: createClob({ 'token-1': trades }), store, tracker: createTracker() });
+
+        const partial = await first.run({ assets: ['token-1'], maxPages: 1 }, {});
+        expect(partial).toMatchObject({ assets: 0, pages: 1, remaining: 1 });
+
+        // A restarted process picks up the cursor from disk
+        const clob = createClob({ 'token-1': trades });
+        const second = createBackfill({ clob, store, tracker: createTracker() });
+        const rest = await second.run({ assets: ['token-1'] }, {});
+
+        expect(clob.getTrades.mock.calls[0][0].before).toBe(matchTime(trades[1]) + 1);
+        expect(rest).toMatchObject({ assets: 1, newTrades: 2, remaining: 0 });
+        expect(store.recorded.map(t => t.id)).toEqual(['t4', 't3', 't2', 't1']);
+
+        // Finished assets are left to the live stream
+        const calls = clob.getTrades.mock.calls.length;
+        await second.run({ assets: ['token-1'] }, {});
+        expect(clob.getTrades).toHaveBeenCalledTimes(calls);
+        expect(second.getStatus().assets).toEqual({ tracked: 1, complete: 1 });
+    });
+
+    test('skips trades that are already in trade history', async () => {
+        const clob = createClob({ 'token-1': [rawTrade('t2', 1), rawTrade('t1', 2, { maker_address: B })] });
+        const store = createStore(['t2']);
+        const tracker = createTracker();
+
+        const metrics = await createBackfill({ clob, store, tracker }).run({ assets: ['token-1'] }, {});
+
+        expect(store.recorded.map(t => t.id)).toEqual(['t1']);
+        expect(metrics.newTrades).toBe(1);
+        expect(tracker.rebuildProfile).toHaveBeenCalledTimes(1);
+        expect(tracker.rebuildProfile).toHaveBeenCalledWith(B);
+    });
+
+    test('backfills queued wallets by maker and drops them from the queue when done', async () => {
+        const clob = createClob({ [B]: [rawTrade('t1', 5, { maker_address: A })] });
+        const store = createStore();
+        const tracker = createTracker();
+        const backfill = createBackfill({ clob, store, tracker });
+
+        expect(backfill.enqueueWallet(B.toUpperCase().replace('0X', '0x'))).toBe(true);
+        expect(backfill.enqueueWallet(B)).toBe(false);
+        expect(backfill.getStatus().queuedWallets).toBe(1);
+
+        const metrics = await backfill.run({}, {});
+
+        expect(clob.getTrades).toHaveBeenCalledWith({ maker: B, limit: 2, before: undefined });
+        // Attributed to the wallet being backfilled, which may be on a maker order
+        expect(store.recorded[0].address).toBe(B);
+        expect(metrics).toMatchObject({ wallets: 1, remaining: 0 });
+        expect(backfill.getStatus()).toMatchObject({ queuedWallets: 0, wallets: { tracked: 1, complete: 1 } });
+        expect(backfill.enqueueWallet(B)).toBe(false);
+    });
+
+    test('caps the wallet queue at maxTrackedWallets', () => {
+        const backfill = createBackfill({ clob: createClob({}), store: createStore(), tracker: createTracker() });
+
+        for (let i = 0; i < 3; i++) {
+            expect(backfill.enqueueWallet('0x' + String(i).repeat(40))).toBe(true);
+        }
+        expect(backfill.enqueueWallet(C)).toBe(false);
+    });
+
+    test('records a failing target and keeps its cursor for the next run', async () => {
+        const trades = [rawTrade('t3', 1), rawTrade('t2', 2), rawTrade('t1', 3)];
+        const clob = createClob({ 'token-1': trades });
+        clob.getTrades.mockImplementationOnce(async () => trades.slice(0, 2))
+            .mockImplementationOnce(async () => { throw new Error('CLOB API error: 503'); });
+        const store = createStore();
+        const tracker = createTracker();
+        const backfill = createBackfill({ clob, store, tracker });
+
+        const metrics = await backfill.run({ assets: ['token-1'] }, {});
+
+        expect(metrics).toMatchObject({ assets: 0, pages: 1, newTrades: 2, errors: 1, remaining: 1 });
+        expect(tracker.rebuildProfile).toHaveBeenCalledWith(A);
+        expect(backfill.getStatus().failing).toEqual([
+            expect.objectContaining({ target: 'asset:token-1', error: 'CLOB API error: 503' })
+        ]);
+
+        const calls = clob.getTrades.mock.calls.length;
+        await backfill.run({ assets: ['token-1'] }, {});
+        expect(clob.getTrades.mock.calls[calls][0]).toEqual({ assetId: 'token-1', limit: 2, before: matchTime(trades[1]) + 1 });
+        expect(store.recorded.map(t => t.id)).toEqual(['t3', 't2', 't1']);
+        expect(backfill.getStatus().failing).toEqual([]);
+    });
+});
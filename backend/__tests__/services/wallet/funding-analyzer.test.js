@@ -0,0 +1,77 @@
+// Tests for wallet clusters built from the funding graph
+
+jest.mock('../../../config', () => ({ funding: { hubFanout: 3 } }));
+jest.mock('../../../db', () => ({
+    walletClusters: { replaceAll: jest.fn(async () => {}), getByAddress: jest.fn() },
+    fundingTransfers: { getAll: jest.fn(async () => []) }
+}));
+
+const db = require('../../../db');
+const { FundingAnalyzer } = require('../../../services/wallet/funding-analyzer');
+
+const T0 = Date.parse('2026-02-01T00:00:00Z');
+const MINUTE = 60 * 1000;
+
+describe('FundingAnalyzer funding clusters', () => {
+    let analyzer;
+
+    beforeEach(() => {
+        analyzer = new FundingAnalyzer();
+    });
+
+    test('links wallets by direct transfers, shared funders and round trips', () => {
+        analyzer.recordFundingEvent('0xb', '0xa', 100, T0, '0xt1');
+        analyzer.recordFundingEvent('0xc', '0xa', 50, T0 + 10 * MINUTE, '0xt2');
+        analyzer.recordFundingEvent('0xa', '0xb', 20, T0 + 60 * MINUTE, '0xt3');
+        analyzer.recordFundingEvent('0xz', '0xy', 5, T0);
+
+        const clusters = analyzer.buildClusters();
+
+        expect(clusters.map(c => c.wallets)).toEqual([['0xa', '0xb', '0xc'], ['0xy', '0xz']]);
+
+        const [cluster] = clusters;
+        const edge = (a, b) => cluster.edges.find(e => e.wallets.join() === [a, b].join());
+
+        expect(edge('0xa', '0xb').evidence.map(e => e.type).sort()).toEqual(['direct_transfer', 'direct_transfer', 'round_trip_transactions']);
+        expect(edge('0xa', '0xc').evidence).toEqual([expect.objectContaining({
+            type: 'direct_transfer', from: '0xa', to: '0xc', transfers: 1, amount: 50, txHashes: ['0xt2']
+        })]);
+        expect(edge('0xb', '0xc').evidence).toEqual([
+            { type: 'same_funding_source', via: '0xa', gapMs: 10 * MINUTE },
+            { type: 'funded_within_1hr', via: '0xa', gapMs: 10 * MINUTE }
+        ]);
+        expect(edge('0xb', '0xc').confidence).toBeCloseTo(0.7);
+    });
+
+    test('ignores sources that fund more wallets than the hub fanout', () => {
+        for (const wallet of ['0x1', '0x2', '0x3', '0x4']) {
+            analyzer.recordFundingEvent(wallet, '0xexchange', 10, T0);
+        }
+
+        expect(analyzer.buildClusters()).toEqual([]);
+    });
+
+    test('persists rebuilt clusters and reads a wallet cluster back', async () => {
+        analyzer.recordFundingEvent('0xb', '0xA', 100, T0);
+
+        const clusters = await analyzer.rebuildClusters();
+        expect(db.walletClusters.replaceAll).toHaveBeenCalledWith(clusters);
+
+        db.walletClusters.getByAddress.mockResolvedValueOnce(clusters[0]).mockResolvedValueOnce(null);
+
+        expect(await analyzer.getFundingCluster('0xB')).toEqual(expect.objectContaining({
+            address: '0xb',
+            clusterId: 'cluster-0xa',
+            connected: ['0xa'],
+            edges: clusters[0].edges
+        }));
+        expect(await analyzer.getFundingCluster('0xq')).toEqual(expect.objectContaining({ clusterId: null, connected: [], edges: [] }));
+    });
+
+    test('loads stored transfers into the funding graph', async () => {
+        db.fundingTransfers.getAll.mockResolvedValueOnce([{ from: '0xa', to: '0xb', amount: 5, timestamp: new Date(T0).toISOString(), txHash: '0xt' }]);
+
+        expect(await analyzer.loadFromStore()).toBe(1);
+        expect(analyzer.fundingEvents.get('0xb')).toEqual([{ source: '0xa', amount: 5, timestamp: T0, txHash: '0xt' }]);
+    });
+});
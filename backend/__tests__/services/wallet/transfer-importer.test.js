@@ -0,0 +1,193 @@
+// Tests for importing USDC transfers into the funding graph
+
+jest.mock('../../../config', () => ({
+    funding: {
+        usdcContracts: ['0x2791bca1f2de4661ed88a30c99a7a9449aa84174'],
+        hubFanout: 50,
+        rpcUrl: 'http://rpc.test',
+        rpcBlockChunk: 10
+    }
+}));
+jest.mock('../../../db', () => ({}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../config');
+const { TransferImporter, normalizeTransfer, parseCsvLine, TRANSFER_TOPIC } = require('../../../services/wallet/transfer-importer');
+
+const USDC = '0x2791bca1f2de4661ed88a30c99a7a9449aa84174';
+const A = '0x' + 'a'.repeat(40);
+const B = '0x' + 'b'.repeat(40);
+const C = '0x' + 'c'.repeat(40);
+
+function createStore() {
+    const transfers = new Map();
+    return {
+        transfers,
+        fundingTransfers: {
+            recordMany: jest.fn(async batch => batch.filter(t => !transfers.has(t.id) && transfers.set(t.id, t)))
+        },
+        walletClusters: { count: jest.fn(async () => 0) }
+    };
+}
+
+function createAnalyzer() {
+    return {
+        recordFundingEvent: jest.fn(),
+        rebuildClusters: jest.fn(async () => [{ id: 'cluster-1' }])
+    };
+}
+
+const topic = address => '0x' + '0'.repeat(24) + address.slice(2);
+
+describe('transfer normalization', () => {
+    test('parses quoted CSV fields', () => {
+        expect(parseCsvLine('"0x1","1,234.5",plain,"say ""hi"""')).toEqual(['0x1', '1,234.5', 'plain', 'say "hi"']);
+    });
+
+    test('reads Polygonscan export rows', () => {
+        const { transfer } = normalizeTransfer({
+            Txhash: '0xABC',
+            Blockno: '50000000',
+            UnixTimestamp: '1700000000',
+            'DateTime (UTC)': '2023-11-14 22:13:20',
+            From: A.toUpperCase().replace('0X', '0x'),
+            To: B,
+            TokenValue: '1,250.5',
+            ContractAddress: USDC
+        });
+
+        expect(transfer).toEqual({
+            id: `0xabc:${A}:${B}:1250.5`,
+            txHash: '0xabc',
+            logIndex: null,
+            blockNumber: 50000000,
+            contract: USDC,
+            from: A,
+            to: B,
+            amount: 1250.5,
+            timestamp: '2023-11-14T22:13:20.000Z'
+        });
+    });
+
+    test('decodes raw Transfer logs', () => {
+        const { transfer } = normalizeTransfer({
+            address: USDC,
+            topics: [TRANSFER_TOPIC, topic(A), topic(B)],
+            data: '0x' + (2500000).toString(16).padStart(64, '0'),
+            transactionHash: '0xdef',
+            logIndex: '0x3',
+            blockNumber: '0x10',
+            timestamp: 1700000000
+        });
+
+        expect(transfer).toEqual(expect.objectContaining({ id: '0xdef:3', from: A, to: B, amount: 2.5, blockNumber: 16 }));
+    });
+
+    test('skips other tokens, mints and rows without a time', () => {
+        const base = { hash: '0x1', from: A, to: B, amount: '5', timestamp: '2024-01-01T00:00:00Z' };
+
+        expect(normalizeTransfer({ ...base, contractAddress: '0xother' }).skipped).toBe('not a USDC contract');
+        expect(normalizeTransfer({ ...base, from: '0x' + '0'.repeat(40) }).skipped).toBe('mint or burn');
+        expect(normalizeTransfer({ ...base, timestamp: '' }).skipped).toBe('missing timestamp');
+        expect(normalizeTransfer({ ...base, amount: 'abc' }).skipped).toBe('invalid amount');
+        expect(normalizeTransfer({ ...base, to: 'nope' }).skipped).toBe('invalid address');
+    });
+});
+
+describe('TransferImporter', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transfers-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        console.log.mockRestore();
+    });
+
+    test('imports a CSV export once and rebuilds clusters', async () => {
+        const file = path.join(dir, 'usdc.csv');
+        fs.writeFileSync(file, [
+            '\uFEFF"Txhash","UnixTimestamp","From","To","TokenValue","ContractAddress"',
+            `"0x01","1700000000","${A}","${B}","100","${USDC}"`,
+            `"0x02","1700000600","${A}","${C}","50","${USDC}"`,
+            `"0x03","1700000600","${A}","${C}","50","0xother"`,
+            ''
+        ].join('\r\n'));
+
+        const store = createStore();
+        const analyzer = createAnalyzer();
+        const importer = new TransferImporter({ store, analyzer, settings: config.funding });
+
+        const summary = await importer.importFile(file);
+
+        expect(summary).toEqual(expect.objectContaining({
+            source: 'usdc.csv',
+            rows: 3,
+            imported: 2,
+            duplicates: 0,
+            skipped: { 'not a USDC contract': 1 },
+            clusters: 1
+        }));
+        expect(analyzer.recordFundingEvent).toHaveBeenCalledWith(B, A, 100, '2023-11-14T22:13:20.000Z', '0x01');
+        expect(analyzer.rebuildClusters).toHaveBeenCalledWith({ hubFanout: 50 });
+
+        const again = await importer.importFile(file);
+        expect(again).toEqual(expect.objectContaining({ imported: 0, duplicates: 2, clusters: 0 }));
+        expect(analyzer.rebuildClusters).toHaveBeenCalledTimes(1);
+    });
+
+    test('imports NDJSON and reports bad lines', async () => {
+        const file = path.join(dir, 'usdc.ndjson');
+        fs.writeFileSync(file, [
+            JSON.stringify({ transactionHash: '0x01', logIndex: 0, from: A, to: B, value: '1000000', timestamp: 1700000000 }),
+            '{not json',
+            JSON.stringify({ transactionHash: '0x02', logIndex: 1, from: A, to: B, value: '0', timestamp: 1700000000 })
+        ].join('\n'));
+
+        const store = createStore();
+        const summary = await new TransferImporter({ store, analyzer: createAnalyzer(), settings: config.funding }).importFile(file);
+
+        expect(summary.imported).toBe(1);
+        expect(store.transfers.get('0x01:0').amount).toBe(1);
+        expect(summary.errors).toEqual([{ at: 2, reason: 'invalid JSON' }, { at: 3, reason: 'invalid amount' }]);
+    });
+
+    test('pulls Transfer logs over JSON-RPC in block chunks', async () => {
+        const log = (hash, block) => ({
+            address: USDC,
+            topics: [TRANSFER_TOPIC, topic(A), topic(B)],
+            data: '0x' + (3000000).toString(16),
+            transactionHash: hash,
+            logIndex: '0x0',
+            blockNumber: '0x' + block.toString(16)
+        });
+        const calls = [];
+        const originalFetch = global.fetch;
+        global.fetch = jest.fn(async (url, { body }) => {
+            const { method, params } = JSON.parse(body);
+            calls.push([method, params]);
+            const results = {
+                eth_blockNumber: '0x13',
+                eth_getLogs: params[0]?.fromBlock === '0x0' ? [log('0xa1', 5)] : [log('0xa2', 15)],
+                eth_getBlockByNumber: { timestamp: '0x' + (1700000000).toString(16) }
+            };
+            return { ok: true, json: async () => ({ jsonrpc: '2.0', id: 1, result: results[method] }) };
+        });
+
+        const store = createStore();
+        const summary = await new TransferImporter({ store, analyzer: createAnalyzer(), settings: config.funding })
+            .importFromRpc({ fromBlock: 0 });
+
+        expect(calls.filter(([method]) => method === 'eth_getLogs').map(([, [filter]]) => [filter.fromBlock, filter.toBlock]))
+            .toEqual([['0x0', '0x9'], ['0xa', '0x13']]);
+        expect(summary).toEqual(expect.objectContaining({ source: 'rpc 0-19', rows: 2, imported: 2 }));
+        expect(store.transfers.get('0xa1:0')).toEqual(expect.objectContaining({ amount: 3, timestamp: '2023-11-14T22:13:20.000Z' }));
+
+        global.fetch = originalFetch;
+    });
+});
@@ -5,10 +5,23 @@ const express = require('express');
 const router = express.Router();
 
 const db = require('../../db');
-const { probabilityAdjuster } = require('../../services/orderbook/probability-adjuster');
+const {
+    getLiveProbability,
+    getAdjustedProbability,
+    getWhaleActivity,
+    toFavoredProbability
+} = require('../../services/article/probability');
+const { probabilityStream } = require('../../services/article/probability-stream');
+const { consistencyChecker } = require('../../services/orderbook/consistency-checker');
+const { articleSearch } = require('../../services/search/article-index');
+const { articleRecommender } = require('../../services/search/recommender');
 const ragService = require('../../services/rag');
 const config = require('../../config');
 
+// Sitemap protocol limit per file
+const SITEMAP_MAX_URLS = 50000;
+const SITEMAP_PAGE_SIZE = 500;
+
 // GET /api/articles - List articles with optional filters
 router.get('/', async (req, res) => {
     try {
@@ -74,7 +87,99 @@ router.get('/featured', async (req, res) => {
     }
 });
 
-// GET /api/articles/:slug/related - Get related news via RAG search
+// GET /api/articles/stream - Live probability updates (Server-Sent Events)
+// Messages: event "probability" with { slug, probability, delta, updatedAt }.
+// Reconnecting clients send Last-Event-ID (or ?lastEventId=) to receive missed updates;
+// an event "resync" means the gap is too old and the client should refetch.
+// Note: This route must be defined before /:slug to ensure proper matching
+router.get('/stream', (req, res) => {
+    const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId ?? null;
+    const slugs = req.query.slugs
+        ? String(req.query.slugs).split(',').map(s => s.trim()).filter(Boolean)
+        : null;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const clientId = probabilityStream.addClient(res, { lastEventId, slugs });
+
+    req.on('close', () => {
+        probabilityStream.removeClient(clientId);
+    });
+});
+
+// GET /api/articles/search?q= - Full-text search over headline, summary, body and category
+// Results carry highlight segments ({ text, match }) for the headline and a body snippet.
+// Note: This route must be defined before /:slug to ensure proper matching
+router.get('/search', async (req, res) => {
+    try {
+        const query = String(req.query.q || '').trim();
+        if (!query) {
+            return res.status(400).json({ error: 'Query parameter q is required' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const offset = parseInt(req.query.offset) || 0;
+        const { total, results } = await articleSearch.search(query, {
+            limit,
+            offset,
+            category: req.query.category || null
+        });
+
+        const formattedResults = await Promise.all(results.map(async ({ article, score, highlights }) => ({
+            ...(await formatArticleCard(article)),
+            score,
+            highlights
+        })));
+
+        res.json({
+            query,
+            total,
+            count: formattedResults.length,
+            results: formattedResults
+        });
+    } catch (error) {
+        console.error('Error searching articles:', error.message);
+        res.status(500).json({ error: 'Failed to search articles', details: error.message });
+    }
+});
+
+// GET /api/articles/sitemap - Every article's slug and last change, for the frontend sitemap
+// Note: This route must be defined before /:slug to ensure proper matching
+router.get('/sitemap', async (req, res) => {
+    try {
+        const articles = [];
+        for (let offset = 0; articles.length < SITEMAP_MAX_URLS; offset += SITEMAP_PAGE_SIZE) {
+            const page = await db.articles.getAll({ limit: SITEMAP_PAGE_SIZE, offset });
+            articles.push(...page);
+            if (page.length < SITEMAP_PAGE_SIZE) break;
+        }
+
+        const entries = articles.slice(0, SITEMAP_MAX_URLS).map(article => ({
+            slug: article.slug,
+            category: article.category,
+            publishedAt: article.publishedAt,
+            // Rewrites change the page; probability ticks do not
+            updatedAt: article.revisedAt || article.publishedAt,
+            resolved: article.resolved === true
+        }));
+
+        res.json({
+            count: entries.length,
+            articles: entries
+        });
+    } catch (error) {
+        console.error('Error building sitemap:', error.message);
+        res.status(500).json({ error: 'Failed to build sitemap', details: error.message });
+    }
+});
+
+// GET /api/articles/:slug/related - Similar Future Times articles plus related news via RAG search
 // Note: This route must be defined before /:slug to ensure proper matching
 router.get('/:slug/related', async (req, res) => {
     try {
@@ -85,32 +190,77 @@ router.get('/:slug/related', async (req, res) => {
             return res.status(404).json({ error: 'Article not found' });
         }
 
+        // Internal recommendations need no API keys
+        const similar = await articleRecommender.getSimilar(article, {
+            limit: config.recommendations?.maxResults
+        });
+        const moreFromFutureTimes = await Promise.all(similar.map(async ({ article: related, score, reasons }) => ({
+            ...(await formatArticleCard(related)),
+            score,
+            reasons
+        })));
+
+        const response = {
+            articleId: article.id,
+            headline: article.headline,
+            moreFromFutureTimes,
+            relatedArticles: []
+        };
+
         // Check if RAG is enabled
         if (!config.rag.enabled) {
             return res.json({
-                articleId: article.id,
-                headline: article.headline,
-                relatedArticles: [],
+                ...response,
                 message: 'RAG search is not configured. Set BRAVE_SEARCH_API_KEY or TAVILY_API_KEY to enable.'
             });
         }
 
-        // Search for related news using the article headline
-        const result = await ragService.findRelatedNews(article.headline, {
-            limit: config.rag.maxResults,
-            generateSummaries: config.rag.generateSummaries
-        });
+        // Search for related news using the article headline; a failed search keeps the internal results
+        try {
+            const result = await ragService.findRelatedNews(article.headline, {
+                limit: config.rag.maxResults,
+                generateSummaries: config.rag.generateSummaries
+            });
+
+            res.json({
+                ...response,
+                searchQuery: result.query,
+                provider: result.provider,
+                relatedArticles: result.relatedArticles
+            });
+        } catch (error) {
+            console.error('Related news search error:', error.message);
+            res.json({ ...response, message: 'Related news search failed' });
+        }
+    } catch (error) {
+        console.error('Error fetching related articles:', error.message);
+        res.status(500).json({ error: 'Failed to fetch related articles', details: error.message });
+    }
+});
+
+// GET /api/articles/:slug/revisions - Earlier versions of an article, oldest first
+// Note: This route must be defined before /:slug to ensure proper matching
+router.get('/:slug/revisions', async (req, res) => {
+    try {
+        const { slug } = req.params;
+        const article = await db.articles.getBySlug(slug);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        const revisions = await db.articleRevisions.getByArticleId(article.id);
 
         res.json({
             articleId: article.id,
-            headline: article.headline,
-            searchQuery: result.query,
-            provider: result.provider,
-            relatedArticles: result.relatedArticles
+            slug: article.slug,
+            revision: article.revision ?? 1,
+            count: revisions.length,
+            revisions
         });
     } catch (error) {
-        console.error('Error fetching related articles:', error.message);
-        res.status(500).json({ error: 'Failed to fetch related articles', details: error.message });
+        console.error('Error fetching article revisions:', error.message);
+        res.status(500).json({ error: 'Failed to fetch article revisions', details: error.message });
     }
 });
 
@@ -165,65 +315,6 @@ router.get('/meta/categories', async (req, res) => {
     }
 });
 
-// Helper: get live probability for an article (merges latest prediction if available)
-async function getLiveProbability(article) {
-    if (!article.eventId) {
-        return article.probability;
-    }
-
-    const latestPrediction = await db.predictions.getLatestByEventId(article.eventId);
-    if (latestPrediction && latestPrediction.adjustedProbability !== undefined) {
-        return latestPrediction.adjustedProbability;
-    }
-
-    return article.probability;
-}
-
-// Helper: get adjusted probability based on whale trade signals
-function getAdjustedProbability(article, baseProbability) {
-    // Get asset ID from article's event data
-    const assetId = getAssetIdFromArticle(article);
-    if (!assetId) {
-        return baseProbability;
-    }
-
-    return probabilityAdjuster.getAdjustedProbability(assetId, baseProbability);
-}
-
-// Helper: get whale activity for an article
-function getWhaleActivity(article) {
-    const assetId = getAssetIdFromArticle(article);
-    if (!assetId) {
-        return null;
-    }
-
-    return probabilityAdjuster.getWhaleActivity(assetId);
-}
-
-// Helper: extract asset ID from article's raw data
-function getAssetIdFromArticle(article) {
-    if (!article.eventId) {
-        return null;
-    }
-
-    // The asset ID might be stored in rawData.clobTokenIds
-    // This is a simplified extraction - in practice you may need to look up the event
-    if (article.rawData && article.rawData.clobTokenIds) {
-        try {
-            const tokenIds = typeof article.rawData.clobTokenIds === 'string'
-                ? JSON.parse(article.rawData.clobTokenIds)
-                : article.rawData.clobTokenIds;
-            if (Array.isArray(tokenIds) && tokenIds.length > 0) {
-                return tokenIds[0];
-            }
-        } catch {
-            // Ignore parse errors
-        }
-    }
-
-    return article.eventId;
-}
-
 // Helper: format article for card display (list view)
 async function formatArticleCard(article) {
     const liveProbability = await getLiveProbability(article);
@@ -236,8 +327,9 @@ async function formatArticleCard(article) {
         headline: article.headline,
         summary: article.summary,
         category: article.category,
-        probability: liveProbability,
-        adjustedProbability,
+        // Favored outcome's probability, so a "No" headline shows the No price
+        probability: toFavoredProbability(article, liveProbability),
+        adjustedProbability: toFavoredProbability(article, adjustedProbability),
         whaleActivity,
         imageUrl: article.imageUrl,
         publishedAt: article.publishedAt,
@@ -258,9 +350,18 @@ async function formatArticleFull(article) {
         summary: article.summary,
         body: article.body,
         category: article.category,
-        probability: liveProbability,
-        adjustedProbability,
+        probability: toFavoredProbability(article, liveProbability),
+        adjustedProbability: toFavoredProbability(article, adjustedProbability),
         whaleActivity,
+        // Sibling outcomes and mirror books, so readers see when other markets disagree
+        consistency: consistencyChecker.getEventSummary(article.eventId),
+        // Rewritten after the market moved (see /:slug/revisions)
+        revision: article.revision ?? 1,
+        revisedAt: article.revisedAt ?? null,
+        favoredOutcome: article.favoredOutcome ?? null,
+        // Multi-outcome articles: every listed contender, leader first ({ rank, name, probability })
+        format: article.format ?? 'binary',
+        field: article.field ?? null,
         imageUrl: article.imageUrl,
         publishedAt: article.publishedAt,
         expiresAt: article.expiresAt,
@@ -0,0 +1,63 @@
+// Feed Routes
+// Atom and JSON Feed syndication for all articles or one category:
+//   /feeds/all.xml, /feeds/politics.xml (Atom 1.0)
+//   /feeds/all.json, /feeds/politics.json (JSON Feed 1.1)
+// Responses carry ETag and Last-Modified; matching conditional requests get 304.
+
+const express = require('express');
+const router = express.Router();
+
+const {
+    resolveFeedCategory,
+    getFeedEntries,
+    buildAtomFeed,
+    buildJsonFeed,
+    getFeedValidators
+} = require('../../services/article/feeds');
+
+const FORMATS = {
+    xml: {
+        contentType: 'application/atom+xml; charset=utf-8',
+        build: (entries, options) => buildAtomFeed(entries, options)
+    },
+    json: {
+        contentType: 'application/feed+json; charset=utf-8',
+        build: (entries, options) => JSON.stringify(buildJsonFeed(entries, options), null, 2)
+    }
+};
+
+// GET /feeds/:name.(xml|json)
+router.get('/:name.:format', async (req, res) => {
+    try {
+        const format = FORMATS[req.params.format];
+        const feed = resolveFeedCategory(req.params.name);
+
+        if (!format || !feed) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+
+        const selfUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+        const entries = await getFeedEntries({ category: feed.category });
+        const body = format.build(entries, { category: feed.category, selfUrl });
+        const { etag, lastModified } = getFeedValidators(entries, body);
+
+        res.set({
+            'Content-Type': format.contentType,
+            'ETag': etag,
+            'Last-Modified': lastModified,
+            'Cache-Control': 'public, max-age=300'
+        });
+
+        // Checks If-None-Match / If-Modified-Since against the headers above
+        if (req.fresh) {
+            return res.status(304).end();
+        }
+
+        res.send(body);
+    } catch (error) {
+        console.error('Error building feed:', error.message);
+        res.status(500).json({ error: 'Failed to build feed', details: error.message });
+    }
+});
+
+module.exports = router;
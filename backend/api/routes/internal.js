@@ -2,115 +2,57 @@
 // Admin/debugging endpoints (not for public frontend)
 
 const express = require('express');
+const path = require('path');
 const router = express.Router();
 
+const config = require('../../config');
 const db = require('../../db');
 const polymarket = require('../../services/polymarket/client');
-const predictionEngine = require('../../services/prediction/engine');
 const articleGenerator = require('../../services/article/generator');
 const signalRegistry = require('../../services/signals/registry');
 const cache = require('../../services/cache');
+const llm = require('../../services/llm');
 const { streamProcessor } = require('../../services/pipeline/stream-processor');
-const { probabilityAdjuster } = require('../../services/orderbook/probability-adjuster');
+const { probabilityAdjuster, informedWeight } = require('../../services/orderbook/probability-adjuster');
+const { WHALE_CLASSIFICATIONS } = require('../../services/orderbook/whale-detector');
 const { assetRegistry } = require('../../services/orderbook/asset-registry');
+const { resolutionPoller } = require('../../services/resolution/poller');
+const { backtestRunner } = require('../../services/backtest/runner');
+const { probabilityStream } = require('../../services/article/probability-stream');
+const { consistencyChecker } = require('../../services/orderbook/consistency-checker');
+const { jobScheduler } = require('../../services/ingestion/scheduler');
+const { generationMetrics } = require('../../services/article/generation-metrics');
+const { calibrationRecorder } = require('../../services/calibration/recorder');
+const { getCalibrationReport } = require('../../services/calibration/report');
+const { eventRiskScorer } = require('../../services/signals/risk');
+const { fundingAnalyzer } = require('../../services/wallet/funding-analyzer');
+const { transferImporter } = require('../../services/wallet/transfer-importer');
+const { walletBackfill } = require('../../services/wallet/backfill');
+const { runtimeConfig, RuntimeConfigError } = require('../../services/runtime-config/store');
 
 // POST /api/internal/sync - Trigger sync with Polymarket
+// Runs the market-sync ingestion job; body overrides its defaults
 router.post('/sync', async (req, res) => {
-    try {
-        const {
-            limit = 50,
-            sortBy = 'endingSoon',
-            minDaysUntilResolution = 1,
-            maxDaysUntilResolution = 14
-        } = req.body;
-
-        // Fetch latest markets with date range filtering
-        const markets = await polymarket.fetchMarkets({
-            limit,
-            sortBy,
-            minDaysUntilResolution,
-            maxDaysUntilResolution
-        });
+    const { limit, sortBy, minDaysUntilResolution, maxDaysUntilResolution } = req.body || {};
+    const params = Object.fromEntries(
+        Object.entries({ limit, sortBy, minDaysUntilResolution, maxDaysUntilResolution }).filter(([, value]) => value !== undefined)
+    );
 
-        // Store events and generate predictions
-        const results = {
-            events: 0,
-            predictions: 0,
-            articles: 0,
-            subscriptions: 0
-        };
-
-        for (const market of markets) {
-            // Store event
-            await db.events.upsert({
-                id: market.id,
-                slug: market.slug,
-                title: market.question,
-                description: market.description,
-                category: market.category,
-                endDate: market.endDate,
-                resolved: false,
-                rawData: market.rawData
-            });
-            results.events++;
-
-            // Calculate prediction
-            await predictionEngine.calculatePrediction(market, market);
-            results.predictions++;
-
-            // Generate article
-            const prediction = await db.predictions.getLatestByEventId(market.id);
-            await articleGenerator.createArticle(market, prediction);
-            results.articles++;
-
-            // Subscribe to market's token IDs for real-time updates and register asset metadata
-            let clobTokenIds = market.rawData?.clobTokenIds;
-            if (typeof clobTokenIds === 'string') {
-                try {
-                    clobTokenIds = JSON.parse(clobTokenIds);
-                } catch {
-                    clobTokenIds = null;
-                }
-            }
-
-            // Parse outcomes from rawData
-            let outcomes = market.rawData?.outcomes;
-            if (typeof outcomes === 'string') {
-                try {
-                    outcomes = JSON.parse(outcomes);
-                } catch {
-                    outcomes = null;
-                }
-            }
-            if (!Array.isArray(outcomes)) {
-                outcomes = ['Yes', 'No'];
-            }
+    try {
+        const run = await jobScheduler.runJob('market-sync', { trigger: 'manual', params });
 
-            if (Array.isArray(clobTokenIds)) {
-                for (let i = 0; i < clobTokenIds.length; i++) {
-                    const tokenId = clobTokenIds[i];
-                    const outcome = outcomes[i] || (i === 0 ? 'Yes' : 'No');
-
-                    // Register asset metadata for order book display
-                    assetRegistry.register(tokenId, {
-                        eventId: market.id,
-                        eventTitle: market.question || market.title,
-                        outcome,
-                        outcomeIndex: i
-                    });
-
-                    if (!streamProcessor.subscriptions.has(tokenId)) {
-                        streamProcessor.subscribeToMarket(tokenId);
-                        results.subscriptions++;
-                    }
-                }
-            }
+        if (!run) {
+            return res.status(409).json({ error: 'Sync already running' });
+        }
+        if (run.status === 'failed') {
+            return res.status(500).json({ error: 'Sync failed', details: run.error, run });
         }
 
         res.json({
             success: true,
-            synced: results,
-            totalSubscriptions: streamProcessor.subscriptions.size
+            synced: run.metrics,
+            totalSubscriptions: streamProcessor.subscriptions.size,
+            run
         });
     } catch (error) {
         console.error('Sync error:', error.message);
@@ -118,6 +60,50 @@ router.post('/sync', async (req, res) => {
     }
 });
 
+// GET /api/internal/jobs - Ingestion jobs and recent runs
+// Query: job (only this job's runs), limit (runs, default 20)
+router.get('/jobs', (req, res) => {
+    const { job } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+
+    if (job && !jobScheduler.hasJob(job)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({
+        ...jobScheduler.getStatus(),
+        jobs: jobScheduler.getJobs(),
+        runs: jobScheduler.getRuns({ job, limit })
+    });
+});
+
+// POST /api/internal/jobs/:name/run - Run an ingestion job now and wait for it
+// Body: overrides for the job's params
+router.post('/jobs/:name/run', async (req, res) => {
+    const { name } = req.params;
+
+    if (!jobScheduler.hasJob(name)) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (jobScheduler.isRunning(name)) {
+        return res.status(409).json({ error: 'Job already running' });
+    }
+
+    try {
+        const run = await jobScheduler.runJob(name, { trigger: 'manual', params: req.body || {} });
+        if (!run) {
+            return res.status(409).json({ error: 'Job already running' });
+        }
+        if (run.status === 'failed') {
+            return res.status(500).json({ error: 'Job failed', details: run.error, run });
+        }
+        res.json(run);
+    } catch (error) {
+        console.error('Job run error:', error.message);
+        res.status(500).json({ error: 'Failed to run job', details: error.message });
+    }
+});
+
 // POST /api/internal/regenerate - Regenerate articles
 router.post('/regenerate', async (req, res) => {
     try {
@@ -134,10 +120,15 @@ router.post('/regenerate', async (req, res) => {
 
             if (market) {
                 const articleData = await articleGenerator.generateArticle(market, prediction);
+                if (!articleData) {
+                    results.push({ eventId: event.id, status: 'skipped' });
+                    continue;
+                }
                 const existing = await db.articles.getByEventId(event.id);
 
                 if (existing) {
-                    await db.articles.update(existing.id, articleData);
+                    // Keeps the previous content as an earlier revision
+                    await articleGenerator.saveRevision(existing, articleData, { reason: 'regenerated', event: market });
                 } else {
                     await db.articles.create(articleData);
                 }
@@ -152,6 +143,12 @@ router.post('/regenerate', async (req, res) => {
     }
 });
 
+// GET /api/internal/signals/processors - Declared inputs, modes and weights of signal processors
+// NOTE: Like /signals/realtime, defined BEFORE /signals/:eventId
+router.get('/signals/processors', (req, res) => {
+    res.json({ processors: signalRegistry.getProcessorMetadata() });
+});
+
 // GET /api/internal/signals/realtime - Get recent detected patterns
 // NOTE: This route must be defined BEFORE /signals/:eventId to avoid being caught by the wildcard
 router.get('/signals/realtime', async (req, res) => {
@@ -189,32 +186,86 @@ router.get('/signals/:eventId', async (req, res) => {
     }
 });
 
+// GET /api/internal/events/risky - Events ranked by insider risk score
+// Query: limit, minScore (0-100)
+router.get('/events/risky', async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : 0;
+
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+        return res.status(400).json({ error: 'minScore must be a number between 0 and 100' });
+    }
+
+    try {
+        const { events, scanned } = await eventRiskScorer.rankEvents({ limit, minScore });
+        res.json({ events, count: events.length, scanned });
+    } catch (error) {
+        console.error('Risky events error:', error.message);
+        res.status(500).json({ error: 'Failed to rank events by risk', details: error.message });
+    }
+});
+
+// GET /api/internal/events/:id/risk - Time-decayed insider risk score with top wallets and trades
+router.get('/events/:id/risk', async (req, res) => {
+    try {
+        res.json(await eventRiskScorer.scoreEvent(req.params.id));
+    } catch (error) {
+        console.error('Event risk error:', error.message);
+        res.status(500).json({ error: 'Failed to score event risk', details: error.message });
+    }
+});
+
 // GET /api/internal/cache/stats - Cache statistics
-router.get('/cache/stats', (req, res) => {
-    res.json({
-        size: cache.size(),
-        keys: cache.keys()
-    });
+router.get('/cache/stats', async (req, res) => {
+    try {
+        res.json({
+            driver: cache.driverName,
+            size: await cache.size(),
+            keys: await cache.keys()
+        });
+    } catch (error) {
+        console.error('Cache stats error:', error.message);
+        res.status(500).json({ error: 'Failed to read cache stats', details: error.message });
+    }
 });
 
 // POST /api/internal/cache/clear - Clear cache
-router.post('/cache/clear', (req, res) => {
-    cache.clear();
-    res.json({ success: true, message: 'Cache cleared' });
+router.post('/cache/clear', async (req, res) => {
+    try {
+        await cache.clear();
+        res.json({ success: true, message: 'Cache cleared' });
+    } catch (error) {
+        console.error('Cache clear error:', error.message);
+        res.status(500).json({ error: 'Failed to clear cache', details: error.message });
+    }
 });
 
-// GET /api/internal/debug/store - Debug: view in-memory store
-router.get('/debug/store', (req, res) => {
-    res.json({
-        events: db._store.events.size,
-        predictions: db._store.predictions.size,
-        articles: db._store.articles.size,
-        signals: db._store.signals.size,
-        walletProfiles: db._store.walletProfiles.size,
-        tradeHistory: db._store.tradeHistory.length,
-        detectedPatterns: db._store.detectedPatterns.length,
-        whaleTrades: db._store.whaleTrades.length
-    });
+// POST /api/internal/cache/invalidate - Invalidate all entries with a tag
+// Body: { tag: "category:Politics" }
+router.post('/cache/invalidate', async (req, res) => {
+    const { tag } = req.body || {};
+    if (!tag) {
+        return res.status(400).json({ error: 'tag is required' });
+    }
+
+    try {
+        const removed = await cache.invalidateTag(tag);
+        res.json({ success: true, tag, removed });
+    } catch (error) {
+        console.error('Cache invalidate error:', error.message);
+        res.status(500).json({ error: 'Failed to invalidate cache', details: error.message });
+    }
+});
+
+// GET /api/internal/debug/store - Debug: record counts per collection
+router.get('/debug/store', async (req, res) => {
+    try {
+        const counts = await db.getCounts();
+        res.json({ adapter: db.adapter, ...counts });
+    } catch (error) {
+        console.error('Debug store error:', error.message);
+        res.status(500).json({ error: 'Failed to read store counts', details: error.message });
+    }
 });
 
 // GET /api/internal/wallets/suspicious - Get high-accuracy/suspicious wallets
@@ -240,6 +291,59 @@ router.get('/wallets/suspicious', async (req, res) => {
     }
 });
 
+// POST /api/internal/wallets/funding/import - Import USDC transfers into the funding graph
+// Body: { file, format? } (a CSV/NDJSON export inside FUNDING_IMPORT_DIR)
+//    or { rpc: { fromBlock, toBlock?, url? } } (eth_getLogs against a JSON-RPC endpoint)
+router.post('/wallets/funding/import', async (req, res) => {
+    const { file, format, rpc } = req.body || {};
+
+    if (!file && !rpc) {
+        return res.status(400).json({ error: 'file or rpc is required' });
+    }
+    if (format && !['csv', 'ndjson'].includes(format)) {
+        return res.status(400).json({ error: "format must be 'csv' or 'ndjson'" });
+    }
+
+    try {
+        let summary;
+        if (file) {
+            // Only files inside the import directory
+            const importDir = path.resolve(__dirname, '..', '..', config.funding.importDir);
+            const filePath = path.resolve(importDir, String(file));
+            if (!filePath.startsWith(importDir + path.sep)) {
+                return res.status(400).json({ error: 'file must be inside the funding import directory' });
+            }
+            summary = await transferImporter.importFile(filePath, { format: format || null });
+        } else {
+            const fromBlock = parseInt(rpc.fromBlock);
+            const toBlock = rpc.toBlock !== undefined && rpc.toBlock !== 'latest' ? parseInt(rpc.toBlock) : 'latest';
+            if (!Number.isInteger(fromBlock) || fromBlock < 0 || (toBlock !== 'latest' && !Number.isInteger(toBlock))) {
+                return res.status(400).json({ error: 'rpc.fromBlock and rpc.toBlock must be block numbers' });
+            }
+            summary = await transferImporter.importFromRpc({ fromBlock, toBlock, url: rpc.url || undefined });
+        }
+
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return res.status(400).json({ error: 'Transfer file not found', details: error.message });
+        }
+        console.error('Funding import error:', error.message);
+        res.status(500).json({ error: 'Funding import failed', details: error.message });
+    }
+});
+
+// GET /api/internal/wallets/backfill - Wallet history backfill progress (runs via the wallet-backfill job)
+// NOTE: This route must be defined BEFORE /wallets/:address to avoid being caught by the wildcard
+router.get('/wallets/backfill', (req, res) => {
+    try {
+        res.json(walletBackfill.getStatus());
+    } catch (error) {
+        console.error('Wallet backfill status error:', error.message);
+        res.status(500).json({ error: 'Failed to fetch wallet backfill status', details: error.message });
+    }
+});
+
 // GET /api/internal/wallets/:address - Get wallet profile and trades
 router.get('/wallets/:address', async (req, res) => {
     try {
@@ -261,6 +365,16 @@ router.get('/wallets/:address', async (req, res) => {
     }
 });
 
+// GET /api/internal/wallets/:address/cluster - Wallets connected through funding, with the edges and their evidence
+router.get('/wallets/:address/cluster', async (req, res) => {
+    try {
+        res.json(await fundingAnalyzer.getFundingCluster(req.params.address));
+    } catch (error) {
+        console.error('Wallet cluster error:', error.message);
+        res.status(500).json({ error: 'Failed to fetch wallet cluster', details: error.message });
+    }
+});
+
 // GET /api/internal/stream/status - Get stream processor health
 router.get('/stream/status', (req, res) => {
     try {
@@ -274,7 +388,8 @@ router.get('/stream/status', (req, res) => {
             detectedWhaleTrades: status.detectedWhaleTrades,
             uptime: status.uptime,
             whaleDetector: status.whaleDetector,
-            probabilityAdjuster: status.probabilityAdjuster
+            probabilityAdjuster: status.probabilityAdjuster,
+            articleStream: probabilityStream.getStatus()
         });
     } catch (error) {
         console.error('Stream status error:', error.message);
@@ -317,37 +432,59 @@ async function findEventByTokenId(tokenId) {
 }
 
 // GET /api/internal/whale-trades - List recent whale trade detections
+// Query: limit, assetId, classification (comma-separated: informed, mixed, market-maker, unknown), minInformedScore
 router.get('/whale-trades', async (req, res) => {
+    const classification = req.query.classification
+        ? String(req.query.classification).split(',').map(c => c.trim()).filter(Boolean)
+        : null;
+    const invalid = (classification || []).filter(c => !WHALE_CLASSIFICATIONS.includes(c));
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: `classification must be one of: ${WHALE_CLASSIFICATIONS.join(', ')}` });
+    }
+
+    const minInformedScore = req.query.minInformedScore !== undefined ? parseFloat(req.query.minInformedScore) : null;
+    if (minInformedScore !== null && !(minInformedScore >= 0 && minInformedScore <= 1)) {
+        return res.status(400).json({ error: 'minInformedScore must be between 0 and 1' });
+    }
+
     try {
         const limit = parseInt(req.query.limit) || 50;
         const assetId = req.query.assetId;
+        const filters = { classification, minInformedScore };
 
         let trades;
         if (assetId) {
-            trades = await db.whaleTrades.getByAsset(assetId, limit);
+            trades = await db.whaleTrades.getByAsset(assetId, limit, filters);
         } else {
-            trades = await db.whaleTrades.getRecent(limit);
+            trades = await db.whaleTrades.getRecent(limit, filters);
         }
 
         // Enrich trades with event metadata (in-memory registry first, then database fallback)
         const enrichedTrades = await Promise.all(trades.map(async (trade) => {
             // Calculate probability delta based on whale trade formula
-            // delta = direction * Math.min(depthPercent / 20, 1) * 0.0075
+            // delta = direction * Math.min(depthPercent / 20, 1) * informedWeight * 0.0075
             const direction = trade.side === 'BUY' ? 1 : -1;
-            const strength = Math.min((trade.depthPercent || 0) / 20, 1);
+            const strength = Math.min((trade.depthPercent || 0) / 20, 1) * informedWeight(trade.informedScore);
             const probabilityDelta = direction * strength * 0.0075;
 
+            // Trades recorded before flow classification count as unknown
+            const classified = {
+                ...trade,
+                classification: trade.classification || 'unknown',
+                informedScore: trade.informedScore ?? null,
+                probabilityDelta
+            };
+
             // If metadata already exists, return with delta
             if (trade.eventTitle) {
-                return { ...trade, probabilityDelta };
+                return classified;
             }
 
             // Try in-memory registry first (fast path)
             const assetMeta = assetRegistry.get(trade.assetId);
             if (assetMeta?.eventTitle) {
                 return {
-                    ...trade,
-                    probabilityDelta,
+                    ...classified,
                     eventTitle: assetMeta.eventTitle,
                     outcome: assetMeta.outcome,
                     eventId: assetMeta.eventId
@@ -358,15 +495,14 @@ router.get('/whale-trades', async (req, res) => {
             const eventMeta = await findEventByTokenId(trade.assetId);
             if (eventMeta) {
                 return {
-                    ...trade,
-                    probabilityDelta,
+                    ...classified,
                     eventTitle: eventMeta.title,
                     outcome: eventMeta.outcome,
                     eventId: eventMeta.id
                 };
             }
 
-            return { ...trade, probabilityDelta };
+            return classified;
         }));
 
         const totalCount = await db.whaleTrades.count();
@@ -382,6 +518,56 @@ router.get('/whale-trades', async (req, res) => {
     }
 });
 
+// GET /api/internal/consistency - Cross-outcome consistency of live books
+// Query: eventId (single report), inconsistentOnly=true
+router.get('/consistency', (req, res) => {
+    try {
+        if (req.query.eventId) {
+            const report = consistencyChecker.checkEvent(req.query.eventId);
+            if (!report) {
+                return res.status(404).json({ error: 'No books registered for event' });
+            }
+            return res.json(report);
+        }
+
+        let events = consistencyChecker.getReports();
+        if (req.query.inconsistentOnly === 'true') {
+            events = events.filter(e => e.inconsistent);
+        }
+
+        res.json({
+            events,
+            count: events.length,
+            inconsistent: events.filter(e => e.inconsistent).length,
+            status: consistencyChecker.getStatus()
+        });
+    } catch (error) {
+        console.error('Consistency error:', error.message);
+        res.status(500).json({ error: 'Failed to check consistency', details: error.message });
+    }
+});
+
+// GET /api/internal/generation/metrics - Article validation, repair and fallback counts
+router.get('/generation/metrics', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        res.json(generationMetrics.getMetrics({ limit }));
+    } catch (error) {
+        console.error('Generation metrics error:', error.message);
+        res.status(500).json({ error: 'Failed to fetch generation metrics', details: error.message });
+    }
+});
+
+// GET /api/internal/llm/usage - Active LLM provider and token usage since startup
+router.get('/llm/usage', (req, res) => {
+    try {
+        res.json(llm.getUsage());
+    } catch (error) {
+        console.error('LLM usage error:', error.message);
+        res.status(500).json({ error: 'Failed to fetch LLM usage', details: error.message });
+    }
+});
+
 // GET /api/internal/probability-signals - List active probability adjustment signals
 router.get('/probability-signals', (req, res) => {
     try {
@@ -399,4 +585,221 @@ router.get('/probability-signals', (req, res) => {
     }
 });
 
+// GET /api/internal/resolutions - Recently settled markets and poller status
+router.get('/resolutions', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const resolutions = await db.resolutions.getRecent(limit);
+
+        res.json({
+            resolutions,
+            count: resolutions.length,
+            total: await db.resolutions.count(),
+            poller: resolutionPoller.getStatus()
+        });
+    } catch (error) {
+        console.error('Resolutions error:', error.message);
+        res.status(500).json({ error: 'Failed to fetch resolutions', details: error.message });
+    }
+});
+
+// POST /api/internal/resolutions/poll - Check due events for resolution now
+router.post('/resolutions/poll', async (req, res) => {
+    try {
+        const result = await resolutionPoller.pollOnce();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Resolution poll error:', error.message);
+        res.status(500).json({ error: 'Resolution poll failed', details: error.message });
+    }
+});
+
+// GET /api/internal/resolutions/:eventId - Settled markets for one event
+router.get('/resolutions/:eventId', async (req, res) => {
+    try {
+        const { eventId } = req.params;
+        const event = await db.events.getById(eventId);
+        const resolutions = await db.resolutions.getByEventId(eventId);
+
+        if (!event && resolutions.length === 0) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+
+        res.json({
+            eventId,
+            resolved: event?.resolved === true,
+            winningOutcome: event?.winningOutcome ?? null,
+            resolvedAt: event?.resolvedAt ?? null,
+            resolutions
+        });
+    } catch (error) {
+        console.error('Resolution error:', error.message);
+        res.status(500).json({ error: 'Failed to fetch resolution', details: error.message });
+    }
+});
+
+// GET /api/internal/calibration - Published probabilities scored against resolved outcomes
+// Query: horizon ('close' | 'all'), bins, category
+router.get('/calibration', async (req, res) => {
+    const horizon = req.query.horizon || 'close';
+    const bins = req.query.bins !== undefined ? parseInt(req.query.bins) : undefined;
+
+    if (!['close', 'all'].includes(horizon)) {
+        return res.status(400).json({ error: "horizon must be 'close' or 'all'" });
+    }
+    if (bins !== undefined && (!Number.isInteger(bins) || bins < 2 || bins > 50)) {
+        return res.status(400).json({ error: 'bins must be an integer between 2 and 50' });
+    }
+
+    try {
+        const report = await getCalibrationReport({ horizon, bins, category: req.query.category || null });
+
+        res.json({
+            ...report,
+            snapshots: await db.probabilitySnapshots.count(),
+            recorder: calibrationRecorder.getStatus()
+        });
+    } catch (error) {
+        console.error('Calibration error:', error.message);
+        res.status(500).json({ error: 'Failed to build calibration report', details: error.message });
+    }
+});
+
+// POST /api/internal/calibration/snapshot - Record displayed probabilities now
+router.post('/calibration/snapshot', async (req, res) => {
+    try {
+        const result = await calibrationRecorder.snapshotOnce();
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Calibration snapshot error:', error.message);
+        res.status(500).json({ error: 'Calibration snapshot failed', details: error.message });
+    }
+});
+
+// Who changed runtime configuration, for the audit trail
+function configActor(req) {
+    return req.get('x-actor') || req.ip || null;
+}
+
+// GET /api/internal/config/signals - Live signal processor settings and their allowed ranges
+router.get('/config/signals', (req, res) => {
+    res.json(runtimeConfig.getSignals());
+});
+
+// PUT /api/internal/config/signals - Enable/disable processors and change weights and thresholds
+// Body: { processors: { [name]: { enabled?, weight?, ...tunables } }, reason? } (null resets a field)
+router.put('/config/signals', (req, res) => {
+    try {
+        const { processors, reason } = req.body || {};
+        const result = runtimeConfig.updateSignals(processors, { actor: configActor(req), reason: reason || null });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error instanceof RuntimeConfigError) {
+            return res.status(400).json({ error: error.message, details: error.errors });
+        }
+        console.error('Signal config error:', error.message);
+        res.status(500).json({ error: 'Failed to update signal configuration', details: error.message });
+    }
+});
+
+// GET /api/internal/config/whale - Live whale detector and probability adjuster settings
+router.get('/config/whale', (req, res) => {
+    res.json(runtimeConfig.getWhale());
+});
+
+// PUT /api/internal/config/whale - Change whale detection settings
+// Body: { detector?: {...}, adjuster?: {...}, reason? } (null resets a field)
+router.put('/config/whale', (req, res) => {
+    try {
+        const { reason, ...changes } = req.body || {};
+        const result = runtimeConfig.updateWhale(changes, { actor: configActor(req), reason: reason || null });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        if (error instanceof RuntimeConfigError) {
+            return res.status(400).json({ error: error.message, details: error.errors });
+        }
+        console.error('Whale config error:', error.message);
+        res.status(500).json({ error: 'Failed to update whale configuration', details: error.message });
+    }
+});
+
+// GET /api/internal/config/audit - Configuration change history, newest first
+// Query: limit, section ('signals' | 'whale')
+router.get('/config/audit', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const section = req.query.section || null;
+
+    if (section && !['signals', 'whale'].includes(section)) {
+        return res.status(400).json({ error: "section must be 'signals' or 'whale'" });
+    }
+
+    const changes = runtimeConfig.getAudit({ limit, section });
+    res.json({ changes, count: changes.length });
+});
+
+// POST /api/internal/backtests - Replay stored data for resolved markets and score it
+// Body: { startTime, endTime, eventIds?, includeSignals?, whaleConfig?, adjusterConfig? }
+router.post('/backtests', async (req, res) => {
+    const { startTime, endTime, eventIds, includeSignals, whaleConfig, adjusterConfig } = req.body || {};
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (!startTime || !endTime || isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return res.status(400).json({ error: 'startTime and endTime must be valid dates' });
+    }
+    if (start >= end) {
+        return res.status(400).json({ error: 'startTime must be before endTime' });
+    }
+    if (eventIds !== undefined && !Array.isArray(eventIds)) {
+        return res.status(400).json({ error: 'eventIds must be an array' });
+    }
+
+    try {
+        const run = await backtestRunner.run({
+            startTime: start.toISOString(),
+            endTime: end.toISOString(),
+            eventIds: eventIds ? eventIds.map(String) : undefined,
+            includeSignals,
+            whaleConfig,
+            adjusterConfig
+        });
+        res.status(201).json(run);
+    } catch (error) {
+        console.error('Backtest error:', error.message);
+        res.status(500).json({ error: 'Backtest failed', details: error.message });
+    }
+});
+
+// GET /api/internal/backtests - Recent backtest runs (summary only)
+router.get('/backtests', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+        const runs = await db.backtests.getAll(limit);
+
+        res.json({
+            backtests: runs.map(({ markets, ...summary }) => summary),
+            count: runs.length
+        });
+    } catch (error) {
+        console.error('Backtests error:', error.message);
+        res.status(500).json({ error: 'Failed to fetch backtests', details: error.message });
+    }
+});
+
+// GET /api/internal/backtests/:id - Full backtest run with per-market scores
+router.get('/backtests/:id', async (req, res) => {
+    try {
+        const run = await db.backtests.getById(req.params.id);
+
+        if (!run) {
+            return res.status(404).json({ error: 'Backtest not found' });
+        }
+
+        res.json(run);
+    } catch (error) {
+        console.error('Backtest error:', error.message);
+        res.status(500).json({ error: 'Failed to fetch backtest', details: error.message });
+    }
+});
+
 module.exports = router;
@@ -35,7 +35,8 @@ router.get('/', (req, res) => {
                     spreadPercent: ob.spreadPercent,
                     midPrice: ob.midPrice,
                     imbalance: ob.imbalance,
-                    timestamp: ob.timestamp
+                    timestamp: ob.timestamp,
+                    syncState: ob.syncState
                 };
             });
 
@@ -45,6 +46,7 @@ router.get('/', (req, res) => {
             totalOrderBooks: status.totalOrderBooks,
             totalBidLevels: status.totalBidLevels,
             totalAskLevels: status.totalAskLevels,
+            sync: status.sync,
             orderBooks
         });
     } catch (error) {
@@ -59,6 +61,7 @@ router.get('/', (req, res) => {
 /**
  * GET /api/orderbook/:assetId
  * Returns full order book for a single asset
+ * `sync.state` is 'desynced' while a drifted book waits for a fresh snapshot
  */
 router.get('/:assetId', (req, res) => {
     try {
@@ -90,6 +93,7 @@ router.get('/:assetId', (req, res) => {
             outcome: assetMeta?.outcome || null,
             eventId: assetMeta?.eventId || null,
             ...fullBook,
+            sync: orderBook.getSyncState(),
             stats: {
                 bidLevels: stats.bidLevels,
                 askLevels: stats.askLevels,
@@ -152,7 +156,8 @@ router.get('/:assetId/depth', (req, res) => {
             spreadPercent: spread.spreadPercent,
             midPrice: spread.midPrice,
             imbalance,
-            timestamp: orderBook.timestamp
+            timestamp: orderBook.timestamp,
+            sync: orderBook.getSyncState()
         });
     } catch (error) {
         console.error('Error fetching order book depth:', error.message);
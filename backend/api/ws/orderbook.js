@@ -0,0 +1,110 @@
+/**
+ * Order Book WebSocket
+ * Pushes live order books to the orderbook-ui.
+ *
+ * Client -> server:
+ *   { "type": "subscribe", "assetId": "..." }    (re-subscribing resends the snapshot)
+ *   { "type": "unsubscribe", "assetId": "..." }
+ *
+ * Server -> client:
+ *   { type: "pending", assetId }                  book not initialized yet
+ *   { type: "snapshot", assetId, seq, bids, asks, stats, timestamp, hash, eventTitle, outcome, eventId }
+ *   { type: "delta", assetId, seq, changes: [{ side, price, size }], stats, timestamp }
+ *   { type: "error", error, assetId? }
+ *
+ * Each delta's seq is one more than the previous message's for that asset;
+ * a client that sees a gap should re-subscribe.
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { orderBookFeed } = require('../../services/orderbook/book-feed');
+const config = require('../../config');
+
+/**
+ * Attach the order book WebSocket server to an HTTP server
+ * @param {http.Server} server - Server returned by app.listen
+ * @param {Object} [options]
+ * @param {Object} [options.feed] - OrderBookFeed instance
+ * @returns {WebSocketServer}
+ */
+function attachOrderBookSocket(server, { feed = orderBookFeed } = {}) {
+    const { path, heartbeatMs, maxSubscriptions } = config.orderbookSocket;
+    const wss = new WebSocketServer({ server, path });
+
+    feed.start();
+
+    wss.on('connection', (socket) => {
+        const subscriptions = new Set();
+        socket.isAlive = true;
+
+        const send = (message) => {
+            if (socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify(message));
+            }
+        };
+
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        socket.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch {
+                return send({ type: 'error', error: 'Invalid JSON' });
+            }
+
+            const { type, assetId } = message || {};
+            if (typeof assetId !== 'string' || assetId.length === 0) {
+                return send({ type: 'error', error: 'assetId is required' });
+            }
+
+            if (type === 'subscribe') {
+                if (!subscriptions.has(assetId) && subscriptions.size >= maxSubscriptions) {
+                    return send({ type: 'error', error: `At most ${maxSubscriptions} subscriptions per connection`, assetId });
+                }
+                subscriptions.add(assetId);
+                feed.subscribe(assetId, send);
+            } else if (type === 'unsubscribe') {
+                subscriptions.delete(assetId);
+                feed.unsubscribe(assetId, send);
+            } else {
+                send({ type: 'error', error: `Unknown message type: ${type}`, assetId });
+            }
+        });
+
+        socket.on('close', () => {
+            feed.unsubscribeAll(send);
+        });
+
+        socket.on('error', (error) => {
+            console.error('[OrderBookSocket] Client error:', error.message);
+        });
+    });
+
+    // Drop connections that stop answering pings
+    const heartbeat = setInterval(() => {
+        for (const socket of wss.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, heartbeatMs);
+    heartbeat.unref?.();
+
+    wss.on('close', () => {
+        clearInterval(heartbeat);
+        feed.stop();
+    });
+
+    console.log(`[OrderBookSocket] Listening on ${path}`);
+    return wss;
+}
+
+module.exports = {
+    attachOrderBookSocket
+};
@@ -13,6 +13,8 @@ module.exports = {
         database: process.env.DB_NAME || 'futuro_news',
         user: process.env.DB_USER || 'postgres',
         password: process.env.DB_PASSWORD || '',
+        ssl: process.env.DB_SSL === 'true',
+        poolSize: parseInt(process.env.DB_POOL_SIZE) || 10,
         // Use in-memory store if no database configured
         useInMemory: !process.env.DB_HOST
     },
@@ -20,14 +22,31 @@ module.exports = {
     // Redis (optional for MVP)
     redis: {
         url: process.env.REDIS_URL || null,
+        keyPrefix: process.env.REDIS_KEY_PREFIX || 'futuretimes:cache:',
         // Use in-memory cache if no Redis configured
         useInMemory: !process.env.REDIS_URL
     },
 
-    // Anthropic (Claude)
-    anthropic: {
-        apiKey: process.env.ANTHROPIC_API_KEY || '',
-        model: process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307'
+    // LLM providers (article and related-news summary generation)
+    llm: {
+        // anthropic | openai | stub | none (defaults to the first provider with an API key)
+        provider: process.env.LLM_PROVIDER || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : process.env.OPENAI_API_KEY ? 'openai' : 'none'),
+        // Retries apply to rate limits, 5xx responses and network errors
+        maxRetries: process.env.LLM_MAX_RETRIES !== undefined ? parseInt(process.env.LLM_MAX_RETRIES) : 2,
+        retryDelayMs: parseInt(process.env.LLM_RETRY_DELAY_MS) || 1000,
+        anthropic: {
+            apiKey: process.env.ANTHROPIC_API_KEY || '',
+            model: process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307'
+        },
+        openai: {
+            apiKey: process.env.OPENAI_API_KEY || '',
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+        },
+        stub: {
+            // Relative paths are resolved against the backend directory
+            fixturesPath: process.env.LLM_STUB_FIXTURES || 'services/llm/fixtures/default.json'
+        }
     },
 
     // Polymarket API
@@ -52,8 +71,58 @@ module.exports = {
         heartbeatIntervalMs: parseInt(process.env.WS_HEARTBEAT_INTERVAL) || 30000
     },
 
+    // Raw market WebSocket capture (NDJSON, for offline replay)
+    wsCapture: {
+        enabled: process.env.WS_CAPTURE === 'true',
+        // Relative paths are resolved against the backend directory
+        directory: process.env.WS_CAPTURE_DIR || 'data/ws-captures',
+        maxFileBytes: parseInt(process.env.WS_CAPTURE_MAX_FILE_BYTES) || 50 * 1024 * 1024,
+        maxFiles: parseInt(process.env.WS_CAPTURE_MAX_FILES) || 20
+    },
+
+    // Order book integrity (hash verification and resync)
+    orderbookSync: {
+        verifyHashes: process.env.ORDERBOOK_VERIFY_HASHES !== 'false',
+        // Books without any update for this long are re-fetched
+        staleAfterMs: parseInt(process.env.ORDERBOOK_STALE_AFTER_MS) || 10 * 60 * 1000,
+        syncCheckIntervalMs: parseInt(process.env.ORDERBOOK_SYNC_CHECK_MS) || 60000
+    },
+
+    // Cross-outcome consistency (sibling markets and Yes/No mirror books)
+    consistency: {
+        enabled: process.env.ENABLE_CONSISTENCY_CHECKER !== 'false',
+        checkIntervalMs: parseInt(process.env.CONSISTENCY_CHECK_INTERVAL_MS) || 60000,
+        // Negative-risk events: flag when Yes prices sum this far from 1
+        sumTolerance: parseFloat(process.env.CONSISTENCY_SUM_TOLERANCE) || 0.05,
+        // Yes/No books: flag when mid prices sum this far from 1
+        mirrorTolerance: parseFloat(process.env.CONSISTENCY_MIRROR_TOLERANCE) || 0.03,
+        // Smallest executable edge (per share) reported as arbitrage
+        minArbSpread: parseFloat(process.env.CONSISTENCY_MIN_ARB_SPREAD) || 0.005
+    },
+
+    // Order book push to orderbook-ui (WebSocket)
+    orderbookSocket: {
+        path: process.env.ORDERBOOK_WS_PATH || '/ws/orderbook',
+        heartbeatMs: parseInt(process.env.ORDERBOOK_WS_HEARTBEAT_MS) || 30000,
+        maxSubscriptions: parseInt(process.env.ORDERBOOK_WS_MAX_SUBSCRIPTIONS) || 50
+    },
+
     // Signal processor configurations
     signals: {
+        volumeSpike: {
+            weight: parseFloat(process.env.SIGNAL_VOLUME_SPIKE_WEIGHT) || 0.08,
+            minVolumeRatio: parseFloat(process.env.VOLUME_SPIKE_MIN_RATIO) || 0.5
+        },
+        probabilityExtreme: {
+            weight: parseFloat(process.env.SIGNAL_PROBABILITY_EXTREME_WEIGHT) || 0.05,
+            extremeThreshold: parseFloat(process.env.PROBABILITY_EXTREME_THRESHOLD) || 0.9,
+            highSeverityThreshold: parseFloat(process.env.PROBABILITY_EXTREME_HIGH_THRESHOLD) || 0.95
+        },
+        highLiquidity: {
+            weight: parseFloat(process.env.SIGNAL_HIGH_LIQUIDITY_WEIGHT) || 0.03,
+            minLiquidity: parseFloat(process.env.HIGH_LIQUIDITY_MIN_USD) || 100000,
+            veryHighLiquidity: parseFloat(process.env.HIGH_LIQUIDITY_VERY_HIGH_USD) || 500000
+        },
         freshWallet: {
             weight: parseFloat(process.env.SIGNAL_FRESH_WALLET_WEIGHT) || 0.15,
             maxAgeDays: parseInt(process.env.FRESH_WALLET_MAX_AGE_DAYS) || 7,
@@ -81,11 +150,143 @@ module.exports = {
         }
     },
 
+    // Per-event insider risk score (aggregated signals, see services/signals/risk.js)
+    risk: {
+        // A detection counts half as much after this long
+        halfLifeHours: parseFloat(process.env.RISK_HALF_LIFE_HOURS) || 24,
+        // Detections older than this are ignored
+        maxAgeDays: parseFloat(process.env.RISK_MAX_AGE_DAYS) || 7,
+        // Share of each further detection type that counts when it involves the same wallets
+        correlatedWeight: parseFloat(process.env.RISK_CORRELATED_WEIGHT) || 0.25,
+        // How strongly each detection type points at informed trading
+        weights: {
+            'wallet-accuracy': 1,
+            'sniper-cluster': 0.9,
+            'fresh-wallet': 0.8,
+            'timing-pattern': 0.6,
+            'liquidity-impact': 0.5
+        },
+        // Wallets and trades listed as the main contributors
+        topContributors: parseInt(process.env.RISK_TOP_CONTRIBUTORS) || 5
+    },
+
+    // Signal and whale settings changed at runtime via /api/internal/config (persisted, audited)
+    runtimeConfig: {
+        // Relative paths are resolved against the backend directory
+        path: process.env.RUNTIME_CONFIG_PATH || 'data/runtime-config.json',
+        auditLimit: parseInt(process.env.RUNTIME_CONFIG_AUDIT_LIMIT) || 500
+    },
+
     // Wallet tracking settings
     wallet: {
         profileRefreshIntervalMs: parseInt(process.env.WALLET_PROFILE_REFRESH_MS) || 3600000,
         historyLookbackDays: parseInt(process.env.WALLET_HISTORY_LOOKBACK_DAYS) || 90,
-        maxTrackedWallets: parseInt(process.env.MAX_TRACKED_WALLETS) || 10000
+        maxTrackedWallets: parseInt(process.env.MAX_TRACKED_WALLETS) || 10000,
+        // Historical trades from the CLOB trades endpoint (see services/wallet/backfill.js)
+        backfill: {
+            // Trades per getTrades request
+            pageSize: parseInt(process.env.WALLET_BACKFILL_PAGE_SIZE) || 500,
+            // Cursors and wallet queue, so a restarted backfill resumes (relative to the backend directory)
+            statePath: process.env.WALLET_BACKFILL_STATE_PATH || 'data/wallet-backfill.json',
+            // Stored trades a rebuilt profile is computed from
+            profileTradeLimit: parseInt(process.env.WALLET_BACKFILL_PROFILE_TRADES) || 10000
+        }
+    },
+
+    // Wallet funding graph (imported USDC transfers on Polygon)
+    funding: {
+        // Files accepted by POST /api/internal/wallets/funding/import (relative to the backend directory)
+        importDir: process.env.FUNDING_IMPORT_DIR || 'data/transfers',
+        // Token contracts counted as USDC (USDC.e and native USDC); other tokens in an export are skipped
+        usdcContracts: (process.env.FUNDING_USDC_CONTRACTS ||
+            '0x2791bca1f2de4661ed88a30c99a7a9449aa84174,0x3c499c542cef5e3811e1192ce70d8cc03d5c3359')
+            .split(',').map(address => address.trim().toLowerCase()).filter(Boolean),
+        // Sources funding more wallets than this are exchanges/bridges, not a shared owner
+        hubFanout: parseInt(process.env.FUNDING_HUB_FANOUT) || 50,
+        // Polygon JSON-RPC endpoint for eth_getLogs imports (a local node or stand-in)
+        rpcUrl: process.env.POLYGON_RPC_URL || 'http://127.0.0.1:8545',
+        // Blocks per eth_getLogs request
+        rpcBlockChunk: parseInt(process.env.FUNDING_RPC_BLOCK_CHUNK) || 2000
+    },
+
+    // Whale flow classification (market maker vs. informed, from wallet history)
+    whaleClassification: {
+        // Wallets with fewer trades on record stay 'unknown'
+        minHistoryTrades: parseInt(process.env.WHALE_CLASSIFY_MIN_TRADES) || 5,
+        historyLimit: parseInt(process.env.WHALE_CLASSIFY_HISTORY_LIMIT) || 500,
+        // Closing a position within this window counts as a quick reversal
+        reversalWindowMs: parseInt(process.env.WHALE_CLASSIFY_REVERSAL_WINDOW_MS) || 10 * 60 * 1000,
+        // Average holding time at which the holding component maxes out
+        longHoldMs: parseInt(process.env.WHALE_CLASSIFY_LONG_HOLD_MS) || 24 * 60 * 60 * 1000,
+        informedThreshold: parseFloat(process.env.WHALE_CLASSIFY_INFORMED_THRESHOLD) || 0.6,
+        marketMakerThreshold: parseFloat(process.env.WHALE_CLASSIFY_MARKET_MAKER_THRESHOLD) || 0.35,
+        // Live trades carry no wallet; match them on the CLOB trades endpoint within this window
+        walletLookupWindowSeconds: parseInt(process.env.WHALE_CLASSIFY_LOOKUP_WINDOW_S) || 5,
+        // Trades reach the endpoint a little after the match; wait this long past the trade time before looking
+        walletLookupDelayMs: parseInt(process.env.WHALE_CLASSIFY_LOOKUP_DELAY_MS) || 10 * 1000
+    },
+
+    // Resolution polling settings
+    resolution: {
+        enabled: process.env.ENABLE_RESOLUTION_POLLER !== 'false',
+        pollIntervalMs: parseInt(process.env.RESOLUTION_POLL_INTERVAL_MS) || 5 * 60 * 1000,
+        // Also check events due to end within this window (markets can resolve early)
+        lookaheadHours: parseInt(process.env.RESOLUTION_LOOKAHEAD_HOURS) || 24,
+        batchSize: parseInt(process.env.RESOLUTION_BATCH_SIZE) || 25
+    },
+
+    // Calibration tracking (displayed probabilities vs resolved outcomes)
+    calibration: {
+        enabled: process.env.ENABLE_CALIBRATION !== 'false',
+        // How often every open article's displayed probability is recorded
+        snapshotIntervalMs: parseInt(process.env.CALIBRATION_SNAPSHOT_INTERVAL_MS) || 60 * 60 * 1000,
+        // Interval snapshots older than this are thinned to one per article per thinnedSpacingMs
+        thinAfterDays: parseInt(process.env.CALIBRATION_THIN_AFTER_DAYS) || 7,
+        thinnedSpacingMs: parseInt(process.env.CALIBRATION_THINNED_SPACING_MS) || 24 * 60 * 60 * 1000,
+        // Reliability diagram buckets over [0, 1]
+        bins: parseInt(process.env.CALIBRATION_BINS) || 10
+    },
+
+    // Ingestion jobs (Polymarket sync, startup loads)
+    ingestion: {
+        enabled: process.env.ENABLE_AUTO_SYNC !== 'false',
+        // Finished runs kept for /api/internal/jobs
+        historySize: parseInt(process.env.INGESTION_HISTORY_SIZE) || 100,
+        eventSync: {
+            intervalMs: parseInt(process.env.EVENT_SYNC_INTERVAL_MS) || 60 * 1000,
+            // First run after startup, once the server is listening
+            initialDelayMs: parseInt(process.env.EVENT_SYNC_INITIAL_DELAY_MS) || 3000,
+            limit: parseInt(process.env.EVENT_SYNC_LIMIT) || 500,
+            minDaysUntilResolution: parseInt(process.env.EVENT_SYNC_MIN_DAYS) || 1,
+            maxDaysUntilResolution: parseInt(process.env.EVENT_SYNC_MAX_DAYS) || 30
+        },
+        // Wallet history backfill for subscribed assets and newly seen wallets
+        walletBackfill: {
+            intervalMs: parseInt(process.env.WALLET_BACKFILL_INTERVAL_MS) || 15 * 60 * 1000,
+            // After event-sync has subscribed the active markets
+            initialDelayMs: parseInt(process.env.WALLET_BACKFILL_INITIAL_DELAY_MS) || 30 * 1000,
+            // getTrades requests per run; the rest resumes on the next run
+            maxPages: parseInt(process.env.WALLET_BACKFILL_MAX_PAGES) || 200
+        }
+    },
+
+    // Backtest settings
+    backtest: {
+        // Trades replayed per run; longer windows are truncated
+        maxTrades: parseInt(process.env.BACKTEST_MAX_TRADES) || 50000
+    },
+
+    // Live article probability stream (SSE)
+    articleStream: {
+        // Messages kept for Last-Event-ID replay after a reconnect
+        bufferSize: parseInt(process.env.ARTICLE_STREAM_BUFFER_SIZE) || 500,
+        heartbeatMs: parseInt(process.env.ARTICLE_STREAM_HEARTBEAT_MS) || 25000,
+        // Coalesce bursts of whale trades on one asset into a single update
+        debounceMs: parseInt(process.env.ARTICLE_STREAM_DEBOUNCE_MS) || 1000,
+        // Re-check assets with whale signals so decay reaches readers
+        refreshIntervalMs: parseInt(process.env.ARTICLE_STREAM_REFRESH_MS) || 30000,
+        // Smallest probability change worth pushing
+        minDelta: parseFloat(process.env.ARTICLE_STREAM_MIN_DELTA) || 0.001
     },
 
     // Cache settings
@@ -97,10 +298,30 @@ module.exports = {
 
     // Article generation settings
     article: {
+        // Body limit in words; headline and summary limits in characters
         maxLength: 800,
         summaryLength: 150,
+        headlineLength: 80,
+        // Follow-up prompts before a generated article is given up on
+        maxRepairAttempts: process.env.ARTICLE_MAX_REPAIR_ATTEMPTS !== undefined ? parseInt(process.env.ARTICLE_MAX_REPAIR_ATTEMPTS) : 1,
+        maxTenseRetries: process.env.ARTICLE_MAX_TENSE_RETRIES !== undefined ? parseInt(process.env.ARTICLE_MAX_TENSE_RETRIES) : 1,
         // Only generate articles for these categories (empty = all categories)
-        allowedCategories: (process.env.ALLOWED_CATEGORIES || 'World,Finance,Sports,Politics,Technology').split(',').map(c => c.trim()).filter(Boolean)
+        allowedCategories: (process.env.ALLOWED_CATEGORIES || 'World,Finance,Sports,Politics,Technology').split(',').map(c => c.trim()).filter(Boolean),
+        // Rewrite an article when its favored outcome's probability crosses one of these bands
+        // (the favored outcome flipping always triggers a rewrite)
+        revisionBands: (process.env.ARTICLE_REVISION_BANDS || '0.6,0.75,0.9').split(',').map(b => parseFloat(b)).filter(b => !isNaN(b)),
+        // Minimum time between automatic rewrites of one article
+        minRevisionIntervalMs: parseInt(process.env.ARTICLE_MIN_REVISION_INTERVAL_MS) || 30 * 60 * 1000,
+        // Events with 3+ outcomes ("Who will win...?"): write about the leader and list the field
+        multiOutcome: {
+            minOutcomes: 3,
+            // Replaces the 0.7 probability gate: the leader needs this much probability...
+            minLeaderProbability: parseFloat(process.env.MULTI_OUTCOME_MIN_LEADER_PROBABILITY) || 0.35,
+            // ...and this much over the runner-up
+            minLeaderMargin: parseFloat(process.env.MULTI_OUTCOME_MIN_LEADER_MARGIN) || 0.1,
+            // Outcomes stored in the article's field, leader included
+            maxFieldSize: parseInt(process.env.MULTI_OUTCOME_MAX_FIELD_SIZE) || 6
+        }
     },
 
     // RAG (Related News Search) settings
@@ -108,5 +329,35 @@ module.exports = {
         enabled: process.env.BRAVE_SEARCH_API_KEY || process.env.TAVILY_API_KEY ? true : false,
         maxResults: parseInt(process.env.RAG_MAX_RESULTS) || 5,
         generateSummaries: process.env.RAG_GENERATE_SUMMARIES !== 'false'
+    },
+
+    // Public site (links in feeds point at the frontend)
+    site: {
+        url: (process.env.SITE_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+        name: process.env.SITE_NAME || 'Future Times',
+        // Shared with the frontend's /api/revalidate; unset disables on-demand revalidation
+        revalidateSecret: process.env.REVALIDATE_SECRET || null,
+        // Article changes are batched into one revalidation request per window
+        revalidateDebounceMs: parseInt(process.env.REVALIDATE_DEBOUNCE_MS) || 5000
+    },
+
+    // Atom and JSON Feed syndication
+    feeds: {
+        maxItems: parseInt(process.env.FEED_MAX_ITEMS) || 50
+    },
+
+    // "More from Future Times" recommendations (local, works without RAG keys)
+    recommendations: {
+        maxResults: parseInt(process.env.RECOMMENDATIONS_MAX_RESULTS) || 5,
+        minScore: parseFloat(process.env.RECOMMENDATIONS_MIN_SCORE) || 0.15,
+        // Weights of the combined score (each component is 0-1)
+        weights: {
+            text: 0.6,        // TF-IDF cosine over headline and body
+            category: 0.1,    // Same category
+            tags: 0.2,        // Jaccard overlap of Polymarket tags
+            proximity: 0.1    // Events resolving around the same time
+        },
+        // Resolution dates this many days apart score half the proximity weight
+        proximityHalfLifeDays: 14
     }
 };
@@ -0,0 +1,160 @@
+// Shared helpers for the database adapters
+// Keeps filtering and ranking rules identical between in-memory and PostgreSQL
+
+// Exclude weather-related articles from featured (common in Finance category)
+const WEATHER_KEYWORDS = ['weather', 'temperature', 'storm', 'hurricane', 'tornado', 'rainfall', 'snowfall', 'celsius', 'fahrenheit'];
+
+// Slugify helper
+function slugify(text) {
+    return text
+        .toLowerCase()
+        .replace(/[^\w\s-]/g, '')
+        .replace(/\s+/g, '-')
+        .replace(/-+/g, '-')
+        .substring(0, 100);
+}
+
+// Generate a record ID (timestamp + random suffix)
+function generateId(randomLength = 9) {
+    return Date.now().toString() + Math.random().toString(36).substr(2, randomLength);
+}
+
+// Parse a timestamp that may be an ISO string, epoch millis, or a numeric string
+// (the CLOB WebSocket sends epoch millis as strings)
+function toTimestamp(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = typeof value === 'number' || /^\d+$/.test(value)
+        ? new Date(Number(value))
+        : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Filter articles by expiry date range (using calendar days, not milliseconds)
+function filterByExpiryDays(articles, minDaysUntilExpiry, maxDaysUntilExpiry) {
+    if (minDaysUntilExpiry == null && maxDaysUntilExpiry == null) {
+        return articles;
+    }
+
+    const now = new Date();
+    const todayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const minDays = minDaysUntilExpiry || 0;
+    const maxDays = maxDaysUntilExpiry ?? Infinity;
+
+    return articles.filter(a => {
+        if (!a.expiresAt) return false;
+        const expiresAt = new Date(a.expiresAt);
+        const expiryStart = new Date(expiresAt.getFullYear(), expiresAt.getMonth(), expiresAt.getDate());
+        const diffDays = Math.round((expiryStart - todayStart) / (1000 * 60 * 60 * 24));
+        return diffDays >= minDays && diffDays <= maxDays;
+    });
+}
+
+// Filter events by resolution date range
+function filterByResolutionDays(events, minDaysUntilResolution, maxDaysUntilResolution) {
+    if (minDaysUntilResolution == null && maxDaysUntilResolution == null) {
+        return events;
+    }
+
+    const now = Date.now();
+    const minMs = (minDaysUntilResolution || 0) * 24 * 60 * 60 * 1000;
+    const maxMs = (maxDaysUntilResolution || Infinity) * 24 * 60 * 60 * 1000;
+
+    return events.filter(e => {
+        if (!e.endDate) return false;
+        const msUntilResolution = new Date(e.endDate).getTime() - now;
+        return msUntilResolution >= minMs && msUntilResolution <= maxMs;
+    });
+}
+
+// Filter whale trades by flow classification and minimum informedScore
+// Records from before classification existed count as 'unknown'
+function filterWhaleTrades(trades, { classification = null, minInformedScore = null } = {}) {
+    if (!classification && minInformedScore == null) {
+        return trades;
+    }
+
+    const classifications = classification ? [].concat(classification) : null;
+
+    return trades.filter(t => {
+        if (classifications && !classifications.includes(t.classification || 'unknown')) return false;
+        if (minInformedScore != null && !(t.informedScore >= minInformedScore)) return false;
+        return true;
+    });
+}
+
+// Sort articles in place by the requested field
+function sortArticles(articles, sort) {
+    if (sort === 'probability') {
+        articles.sort((a, b) => (b.probability || 0) - (a.probability || 0));
+    } else {
+        articles.sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt));
+    }
+    return articles;
+}
+
+// Pick the top article from each featured category
+function selectFeatured(articles) {
+    const isWeatherArticle = (article) => {
+        const headline = (article.headline || '').toLowerCase();
+        return WEATHER_KEYWORDS.some(keyword => headline.includes(keyword));
+    };
+
+    // Calculate score: probability * (1 + volumeBoost)
+    // Volume acts as a confidence multiplier - high volume markets get up to 30% boost
+    const calculateScore = (article) => {
+        const prob = article.probability || 0;
+        const volume = article.totalVolume || 0;
+        const volumeBoost = Math.min(0.3, Math.log10(volume + 1) / 20);
+        return prob * (1 + volumeBoost);
+    };
+
+    // Sort all by combined score (probability * volume boost, descending)
+    const sorted = [...articles].sort((a, b) => calculateScore(b) - calculateScore(a));
+
+    const featured = [];
+
+    // Politics - top by score
+    const politics = sorted.find(a => a.category === 'Politics');
+    if (politics) featured.push(politics);
+
+    // World - top by score
+    const world = sorted.find(a => a.category === 'World');
+    if (world) featured.push(world);
+
+    // Finance - top by score, excluding weather
+    const finance = sorted.find(a => a.category === 'Finance' && !isWeatherArticle(a));
+    if (finance) featured.push(finance);
+
+    return featured;
+}
+
+/**
+ * Interval probability snapshots to drop when thinning old history: per article,
+ * the first snapshot in each spacingMs bucket is kept
+ * @param {Array<{articleId, recordedAt}>} snapshots - Oldest first
+ * @param {number} spacingMs
+ * @returns {Array} Snapshots to delete
+ */
+function selectThinnedSnapshots(snapshots, spacingMs) {
+    const kept = new Set(); // articleId:bucket
+    return snapshots.filter(snapshot => {
+        const key = `${snapshot.articleId}:${Math.floor(new Date(snapshot.recordedAt).getTime() / spacingMs)}`;
+        if (kept.has(key)) return true;
+        kept.add(key);
+        return false;
+    });
+}
+
+module.exports = {
+    slugify,
+    generateId,
+    toTimestamp,
+    filterByExpiryDays,
+    filterByResolutionDays,
+    filterWhaleTrades,
+    sortArticles,
+    selectFeatured,
+    selectThinnedSnapshots
+};
@@ -0,0 +1,1036 @@
+// In-memory database adapter
+// Used when no PostgreSQL database is configured (see config.db.useInMemory)
+
+const fs = require('fs');
+const path = require('path');
+const {
+    slugify,
+    toTimestamp,
+    filterByExpiryDays,
+    filterByResolutionDays,
+    filterWhaleTrades,
+    sortArticles,
+    selectFeatured,
+    selectThinnedSnapshots
+} = require('./helpers');
+
+// Data directory for persistent storage
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const PATTERNS_FILE = path.join(DATA_DIR, 'detected-patterns.json');
+const WHALE_TRADES_FILE = path.join(DATA_DIR, 'whale-trades.json');
+const FUNDING_TRANSFERS_FILE = path.join(DATA_DIR, 'funding-transfers.json');
+const WALLET_CLUSTERS_FILE = path.join(DATA_DIR, 'wallet-clusters.json');
+
+// Ensure data directory exists
+if (!fs.existsSync(DATA_DIR)) {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+}
+
+// Load persisted patterns on startup
+function loadPersistedPatterns() {
+    try {
+        if (fs.existsSync(PATTERNS_FILE)) {
+            const data = fs.readFileSync(PATTERNS_FILE, 'utf8');
+            const patterns = JSON.parse(data);
+            console.log(`[DB] Loaded ${patterns.length} persisted patterns from disk`);
+            return patterns;
+        }
+    } catch (error) {
+        console.error('[DB] Failed to load persisted patterns:', error.message);
+    }
+    return [];
+}
+
+// Load persisted whale trades on startup
+function loadPersistedWhaleTrades() {
+    try {
+        if (fs.existsSync(WHALE_TRADES_FILE)) {
+            const data = fs.readFileSync(WHALE_TRADES_FILE, 'utf8');
+            const trades = JSON.parse(data);
+            console.log(`[DB] Loaded ${trades.length} persisted whale trades from disk`);
+            return trades;
+        }
+    } catch (error) {
+        console.error('[DB] Failed to load persisted whale trades:', error.message);
+    }
+    return [];
+}
+
+// Load a persisted JSON array (funding transfers, wallet clusters) on startup
+function loadPersistedList(file, label) {
+    try {
+        if (fs.existsSync(file)) {
+            const list = JSON.parse(fs.readFileSync(file, 'utf8'));
+            console.log(`[DB] Loaded ${list.length} persisted ${label} from disk`);
+            return list;
+        }
+    } catch (error) {
+        console.error(`[DB] Failed to load persisted ${label}:`, error.message);
+    }
+    return [];
+}
+
+// Save a JSON array to disk
+function saveListToDisk(file, list, label) {
+    try {
+        fs.writeFileSync(file, JSON.stringify(list));
+    } catch (error) {
+        console.error(`[DB] Failed to save ${label} to disk:`, error.message);
+    }
+}
+
+// Save patterns to disk
+function savePatternsToDisk(patterns) {
+    try {
+        fs.writeFileSync(PATTERNS_FILE, JSON.stringify(patterns, null, 2));
+    } catch (error) {
+        console.error('[DB] Failed to save patterns to disk:', error.message);
+    }
+}
+
+// Save whale trades to disk
+function saveWhaleTradesToDisk(trades) {
+    try {
+        fs.writeFileSync(WHALE_TRADES_FILE, JSON.stringify(trades, null, 2));
+    } catch (error) {
+        console.error('[DB] Failed to save whale trades to disk:', error.message);
+    }
+}
+
+// In-memory store (used when DB not configured)
+const store = {
+    events: new Map(),
+    predictions: new Map(),
+    articles: new Map(),
+    articlesByEventId: new Map(),  // Index for O(1) deduplication by eventId
+    articlesBySlug: new Map(),     // Index for O(1) deduplication by slug
+    articleRevisions: new Map(),   // articleId -> revisions, oldest first
+    signals: new Map(),
+    backtestRuns: [],
+    // New collections for insider trading detection
+    walletProfiles: new Map(),       // address -> profile object
+    tradeHistory: [],                // Array of trades (capped at 100k, FIFO)
+    detectedPatterns: loadPersistedPatterns(),  // Load from disk on startup
+    orderbookSnapshots: new Map(),   // tokenId -> circular buffer of snapshots
+    whaleTrades: loadPersistedWhaleTrades(),    // Load from disk on startup
+    resolutions: new Map(),          // marketId -> settled market resolution
+    probabilitySnapshots: new Map(), // articleId -> displayed probabilities, oldest first
+    fundingTransfers: new Map(loadPersistedList(FUNDING_TRANSFERS_FILE, 'funding transfers').map(t => [t.id, t])),
+    walletClusters: loadPersistedList(WALLET_CLUSTERS_FILE, 'wallet clusters')
+};
+
+// Constants
+const TRADE_HISTORY_MAX = 100000;
+const ORDERBOOK_SNAPSHOTS_MAX = 100;
+const WHALE_TRADES_MAX = 10000;
+const PROBABILITY_SNAPSHOTS_PER_ARTICLE_MAX = 1000;
+
+// Event operations
+const events = {
+    async upsert(event) {
+        store.events.set(event.id, {
+            ...event,
+            updatedAt: new Date().toISOString()
+        });
+        return event;
+    },
+
+    async getById(id) {
+        return store.events.get(id) || null;
+    },
+
+    async getBySlug(slug) {
+        for (const event of store.events.values()) {
+            if (event.slug === slug) return event;
+        }
+        return null;
+    },
+
+    async getAll({ limit = 50, category = null, resolved = false, minDaysUntilResolution = null, maxDaysUntilResolution = null } = {}) {
+        let results = Array.from(store.events.values())
+            .filter(e => e.resolved === resolved);
+
+        if (category) {
+            results = results.filter(e => e.category === category);
+        }
+
+        // Filter by resolution date range
+        results = filterByResolutionDays(results, minDaysUntilResolution, maxDaysUntilResolution);
+
+        return results.slice(0, limit);
+    },
+
+    async getCategories() {
+        const categories = new Map();
+        for (const event of store.events.values()) {
+            const cat = event.category || 'Other';
+            categories.set(cat, (categories.get(cat) || 0) + 1);
+        }
+        return Array.from(categories.entries()).map(([name, count]) => ({ name, count }));
+    }
+};
+
+// Prediction operations
+const predictions = {
+    async create(prediction) {
+        const id = Date.now().toString();
+        const record = {
+            id,
+            ...prediction,
+            calculatedAt: new Date().toISOString()
+        };
+        store.predictions.set(id, record);
+        return record;
+    },
+
+    async getByEventId(eventId) {
+        for (const pred of store.predictions.values()) {
+            if (pred.eventId === eventId) return pred;
+        }
+        return null;
+    },
+
+    async getLatestByEventId(eventId) {
+        let latest = null;
+        for (const pred of store.predictions.values()) {
+            if (pred.eventId === eventId) {
+                if (!latest || pred.calculatedAt > latest.calculatedAt) {
+                    latest = pred;
+                }
+            }
+        }
+        return latest;
+    }
+};
+
+// Article operations
+const articles = {
+    async create(article) {
+        // Database-level deduplication: check if article for this event already exists
+        if (article.eventId && store.articlesByEventId.has(article.eventId)) {
+            return store.articlesByEventId.get(article.eventId);
+        }
+
+        const slug = article.slug || slugify(article.headline);
+
+        // Deduplicate by slug (prevents duplicate articles with similar headlines)
+        if (store.articlesBySlug.has(slug)) {
+            return store.articlesBySlug.get(slug);
+        }
+
+        const id = Date.now().toString() + Math.random().toString(36).substr(2, 5);
+        const record = {
+            id,
+            ...article,
+            slug,
+            publishedAt: new Date().toISOString(),
+            createdAt: new Date().toISOString()
+        };
+        store.articles.set(id, record);
+
+        // Add to eventId index for O(1) lookups
+        if (article.eventId) {
+            store.articlesByEventId.set(article.eventId, record);
+        }
+        // Add to slug index for O(1) lookups
+        store.articlesBySlug.set(slug, record);
+
+        return record;
+    },
+
+    async update(id, updates) {
+        const existing = store.articles.get(id);
+        if (!existing) return null;
+        const updated = { ...existing, ...updates };
+        store.articles.set(id, updated);
+
+        // Update the eventId index as well
+        if (updated.eventId) {
+            store.articlesByEventId.set(updated.eventId, updated);
+        }
+        // Update the slug index as well
+        if (updated.slug) {
+            store.articlesBySlug.set(updated.slug, updated);
+        }
+        return updated;
+    },
+
+    async getById(id) {
+        return store.articles.get(id) || null;
+    },
+
+    async getBySlug(slug) {
+        for (const article of store.articles.values()) {
+            if (article.slug === slug) return article;
+        }
+        return null;
+    },
+
+    async getByEventId(eventId) {
+        // O(1) lookup using the eventId index
+        return store.articlesByEventId.get(eventId) || null;
+    },
+
+    async getAll({
+        limit = 20,
+        offset = 0,
+        category = null,
+        sort = 'publishedAt',
+        minDaysUntilExpiry = null,
+        maxDaysUntilExpiry = null
+    } = {}) {
+        let results = Array.from(store.articles.values());
+
+        if (category) {
+            results = results.filter(a => a.category === category);
+        }
+
+        // Filter by expiry date range (using calendar days, not milliseconds)
+        results = filterByExpiryDays(results, minDaysUntilExpiry, maxDaysUntilExpiry);
+
+        // Sort
+        sortArticles(results, sort);
+
+        return results.slice(offset, offset + limit);
+    },
+
+    async getFeatured(limit = 5, minDaysUntilExpiry = null, maxDaysUntilExpiry = null) {
+        const allArticles = filterByExpiryDays(
+            Array.from(store.articles.values()),
+            minDaysUntilExpiry,
+            maxDaysUntilExpiry
+        );
+
+        // Top article from each featured category (Politics, World, Finance)
+        return selectFeatured(allArticles);
+    },
+
+    async count(category = null) {
+        if (!category) return store.articles.size;
+        return Array.from(store.articles.values())
+            .filter(a => a.category === category).length;
+    },
+
+    /**
+     * Update probability for all articles linked to a given eventId
+     * @param {string} eventId - The event ID to match
+     * @param {number} probability - The new probability value
+     * @returns {number} - Number of articles updated
+     */
+    async updateProbability(eventId, probability) {
+        let updatedCount = 0;
+        for (const [id, article] of store.articles.entries()) {
+            if (article.eventId === eventId) {
+                store.articles.set(id, {
+                    ...article,
+                    probability,
+                    probabilityUpdatedAt: new Date().toISOString()
+                });
+                updatedCount++;
+            }
+        }
+        return updatedCount;
+    }
+};
+
+// Article revision operations (one record per version of an article)
+const articleRevisions = {
+    /**
+     * Record a version of an article
+     * @param {Object} revision - { articleId, revision, headline, summary, body, probability, favoredOutcome, reason }
+     */
+    async create(revision) {
+        const record = {
+            ...revision,
+            createdAt: new Date().toISOString()
+        };
+        if (!store.articleRevisions.has(revision.articleId)) {
+            store.articleRevisions.set(revision.articleId, []);
+        }
+        store.articleRevisions.get(revision.articleId).push(record);
+        return record;
+    },
+
+    /**
+     * Get all versions of an article, oldest first
+     * @param {string} articleId - Article ID
+     */
+    async getByArticleId(articleId) {
+        return [...(store.articleRevisions.get(articleId) || [])];
+    },
+
+    /**
+     * Get total count of revisions
+     */
+    async count() {
+        let total = 0;
+        for (const revisions of store.articleRevisions.values()) {
+            total += revisions.length;
+        }
+        return total;
+    }
+};
+
+// Signal operations
+const signals = {
+    async create(signal) {
+        const id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+        const record = {
+            id,
+            ...signal,
+            detectedAt: new Date().toISOString()
+        };
+        store.signals.set(id, record);
+        return record;
+    },
+
+    async getByEventId(eventId) {
+        return Array.from(store.signals.values())
+            .filter(s => s.eventId === eventId);
+    },
+
+    /**
+     * Signals detected at or after a time, oldest first
+     * @param {string} since - ISO timestamp
+     */
+    async getSince(since) {
+        return Array.from(store.signals.values())
+            .filter(s => s.detectedAt >= since);
+    }
+};
+
+// Backtest operations
+const backtests = {
+    async create(backtest) {
+        const id = Date.now().toString();
+        const record = {
+            id,
+            ...backtest,
+            runAt: new Date().toISOString()
+        };
+        store.backtestRuns.push(record);
+        return record;
+    },
+
+    async getById(id) {
+        return store.backtestRuns.find(b => b.id === id) || null;
+    },
+
+    async getAll(limit = 10) {
+        return store.backtestRuns.slice(-limit).reverse();
+    }
+};
+
+// Wallet profile operations
+const walletProfiles = {
+    /**
+     * Create or update a wallet profile
+     * Schema: { address, firstTradeAt, lastTradeAt, totalTrades, totalVolume,
+     *           resolvedPositions, wins, losses, winRate, avgProfit,
+     *           avgTradeSize, maxTradeSize, riskScore, suspiciousFlags[] }
+     */
+    async upsert(address, profile) {
+        const normalizedAddress = address.toLowerCase();
+        const existing = store.walletProfiles.get(normalizedAddress);
+        const record = {
+            ...existing,
+            ...profile,
+            address: normalizedAddress,
+            updatedAt: new Date().toISOString()
+        };
+        if (!existing) {
+            record.createdAt = new Date().toISOString();
+        }
+        store.walletProfiles.set(normalizedAddress, record);
+        return record;
+    },
+
+    /**
+     * Get a wallet profile by address
+     */
+    async getByAddress(address) {
+        return store.walletProfiles.get(address.toLowerCase()) || null;
+    },
+
+    /**
+     * List wallet profiles with filters
+     */
+    async getAll({ limit = 50, minWinRate = null, minTrades = null } = {}) {
+        let results = Array.from(store.walletProfiles.values());
+
+        if (minWinRate !== null) {
+            results = results.filter(p => (p.winRate || 0) >= minWinRate);
+        }
+
+        if (minTrades !== null) {
+            results = results.filter(p => (p.totalTrades || 0) >= minTrades);
+        }
+
+        // Sort by total volume descending
+        results.sort((a, b) => (b.totalVolume || 0) - (a.totalVolume || 0));
+
+        return results.slice(0, limit);
+    },
+
+    /**
+     * Get wallets with suspicious flags
+     */
+    async getSuspicious(limit = 50) {
+        return Array.from(store.walletProfiles.values())
+            .filter(p => p.suspiciousFlags && p.suspiciousFlags.length > 0)
+            .sort((a, b) => (b.suspiciousFlags?.length || 0) - (a.suspiciousFlags?.length || 0))
+            .slice(0, limit);
+    }
+};
+
+// Trade history operations
+const tradeHistory = {
+    /**
+     * Record a trade (auto-prune if exceeds 100k entries)
+     */
+    async record(trade) {
+        const id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+        const record = {
+            id,
+            ...trade,
+            recordedAt: new Date().toISOString()
+        };
+
+        store.tradeHistory.push(record);
+
+        // Auto-prune: FIFO removal if exceeds max
+        while (store.tradeHistory.length > TRADE_HISTORY_MAX) {
+            store.tradeHistory.shift();
+        }
+
+        return record;
+    },
+
+    /**
+     * Get trades by wallet address
+     */
+    async getByWallet(address, limit = 100) {
+        const normalizedAddress = address.toLowerCase();
+        return store.tradeHistory
+            .filter(t => (t.maker?.toLowerCase() === normalizedAddress) ||
+                        (t.taker?.toLowerCase() === normalizedAddress) ||
+                        (t.address?.toLowerCase() === normalizedAddress))
+            .slice(-limit)
+            .reverse();
+    },
+
+    /**
+     * Which of the given trade IDs are already recorded
+     */
+    async getExistingIds(ids) {
+        const wanted = new Set(ids.map(String));
+        const existing = new Set();
+        for (const trade of store.tradeHistory) {
+            if (wanted.has(String(trade.id))) existing.add(String(trade.id));
+        }
+        return existing;
+    },
+
+    /**
+     * Get trades by market/token ID
+     */
+    async getByMarket(tokenId, limit = 100) {
+        return store.tradeHistory
+            .filter(t => t.tokenId === tokenId || t.marketId === tokenId)
+            .slice(-limit)
+            .reverse();
+    },
+
+    /**
+     * Get most recent trades
+     */
+    async getRecent(limit = 100) {
+        return store.tradeHistory.slice(-limit).reverse();
+    },
+
+    /**
+     * Get trades within a time range
+     */
+    async getInTimeRange(startTime, endTime) {
+        const start = new Date(startTime).getTime();
+        const end = new Date(endTime).getTime();
+
+        return store.tradeHistory.filter(t => {
+            const tradeTime = (toTimestamp(t.timestamp) || new Date(t.recordedAt)).getTime();
+            return tradeTime >= start && tradeTime <= end;
+        });
+    }
+};
+
+// Detected patterns operations
+const detectedPatterns = {
+    /**
+     * Record a detected insider pattern
+     */
+    async record(pattern) {
+        const id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+        const record = {
+            id,
+            ...pattern,
+            detectedAt: new Date().toISOString()
+        };
+        store.detectedPatterns.push(record);
+
+        // Persist to disk
+        savePatternsToDisk(store.detectedPatterns);
+
+        return record;
+    },
+
+    /**
+     * Get patterns for a specific event
+     */
+    async getByEventId(eventId) {
+        return store.detectedPatterns
+            .filter(p => p.eventId === eventId)
+            .reverse();
+    },
+
+    /**
+     * Get recent patterns
+     */
+    async getRecent(limit = 50) {
+        return store.detectedPatterns.slice(-limit).reverse();
+    },
+
+    /**
+     * Get patterns by type
+     */
+    async getByType(type, limit = 50) {
+        return store.detectedPatterns
+            .filter(p => p.type === type)
+            .slice(-limit)
+            .reverse();
+    },
+
+    /**
+     * Clear all patterns (useful for testing)
+     */
+    async clear() {
+        store.detectedPatterns = [];
+        savePatternsToDisk(store.detectedPatterns);
+    },
+
+    /**
+     * Get total count of patterns
+     */
+    async count() {
+        return store.detectedPatterns.length;
+    },
+
+    /**
+     * Patterns detected at or after a time, oldest first
+     * @param {string} since - ISO timestamp
+     */
+    async getSince(since) {
+        return store.detectedPatterns.filter(p => p.detectedAt >= since);
+    }
+};
+
+// Orderbook snapshots operations
+const orderbookSnapshots = {
+    /**
+     * Record a snapshot for a token (keeps last 100 per token)
+     */
+    async record(tokenId, snapshot) {
+        if (!store.orderbookSnapshots.has(tokenId)) {
+            store.orderbookSnapshots.set(tokenId, []);
+        }
+
+        const snapshots = store.orderbookSnapshots.get(tokenId);
+        const record = {
+            ...snapshot,
+            tokenId,
+            recordedAt: new Date().toISOString()
+        };
+
+        snapshots.push(record);
+
+        // Keep only the last 100 snapshots (circular buffer behavior)
+        while (snapshots.length > ORDERBOOK_SNAPSHOTS_MAX) {
+            snapshots.shift();
+        }
+
+        return record;
+    },
+
+    /**
+     * Get the most recent snapshot for a token
+     */
+    async getLatest(tokenId) {
+        const snapshots = store.orderbookSnapshots.get(tokenId);
+        if (!snapshots || snapshots.length === 0) {
+            return null;
+        }
+        return snapshots[snapshots.length - 1];
+    },
+
+    /**
+     * Get recent snapshots for a token
+     */
+    async getHistory(tokenId, count = 10) {
+        const snapshots = store.orderbookSnapshots.get(tokenId);
+        if (!snapshots || snapshots.length === 0) {
+            return [];
+        }
+        return snapshots.slice(-count).reverse();
+    },
+
+    /**
+     * Get a token's snapshots within a time range, oldest first
+     * @param {string} tokenId
+     * @param {Date|string|number} startTime - Start of time range
+     * @param {Date|string|number} endTime - End of time range
+     */
+    async getInTimeRange(tokenId, startTime, endTime) {
+        const start = new Date(startTime).getTime();
+        const end = new Date(endTime).getTime();
+
+        return (store.orderbookSnapshots.get(tokenId) || []).filter(s => {
+            const time = new Date(s.recordedAt).getTime();
+            return time >= start && time <= end;
+        });
+    }
+};
+
+// Whale trades operations
+const whaleTrades = {
+    /**
+     * Record a whale trade detection
+     * @param {Object} trade - Whale trade data from WhaleDetector
+     */
+    async record(trade) {
+        const id = Date.now().toString() + Math.random().toString(36).substr(2, 9);
+        const record = {
+            id,
+            ...trade,
+            recordedAt: new Date().toISOString()
+        };
+
+        store.whaleTrades.push(record);
+
+        // Auto-prune: FIFO removal if exceeds max
+        while (store.whaleTrades.length > WHALE_TRADES_MAX) {
+            store.whaleTrades.shift();
+        }
+
+        // Persist to disk
+        saveWhaleTradesToDisk(store.whaleTrades);
+
+        return record;
+    },
+
+    /**
+     * Patch a recorded whale trade (classification arrives after the trade is recorded)
+     * @param {string} id - Whale trade record ID
+     * @param {Object} updates - Fields to merge into the record
+     * @returns {Object|null} Updated record, or null if it has been pruned
+     */
+    async update(id, updates) {
+        const index = store.whaleTrades.findIndex(trade => trade.id === id);
+        if (index === -1) return null;
+        const updated = { ...store.whaleTrades[index], ...updates };
+        store.whaleTrades[index] = updated;
+
+        saveWhaleTradesToDisk(store.whaleTrades);
+
+        return updated;
+    },
+
+    /**
+     * Get recent whale trades
+     * @param {number} limit - Maximum number of trades to return
+     * @param {Object} [filters] - { classification, minInformedScore }
+     */
+    async getRecent(limit = 50, filters = {}) {
+        return filterWhaleTrades(store.whaleTrades, filters).slice(-limit).reverse();
+    },
+
+    /**
+     * Get whale trades by asset ID
+     * @param {string} assetId - Asset identifier
+     * @param {number} limit - Maximum number of trades to return
+     * @param {Object} [filters] - { classification, minInformedScore }
+     */
+    async getByAsset(assetId, limit = 50, filters = {}) {
+        return filterWhaleTrades(store.whaleTrades.filter(t => t.assetId === assetId), filters)
+            .slice(-limit)
+            .reverse();
+    },
+
+    /**
+     * Get whale trades within a time range
+     * @param {Date|string|number} startTime - Start of time range
+     * @param {Date|string|number} endTime - End of time range
+     */
+    async getInTimeRange(startTime, endTime) {
+        const start = new Date(startTime).getTime();
+        const end = new Date(endTime).getTime();
+
+        return store.whaleTrades.filter(t => {
+            const tradeTime = (toTimestamp(t.timestamp) || new Date(t.recordedAt)).getTime();
+            return tradeTime >= start && tradeTime <= end;
+        });
+    },
+
+    /**
+     * Get total count of whale trades
+     */
+    async count() {
+        return store.whaleTrades.length;
+    },
+
+    /**
+     * Clear all whale trades (useful for testing)
+     */
+    async clear() {
+        store.whaleTrades = [];
+        saveWhaleTradesToDisk(store.whaleTrades);
+    }
+};
+
+// Record counts per collection (for the debug endpoint)
+// Market resolution operations (one record per settled market)
+const resolutions = {
+    /**
+     * Record a settled market resolution (replaces any earlier record for the market)
+     * @param {Object} resolution - Resolution with marketId, eventId, winningOutcome, payouts
+     */
+    async record(resolution) {
+        const record = {
+            ...resolution,
+            recordedAt: new Date().toISOString()
+        };
+        store.resolutions.delete(resolution.marketId);
+        store.resolutions.set(resolution.marketId, record);
+        return record;
+    },
+
+    /**
+     * Get the resolution for a market
+     * @param {string} marketId - Polymarket market ID
+     */
+    async getByMarketId(marketId) {
+        return store.resolutions.get(marketId) || null;
+    },
+
+    /**
+     * Get all market resolutions for an event
+     * @param {string} eventId - Event ID
+     */
+    async getByEventId(eventId) {
+        return Array.from(store.resolutions.values())
+            .filter(r => r.eventId === eventId);
+    },
+
+    /**
+     * Get most recently recorded resolutions
+     * @param {number} limit - Maximum number to return
+     */
+    async getRecent(limit = 50) {
+        return Array.from(store.resolutions.values())
+            .slice(-limit)
+            .reverse();
+    },
+
+    /**
+     * Get total count of resolutions
+     */
+    async count() {
+        return store.resolutions.size;
+    }
+};
+
+const probabilitySnapshots = {
+    /**
+     * Record an article's displayed probability
+     * Keeps the newest snapshots per article, plus its close snapshot.
+     * @param {Object} snapshot - { articleId, eventId, category, marketProbability, adjustedProbability, kind }
+     */
+    async record(snapshot) {
+        const record = {
+            ...snapshot,
+            recordedAt: snapshot.recordedAt || new Date().toISOString()
+        };
+        if (!store.probabilitySnapshots.has(snapshot.articleId)) {
+            store.probabilitySnapshots.set(snapshot.articleId, []);
+        }
+        const history = store.probabilitySnapshots.get(snapshot.articleId);
+        history.push(record);
+        if (history.length > PROBABILITY_SNAPSHOTS_PER_ARTICLE_MAX) {
+            const oldest = history.findIndex(s => s.kind !== 'close');
+            history.splice(oldest, 1);
+        }
+        return record;
+    },
+
+    /**
+     * Get an article's snapshots, oldest first
+     * @param {string} articleId - Article ID
+     */
+    async getByArticleId(articleId) {
+        return [...(store.probabilitySnapshots.get(articleId) || [])];
+    },
+
+    /**
+     * Get an article's most recent snapshot
+     * @param {string} articleId - Article ID
+     */
+    async getLatestByArticleId(articleId) {
+        const history = store.probabilitySnapshots.get(articleId);
+        return history?.[history.length - 1] || null;
+    },
+
+    /**
+     * Thin interval snapshots recorded before a time to one per article per spacingMs
+     * Close snapshots are kept.
+     * @param {Date|string|number} before
+     * @param {number} spacingMs
+     * @returns {Promise<number>} Snapshots deleted
+     */
+    async thin(before, spacingMs) {
+        const cutoff = new Date(before).getTime();
+        let deleted = 0;
+
+        for (const [articleId, history] of store.probabilitySnapshots) {
+            const old = history.filter(s => s.kind !== 'close' && new Date(s.recordedAt).getTime() < cutoff);
+            const drop = new Set(selectThinnedSnapshots(old, spacingMs));
+            if (drop.size === 0) continue;
+
+            store.probabilitySnapshots.set(articleId, history.filter(s => !drop.has(s)));
+            deleted += drop.size;
+        }
+        return deleted;
+    },
+
+    /**
+     * Get total count of snapshots
+     */
+    async count() {
+        let total = 0;
+        for (const history of store.probabilitySnapshots.values()) {
+            total += history.length;
+        }
+        return total;
+    }
+};
+
+// Funding transfer operations (USDC transfers between wallets)
+const fundingTransfers = {
+    /**
+     * Store transfers, skipping ids already stored
+     * @param {Array} transfers - { id, txHash, from, to, amount, timestamp, ... }
+     * @returns {Promise<Array>} The transfers that were new
+     */
+    async recordMany(transfers) {
+        const added = [];
+        for (const transfer of transfers) {
+            if (store.fundingTransfers.has(transfer.id)) continue;
+            const record = { ...transfer, importedAt: new Date().toISOString() };
+            store.fundingTransfers.set(transfer.id, record);
+            added.push(record);
+        }
+        if (added.length > 0) {
+            saveListToDisk(FUNDING_TRANSFERS_FILE, Array.from(store.fundingTransfers.values()), 'funding transfers');
+        }
+        return added;
+    },
+
+    /**
+     * Get all transfers, in import order
+     */
+    async getAll() {
+        return Array.from(store.fundingTransfers.values());
+    },
+
+    /**
+     * Get transfers sent or received by a wallet
+     * @param {string} address - Wallet address
+     */
+    async getByWallet(address) {
+        const normalized = address.toLowerCase();
+        return Array.from(store.fundingTransfers.values())
+            .filter(t => t.from === normalized || t.to === normalized);
+    },
+
+    async count() {
+        return store.fundingTransfers.size;
+    }
+};
+
+// Wallet cluster operations (connected wallets from the funding graph)
+const walletClusters = {
+    /**
+     * Replace every stored cluster with a freshly built set
+     * @param {Array} clusters - { id, wallets, edges, ... }
+     */
+    async replaceAll(clusters) {
+        store.walletClusters = clusters;
+        saveListToDisk(WALLET_CLUSTERS_FILE, clusters, 'wallet clusters');
+    },
+
+    /**
+     * Get the cluster a wallet belongs to
+     * @param {string} address - Wallet address
+     */
+    async getByAddress(address) {
+        const normalized = address.toLowerCase();
+        return store.walletClusters.find(c => c.wallets.includes(normalized)) || null;
+    },
+
+    async count() {
+        return store.walletClusters.length;
+    }
+};
+
+async function getCounts() {
+    return {
+        events: store.events.size,
+        predictions: store.predictions.size,
+        articles: store.articles.size,
+        articleRevisions: await articleRevisions.count(),
+        signals: store.signals.size,
+        walletProfiles: store.walletProfiles.size,
+        tradeHistory: store.tradeHistory.length,
+        detectedPatterns: store.detectedPatterns.length,
+        whaleTrades: store.whaleTrades.length,
+        resolutions: store.resolutions.size,
+        probabilitySnapshots: await probabilitySnapshots.count(),
+        fundingTransfers: store.fundingTransfers.size,
+        walletClusters: store.walletClusters.length
+    };
+}
+
+// Nothing to release for the in-memory store
+async function close() {}
+
+module.exports = {
+    adapter: 'in-memory',
+    events,
+    predictions,
+    articles,
+    articleRevisions,
+    signals,
+    backtests,
+    // New collections for insider trading detection
+    walletProfiles,
+    tradeHistory,
+    detectedPatterns,
+    orderbookSnapshots,
+    whaleTrades,
+    resolutions,
+    probabilitySnapshots,
+    fundingTransfers,
+    walletClusters,
+    // Utility
+    slugify,
+    getCounts,
+    close,
+    // For testing/debugging
+    _store: store
+};
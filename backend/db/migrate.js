@@ -0,0 +1,97 @@
+// Schema migrations for the PostgreSQL adapter
+// Applies db/migrations/*.sql in filename order, once each, tracked in schema_migrations.
+// Run automatically on first query, or manually with `npm run migrate`.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// List migration files in the order they should be applied
+function listMigrations() {
+    if (!fs.existsSync(MIGRATIONS_DIR)) {
+        return [];
+    }
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => file.endsWith('.sql'))
+        .sort();
+}
+
+/**
+ * Apply pending migrations
+ * @param {Object} pool - pg Pool (or anything with connect())
+ * @returns {Promise<string[]>} Names of migrations applied in this run
+ */
+async function runMigrations(pool) {
+    const client = await pool.connect();
+    const applied = [];
+
+    try {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                name TEXT PRIMARY KEY,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            )
+        `);
+
+        const { rows } = await client.query('SELECT name FROM schema_migrations');
+        const done = new Set(rows.map(r => r.name));
+
+        for (const name of listMigrations()) {
+            if (done.has(name)) continue;
+
+            const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, name), 'utf8');
+
+            // Each migration runs in its own transaction
+            await client.query('BEGIN');
+            try {
+                await client.query(sql);
+                await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [name]);
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${name} failed: ${error.message}`);
+            }
+
+            applied.push(name);
+            console.log(`[DB] Applied migration ${name}`);
+        }
+    } finally {
+        client.release();
+    }
+
+    return applied;
+}
+
+// CLI: node db/migrate.js
+if (require.main === module) {
+    require('dotenv').config();
+    const { Pool } = require('pg');
+    const config = require('../config');
+
+    const pool = new Pool({
+        host: config.db.host,
+        port: config.db.port,
+        database: config.db.database,
+        user: config.db.user,
+        password: config.db.password,
+        ssl: config.db.ssl ? { rejectUnauthorized: false } : undefined
+    });
+
+    runMigrations(pool)
+        .then(applied => {
+            console.log(applied.length > 0
+                ? `Applied ${applied.length} migration(s)`
+                : 'Database schema is up to date');
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = {
+    runMigrations,
+    listMigrations
+};
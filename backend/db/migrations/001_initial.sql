@@ -0,0 +1,116 @@
+-- Initial schema for the PostgreSQL adapter
+-- Each table keeps the full record in a JSONB `data` column so the adapter returns
+-- the same object shape as the in-memory store. Columns beside it exist for filtering,
+-- ordering and uniqueness.
+
+CREATE TABLE IF NOT EXISTS events (
+    id TEXT PRIMARY KEY,
+    slug TEXT,
+    category TEXT,
+    end_date TIMESTAMPTZ,
+    resolved BOOLEAN NOT NULL DEFAULT FALSE,
+    data JSONB NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_slug ON events(slug);
+CREATE INDEX IF NOT EXISTS idx_events_resolved ON events(resolved);
+
+CREATE TABLE IF NOT EXISTS predictions (
+    id TEXT PRIMARY KEY,
+    event_id TEXT,
+    calculated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_predictions_event ON predictions(event_id, calculated_at DESC);
+
+CREATE TABLE IF NOT EXISTS articles (
+    id TEXT PRIMARY KEY,
+    event_id TEXT UNIQUE,
+    slug TEXT UNIQUE NOT NULL,
+    category TEXT,
+    probability DOUBLE PRECISION,
+    published_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_articles_category ON articles(category);
+CREATE INDEX IF NOT EXISTS idx_articles_published ON articles(published_at DESC);
+
+CREATE TABLE IF NOT EXISTS signals (
+    id TEXT PRIMARY KEY,
+    event_id TEXT,
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_signals_event ON signals(event_id);
+
+CREATE TABLE IF NOT EXISTS backtest_runs (
+    seq BIGSERIAL PRIMARY KEY,
+    id TEXT UNIQUE NOT NULL,
+    run_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    data JSONB NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS wallet_profiles (
+    address TEXT PRIMARY KEY,
+    win_rate DOUBLE PRECISION,
+    total_trades INTEGER,
+    total_volume DOUBLE PRECISION,
+    suspicious_flag_count INTEGER NOT NULL DEFAULT 0,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_profiles_volume ON wallet_profiles(total_volume DESC);
+
+CREATE TABLE IF NOT EXISTS trade_history (
+    seq BIGSERIAL PRIMARY KEY,
+    id TEXT NOT NULL,
+    token_id TEXT,
+    market_id TEXT,
+    maker TEXT,
+    taker TEXT,
+    address TEXT,
+    traded_at TIMESTAMPTZ NOT NULL,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_trade_history_token ON trade_history(token_id);
+CREATE INDEX IF NOT EXISTS idx_trade_history_market ON trade_history(market_id);
+CREATE INDEX IF NOT EXISTS idx_trade_history_maker ON trade_history(maker);
+CREATE INDEX IF NOT EXISTS idx_trade_history_taker ON trade_history(taker);
+CREATE INDEX IF NOT EXISTS idx_trade_history_address ON trade_history(address);
+CREATE INDEX IF NOT EXISTS idx_trade_history_traded_at ON trade_history(traded_at);
+
+CREATE TABLE IF NOT EXISTS detected_patterns (
+    seq BIGSERIAL PRIMARY KEY,
+    id TEXT NOT NULL,
+    event_id TEXT,
+    type TEXT,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_detected_patterns_event ON detected_patterns(event_id);
+CREATE INDEX IF NOT EXISTS idx_detected_patterns_type ON detected_patterns(type);
+
+CREATE TABLE IF NOT EXISTS orderbook_snapshots (
+    seq BIGSERIAL PRIMARY KEY,
+    token_id TEXT NOT NULL,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_orderbook_snapshots_token ON orderbook_snapshots(token_id, seq DESC);
+
+CREATE TABLE IF NOT EXISTS whale_trades (
+    seq BIGSERIAL PRIMARY KEY,
+    id TEXT NOT NULL,
+    asset_id TEXT,
+    traded_at TIMESTAMPTZ NOT NULL,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_whale_trades_asset ON whale_trades(asset_id);
+CREATE INDEX IF NOT EXISTS idx_whale_trades_traded_at ON whale_trades(traded_at);
@@ -0,0 +1,11 @@
+-- Settled market resolutions (written by the resolution poller)
+
+CREATE TABLE IF NOT EXISTS resolutions (
+    market_id TEXT PRIMARY KEY,
+    event_id TEXT,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_resolutions_event ON resolutions(event_id);
+CREATE INDEX IF NOT EXISTS idx_resolutions_recorded ON resolutions(recorded_at DESC);
@@ -0,0 +1,9 @@
+-- Article versions (written by the article generator when an article is rewritten)
+
+CREATE TABLE IF NOT EXISTS article_revisions (
+    article_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    data JSONB NOT NULL,
+    PRIMARY KEY (article_id, revision)
+);
@@ -0,0 +1,11 @@
+-- Displayed article probabilities over time (written by the calibration recorder)
+
+CREATE TABLE IF NOT EXISTS probability_snapshots (
+    seq BIGSERIAL PRIMARY KEY,
+    article_id TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    recorded_at TIMESTAMPTZ NOT NULL,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_probability_snapshots_article ON probability_snapshots(article_id, seq);
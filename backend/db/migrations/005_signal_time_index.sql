@@ -0,0 +1,10 @@
+-- Time-range reads of signals and detected patterns (ranked event risk)
+
+ALTER TABLE detected_patterns ADD COLUMN IF NOT EXISTS detected_at TIMESTAMPTZ;
+
+UPDATE detected_patterns
+SET detected_at = (data->>'detectedAt')::timestamptz
+WHERE detected_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_signals_detected_at ON signals(detected_at);
+CREATE INDEX IF NOT EXISTS idx_detected_patterns_detected_at ON detected_patterns(detected_at);
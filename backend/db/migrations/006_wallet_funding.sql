@@ -0,0 +1,25 @@
+-- USDC transfers between wallets (imported on-chain data) and the wallet clusters built from them
+
+CREATE TABLE IF NOT EXISTS funding_transfers (
+    seq BIGSERIAL PRIMARY KEY,
+    id TEXT UNIQUE NOT NULL,
+    from_address TEXT NOT NULL,
+    to_address TEXT NOT NULL,
+    transferred_at TIMESTAMPTZ NOT NULL,
+    data JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_funding_transfers_from ON funding_transfers(from_address);
+CREATE INDEX IF NOT EXISTS idx_funding_transfers_to ON funding_transfers(to_address);
+
+CREATE TABLE IF NOT EXISTS wallet_clusters (
+    id TEXT PRIMARY KEY,
+    data JSONB NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS wallet_cluster_members (
+    address TEXT PRIMARY KEY,
+    cluster_id TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_cluster_members_cluster ON wallet_cluster_members(cluster_id);
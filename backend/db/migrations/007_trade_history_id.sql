@@ -0,0 +1,3 @@
+-- Trade ID lookups (wallet backfill skips trades that are already recorded)
+
+CREATE INDEX IF NOT EXISTS idx_trade_history_id ON trade_history(id);
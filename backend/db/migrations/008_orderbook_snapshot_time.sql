@@ -0,0 +1,9 @@
+-- Time-range reads of order book snapshots (backtest replay)
+
+ALTER TABLE orderbook_snapshots ADD COLUMN IF NOT EXISTS recorded_at TIMESTAMPTZ;
+
+UPDATE orderbook_snapshots
+SET recorded_at = (data->>'recordedAt')::timestamptz
+WHERE recorded_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orderbook_snapshots_recorded_at ON orderbook_snapshots(token_id, recorded_at);
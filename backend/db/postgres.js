@@ -0,0 +1,1119 @@
+// PostgreSQL database adapter
+// Same collection interfaces as db/memory.js, backed by the tables in db/migrations.
+// Full records live in JSONB `data` columns; the other columns are for filtering and ordering.
+
+const config = require('../config');
+const { runMigrations } = require('./migrate');
+const {
+    slugify,
+    generateId,
+    toTimestamp,
+    filterByExpiryDays,
+    filterByResolutionDays,
+    filterWhaleTrades,
+    sortArticles,
+    selectFeatured,
+    selectThinnedSnapshots
+} = require('./helpers');
+
+// Constants (same caps as the in-memory store)
+const TRADE_HISTORY_MAX = 100000;
+const ORDERBOOK_SNAPSHOTS_MAX = 100;
+const WHALE_TRADES_MAX = 10000;
+
+// Snapshot rows deleted per statement when thinning
+const THIN_DELETE_BATCH = 1000;
+
+// Rows per multi-row INSERT (stays well under the 65535 bind parameter limit)
+const INSERT_BATCH = 1000;
+
+// Categories considered by getFeatured
+const FEATURED_CATEGORIES = ['Politics', 'World', 'Finance'];
+
+function lower(value) {
+    return value ? String(value).toLowerCase() : null;
+}
+
+// Whether a whale trade query needs the classification filters
+function hasWhaleFilters({ classification = null, minInformedScore = null } = {}) {
+    return Boolean(classification) || minInformedScore != null;
+}
+
+/**
+ * Build the collection interfaces on top of a pg Pool
+ * Migrations run once, before the first query.
+ * @param {Object} pool - pg Pool instance
+ * @returns {Object} Database interface matching db/memory.js
+ */
+function createPostgresDb(pool) {
+    let readyPromise = null;
+
+    function ready() {
+        if (!readyPromise) {
+            readyPromise = runMigrations(pool).catch(error => {
+                // Allow a retry on the next query
+                readyPromise = null;
+                throw error;
+            });
+        }
+        return readyPromise;
+    }
+
+    async function query(text, params = []) {
+        await ready();
+        return pool.query(text, params);
+    }
+
+    /**
+     * Run queries in one transaction on a single pooled client
+     * @param {Function} work - async (client) => result
+     */
+    async function transaction(work) {
+        await ready();
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const result = await work(client);
+            await client.query('COMMIT');
+            return result;
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+    }
+
+    /**
+     * Insert rows with multi-row VALUES statements
+     * @param {Object} client - Client from transaction()
+     * @param {string} prefix - 'INSERT INTO table (a, b)'
+     * @param {Array<Array>} values - One array of column values per row
+     * @param {string} [suffix] - e.g. 'ON CONFLICT DO NOTHING'
+     */
+    async function insertBatched(client, prefix, values, suffix = '') {
+        for (let i = 0; i < values.length; i += INSERT_BATCH) {
+            const batch = values.slice(i, i + INSERT_BATCH);
+            const tuples = batch.map((row, j) =>
+                `(${row.map((_, k) => `$${j * row.length + k + 1}`).join(', ')})`
+            );
+            await client.query(`${prefix} VALUES ${tuples.join(', ')} ${suffix}`, batch.flat());
+        }
+    }
+
+    async function rows(text, params) {
+        const result = await query(text, params);
+        return result.rows.map(r => r.data);
+    }
+
+    async function one(text, params) {
+        const result = await query(text, params);
+        return result.rows.length > 0 ? result.rows[0].data : null;
+    }
+
+    async function count(text, params) {
+        const result = await query(text, params);
+        return parseInt(result.rows[0].count, 10);
+    }
+
+    // Event operations
+    const events = {
+        async upsert(event) {
+            const record = {
+                ...event,
+                updatedAt: new Date().toISOString()
+            };
+            await query(
+                `INSERT INTO events (id, slug, category, end_date, resolved, data, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, NOW())
+                 ON CONFLICT (id) DO UPDATE SET
+                    slug = EXCLUDED.slug,
+                    category = EXCLUDED.category,
+                    end_date = EXCLUDED.end_date,
+                    resolved = EXCLUDED.resolved,
+                    data = EXCLUDED.data,
+                    updated_at = NOW()`,
+                [
+                    String(event.id),
+                    event.slug || null,
+                    event.category || null,
+                    toTimestamp(event.endDate),
+                    event.resolved === true,
+                    JSON.stringify(record)
+                ]
+            );
+            return event;
+        },
+
+        async getById(id) {
+            return one('SELECT data FROM events WHERE id = $1', [String(id)]);
+        },
+
+        async getBySlug(slug) {
+            return one('SELECT data FROM events WHERE slug = $1 ORDER BY created_at LIMIT 1', [slug]);
+        },
+
+        async getAll({ limit = 50, category = null, resolved = false, minDaysUntilResolution = null, maxDaysUntilResolution = null } = {}) {
+            const params = [resolved === true];
+            let sql = 'SELECT data FROM events WHERE resolved = $1';
+
+            if (category) {
+                params.push(category);
+                sql += ` AND category = $${params.length}`;
+            }
+            sql += ' ORDER BY created_at';
+
+            const hasDateFilter = minDaysUntilResolution != null || maxDaysUntilResolution != null;
+            if (!hasDateFilter) {
+                params.push(limit);
+                sql += ` LIMIT $${params.length}`;
+                return rows(sql, params);
+            }
+
+            // Resolution window is evaluated in JS to match the in-memory semantics exactly
+            const results = filterByResolutionDays(await rows(sql, params), minDaysUntilResolution, maxDaysUntilResolution);
+            return results.slice(0, limit);
+        },
+
+        async getCategories() {
+            const result = await query(
+                `SELECT COALESCE(category, 'Other') AS name, COUNT(*)::int AS count
+                 FROM events GROUP BY COALESCE(category, 'Other')`
+            );
+            return result.rows.map(r => ({ name: r.name, count: r.count }));
+        }
+    };
+
+    // Prediction operations
+    const predictions = {
+        async create(prediction) {
+            const record = {
+                id: generateId(5),
+                ...prediction,
+                calculatedAt: new Date().toISOString()
+            };
+            await query(
+                'INSERT INTO predictions (id, event_id, calculated_at, data) VALUES ($1, $2, $3, $4)',
+                [record.id, prediction.eventId != null ? String(prediction.eventId) : null, record.calculatedAt, JSON.stringify(record)]
+            );
+            return record;
+        },
+
+        async getByEventId(eventId) {
+            return one(
+                'SELECT data FROM predictions WHERE event_id = $1 ORDER BY calculated_at ASC LIMIT 1',
+                [String(eventId)]
+            );
+        },
+
+        async getLatestByEventId(eventId) {
+            return one(
+                'SELECT data FROM predictions WHERE event_id = $1 ORDER BY calculated_at DESC LIMIT 1',
+                [String(eventId)]
+            );
+        }
+    };
+
+    // Article operations
+    const articles = {
+        async create(article) {
+            // Database-level deduplication: check if article for this event already exists
+            if (article.eventId) {
+                const existing = await articles.getByEventId(article.eventId);
+                if (existing) return existing;
+            }
+
+            const slug = article.slug || slugify(article.headline);
+
+            // Deduplicate by slug (prevents duplicate articles with similar headlines)
+            const existingBySlug = await articles.getBySlug(slug);
+            if (existingBySlug) return existingBySlug;
+
+            const now = new Date().toISOString();
+            const record = {
+                id: generateId(5),
+                ...article,
+                slug,
+                publishedAt: now,
+                createdAt: now
+            };
+
+            // Unique constraints on event_id/slug settle concurrent creates
+            const inserted = await one(
+                `INSERT INTO articles (id, event_id, slug, category, probability, published_at, data)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 ON CONFLICT DO NOTHING
+                 RETURNING data`,
+                [
+                    record.id,
+                    article.eventId != null ? String(article.eventId) : null,
+                    slug,
+                    record.category || null,
+                    record.probability ?? null,
+                    record.publishedAt,
+                    JSON.stringify(record)
+                ]
+            );
+            if (inserted) return inserted;
+
+            return (article.eventId && await articles.getByEventId(article.eventId)) ||
+                articles.getBySlug(slug);
+        },
+
+        async update(id, updates) {
+            const existing = await articles.getById(id);
+            if (!existing) return null;
+            const updated = { ...existing, ...updates };
+
+            await query(
+                `UPDATE articles SET event_id = $2, slug = $3, category = $4, probability = $5, published_at = $6, data = $7
+                 WHERE id = $1`,
+                [
+                    id,
+                    updated.eventId != null ? String(updated.eventId) : null,
+                    updated.slug,
+                    updated.category || null,
+                    updated.probability ?? null,
+                    toTimestamp(updated.publishedAt) || new Date(),
+                    JSON.stringify(updated)
+                ]
+            );
+            return updated;
+        },
+
+        async getById(id) {
+            return one('SELECT data FROM articles WHERE id = $1', [id]);
+        },
+
+        async getBySlug(slug) {
+            return one('SELECT data FROM articles WHERE slug = $1', [slug]);
+        },
+
+        async getByEventId(eventId) {
+            return one('SELECT data FROM articles WHERE event_id = $1', [String(eventId)]);
+        },
+
+        async getAll({
+            limit = 20,
+            offset = 0,
+            category = null,
+            sort = 'publishedAt',
+            minDaysUntilExpiry = null,
+            maxDaysUntilExpiry = null
+        } = {}) {
+            const params = [];
+            let sql = 'SELECT data FROM articles';
+
+            if (category) {
+                params.push(category);
+                sql += ' WHERE category = $1';
+            }
+
+            const hasExpiryFilter = minDaysUntilExpiry != null || maxDaysUntilExpiry != null;
+            if (!hasExpiryFilter) {
+                sql += sort === 'probability'
+                    ? ' ORDER BY COALESCE(probability, 0) DESC'
+                    : ' ORDER BY published_at DESC';
+                params.push(limit, offset);
+                sql += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+                return rows(sql, params);
+            }
+
+            // Expiry window uses local calendar days, evaluated in JS like the in-memory store
+            const results = filterByExpiryDays(await rows(sql, params), minDaysUntilExpiry, maxDaysUntilExpiry);
+            sortArticles(results, sort);
+            return results.slice(offset, offset + limit);
+        },
+
+        async getFeatured(limit = 5, minDaysUntilExpiry = null, maxDaysUntilExpiry = null) {
+            const placeholders = FEATURED_CATEGORIES.map((_, i) => `$${i + 1}`).join(', ');
+            const candidates = await rows(
+                `SELECT data FROM articles WHERE category IN (${placeholders})`,
+                FEATURED_CATEGORIES
+            );
+
+            // Top article from each featured category (Politics, World, Finance)
+            return selectFeatured(filterByExpiryDays(candidates, minDaysUntilExpiry, maxDaysUntilExpiry));
+        },
+
+        async count(category = null) {
+            if (!category) {
+                return count('SELECT COUNT(*) AS count FROM articles');
+            }
+            return count('SELECT COUNT(*) AS count FROM articles WHERE category = $1', [category]);
+        },
+
+        /**
+         * Update probability for all articles linked to a given eventId
+         * @param {string} eventId - The event ID to match
+         * @param {number} probability - The new probability value
+         * @returns {number} - Number of articles updated
+         */
+        async updateProbability(eventId, probability) {
+            const matching = await rows('SELECT data FROM articles WHERE event_id = $1', [String(eventId)]);
+            const probabilityUpdatedAt = new Date().toISOString();
+
+            for (const article of matching) {
+                await articles.update(article.id, { probability, probabilityUpdatedAt });
+            }
+            return matching.length;
+        }
+    };
+
+    // Article revision operations (one record per version of an article)
+    const articleRevisions = {
+        /**
+         * Record a version of an article
+         */
+        async create(revision) {
+            const record = {
+                ...revision,
+                createdAt: new Date().toISOString()
+            };
+            await query(
+                `INSERT INTO article_revisions (article_id, revision, created_at, data)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (article_id, revision) DO UPDATE SET
+                    created_at = EXCLUDED.created_at,
+                    data = EXCLUDED.data`,
+                [String(revision.articleId), revision.revision, record.createdAt, JSON.stringify(record)]
+            );
+            return record;
+        },
+
+        /**
+         * Get all versions of an article, oldest first
+         */
+        async getByArticleId(articleId) {
+            return rows('SELECT data FROM article_revisions WHERE article_id = $1 ORDER BY revision', [String(articleId)]);
+        },
+
+        /**
+         * Get total count of revisions
+         */
+        async count() {
+            return count('SELECT COUNT(*) AS count FROM article_revisions');
+        }
+    };
+
+    // Signal operations
+    const signals = {
+        async create(signal) {
+            const record = {
+                id: generateId(),
+                ...signal,
+                detectedAt: new Date().toISOString()
+            };
+            await query(
+                'INSERT INTO signals (id, event_id, detected_at, data) VALUES ($1, $2, $3, $4)',
+                [record.id, signal.eventId != null ? String(signal.eventId) : null, record.detectedAt, JSON.stringify(record)]
+            );
+            return record;
+        },
+
+        async getByEventId(eventId) {
+            return rows('SELECT data FROM signals WHERE event_id = $1 ORDER BY detected_at', [String(eventId)]);
+        },
+
+        async getSince(since) {
+            return rows('SELECT data FROM signals WHERE detected_at >= $1 ORDER BY detected_at', [since]);
+        }
+    };
+
+    // Backtest operations
+    const backtests = {
+        async create(backtest) {
+            const record = {
+                id: generateId(5),
+                ...backtest,
+                runAt: new Date().toISOString()
+            };
+            await query(
+                'INSERT INTO backtest_runs (id, run_at, data) VALUES ($1, $2, $3)',
+                [record.id, record.runAt, JSON.stringify(record)]
+            );
+            return record;
+        },
+
+        async getById(id) {
+            return one('SELECT data FROM backtest_runs WHERE id = $1', [id]);
+        },
+
+        async getAll(limit = 10) {
+            return rows('SELECT data FROM backtest_runs ORDER BY seq DESC LIMIT $1', [limit]);
+        }
+    };
+
+    // Wallet profile operations
+    const walletProfiles = {
+        /**
+         * Create or update a wallet profile (merges with the existing record)
+         */
+        async upsert(address, profile) {
+            const normalizedAddress = address.toLowerCase();
+            const existing = await walletProfiles.getByAddress(normalizedAddress);
+            const record = {
+                ...existing,
+                ...profile,
+                address: normalizedAddress,
+                updatedAt: new Date().toISOString()
+            };
+            if (!existing) {
+                record.createdAt = new Date().toISOString();
+            }
+
+            await query(
+                `INSERT INTO wallet_profiles (address, win_rate, total_trades, total_volume, suspicious_flag_count, data)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 ON CONFLICT (address) DO UPDATE SET
+                    win_rate = EXCLUDED.win_rate,
+                    total_trades = EXCLUDED.total_trades,
+                    total_volume = EXCLUDED.total_volume,
+                    suspicious_flag_count = EXCLUDED.suspicious_flag_count,
+                    data = EXCLUDED.data`,
+                [
+                    normalizedAddress,
+                    record.winRate || 0,
+                    record.totalTrades || 0,
+                    record.totalVolume || 0,
+                    Array.isArray(record.suspiciousFlags) ? record.suspiciousFlags.length : 0,
+                    JSON.stringify(record)
+                ]
+            );
+            return record;
+        },
+
+        /**
+         * Get a wallet profile by address
+         */
+        async getByAddress(address) {
+            return one('SELECT data FROM wallet_profiles WHERE address = $1', [address.toLowerCase()]);
+        },
+
+        /**
+         * List wallet profiles with filters
+         */
+        async getAll({ limit = 50, minWinRate = null, minTrades = null } = {}) {
+            const params = [];
+            const conditions = [];
+
+            if (minWinRate !== null) {
+                params.push(minWinRate);
+                conditions.push(`win_rate >= $${params.length}`);
+            }
+            if (minTrades !== null) {
+                params.push(minTrades);
+                conditions.push(`total_trades >= $${params.length}`);
+            }
+
+            params.push(limit);
+            const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+            return rows(
+                `SELECT data FROM wallet_profiles${where} ORDER BY total_volume DESC LIMIT $${params.length}`,
+                params
+            );
+        },
+
+        /**
+         * Get wallets with suspicious flags
+         */
+        async getSuspicious(limit = 50) {
+            return rows(
+                `SELECT data FROM wallet_profiles WHERE suspicious_flag_count > 0
+                 ORDER BY suspicious_flag_count DESC LIMIT $1`,
+                [limit]
+            );
+        }
+    };
+
+    // Trade history operations
+    const tradeHistory = {
+        /**
+         * Record a trade (auto-prune if exceeds 100k entries)
+         */
+        async record(trade) {
+            const record = {
+                id: generateId(),
+                ...trade,
+                recordedAt: new Date().toISOString()
+            };
+
+            const result = await query(
+                `INSERT INTO trade_history (id, token_id, market_id, maker, taker, address, traded_at, data)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                 RETURNING seq`,
+                [
+                    String(record.id),
+                    trade.tokenId || null,
+                    trade.marketId || null,
+                    lower(trade.maker),
+                    lower(trade.taker),
+                    lower(trade.address),
+                    toTimestamp(trade.timestamp) || new Date(record.recordedAt),
+                    JSON.stringify(record)
+                ]
+            );
+
+            // Auto-prune: FIFO removal if exceeds max
+            const seq = Number(result.rows[0].seq);
+            if (seq > TRADE_HISTORY_MAX) {
+                await query('DELETE FROM trade_history WHERE seq <= $1', [seq - TRADE_HISTORY_MAX]);
+            }
+
+            return record;
+        },
+
+        /**
+         * Get trades by wallet address
+         */
+        async getByWallet(address, limit = 100) {
+            return rows(
+                `SELECT data FROM trade_history
+                 WHERE maker = $1 OR taker = $1 OR address = $1
+                 ORDER BY seq DESC LIMIT $2`,
+                [address.toLowerCase(), limit]
+            );
+        },
+
+        /**
+         * Which of the given trade IDs are already recorded
+         */
+        async getExistingIds(ids) {
+            if (ids.length === 0) return new Set();
+            const placeholders = ids.map((_, i) => `$${i + 1}`).join(', ');
+            const result = await query(
+                `SELECT DISTINCT id FROM trade_history WHERE id IN (${placeholders})`,
+                ids.map(String)
+            );
+            return new Set(result.rows.map(row => row.id));
+        },
+
+        /**
+         * Get trades by market/token ID
+         */
+        async getByMarket(tokenId, limit = 100) {
+            return rows(
+                `SELECT data FROM trade_history
+                 WHERE token_id = $1 OR market_id = $1
+                 ORDER BY seq DESC LIMIT $2`,
+                [tokenId, limit]
+            );
+        },
+
+        /**
+         * Get most recent trades
+         */
+        async getRecent(limit = 100) {
+            return rows('SELECT data FROM trade_history ORDER BY seq DESC LIMIT $1', [limit]);
+        },
+
+        /**
+         * Get trades within a time range
+         */
+        async getInTimeRange(startTime, endTime) {
+            return rows(
+                `SELECT data FROM trade_history
+                 WHERE traded_at >= $1 AND traded_at <= $2
+                 ORDER BY seq ASC`,
+                [new Date(startTime), new Date(endTime)]
+            );
+        }
+    };
+
+    // Detected patterns operations
+    const detectedPatterns = {
+        /**
+         * Record a detected insider pattern
+         */
+        async record(pattern) {
+            const record = {
+                id: generateId(),
+                ...pattern,
+                detectedAt: new Date().toISOString()
+            };
+            await query(
+                'INSERT INTO detected_patterns (id, event_id, type, detected_at, data) VALUES ($1, $2, $3, $4, $5)',
+                [record.id, pattern.eventId != null ? String(pattern.eventId) : null, pattern.type || null, record.detectedAt, JSON.stringify(record)]
+            );
+            return record;
+        },
+
+        /**
+         * Get patterns for a specific event
+         */
+        async getByEventId(eventId) {
+            return rows('SELECT data FROM detected_patterns WHERE event_id = $1 ORDER BY seq DESC', [String(eventId)]);
+        },
+
+        /**
+         * Get recent patterns
+         */
+        async getRecent(limit = 50) {
+            return rows('SELECT data FROM detected_patterns ORDER BY seq DESC LIMIT $1', [limit]);
+        },
+
+        /**
+         * Get patterns by type
+         */
+        async getByType(type, limit = 50) {
+            return rows('SELECT data FROM detected_patterns WHERE type = $1 ORDER BY seq DESC LIMIT $2', [type, limit]);
+        },
+
+        /**
+         * Clear all patterns (useful for testing)
+         */
+        async clear() {
+            await query('DELETE FROM detected_patterns');
+        },
+
+        /**
+         * Get total count of patterns
+         */
+        async count() {
+            return count('SELECT COUNT(*) AS count FROM detected_patterns');
+        },
+
+        /**
+         * Patterns detected at or after a time, oldest first
+         */
+        async getSince(since) {
+            return rows('SELECT data FROM detected_patterns WHERE detected_at >= $1 ORDER BY seq', [since]);
+        }
+    };
+
+    // Orderbook snapshots operations
+    const orderbookSnapshots = {
+        /**
+         * Record a snapshot for a token (keeps last 100 per token)
+         */
+        async record(tokenId, snapshot) {
+            const record = {
+                ...snapshot,
+                tokenId,
+                recordedAt: new Date().toISOString()
+            };
+
+            await query(
+                'INSERT INTO orderbook_snapshots (token_id, recorded_at, data) VALUES ($1, $2, $3)',
+                [tokenId, record.recordedAt, JSON.stringify(record)]
+            );
+
+            // Keep only the last 100 snapshots per token
+            await query(
+                `DELETE FROM orderbook_snapshots
+                 WHERE token_id = $1 AND seq < (
+                    SELECT MIN(seq) FROM (
+                        SELECT seq FROM orderbook_snapshots WHERE token_id = $1 ORDER BY seq DESC LIMIT $2
+                    ) AS kept
+                 )`,
+                [tokenId, ORDERBOOK_SNAPSHOTS_MAX]
+            );
+
+            return record;
+        },
+
+        /**
+         * Get the most recent snapshot for a token
+         */
+        async getLatest(tokenId) {
+            return one('SELECT data FROM orderbook_snapshots WHERE token_id = $1 ORDER BY seq DESC LIMIT 1', [tokenId]);
+        },
+
+        /**
+         * Get recent snapshots for a token
+         */
+        async getHistory(tokenId, count = 10) {
+            return rows('SELECT data FROM orderbook_snapshots WHERE token_id = $1 ORDER BY seq DESC LIMIT $2', [tokenId, count]);
+        },
+
+        /**
+         * Get a token's snapshots within a time range, oldest first
+         * @param {string} tokenId
+         * @param {Date|string|number} startTime - Start of time range
+         * @param {Date|string|number} endTime - End of time range
+         */
+        async getInTimeRange(tokenId, startTime, endTime) {
+            return rows(
+                'SELECT data FROM orderbook_snapshots WHERE token_id = $1 AND recorded_at >= $2 AND recorded_at <= $3 ORDER BY seq ASC',
+                [tokenId, new Date(startTime), new Date(endTime)]
+            );
+        }
+    };
+
+    // Whale trades operations
+    const whaleTrades = {
+        /**
+         * Record a whale trade detection
+         * @param {Object} trade - Whale trade data from WhaleDetector
+         */
+        async record(trade) {
+            const record = {
+                id: generateId(),
+                ...trade,
+                recordedAt: new Date().toISOString()
+            };
+
+            const result = await query(
+                'INSERT INTO whale_trades (id, asset_id, traded_at, data) VALUES ($1, $2, $3, $4) RETURNING seq',
+                [
+                    record.id,
+                    trade.assetId || null,
+                    toTimestamp(trade.timestamp) || new Date(record.recordedAt),
+                    JSON.stringify(record)
+                ]
+            );
+
+            // Auto-prune: FIFO removal if exceeds max
+            const seq = Number(result.rows[0].seq);
+            if (seq > WHALE_TRADES_MAX) {
+                await query('DELETE FROM whale_trades WHERE seq <= $1', [seq - WHALE_TRADES_MAX]);
+            }
+
+            return record;
+        },
+
+        /**
+         * Patch a recorded whale trade (classification arrives after the trade is recorded)
+         * @param {string} id - Whale trade record ID
+         * @param {Object} updates - Fields to merge into the record
+         * @returns {Object|null} Updated record, or null if it has been pruned
+         */
+        async update(id, updates) {
+            const existing = await one('SELECT data FROM whale_trades WHERE id = $1', [id]);
+            if (!existing) return null;
+            const updated = { ...existing, ...updates };
+
+            await query('UPDATE whale_trades SET data = $2 WHERE id = $1', [id, JSON.stringify(updated)]);
+
+            return updated;
+        },
+
+        /**
+         * Get recent whale trades
+         * @param {number} limit - Maximum number of trades to return
+         * @param {Object} [filters] - { classification, minInformedScore }
+         */
+        async getRecent(limit = 50, filters = {}) {
+            if (!hasWhaleFilters(filters)) {
+                return rows('SELECT data FROM whale_trades ORDER BY seq DESC LIMIT $1', [limit]);
+            }
+            // Classification filters are evaluated in JS to match the in-memory semantics (table is capped)
+            const results = filterWhaleTrades(await rows('SELECT data FROM whale_trades ORDER BY seq DESC'), filters);
+            return results.slice(0, limit);
+        },
+
+        /**
+         * Get whale trades by asset ID
+         * @param {string} assetId - Asset identifier
+         * @param {number} limit - Maximum number of trades to return
+         * @param {Object} [filters] - { classification, minInformedScore }
+         */
+        async getByAsset(assetId, limit = 50, filters = {}) {
+            if (!hasWhaleFilters(filters)) {
+                return rows('SELECT data FROM whale_trades WHERE asset_id = $1 ORDER BY seq DESC LIMIT $2', [assetId, limit]);
+            }
+            const results = filterWhaleTrades(
+                await rows('SELECT data FROM whale_trades WHERE asset_id = $1 ORDER BY seq DESC', [assetId]),
+                filters
+            );
+            return results.slice(0, limit);
+        },
+
+        /**
+         * Get whale trades within a time range
+         * @param {Date|string|number} startTime - Start of time range
+         * @param {Date|string|number} endTime - End of time range
+         */
+        async getInTimeRange(startTime, endTime) {
+            return rows(
+                'SELECT data FROM whale_trades WHERE traded_at >= $1 AND traded_at <= $2 ORDER BY seq ASC',
+                [new Date(startTime), new Date(endTime)]
+            );
+        },
+
+        /**
+         * Get total count of whale trades
+         */
+        async count() {
+            return count('SELECT COUNT(*) AS count FROM whale_trades');
+        },
+
+        /**
+         * Clear all whale trades (useful for testing)
+         */
+        async clear() {
+            await query('DELETE FROM whale_trades');
+        }
+    };
+
+    // Market resolution operations (one record per settled market)
+    const resolutions = {
+        /**
+         * Record a settled market resolution (replaces any earlier record for the market)
+         */
+        async record(resolution) {
+            const record = {
+                ...resolution,
+                recordedAt: new Date().toISOString()
+            };
+            await query(
+                `INSERT INTO resolutions (market_id, event_id, recorded_at, data)
+                 VALUES ($1, $2, $3, $4)
+                 ON CONFLICT (market_id) DO UPDATE SET
+                    event_id = EXCLUDED.event_id,
+                    recorded_at = EXCLUDED.recorded_at,
+                    data = EXCLUDED.data`,
+                [
+                    String(resolution.marketId),
+                    resolution.eventId != null ? String(resolution.eventId) : null,
+                    record.recordedAt,
+                    JSON.stringify(record)
+                ]
+            );
+            return record;
+        },
+
+        /**
+         * Get the resolution for a market
+         */
+        async getByMarketId(marketId) {
+            return one('SELECT data FROM resolutions WHERE market_id = $1', [String(marketId)]);
+        },
+
+        /**
+         * Get all market resolutions for an event
+         */
+        async getByEventId(eventId) {
+            return rows('SELECT data FROM resolutions WHERE event_id = $1 ORDER BY recorded_at', [String(eventId)]);
+        },
+
+        /**
+         * Get most recently recorded resolutions
+         */
+        async getRecent(limit = 50) {
+            return rows('SELECT data FROM resolutions ORDER BY recorded_at DESC LIMIT $1', [limit]);
+        },
+
+        /**
+         * Get total count of resolutions
+         */
+        async count() {
+            return count('SELECT COUNT(*) AS count FROM resolutions');
+        }
+    };
+
+    // Displayed article probabilities over time (calibration)
+    const probabilitySnapshots = {
+        /**
+         * Record an article's displayed probability
+         */
+        async record(snapshot) {
+            const record = {
+                ...snapshot,
+                recordedAt: snapshot.recordedAt || new Date().toISOString()
+            };
+            await query(
+                `INSERT INTO probability_snapshots (article_id, kind, recorded_at, data)
+                 VALUES ($1, $2, $3, $4)`,
+                [String(snapshot.articleId), snapshot.kind || 'interval', record.recordedAt, JSON.stringify(record)]
+            );
+            return record;
+        },
+
+        /**
+         * Get an article's snapshots, oldest first
+         */
+        async getByArticleId(articleId) {
+            return rows('SELECT data FROM probability_snapshots WHERE article_id = $1 ORDER BY seq', [String(articleId)]);
+        },
+
+        /**
+         * Get an article's most recent snapshot
+         */
+        async getLatestByArticleId(articleId) {
+            return one(
+                'SELECT data FROM probability_snapshots WHERE article_id = $1 ORDER BY seq DESC LIMIT 1',
+                [String(articleId)]
+            );
+        },
+
+        /**
+         * Thin interval snapshots recorded before a time to one per article per spacingMs
+         * Close snapshots are kept.
+         * @returns {Promise<number>} Snapshots deleted
+         */
+        async thin(before, spacingMs) {
+            const result = await query(
+                `SELECT seq, article_id, recorded_at FROM probability_snapshots
+                 WHERE kind = 'interval' AND recorded_at < $1 ORDER BY seq`,
+                [new Date(before)]
+            );
+            const drop = selectThinnedSnapshots(
+                result.rows.map(row => ({ seq: row.seq, articleId: row.article_id, recordedAt: row.recorded_at })),
+                spacingMs
+            );
+
+            for (let i = 0; i < drop.length; i += THIN_DELETE_BATCH) {
+                const seqs = drop.slice(i, i + THIN_DELETE_BATCH).map(snapshot => snapshot.seq);
+                const placeholders = seqs.map((_, j) => `$${j + 1}`).join(', ');
+                await query(`DELETE FROM probability_snapshots WHERE seq IN (${placeholders})`, seqs);
+            }
+            return drop.length;
+        },
+
+        /**
+         * Get total count of snapshots
+         */
+        async count() {
+            return count('SELECT COUNT(*) AS count FROM probability_snapshots');
+        }
+    };
+
+    // Funding transfer operations (USDC transfers between wallets)
+    const fundingTransfers = {
+        async recordMany(transfers) {
+            const added = [];
+            for (const transfer of transfers) {
+                const record = { ...transfer, importedAt: new Date().toISOString() };
+                const inserted = await one(
+                    `INSERT INTO funding_transfers (id, from_address, to_address, transferred_at, data)
+                     VALUES ($1, $2, $3, $4, $5)
+                     ON CONFLICT DO NOTHING
+                     RETURNING data`,
+                    [record.id, record.from, record.to, record.timestamp, JSON.stringify(record)]
+                );
+                if (inserted) added.push(inserted);
+            }
+            return added;
+        },
+
+        async getAll() {
+            return rows('SELECT data FROM funding_transfers ORDER BY seq');
+        },
+
+        async getByWallet(address) {
+            const normalized = lower(address);
+            return rows(
+                'SELECT data FROM funding_transfers WHERE from_address = $1 OR to_address = $1 ORDER BY seq',
+                [normalized]
+            );
+        },
+
+        async count() {
+            return count('SELECT COUNT(*) AS count FROM funding_transfers');
+        }
+    };
+
+    // Wallet cluster operations (connected wallets from the funding graph)
+    const walletClusters = {
+        async replaceAll(clusters) {
+            // A wallet belongs to the first cluster that lists it
+            const members = new Map();
+            for (const cluster of clusters) {
+                for (const address of cluster.wallets) {
+                    if (!members.has(address)) members.set(address, cluster.id);
+                }
+            }
+
+            await transaction(async (client) => {
+                await client.query('DELETE FROM wallet_cluster_members');
+                await client.query('DELETE FROM wallet_clusters');
+                await insertBatched(
+                    client,
+                    'INSERT INTO wallet_clusters (id, data)',
+                    clusters.map(cluster => [cluster.id, JSON.stringify(cluster)])
+                );
+                await insertBatched(
+                    client,
+                    'INSERT INTO wallet_cluster_members (address, cluster_id)',
+                    Array.from(members),
+                    'ON CONFLICT DO NOTHING'
+                );
+            });
+        },
+
+        async getByAddress(address) {
+            return one(
+                `SELECT c.data FROM wallet_clusters c
+                 JOIN wallet_cluster_members m ON m.cluster_id = c.id
+                 WHERE m.address = $1`,
+                [lower(address)]
+            );
+        },
+
+        async count() {
+            return count('SELECT COUNT(*) AS count FROM wallet_clusters');
+        }
+    };
+
+    // Record counts per collection (for the debug endpoint)
+    async function getCounts() {
+        const tables = {
+            events: 'events',
+            predictions: 'predictions',
+            articles: 'articles',
+            articleRevisions: 'article_revisions',
+            signals: 'signals',
+            walletProfiles: 'wallet_profiles',
+            tradeHistory: 'trade_history',
+            detectedPatterns: 'detected_patterns',
+            whaleTrades: 'whale_trades',
+            resolutions: 'resolutions',
+            probabilitySnapshots: 'probability_snapshots',
+            fundingTransfers: 'funding_transfers',
+            walletClusters: 'wallet_clusters'
+        };
+
+        const counts = {};
+        for (const [name, table] of Object.entries(tables)) {
+            counts[name] = await count(`SELECT COUNT(*) AS count FROM ${table}`);
+        }
+        return counts;
+    }
+
+    return {
+        adapter: 'postgresql',
+        events,
+        predictions,
+        articles,
+        articleRevisions,
+        signals,
+        backtests,
+        walletProfiles,
+        tradeHistory,
+        detectedPatterns,
+        orderbookSnapshots,
+        whaleTrades,
+        resolutions,
+        probabilitySnapshots,
+        fundingTransfers,
+        walletClusters,
+        // Utility
+        slugify,
+        getCounts,
+        ready,
+        close: () => pool.end()
+    };
+}
+
+// Default instance using the configured connection
+const { Pool } = require('pg');
+
+const pool = new Pool({
+    host: config.db.host,
+    port: config.db.port,
+    database: config.db.database,
+    user: config.db.user,
+    password: config.db.password,
+    max: config.db.poolSize,
+    ssl: config.db.ssl ? { rejectUnauthorized: false } : undefined
+});
+
+pool.on('error', (error) => {
+    console.error('[DB] PostgreSQL pool error:', error.message);
+});
+
+module.exports = {
+    ...createPostgresDb(pool),
+    createPostgresDb
+};
@@ -7,26 +7,30 @@ const config = require('./config');
 const articlesRouter = require('./api/routes/articles');
 const internalRouter = require('./api/routes/internal');
 const orderbookRouter = require('./api/routes/orderbook');
+const feedsRouter = require('./api/routes/feeds');
+const { attachOrderBookSocket } = require('./api/ws/orderbook');
 
 // Legacy polymarket routes (for backwards compatibility)
 const polymarket = require('./services/polymarket/client');
 
 // Real-time stream processing
 const { streamProcessor } = require('./services/pipeline/stream-processor');
-const { createArticle } = require('./services/article/generator');
+const { clobWebSocketClient } = require('./services/polymarket/clob-websocket');
+const { wsRecorder } = require('./services/polymarket/ws-recorder');
 const db = require('./db');
-
-// Pick the primary market from an event's markets (highest volume, then probability)
-function pickPrimaryMarket(markets) {
-    if (!markets || markets.length === 0) return null;
-    if (markets.length === 1) return markets[0];
-
-    return markets.reduce((best, market) => {
-        const bestScore = (best.totalVolume || 0) + (best.probability || 0) * 1000;
-        const marketScore = (market.totalVolume || 0) + (market.probability || 0) * 1000;
-        return marketScore > bestScore ? market : best;
-    });
-}
+const cache = require('./services/cache');
+const llm = require('./services/llm');
+const { resolutionPoller } = require('./services/resolution/poller');
+const { probabilityStream } = require('./services/article/probability-stream');
+const { consistencyChecker } = require('./services/orderbook/consistency-checker');
+const { jobScheduler } = require('./services/ingestion/scheduler');
+const { revalidationNotifier } = require('./services/article/revalidation');
+const { calibrationRecorder } = require('./services/calibration/recorder');
+const { runtimeConfig } = require('./services/runtime-config/store');
+const signalRegistry = require('./services/signals/registry');
+const { probabilityAdjuster } = require('./services/orderbook/probability-adjuster');
+const { fundingAnalyzer } = require('./services/wallet/funding-analyzer');
+const { walletBackfill } = require('./services/wallet/backfill');
 
 const app = express();
 
@@ -35,6 +39,18 @@ streamProcessor.on('error', (error) => {
     console.error('Stream processor error:', error.message || error);
 });
 
+// Wallets first seen on the live stream get their trade history backfilled
+streamProcessor.on('new-wallet', (address) => {
+    walletBackfill.enqueueWallet(address);
+});
+
+// Re-apply signal and whale settings changed at runtime (before any sync or stream runs)
+runtimeConfig.attach({
+    registry: signalRegistry,
+    whaleDetector: streamProcessor.whaleDetector,
+    probabilityAdjuster
+});
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -48,6 +64,9 @@ app.use('/api/internal', internalRouter);
 // Order Book API Routes - Real-time order book data
 app.use('/api/orderbook', orderbookRouter);
 
+// Syndication - Atom and JSON Feed per category
+app.use('/feeds', feedsRouter);
+
 // Legacy Routes - Keep existing market endpoints for backward compatibility
 app.get('/api/markets', async (req, res) => {
     try {
@@ -153,9 +172,9 @@ app.get('/api/health', (req, res) => {
         timestamp: new Date().toISOString(),
         services: {
             polymarket: 'connected',
-            claude: config.anthropic.apiKey ? 'configured' : 'not-configured',
-            database: config.db.useInMemory ? 'in-memory' : 'postgresql',
-            cache: config.redis.useInMemory ? 'in-memory' : 'redis'
+            llm: llm.isConfigured() ? llm.providerName : 'not-configured',
+            database: db.adapter,
+            cache: cache.driverName
         }
     });
 });
@@ -163,18 +182,33 @@ app.get('/api/health', (req, res) => {
 // Graceful shutdown handling
 process.on('SIGTERM', async () => {
     await streamProcessor.stop();
+    await wsRecorder.close();
+    probabilityStream.stop();
+    consistencyChecker.stop();
+    jobScheduler.stop();
+    orderBookSocket.close();
+    resolutionPoller.stop();
+    revalidationNotifier.stop();
+    calibrationRecorder.stop();
+    await db.close();
+    await cache.close();
     process.exit(0);
 });
 
 // Start the server
-app.listen(config.port, () => {
+const server = app.listen(config.port, () => {
     console.log(`\nFuture Times Backend running on http://localhost:${config.port}`);
     console.log('');
     console.log('Public API (for frontend):');
     console.log('  GET /api/articles              - List news articles');
     console.log('  GET /api/articles/featured     - Featured articles for hero');
+    console.log('  GET /api/articles/stream       - Live probabilities (SSE)');
+    console.log('  GET /api/articles/search?q=    - Full-text article search');
+    console.log('  GET /api/articles/sitemap      - Article slugs for the sitemap');
     console.log('  GET /api/articles/:slug        - Single article');
+    console.log('  GET /api/articles/:slug/related - Similar articles + related news');
     console.log('  GET /api/categories            - List categories');
+    console.log('  GET /feeds/:category.xml|json  - Atom / JSON Feed (all or one category)');
     console.log('');
     console.log('Legacy API (backward compatible):');
     console.log('  GET /api/markets               - List markets');
@@ -183,22 +217,50 @@ app.listen(config.port, () => {
     console.log('');
     console.log('Internal API (admin):');
     console.log('  POST /api/internal/sync           - Sync with Polymarket');
+    console.log('  GET /api/internal/jobs            - Ingestion jobs and run history');
+    console.log('  POST /api/internal/jobs/:name/run - Run an ingestion job now');
     console.log('  POST /api/internal/regenerate     - Regenerate articles');
     console.log('  GET /api/internal/signals/:id     - View signals for event');
     console.log('  GET /api/internal/signals/realtime - Recent detected patterns');
+    console.log('  GET /api/internal/events/risky    - Events ranked by insider risk');
+    console.log('  GET /api/internal/events/:id/risk - Insider risk score and top contributors');
     console.log('  GET /api/internal/wallets/suspicious - Suspicious wallets');
+    console.log('  GET /api/internal/wallets/backfill - Wallet history backfill progress');
     console.log('  GET /api/internal/wallets/:address - Wallet profile');
+    console.log('  GET /api/internal/wallets/:address/cluster - Funding-connected wallets');
+    console.log('  POST /api/internal/wallets/funding/import - Import USDC transfers');
     console.log('  GET /api/internal/stream/status   - Stream processor health');
+    console.log('  GET /api/internal/resolutions     - Settled markets');
+    console.log('  POST /api/internal/backtests      - Run a backtest');
+    console.log('  GET /api/internal/backtests/:id   - Backtest results');
+    console.log('  GET /api/internal/calibration     - Published probabilities vs outcomes');
+    console.log('  GET|PUT /api/internal/config/signals - Signal processor settings (live)');
+    console.log('  GET|PUT /api/internal/config/whale - Whale detection settings (live)');
+    console.log('  GET /api/internal/config/audit    - Configuration change history');
+    console.log('  GET /api/internal/consistency     - Cross-outcome consistency');
+    console.log('  GET /api/internal/llm/usage       - LLM provider and token usage');
+    console.log('  GET /api/internal/generation/metrics - Article validation and repair counts');
     console.log('');
     console.log('Order Book API:');
     console.log('  GET /api/orderbook                - All order books summary');
     console.log('  GET /api/orderbook/:assetId       - Full order book');
     console.log('  GET /api/orderbook/:assetId/depth - Top N levels');
+    console.log(`  WS  ${config.orderbookSocket.path}              - Live snapshots + deltas`);
     console.log('');
     console.log('Status:');
-    console.log(`  Claude: ${config.anthropic.apiKey ? 'Configured' : 'Not configured (using fallback)'}`);
+    console.log(`  LLM: ${llm.isConfigured() ? `${llm.providerName} (${llm.model})` : 'Not configured (using fallback)'}`);
     console.log(`  Database: ${config.db.useInMemory ? 'In-memory' : 'PostgreSQL'}`);
     console.log(`  Real-time: ${config.realtime?.enabled ? 'Enabled' : 'Disabled'}`);
+    console.log(`  Auto-sync: ${config.ingestion.enabled ? 'Enabled' : 'Disabled'}`);
+    console.log(`  Frontend revalidation: ${revalidationNotifier.enabled ? config.site.url : 'Disabled'}`);
+    console.log(`  Calibration tracking: ${config.calibration.enabled ? 'Enabled' : 'Disabled'}`);
+
+    console.log(`  WS capture: ${config.wsCapture.enabled ? wsRecorder.directory : 'Disabled'}`);
+
+    // Record raw market frames for offline replay (npm run replay)
+    if (config.wsCapture.enabled) {
+        wsRecorder.attach(clobWebSocketClient);
+    }
 
     // Start stream processor if real-time is enabled
     if (config.realtime?.enabled) {
@@ -209,186 +271,39 @@ app.listen(config.port, () => {
         });
     }
 
-    // Helper to subscribe to market tokens (only if article exists/created)
-    function subscribeToMarketTokens(market) {
-        let clobTokenIds = market.rawData?.clobTokenIds;
-        if (typeof clobTokenIds === 'string') {
-            try {
-                clobTokenIds = JSON.parse(clobTokenIds);
-            } catch {
-                clobTokenIds = null;
-            }
-        }
-        let subscribed = 0;
-        if (Array.isArray(clobTokenIds)) {
-            for (const tokenId of clobTokenIds) {
-                if (!streamProcessor.subscriptions.has(tokenId)) {
-                    streamProcessor.subscribeToMarket(tokenId);
-                    subscribed++;
-                }
-            }
-        }
-        return subscribed;
+    // Rebuild the wallet funding graph from imported transfers
+    fundingAnalyzer.loadFromStore().then(count => {
+        if (count > 0) console.log(`Funding graph loaded (${count} transfers)`);
+    }).catch(err => {
+        console.error('Failed to load funding transfers:', err.message);
+    });
+
+    // Push whale-adjusted probability changes to readers
+    probabilityStream.start();
+
+    // Settle resolved markets and close out their events/articles
+    if (config.resolution.enabled) {
+        resolutionPoller.start();
     }
 
-    // Auto-sync events every 1 minute
-    const AUTO_SYNC_INTERVAL = 1 * 60 * 1000; // 1 minute
-    setInterval(async () => {
-        try {
-            console.log('[AutoSync] Starting periodic event sync...');
-
-            // Fetch events (groups of related markets) with date filtering
-            const events = await polymarket.fetchEvents({
-                limit: 500,
-                minDaysUntilResolution: 1,
-                maxDaysUntilResolution: 30
-            });
+    // Snapshot displayed probabilities so they can be scored once markets resolve
+    if (config.calibration.enabled) {
+        calibrationRecorder.start();
+    }
 
-            console.log(`[AutoSync] Fetched ${events.length} events`);
-
-            let newEvents = 0;
-            let newArticles = 0;
-            let newSubscriptions = 0;
-
-            for (const event of events) {
-                // Pick the primary market for this event
-                const primaryMarket = pickPrimaryMarket(event.markets);
-                if (!primaryMarket) continue;
-
-                // Check if event already exists
-                const existingEvent = await db.events.getById(event.id);
-
-                // Upsert event using the event ID (not market ID) for deduplication
-                await db.events.upsert({
-                    id: event.id,
-                    slug: event.slug,
-                    title: event.title,
-                    description: event.description,
-                    category: event.category,
-                    endDate: event.endDate,
-                    resolved: false,
-                    rawData: primaryMarket.rawData
-                });
-
-                if (!existingEvent) {
-                    newEvents++;
-                }
-
-                // Generate article if it doesn't exist (using event.id for deduplication)
-                const existingArticle = await db.articles.getByEventId(event.id);
-                if (!existingArticle) {
-                    const prediction = await db.predictions.getLatestByEventId(event.id);
-                    // Pass event-level data with primary market's probability/outcomes
-                    const articleEvent = {
-                        id: event.id,
-                        title: event.title,
-                        question: event.title,
-                        description: event.description,
-                        category: event.category,
-                        endDate: event.endDate,
-                        image: event.image,
-                        probability: primaryMarket.probability,
-                        outcomes: primaryMarket.outcomes,
-                        totalVolume: primaryMarket.totalVolume,
-                        rawData: primaryMarket.rawData
-                    };
-                    const article = await createArticle(articleEvent, prediction || { adjustedProbability: primaryMarket.probability });
-                    if (article) {
-                        newArticles++;
-                        // Subscribe to all markets in this event for real-time updates
-                        for (const market of event.markets) {
-                            newSubscriptions += subscribeToMarketTokens(market);
-                        }
-                    }
-                } else {
-                    // Article exists - subscribe to keep it updated
-                    for (const market of event.markets) {
-                        newSubscriptions += subscribeToMarketTokens(market);
-                    }
-                }
-            }
-
-            console.log(`[AutoSync] Completed: ${newEvents} new events, ${newArticles} new articles, ${newSubscriptions} new subscriptions (total: ${streamProcessor.subscriptions.size})`);
-        } catch (error) {
-            console.error('[AutoSync] Failed:', error.message);
-        }
-    }, AUTO_SYNC_INTERVAL);
-
-    // Also run an initial sync after a short delay to populate data on startup
-    setTimeout(async () => {
-        try {
-            console.log('[InitialSync] Running initial event sync...');
-
-            // Fetch events (groups of related markets) with date filtering
-            const events = await polymarket.fetchEvents({
-                limit: 500,
-                minDaysUntilResolution: 1,
-                maxDaysUntilResolution: 30
-            });
+    // Flag sibling markets and Yes/No books that contradict each other
+    if (config.consistency.enabled) {
+        consistencyChecker.start();
+    }
 
-            console.log(`[InitialSync] Fetched ${events.length} events`);
-
-            let syncedArticles = 0;
-            let totalSubscriptions = 0;
-
-            for (const event of events) {
-                // Pick the primary market for this event
-                const primaryMarket = pickPrimaryMarket(event.markets);
-                if (!primaryMarket) continue;
-
-                // Upsert event using the event ID (not market ID) for deduplication
-                await db.events.upsert({
-                    id: event.id,
-                    slug: event.slug,
-                    title: event.title,
-                    description: event.description,
-                    category: event.category,
-                    endDate: event.endDate,
-                    resolved: false,
-                    rawData: primaryMarket.rawData
-                });
-
-                const existingArticle = await db.articles.getByEventId(event.id);
-                if (!existingArticle) {
-                    // Pass event-level data with primary market's probability/outcomes
-                    const articleEvent = {
-                        id: event.id,
-                        title: event.title,
-                        question: event.title,
-                        description: event.description,
-                        category: event.category,
-                        endDate: event.endDate,
-                        image: event.image,
-                        probability: primaryMarket.probability,
-                        outcomes: primaryMarket.outcomes,
-                        totalVolume: primaryMarket.totalVolume,
-                        rawData: primaryMarket.rawData
-                    };
-                    const article = await createArticle(articleEvent, { adjustedProbability: primaryMarket.probability });
-                    if (article) {
-                        syncedArticles++;
-                        // Subscribe to all markets in this event for real-time updates
-                        for (const market of event.markets) {
-                            totalSubscriptions += subscribeToMarketTokens(market);
-                        }
-                    }
-                } else {
-                    // Article exists - subscribe to keep it updated
-                    for (const market of event.markets) {
-                        totalSubscriptions += subscribeToMarketTokens(market);
-                    }
-                }
-            }
-
-            // Load persisted whale trades into probability adjuster
-            const { probabilityAdjuster } = require('./services/orderbook/probability-adjuster');
-            const recentWhales = await db.whaleTrades.getRecent(1000);
-            const loaded = probabilityAdjuster.loadFromHistory(recentWhales);
-            console.log(`[InitialSync] Loaded ${loaded} whale signals from history`);
-
-            console.log(`[InitialSync] Completed: ${events.length} events, ${syncedArticles} articles, ${totalSubscriptions} subscriptions (total: ${streamProcessor.subscriptions.size})`);
-        } catch (error) {
-            console.error('[InitialSync] Failed:', error.message);
-        }
-    }, 3000); // Wait 3 seconds for server to fully initialize
+    // Polymarket sync and startup loads (schedules, overlap guard, run history)
+    if (config.ingestion.enabled) {
+        jobScheduler.start();
+    }
+
+    // Regenerate the frontend's cached pages (ISR) when articles change
+    revalidationNotifier.start();
 });
+
+// Live order book push for the orderbook-ui
+const orderBookSocket = attachOrderBookSocket(server);
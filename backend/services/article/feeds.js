@@ -0,0 +1,226 @@
+/**
+ * Article Feeds
+ * Atom 1.0 and JSON Feed 1.1 documents for all articles or a single category.
+ *
+ * Entries carry the probability readers see on the site (live prediction adjusted
+ * by whale signals), the event's resolution date and the article revision; an
+ * entry's updated time is its latest rewrite, so readers refetch rewritten stories
+ * but not every probability tick.
+ */
+
+const crypto = require('crypto');
+const db = require('../../db');
+const config = require('../../config');
+const { getDisplayProbability } = require('./probability');
+const { VALID_CATEGORIES } = require('./validation');
+
+const JSON_FEED_VERSION = 'https://jsonfeed.org/version/1.1';
+// Namespace for the Future Times entry elements in Atom feeds
+const ATOM_EXTENSION_NS = 'urn:futuretimes:feed';
+
+const EPOCH = new Date(0).toISOString();
+
+function getSite() {
+    return {
+        url: config.site?.url || 'http://localhost:3000',
+        name: config.site?.name || 'Future Times'
+    };
+}
+
+/**
+ * Resolve a feed name from the URL ("all", "politics") to a category
+ * @param {string} name
+ * @returns {{name, category}|null} category is null for "all"; null for unknown names
+ */
+function resolveFeedCategory(name) {
+    const slug = String(name || '').toLowerCase();
+    if (slug === 'all') {
+        return { name: 'all', category: null };
+    }
+    const category = VALID_CATEGORIES.find(c => c.toLowerCase() === slug);
+    return category ? { name: slug, category } : null;
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+// Latest rewrite of the article (revisions set revisedAt)
+function getEntryUpdated(article) {
+    return article.revisedAt || article.publishedAt || EPOCH;
+}
+
+function formatPercent(probability) {
+    return probability === null || probability === undefined ? null : `${Math.round(probability * 100)}%`;
+}
+
+// Body paragraphs followed by the market line
+function buildContentHtml(entry) {
+    const paragraphs = String(entry.body || entry.summary || '')
+        .split(/\n\s*\n/)
+        .map(p => p.trim())
+        .filter(Boolean)
+        .map(p => `<p>${escapeXml(p)}</p>`);
+
+    const market = [];
+    const percent = formatPercent(entry.probability);
+    if (percent) market.push(`Market probability: ${percent}`);
+    if (entry.expiresAt) market.push(`Resolves: ${new Date(entry.expiresAt).toUTCString()}`);
+    if (market.length > 0) paragraphs.push(`<p><em>${escapeXml(market.join(' · '))}</em></p>`);
+
+    return paragraphs.join('\n');
+}
+
+/**
+ * Articles for a feed, newest first, with their current display probability
+ * @param {Object} options
+ * @param {string|null} options.category - null for every category
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<Object>>} Feed entries
+ */
+async function getFeedEntries({ category = null, limit = config.feeds?.maxItems || 50 } = {}) {
+    const articles = await db.articles.getAll({ limit, category, sort: 'publishedAt' });
+    const { url } = getSite();
+
+    return Promise.all(articles.map(async article => ({
+        id: `urn:futuretimes:article:${article.id}`,
+        url: `${url}/article/${article.slug}`,
+        headline: article.headline,
+        summary: article.summary,
+        body: article.body,
+        category: article.category,
+        imageUrl: article.imageUrl || null,
+        probability: await getDisplayProbability(article),
+        expiresAt: article.expiresAt || null,
+        revision: article.revision ?? 1,
+        favoredOutcome: article.favoredOutcome || null,
+        publishedAt: article.publishedAt || EPOCH,
+        updatedAt: getEntryUpdated(article)
+    })));
+}
+
+// Feed-level updated time: the newest entry update
+function getFeedUpdated(entries) {
+    return entries.reduce((latest, entry) => (entry.updatedAt > latest ? entry.updatedAt : latest), EPOCH);
+}
+
+function getFeedTitle(category) {
+    const { name } = getSite();
+    return category ? `${name} - ${category}` : name;
+}
+
+/**
+ * Atom 1.0 document
+ * @param {Array<Object>} entries - From getFeedEntries
+ * @param {Object} options
+ * @param {string|null} options.category
+ * @param {string} options.selfUrl - Absolute URL of this feed
+ * @returns {string}
+ */
+function buildAtomFeed(entries, { category = null, selfUrl }) {
+    const site = getSite();
+    const homeUrl = category ? `${site.url}/category/${encodeURIComponent(category)}` : site.url;
+
+    const items = entries.map(entry => {
+        const lines = [
+            '  <entry>',
+            `    <id>${escapeXml(entry.id)}</id>`,
+            `    <title>${escapeXml(entry.headline)}</title>`,
+            `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}"/>`,
+            `    <published>${escapeXml(entry.publishedAt)}</published>`,
+            `    <updated>${escapeXml(entry.updatedAt)}</updated>`
+        ];
+        if (entry.category) lines.push(`    <category term="${escapeXml(entry.category)}"/>`);
+        if (entry.summary) lines.push(`    <summary>${escapeXml(entry.summary)}</summary>`);
+        lines.push(`    <content type="html">${escapeXml(buildContentHtml(entry))}</content>`);
+        if (entry.probability !== null && entry.probability !== undefined) {
+            lines.push(`    <ft:probability>${entry.probability}</ft:probability>`);
+        }
+        if (entry.expiresAt) lines.push(`    <ft:expiresAt>${escapeXml(entry.expiresAt)}</ft:expiresAt>`);
+        lines.push(`    <ft:revision>${entry.revision}</ft:revision>`);
+        if (entry.favoredOutcome) lines.push(`    <ft:favoredOutcome>${escapeXml(entry.favoredOutcome)}</ft:favoredOutcome>`);
+        lines.push('  </entry>');
+        return lines.join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="utf-8"?>',
+        `<feed xmlns="http://www.w3.org/2005/Atom" xmlns:ft="${ATOM_EXTENSION_NS}">`,
+        `  <id>${escapeXml(selfUrl)}</id>`,
+        `  <title>${escapeXml(getFeedTitle(category))}</title>`,
+        `  <updated>${escapeXml(getFeedUpdated(entries))}</updated>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(homeUrl)}"/>`,
+        `  <author><name>${escapeXml(site.name)}</name></author>`,
+        ...items,
+        '</feed>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * JSON Feed 1.1 document
+ * @param {Array<Object>} entries - From getFeedEntries
+ * @param {Object} options
+ * @param {string|null} options.category
+ * @param {string} options.selfUrl - Absolute URL of this feed
+ * @returns {Object}
+ */
+function buildJsonFeed(entries, { category = null, selfUrl }) {
+    const site = getSite();
+
+    return {
+        version: JSON_FEED_VERSION,
+        title: getFeedTitle(category),
+        home_page_url: category ? `${site.url}/category/${encodeURIComponent(category)}` : site.url,
+        feed_url: selfUrl,
+        language: 'en',
+        authors: [{ name: site.name }],
+        items: entries.map(entry => ({
+            id: entry.id,
+            url: entry.url,
+            title: entry.headline,
+            summary: entry.summary || undefined,
+            content_html: buildContentHtml(entry),
+            image: entry.imageUrl || undefined,
+            date_published: entry.publishedAt,
+            date_modified: entry.updatedAt,
+            tags: entry.category ? [entry.category] : undefined,
+            // Extension object (JSON Feed reserves underscore-prefixed keys for publishers)
+            _future_times: {
+                probability: entry.probability,
+                expires_at: entry.expiresAt,
+                revision: entry.revision,
+                favored_outcome: entry.favoredOutcome
+            }
+        }))
+    };
+}
+
+/**
+ * Validators for conditional GET
+ * @param {Array<Object>} entries
+ * @param {string} body - Serialized feed
+ * @returns {{etag, lastModified}} lastModified is an HTTP date
+ */
+function getFeedValidators(entries, body) {
+    const hash = crypto.createHash('sha1').update(body).digest('hex');
+    return {
+        etag: `"${hash}"`,
+        lastModified: new Date(getFeedUpdated(entries)).toUTCString()
+    };
+}
+
+module.exports = {
+    resolveFeedCategory,
+    getFeedEntries,
+    buildAtomFeed,
+    buildJsonFeed,
+    getFeedValidators,
+    escapeXml
+};
@@ -0,0 +1,103 @@
+/**
+ * Generation Metrics
+ * Counts how article generation ends up: valid on the first pass, repaired after
+ * a schema or tense follow-up, or replaced by a template article. Recent failures
+ * are kept with their validation errors for /api/internal/generation/metrics.
+ */
+
+// Failures kept for inspection
+const RECENT_FAILURES = 50;
+
+function emptyCounters() {
+    return {
+        generations: 0,
+        firstPass: 0,
+        repaired: 0,
+        filtered: 0,
+        validationFailures: 0,
+        repairAttempts: 0,
+        tenseViolations: 0,
+        tenseRetries: 0,
+        acceptedWithTenseViolations: 0,
+        fallbacks: { 'no-provider': 0, 'llm-error': 0, 'invalid-output': 0 },
+        errorsByField: {}
+    };
+}
+
+class GenerationMetrics {
+    constructor({ recentLimit = RECENT_FAILURES } = {}) {
+        this.recentLimit = recentLimit;
+        this.reset();
+    }
+
+    reset() {
+        this.since = new Date().toISOString();
+        this.counters = emptyCounters();
+        this.recentFailures = [];
+    }
+
+    recordGeneration() {
+        this.counters.generations++;
+    }
+
+    /**
+     * How a generation that produced an article (or a deliberate skip) finished
+     * @param {Object} outcome
+     * @param {number} outcome.followUps - Repair and tense prompts sent
+     * @param {boolean} [outcome.filtered] - Model flagged the outcome as not meaningful
+     * @param {boolean} [outcome.tenseAccepted] - Kept despite remaining tense violations
+     */
+    recordResult({ followUps, filtered = false, tenseAccepted = false }) {
+        if (filtered) this.counters.filtered++;
+        if (followUps === 0) {
+            this.counters.firstPass++;
+        } else {
+            this.counters.repaired++;
+        }
+        if (tenseAccepted) this.counters.acceptedWithTenseViolations++;
+    }
+
+    recordValidationFailure(eventId, errors, { willRepair }) {
+        this.counters.validationFailures++;
+        if (willRepair) this.counters.repairAttempts++;
+        for (const { field } of errors) {
+            this.counters.errorsByField[field] = (this.counters.errorsByField[field] || 0) + 1;
+        }
+        this.addFailure({ eventId, stage: 'validation', errors });
+    }
+
+    recordTenseViolation(eventId, violations, { willRetry }) {
+        this.counters.tenseViolations++;
+        if (willRetry) this.counters.tenseRetries++;
+        this.addFailure({ eventId, stage: 'tense', errors: violations });
+    }
+
+    recordFallback(eventId, reason, errorMessage = null) {
+        this.counters.fallbacks[reason] = (this.counters.fallbacks[reason] || 0) + 1;
+        if (reason !== 'no-provider') {
+            this.addFailure({ eventId, stage: reason, errors: errorMessage ? [{ message: errorMessage }] : [] });
+        }
+    }
+
+    addFailure(failure) {
+        this.recentFailures.push({ at: new Date().toISOString(), ...failure });
+        if (this.recentFailures.length > this.recentLimit) {
+            this.recentFailures.shift();
+        }
+    }
+
+    getMetrics({ limit = 20 } = {}) {
+        return {
+            since: this.since,
+            ...this.counters,
+            fallbacks: { ...this.counters.fallbacks },
+            errorsByField: { ...this.counters.errorsByField },
+            recentFailures: this.recentFailures.slice(-limit).reverse()
+        };
+    }
+}
+
+// Singleton instance
+const generationMetrics = new GenerationMetrics();
+
+module.exports = { GenerationMetrics, generationMetrics };
@@ -1,48 +1,36 @@
-// Article generation service using Claude
+// Article generation service using the configured LLM provider
 // Transforms Polymarket events into news articles
 
 const config = require('../../config');
 const db = require('../../db');
+const llm = require('../llm');
 const { findRelatedNews } = require('../rag');
+const {
+    parseArticle,
+    checkPresentTense,
+    buildRepairPrompt,
+    buildTensePrompt
+} = require('./validation');
+const { generationMetrics } = require('./generation-metrics');
 
 // Track in-flight article generation with promise-based locking
 const inFlightArticles = new Map();  // eventId -> Promise<article>
 
-// Parse JSON from Claude's response, handling markdown code blocks and control characters
-function parseClaudeJSON(text) {
-    // Extract JSON from markdown code blocks if present
-    let jsonStr = text;
-    const codeBlockMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
-    if (codeBlockMatch) {
-        jsonStr = codeBlockMatch[1];
-    }
-
-    // Replace actual newlines/tabs inside string values with escape sequences
-    // This regex properly handles escaped characters like \" within strings
-    // Pattern: [^"\\] matches any char that's NOT " or \
-    //          \\. matches any escaped sequence (\", \\, \n, etc.)
-    jsonStr = jsonStr.replace(/:\s*"((?:[^"\\]|\\.)*)"/g, (match, content) => {
-        const escaped = content
-            .replace(/\r\n/g, '\\n')
-            .replace(/\n/g, '\\n')
-            .replace(/\r/g, '\\n')
-            .replace(/\t/g, '\\t');
-        return `: "${escaped}"`;
-    });
-
-    return JSON.parse(jsonStr.trim());
-}
-
-// Valid categories for articles
-const VALID_CATEGORIES = ['Politics', 'World', 'Finance', 'Technology', 'Sports', 'Entertainment', 'Crypto', 'Other'];
-
-// Generate article using Claude
-async function generateArticle(event, prediction) {
-    const probability = prediction?.adjustedProbability || event.probability || 0.5;
+// Generate article using the LLM
+// Revisions pass minProbability 0: the article follows the market wherever it goes
+// (for multi-outcome events this also waives the leader thresholds)
+async function generateArticle(event, prediction, { minProbability = 0.7 } = {}) {
+    const field = getOutcomeField(event);
+    const probability = getArticleProbability(event, prediction, field);
     const probabilityPercent = Math.round(probability * 100);
 
-    // Skip low probability events (less than 70%)
-    if (probability < 0.7) {
+    if (field) {
+        // Crowded fields: the leader needs a clear lead rather than 70%
+        if (minProbability > 0 && !leaderClearsThresholds(field)) {
+            return null;
+        }
+    } else if (probability < minProbability) {
+        // Skip low probability events (less than 70%)
         return null;
     }
 
@@ -62,60 +50,175 @@ async function generateArticle(event, prediction) {
         console.warn('[ArticleGenerator] RAG search failed, continuing without context:', err.message);
     }
 
-    // Check if Anthropic is configured
-    if (!config.anthropic.apiKey) {
+    // Check if an LLM provider is configured
+    if (!llm.isConfigured()) {
         // Fallback: generate a simple article without AI
-        return generateFallbackArticle(event, probabilityPercent);
+        generationMetrics.recordFallback(event.id, 'no-provider');
+        return withField(generateFallbackArticle(event, probabilityPercent), field);
     }
 
     try {
-        const Anthropic = (await import('@anthropic-ai/sdk')).default;
-        const anthropic = new Anthropic({ apiKey: config.anthropic.apiKey });
-
-        const prompt = buildPrompt(event, probabilityPercent, relatedNews);
+        const { payload, errors } = await completeArticle(event, probability, buildPrompt(event, probabilityPercent, relatedNews));
 
-        const response = await anthropic.messages.create({
-            model: config.anthropic.model,
-            system: `You are a professional news writer reporting LIVE. Write EVERYTHING in PRESENT TENSE - this is non-negotiable. The event is happening RIGHT NOW as you write.
-
-CORRECT: "signs", "announces", "launches", "defeats", "wins", "passes"
-WRONG: "signed", "announced", "will sign", "is expected to", "has announced"
-
-Write in a serious, journalistic tone similar to Reuters or AP News. Be factual and objective. Never mention prediction markets or probabilities. If related news context is provided, incorporate relevant background information and facts. Do not directly quote or cite the sources.`,
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            max_tokens: 1000,
-            temperature: 0.7
-        });
-
-        const result = parseClaudeJSON(response.content[0].text);
+        if (!payload) {
+            console.warn(`[ArticleGenerator] Invalid article output for ${event.id}: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+            generationMetrics.recordFallback(event.id, 'invalid-output');
+            return withField(generateFallbackArticle(event, probabilityPercent), field);
+        }
 
         // Filter out meaningless outcomes (non-events, absences)
-        if (result.isMeaningful === false) {
+        if (payload.isMeaningful === false) {
             return null;
         }
 
-        // Validate and assign category
-        const category = VALID_CATEGORIES.includes(result.category) ? result.category : (event.category || 'Other');
-
-        return {
-            headline: result.headline,
-            summary: result.summary,
-            body: result.body,
-            category,
+        return withField({
+            headline: payload.headline,
+            summary: payload.summary,
+            body: payload.body,
+            category: payload.category,
             eventId: event.id,
             probability,
             totalVolume: event.totalVolume || 0,
             imageUrl: event.image,
             expiresAt: event.endDate
-        };
+        }, field);
     } catch (error) {
-        console.error('Claude generation failed:', error.message);
-        return generateFallbackArticle(event, probabilityPercent);
+        console.error(`LLM generation failed (${llm.providerName}):`, error.message);
+        generationMetrics.recordFallback(event.id, 'llm-error', error.message);
+        return withField(generateFallbackArticle(event, probabilityPercent), field);
+    }
+}
+
+/**
+ * Ranked outcomes of a multi-outcome event ("Who will win...?"), or null for
+ * binary and two-way events
+ * @param {Object} event - Event with outcomes [{ name, probability }]
+ * @returns {Array<{rank, name, probability}>|null} Strongest first
+ */
+function getOutcomeField(event) {
+    const minOutcomes = config.article.multiOutcome?.minOutcomes || 3;
+    const outcomes = event.outcomes;
+
+    if (!Array.isArray(outcomes) || outcomes.length < minOutcomes ||
+        !outcomes.every(o => o && typeof o === 'object' && o.name)) {
+        return null;
+    }
+
+    return [...outcomes]
+        .sort((a, b) => (b.probability || 0) - (a.probability || 0))
+        .map((outcome, i) => ({
+            rank: i + 1,
+            name: outcome.name,
+            probability: parseFloat((outcome.probability || 0).toFixed(4))
+        }));
+}
+
+// Whether a multi-outcome leader is far enough ahead to write about
+function leaderClearsThresholds(field) {
+    const { minLeaderProbability = 0.35, minLeaderMargin = 0.1 } = config.article.multiOutcome || {};
+    const [leader, runnerUp] = field;
+
+    return leader.probability >= minLeaderProbability &&
+        leader.probability - (runnerUp?.probability || 0) >= minLeaderMargin;
+}
+
+// Probability an article is written at: the leader's for multi-outcome events
+function getArticleProbability(event, prediction, field = getOutcomeField(event)) {
+    if (field) {
+        return field[0].probability;
+    }
+    return prediction?.adjustedProbability || event.probability || 0.5;
+}
+
+// The part of the field stored on articles, leader included
+function trimField(field) {
+    return field.slice(0, config.article.multiOutcome?.maxFieldSize || 6);
+}
+
+// Attach the ranked field to multi-outcome articles
+function withField(articleData, field) {
+    if (!field) {
+        return articleData;
+    }
+    return { ...articleData, format: 'multi-outcome', field: trimField(field) };
+}
+
+const ARTICLE_SYSTEM_PROMPT = `You are a professional news writer reporting LIVE. Write EVERYTHING in PRESENT TENSE - this is non-negotiable. The event is happening RIGHT NOW as you write.
+
+CORRECT: "signs", "announces", "launches", "defeats", "wins", "passes"
+WRONG: "signed", "announced", "will sign", "is expected to", "has announced"
+
+Write in a serious, journalistic tone similar to Reuters or AP News. Be factual and objective. Never mention prediction markets or probabilities. If related news context is provided, incorporate relevant background information and facts. Do not directly quote or cite the sources.`;
+
+/**
+ * Ask the LLM for an article payload that passes schema and tense checks.
+ * Schema failures get up to config.article.maxRepairAttempts repair prompts and
+ * tense violations up to config.article.maxTenseRetries rewrite prompts, each sent
+ * as a follow-up in the same conversation. An article that still breaks the tense
+ * rule is kept; one that still fails the schema is not.
+ * @returns {Promise<{payload: Object|null, errors: Array}>}
+ */
+async function completeArticle(event, probability, prompt) {
+    const maxRepairAttempts = config.article.maxRepairAttempts ?? 1;
+    const maxTenseRetries = config.article.maxTenseRetries ?? 1;
+
+    const messages = [{ role: 'user', content: prompt }];
+    let purpose = 'article';
+    let repairAttempts = 0;
+    let tenseRetries = 0;
+
+    generationMetrics.recordGeneration();
+
+    while (true) {
+        const response = await llm.complete({
+            purpose,
+            system: ARTICLE_SYSTEM_PROMPT,
+            messages,
+            maxTokens: 1000,
+            temperature: 0.7,
+            // Placeholders for stub fixtures
+            vars: {
+                headline: buildFallbackHeadline(event, probability),
+                category: event.category || 'Other'
+            }
+        });
+
+        const { payload, errors } = parseArticle(response.text);
+        const followUps = repairAttempts + tenseRetries;
+
+        if (errors.length > 0) {
+            const willRepair = repairAttempts < maxRepairAttempts;
+            generationMetrics.recordValidationFailure(event.id, errors, { willRepair });
+            if (!willRepair) {
+                return { payload: null, errors };
+            }
+
+            repairAttempts++;
+            purpose = 'article-repair';
+            messages.push({ role: 'assistant', content: response.text }, { role: 'user', content: buildRepairPrompt(errors) });
+            continue;
+        }
+
+        // Skipped articles are never published, so their tense doesn't matter
+        if (payload.isMeaningful === false) {
+            generationMetrics.recordResult({ followUps, filtered: true });
+            return { payload, errors: [] };
+        }
+
+        const violations = checkPresentTense(payload);
+        if (violations.length > 0) {
+            const willRetry = tenseRetries < maxTenseRetries;
+            generationMetrics.recordTenseViolation(event.id, violations, { willRetry });
+            if (willRetry) {
+                tenseRetries++;
+                purpose = 'article-tense';
+                messages.push({ role: 'assistant', content: response.text }, { role: 'user', content: buildTensePrompt(violations) });
+                continue;
+            }
+        }
+
+        generationMetrics.recordResult({ followUps, tenseAccepted: violations.length > 0 });
+        return { payload, errors: [] };
     }
 }
 
@@ -183,7 +286,7 @@ function buildPrompt(event, probabilityPercent, relatedNews = []) {
     const eventTitle = event.title || event.question;
     const eventDescription = event.description || '';
 
-    // Include outcome details so Claude knows the favored outcome
+    // Include outcome details so the model knows the favored outcome
     let outcomesContext = '';
     if (event.outcomes && event.outcomes.length > 0) {
         const sorted = [...event.outcomes].sort((a, b) => (b.probability || 0) - (a.probability || 0));
@@ -233,6 +336,18 @@ IMPORTANT: Write the headline stating "${favorite.name}" as the answer to "${eve
         }
     }
 
+    // Multi-outcome events: name the trailing contenders so the body can cover the race
+    const field = getOutcomeField(event);
+    if (field && field.length > 1) {
+        const runnersUp = trimField(field).slice(1).map(o => `${o.rank}. ${o.name}`).join('\n');
+        outcomesContext += `
+
+THE FIELD (trailing contenders, strongest first):
+${runnersUp}
+
+Mention the leading trailing contenders in the body as rivals the leader finishes ahead of. Do not give numbers or percentages.`;
+    }
+
     // Build related news context section (descriptions only, no titles to avoid influencing headlines)
     let relatedNewsContext = '';
     if (relatedNews.length > 0) {
@@ -254,8 +369,8 @@ SUGGESTED CATEGORY: ${event.category || 'General'}
 Write as if this is happening RIGHT NOW. Use present tense throughout.
 
 Return a valid JSON object (no markdown, no code blocks) with these fields:
-- headline: A compelling news headline in present tense (max 80 characters, no probability mention, no dates)
-- summary: A 1-2 sentence summary for preview cards (max 150 characters)
+- headline: A compelling news headline in present tense (max ${config.article.headlineLength || 80} characters, no probability mention, no dates)
+- summary: A 1-2 sentence summary for preview cards (max ${config.article.summaryLength || 150} characters)
 - body: The full article (2-3 paragraphs, ~200-300 words). MUST use present tense throughout - write as live breaking news. Use \\n for paragraph breaks.
 - category: One of: Politics, World, Finance, Technology, Sports, Entertainment, Crypto, Other
 - isMeaningful: boolean - true if headline describes a positive action (e.g., "Deal Signed", "Stock Surges"), false if it describes absence/non-event (e.g., "No Storms", "Nothing Happens", "Fails to Occur")
@@ -270,11 +385,19 @@ TENSE RULES (CRITICAL):
 Write as if you are a professional journalist reporting on this event NOW. Use present tense verbs (announces, signs, reveals, launches). Include relevant context and implications. Do not mention prediction markets or probabilities in the article text.`;
 }
 
-function generateFallbackArticle(event, probabilityPercent) {
+// Turn the event question into a headline for the favored outcome
+function buildFallbackHeadline(event, probability) {
     const eventTitle = event.title || event.question;
 
+    // When the market favors "No", headline the negated question; in a crowded field, the leader
+    const favored = getFavoredOutcome(event, probability);
+    const field = getOutcomeField(event);
+    const subject = field
+        ? interpretMultiOutcome(eventTitle, field[0].name) || `${field[0].name}: ${eventTitle}`
+        : (favored.name === 'No' && interpretBinaryOutcome(eventTitle, 'No')) || eventTitle;
+
     // Clean up the question into a headline
-    let headline = eventTitle
+    let headline = subject
         .replace(/^Will\s+/i, '')
         .replace(/\?$/, '')
         .replace(/\s+by\s+\d{4}$/i, '')
@@ -288,6 +411,20 @@ function generateFallbackArticle(event, probabilityPercent) {
         headline = headline.substring(0, 77) + '...';
     }
 
+    return headline;
+}
+
+// Closing paragraph naming the nearest rivals of a multi-outcome leader
+function buildFieldParagraph(event) {
+    const rivals = (getOutcomeField(event) || []).slice(1, 3).map(o => o.name);
+    if (rivals.length === 0) {
+        return '';
+    }
+    return `\n\n${rivals.join(' and ')} ${rivals.length === 1 ? 'trails' : 'trail'} in the race as the contest enters its final stretch.`;
+}
+
+function generateFallbackArticle(event, probabilityPercent) {
+    const headline = buildFallbackHeadline(event, probabilityPercent / 100);
     const summary = `${headline}. Analysts closely watch developments in the ${event.category || 'global'} sector.`;
 
     // Present tense body - write as if it's happening now
@@ -295,7 +432,7 @@ function generateFallbackArticle(event, probabilityPercent) {
 
 The situation draws significant attention from investors and observers alike. Current market conditions and emerging signals point to this development materializing.
 
-Industry experts note that recent developments strengthen the case for this outcome, with multiple indicators pointing in this direction. Stakeholders continue to monitor the situation as it evolves.`;
+Industry experts note that recent developments strengthen the case for this outcome, with multiple indicators pointing in this direction. Stakeholders continue to monitor the situation as it evolves.${buildFieldParagraph(event)}`;
 
     return {
         headline,
@@ -310,46 +447,245 @@ Industry experts note that recent developments strengthen the case for this outc
     };
 }
 
-// Create and save article to database
-async function createArticle(event, prediction) {
-    const eventId = event.id;
+// Outcome names of an event (transformed outcomes or the raw market's JSON list)
+function getOutcomeNames(event) {
+    let outcomes = event.outcomes ?? event.rawData?.outcomes;
+    if (typeof outcomes === 'string') {
+        try {
+            outcomes = JSON.parse(outcomes);
+        } catch {
+            outcomes = null;
+        }
+    }
+    if (!Array.isArray(outcomes) || outcomes.length === 0) {
+        return ['Yes', 'No'];
+    }
+    return outcomes.map(o => (typeof o === 'string' ? o : o.name));
+}
+
+// Favored outcome at a probability of the first outcome (what articles store as `probability`)
+// index: 1 when a binary article favors its second outcome, so readers see 1 - probability
+function getFavoredOutcome(event, probability) {
+    const names = getOutcomeNames(event);
+
+    if (names.length !== 2 && Array.isArray(event.outcomes) && event.outcomes.every(o => typeof o === 'object')) {
+        // Multi-outcome articles store the leader's probability
+        const favorite = [...event.outcomes].sort((a, b) => (b.probability || 0) - (a.probability || 0))[0];
+        return { name: favorite.name, probability: favorite.probability ?? probability, index: 0 };
+    }
+
+    return probability >= 0.5
+        ? { name: names[0], probability, index: 0 }
+        : { name: names[1] || 'No', probability: 1 - probability, index: 1 };
+}
+
+// Index of the revision band a favored probability falls in
+function getProbabilityBand(probability) {
+    return (config.article.revisionBands || []).filter(band => probability >= band).length;
+}
+
+// Why an article should be rewritten for a new favored outcome, or null if it still fits
+function getRevisionReason(article, favored) {
+    if (article.favoredOutcome !== favored.name) {
+        return 'favored-outcome-changed';
+    }
+    if (getProbabilityBand(article.favoredProbability ?? 0) !== getProbabilityBand(favored.probability)) {
+        return 'probability-band-changed';
+    }
+    return null;
+}
 
+// Event with outcome prices at the given probability, so the prompt names the favored outcome
+function eventAtProbability(event, probability) {
+    const names = getOutcomeNames(event);
+    if (names.length !== 2) {
+        return { ...event, probability };
+    }
+    return {
+        ...event,
+        probability,
+        outcomes: [
+            { name: names[0], probability },
+            { name: names[1], probability: 1 - probability }
+        ]
+    };
+}
+
+// One article generation or revision per event at a time
+function withArticleLock(eventId, task) {
     // If already generating, wait for that promise instead of creating a duplicate
     if (inFlightArticles.has(eventId)) {
         return inFlightArticles.get(eventId);
     }
 
-    // Create a promise for this generation and store it
-    const generationPromise = (async () => {
+    const promise = (async () => {
         try {
-            // Check if article already exists for this event
-            const existing = await db.articles.getByEventId(eventId);
-            if (existing) {
-                // Update probability if needed
-                const newProbability = prediction?.adjustedProbability || event.probability;
-                if (existing.probability !== newProbability) {
-                    return db.articles.update(existing.id, { probability: newProbability });
-                }
-                return existing;
-            }
-
-            // Generate new article
-            const articleData = await generateArticle(event, prediction);
-
-            // Skip if article generation returned null (filtered out)
-            if (!articleData) {
-                return null;
-            }
-
-            // Save to database
-            return db.articles.create(articleData);
+            return await task();
         } finally {
             inFlightArticles.delete(eventId);
         }
     })();
 
-    inFlightArticles.set(eventId, generationPromise);
-    return generationPromise;
+    inFlightArticles.set(eventId, promise);
+    return promise;
+}
+
+// Snapshot of an article's current version for db.articleRevisions
+function toRevision(article, reason) {
+    return {
+        articleId: article.id,
+        revision: article.revision,
+        headline: article.headline,
+        summary: article.summary,
+        body: article.body,
+        probability: article.probability,
+        favoredOutcome: article.favoredOutcome,
+        favoredProbability: article.favoredProbability,
+        favoredIndex: article.favoredIndex ?? 0,
+        field: article.field || null,
+        reason
+    };
+}
+
+/**
+ * Replace an article's content with newly generated content as its next revision
+ * @param {Object} article - Existing article
+ * @param {Object} articleData - Generated article (generateArticle result)
+ * @param {Object} options
+ * @param {string} options.reason - Why it was rewritten (stored on the revision)
+ * @param {Object} options.event - Event the content was generated for
+ * @returns {Promise<Object>} Updated article
+ */
+async function saveRevision(article, articleData, { reason, event }) {
+    // Articles from before revision history: keep their current content as revision 1
+    if (article.revision == null) {
+        article = await recordFirstRevision(article, event);
+    }
+
+    const favored = getFavoredOutcome(event, articleData.probability);
+    const revisedAt = new Date().toISOString();
+
+    const updated = await db.articles.update(article.id, {
+        headline: articleData.headline,
+        summary: articleData.summary,
+        body: articleData.body,
+        category: articleData.category,
+        probability: articleData.probability,
+        ...(articleData.field && { format: articleData.format, field: articleData.field }),
+        favoredOutcome: favored.name,
+        favoredProbability: favored.probability,
+        favoredIndex: favored.index,
+        revision: (article.revision || 1) + 1,
+        revisedAt,
+        updatedAt: revisedAt
+    });
+    await db.articleRevisions.create(toRevision(updated, reason));
+
+    console.log(`[ArticleGenerator] Revised article ${article.id} (revision ${updated.revision}, ${reason}): "${updated.headline}"`);
+    return updated;
+}
+
+// Record revision 1 for an article that has no revision history yet
+async function recordFirstRevision(article, event) {
+    const favored = getFavoredOutcome(event, article.probability ?? 0.5);
+    const updated = await db.articles.update(article.id, {
+        favoredOutcome: favored.name,
+        favoredProbability: favored.probability,
+        favoredIndex: favored.index,
+        revision: 1
+    });
+    await db.articleRevisions.create(toRevision(updated, 'created'));
+    return updated;
+}
+
+// Revision check without taking the article lock (callers hold it)
+async function reviseExisting(article, event, probability, { force = false } = {}) {
+    if (article.resolved) {
+        return article;
+    }
+    const field = getOutcomeField(event);
+    if (article.format === 'multi-outcome' && !field) {
+        // A single market's probability (e.g. from a whale trade) says nothing about the whole field
+        return article;
+    }
+    if (article.revision == null) {
+        article = await recordFirstRevision(article, event);
+    }
+
+    const favored = getFavoredOutcome(event, probability);
+    const reason = force ? 'regenerated' : getRevisionReason(article, favored);
+
+    const lastRevisedAt = new Date(article.revisedAt || article.publishedAt || 0).getTime();
+    const tooSoon = Date.now() - lastRevisedAt < config.article.minRevisionIntervalMs;
+
+    if (reason && (force || !tooSoon)) {
+        const target = eventAtProbability(event, probability);
+        const articleData = await generateArticle(target, { adjustedProbability: probability }, { minProbability: 0 });
+        if (articleData) {
+            return saveRevision(article, articleData, { reason, event: target });
+        }
+    }
+
+    // Content still fits (or can't be rewritten yet): keep the probability (and field) current
+    if (field) {
+        return db.articles.update(article.id, { probability, field: trimField(field) });
+    }
+    if (article.probability !== probability) {
+        return db.articles.update(article.id, { probability });
+    }
+    return article;
+}
+
+/**
+ * Keep an event's article in line with the market
+ * Rewrites the article as a new revision when the favored outcome flips or its probability
+ * crosses one of config.article.revisionBands (at most once per minRevisionIntervalMs);
+ * otherwise only the stored probability is updated.
+ *
+ * @param {Object} event - Event or market (id, title/question, outcomes or rawData.outcomes)
+ * @param {number} probability - Current probability of the first outcome
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Rewrite now, regardless of bands and interval
+ * @returns {Promise<Object|null>} The article, or null if the event has none
+ */
+async function reviseArticle(event, probability, options = {}) {
+    return withArticleLock(event.id, async () => {
+        const article = await db.articles.getByEventId(event.id);
+        if (!article || probability == null) {
+            return article;
+        }
+        return reviseExisting(article, event, probability, options);
+    });
+}
+
+// Create and save article to database
+async function createArticle(event, prediction) {
+    return withArticleLock(event.id, async () => {
+        const probability = getOutcomeField(event)
+            ? getArticleProbability(event, prediction)
+            : prediction?.adjustedProbability || event.probability;
+
+        // Existing article: revise it if the market has moved on
+        const existing = await db.articles.getByEventId(event.id);
+        if (existing) {
+            return probability == null ? existing : reviseExisting(existing, event, probability);
+        }
+
+        // Generate new article
+        const articleData = await generateArticle(event, prediction);
+
+        // Skip if article generation returned null (filtered out)
+        if (!articleData) {
+            return null;
+        }
+
+        // Save to database (may return an existing article with the same slug)
+        const article = await db.articles.create(articleData);
+        if (article.revision == null) {
+            return recordFirstRevision(article, event);
+        }
+        return article;
+    });
 }
 
 // Batch generate articles for multiple events
@@ -381,44 +717,48 @@ async function regenerateArticleForEvent(eventId) {
         return null;
     }
 
-    // Get the latest prediction for the event
-    const prediction = await db.predictions.getLatestByEventId(eventId);
+    // Same lock as createArticle/reviseArticle, so a stream-triggered revision can't take the
+    // same revision number. A manual regenerate must still run, so wait for that one to finish
+    // rather than joining it.
+    while (inFlightArticles.has(event.id)) {
+        await inFlightArticles.get(event.id).catch(() => {});
+    }
 
-    // Check if an article already exists for this event
-    const existingArticle = await db.articles.getByEventId(eventId);
+    return withArticleLock(event.id, async () => {
+        // Get the latest prediction for the event
+        const prediction = await db.predictions.getLatestByEventId(eventId);
 
-    // Generate new article content
-    const articleData = await generateArticle(event, prediction);
+        // Check if an article already exists for this event
+        const existingArticle = await db.articles.getByEventId(eventId);
 
-    // If article was filtered out (low probability or meaningless)
-    if (!articleData) {
-        console.log(`[ArticleGenerator] Skipping event ${eventId}: filtered out by probability or meaningfulness`);
-        return null;
-    }
+        // Generate new article content
+        const articleData = await generateArticle(event, prediction);
+
+        // If article was filtered out (low probability or meaningless)
+        if (!articleData) {
+            console.log(`[ArticleGenerator] Skipping event ${eventId}: filtered out by probability or meaningfulness`);
+            return null;
+        }
+
+        if (existingArticle) {
+            // Update the existing article with new content, keeping the old version
+            return saveRevision(existingArticle, articleData, { reason: 'regenerated', event });
+        }
 
-    if (existingArticle) {
-        // Update the existing article with new content
-        const updatedArticle = await db.articles.update(existingArticle.id, {
-            headline: articleData.headline,
-            summary: articleData.summary,
-            body: articleData.body,
-            category: articleData.category,
-            probability: articleData.probability,
-            updatedAt: new Date().toISOString()
-        });
-        console.log(`[ArticleGenerator] Regenerated article for event ${eventId}: "${articleData.headline}"`);
-        return updatedArticle;
-    } else {
         // Create a new article if one doesn't exist
         const newArticle = await db.articles.create(articleData);
         console.log(`[ArticleGenerator] Created new article for event ${eventId}: "${articleData.headline}"`);
-        return newArticle;
-    }
+        return newArticle.revision == null ? recordFirstRevision(newArticle, event) : newArticle;
+    });
 }
 
 module.exports = {
     generateArticle,
     createArticle,
+    reviseArticle,
+    saveRevision,
+    getFavoredOutcome,
+    getOutcomeField,
     generateArticlesForEvents,
     generateFallbackArticle,
     regenerateArticleForEvent
@@ -0,0 +1,380 @@
+/**
+ * Probability Stream
+ * Pushes live article probability changes to Server-Sent Events clients.
+ *
+ * Fed by the stream processor's whale trades and the probability adjuster's
+ * signal updates. Each change becomes a numbered message ({ slug, probability, delta });
+ * recent messages are buffered so a reconnecting client sending Last-Event-ID
+ * receives what it missed.
+ */
+
+const EventEmitter = require('events');
+const { streamProcessor } = require('../pipeline/stream-processor');
+const { probabilityAdjuster } = require('../orderbook/probability-adjuster');
+const { getLiveProbability, getAssetIdFromArticle, toFavoredProbability } = require('./probability');
+const db = require('../../db');
+const config = require('../../config');
+
+// How long the assetId -> article index is trusted before a miss triggers a rebuild
+const INDEX_TTL_MS = 60000;
+
+// Reconnect delay suggested to EventSource clients
+const RETRY_MS = 3000;
+
+function round(value) {
+    return parseFloat(value.toFixed(4));
+}
+
+/**
+ * ProbabilityStream fans out article probability changes to SSE clients.
+ * Message ids are seeded from the boot time so ids from a previous process
+ * are always older than the buffer, and those clients are told to resync.
+ */
+class ProbabilityStream extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.processor - Stream processor (emits 'whale-trade')
+     * @param {Object} options.adjuster - Probability adjuster (emits 'signal-updated')
+     */
+    constructor({ processor = streamProcessor, adjuster = probabilityAdjuster } = {}) {
+        super();
+
+        this.processor = processor;
+        this.adjuster = adjuster;
+        this.config = config.articleStream;
+
+        this.running = false;
+        this.heartbeatTimer = null;
+        this.refreshTimer = null;
+
+        this.clients = new Map();       // clientId -> { id, res, slugs }
+        this.nextClientId = 1;
+        this.buffer = [];               // Recent messages, oldest first
+        this.lastId = Date.now();
+        this.lastProbability = new Map(); // slug -> last published probability
+        this.pending = new Map();       // assetId -> debounce timer
+        this.trackedAssets = new Set(); // Assets whose published value includes a whale signal
+        this.assetIndex = new Map();    // assetId -> slug
+        this.indexBuiltAt = 0;
+
+        // Statistics
+        this.published = 0;
+
+        this._onWhaleTrade = (whale) => this.queueAsset(whale.assetId);
+        this._onSignalUpdated = (assetId) => this.queueAsset(assetId);
+    }
+
+    /**
+     * Subscribe to probability sources and start heartbeats
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        this.processor.on('whale-trade', this._onWhaleTrade);
+        this.adjuster.on('signal-updated', this._onSignalUpdated);
+
+        this.heartbeatTimer = setInterval(() => this._heartbeat(), this.config.heartbeatMs);
+        this.refreshTimer = setInterval(() => {
+            this.refreshTracked().catch(error => {
+                console.error('[ProbabilityStream] Refresh failed:', error.message);
+            });
+        }, this.config.refreshIntervalMs);
+        this.heartbeatTimer.unref?.();
+        this.refreshTimer.unref?.();
+
+        console.log('[ProbabilityStream] Started');
+    }
+
+    /**
+     * Unsubscribe from sources and close all client connections
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+
+        this.processor.off('whale-trade', this._onWhaleTrade);
+        this.adjuster.off('signal-updated', this._onSignalUpdated);
+
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.refreshTimer);
+        this.heartbeatTimer = null;
+        this.refreshTimer = null;
+
+        for (const timer of this.pending.values()) {
+            clearTimeout(timer);
+        }
+        this.pending.clear();
+
+        for (const client of this.clients.values()) {
+            client.res.end();
+        }
+        this.clients.clear();
+
+        console.log('[ProbabilityStream] Stopped');
+    }
+
+    /**
+     * Schedule a probability check for an asset (debounced per asset)
+     * @param {string} assetId - CLOB token ID
+     */
+    queueAsset(assetId) {
+        if (!assetId || this.pending.has(assetId)) {
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            this.pending.delete(assetId);
+            this.refreshAsset(assetId).catch(error => {
+                console.error(`[ProbabilityStream] Failed to refresh ${assetId}:`, error.message);
+            });
+        }, this.config.debounceMs);
+        timer.unref?.();
+
+        this.pending.set(assetId, timer);
+    }
+
+    /**
+     * Recompute the probability of the article behind an asset and publish any change
+     * @param {string} assetId - CLOB token ID
+     * @returns {Promise<Object|null>} Published message, or null if nothing changed
+     */
+    async refreshAsset(assetId) {
+        const article = await this._findArticle(assetId);
+        if (!article) {
+            return null;
+        }
+
+        const hasSignal = this.adjuster.getWhaleActivity(assetId) !== null;
+        if (hasSignal) {
+            this.trackedAssets.add(assetId);
+        } else {
+            this.trackedAssets.delete(assetId);
+        }
+
+        return this.publishArticle(article);
+    }
+
+    /**
+     * Re-check every asset with an active or recently expired whale signal,
+     * so readers see signals decay rather than only jump
+     * @returns {Promise<number>} Number of messages published
+     */
+    async refreshTracked() {
+        const assetIds = new Set(this.trackedAssets);
+        for (const signal of this.adjuster.getAllSignals()) {
+            assetIds.add(signal.assetId);
+        }
+
+        let published = 0;
+        for (const assetId of assetIds) {
+            if (await this.refreshAsset(assetId)) {
+                published++;
+            }
+        }
+        return published;
+    }
+
+    /**
+     * Publish an article's current display probability if it moved
+     * The first delta for an article is measured against the unadjusted market probability.
+     * @param {Object} article - Article from db.articles
+     * @returns {Promise<Object|null>} Published message, or null if the change is too small
+     */
+    async publishArticle(article) {
+        const marketProbability = await getLiveProbability(article);
+        if (typeof marketProbability !== 'number') {
+            return null;
+        }
+
+        // Same side as the article's headline (see toFavoredProbability)
+        const liveProbability = toFavoredProbability(article, marketProbability);
+        const probability = toFavoredProbability(
+            article,
+            this.adjuster.getAdjustedProbability(getAssetIdFromArticle(article), marketProbability)
+        );
+        const previous = this.lastProbability.has(article.slug)
+            ? this.lastProbability.get(article.slug)
+            : Math.max(0.02, Math.min(0.98, liveProbability));
+        const delta = probability - previous;
+
+        if (Math.abs(delta) < this.config.minDelta) {
+            return null;
+        }
+
+        this.lastProbability.set(article.slug, probability);
+        return this.publish({
+            slug: article.slug,
+            probability: round(probability),
+            delta: round(delta)
+        });
+    }
+
+    /**
+     * Number, buffer and send a message to matching clients
+     * @param {Object} data - { slug, probability, delta }
+     * @returns {Object} Message { id, data }
+     */
+    publish(data) {
+        const message = {
+            id: ++this.lastId,
+            data: { ...data, updatedAt: new Date().toISOString() }
+        };
+
+        this.buffer.push(message);
+        if (this.buffer.length > this.config.bufferSize) {
+            this.buffer.shift();
+        }
+
+        for (const client of this.clients.values()) {
+            this._send(client, message);
+        }
+
+        this.published++;
+        this.emit('probability', message);
+        return message;
+    }
+
+    /**
+     * Register an SSE response and replay anything it missed
+     * @param {Object} res - Express response with event-stream headers already sent
+     * @param {Object} [options]
+     * @param {string|number} [options.lastEventId] - Last message id the client received
+     * @param {string[]} [options.slugs] - Only send updates for these articles
+     * @returns {number} Client ID (pass to removeClient)
+     */
+    addClient(res, { lastEventId = null, slugs = null } = {}) {
+        const client = {
+            id: this.nextClientId++,
+            res,
+            slugs: slugs && slugs.length > 0 ? new Set(slugs) : null
+        };
+        this.clients.set(client.id, client);
+
+        res.write(`retry: ${RETRY_MS}\n\n`);
+
+        if (lastEventId !== null && lastEventId !== undefined && lastEventId !== '') {
+            this._replay(client, parseInt(lastEventId, 10));
+        }
+
+        return client.id;
+    }
+
+    /**
+     * Forget a disconnected client
+     * @param {number} clientId - From addClient
+     */
+    removeClient(clientId) {
+        this.clients.delete(clientId);
+    }
+
+    /**
+     * Get stream status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            running: this.running,
+            clients: this.clients.size,
+            buffered: this.buffer.length,
+            lastEventId: this.lastId,
+            published: this.published,
+            trackedAssets: this.trackedAssets.size,
+            config: { ...this.config }
+        };
+    }
+
+    /**
+     * Send buffered messages newer than lastEventId, or ask the client to
+     * refetch when the gap is no longer covered by the buffer
+     * @private
+     */
+    _replay(client, lastEventId) {
+        const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+        const covered = Number.isInteger(lastEventId) &&
+            lastEventId >= oldest - 1 &&
+            lastEventId <= this.lastId;
+
+        if (!covered) {
+            client.res.write(`id: ${this.lastId}\nevent: resync\ndata: {}\n\n`);
+            return;
+        }
+
+        for (const message of this.buffer) {
+            if (message.id > lastEventId) {
+                this._send(client, message);
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _send(client, message) {
+        if (client.slugs && !client.slugs.has(message.data.slug)) {
+            return;
+        }
+        client.res.write(`id: ${message.id}\nevent: probability\ndata: ${JSON.stringify(message.data)}\n\n`);
+    }
+
+    /**
+     * Comment line keeps proxies from closing idle connections
+     * @private
+     */
+    _heartbeat() {
+        for (const client of this.clients.values()) {
+            client.res.write(': ping\n\n');
+        }
+    }
+
+    /**
+     * Find the article whose primary asset is assetId
+     * @private
+     */
+    async _findArticle(assetId) {
+        let slug = this.assetIndex.get(assetId);
+
+        if (!slug && Date.now() - this.indexBuiltAt > INDEX_TTL_MS) {
+            await this._rebuildIndex();
+            slug = this.assetIndex.get(assetId);
+        }
+        if (!slug) {
+            return null;
+        }
+
+        const article = await db.articles.getBySlug(slug);
+        if (!article || getAssetIdFromArticle(article) !== assetId) {
+            this.assetIndex.delete(assetId);
+            return null;
+        }
+        return article;
+    }
+
+    /**
+     * @private
+     */
+    async _rebuildIndex() {
+        const articles = await db.articles.getAll({ limit: Number.MAX_SAFE_INTEGER });
+
+        this.assetIndex.clear();
+        for (const article of articles) {
+            const assetId = getAssetIdFromArticle(article);
+            if (assetId && !article.resolved) {
+                this.assetIndex.set(assetId, article.slug);
+            }
+        }
+        this.indexBuiltAt = Date.now();
+    }
+}
+
+// Export class and singleton instance
+const probabilityStream = new ProbabilityStream();
+
+module.exports = {
+    ProbabilityStream,
+    probabilityStream
+};
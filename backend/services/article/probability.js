@@ -0,0 +1,91 @@
+// Article probability helpers
+// Shared by the article routes and the live probability stream
+
+const db = require('../../db');
+const { probabilityAdjuster } = require('../orderbook/probability-adjuster');
+
+// Get live probability for an article (merges latest prediction if available)
+async function getLiveProbability(article) {
+    if (!article.eventId) {
+        return article.probability;
+    }
+
+    const latestPrediction = await db.predictions.getLatestByEventId(article.eventId);
+    if (latestPrediction && latestPrediction.adjustedProbability !== undefined) {
+        return latestPrediction.adjustedProbability;
+    }
+
+    return article.probability;
+}
+
+// Get adjusted probability based on whale trade signals
+function getAdjustedProbability(article, baseProbability) {
+    // Get asset ID from article's event data
+    const assetId = getAssetIdFromArticle(article);
+    if (!assetId) {
+        return baseProbability;
+    }
+
+    return probabilityAdjuster.getAdjustedProbability(assetId, baseProbability);
+}
+
+// Get whale activity for an article
+function getWhaleActivity(article) {
+    const assetId = getAssetIdFromArticle(article);
+    if (!assetId) {
+        return null;
+    }
+
+    return probabilityAdjuster.getWhaleActivity(assetId);
+}
+
+// Extract asset ID from article's raw data
+function getAssetIdFromArticle(article) {
+    if (!article.eventId) {
+        return null;
+    }
+
+    // The asset ID might be stored in rawData.clobTokenIds
+    // This is a simplified extraction - in practice you may need to look up the event
+    if (article.rawData && article.rawData.clobTokenIds) {
+        try {
+            const tokenIds = typeof article.rawData.clobTokenIds === 'string'
+                ? JSON.parse(article.rawData.clobTokenIds)
+                : article.rawData.clobTokenIds;
+            if (Array.isArray(tokenIds) && tokenIds.length > 0) {
+                return tokenIds[0];
+            }
+        } catch {
+            // Ignore parse errors
+        }
+    }
+
+    return article.eventId;
+}
+
+// Probability of the outcome the article is written about
+// Articles store the first outcome's price; a binary article revised to favor the
+// second outcome ("No") shows the complement. Articles from before favoredIndex
+// was stored fall back to the outcome name.
+function toFavoredProbability(article, probability) {
+    if (typeof probability !== 'number' || article.format === 'multi-outcome') {
+        return probability;
+    }
+    const favoredIndex = article.favoredIndex ?? (article.favoredOutcome === 'No' ? 1 : 0);
+    return favoredIndex === 1 ? 1 - probability : probability;
+}
+
+// Probability shown to readers: live probability adjusted by whale signals, for the favored outcome
+async function getDisplayProbability(article) {
+    const liveProbability = await getLiveProbability(article);
+    return toFavoredProbability(article, getAdjustedProbability(article, liveProbability));
+}
+
+module.exports = {
+    getLiveProbability,
+    getAdjustedProbability,
+    getWhaleActivity,
+    getAssetIdFromArticle,
+    toFavoredProbability,
+    getDisplayProbability
+};
@@ -0,0 +1,123 @@
+/**
+ * Frontend Revalidation
+ * Tells the Next.js frontend which cached pages to regenerate after articles change.
+ *
+ * Listens to the db change feed (articles.create/update), batches the changed
+ * slugs and POSTs them to the frontend's /api/revalidate route, which
+ * revalidates those article pages plus the listings and sitemap (ISR).
+ * Disabled unless REVALIDATE_SECRET is set on both sides.
+ */
+
+const db = require('../../db');
+const config = require('../../config');
+
+class RevalidationNotifier {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Database with a changes feed
+     * @param {Function} options.fetch - fetch implementation (for tests)
+     * @param {Object} options.settings - Overrides for config.site
+     */
+    constructor({ store = db, fetch = globalThis.fetch, settings = {} } = {}) {
+        this.store = store;
+        this.fetch = fetch;
+        this.settings = { ...config.site, ...settings };
+
+        this.running = false;
+        this.timer = null;
+        this.pendingSlugs = new Set();
+        this.onArticle = article => this.enqueue(article);
+
+        // Statistics
+        this.stats = {
+            requests: 0,
+            failures: 0,
+            revalidatedSlugs: 0,
+            lastRevalidatedAt: null,
+            lastError: null
+        };
+    }
+
+    get enabled() {
+        return Boolean(this.settings.revalidateSecret && this.settings.url);
+    }
+
+    start() {
+        if (this.running || !this.enabled || !this.store.changes) return false;
+        this.store.changes.on('article', this.onArticle);
+        this.running = true;
+        console.log(`[Revalidation] Notifying ${this.settings.url}/api/revalidate of article changes`);
+        return true;
+    }
+
+    stop() {
+        if (!this.running) return;
+        this.store.changes.off('article', this.onArticle);
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Collect a changed article; the first change in a window schedules the flush
+    enqueue(article) {
+        if (!article?.slug) return;
+        this.pendingSlugs.add(article.slug);
+
+        if (!this.timer) {
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.flush();
+            }, this.settings.revalidateDebounceMs ?? 5000);
+        }
+    }
+
+    /**
+     * Send pending changes to the frontend
+     * @returns {Promise<boolean>} Whether the frontend accepted the request
+     */
+    async flush() {
+        if (this.pendingSlugs.size === 0) return false;
+
+        const body = { slugs: [...this.pendingSlugs] };
+        this.pendingSlugs.clear();
+        this.stats.requests++;
+
+        try {
+            const response = await this.fetch(`${this.settings.url}/api/revalidate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-revalidate-secret': this.settings.revalidateSecret
+                },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                throw new Error(`Frontend responded ${response.status}`);
+            }
+
+            this.stats.revalidatedSlugs += body.slugs.length;
+            this.stats.lastRevalidatedAt = new Date().toISOString();
+            return true;
+        } catch (error) {
+            // Pages still refresh on their time-based revalidate interval
+            this.stats.failures++;
+            this.stats.lastError = error.message;
+            console.error('[Revalidation] Failed to notify frontend:', error.message);
+            return false;
+        }
+    }
+
+    getStatus() {
+        return {
+            enabled: this.enabled,
+            running: this.running,
+            pending: this.pendingSlugs.size,
+            ...this.stats
+        };
+    }
+}
+
+// Singleton instance
+const revalidationNotifier = new RevalidationNotifier();
+
+module.exports = { RevalidationNotifier, revalidationNotifier };
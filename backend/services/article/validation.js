@@ -0,0 +1,190 @@
+/**
+ * Article Validation
+ * Parses the model's article JSON, validates it against the article schema
+ * and checks the present-tense rule the generation prompt asks for.
+ *
+ * Problems come back as { field, message } lists so the generator can feed
+ * them into a targeted repair prompt instead of discarding the response.
+ */
+
+const config = require('../../config');
+
+// Valid categories for articles
+const VALID_CATEGORIES = ['Politics', 'World', 'Finance', 'Technology', 'Sports', 'Entertainment', 'Crypto', 'Other'];
+
+const ARTICLE_FIELDS = ['headline', 'summary', 'body', 'category', 'isMeaningful'];
+
+// Phrases that break "write EVERYTHING in present tense"
+const TENSE_RULES = [
+    { rule: 'future', pattern: /\b(?:will|shall|won't)\s+(?:not\s+)?(?:be\s+)?[a-z]+/gi },
+    { rule: 'future', pattern: /\b(?:is|are)\s+(?:expected|likely|set|poised|slated|projected|scheduled|going)\s+to\s+[a-z]+/gi },
+    { rule: 'present-perfect', pattern: /\b(?:has|have)\s+(?:just\s+)?(?:been\s+)?[a-z]+ed\b/gi }
+];
+
+// Past-tense verbs are only policed in the headline and summary; the body may give background
+const PAST_TENSE_VERBS = /\b(?:signed|announced|launched|defeated|won(?!'t)|passed|approved|reached|agreed|declared|secured|unveiled)\b/gi;
+const PAST_TENSE_FIELDS = ['headline', 'summary'];
+
+// Violations listed per field in a repair prompt
+const MAX_VIOLATIONS_PER_FIELD = 5;
+
+// Parse JSON from the model response, handling markdown code blocks and control characters
+function parseModelJSON(text) {
+    // Extract JSON from markdown code blocks if present
+    let jsonStr = text;
+    const codeBlockMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+    if (codeBlockMatch) {
+        jsonStr = codeBlockMatch[1];
+    }
+
+    // Replace actual newlines/tabs inside string values with escape sequences
+    // This regex properly handles escaped characters like \" within strings
+    // Pattern: [^"\\] matches any char that's NOT " or \
+    //          \\. matches any escaped sequence (\", \\, \n, etc.)
+    jsonStr = jsonStr.replace(/:\s*"((?:[^"\\]|\\.)*)"/g, (match, content) => {
+        const escaped = content
+            .replace(/\r\n/g, '\\n')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\n')
+            .replace(/\t/g, '\\t');
+        return `: "${escaped}"`;
+    });
+
+    return JSON.parse(jsonStr.trim());
+}
+
+/**
+ * Article payload schema; limits come from config.article
+ * @returns {Object} field -> { type, maxLength?, maxWords?, enum? }
+ */
+function getArticleSchema() {
+    const articleConfig = config.article || {};
+
+    return {
+        headline: { type: 'string', maxLength: articleConfig.headlineLength || 80 },
+        summary: { type: 'string', maxLength: articleConfig.summaryLength || 150 },
+        body: { type: 'string', maxWords: articleConfig.maxLength || 800 },
+        category: { type: 'string', enum: VALID_CATEGORIES },
+        isMeaningful: { type: 'boolean' }
+    };
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Validate a parsed payload against the article schema
+ * @param {*} payload
+ * @returns {Array<{field, message}>} Empty when valid
+ */
+function validateArticle(payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        return [{ field: 'json', message: 'must be a JSON object' }];
+    }
+
+    const errors = [];
+    for (const [field, rule] of Object.entries(getArticleSchema())) {
+        const value = payload[field];
+
+        if (value === undefined || value === null || value === '') {
+            errors.push({ field, message: 'is required' });
+            continue;
+        }
+        if (typeof value !== rule.type) {
+            errors.push({ field, message: `must be a ${rule.type} (got ${typeof value})` });
+            continue;
+        }
+        if (rule.type === 'string' && !value.trim()) {
+            errors.push({ field, message: 'must not be blank' });
+        }
+        if (rule.maxLength && value.length > rule.maxLength) {
+            errors.push({ field, message: `must be at most ${rule.maxLength} characters (got ${value.length})` });
+        }
+        if (rule.maxWords && countWords(value) > rule.maxWords) {
+            errors.push({ field, message: `must be at most ${rule.maxWords} words (got ${countWords(value)})` });
+        }
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push({ field, message: `must be one of ${rule.enum.join(', ')} (got "${value}")` });
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate a raw model response
+ * @param {string} text
+ * @returns {{payload: Object|null, errors: Array<{field, message}>}}
+ */
+function parseArticle(text) {
+    let payload;
+    try {
+        payload = parseModelJSON(text || '');
+    } catch (error) {
+        return { payload: null, errors: [{ field: 'json', message: `is not valid JSON (${error.message})` }] };
+    }
+
+    return { payload, errors: validateArticle(payload) };
+}
+
+/**
+ * Rule-based present-tense check over the article text fields
+ * @param {Object} payload - Valid article payload
+ * @returns {Array<{field, rule, phrase}>} Empty when the article reads as present tense
+ */
+function checkPresentTense(payload) {
+    const violations = [];
+
+    for (const field of ['headline', 'summary', 'body']) {
+        const text = payload[field] || '';
+        const rules = PAST_TENSE_FIELDS.includes(field)
+            ? [...TENSE_RULES, { rule: 'past', pattern: PAST_TENSE_VERBS }]
+            : TENSE_RULES;
+
+        const found = [];
+        for (const { rule, pattern } of rules) {
+            for (const match of text.matchAll(pattern)) {
+                found.push({ field, rule, phrase: match[0], index: match.index });
+            }
+        }
+
+        found
+            .sort((a, b) => a.index - b.index)
+            .slice(0, MAX_VIOLATIONS_PER_FIELD)
+            .forEach(({ index, ...violation }) => violations.push(violation));
+    }
+
+    return violations;
+}
+
+// Follow-up prompt asking the model to fix schema problems in its previous response
+function buildRepairPrompt(errors) {
+    const problems = errors.map(error => `- ${error.field}: ${error.message}`).join('\n');
+
+    return `Your previous response does not match the required article format:
+${problems}
+
+Return ONLY the corrected JSON object with exactly these fields: ${ARTICLE_FIELDS.join(', ')}. Keep the content that is already valid unchanged.`;
+}
+
+// Follow-up prompt asking the model to rewrite passages that break the tense rule
+function buildTensePrompt(violations) {
+    const problems = violations.map(v => `- ${v.field}: "${v.phrase}" (${v.rule})`).join('\n');
+
+    return `Your article breaks the present-tense rule in these passages:
+${problems}
+
+Rewrite them in present tense ("signs", not "will sign", "signed" or "has signed") and return ONLY the full corrected JSON object with the same fields.`;
+}
+
+module.exports = {
+    VALID_CATEGORIES,
+    parseModelJSON,
+    getArticleSchema,
+    validateArticle,
+    parseArticle,
+    checkPresentTense,
+    buildRepairPrompt,
+    buildTensePrompt
+};
@@ -0,0 +1,76 @@
+/**
+ * Backtest Metrics
+ * Proper scoring rules for probability forecasts against resolved outcomes.
+ * Lower is better for both Brier score and log loss.
+ */
+
+// Keeps log loss finite for forecasts of exactly 0 or 1
+const EPSILON = 1e-6;
+
+/**
+ * Mean squared error between forecast and outcome
+ * @param {Array<{ probability: number, outcome: number }>} forecasts
+ * @returns {number|null} Brier score, or null with no forecasts
+ */
+function brierScore(forecasts) {
+    if (forecasts.length === 0) return null;
+
+    const total = forecasts.reduce((sum, f) => sum + Math.pow(f.probability - f.outcome, 2), 0);
+    return total / forecasts.length;
+}
+
+/**
+ * Mean negative log likelihood (binary cross-entropy)
+ * Outcomes may be fractional for markets that resolved without a single winner.
+ * @param {Array<{ probability: number, outcome: number }>} forecasts
+ * @returns {number|null} Log loss, or null with no forecasts
+ */
+function logLoss(forecasts) {
+    if (forecasts.length === 0) return null;
+
+    const total = forecasts.reduce((sum, f) => {
+        const p = Math.min(1 - EPSILON, Math.max(EPSILON, f.probability));
+        return sum - (f.outcome * Math.log(p) + (1 - f.outcome) * Math.log(1 - p));
+    }, 0);
+    return total / forecasts.length;
+}
+
+/**
+ * Score one forecast series
+ * @param {Array<{ probability: number, outcome: number }>} forecasts
+ * @returns {Object} { count, brier, logLoss }
+ */
+function score(forecasts) {
+    return {
+        count: forecasts.length,
+        brier: round(brierScore(forecasts)),
+        logLoss: round(logLoss(forecasts))
+    };
+}
+
+/**
+ * Compare a forecast series against a baseline
+ * Skill > 0 means the forecast beats the baseline (1 - forecast / baseline).
+ * @param {Object} forecastScore - From score()
+ * @param {Object} baselineScore - From score()
+ * @returns {Object} { brierSkill, logLossSkill }
+ */
+function skill(forecastScore, baselineScore) {
+    const ratio = (value, base) => (value === null || !base ? null : round(1 - value / base));
+
+    return {
+        brierSkill: ratio(forecastScore.brier, baselineScore.brier),
+        logLossSkill: ratio(forecastScore.logLoss, baselineScore.logLoss)
+    };
+}
+
+function round(value, digits = 6) {
+    return value === null ? null : parseFloat(value.toFixed(digits));
+}
+
+module.exports = {
+    brierScore,
+    logLoss,
+    score,
+    skill
+};
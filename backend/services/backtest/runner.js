@@ -0,0 +1,343 @@
+/**
+ * Backtest Runner
+ * Replays stored order book snapshots, trades and whale trades for resolved markets
+ * through the WhaleDetector, ProbabilityAdjuster and real-time signal processors,
+ * then scores the resulting probabilities against the actual outcomes.
+ *
+ * Every trade on a resolved token is one forecast point: the trade price is the raw
+ * Polymarket probability, and the adjuster's output at that moment is ours.
+ *
+ * Processors that read resolution-derived state (usesOutcomes, e.g. wallet win rates)
+ * are left out: their stats already include the outcomes being scored.
+ */
+
+const { OrderBookManager } = require('../orderbook/order-book-manager');
+const { WhaleDetector } = require('../orderbook/whale-detector');
+const { ProbabilityAdjuster } = require('../orderbook/probability-adjuster');
+const signalRegistry = require('../signals/registry');
+const { createSignalContext, getProcessorMetadata, hasInputs, normalizeSignal } = require('../signals/signal');
+const { score, skill } = require('./metrics');
+const db = require('../../db');
+const config = require('../../config');
+
+// Order of replay for items sharing a timestamp: books first, so trades see them
+const REPLAY_ORDER = { snapshot: 0, whale: 1, trade: 2 };
+
+function toMs(value) {
+    if (value === null || value === undefined || value === '') return NaN;
+    if (typeof value === 'number' || /^\d+$/.test(value)) return Number(value);
+    return new Date(value).getTime();
+}
+
+class BacktestRunner {
+    /**
+     * @param {Object} options
+     * @param {Object} options.registry - Signal registry (getRealtimeProcessors)
+     */
+    constructor({ registry = signalRegistry } = {}) {
+        this.registry = registry;
+    }
+
+    /**
+     * Run and persist a backtest
+     * @param {Object} params
+     * @param {string|number} params.startTime - Start of the replay window
+     * @param {string|number} params.endTime - End of the replay window
+     * @param {string[]} [params.eventIds] - Limit to these events
+     * @param {boolean} [params.includeSignals=true] - Also apply real-time signal processor adjustments
+     *   (except processors that use outcomes, see the module header)
+     * @param {Object} [params.whaleConfig] - WhaleDetector overrides
+     * @param {Object} [params.adjusterConfig] - ProbabilityAdjuster overrides
+     * @returns {Promise<Object>} Stored backtest run
+     */
+    async run(params) {
+        const startedAt = Date.now();
+        const parameters = {
+            startTime: new Date(toMs(params.startTime)).toISOString(),
+            endTime: new Date(toMs(params.endTime)).toISOString(),
+            eventIds: params.eventIds || null,
+            includeSignals: params.includeSignals !== false,
+            whaleConfig: params.whaleConfig || {},
+            adjusterConfig: params.adjusterConfig || {}
+        };
+
+        const { processors, excluded } = this._getProcessors(parameters);
+        parameters.excludedProcessors = excluded;
+
+        const outcomes = await this._loadOutcomes(parameters.eventIds);
+        const { timeline, truncated } = await this._buildTimeline(parameters, outcomes);
+        const replay = await this._replay(timeline, outcomes, parameters, processors);
+
+        const raw = score(replay.forecasts.map(f => ({ probability: f.raw, outcome: f.outcome })));
+        const baseline = score(replay.forecasts.map(f => ({ probability: f.clamped, outcome: f.outcome })));
+        const whaleAdjusted = score(replay.forecasts.map(f => ({ probability: f.whaleAdjusted, outcome: f.outcome })));
+        const combined = score(replay.forecasts.map(f => ({ probability: f.combined, outcome: f.outcome })));
+
+        return db.backtests.create({
+            status: 'completed',
+            parameters,
+            counts: {
+                resolvedTokens: outcomes.size,
+                snapshots: timeline.filter(i => i.type === 'snapshot').length,
+                trades: timeline.filter(i => i.type === 'trade').length,
+                recordedWhaleTrades: timeline.filter(i => i.type === 'whale').length,
+                detectedWhaleTrades: replay.detectedWhaleTrades,
+                signals: replay.signals,
+                forecasts: replay.forecasts.length,
+                truncated
+            },
+            metrics: {
+                raw,
+                // Raw prices clamped to the adjuster's 2%-98% range, to isolate the whale effect
+                baseline,
+                whaleAdjusted,
+                combined,
+                whaleVsRaw: skill(whaleAdjusted, raw),
+                whaleVsBaseline: skill(whaleAdjusted, baseline),
+                combinedVsRaw: skill(combined, raw)
+            },
+            markets: this._scoreByMarket(replay.forecasts),
+            durationMs: Date.now() - startedAt
+        });
+    }
+
+    /**
+     * Resolved outcome per token, from settled market resolutions
+     * @private
+     * @returns {Promise<Map<string, Object>>} tokenId -> { outcome, marketId, eventId, outcomeName }
+     */
+    async _loadOutcomes(eventIds) {
+        const resolutions = await db.resolutions.getRecent(Number.MAX_SAFE_INTEGER);
+        const outcomes = new Map();
+
+        for (const resolution of resolutions) {
+            if (eventIds && !eventIds.includes(String(resolution.eventId))) continue;
+
+            for (const payout of resolution.payouts || []) {
+                if (!payout.tokenId) continue;
+                outcomes.set(payout.tokenId, {
+                    outcome: payout.payout,
+                    outcomeName: payout.outcome,
+                    marketId: resolution.marketId,
+                    eventId: resolution.eventId,
+                    question: resolution.question
+                });
+            }
+        }
+
+        return outcomes;
+    }
+
+    /**
+     * Merge stored data in the window into one time-ordered list
+     * @private
+     */
+    async _buildTimeline({ startTime, endTime }, outcomes) {
+        const start = toMs(startTime);
+        const end = toMs(endTime);
+        const inWindow = (ms) => ms >= start && ms <= end;
+        const timeline = [];
+
+        // Trades (deduplicated: the stream processor and wallet tracker both record each trade)
+        const seenTrades = new Set();
+        for (const trade of await db.tradeHistory.getInTimeRange(startTime, endTime)) {
+            const tokenId = trade.tokenId || trade.marketId;
+            if (!outcomes.has(tokenId)) continue;
+            if (trade.id && seenTrades.has(trade.id)) continue;
+            if (trade.id) seenTrades.add(trade.id);
+
+            const time = toMs(trade.timestamp || trade.recordedAt);
+            if (inWindow(time)) {
+                timeline.push({ type: 'trade', time, tokenId, data: trade });
+            }
+        }
+
+        // Order book snapshots
+        const tokensWithBooks = new Set();
+        for (const tokenId of outcomes.keys()) {
+            for (const snapshot of await db.orderbookSnapshots.getInTimeRange(tokenId, startTime, endTime)) {
+                timeline.push({ type: 'snapshot', time: toMs(snapshot.recordedAt), tokenId, data: snapshot });
+                tokensWithBooks.add(tokenId);
+            }
+        }
+
+        // Recorded whale trades stand in for detection on tokens without book history
+        for (const whale of await db.whaleTrades.getInTimeRange(startTime, endTime)) {
+            if (!outcomes.has(whale.assetId) || tokensWithBooks.has(whale.assetId)) continue;
+            timeline.push({ type: 'whale', time: toMs(whale.timestamp || whale.recordedAt), tokenId: whale.assetId, data: whale });
+        }
+
+        timeline.sort((a, b) => a.time - b.time || REPLAY_ORDER[a.type] - REPLAY_ORDER[b.type]);
+
+        // Bound the work per run
+        const maxTrades = config.backtest.maxTrades;
+        let trades = 0;
+        const cutoff = timeline.findIndex(item => item.type === 'trade' && ++trades > maxTrades);
+
+        return {
+            timeline: cutoff === -1 ? timeline : timeline.slice(0, cutoff),
+            truncated: cutoff !== -1
+        };
+    }
+
+    /**
+     * Real-time processors to replay, without those that use outcomes
+     * @private
+     * @returns {{ processors: Object[], excluded: string[] }}
+     */
+    _getProcessors({ includeSignals }) {
+        if (!includeSignals) {
+            return { processors: [], excluded: [] };
+        }
+
+        const processors = [];
+        const excluded = [];
+        for (const processor of this.registry.getRealtimeProcessors()) {
+            if (getProcessorMetadata(processor).usesOutcomes) {
+                excluded.push(processor.name);
+            } else {
+                processors.push(processor);
+            }
+        }
+        return { processors, excluded };
+    }
+
+    /**
+     * Replay the timeline on a simulated clock
+     * @private
+     */
+    async _replay(timeline, outcomes, parameters, processors) {
+        let clock = timeline.length > 0 ? timeline[0].time : Date.now();
+
+        const books = new OrderBookManager();
+        const detector = new WhaleDetector(books, parameters.whaleConfig, { clob: null });
+        const adjuster = new ProbabilityAdjuster(parameters.adjusterConfig, { now: () => clock });
+        const { decayHalfLifeMs, maxSignalAge } = adjuster.getConfig();
+
+        const markets = await this._loadMarkets(outcomes);
+        const signalAdjustments = new Map(); // tokenId -> [{ time, adjustment }]
+        const forecasts = [];
+        let detectedWhaleTrades = 0;
+        let signals = 0;
+
+        // Sum of processor adjustments for a token, decayed like whale signals
+        const signalAdjustment = (tokenId) => {
+            const active = (signalAdjustments.get(tokenId) || []).filter(s => clock - s.time <= maxSignalAge);
+            signalAdjustments.set(tokenId, active);
+            return active.reduce((sum, s) => sum + s.adjustment * Math.pow(0.5, (clock - s.time) / decayHalfLifeMs), 0);
+        };
+
+        for (const item of timeline) {
+            clock = item.time;
+
+            if (item.type === 'snapshot') {
+                books.handleBookSnapshot({ asset_id: item.tokenId, bids: item.data.bids, asks: item.data.asks });
+                continue;
+            }
+
+            if (item.type === 'whale') {
+                adjuster.recordWhaleTrade(item.data);
+                continue;
+            }
+
+            const trade = item.data;
+            const whale = detector.analyzeTrade({ ...trade, asset_id: item.tokenId, timestamp: item.time });
+            if (whale) {
+                detectedWhaleTrades++;
+                adjuster.recordWhaleTrade(whale);
+            }
+
+            // Note: processors read wallet profiles and trade history as they are now,
+            // so signal results carry some lookahead relative to the replay clock
+            // (outcome-derived state is excluded, see _getProcessors)
+            const market = markets.get(item.tokenId);
+            const book = books.hasOrderBook(item.tokenId) ? books.getOrderBook(item.tokenId).getFullBook() : null;
+            const context = createSignalContext({ mode: 'realtime', event: market.event, market, trade, orderbook: book });
+            for (const processor of processors) {
+                if (!hasInputs(processor, context)) continue;
+
+                try {
+                    const result = await processor.process(context);
+                    if (result?.detected) {
+                        signals++;
+                        const list = signalAdjustments.get(item.tokenId) || [];
+                        list.push({ time: item.time, adjustment: normalizeSignal(processor, result, context).adjustment });
+                        signalAdjustments.set(item.tokenId, list);
+                    }
+                } catch (error) {
+                    console.error(`[Backtest] Processor ${processor.name} failed:`, error.message);
+                }
+            }
+
+            const raw = parseFloat(trade.price);
+            if (!(raw >= 0 && raw <= 1)) continue;
+
+            const whaleAdjusted = adjuster.getAdjustedProbability(item.tokenId, raw);
+            forecasts.push({
+                tokenId: item.tokenId,
+                marketId: market.marketId,
+                outcome: outcomes.get(item.tokenId).outcome,
+                raw,
+                clamped: Math.max(0.02, Math.min(0.98, raw)),
+                whaleAdjusted,
+                combined: Math.max(0.01, Math.min(0.99, whaleAdjusted + signalAdjustment(item.tokenId)))
+            });
+        }
+
+        return { forecasts, detectedWhaleTrades, signals };
+    }
+
+    /**
+     * Market context for processors, keyed by token
+     * @private
+     */
+    async _loadMarkets(outcomes) {
+        const events = new Map();
+        const markets = new Map();
+
+        for (const [tokenId, info] of outcomes) {
+            if (!events.has(info.eventId)) {
+                events.set(info.eventId, await db.events.getById(info.eventId));
+            }
+            const event = events.get(info.eventId) || { id: info.eventId };
+
+            markets.set(tokenId, {
+                tokenId,
+                marketId: info.marketId,
+                question: info.question,
+                endDate: event.endDate || null,
+                liquidity: parseFloat(event.rawData?.liquidityNum) || 0,
+                event
+            });
+        }
+
+        return markets;
+    }
+
+    /**
+     * Per-market scores, worst raw Brier first
+     * @private
+     */
+    _scoreByMarket(forecasts) {
+        const byMarket = new Map();
+        for (const f of forecasts) {
+            if (!byMarket.has(f.marketId)) byMarket.set(f.marketId, []);
+            byMarket.get(f.marketId).push(f);
+        }
+
+        return Array.from(byMarket, ([marketId, list]) => ({
+            marketId,
+            raw: score(list.map(f => ({ probability: f.raw, outcome: f.outcome }))),
+            whaleAdjusted: score(list.map(f => ({ probability: f.whaleAdjusted, outcome: f.outcome }))),
+            combined: score(list.map(f => ({ probability: f.combined, outcome: f.outcome })))
+        })).sort((a, b) => b.raw.brier - a.raw.brier);
+    }
+}
+
+// Export class and singleton instance
+const backtestRunner = new BacktestRunner();
+
+module.exports = {
+    BacktestRunner,
+    backtestRunner
+};
@@ -0,0 +1,104 @@
+// In-memory cache driver
+// Entries carry an absolute expiry; expired keys are dropped on read and by a single periodic sweep
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryDriver {
+    constructor({ sweepIntervalMs = SWEEP_INTERVAL_MS } = {}) {
+        this.name = 'in-memory';
+        this.store = new Map();   // key -> { value, expiresAt, tags }
+        this.tags = new Map();    // tag -> Set<key>
+
+        this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs);
+        // Don't keep the process alive just for cache housekeeping
+        if (this.sweepTimer.unref) {
+            this.sweepTimer.unref();
+        }
+    }
+
+    isExpired(entry, now = Date.now()) {
+        return entry.expiresAt !== null && entry.expiresAt <= now;
+    }
+
+    // Remove all expired entries
+    sweep() {
+        const now = Date.now();
+        for (const [key, entry] of this.store) {
+            if (this.isExpired(entry, now)) {
+                this.removeKey(key);
+            }
+        }
+    }
+
+    removeKey(key) {
+        const entry = this.store.get(key);
+        if (!entry) return false;
+
+        for (const tag of entry.tags) {
+            const keys = this.tags.get(tag);
+            if (keys) {
+                keys.delete(key);
+                if (keys.size === 0) this.tags.delete(tag);
+            }
+        }
+        return this.store.delete(key);
+    }
+
+    async get(key) {
+        const entry = this.store.get(key);
+        if (!entry) return null;
+        if (this.isExpired(entry)) {
+            this.removeKey(key);
+            return null;
+        }
+        return entry.value;
+    }
+
+    async set(key, value, ttl, tags = []) {
+        this.removeKey(key);
+        this.store.set(key, {
+            value,
+            expiresAt: ttl ? Date.now() + ttl : null,
+            tags
+        });
+
+        for (const tag of tags) {
+            if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+            this.tags.get(tag).add(key);
+        }
+    }
+
+    async delete(key) {
+        return this.removeKey(key);
+    }
+
+    async deleteTag(tag) {
+        const keys = Array.from(this.tags.get(tag) || []);
+        for (const key of keys) {
+            this.removeKey(key);
+        }
+        this.tags.delete(tag);
+        return keys.length;
+    }
+
+    async clear() {
+        this.store.clear();
+        this.tags.clear();
+    }
+
+    async keys() {
+        this.sweep();
+        return Array.from(this.store.keys());
+    }
+
+    async size() {
+        this.sweep();
+        return this.store.size;
+    }
+
+    async close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+module.exports = MemoryDriver;
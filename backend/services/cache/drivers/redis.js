@@ -0,0 +1,117 @@
+// Redis cache driver
+// Values are stored as JSON with a PX expiry, so TTLs are shared by every backend instance.
+// Tags are Redis sets of cache keys, expiring no earlier than the longest-lived member.
+
+const SCAN_COUNT = 100;
+
+class RedisDriver {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.client] - ioredis-compatible client (created from url when omitted)
+     * @param {string} [options.url] - Redis connection URL
+     * @param {string} [options.keyPrefix] - Namespace for all cache keys
+     */
+    constructor({ client = null, url = null, keyPrefix = 'futuretimes:cache:' } = {}) {
+        this.name = 'redis';
+        this.keyPrefix = keyPrefix;
+
+        if (client) {
+            this.redis = client;
+        } else {
+            const Redis = require('ioredis');
+            this.redis = new Redis(url, { maxRetriesPerRequest: 2 });
+            this.redis.on('error', (error) => {
+                console.error('[Cache] Redis error:', error.message);
+            });
+        }
+    }
+
+    dataKey(key) {
+        return `${this.keyPrefix}key:${key}`;
+    }
+
+    tagKey(tag) {
+        return `${this.keyPrefix}tag:${tag}`;
+    }
+
+    // Iterate over every Redis key matching a pattern
+    async scan(pattern) {
+        const found = [];
+        let cursor = '0';
+        do {
+            const [next, batch] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+            found.push(...batch);
+            cursor = next;
+        } while (cursor !== '0');
+        return found;
+    }
+
+    async get(key) {
+        const raw = await this.redis.get(this.dataKey(key));
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(key, value, ttl, tags = []) {
+        const dataKey = this.dataKey(key);
+
+        // Remaining lifetime of each tag set before this write (-2 missing, -1 no expiry)
+        const remaining = await Promise.all(tags.map(tag => this.redis.pttl(this.tagKey(tag))));
+
+        const multi = this.redis.multi();
+        if (ttl) {
+            multi.set(dataKey, JSON.stringify(value), 'PX', ttl);
+        } else {
+            multi.set(dataKey, JSON.stringify(value));
+        }
+
+        // Keep each tag set alive at least as long as its longest-lived member
+        tags.forEach((tag, i) => {
+            const tagKey = this.tagKey(tag);
+            multi.sadd(tagKey, dataKey);
+            if (!ttl) {
+                multi.persist(tagKey);
+            } else if (remaining[i] === -2 || (remaining[i] >= 0 && remaining[i] < ttl)) {
+                multi.pexpire(tagKey, ttl);
+            }
+        });
+
+        await multi.exec();
+    }
+
+    async delete(key) {
+        return (await this.redis.del(this.dataKey(key))) > 0;
+    }
+
+    async deleteTag(tag) {
+        const tagKey = this.tagKey(tag);
+        const members = await this.redis.smembers(tagKey);
+        if (members.length > 0) {
+            await this.redis.del(...members);
+        }
+        await this.redis.del(tagKey);
+        return members.length;
+    }
+
+    async clear() {
+        const keys = await this.scan(`${this.keyPrefix}*`);
+        if (keys.length > 0) {
+            await this.redis.del(...keys);
+        }
+    }
+
+    async keys() {
+        const prefix = this.dataKey('');
+        const keys = await this.scan(`${prefix}*`);
+        return keys.map(k => k.slice(prefix.length));
+    }
+
+    async size() {
+        return (await this.keys()).length;
+    }
+
+    async close() {
+        await this.redis.quit();
+    }
+}
+
+module.exports = RedisDriver;
@@ -1,81 +1,123 @@
-// In-memory cache with TTL support
-// Can be replaced with Redis for production
+// Cache with TTL and tag support
+// Backed by Redis when REDIS_URL is configured (shared across backend instances),
+// otherwise by an in-process Map. Cache failures degrade to misses rather than errors.
 
 const config = require('../../config');
+const MemoryDriver = require('./drivers/memory');
+const RedisDriver = require('./drivers/redis');
 
 class Cache {
-    constructor() {
-        this.store = new Map();
-        this.timers = new Map();
+    /**
+     * @param {Object} driver - MemoryDriver, RedisDriver, or anything with the same async interface
+     */
+    constructor(driver) {
+        this.driver = driver;
+        // key -> Promise for fetches currently in progress (stampede protection)
+        this.inflight = new Map();
     }
 
-    set(key, value, ttl = config.cache.articleTTL) {
-        // Clear existing timer
-        if (this.timers.has(key)) {
-            clearTimeout(this.timers.get(key));
-        }
+    get driverName() {
+        return this.driver.name;
+    }
 
-        this.store.set(key, {
-            value,
-            createdAt: Date.now()
-        });
+    async get(key) {
+        try {
+            return await this.driver.get(key);
+        } catch (error) {
+            console.error(`[Cache] get ${key} failed:`, error.message);
+            return null;
+        }
+    }
 
-        // Set expiration timer
-        const timer = setTimeout(() => {
-            this.delete(key);
-        }, ttl);
-        this.timers.set(key, timer);
+    /**
+     * Store a value
+     * @param {string} key
+     * @param {*} value - Must be JSON-serializable for the Redis driver
+     * @param {number} ttl - Time to live in ms
+     * @param {Object} options
+     * @param {string[]} options.tags - Tags for group invalidation (e.g. 'category:Politics')
+     */
+    async set(key, value, ttl = config.cache.articleTTL, { tags = [] } = {}) {
+        try {
+            await this.driver.set(key, value, ttl, tags);
+        } catch (error) {
+            console.error(`[Cache] set ${key} failed:`, error.message);
+        }
     }
 
-    get(key) {
-        const item = this.store.get(key);
-        return item ? item.value : null;
+    async has(key) {
+        return (await this.get(key)) !== null;
     }
 
-    has(key) {
-        return this.store.has(key);
+    async delete(key) {
+        return this.driver.delete(key);
     }
 
-    delete(key) {
-        if (this.timers.has(key)) {
-            clearTimeout(this.timers.get(key));
-            this.timers.delete(key);
-        }
-        return this.store.delete(key);
+    /**
+     * Delete every entry stored with a tag
+     * @returns {number} Number of keys removed
+     */
+    async invalidateTag(tag) {
+        return this.driver.deleteTag(tag);
     }
 
-    clear() {
-        for (const timer of this.timers.values()) {
-            clearTimeout(timer);
-        }
-        this.timers.clear();
-        this.store.clear();
+    async clear() {
+        this.inflight.clear();
+        return this.driver.clear();
     }
 
     // Get with callback for cache-aside pattern
-    async getOrSet(key, fetchFn, ttl) {
-        const cached = this.get(key);
+    // Concurrent calls for the same key share a single fetchFn invocation.
+    // options.tags may be an array or a function of the fetched value.
+    async getOrSet(key, fetchFn, ttl, { tags = [] } = {}) {
+        const cached = await this.get(key);
         if (cached !== null) {
             return cached;
         }
 
-        const value = await fetchFn();
-        if (value !== null && value !== undefined) {
-            this.set(key, value, ttl);
+        if (this.inflight.has(key)) {
+            return this.inflight.get(key);
         }
-        return value;
+
+        const pending = (async () => {
+            try {
+                const value = await fetchFn();
+                if (value !== null && value !== undefined) {
+                    const resolvedTags = typeof tags === 'function' ? tags(value) : tags;
+                    await this.set(key, value, ttl, { tags: resolvedTags });
+                }
+                return value;
+            } finally {
+                this.inflight.delete(key);
+            }
+        })();
+
+        this.inflight.set(key, pending);
+        return pending;
+    }
+
+    async size() {
+        return this.driver.size();
     }
 
-    size() {
-        return this.store.size;
+    async keys() {
+        return this.driver.keys();
     }
 
-    keys() {
-        return Array.from(this.store.keys());
+    async close() {
+        return this.driver.close();
+    }
+}
+
+function createDriver() {
+    if (config.redis.useInMemory) {
+        return new MemoryDriver();
     }
+    return new RedisDriver({ url: config.redis.url, keyPrefix: config.redis.keyPrefix });
 }
 
 // Singleton instance
-const cache = new Cache();
+const cache = new Cache(createDriver());
 
 module.exports = cache;
+module.exports.Cache = Cache;
@@ -0,0 +1,214 @@
+/**
+ * Calibration Recorder
+ * Records the probability readers see on every open article, so published
+ * probabilities can later be scored against how the markets resolved.
+ *
+ * Each snapshot holds the raw market probability (live Polymarket price) and the
+ * whale-adjusted probability shown on the site, computed the same way as the
+ * article routes. Open articles are recorded every snapshotIntervalMs; the first
+ * run after an article's expiresAt records a final 'close' snapshot and stops.
+ * Multi-outcome snapshots also name the field leader the probability is for.
+ *
+ * Interval snapshots older than thinAfterDays are thinned to one per article per
+ * thinnedSpacingMs (about once per spacing), so the table stops growing with every
+ * interval of every article's life.
+ */
+
+const { getLiveProbability, getAdjustedProbability } = require('../article/probability');
+const db = require('../../db');
+const config = require('../../config');
+
+// Articles fetched per page while recording
+const PAGE_SIZE = 500;
+
+class CalibrationRecorder {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Database with articles and probabilitySnapshots
+     * @param {Object} options.settings - Overrides for config.calibration
+     */
+    constructor({ store = db, settings = {} } = {}) {
+        this.store = store;
+        this.settings = { ...config.calibration, ...settings };
+
+        this.timer = null;
+        this.recording = false;
+        this.closed = new Set();    // articleIds with a close snapshot
+        this.lastThinnedAt = 0;
+
+        // Statistics
+        this.lastRunAt = null;
+        this.lastRunError = null;
+        this.snapshotsRecorded = 0;
+        this.closeSnapshotsRecorded = 0;
+        this.snapshotsThinned = 0;
+    }
+
+    /**
+     * Record now and then on the configured interval
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        const run = () => this.snapshotOnce().catch(error => {
+            console.error('[Calibration] Snapshot failed:', error.message);
+        });
+
+        this.timer = setInterval(run, this.settings.snapshotIntervalMs);
+        run();
+
+        console.log(`[Calibration] Recorder started (every ${Math.round(this.settings.snapshotIntervalMs / 60000)}m)`);
+    }
+
+    stop() {
+        if (!this.timer) {
+            return;
+        }
+        clearInterval(this.timer);
+        this.timer = null;
+        console.log('[Calibration] Recorder stopped');
+    }
+
+    /**
+     * Record the displayed probability of every open article
+     * @returns {Promise<Object>} { recorded, closed, thinned? }
+     */
+    async snapshotOnce() {
+        if (this.recording) {
+            return { recorded: 0, closed: 0, skipped: true };
+        }
+        this.recording = true;
+
+        const summary = { recorded: 0, closed: 0 };
+        const now = Date.now();
+
+        try {
+            for (let offset = 0; ; offset += PAGE_SIZE) {
+                const page = await this.store.articles.getAll({ limit: PAGE_SIZE, offset });
+
+                for (const article of page) {
+                    const kind = await this.getSnapshotKind(article, now);
+                    if (!kind) continue;
+
+                    const snapshot = await this.recordArticle(article, kind);
+                    if (!snapshot) continue;
+
+                    summary.recorded++;
+                    if (kind === 'close') summary.closed++;
+                }
+
+                if (page.length < PAGE_SIZE) break;
+            }
+
+            const thinned = await this.thinSnapshots(now);
+            if (thinned > 0) summary.thinned = thinned;
+
+            this.lastRunError = null;
+        } catch (error) {
+            this.lastRunError = error.message;
+            throw error;
+        } finally {
+            this.recording = false;
+            this.lastRunAt = new Date().toISOString();
+        }
+
+        return summary;
+    }
+
+    /**
+     * Thin old interval snapshots, at most once per thinnedSpacingMs
+     * @param {number} [now]
+     * @returns {Promise<number>} Snapshots deleted
+     */
+    async thinSnapshots(now = Date.now()) {
+        const { thinAfterDays, thinnedSpacingMs } = this.settings;
+        if (!thinAfterDays || !thinnedSpacingMs || now - this.lastThinnedAt < thinnedSpacingMs) {
+            return 0;
+        }
+        this.lastThinnedAt = now;
+
+        const deleted = await this.store.probabilitySnapshots.thin(now - thinAfterDays * 24 * 60 * 60 * 1000, thinnedSpacingMs);
+        this.snapshotsThinned += deleted;
+        return deleted;
+    }
+
+    /**
+     * 'interval' for open articles, 'close' once past expiresAt, null when done
+     * @private
+     */
+    async getSnapshotKind(article, now) {
+        if (article.resolved === true || this.closed.has(article.id)) {
+            return null;
+        }
+
+        const expiresAt = article.expiresAt ? new Date(article.expiresAt).getTime() : null;
+        if (expiresAt === null || Number.isNaN(expiresAt) || expiresAt > now) {
+            return 'interval';
+        }
+
+        // After a restart the close snapshot may already be stored
+        const latest = await this.store.probabilitySnapshots.getLatestByArticleId(article.id);
+        if (latest?.kind === 'close') {
+            this.closed.add(article.id);
+            return null;
+        }
+        return 'close';
+    }
+
+    /**
+     * Record one article's displayed probability (as formatArticleCard computes it)
+     * @param {Object} article - Article from db.articles
+     * @param {string} kind - 'interval' or 'close'
+     * @returns {Promise<Object|null>} Stored snapshot, or null without a probability
+     */
+    async recordArticle(article, kind = 'interval') {
+        const marketProbability = await getLiveProbability(article);
+        if (typeof marketProbability !== 'number') {
+            return null;
+        }
+        const adjustedProbability = getAdjustedProbability(article, marketProbability);
+        const format = article.format ?? 'binary';
+
+        const snapshot = await this.store.probabilitySnapshots.record({
+            articleId: article.id,
+            eventId: article.eventId,
+            category: article.category,
+            format,
+            // The leader the article names; calibration scores whether it won the field
+            ...(format === 'multi-outcome' && { outcome: article.favoredOutcome || article.field?.[0]?.name || null }),
+            marketProbability,
+            adjustedProbability,
+            kind
+        });
+
+        this.snapshotsRecorded++;
+        if (kind === 'close') {
+            this.closed.add(article.id);
+            this.closeSnapshotsRecorded++;
+        }
+        return snapshot;
+    }
+
+    getStatus() {
+        return {
+            running: this.timer !== null,
+            recording: this.recording,
+            lastRunAt: this.lastRunAt,
+            lastRunError: this.lastRunError,
+            snapshotsRecorded: this.snapshotsRecorded,
+            closeSnapshotsRecorded: this.closeSnapshotsRecorded,
+            snapshotsThinned: this.snapshotsThinned,
+            config: { ...this.settings }
+        };
+    }
+}
+
+// Export class and singleton instance
+const calibrationRecorder = new CalibrationRecorder();
+
+module.exports = {
+    CalibrationRecorder,
+    calibrationRecorder
+};
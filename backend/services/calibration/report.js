@@ -0,0 +1,218 @@
+/**
+ * Calibration Report
+ * Do "87% likely" stories happen 87% of the time?
+ *
+ * Pairs the probabilities recorded for each article (see recorder.js) with how
+ * the article's market resolved, then scores the raw Polymarket price and the
+ * whale-adjusted probability readers saw: Brier score, log loss, reliability
+ * diagram and expected calibration error, overall and per category.
+ * Multi-outcome articles forecast that the field leader they name wins the field.
+ */
+
+const db = require('../../db');
+const config = require('../../config');
+const { score, skill } = require('../backtest/metrics');
+
+// Articles fetched per page while collecting resolved ones
+const PAGE_SIZE = 500;
+
+const SOURCES = ['market', 'adjusted'];
+
+function round(value, digits = 4) {
+    return value === null || value === undefined ? null : parseFloat(value.toFixed(digits));
+}
+
+/**
+ * Bucket forecasts by probability and compare mean forecast with the observed rate
+ * @param {Array<{ probability: number, outcome: number }>} forecasts
+ * @param {number} bins - Number of equal-width buckets over [0, 1]
+ * @returns {{ bins: Array<{lower, upper, count, meanForecast, observedRate}>, ece: number|null }}
+ */
+function reliabilityDiagram(forecasts, bins = 10) {
+    const buckets = Array.from({ length: bins }, (_, i) => ({
+        lower: round(i / bins),
+        upper: round((i + 1) / bins),
+        count: 0,
+        forecastSum: 0,
+        outcomeSum: 0
+    }));
+
+    for (const { probability, outcome } of forecasts) {
+        // 1.0 falls into the top bucket
+        const index = Math.min(bins - 1, Math.floor(probability * bins));
+        const bucket = buckets[Math.max(0, index)];
+        bucket.count++;
+        bucket.forecastSum += probability;
+        bucket.outcomeSum += outcome;
+    }
+
+    // Expected calibration error: gap between forecast and outcome, weighted by bucket size
+    let ece = 0;
+    const result = buckets.map(({ lower, upper, count, forecastSum, outcomeSum }) => {
+        const meanForecast = count > 0 ? forecastSum / count : null;
+        const observedRate = count > 0 ? outcomeSum / count : null;
+        if (count > 0) {
+            ece += (count / forecasts.length) * Math.abs(meanForecast - observedRate);
+        }
+        return { lower, upper, count, meanForecast: round(meanForecast), observedRate: round(observedRate) };
+    });
+
+    return { bins: result, ece: forecasts.length > 0 ? round(ece) : null };
+}
+
+// Scores and reliability for each probability source over a set of samples
+function summarize(samples, bins) {
+    const summary = { count: samples.length };
+
+    for (const source of SOURCES) {
+        const forecasts = samples.map(s => ({ probability: s[source], outcome: s.outcome }));
+        const { bins: reliability, ece } = reliabilityDiagram(forecasts, bins);
+        summary[source] = { ...score(forecasts), ece, reliability };
+    }
+
+    // > 0 means the whale adjustment improved on the raw market price
+    summary.adjustedSkill = skill(summary.adjusted, summary.market);
+    return summary;
+}
+
+/**
+ * Build a calibration report from resolved samples
+ * @param {Array<{ category, market, adjusted, outcome }>} samples - One per forecast
+ * @param {Object} [options]
+ * @param {number} [options.bins]
+ * @returns {Object} { overall, byCategory }
+ */
+function buildCalibrationReport(samples, { bins = 10 } = {}) {
+    const byCategory = new Map();
+    for (const sample of samples) {
+        const category = sample.category || 'Other';
+        if (!byCategory.has(category)) byCategory.set(category, []);
+        byCategory.get(category).push(sample);
+    }
+
+    return {
+        overall: summarize(samples, bins),
+        byCategory: Array.from(byCategory.entries())
+            .map(([category, categorySamples]) => ({ category, ...summarize(categorySamples, bins) }))
+            .sort((a, b) => b.count - a.count)
+    };
+}
+
+/**
+ * Payout of the first outcome (the one article probabilities are quoted for)
+ * of the market the article was written about; null while unknown
+ * @private
+ */
+async function getArticleOutcome(article) {
+    const event = await db.events.getById(article.eventId);
+    const marketId = event?.resolvedMarketId || (event?.rawData?.id != null ? String(event.rawData.id) : null);
+
+    let resolution = marketId ? await db.resolutions.getByMarketId(marketId) : null;
+    if (!resolution) {
+        [resolution] = await db.resolutions.getByEventId(article.eventId);
+    }
+
+    const payout = resolution?.payouts?.[0]?.payout;
+    return typeof payout === 'number' ? payout : null;
+}
+
+/**
+ * Outcome of a multi-outcome article's forecasts: 1 if the leader a snapshot named won
+ * the field (the event's winning member, see the resolution poller), else 0
+ * @private
+ * @returns {Function|null} leaderName -> 0|1, or null while no member has won
+ */
+function getFieldOutcome(article) {
+    if (!article.winningOutcome) {
+        return null;
+    }
+    return leader => (leader === article.winningOutcome ? 1 : 0);
+}
+
+/**
+ * Pick the snapshots that count as forecasts for one article
+ * horizon 'close': the close snapshot, or the last one before resolution
+ * horizon 'all': every snapshot before resolution
+ * @private
+ */
+function selectSnapshots(snapshots, article, horizon) {
+    const resolvedAt = article.resolvedAt ? new Date(article.resolvedAt).getTime() : Infinity;
+    const beforeResolution = snapshots.filter(s => new Date(s.recordedAt).getTime() <= resolvedAt);
+
+    if (horizon === 'all') return beforeResolution;
+
+    const close = beforeResolution.find(s => s.kind === 'close');
+    const latest = beforeResolution[beforeResolution.length - 1];
+    return close ? [close] : latest ? [latest] : [];
+}
+
+/**
+ * Calibration of published probabilities for every resolved article
+ * @param {Object} [options]
+ * @param {string} [options.horizon] - 'close' (one forecast per article) or 'all'
+ * @param {number} [options.bins]
+ * @param {string} [options.category] - Only this category
+ * @returns {Promise<Object>} Report with overall and per-category scores
+ */
+async function getCalibrationReport({ horizon = 'close', bins = config.calibration?.bins || 10, category = null } = {}) {
+    const samples = [];
+    const excluded = { multiOutcome: 0, noSnapshots: 0, noOutcome: 0 };
+    let resolvedArticles = 0;
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await db.articles.getAll({ limit: PAGE_SIZE, offset, category });
+
+        for (const article of page) {
+            if (article.resolved !== true) continue;
+            resolvedArticles++;
+
+            const multiOutcome = article.format === 'multi-outcome';
+            let snapshots = selectSnapshots(await db.probabilitySnapshots.getByArticleId(article.id), article, horizon);
+            if (snapshots.length === 0) {
+                excluded.noSnapshots++;
+                continue;
+            }
+
+            // Multi-outcome snapshots forecast the leader they name; older ones name none
+            if (multiOutcome) {
+                snapshots = snapshots.filter(snapshot => snapshot.outcome);
+                if (snapshots.length === 0) {
+                    excluded.multiOutcome++;
+                    continue;
+                }
+            }
+
+            const outcome = multiOutcome ? getFieldOutcome(article) : await getArticleOutcome(article);
+            if (outcome === null) {
+                excluded.noOutcome++;
+                continue;
+            }
+
+            for (const snapshot of snapshots) {
+                samples.push({
+                    articleId: article.id,
+                    category: article.category,
+                    market: snapshot.marketProbability,
+                    adjusted: snapshot.adjustedProbability ?? snapshot.marketProbability,
+                    outcome: multiOutcome ? outcome(snapshot.outcome) : outcome
+                });
+            }
+        }
+
+        if (page.length < PAGE_SIZE) break;
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        horizon,
+        resolvedArticles,
+        excluded,
+        ...buildCalibrationReport(samples, { bins })
+    };
+}
+
+module.exports = {
+    reliabilityDiagram,
+    buildCalibrationReport,
+    getCalibrationReport
+};
@@ -0,0 +1,323 @@
+/**
+ * Ingestion Job Scheduler
+ * Runs named ingestion jobs on their schedules (and on demand), never more than one
+ * run of the same job at a time, and keeps a short history of runs with their metrics.
+ *
+ * A job is { name, description, intervalMs, initialDelayMs, metrics, params, run }:
+ * - intervalMs: repeat every N ms (0 = manual only)
+ * - initialDelayMs: run once this long after start() (null = not at startup)
+ * - metrics: counter names every run starts with at 0
+ * - run(params, metrics): does the work, updating metrics in place
+ */
+
+const EventEmitter = require('events');
+const { syncEvents, syncMarkets, loadWhaleHistory, backfillWallets } = require('./sync');
+const config = require('../../config');
+
+const TRIGGERS = ['schedule', 'startup', 'manual'];
+
+/**
+ * Default ingestion jobs
+ * @param {Object} ingestionConfig - config.ingestion
+ * @returns {Array} Job definitions
+ */
+function defaultJobs(ingestionConfig) {
+    const {
+        intervalMs = 60 * 1000,
+        initialDelayMs = 3000,
+        ...eventOptions
+    } = ingestionConfig.eventSync || {};
+    const {
+        intervalMs: backfillIntervalMs = 15 * 60 * 1000,
+        initialDelayMs: backfillInitialDelayMs = 30 * 1000,
+        ...backfillOptions
+    } = ingestionConfig.walletBackfill || {};
+
+    return [
+        {
+            name: 'event-sync',
+            description: 'Sync Polymarket events, create missing articles and subscribe their markets',
+            intervalMs,
+            initialDelayMs,
+            metrics: ['fetched', 'newEvents', 'newArticles', 'revisedArticles', 'newSubscriptions', 'errors'],
+            params: eventOptions,
+            run: syncEvents
+        },
+        {
+            name: 'market-sync',
+            description: 'Sync individual Polymarket markets and refresh their predictions and articles',
+            intervalMs: 0,
+            initialDelayMs: null,
+            metrics: ['fetched', 'newEvents', 'predictions', 'newArticles', 'newSubscriptions', 'errors'],
+            params: { limit: 50, sortBy: 'endingSoon', minDaysUntilResolution: 1, maxDaysUntilResolution: 14 },
+            run: syncMarkets
+        },
+        {
+            name: 'whale-history',
+            description: 'Load persisted whale trades into the probability adjuster',
+            intervalMs: 0,
+            initialDelayMs,
+            metrics: ['fetched', 'loaded', 'errors'],
+            params: { limit: 1000 },
+            run: loadWhaleHistory
+        },
+        {
+            name: 'wallet-backfill',
+            description: 'Backfill trade history and wallet profiles from the CLOB trades endpoint for subscribed assets and newly seen wallets',
+            intervalMs: backfillIntervalMs,
+            initialDelayMs: backfillInitialDelayMs,
+            metrics: ['assets', 'wallets', 'pages', 'fetched', 'newTrades', 'profiles', 'remaining', 'errors'],
+            params: backfillOptions,
+            run: backfillWallets
+        }
+    ];
+}
+
+class JobScheduler extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.config] - Scheduler settings, defaults to config.ingestion
+     * @param {Array} [options.jobs] - Job definitions, defaults to the ingestion jobs
+     */
+    constructor({ config: schedulerConfig = config.ingestion, jobs } = {}) {
+        super();
+
+        this.config = {
+            historySize: 100,
+            ...schedulerConfig
+        };
+
+        this.jobs = new Map();
+        this.runs = []; // Finished runs, oldest first
+        this.nextRunId = 1;
+        this.started = false;
+
+        for (const job of jobs || defaultJobs(this.config)) {
+            this.register(job);
+        }
+    }
+
+    /**
+     * Add a job
+     * @param {Object} job - Job definition (see file header)
+     */
+    register(job) {
+        if (this.jobs.has(job.name)) {
+            throw new Error(`Job already registered: ${job.name}`);
+        }
+
+        this.jobs.set(job.name, {
+            intervalMs: 0,
+            initialDelayMs: null,
+            metrics: [],
+            params: {},
+            ...job,
+            timer: null,
+            startupTimer: null,
+            current: null,
+            lastRun: null,
+            runCount: 0,
+            skippedRuns: 0
+        });
+    }
+
+    /**
+     * Start every job's schedule and startup run
+     */
+    start() {
+        if (this.started) {
+            return;
+        }
+        this.started = true;
+
+        for (const job of this.jobs.values()) {
+            if (job.initialDelayMs !== null && job.initialDelayMs !== undefined) {
+                job.startupTimer = setTimeout(() => {
+                    job.startupTimer = null;
+                    this._runInBackground(job.name, 'startup');
+                }, job.initialDelayMs);
+            }
+
+            if (job.intervalMs > 0) {
+                job.timer = setInterval(() => this._runInBackground(job.name, 'schedule'), job.intervalMs);
+            }
+        }
+
+        const scheduled = Array.from(this.jobs.values())
+            .filter(job => job.intervalMs > 0)
+            .map(job => `${job.name} every ${Math.round(job.intervalMs / 1000)}s`);
+        console.log(`[Ingestion] Scheduler started (${scheduled.join(', ') || 'no scheduled jobs'})`);
+    }
+
+    /**
+     * Stop all schedules (runs in progress finish on their own)
+     */
+    stop() {
+        if (!this.started) {
+            return;
+        }
+        this.started = false;
+
+        for (const job of this.jobs.values()) {
+            clearInterval(job.timer);
+            clearTimeout(job.startupTimer);
+            job.timer = null;
+            job.startupTimer = null;
+        }
+        console.log('[Ingestion] Scheduler stopped');
+    }
+
+    /**
+     * @param {string} name - Job name
+     * @returns {boolean} True if the job exists
+     */
+    hasJob(name) {
+        return this.jobs.has(name);
+    }
+
+    /**
+     * @param {string} name - Job name
+     * @returns {boolean} True if a run of the job is in progress
+     */
+    isRunning(name) {
+        return this.jobs.get(name)?.current != null;
+    }
+
+    /**
+     * Run a job now
+     * @param {string} name - Job name
+     * @param {Object} [options]
+     * @param {string} [options.trigger='manual'] - What started the run (schedule, startup, manual)
+     * @param {Object} [options.params] - Overrides for the job's default params
+     * @returns {Promise<Object|null>} Finished run, or null if the job was already running
+     */
+    async runJob(name, { trigger = 'manual', params = {} } = {}) {
+        const job = this.jobs.get(name);
+        if (!job) {
+            throw new Error(`Unknown job: ${name}`);
+        }
+        if (!TRIGGERS.includes(trigger)) {
+            throw new Error(`Unknown trigger: ${trigger}`);
+        }
+
+        // One run per job at a time: a slow Polymarket must not stack syncs
+        if (job.current) {
+            job.skippedRuns++;
+            console.log(`[Ingestion] ${name} still running (run ${job.current.id}), skipping ${trigger} run`);
+            return null;
+        }
+
+        const run = {
+            id: this.nextRunId++,
+            job: name,
+            trigger,
+            status: 'running',
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            durationMs: null,
+            params: { ...job.params, ...params },
+            metrics: Object.fromEntries(job.metrics.map(metric => [metric, 0])),
+            error: null
+        };
+        job.current = run;
+        const startedAt = Date.now();
+
+        try {
+            await job.run(run.params, run.metrics);
+            run.status = 'succeeded';
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            run.metrics.errors = (run.metrics.errors || 0) + 1;
+            console.error(`[Ingestion] ${name} failed:`, error.message);
+        } finally {
+            run.finishedAt = new Date().toISOString();
+            run.durationMs = Date.now() - startedAt;
+            job.current = null;
+            job.lastRun = run;
+            job.runCount++;
+            this._record(run);
+        }
+
+        console.log(`[Ingestion] ${name} ${run.status} in ${run.durationMs}ms: ${formatMetrics(run.metrics)}`);
+        this.emit('run', run);
+        return run;
+    }
+
+    /**
+     * Job definitions with their schedule and latest run
+     * @returns {Array} Job summaries
+     */
+    getJobs() {
+        return Array.from(this.jobs.values(), job => ({
+            name: job.name,
+            description: job.description || null,
+            intervalMs: job.intervalMs,
+            initialDelayMs: job.initialDelayMs,
+            scheduled: job.timer !== null,
+            running: job.current !== null,
+            currentRun: job.current,
+            lastRun: job.lastRun,
+            runCount: job.runCount,
+            skippedRuns: job.skippedRuns
+        }));
+    }
+
+    /**
+     * Run history, newest first
+     * @param {Object} [options]
+     * @param {string} [options.job] - Only runs of this job
+     * @param {number} [options.limit=20] - Maximum runs
+     * @returns {Array} Finished runs
+     */
+    getRuns({ job = null, limit = 20 } = {}) {
+        const runs = job ? this.runs.filter(run => run.job === job) : this.runs;
+        return runs.slice(-limit).reverse();
+    }
+
+    /**
+     * Get scheduler status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            started: this.started,
+            jobs: this.jobs.size,
+            running: Array.from(this.jobs.values()).filter(job => job.current).map(job => job.name),
+            recordedRuns: this.runs.length
+        };
+    }
+
+    /**
+     * Run from a timer; failures are already recorded on the run
+     * @private
+     */
+    _runInBackground(name, trigger) {
+        this.runJob(name, { trigger }).catch(error => {
+            console.error(`[Ingestion] ${name} could not start:`, error.message);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _record(run) {
+        this.runs.push(run);
+        if (this.runs.length > this.config.historySize) {
+            this.runs.splice(0, this.runs.length - this.config.historySize);
+        }
+    }
+}
+
+function formatMetrics(metrics) {
+    return Object.entries(metrics).map(([metric, value]) => `${value} ${metric}`).join(', ');
+}
+
+// Export class and singleton instance
+const jobScheduler = new JobScheduler();
+
+module.exports = {
+    JobScheduler,
+    jobScheduler,
+    defaultJobs
+};
@@ -0,0 +1,287 @@
+/**
+ * Polymarket Sync
+ * Pulls events/markets from Polymarket into the database, creates missing articles
+ * and subscribes their tokens to the real-time stream. Run through the ingestion
+ * job scheduler; each function fills in the run's metrics as it goes, so a failed
+ * run still reports how far it got.
+ */
+
+const polymarket = require('../polymarket/client');
+const predictionEngine = require('../prediction/engine');
+const { createArticle, reviseArticle } = require('../article/generator');
+const { streamProcessor } = require('../pipeline/stream-processor');
+const { assetRegistry } = require('../orderbook/asset-registry');
+const { probabilityAdjuster } = require('../orderbook/probability-adjuster');
+const { walletBackfill } = require('../wallet/backfill');
+const db = require('../../db');
+
+/**
+ * Pick the primary market from an event's markets (highest volume, then probability)
+ * @param {Array} markets - The event's markets
+ * @returns {Object|null} Primary market
+ */
+function pickPrimaryMarket(markets) {
+    if (!markets || markets.length === 0) return null;
+    if (markets.length === 1) return markets[0];
+
+    return markets.reduce((best, market) => {
+        const bestScore = (best.totalVolume || 0) + (best.probability || 0) * 1000;
+        const marketScore = (market.totalVolume || 0) + (market.probability || 0) * 1000;
+        return marketScore > bestScore ? market : best;
+    });
+}
+
+/**
+ * Outcomes of an event whose markets are one mutually exclusive field (negative-risk
+ * events such as "Who will win...?"), each priced at its market's Yes probability
+ * @param {Object} event - Event with markets
+ * @returns {Array|null} [{ name, probability, marketId }], or null for other events
+ */
+function getFieldOutcomes(event) {
+    const markets = (event.markets || []).filter(market => market.rawData?.closed !== true);
+    const isField = markets.length > 1 &&
+        markets.every(market => market.rawData?.negRisk === true && market.rawData?.groupItemTitle);
+    if (!isField) return null;
+
+    return markets.map(market => ({
+        name: market.rawData.groupItemTitle,
+        probability: market.probability ?? 0,
+        marketId: market.id
+    }));
+}
+
+/**
+ * Register a market's tokens with their event and market, and subscribe them to the stream
+ * Registering the event lets sibling books be cross-checked.
+ * @param {Object} market - Market with rawData.clobTokenIds
+ * @param {Object} event - Owning event ({ id, title })
+ * @returns {number} Newly subscribed tokens
+ */
+function subscribeToMarketTokens(market, event) {
+    let clobTokenIds = market.rawData?.clobTokenIds;
+    if (typeof clobTokenIds === 'string') {
+        try {
+            clobTokenIds = JSON.parse(clobTokenIds);
+        } catch {
+            clobTokenIds = null;
+        }
+    }
+
+    let subscribed = 0;
+    if (Array.isArray(clobTokenIds)) {
+        for (const [i, tokenId] of clobTokenIds.entries()) {
+            assetRegistry.register(tokenId, {
+                eventId: event.id,
+                eventTitle: event.title,
+                outcome: market.outcomes?.[i]?.name || (i === 0 ? 'Yes' : 'No'),
+                outcomeIndex: i,
+                marketId: market.id,
+                marketQuestion: market.question,
+                negRisk: market.rawData?.negRisk ?? null
+            });
+
+            if (!streamProcessor.subscriptions.has(tokenId)) {
+                streamProcessor.subscribeToMarket(tokenId);
+                subscribed++;
+            }
+        }
+    }
+    return subscribed;
+}
+
+/**
+ * Sync events (groups of related markets): upsert unresolved events, create missing
+ * articles from each event's primary market (revising existing ones when the market
+ * has moved) and subscribe all of its markets.
+ * One failing event is counted in metrics.errors and doesn't stop the run.
+ *
+ * @param {Object} options - fetchEvents options (limit, minDaysUntilResolution, maxDaysUntilResolution)
+ * @param {Object} metrics - Run metrics, updated in place
+ * @returns {Promise<Object>} The metrics
+ */
+async function syncEvents(options, metrics) {
+    const events = await polymarket.fetchEvents(options);
+    metrics.fetched = events.length;
+
+    for (const event of events) {
+        try {
+            metrics.newSubscriptions += await syncEvent(event, metrics);
+        } catch (error) {
+            metrics.errors++;
+            console.error(`[Ingestion] Failed to sync event ${event.id}:`, error.message);
+        }
+    }
+
+    return metrics;
+}
+
+/**
+ * @private
+ * @returns {Promise<number>} Newly subscribed tokens
+ */
+async function syncEvent(event, metrics) {
+    const primaryMarket = pickPrimaryMarket(event.markets);
+    if (!primaryMarket) return 0;
+
+    // Resolved events are owned by the resolution poller
+    const existingEvent = await db.events.getById(event.id);
+    if (existingEvent?.resolved) return 0;
+
+    // Upsert event using the event ID (not market ID) for deduplication
+    await db.events.upsert({
+        id: event.id,
+        slug: event.slug,
+        title: event.title,
+        description: event.description,
+        category: event.category,
+        endDate: event.endDate,
+        tags: event.tags || [],
+        resolved: false,
+        rawData: primaryMarket.rawData
+    });
+
+    if (!existingEvent) {
+        metrics.newEvents++;
+    }
+
+    // Multi-outcome events are written about as a field; others from the primary market
+    const fieldOutcomes = getFieldOutcomes(event);
+    const outcomes = fieldOutcomes || primaryMarket.outcomes;
+
+    // Generate article if it doesn't exist (using event.id for deduplication)
+    const existingArticle = await db.articles.getByEventId(event.id);
+    if (!existingArticle) {
+        const prediction = await db.predictions.getLatestByEventId(event.id);
+        // Pass event-level data with primary market's probability/outcomes
+        const articleEvent = {
+            id: event.id,
+            title: event.title,
+            question: event.title,
+            description: event.description,
+            category: event.category,
+            endDate: event.endDate,
+            image: event.image,
+            probability: primaryMarket.probability,
+            outcomes,
+            totalVolume: primaryMarket.totalVolume,
+            rawData: primaryMarket.rawData
+        };
+        const article = await createArticle(articleEvent, prediction || { adjustedProbability: primaryMarket.probability });
+        if (!article) {
+            // Filtered out by the generator; don't stream books nobody reads
+            return 0;
+        }
+        metrics.newArticles++;
+    } else {
+        // Rewrite the article if the favored outcome flipped or moved into another band
+        // (a field is tracked by its leader's probability)
+        const probability = fieldOutcomes
+            ? Math.max(...fieldOutcomes.map(o => o.probability))
+            : (await db.predictions.getLatestByEventId(event.id))?.adjustedProbability ?? primaryMarket.probability;
+        const revised = await reviseArticle({ ...event, outcomes, rawData: primaryMarket.rawData }, probability);
+        if (revised && revised.revision > (existingArticle.revision || 1)) {
+            metrics.revisedArticles++;
+        }
+    }
+
+    // Subscribe to all markets in this event for real-time updates
+    let subscribed = 0;
+    for (const market of event.markets) {
+        subscribed += subscribeToMarketTokens(market, event);
+    }
+    return subscribed;
+}
+
+/**
+ * Sync individual markets: store each one as an event, recalculate its prediction,
+ * create or refresh its article and subscribe its tokens.
+ *
+ * @param {Object} options - fetchMarkets options (limit, sortBy, minDaysUntilResolution, maxDaysUntilResolution)
+ * @param {Object} metrics - Run metrics, updated in place
+ * @returns {Promise<Object>} The metrics
+ */
+async function syncMarkets(options, metrics) {
+    const markets = await polymarket.fetchMarkets(options);
+    metrics.fetched = markets.length;
+
+    for (const market of markets) {
+        try {
+            const existingEvent = await db.events.getById(market.id);
+
+            await db.events.upsert({
+                id: market.id,
+                slug: market.slug,
+                title: market.question,
+                description: market.description,
+                category: market.category,
+                endDate: market.endDate,
+                tags: market.tags || [],
+                resolved: false,
+                rawData: market.rawData
+            });
+            if (!existingEvent) {
+                metrics.newEvents++;
+            }
+
+            await predictionEngine.calculatePrediction(market, market);
+            metrics.predictions++;
+
+            // createArticle refreshes the probability of an existing article
+            const existingArticle = await db.articles.getByEventId(market.id);
+            const prediction = await db.predictions.getLatestByEventId(market.id);
+            const article = await createArticle(market, prediction);
+            if (article && !existingArticle) {
+                metrics.newArticles++;
+            }
+
+            // A standalone market is its own event
+            metrics.newSubscriptions += subscribeToMarketTokens(market, { id: market.id, title: market.question || market.title });
+        } catch (error) {
+            metrics.errors++;
+            console.error(`[Ingestion] Failed to sync market ${market.id}:`, error.message);
+        }
+    }
+
+    return metrics;
+}
+
+/**
+ * Load persisted whale trades into the probability adjuster
+ * @param {Object} options - { limit }
+ * @param {Object} metrics - Run metrics, updated in place
+ * @returns {Promise<Object>} The metrics
+ */
+async function loadWhaleHistory({ limit = 1000 } = {}, metrics) {
+    const recentWhales = await db.whaleTrades.getRecent(limit);
+    metrics.fetched = recentWhales.length;
+    metrics.loaded = probabilityAdjuster.loadFromHistory(recentWhales);
+    return metrics;
+}
+
+/**
+ * Backfill historical trades for queued wallets and the subscribed assets
+ * (resumes from the saved cursors; see services/wallet/backfill.js)
+ * @param {Object} options
+ * @param {Array<string>} [options.assets] - CLOB token IDs (defaults to the stream's subscriptions)
+ * @param {Array<string>} [options.wallets] - Extra wallets to queue
+ * @param {number} [options.maxPages] - getTrades requests for this run
+ * @param {Object} metrics - Run metrics, updated in place
+ * @returns {Promise<Object>} metrics
+ */
+async function backfillWallets({ assets, ...options } = {}, metrics) {
+    return walletBackfill.run({
+        ...options,
+        // Subscriptions are keyed by token ID, which the trades endpoint filters as asset_id
+        assets: assets || Array.from(streamProcessor.subscriptions.keys())
+    }, metrics);
+}
+
+module.exports = {
+    pickPrimaryMarket,
+    getFieldOutcomes,
+    subscribeToMarketTokens,
+    syncEvents,
+    syncMarkets,
+    loadWhaleHistory,
+    backfillWallets
+};
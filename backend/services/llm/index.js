@@ -0,0 +1,178 @@
+// LLM client
+// Single entry point for text generation: picks the provider from config, retries transient
+// failures and keeps token usage per provider/model and per purpose.
+
+const config = require('../../config');
+const AnthropicProvider = require('./providers/anthropic');
+const OpenAIProvider = require('./providers/openai');
+const StubProvider = require('./providers/stub');
+
+// Rate limits, timeouts and overloaded/server errors are worth another attempt
+const RETRYABLE_STATUS = new Set([408, 409, 429]);
+
+function isRetryable(error) {
+    if (error.retryable !== undefined) {
+        return error.retryable;
+    }
+    if (error.status) {
+        return RETRYABLE_STATUS.has(error.status) || error.status >= 500;
+    }
+    // No HTTP status: network failure
+    return true;
+}
+
+function emptyUsage() {
+    return { requests: 0, failures: 0, retries: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+function addUsage(target, { failed = false, retries = 0, inputTokens = 0, outputTokens = 0 }) {
+    target.requests++;
+    if (failed) target.failures++;
+    target.retries += retries;
+    target.inputTokens += inputTokens;
+    target.outputTokens += outputTokens;
+}
+
+class LlmClient {
+    /**
+     * @param {Object|null} provider - Provider with name, model, isConfigured() and complete()
+     * @param {Object} [options]
+     * @param {number} [options.maxRetries] - Extra attempts after a retryable failure
+     * @param {number} [options.retryDelayMs] - Base backoff, doubled on each retry
+     * @param {Function} [options.sleep] - Delay function (overridable in tests)
+     */
+    constructor(provider, { maxRetries = 2, retryDelayMs = 1000, sleep = null } = {}) {
+        this.provider = provider;
+        this.maxRetries = maxRetries;
+        this.retryDelayMs = retryDelayMs;
+        this.sleep = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.resetUsage();
+    }
+
+    get providerName() {
+        return this.provider ? this.provider.name : 'none';
+    }
+
+    get model() {
+        return this.provider ? this.provider.model : null;
+    }
+
+    isConfigured() {
+        return Boolean(this.provider && this.provider.isConfigured());
+    }
+
+    /**
+     * Generate a completion
+     * @param {Object} request
+     * @param {string} [request.purpose] - Caller label for usage accounting and stub fixtures
+     * @param {string} [request.system] - System prompt
+     * @param {string} [request.prompt] - Single user message (ignored when messages is set)
+     * @param {Array} [request.messages] - [{ role, content }]
+     * @param {number} [request.maxTokens]
+     * @param {number} [request.temperature]
+     * @param {Object} [request.vars] - Values for stub fixture placeholders
+     * @returns {Promise<{text, provider, model, usage, attempts}>}
+     */
+    async complete({ purpose = 'default', system, prompt, messages, maxTokens = 1000, temperature = 0.7, vars = {} }) {
+        if (!this.isConfigured()) {
+            throw new Error('No LLM provider configured');
+        }
+
+        const request = {
+            purpose,
+            system,
+            messages: messages || [{ role: 'user', content: prompt }],
+            maxTokens,
+            temperature,
+            vars
+        };
+
+        let attempt = 0;
+        while (true) {
+            try {
+                const result = await this.provider.complete(request);
+                this.recordUsage(purpose, result.model, { retries: attempt, ...result.usage });
+
+                return {
+                    text: result.text,
+                    provider: this.provider.name,
+                    model: result.model,
+                    usage: result.usage,
+                    attempts: attempt + 1
+                };
+            } catch (error) {
+                if (attempt >= this.maxRetries || !isRetryable(error)) {
+                    this.recordUsage(purpose, this.provider.model, { failed: true, retries: attempt });
+                    throw error;
+                }
+
+                const delay = this.retryDelayMs * Math.pow(2, attempt);
+                console.warn(`[LLM] ${this.provider.name} request failed (${error.message}), retrying in ${delay}ms`);
+                await this.sleep(delay);
+                attempt++;
+            }
+        }
+    }
+
+    recordUsage(purpose, model, usage) {
+        const modelKey = `${this.provider.name}:${model}`;
+        if (!this.usage.byModel.has(modelKey)) {
+            this.usage.byModel.set(modelKey, { provider: this.provider.name, model, ...emptyUsage() });
+        }
+        if (!this.usage.byPurpose.has(purpose)) {
+            this.usage.byPurpose.set(purpose, { purpose, ...emptyUsage() });
+        }
+
+        addUsage(this.usage.totals, usage);
+        addUsage(this.usage.byModel.get(modelKey), usage);
+        addUsage(this.usage.byPurpose.get(purpose), usage);
+    }
+
+    getUsage() {
+        return {
+            provider: this.providerName,
+            model: this.model,
+            configured: this.isConfigured(),
+            since: this.usage.since,
+            totals: { ...this.usage.totals },
+            byModel: Array.from(this.usage.byModel.values()).map(entry => ({ ...entry })),
+            byPurpose: Array.from(this.usage.byPurpose.values()).map(entry => ({ ...entry }))
+        };
+    }
+
+    resetUsage() {
+        this.usage = {
+            since: new Date().toISOString(),
+            totals: emptyUsage(),
+            byModel: new Map(),    // "provider:model" -> usage
+            byPurpose: new Map()   // purpose -> usage
+        };
+    }
+}
+
+function createProvider(llmConfig = config.llm || {}) {
+    switch (llmConfig.provider) {
+        case 'anthropic':
+            return new AnthropicProvider(llmConfig.anthropic);
+        case 'openai':
+            return new OpenAIProvider(llmConfig.openai);
+        case 'stub':
+            return new StubProvider(llmConfig.stub);
+        case 'none':
+        case undefined:
+            return null;
+        default:
+            console.warn(`[LLM] Unknown provider "${llmConfig.provider}", generation disabled`);
+            return null;
+    }
+}
+
+// Singleton instance
+const llm = new LlmClient(createProvider(), {
+    maxRetries: config.llm?.maxRetries,
+    retryDelayMs: config.llm?.retryDelayMs
+});
+
+module.exports = llm;
+module.exports.LlmClient = LlmClient;
+module.exports.createProvider = createProvider;
@@ -0,0 +1,55 @@
+// Anthropic (Claude) provider
+// Uses the Messages API through @anthropic-ai/sdk; retries are left to the LLM client.
+
+class AnthropicProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - Anthropic API key
+     * @param {string} options.model - Model used for every request
+     * @param {Object} [options.client] - SDK-compatible client (created lazily when omitted)
+     */
+    constructor({ apiKey, model, client = null } = {}) {
+        this.name = 'anthropic';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.client = client;
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey || this.client);
+    }
+
+    async getClient() {
+        if (!this.client) {
+            const Anthropic = (await import('@anthropic-ai/sdk')).default;
+            this.client = new Anthropic({ apiKey: this.apiKey, maxRetries: 0 });
+        }
+        return this.client;
+    }
+
+    async complete({ system, messages, maxTokens, temperature }) {
+        const client = await this.getClient();
+
+        const response = await client.messages.create({
+            model: this.model,
+            system,
+            messages,
+            max_tokens: maxTokens,
+            temperature
+        });
+
+        return {
+            text: response.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            model: response.model || this.model,
+            usage: {
+                inputTokens: response.usage?.input_tokens || 0,
+                outputTokens: response.usage?.output_tokens || 0
+            }
+        };
+    }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,59 @@
+// OpenAI provider
+// Calls the Chat Completions REST endpoint directly so the openai package is not required.
+
+class OpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.apiKey - OpenAI API key
+     * @param {string} options.model - Model used for every request
+     * @param {string} [options.baseUrl] - API base URL (OpenAI-compatible servers work too)
+     * @param {Function} [options.fetch] - fetch implementation (global fetch when omitted)
+     */
+    constructor({ apiKey, model, baseUrl = 'https://api.openai.com/v1', fetch: fetchImpl = null } = {}) {
+        this.name = 'openai';
+        this.apiKey = apiKey;
+        this.model = model;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.fetch = fetchImpl || ((...args) => fetch(...args));
+    }
+
+    isConfigured() {
+        return Boolean(this.apiKey);
+    }
+
+    async complete({ system, messages, maxTokens, temperature }) {
+        const response = await this.fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.apiKey}`
+            },
+            body: JSON.stringify({
+                model: this.model,
+                messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+                max_tokens: maxTokens,
+                temperature
+            })
+        });
+
+        if (!response.ok) {
+            const body = await response.text().catch(() => '');
+            const error = new Error(`OpenAI API error: ${response.status} ${body.substring(0, 200)}`.trim());
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+
+        return {
+            text: data.choices?.[0]?.message?.content || '',
+            model: data.model || this.model,
+            usage: {
+                inputTokens: data.usage?.prompt_tokens || 0,
+                outputTokens: data.usage?.completion_tokens || 0
+            }
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
@@ -0,0 +1,86 @@
+// Stub provider for offline runs and tests
+// Answers from fixtures: [{ purpose, match, response }]. The first fixture whose purpose
+// (when set; a string or a list) covers the request's purpose and whose match (when set)
+// appears in the prompt wins.
+// String values in the response may contain {{name}} placeholders filled from request.vars;
+// object responses are returned as JSON, so substituted values never break the encoding.
+
+const fs = require('fs');
+const path = require('path');
+
+// Rough token estimate, good enough for usage accounting of canned responses
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function fillTemplate(value, vars) {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{(\w+)\}\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : ''));
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => fillTemplate(item, vars));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillTemplate(item, vars)]));
+    }
+    return value;
+}
+
+function loadFixtures(fixturesPath) {
+    const resolved = path.isAbsolute(fixturesPath) ? fixturesPath : path.join(__dirname, '..', '..', '..', fixturesPath);
+    const fixtures = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    if (!Array.isArray(fixtures)) {
+        throw new Error(`LLM stub fixtures must be an array: ${resolved}`);
+    }
+    return fixtures;
+}
+
+class StubProvider {
+    /**
+     * @param {Object} options
+     * @param {Array} [options.fixtures] - Fixture list (takes precedence over fixturesPath)
+     * @param {string} [options.fixturesPath] - JSON fixture file, relative to the backend directory
+     * @param {string} [options.model] - Model name reported in responses and usage
+     */
+    constructor({ fixtures = null, fixturesPath = null, model = 'stub' } = {}) {
+        this.name = 'stub';
+        this.model = model;
+        this.fixtures = fixtures || (fixturesPath ? loadFixtures(fixturesPath) : []);
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    findFixture(purpose, prompt) {
+        return this.fixtures.find(fixture =>
+            (!fixture.purpose || [].concat(fixture.purpose).includes(purpose)) &&
+            (!fixture.match || prompt.includes(fixture.match))
+        ) || null;
+    }
+
+    async complete({ system, messages, purpose, vars = {} }) {
+        const prompt = messages.map(message => message.content).join('\n');
+        const fixture = this.findFixture(purpose, prompt);
+
+        if (!fixture) {
+            const error = new Error(`No stub fixture for purpose "${purpose || 'none'}"`);
+            error.retryable = false;
+            throw error;
+        }
+
+        const response = fillTemplate(fixture.response, vars);
+        const text = typeof response === 'string' ? response : JSON.stringify(response);
+
+        return {
+            text,
+            model: this.model,
+            usage: {
+                inputTokens: estimateTokens(system) + estimateTokens(prompt),
+                outputTokens: estimateTokens(text)
+            }
+        };
+    }
+}
+
+module.exports = StubProvider;
@@ -6,7 +6,7 @@
 
 class AssetRegistry {
     constructor() {
-        this.assets = new Map(); // tokenId -> { eventId, eventTitle, outcome, outcomeIndex }
+        this.assets = new Map(); // tokenId -> { eventId, eventTitle, outcome, outcomeIndex, marketId, marketQuestion, negRisk }
     }
 
     /**
@@ -17,6 +17,9 @@ class AssetRegistry {
      * @param {string} metadata.eventTitle - Human-readable event title/question
      * @param {string} metadata.outcome - The outcome this token represents (e.g., "Yes", "No")
      * @param {number} metadata.outcomeIndex - Index in the outcomes array (0 or 1)
+     * @param {string} [metadata.marketId] - Market the token belongs to (events can hold several markets)
+     * @param {string} [metadata.marketQuestion] - The market's own question
+     * @param {boolean} [metadata.negRisk] - Whether the event's markets are mutually exclusive outcomes
      */
     register(tokenId, metadata) {
         if (!tokenId) {
@@ -26,10 +29,22 @@ class AssetRegistry {
             eventId: metadata.eventId || null,
             eventTitle: metadata.eventTitle || null,
             outcome: metadata.outcome || null,
-            outcomeIndex: metadata.outcomeIndex ?? null
+            outcomeIndex: metadata.outcomeIndex ?? null,
+            marketId: metadata.marketId || null,
+            marketQuestion: metadata.marketQuestion || null,
+            negRisk: metadata.negRisk ?? null
         });
     }
 
+    /**
+     * Get all tokens registered for an event
+     * @param {string} eventId - The event ID
+     * @returns {Array} Array of { tokenId, ...metadata }
+     */
+    getByEvent(eventId) {
+        return this.getAll().filter(asset => asset.eventId === eventId);
+    }
+
     /**
      * Get metadata for a token ID
      * @param {string} tokenId - The CLOB token ID
@@ -0,0 +1,281 @@
+/**
+ * OrderBookFeed
+ * Turns OrderBookManager updates into per-asset snapshot + delta messages.
+ * Subscribers receive a full snapshot first, then level changes numbered
+ * with a per-asset sequence so gaps can be detected client-side.
+ * Transport-agnostic: subscribers are plain send(message) functions.
+ */
+
+const { orderBookManager } = require('./order-book-manager');
+const { assetRegistry } = require('./asset-registry');
+
+class OrderBookFeed {
+    /**
+     * @param {Object} options
+     * @param {Object} options.manager - OrderBookManager (emits 'updated')
+     * @param {Object} options.registry - AssetRegistry for event metadata
+     */
+    constructor({ manager = orderBookManager, registry = assetRegistry } = {}) {
+        this.manager = manager;
+        this.registry = registry;
+        this.running = false;
+
+        // assetId -> { seq, bids: Map, asks: Map, subscribers: Set, awaitingSnapshot: Set }
+        this.assets = new Map();
+
+        // Statistics
+        this.deltasSent = 0;
+        this.snapshotsSent = 0;
+
+        this._onUpdated = (assetId, orderBook) => this._handleUpdate(assetId, orderBook);
+    }
+
+    /**
+     * Start listening to order book updates
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        this.manager.on('updated', this._onUpdated);
+    }
+
+    /**
+     * Stop listening and drop all subscriptions
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+        this.manager.off('updated', this._onUpdated);
+        this.assets.clear();
+    }
+
+    /**
+     * Subscribe to an asset's book
+     * Sends a snapshot right away if the book is initialized, otherwise a
+     * 'pending' message followed by the snapshot once the book arrives.
+     * @param {string} assetId - CLOB token ID
+     * @param {Function} send - Receives message objects
+     */
+    subscribe(assetId, send) {
+        const state = this._getState(assetId);
+        state.subscribers.add(send);
+
+        if (this._isReady(assetId)) {
+            this._sendSnapshot(assetId, state, send);
+        } else {
+            state.awaitingSnapshot.add(send);
+            send({ type: 'pending', assetId });
+        }
+    }
+
+    /**
+     * Unsubscribe from an asset's book
+     * @param {string} assetId - CLOB token ID
+     * @param {Function} send - The function passed to subscribe
+     */
+    unsubscribe(assetId, send) {
+        const state = this.assets.get(assetId);
+        if (!state) {
+            return;
+        }
+
+        state.subscribers.delete(send);
+        state.awaitingSnapshot.delete(send);
+        if (state.subscribers.size === 0) {
+            this.assets.delete(assetId);
+        }
+    }
+
+    /**
+     * Remove a subscriber from every asset (e.g. on disconnect)
+     * @param {Function} send - The function passed to subscribe
+     */
+    unsubscribeAll(send) {
+        for (const assetId of Array.from(this.assets.keys())) {
+            this.unsubscribe(assetId, send);
+        }
+    }
+
+    /**
+     * Get feed status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        let subscriptions = 0;
+        for (const state of this.assets.values()) {
+            subscriptions += state.subscribers.size;
+        }
+
+        return {
+            running: this.running,
+            assets: this.assets.size,
+            subscriptions,
+            snapshotsSent: this.snapshotsSent,
+            deltasSent: this.deltasSent
+        };
+    }
+
+    /**
+     * @private
+     */
+    _getState(assetId) {
+        if (!this.assets.has(assetId)) {
+            this.assets.set(assetId, {
+                seq: 0,
+                bids: null,
+                asks: null,
+                subscribers: new Set(),
+                awaitingSnapshot: new Set()
+            });
+        }
+        return this.assets.get(assetId);
+    }
+
+    /**
+     * @private
+     */
+    _isReady(assetId) {
+        return this.manager.hasOrderBook(assetId) && this.manager.getOrderBook(assetId).isInitialized();
+    }
+
+    /**
+     * Diff the book against what subscribers last saw and push the changes
+     * @private
+     */
+    _handleUpdate(assetId, orderBook) {
+        const state = this.assets.get(assetId);
+        if (!state) {
+            return;
+        }
+
+        // Subscribers still waiting for a book get a snapshot of the new state instead
+        const waiting = new Set(state.awaitingSnapshot);
+        state.awaitingSnapshot.clear();
+
+        // No baseline yet means nobody has a snapshot to apply changes to
+        if (state.bids) {
+            const changes = [
+                ...diffLevels(state.bids, orderBook.bids, 'BUY'),
+                ...diffLevels(state.asks, orderBook.asks, 'SELL')
+            ];
+
+            if (changes.length > 0) {
+                this._captureBaseline(state, orderBook);
+                state.seq++;
+
+                const message = {
+                    type: 'delta',
+                    assetId,
+                    seq: state.seq,
+                    changes,
+                    stats: summarizeStats(orderBook),
+                    timestamp: orderBook.timestamp
+                };
+
+                for (const send of state.subscribers) {
+                    if (waiting.has(send)) continue;
+                    send(message);
+                    this.deltasSent++;
+                }
+            }
+        }
+
+        for (const send of waiting) {
+            this._sendSnapshot(assetId, state, send);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _sendSnapshot(assetId, state, send) {
+        const orderBook = this.manager.getOrderBook(assetId);
+
+        // Every update is diffed as it happens, so an existing baseline already matches the book
+        if (!state.bids) {
+            this._captureBaseline(state, orderBook);
+        }
+
+        const meta = this.registry.get(assetId);
+        const { bids, asks, timestamp, hash } = orderBook.getFullBook();
+
+        send({
+            type: 'snapshot',
+            assetId,
+            seq: state.seq,
+            eventTitle: meta?.eventTitle || null,
+            outcome: meta?.outcome || null,
+            eventId: meta?.eventId || null,
+            bids,
+            asks,
+            stats: summarizeStats(orderBook),
+            timestamp,
+            hash
+        });
+        this.snapshotsSent++;
+    }
+
+    /**
+     * @private
+     */
+    _captureBaseline(state, orderBook) {
+        state.bids = new Map(orderBook.bids);
+        state.asks = new Map(orderBook.asks);
+    }
+}
+
+/**
+ * Level changes between two price -> size maps (size 0 = level removed)
+ * @param {Map<number, number>} previous
+ * @param {Map<number, number>} next
+ * @param {string} side - 'BUY' or 'SELL'
+ * @returns {Array} [{ side, price, size }]
+ */
+function diffLevels(previous, next, side) {
+    const changes = [];
+
+    for (const [price, size] of next) {
+        if (previous.get(price) !== size) {
+            changes.push({ side, price, size });
+        }
+    }
+    for (const price of previous.keys()) {
+        if (!next.has(price)) {
+            changes.push({ side, price, size: 0 });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Stats shown alongside the book (same shape as GET /api/orderbook/:assetId)
+ * @param {OrderBook} orderBook
+ * @returns {Object}
+ */
+function summarizeStats(orderBook) {
+    const stats = orderBook.getStats();
+    return {
+        bidLevels: stats.bidLevels,
+        askLevels: stats.askLevels,
+        bidTotal: stats.bidTotal,
+        askTotal: stats.askTotal,
+        spread: stats.spread,
+        spreadPercent: stats.spreadPercent,
+        midPrice: stats.midPrice,
+        imbalance: stats.imbalance
+    };
+}
+
+// Export class and singleton instance
+const orderBookFeed = new OrderBookFeed();
+
+module.exports = {
+    OrderBookFeed,
+    orderBookFeed,
+    diffLevels
+};
@@ -0,0 +1,357 @@
+/**
+ * Consistency Checker
+ * Cross-checks prices between books that describe the same event:
+ * - Negative-risk events: sibling markets are mutually exclusive, so their Yes
+ *   prices should sum to about 1
+ * - Yes/No books of one market are mirrors, so their prices should sum to about 1
+ * When best quotes leave an executable edge (e.g. buying every Yes for less than 1),
+ * the edge is reported as the arbitrage spread.
+ *
+ * Inconsistent events are recorded as 'cross-outcome-inconsistency' signals.
+ */
+
+const EventEmitter = require('events');
+const { orderBookManager } = require('./order-book-manager');
+const { assetRegistry } = require('./asset-registry');
+const db = require('../../db');
+const config = require('../../config');
+
+const SIGNAL_TYPE = 'cross-outcome-inconsistency';
+
+class ConsistencyChecker extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.manager - OrderBookManager (live books)
+     * @param {Object} options.registry - AssetRegistry (token -> event/market metadata)
+     * @param {Object} [options.config] - Tolerances, defaults to config.consistency
+     */
+    constructor({ manager = orderBookManager, registry = assetRegistry, config: checkerConfig = config.consistency } = {}) {
+        super();
+
+        this.manager = manager;
+        this.registry = registry;
+        this.config = {
+            checkIntervalMs: 60000,
+            sumTolerance: 0.05,
+            mirrorTolerance: 0.03,
+            minArbSpread: 0.005,
+            ...checkerConfig
+        };
+
+        this.timer = null;
+        this.flagged = new Map(); // eventId -> fingerprint of the last recorded issues
+
+        // Statistics
+        this.lastCheckAt = null;
+        this.checkedEvents = 0;
+        this.inconsistentEvents = 0;
+        this.signalsRecorded = 0;
+    }
+
+    /**
+     * Start checking on the configured interval
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.checkAll().catch(error => {
+                console.error('[Consistency] Check failed:', error.message);
+            });
+        }, this.config.checkIntervalMs);
+
+        console.log(`[Consistency] Checker started (every ${Math.round(this.config.checkIntervalMs / 1000)}s)`);
+    }
+
+    /**
+     * Stop checking
+     */
+    stop() {
+        if (!this.timer) {
+            return;
+        }
+        clearInterval(this.timer);
+        this.timer = null;
+        console.log('[Consistency] Checker stopped');
+    }
+
+    /**
+     * Check every registered event and record signals for new inconsistencies
+     * @returns {Promise<Array>} Reports for all events
+     */
+    async checkAll() {
+        const reports = this.getReports();
+        const inconsistent = reports.filter(r => r.inconsistent);
+
+        for (const report of reports) {
+            if (!report.inconsistent) {
+                this.flagged.delete(report.eventId);
+                continue;
+            }
+
+            // Only record again when the set of issues changes
+            const fingerprint = report.issues.map(i => `${i.type}:${i.marketId || ''}:${i.strategy || ''}`).sort().join('|');
+            if (this.flagged.get(report.eventId) === fingerprint) {
+                continue;
+            }
+            this.flagged.set(report.eventId, fingerprint);
+
+            await this._recordSignal(report);
+            this.emit('inconsistency', report);
+        }
+
+        this.lastCheckAt = new Date().toISOString();
+        this.checkedEvents = reports.length;
+        this.inconsistentEvents = inconsistent.length;
+
+        return reports;
+    }
+
+    /**
+     * Build reports for all registered events (no side effects)
+     * @returns {Array} Reports, inconsistent events first
+     */
+    getReports() {
+        const eventIds = new Set(this.registry.getAll().map(a => a.eventId).filter(Boolean));
+        const reports = Array.from(eventIds, eventId => this.checkEvent(eventId)).filter(Boolean);
+
+        return reports.sort((a, b) => Number(b.inconsistent) - Number(a.inconsistent) || b.arbSpread - a.arbSpread);
+    }
+
+    /**
+     * Check one event's books against each other
+     * @param {string} eventId - The event ID
+     * @returns {Object|null} Consistency report, or null if no tokens are registered for the event
+     */
+    checkEvent(eventId) {
+        const assets = this.registry.getByEvent(eventId);
+        if (assets.length === 0) {
+            return null;
+        }
+
+        // Group tokens into markets; older registrations without a marketId count as one market
+        const byMarket = new Map();
+        for (const asset of assets) {
+            const marketId = asset.marketId || eventId;
+            if (!byMarket.has(marketId)) {
+                byMarket.set(marketId, { marketId, question: asset.marketQuestion || asset.eventTitle, yes: null, no: null });
+            }
+            const market = byMarket.get(marketId);
+            const quote = this._quote(asset.tokenId);
+            if (asset.outcomeIndex === 1) {
+                market.no = quote;
+            } else {
+                market.yes = quote;
+            }
+        }
+
+        const issues = [];
+        const markets = Array.from(byMarket.values(), market => this._checkMarket(market, issues));
+
+        const negRisk = assets.some(a => a.negRisk === true);
+        const priced = markets.filter(m => m.probability !== null);
+        const complete = priced.length === markets.length;
+
+        let impliedSum = null;
+        let sumDeviation = null;
+        let eventArb = 0;
+
+        if (negRisk && markets.length > 1 && complete) {
+            impliedSum = priced.reduce((sum, m) => sum + m.probability, 0);
+            sumDeviation = impliedSum - 1;
+
+            if (Math.abs(sumDeviation) > this.config.sumTolerance) {
+                issues.push({ type: 'implied-sum', impliedSum: round(impliedSum), deviation: round(sumDeviation) });
+            }
+
+            // Buying every Yes pays exactly 1; selling every Yes costs exactly 1
+            const asks = markets.map(m => m.yes?.ask ?? null);
+            const bids = markets.map(m => m.yes?.bid ?? null);
+            if (asks.every(a => a !== null)) {
+                eventArb = this._arbitrage(issues, 'buy-all-yes', 1 - sum(asks), eventArb);
+            }
+            if (bids.every(b => b !== null)) {
+                eventArb = this._arbitrage(issues, 'sell-all-yes', sum(bids) - 1, eventArb);
+            }
+        }
+
+        const arbSpread = Math.max(eventArb, ...markets.map(m => m.arbSpread));
+        const primary = assets[0];
+
+        return {
+            eventId,
+            eventTitle: primary.eventTitle,
+            negRisk,
+            complete,
+            impliedSum: impliedSum === null ? null : round(impliedSum),
+            sumDeviation: sumDeviation === null ? null : round(sumDeviation),
+            arbSpread: round(arbSpread),
+            inconsistent: issues.length > 0,
+            issues,
+            markets,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Short consistency summary for article responses
+     * @param {string} eventId - The article's event ID
+     * @returns {Object|null} Summary, or null when the event has no registered books
+     */
+    getEventSummary(eventId) {
+        const report = eventId ? this.checkEvent(eventId) : null;
+        if (!report) {
+            return null;
+        }
+
+        return {
+            inconsistent: report.inconsistent,
+            impliedSum: report.impliedSum,
+            arbSpread: report.arbSpread,
+            issues: report.issues.map(i => i.type),
+            siblings: report.markets.length > 1
+                ? report.markets.map(m => ({ marketId: m.marketId, question: m.question, probability: m.probability }))
+                : []
+        };
+    }
+
+    /**
+     * Get checker status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            running: this.timer !== null,
+            lastCheckAt: this.lastCheckAt,
+            checkedEvents: this.checkedEvents,
+            inconsistentEvents: this.inconsistentEvents,
+            signalsRecorded: this.signalsRecorded,
+            config: { ...this.config }
+        };
+    }
+
+    /**
+     * Best quotes for a token (null if its book isn't usable)
+     * @private
+     */
+    _quote(tokenId) {
+        if (!this.manager.hasOrderBook(tokenId)) {
+            return null;
+        }
+
+        const book = this.manager.getOrderBook(tokenId);
+        if (!book.isInitialized() || book.isDesynced()) {
+            return null;
+        }
+
+        const bid = book.getBestBid()?.price ?? null;
+        const ask = book.getBestAsk()?.price ?? null;
+        if (bid === null && ask === null) {
+            return null;
+        }
+
+        return { tokenId, bid, ask, mid: book.getSpread().midPrice };
+    }
+
+    /**
+     * Mirror check and Yes/No arbitrage for one market
+     * @private
+     */
+    _checkMarket(market, issues) {
+        const { yes, no } = market;
+        const probability = yes ? yes.mid : (no ? 1 - no.mid : null);
+
+        let mirrorSum = null;
+        let arbSpread = 0;
+
+        if (yes && no) {
+            mirrorSum = yes.mid + no.mid;
+            if (Math.abs(mirrorSum - 1) > this.config.mirrorTolerance) {
+                issues.push({
+                    type: 'mirror',
+                    marketId: market.marketId,
+                    mirrorSum: round(mirrorSum),
+                    deviation: round(mirrorSum - 1)
+                });
+            }
+
+            if (yes.ask !== null && no.ask !== null) {
+                arbSpread = this._arbitrage(issues, 'buy-yes-and-no', 1 - (yes.ask + no.ask), arbSpread, market.marketId);
+            }
+            if (yes.bid !== null && no.bid !== null) {
+                arbSpread = this._arbitrage(issues, 'sell-yes-and-no', (yes.bid + no.bid) - 1, arbSpread, market.marketId);
+            }
+        }
+
+        return {
+            ...market,
+            probability: probability === null ? null : round(probability),
+            mirrorSum: mirrorSum === null ? null : round(mirrorSum),
+            arbSpread: round(arbSpread)
+        };
+    }
+
+    /**
+     * Record an arbitrage issue if the edge is large enough
+     * @returns {number} The larger of the edge and the current best
+     * @private
+     */
+    _arbitrage(issues, strategy, edge, best, marketId = null) {
+        if (edge < this.config.minArbSpread) {
+            return best;
+        }
+        issues.push({ type: 'arbitrage', strategy, marketId, edge: round(edge) });
+        return Math.max(best, edge);
+    }
+
+    /**
+     * @private
+     */
+    async _recordSignal(report) {
+        const worstDeviation = Math.max(
+            Math.abs(report.sumDeviation || 0) / this.config.sumTolerance,
+            ...report.issues.filter(i => i.type === 'mirror').map(i => Math.abs(i.deviation) / this.config.mirrorTolerance),
+            1
+        );
+        const severity = report.arbSpread > 0 ? 'HIGH' : (worstDeviation >= 2 ? 'MEDIUM' : 'LOW');
+
+        try {
+            await db.signals.create({
+                eventId: report.eventId,
+                signalType: SIGNAL_TYPE,
+                severity,
+                confidence: Math.min(worstDeviation / 4, 1),
+                direction: null,
+                weight: 0,
+                adjustment: 0,
+                metadata: {
+                    impliedSum: report.impliedSum,
+                    arbSpread: report.arbSpread,
+                    issues: report.issues
+                }
+            });
+            this.signalsRecorded++;
+        } catch (error) {
+            console.error(`[Consistency] Failed to record signal for ${report.eventId}:`, error.message);
+        }
+    }
+}
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+function round(value) {
+    return parseFloat(value.toFixed(4));
+}
+
+// Export class and singleton instance
+const consistencyChecker = new ConsistencyChecker();
+
+module.exports = {
+    ConsistencyChecker,
+    consistencyChecker,
+    SIGNAL_TYPE
+};
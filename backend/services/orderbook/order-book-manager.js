@@ -1,16 +1,37 @@
 /**
  * OrderBookManager
  * Manages order books for all subscribed markets.
- * Handles WebSocket book snapshots and price change events.
+ * Handles WebSocket book snapshots and price change events, verifies book
+ * hashes carried on updates and re-fetches snapshots for books that drift.
  */
 
 const EventEmitter = require('events');
 const { OrderBook } = require('./order-book');
+const appConfig = require('../../config');
 
 class OrderBookManager extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} [config] - Sync options
+     * @param {Object} [options]
+     * @param {Function} [options.fetchSnapshot] - async (assetId) => REST book snapshot; without it, desynced books wait for the next WebSocket snapshot
+     */
+    constructor(config = {}, { fetchSnapshot = null } = {}) {
         super();
         this.orderBooks = new Map(); // assetId -> OrderBook
+        this.config = {
+            verifyHashes: true,
+            staleAfterMs: 600000,      // Resync books with no updates for 10 min
+            syncCheckIntervalMs: 60000,
+            ...config
+        };
+        this.fetchSnapshot = fetchSnapshot;
+        this.resyncing = new Map(); // assetId -> Promise
+        this.syncTimer = null;
+
+        // Statistics
+        this.hashMismatches = 0;
+        this.resyncs = 0;
+        this.failedResyncs = 0;
     }
 
     /**
@@ -64,12 +85,13 @@ class OrderBookManager extends EventEmitter {
 
         const orderBook = this.getOrderBook(assetId);
         const wasInitialized = orderBook.isInitialized();
+        const wasDesynced = orderBook.isDesynced();
 
+        // Pass the whole message through: its other fields take part in the book hash
         orderBook.initializeFromSnapshot({
+            ...data,
             bids: data.bids || [],
-            asks: data.asks || [],
-            timestamp: data.timestamp,
-            hash: data.hash
+            asks: data.asks || []
         });
 
         if (!wasInitialized) {
@@ -77,43 +99,129 @@ class OrderBookManager extends EventEmitter {
             console.log(`[OrderBook] Initialized ${assetId} with ${orderBook.bids.size} bids, ${orderBook.asks.size} asks`);
         }
 
+        if (wasDesynced) {
+            this.emit('resynced', assetId);
+        }
+
         this.emit('updated', assetId, orderBook);
     }
 
     /**
      * Handle price change events from WebSocket
-     * Can be a single change object or an array of changes
+     * Accepts a single change, an array of changes, or a message wrapping them
+     * in `price_changes` (per-change asset_id and hash) or `changes` (one asset, message hash).
      * @param {Object|Array} data - Price change data
      */
     handlePriceChange(data) {
-        // Handle array of price changes
-        if (Array.isArray(data)) {
-            // Group by asset ID for efficiency
-            const changesByAsset = new Map();
+        const changes = this._flattenPriceChanges(data);
 
-            for (const change of data) {
-                const assetId = this._extractAssetId(change);
-                if (!assetId) {
-                    continue;
-                }
+        // Group by asset ID for efficiency
+        const changesByAsset = new Map();
+
+        for (const change of changes) {
+            const assetId = this._extractAssetId(change);
+            if (!assetId) {
+                continue;
+            }
+
+            if (!changesByAsset.has(assetId)) {
+                changesByAsset.set(assetId, []);
+            }
+            changesByAsset.get(assetId).push(change);
+        }
+
+        // Apply changes to each order book
+        for (const [assetId, assetChanges] of changesByAsset) {
+            this._applyChangesToOrderBook(assetId, assetChanges);
+        }
+    }
+
+    /**
+     * Fetch a fresh snapshot for a book (deduplicated per asset)
+     * @param {string} assetId - The asset identifier
+     * @returns {Promise<boolean>} True if the book was replaced
+     */
+    async resync(assetId) {
+        if (!this.fetchSnapshot) {
+            return false;
+        }
+        if (this.resyncing.has(assetId)) {
+            return this.resyncing.get(assetId);
+        }
 
-                if (!changesByAsset.has(assetId)) {
-                    changesByAsset.set(assetId, []);
+        const attempt = (async () => {
+            try {
+                const snapshot = await this.fetchSnapshot(assetId);
+                if (!snapshot) {
+                    throw new Error('Empty snapshot');
                 }
-                changesByAsset.get(assetId).push(change);
+                this.handleBookSnapshot({ ...snapshot, asset_id: snapshot.asset_id || assetId });
+                this.resyncs++;
+                console.log(`[OrderBook] Resynced ${assetId}`);
+                return true;
+            } catch (error) {
+                this.failedResyncs++;
+                console.error(`[OrderBook] Resync failed for ${assetId}:`, error.message);
+                return false;
+            } finally {
+                this.resyncing.delete(assetId);
             }
+        })();
 
-            // Apply changes to each order book
-            for (const [assetId, changes] of changesByAsset) {
-                this._applyChangesToOrderBook(assetId, changes);
+        this.resyncing.set(assetId, attempt);
+        return attempt;
+    }
+
+    /**
+     * Resync books that are desynced or haven't changed in staleAfterMs
+     * @returns {Promise<number>} Number of books resynced
+     */
+    async checkSync() {
+        const due = [];
+        for (const [assetId, orderBook] of this.orderBooks) {
+            if (!orderBook.isInitialized()) continue;
+
+            if (!orderBook.isDesynced() && orderBook.isStale(this.config.staleAfterMs)) {
+                this._markDesynced(assetId, orderBook, 'stale');
             }
-        } else if (data && typeof data === 'object') {
-            // Single change object
-            const assetId = this._extractAssetId(data);
-            if (assetId) {
-                this._applyChangesToOrderBook(assetId, [data]);
+            if (orderBook.isDesynced()) {
+                due.push(assetId);
+            }
+        }
+
+        let resynced = 0;
+        for (const assetId of due) {
+            if (await this.resync(assetId)) {
+                resynced++;
             }
         }
+        return resynced;
+    }
+
+    /**
+     * Periodically resync stale and desynced books
+     */
+    startSyncMonitor() {
+        if (this.syncTimer) {
+            return;
+        }
+        this.syncTimer = setInterval(() => {
+            this.checkSync().catch(error => {
+                console.error('[OrderBook] Sync check failed:', error.message);
+            });
+        }, this.config.syncCheckIntervalMs);
+        this.syncTimer.unref?.();
+    }
+
+    /**
+     * Stop the periodic sync check
+     */
+    stopSyncMonitor() {
+        if (!this.syncTimer) {
+            return;
+        }
+        clearInterval(this.syncTimer);
+        this.syncTimer = null;
     }
 
     /**
@@ -125,6 +233,7 @@ class OrderBookManager extends EventEmitter {
         let totalBidLevels = 0;
         let totalAskLevels = 0;
         let initializedCount = 0;
+        let desyncedCount = 0;
 
         for (const [assetId, orderBook] of this.orderBooks) {
             const stats = orderBook.getStats();
@@ -134,6 +243,9 @@ class OrderBookManager extends EventEmitter {
             if (stats.initialized) {
                 initializedCount++;
             }
+            if (orderBook.isDesynced()) {
+                desyncedCount++;
+            }
         }
 
         return {
@@ -141,6 +253,12 @@ class OrderBookManager extends EventEmitter {
             initializedCount,
             totalBidLevels,
             totalAskLevels,
+            sync: {
+                desyncedCount,
+                hashMismatches: this.hashMismatches,
+                resyncs: this.resyncs,
+                failedResyncs: this.failedResyncs
+            },
             orderBooks
         };
     }
@@ -157,7 +275,42 @@ class OrderBookManager extends EventEmitter {
     }
 
     /**
-     * Apply changes to an order book
+     * Normalize the price change message formats into a flat list of changes
+     * @private
+     */
+    _flattenPriceChanges(data) {
+        if (Array.isArray(data)) {
+            return data;
+        }
+        if (!data || typeof data !== 'object') {
+            return [];
+        }
+
+        // Current format: { market, price_changes: [{ asset_id, price, size, side, hash }], timestamp }
+        if (Array.isArray(data.price_changes)) {
+            return data.price_changes.map(change => ({
+                ...change,
+                timestamp: change.timestamp ?? data.timestamp
+            }));
+        }
+
+        // Older format: { asset_id, changes: [{ price, size, side }], hash, timestamp }
+        if (Array.isArray(data.changes)) {
+            const assetId = this._extractAssetId(data);
+            return data.changes.map((change, i) => ({
+                ...change,
+                asset_id: assetId,
+                timestamp: data.timestamp,
+                // The message hash describes the book after the last change
+                hash: i === data.changes.length - 1 ? data.hash : undefined
+            }));
+        }
+
+        return [data];
+    }
+
+    /**
+     * Apply changes to an order book, then check the latest hash they carry
      * @private
      */
     _applyChangesToOrderBook(assetId, changes) {
@@ -169,12 +322,33 @@ class OrderBookManager extends EventEmitter {
         }
 
         orderBook.applyPriceChanges(changes);
+
+        const hashed = changes.filter(c => c.hash).pop();
+        if (this.config.verifyHashes && hashed && orderBook.verifyHash(hashed.hash, hashed.timestamp) === false) {
+            this.hashMismatches++;
+            this._markDesynced(assetId, orderBook, 'hash_mismatch');
+        }
+
         this.emit('updated', assetId, orderBook);
     }
+
+    /**
+     * Flag a book as drifted and fetch a fresh snapshot
+     * @private
+     */
+    _markDesynced(assetId, orderBook, reason) {
+        orderBook.markDesynced(reason);
+        this.emit('desynced', assetId, reason);
+        console.warn(`[OrderBook] ${assetId} desynced (${reason})`);
+
+        this.resync(assetId);
+    }
 }
 
-// Singleton instance
-const orderBookManager = new OrderBookManager();
+// Singleton instance (resyncs from the CLOB REST API; required lazily to keep the module light)
+const orderBookManager = new OrderBookManager(appConfig.orderbookSync, {
+    fetchSnapshot: (assetId) => require('../polymarket/clob-client').clobClient.getOrderBook(assetId)
+});
 
 module.exports = {
     OrderBookManager,
@@ -2,8 +2,12 @@
  * OrderBook
  * In-memory order book for a single market with sorted price levels.
  * Maintains bid and ask levels, supports incremental updates.
+ * Tracks whether the book still matches Polymarket by recomputing the
+ * book hash after updates and comparing it with hashes on later messages.
  */
 
+const crypto = require('crypto');
+
 class OrderBook {
     /**
      * Create a new OrderBook instance
@@ -18,6 +22,20 @@ class OrderBook {
         this.timestamp = null;
         this.hash = null;
         this._initialized = false;
+
+        // Level text exactly as Polymarket sent it (hashes are computed over strings)
+        this.bidText = new Map(); // numeric price -> { price, size }
+        this.askText = new Map();
+        this.envelope = null;      // Snapshot fields other than levels, in original key order
+        this.levelOrder = { bids: 'asc', asks: 'desc' };
+
+        // Sync state
+        this.syncState = 'unsynced'; // 'unsynced' | 'synced' | 'desynced'
+        this.desyncReason = null;
+        this.hashVerifiable = false; // Our hash of the snapshot matched the one it carried
+        this.hashMismatches = 0;
+        this.lastVerifiedAt = null;
+        this.lastUpdateAt = null;
     }
 
     /**
@@ -32,6 +50,8 @@ class OrderBook {
         // Clear existing data
         this.bids.clear();
         this.asks.clear();
+        this.bidText.clear();
+        this.askText.clear();
         this.sortedBidPrices = [];
         this.sortedAskPrices = [];
 
@@ -43,6 +63,7 @@ class OrderBook {
                 const { price, size } = this._normalizeLevel(bid);
                 if (price !== null && size > 0) {
                     this.bids.set(price, size);
+                    this.bidText.set(price, this._levelText(bid));
                 }
             }
             // Sort bid prices descending (highest first)
@@ -55,6 +76,7 @@ class OrderBook {
                 const { price, size } = this._normalizeLevel(ask);
                 if (price !== null && size > 0) {
                     this.asks.set(price, size);
+                    this.askText.set(price, this._levelText(ask));
                 }
             }
             // Sort ask prices ascending (lowest first)
@@ -64,6 +86,19 @@ class OrderBook {
         this.timestamp = timestamp || Date.now().toString();
         this.hash = hash || null;
         this._initialized = true;
+
+        this.envelope = this._captureEnvelope(snapshot);
+        this.levelOrder = {
+            bids: this._detectOrder(bids, 'asc'),
+            asks: this._detectOrder(asks, 'desc')
+        };
+
+        // Only check later hashes if we can reproduce the snapshot's own hash
+        this.hashVerifiable = Boolean(hash) && this.computeHash(this.timestamp) === hash;
+        this.syncState = 'synced';
+        this.desyncReason = null;
+        this.lastVerifiedAt = this.hashVerifiable ? Date.now() : null;
+        this.lastUpdateAt = Date.now();
     }
 
     /**
@@ -84,10 +119,12 @@ class OrderBook {
 
         const isBid = side === 'BUY';
         const map = isBid ? this.bids : this.asks;
+        const textMap = isBid ? this.bidText : this.askText;
         const sortedPrices = isBid ? this.sortedBidPrices : this.sortedAskPrices;
 
         if (size === 0) {
             // Remove level
+            textMap.delete(price);
             if (map.has(price)) {
                 map.delete(price);
                 const idx = sortedPrices.indexOf(price);
@@ -99,6 +136,7 @@ class OrderBook {
             // Add or update level
             const existed = map.has(price);
             map.set(price, size);
+            textMap.set(price, { price: String(rawPrice), size: String(rawSize) });
 
             if (!existed) {
                 // Insert into sorted array maintaining order
@@ -115,6 +153,7 @@ class OrderBook {
         }
 
         this.timestamp = Date.now().toString();
+        this.lastUpdateAt = Date.now();
     }
 
     /**
@@ -255,6 +294,97 @@ class OrderBook {
         return (bidTotal - askTotal) / total;
     }
 
+    /**
+     * Compute Polymarket's book hash for the current levels
+     * SHA-1 of the book summary JSON with an empty hash field, using the
+     * snapshot's field order and the level strings as received.
+     * @param {string|number} [timestamp] - Timestamp of the message carrying the hash to compare
+     * @returns {string} Hex digest
+     */
+    computeHash(timestamp = this.timestamp) {
+        const levels = (textMap, order) => Array.from(textMap.keys())
+            .sort((a, b) => (order === 'asc' ? a - b : b - a))
+            .map(price => textMap.get(price));
+
+        const summary = {};
+        const fields = this.envelope || { market: '', asset_id: this.assetId, timestamp: '', hash: '', bids: null, asks: null };
+
+        for (const key of Object.keys(fields)) {
+            if (key === 'bids') summary.bids = levels(this.bidText, this.levelOrder.bids);
+            else if (key === 'asks') summary.asks = levels(this.askText, this.levelOrder.asks);
+            else if (key === 'hash') summary.hash = '';
+            else if (key === 'timestamp') summary.timestamp = String(timestamp ?? '');
+            else summary[key] = fields[key];
+        }
+
+        return crypto.createHash('sha1').update(JSON.stringify(summary)).digest('hex');
+    }
+
+    /**
+     * Compare the current book against a hash carried on an update
+     * Marks the book desynced on a mismatch.
+     * @param {string} expectedHash - Hash from Polymarket
+     * @param {string|number} [timestamp] - Timestamp of the message carrying the hash
+     * @returns {boolean|null} true/false, or null if the hash can't be checked
+     */
+    verifyHash(expectedHash, timestamp) {
+        if (!expectedHash || !this.hashVerifiable || this.syncState !== 'synced') {
+            return null;
+        }
+
+        if (this.computeHash(timestamp) === expectedHash) {
+            this.hash = expectedHash;
+            this.lastVerifiedAt = Date.now();
+            return true;
+        }
+
+        this.hashMismatches++;
+        this.markDesynced('hash_mismatch');
+        return false;
+    }
+
+    /**
+     * Flag the book as no longer matching Polymarket until the next snapshot
+     * @param {string} reason - e.g. 'hash_mismatch', 'stale'
+     */
+    markDesynced(reason) {
+        this.syncState = 'desynced';
+        this.desyncReason = reason;
+    }
+
+    /**
+     * Check if the book is known to have drifted from Polymarket
+     * @returns {boolean}
+     */
+    isDesynced() {
+        return this.syncState === 'desynced';
+    }
+
+    /**
+     * Check if the book hasn't been updated for a while
+     * @param {number} maxAgeMs - Maximum time since the last snapshot or change
+     * @param {number} [now] - Current time (epoch ms)
+     * @returns {boolean}
+     */
+    isStale(maxAgeMs, now = Date.now()) {
+        return this._initialized && this.lastUpdateAt !== null && now - this.lastUpdateAt > maxAgeMs;
+    }
+
+    /**
+     * Get sync state (for API responses)
+     * @returns {Object} { state, reason, hashVerifiable, hashMismatches, lastVerifiedAt, lastUpdateAt }
+     */
+    getSyncState() {
+        return {
+            state: this.syncState,
+            reason: this.desyncReason,
+            hashVerifiable: this.hashVerifiable,
+            hashMismatches: this.hashMismatches,
+            lastVerifiedAt: this.lastVerifiedAt ? new Date(this.lastVerifiedAt).toISOString() : null,
+            lastUpdateAt: this.lastUpdateAt ? new Date(this.lastUpdateAt).toISOString() : null
+        };
+    }
+
     /**
      * Check if the order book has been initialized
      * @returns {boolean}
@@ -289,10 +419,57 @@ class OrderBook {
             askTotal,
             ...spread,
             imbalance: this.getImbalance(),
-            timestamp: this.timestamp
+            timestamp: this.timestamp,
+            syncState: this.syncState
         };
     }
 
+    /**
+     * Level as strings, for hashing
+     * @private
+     */
+    _levelText(level) {
+        if (Array.isArray(level)) {
+            return { price: String(level[0]), size: String(level[1]) };
+        }
+        return {
+            price: String(level.price ?? level.p),
+            size: String(level.size ?? level.s ?? level.amount ?? 0)
+        };
+    }
+
+    /**
+     * Snapshot fields that take part in the hash, in their original order
+     * @private
+     */
+    _captureEnvelope(snapshot) {
+        const envelope = {};
+        for (const [key, value] of Object.entries(snapshot)) {
+            // Transport-only fields added by the WebSocket channel
+            if (key === 'event_type') continue;
+            // Levels are filled in from the live book when hashing
+            envelope[key] = key === 'bids' || key === 'asks' ? null : value;
+        }
+        if (!('hash' in envelope)) envelope.hash = '';
+        return envelope;
+    }
+
+    /**
+     * Whether levels arrived in ascending or descending price order
+     * @private
+     */
+    _detectOrder(levels, fallback) {
+        if (!Array.isArray(levels) || levels.length < 2) {
+            return fallback;
+        }
+        const first = this._normalizeLevel(levels[0]).price;
+        const last = this._normalizeLevel(levels[levels.length - 1]).price;
+        if (first === null || last === null || first === last) {
+            return fallback;
+        }
+        return first < last ? 'asc' : 'desc';
+    }
+
     /**
      * Normalize a price level from various formats
      * Returns numeric price for consistent Map keys
@@ -6,13 +6,28 @@
 
 const EventEmitter = require('events');
 
+/**
+ * Weight a whale signal by its informedScore
+ * @param {number|null|undefined} informedScore
+ * @returns {number} 0-1 (1 when the trade was not classified)
+ */
+function informedWeight(informedScore) {
+    if (informedScore === null || informedScore === undefined) {
+        return 1;
+    }
+    return Math.max(0, Math.min(1, informedScore));
+}
+
 class ProbabilityAdjuster extends EventEmitter {
     /**
      * Create a new ProbabilityAdjuster instance
      * @param {Object} config - Configuration options
+     * @param {Object} [options]
+     * @param {Function} [options.now] - Clock returning epoch ms (backtests replay on a simulated clock)
      */
-    constructor(config = {}) {
+    constructor(config = {}, { now = Date.now } = {}) {
         super();
+        this.now = now;
         this.config = {
             whaleWeight: 0.15,           // Max adjustment from whale activity (15%)
             decayHalfLifeMs: 300000,     // 5 min half-life for signal decay
@@ -24,11 +39,14 @@ class ProbabilityAdjuster extends EventEmitter {
 
     /**
      * Record a whale trade and update the signal for that asset
+     * Emits 'signal-updated' with the asset ID.
      * @param {Object} whaleTrade - Whale trade detection result
      * @param {string} whaleTrade.assetId - Asset identifier
      * @param {string} whaleTrade.side - 'BUY' or 'SELL'
      * @param {number} whaleTrade.depthPercent - Percentage of book depth consumed
      * @param {number} whaleTrade.notional - Trade notional value
+     * @param {number|null} [whaleTrade.informedScore] - Flow classification score (0-1); unclassified trades keep full weight
+     * @returns {Object|null} The trade's contribution (pass to reweightWhaleTrade once it is classified), or null if it added nothing
      */
     recordWhaleTrade(whaleTrade) {
         const { assetId, side, depthPercent, notional } = whaleTrade;
@@ -38,11 +56,17 @@ class ProbabilityAdjuster extends EventEmitter {
         const direction = side === 'BUY' ? 1 : -1;
 
         // Strength based on depth percent (capped at 1)
-        // 20% of book depth = max strength
-        const strength = Math.min(depthPercent / 20, 1);
+        // 20% of book depth = max strength, scaled down for market-maker flow
+        const weight = informedWeight(whaleTrade.informedScore);
+        const strength = Math.min(depthPercent / 20, 1) * weight;
+
+        // Pure market-making carries no directional information
+        if (strength <= 0) {
+            return null;
+        }
 
         const existing = this.whaleSignals.get(assetId);
-        const now = Date.now();
+        const now = this.now();
 
         if (existing) {
             // Decay the existing signal before adding new one
@@ -75,6 +99,62 @@ class ProbabilityAdjuster extends EventEmitter {
                 netDirection: direction > 0 ? 'BUY' : 'SELL'
             });
         }
+
+        this.emit('signal-updated', assetId);
+
+        return {
+            assetId,
+            direction,
+            strength,
+            weight,
+            recordedAt: now,
+            trades: this.whaleSignals.get(assetId).trades
+        };
+    }
+
+    /**
+     * Re-weight a trade already in the signal once its classification comes back
+     * Takes out the part of the trade's (decayed) contribution the new weight no longer allows.
+     * Emits 'signal-updated' with the asset ID.
+     * @param {Object} contribution - Returned by recordWhaleTrade
+     * @param {number|null} informedScore - Flow classification score (0-1)
+     * @returns {boolean} True if the signal changed
+     */
+    reweightWhaleTrade(contribution, informedScore) {
+        if (!contribution) {
+            return false;
+        }
+
+        const { assetId } = contribution;
+        const signal = this.whaleSignals.get(assetId);
+        const weight = informedWeight(informedScore);
+        if (!signal || weight >= contribution.weight) {
+            return false;
+        }
+
+        // Every later trade halved this one's share when it was combined in
+        const laterTrades = Math.max(0, (signal.trades || 0) - contribution.trades);
+        const decayFactor = Math.pow(0.5, (this.now() - contribution.recordedAt) / this.config.decayHalfLifeMs);
+        const removed = contribution.direction * contribution.strength * (1 - weight / contribution.weight) *
+                        decayFactor * Math.pow(0.5, laterTrades);
+
+        const current = this._applyDecay(signal);
+        const signed = current.direction * current.strength - removed;
+
+        if (Math.abs(signed) < 1e-9) {
+            this.whaleSignals.delete(assetId);
+        } else {
+            this.whaleSignals.set(assetId, {
+                ...signal,
+                direction: Math.sign(signed),
+                strength: Math.min(Math.abs(signed), 1),
+                timestamp: this.now(),
+                netDirection: signed > 0 ? 'BUY' : 'SELL'
+            });
+        }
+
+        this.emit('signal-updated', assetId);
+        return true;
     }
 
     /**
@@ -94,7 +174,7 @@ class ProbabilityAdjuster extends EventEmitter {
         }
 
         // Check if signal is too old
-        const age = Date.now() - signal.timestamp;
+        const age = this.now() - signal.timestamp;
         if (age > this.config.maxSignalAge) {
             this.whaleSignals.delete(assetId);
             return clampedBase;
@@ -124,7 +204,7 @@ class ProbabilityAdjuster extends EventEmitter {
         }
 
         // Check if signal is too old
-        const age = Date.now() - signal.timestamp;
+        const age = this.now() - signal.timestamp;
         if (age > this.config.maxSignalAge) {
             this.whaleSignals.delete(assetId);
             return null;
@@ -150,7 +230,7 @@ class ProbabilityAdjuster extends EventEmitter {
      */
     getAllSignals() {
         const signals = [];
-        const now = Date.now();
+        const now = this.now();
 
         for (const [assetId, signal] of this.whaleSignals) {
             const age = now - signal.timestamp;
@@ -178,7 +258,7 @@ class ProbabilityAdjuster extends EventEmitter {
      * @returns {number} Number of signals removed
      */
     cleanup() {
-        const now = Date.now();
+        const now = this.now();
         let removed = 0;
 
         for (const [assetId, signal] of this.whaleSignals) {
@@ -215,7 +295,7 @@ class ProbabilityAdjuster extends EventEmitter {
      * @private
      */
     _applyDecay(signal) {
-        const age = Date.now() - signal.timestamp;
+        const age = this.now() - signal.timestamp;
         const decayFactor = Math.pow(0.5, age / this.config.decayHalfLifeMs);
 
         return {
@@ -236,7 +316,7 @@ class ProbabilityAdjuster extends EventEmitter {
         }
 
         let loaded = 0;
-        const now = Date.now();
+        const now = this.now();
 
         for (const trade of whaleTrades) {
             const tradeTime = typeof trade.timestamp === 'number'
@@ -253,7 +333,8 @@ class ProbabilityAdjuster extends EventEmitter {
                 assetId: trade.assetId,
                 side: trade.side,
                 depthPercent: trade.depthPercent,
-                notional: trade.notional
+                notional: trade.notional,
+                informedScore: trade.informedScore
             });
             loaded++;
         }
@@ -267,5 +348,6 @@ const probabilityAdjuster = new ProbabilityAdjuster();
 
 module.exports = {
     ProbabilityAdjuster,
-    probabilityAdjuster
+    probabilityAdjuster,
+    informedWeight
 };
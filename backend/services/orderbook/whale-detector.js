@@ -4,19 +4,49 @@
  * A trade is flagged as whale/unusual if it meets BOTH:
  * 1. Relative threshold: Trade size > configurable % of total book depth on that side
  * 2. Absolute threshold: Trade notional > configurable minimum USD value
+ *
+ * Flagged trades are then classified from the trading wallet's history
+ * (see classifyTrade): market makers rebalancing inventory score low,
+ * directional position-takers score high. last_trade_price frames carry no
+ * wallet, so the trade is looked up on the CLOB trades endpoint first.
  */
 
+const appConfig = require('../../config');
+
+// Flow classifications, from least to most informative
+const WHALE_CLASSIFICATIONS = ['market-maker', 'mixed', 'informed', 'unknown'];
+
+// Wallet on a stream trade or CLOB /trades entry, lowercased
+function walletOf(trade) {
+    const address = trade.taker || trade.taker_address || trade.maker || trade.maker_address || trade.address;
+    return address ? String(address).toLowerCase() : null;
+}
+
 class WhaleDetector {
     /**
      * Create a new WhaleDetector instance
      * @param {Object} orderBookManager - The OrderBookManager instance
      * @param {Object} config - Configuration options
+     * @param {Object} [options]
+     * @param {Object} [options.walletTracker] - Source of wallet trading behavior (classification is skipped without one)
+     * @param {Object} [options.clob] - CLOB client used to find the wallet behind trades that arrive without one
      */
-    constructor(orderBookManager, config = {}) {
+    constructor(orderBookManager, config = {}, { walletTracker = null, clob = null } = {}) {
         this.orderBookManager = orderBookManager;
+        this.walletTracker = walletTracker;
+        this.clob = clob;
         this.config = {
             depthThresholdPercent: 5,      // Flag if trade > 5% of book depth
             minNotionalUsd: 1000,          // Minimum trade size in USD (shares * price)
+            minHistoryTrades: 5,
+            historyLimit: 500,
+            reversalWindowMs: 10 * 60 * 1000,
+            longHoldMs: 24 * 60 * 60 * 1000,
+            informedThreshold: 0.6,
+            marketMakerThreshold: 0.35,
+            walletLookupWindowSeconds: 5,
+            walletLookupDelayMs: 10 * 1000,
+            ...appConfig.whaleClassification,
             ...config
         };
     }
@@ -47,6 +77,11 @@ class WhaleDetector {
             return null;
         }
 
+        // Depth from a drifted book would skew depthPercent; wait for the resync
+        if (orderBook.isDesynced()) {
+            return null;
+        }
+
         // Calculate notional value (shares * price)
         const notional = size * price;
 
@@ -90,6 +125,132 @@ class WhaleDetector {
         };
     }
 
+    /**
+     * Classify a whale trade as market-maker or informed flow from the wallet's history
+     * Adds wallet, classification, informedScore (0-1, null when unknown) and flowMetrics.
+     * Trades without a wallet address are matched against the CLOB trades endpoint once they
+     * are walletLookupDelayMs old (so this can take a while; live callers run it in the
+     * background after recording the trade); ones that still have no wallet, or whose wallet has too little history, are 'unknown'
+     * and keep full weight downstream.
+     * Only history from before the trade counts, so a trade never scores itself.
+     *
+     * @param {Object} whaleTrade - Result of analyzeTrade
+     * @param {Object} tradeData - The raw trade (taker/maker/address identify the wallet)
+     * @returns {Promise<Object>} Whale trade with classification fields
+     */
+    async classifyTrade(whaleTrade, tradeData = {}) {
+        const wallet = walletOf(tradeData) || await this._lookupWallet(whaleTrade);
+        const unknown = { ...whaleTrade, wallet, classification: 'unknown', informedScore: null, flowMetrics: null };
+
+        if (!wallet || !this.walletTracker) {
+            return unknown;
+        }
+
+        let behavior;
+        try {
+            behavior = await this.walletTracker.getTradingBehavior(wallet, {
+                limit: this.config.historyLimit,
+                reversalWindowMs: this.config.reversalWindowMs,
+                before: whaleTrade.timestamp
+            });
+        } catch (error) {
+            console.error(`WhaleDetector: Failed to load history for ${wallet}:`, error.message);
+            return unknown;
+        }
+
+        if (!behavior || behavior.trades < this.config.minHistoryTrades) {
+            return { ...unknown, flowMetrics: behavior || null };
+        }
+
+        const informedScore = this.scoreBehavior(behavior);
+
+        return {
+            ...whaleTrade,
+            wallet,
+            classification: this.classifyScore(informedScore),
+            informedScore,
+            flowMetrics: behavior
+        };
+    }
+
+    /**
+     * Find the wallet behind a trade by matching it on the CLOB trades endpoint
+     * (same asset, side, price and size, closest match time)
+     * @param {Object} whaleTrade - Result of analyzeTrade
+     * @returns {Promise<string|null>} Lowercase wallet address, or null if not found
+     * @private
+     */
+    async _lookupWallet(whaleTrade) {
+        const time = Date.parse(whaleTrade.timestamp);
+        if (!this.clob || isNaN(time)) {
+            return null;
+        }
+
+        // Give the trade time to show up on the endpoint (no wait for trades already that old)
+        const wait = time + this.config.walletLookupDelayMs - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+
+        const second = Math.floor(time / 1000);
+        const window = this.config.walletLookupWindowSeconds;
+
+        let trades;
+        try {
+            trades = await this.clob.getTrades({
+                assetId: whaleTrade.assetId,
+                after: second - window,
+                before: second + window + 1
+            });
+        } catch (error) {
+            console.error(`WhaleDetector: Failed to look up trade on ${whaleTrade.assetId}:`, error.message);
+            return null;
+        }
+
+        const candidates = (Array.isArray(trades) ? trades : []).filter(trade =>
+            String(trade.side || '').toUpperCase() === whaleTrade.side &&
+            Math.abs(parseFloat(trade.price) - whaleTrade.price) < 1e-9 &&
+            Math.abs(parseFloat(trade.size) - whaleTrade.size) < 1e-6 &&
+            walletOf(trade)
+        );
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const distance = trade => Math.abs(Number(trade.match_time) - second);
+        candidates.sort((a, b) => distance(a) - distance(b));
+        return walletOf(candidates[0]);
+    }
+
+    /**
+     * Score how directional a wallet's trading is
+     * One-sided flow, few quick reversals and long holding times push the score towards 1.
+     * @param {Object} behavior - From walletTracker.getTradingBehavior
+     * @returns {number} informedScore (0-1)
+     */
+    scoreBehavior(behavior) {
+        const holdingScore = behavior.avgHoldingMs === null
+            ? 1 // never closed a position
+            : Math.min(behavior.avgHoldingMs / this.config.longHoldMs, 1);
+
+        const score = 0.4 * (1 - behavior.twoSidedRatio) +
+                      0.3 * (1 - behavior.quickReversalRate) +
+                      0.3 * holdingScore;
+
+        return parseFloat(Math.max(0, Math.min(1, score)).toFixed(3));
+    }
+
+    /**
+     * Map an informedScore to a classification
+     * @param {number} informedScore
+     * @returns {string} 'informed', 'market-maker' or 'mixed'
+     */
+    classifyScore(informedScore) {
+        if (informedScore >= this.config.informedThreshold) return 'informed';
+        if (informedScore <= this.config.marketMakerThreshold) return 'market-maker';
+        return 'mixed';
+    }
+
     /**
      * Update configuration
      * @param {Object} newConfig - New configuration values to merge
@@ -110,4 +271,4 @@ class WhaleDetector {
     }
 }
 
-module.exports = { WhaleDetector };
+module.exports = { WhaleDetector, WHALE_CLASSIFICATIONS };
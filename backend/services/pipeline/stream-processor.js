@@ -6,6 +6,7 @@
 
 const EventEmitter = require('events');
 const { clobWebSocketClient } = require('../polymarket/clob-websocket');
+const { clobClient } = require('../polymarket/clob-client');
 const { walletTracker } = require('../wallet/tracker');
 const { liquidityTracker } = require('../orderbook/liquidity-tracker');
 const { orderBookManager } = require('../orderbook/order-book-manager');
@@ -21,15 +22,25 @@ const config = require('../../config');
  * and runs signal processors to detect suspicious patterns.
  */
 class StreamProcessor extends EventEmitter {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {EventEmitter} [options.wsClient] - Market feed (the live client, or a WsReplaySource)
+     * @param {boolean} [options.subscribeToActiveMarkets=true] - Subscribe to every active market on start
+     * @param {Object|null} [options.clob] - CLOB client for whale wallet lookups (null switches them off, e.g. for replays)
+     */
+    constructor({ wsClient = clobWebSocketClient, subscribeToActiveMarkets = true, clob = clobClient } = {}) {
         super();
 
+        this.wsClient = wsClient;
+        this.subscribeOnStart = subscribeToActiveMarkets;
+
         // Initialize state
         this.running = false;
         this.subscriptions = new Map(); // tokenId -> subscription info
 
         // Initialize whale detector
-        this.whaleDetector = new WhaleDetector(orderBookManager);
+        this.whaleDetector = new WhaleDetector(orderBookManager, {}, { walletTracker, clob });
+        this.inFlight = new Set(); // running feed handlers and background classifications (see drain)
 
         // Statistics
         this.processedTrades = 0;
@@ -62,10 +73,15 @@ class StreamProcessor extends EventEmitter {
             this._setupEventHandlers();
 
             // Connect to WebSocket
-            await clobWebSocketClient.connect();
+            await this.wsClient.connect();
 
             // Subscribe to active markets
-            await this._subscribeToActiveMarkets();
+            if (this.subscribeOnStart) {
+                await this._subscribeToActiveMarkets();
+            }
+
+            // Re-fetch books that drift or go quiet
+            orderBookManager.startSyncMonitor();
 
             // Update state
             this.running = true;
@@ -91,7 +107,8 @@ class StreamProcessor extends EventEmitter {
         }
 
         // Disconnect WebSocket
-        clobWebSocketClient.disconnect();
+        this.wsClient.disconnect();
+        orderBookManager.stopSyncMonitor();
 
         // Clear subscriptions
         this.subscriptions.clear();
@@ -103,6 +120,18 @@ class StreamProcessor extends EventEmitter {
         console.log('StreamProcessor: Stopped');
     }
 
+    /**
+     * Wait until every feed handler and background classification started so far has finished
+     * (including work they start while draining). Replays await this per frame for
+     * deterministic results.
+     * @returns {Promise<void>}
+     */
+    async drain() {
+        while (this.inFlight.size > 0) {
+            await Promise.allSettled(Array.from(this.inFlight));
+        }
+    }
+
     /**
      * Subscribe to a specific market
      * @param {string} tokenId - The market/token ID to subscribe to
@@ -113,7 +142,7 @@ class StreamProcessor extends EventEmitter {
         }
 
         // Subscribe via WebSocket client
-        clobWebSocketClient.subscribe(tokenId, ['book', 'price_change', 'last_trade_price']);
+        this.wsClient.subscribe(tokenId, ['book', 'price_change', 'last_trade_price']);
 
         // Track subscription
         this.subscriptions.set(tokenId, {
@@ -134,7 +163,7 @@ class StreamProcessor extends EventEmitter {
         }
 
         // Unsubscribe via WebSocket client
-        clobWebSocketClient.unsubscribe(tokenId);
+        this.wsClient.unsubscribe(tokenId);
 
         // Remove from subscriptions
         this.subscriptions.delete(tokenId);
@@ -156,7 +185,12 @@ class StreamProcessor extends EventEmitter {
             await db.tradeHistory.record(trade);
 
             // Track wallet activity (returns null if no wallet address)
-            await walletTracker.trackTrade(trade);
+            const profile = await walletTracker.trackTrade(trade);
+
+            // First trade we have for this wallet: its history needs a backfill
+            if (profile?.totalTrades === 1) {
+                this.emit('new-wallet', profile.address);
+            }
 
             // Emit trade event
             this.emit('trade', trade);
@@ -213,25 +247,42 @@ class StreamProcessor extends EventEmitter {
         };
     }
 
+    /**
+     * Wrap an async handler so drain() can wait for its calls
+     * @param {Function} handler - async (data) => void
+     * @returns {Function}
+     * @private
+     */
+    _track(handler) {
+        return (data) => {
+            const running = Promise.resolve(handler(data)).finally(() => this.inFlight.delete(running));
+            this.inFlight.add(running);
+            return running;
+        };
+    }
+
     /**
      * Set up WebSocket event handlers
      * @private
      */
     _setupEventHandlers() {
         // Handle trade events
-        clobWebSocketClient.on('last_trade_price', async (data) => {
+        this.wsClient.on('last_trade_price', this._track(async (data) => {
             await this.processTrade(data);
 
             // Whale detection
-            const whaleResult = this.whaleDetector.analyzeTrade(data);
-            if (whaleResult) {
+            const detected = this.whaleDetector.analyzeTrade(data);
+            if (detected) {
                 this.detectedWhaleTrades++;
 
+                // Recorded unclassified at full weight; the classification is patched in afterwards
+                const whaleResult = { ...detected, wallet: null, classification: 'unknown', informedScore: null, flowMetrics: null };
+
                 // Get asset metadata NOW, at recording time (before it might be lost on restart)
                 const assetMeta = assetRegistry.get(whaleResult.assetId);
 
                 // Record whale trade in database with metadata included
-                await db.whaleTrades.record({
+                const record = await db.whaleTrades.record({
                     ...whaleResult,
                     eventTitle: assetMeta?.eventTitle || null,
                     outcome: assetMeta?.outcome || null,
@@ -239,20 +290,10 @@ class StreamProcessor extends EventEmitter {
                 });
 
                 // Update probability adjuster with whale signal
-                probabilityAdjuster.recordWhaleTrade(whaleResult);
+                const contribution = probabilityAdjuster.recordWhaleTrade(whaleResult);
 
                 // Update article probability for affected event
-                const event = await this._getEventInfo(whaleResult.assetId);
-                if (event && event.id) {
-                    const baseProbability = this._extractBaseProbability(event);
-                    if (baseProbability !== null) {
-                        const adjustedProbability = probabilityAdjuster.getAdjustedProbability(
-                            whaleResult.assetId,
-                            baseProbability
-                        );
-                        await db.articles.updateProbability(event.id, adjustedProbability);
-                    }
-                }
+                await this._updateArticleForWhale(whaleResult);
 
                 // Emit whale trade event
                 this.emit('whale-trade', whaleResult);
@@ -266,11 +307,14 @@ class StreamProcessor extends EventEmitter {
                     `[WHALE TRADE] ${contextPrefix}${whaleResult.side} ${whaleResult.size.toFixed(2)} @ ${whaleResult.price.toFixed(4)} ` +
                     `(${whaleResult.depthPercent.toFixed(1)}% of book, $${whaleResult.notional.toFixed(2)} notional)`
                 );
+
+                // Market maker vs. informed flow, in the background: the wallet lookup can wait on the CLOB
+                this._track(() => this._classifyWhale(detected, data, record, contribution))();
             }
-        });
+        }));
 
         // Handle orderbook updates
-        clobWebSocketClient.on('book', async (data) => {
+        this.wsClient.on('book', this._track(async (data) => {
             // Update in-memory order book
             orderBookManager.handleBookSnapshot(data);
 
@@ -278,10 +322,10 @@ class StreamProcessor extends EventEmitter {
             if (tokenId) {
                 await this.processOrderBookUpdate(tokenId, data);
             }
-        });
+        }));
 
         // Handle price changes (can indicate significant activity)
-        clobWebSocketClient.on('price_change', async (data) => {
+        this.wsClient.on('price_change', this._track(async (data) => {
             // Update in-memory order book with incremental changes
             orderBookManager.handlePriceChange(data);
 
@@ -295,22 +339,22 @@ class StreamProcessor extends EventEmitter {
                     console.log(`StreamProcessor: Significant price change on ${tokenId}: ${change.change_percent || change.changePercent}%`);
                 }
             }
-        });
+        }));
 
         // Handle WebSocket errors
-        clobWebSocketClient.on('error', (error) => {
+        this.wsClient.on('error', (error) => {
             this.emit('error', error);
         });
 
         // Handle disconnection
-        clobWebSocketClient.on('disconnected', () => {
+        this.wsClient.on('disconnected', () => {
             console.log('StreamProcessor: WebSocket disconnected');
             // Clear order books on disconnect (will be re-initialized on reconnect)
             orderBookManager.clearAll();
         });
 
         // Handle reconnection
-        clobWebSocketClient.on('connected', () => {
+        this.wsClient.on('connected', () => {
             console.log('StreamProcessor: WebSocket reconnected');
         });
     }
@@ -407,7 +451,10 @@ class StreamProcessor extends EventEmitter {
                 eventId,
                 eventTitle,
                 outcome,
-                outcomeIndex: i
+                outcomeIndex: i,
+                marketId: rawData.id,
+                marketQuestion: rawData.question,
+                negRisk: rawData.negRisk ?? null
             });
 
             // Only subscribe if not already subscribed
@@ -523,6 +570,68 @@ class StreamProcessor extends EventEmitter {
         return null;
     }
 
+    /**
+     * Classify a recorded whale trade and patch the record and the probability adjuster
+     * Emits 'whale-classified' with the classified trade.
+     * @param {Object} detected - Result of whaleDetector.analyzeTrade
+     * @param {Object} data - The raw trade frame
+     * @param {Object} record - Stored whale trade (from db.whaleTrades.record)
+     * @param {Object|null} contribution - From probabilityAdjuster.recordWhaleTrade
+     * @private
+     */
+    async _classifyWhale(detected, data, record, contribution) {
+        try {
+            const whaleResult = await this.whaleDetector.classifyTrade(detected, data);
+            const { wallet, classification, informedScore, flowMetrics } = whaleResult;
+            if (!wallet) {
+                return;
+            }
+
+            await db.whaleTrades.update(record.id, { wallet, classification, informedScore, flowMetrics });
+            if (probabilityAdjuster.reweightWhaleTrade(contribution, informedScore)) {
+                await this._updateArticleForWhale(whaleResult);
+            }
+
+            this.emit('whale-classified', { ...record, ...whaleResult });
+            console.log(
+                `[WHALE TRADE] Classified ${whaleResult.side} ${whaleResult.size.toFixed(2)} on ${whaleResult.assetId} as ` +
+                `${classification}${informedScore !== null ? ` (informedScore ${informedScore.toFixed(2)})` : ''}`
+            );
+        } catch (error) {
+            console.error('StreamProcessor: Error classifying whale trade:', error.message);
+        }
+    }
+
+    /**
+     * Move the affected event's article to the whale-adjusted probability
+     * Multi-outcome (field) articles are left alone: their probability is the field
+     * leader's, which one market's whale trade does not set (see reviseArticle).
+     * @param {Object} whaleResult - Whale trade
+     * @private
+     */
+    async _updateArticleForWhale(whaleResult) {
+        const event = await this._getEventInfo(whaleResult.assetId);
+        if (!event || !event.id) return;
+
+        const baseProbability = this._extractBaseProbability(event);
+        if (baseProbability === null) return;
+
+        const article = await db.articles.getByEventId(event.id);
+        if (article?.format === 'multi-outcome') return;
+
+        const adjustedProbability = probabilityAdjuster.getAdjustedProbability(
+            whaleResult.assetId,
+            baseProbability
+        );
+        await db.articles.updateProbability(event.id, adjustedProbability);
+
+        // Rewrite the article in the background if the favored outcome flipped or changed band
+        const articleGenerator = require('../article/generator');
+        articleGenerator.reviseArticle(event, adjustedProbability).catch(error => {
+            console.error(`StreamProcessor: Failed to revise article for event ${event.id}:`, error.message);
+        });
+    }
+
     /**
      * Extract base probability from event data
      * @param {Object} event - Event object
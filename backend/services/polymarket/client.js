@@ -195,6 +195,30 @@ function transformMarket(market) {
     };
 }
 
+// Transform raw event (group of markets) to our format
+function transformEvent(event) {
+    return {
+        id: event.id,
+        title: event.title,
+        slug: event.slug,
+        description: event.description || '',
+        // Use Polymarket's tags if available, otherwise fall back to regex
+        category: getCategoryFromTags(event.tags) || categorizeMarket(event),
+        tags: event.tags || [], // Store original tags
+        image: event.image,
+        endDate: event.endDate,
+        closed: event.closed === true,
+        markets: (event.markets || []).map(m => transformMarket(m)),
+        url: `https://polymarket.com/event/${event.slug}`
+    };
+}
+
+// Cache tags for every category present in a result set (e.g. 'category:Politics')
+function categoryTags(items) {
+    const categories = new Set(items.map(item => item.category).filter(Boolean));
+    return Array.from(categories, category => `category:${category}`);
+}
+
 // Fetch available tags from Polymarket
 async function fetchTags() {
     const cacheKey = 'polymarket:tags';
@@ -206,7 +230,7 @@ async function fetchTags() {
             throw new Error(`Polymarket API error: ${response.status}`);
         }
         return await response.json();
-    }, config.cache.eventTTL);
+    }, config.cache.eventTTL, { tags: ['polymarket'] });
 }
 
 // Fetch markets from Polymarket
@@ -281,7 +305,7 @@ async function fetchMarkets({
         }
 
         return markets.slice(0, limit);
-    }, config.cache.marketTTL);
+    }, config.cache.marketTTL, { tags: markets => ['polymarket', 'polymarket:markets', ...categoryTags(markets)] });
 }
 
 // Fetch single market by slug
@@ -302,7 +326,23 @@ async function fetchMarketBySlug(slug) {
         }
 
         return transformMarket(markets[0]);
-    }, config.cache.marketTTL);
+    }, config.cache.marketTTL, { tags: market => ['polymarket', 'polymarket:markets', ...categoryTags([market])] });
+}
+
+// Fetch a single event by ID, including closed and resolved markets
+// Not cached: used by the resolution poller, which needs the current state
+async function fetchEventById(id) {
+    const apiUrl = `${POLYMARKET_API}/events/${encodeURIComponent(id)}`;
+
+    const response = await fetch(apiUrl);
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        throw new Error(`Polymarket API error: ${response.status}`);
+    }
+
+    return transformEvent(await response.json());
 }
 
 // Fetch events (groups of related markets)
@@ -336,19 +376,7 @@ async function fetchEvents({
 
         const rawEvents = await response.json();
 
-        let events = rawEvents.map(event => ({
-            id: event.id,
-            title: event.title,
-            slug: event.slug,
-            description: event.description || '',
-            // Use Polymarket's tags if available, otherwise fall back to regex
-            category: getCategoryFromTags(event.tags) || categorizeMarket(event),
-            tags: event.tags || [], // Store original tags
-            image: event.image,
-            endDate: event.endDate,
-            markets: (event.markets || []).map(m => transformMarket(m)),
-            url: `https://polymarket.com/event/${event.slug}`
-        }));
+        let events = rawEvents.map(event => transformEvent(event));
 
         // Filter by allowed categories if configured
         const allowedCategories = config.article?.allowedCategories;
@@ -357,15 +385,17 @@ async function fetchEvents({
         }
 
         return events;
-    }, config.cache.eventTTL);
+    }, config.cache.eventTTL, { tags: events => ['polymarket', 'polymarket:events', ...categoryTags(events)] });
 }
 
 module.exports = {
     fetchMarkets,
     fetchMarketBySlug,
     fetchEvents,
+    fetchEventById,
     fetchTags,
     transformMarket,
+    transformEvent,
     categorizeMarket,
     getCategoryFromTags,
     parseOutcomes
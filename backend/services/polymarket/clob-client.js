@@ -266,13 +266,14 @@ class ClobClient {
     }
 
     /**
-     * Get trades for a market or maker
+     * Get trades for a market, token or maker
      * @param {Object} params - Query parameters
      * @param {string} [params.maker] - Filter by maker address
-     * @param {string} [params.market] - Filter by market/token ID
+     * @param {string} [params.market] - Filter by market (condition ID)
+     * @param {string} [params.assetId] - Filter by CLOB token ID
      * @param {number} [params.limit] - Maximum number of trades to return
-     * @param {string} [params.before] - Cursor for pagination (trade ID)
-     * @param {string} [params.after] - Cursor for pagination (trade ID)
+     * @param {number} [params.before] - Only trades matched before this time (unix seconds)
+     * @param {number} [params.after] - Only trades matched after this time (unix seconds)
      * @returns {Promise<Array>} Array of trade objects
      */
     async getTrades(params = {}) {
@@ -284,6 +285,9 @@ class ClobClient {
         if (params.market) {
             queryParams.market = params.market;
         }
+        if (params.assetId) {
+            queryParams.asset_id = params.assetId;
+        }
         if (params.limit !== undefined) {
             queryParams.limit = params.limit;
         }
@@ -27,6 +27,47 @@ const RECONNECT_MAX_DELAY = config.realtime.reconnectDelayMs * 10; // Max 10x ba
 // Note: A single "market" subscription receives all event types
 const VALID_EVENTS = ['book', 'price_change', 'last_trade_price', 'tick_size_change'];
 
+/**
+ * Parse a raw market channel frame and emit it as a typed event
+ * Shared by the live client and the capture replay source so both behave identically.
+ * @param {EventEmitter} emitter - Client to emit 'book', 'price_change', etc. on
+ * @param {string} raw - Frame payload as received
+ */
+function dispatchFrame(emitter, raw) {
+    // Log ALL raw WebSocket messages
+    // console.log('[WS Raw]', raw);
+
+    try {
+        // Handle non-JSON messages (e.g., "INVALID OPERATION")
+        if (typeof raw === 'string' && !raw.startsWith('{') && !raw.startsWith('[')) {
+            // Skip known non-JSON responses silently
+            return;
+        }
+
+        const data = JSON.parse(raw);
+
+        // Handle different message types from the market channel
+        const eventType = data.event_type || data.type;
+        if (eventType === 'book') {
+            emitter.emit('book', data);
+        } else if (eventType === 'price_change') {
+            emitter.emit('price_change', data);
+        } else if (eventType === 'last_trade_price') {
+            emitter.emit('last_trade_price', data);
+        } else if (eventType === 'tick_size_change') {
+            emitter.emit('tick_size_change', data);
+        } else {
+            // Unknown message type, emit as generic event
+            emitter.emit('message', data);
+        }
+    } catch (error) {
+        // Only log parse errors for messages that look like they should be JSON
+        if (raw?.startsWith('{') || raw?.startsWith('[')) {
+            emitter.emit('error', new Error(`Failed to parse WebSocket message: ${error.message}`));
+        }
+    }
+}
+
 /**
  * Polymarket CLOB WebSocket Client
  * Connects to Polymarket's WebSocket API for real-time market data
@@ -231,38 +272,9 @@ class ClobWebSocketClient extends EventEmitter {
     }
 
     _handleMessage(event) {
-        // Log ALL raw WebSocket messages
-        // console.log('[WS Raw]', event.data);
-
-        try {
-            // Handle non-JSON messages (e.g., "INVALID OPERATION")
-            if (typeof event.data === 'string' && !event.data.startsWith('{') && !event.data.startsWith('[')) {
-                // Skip known non-JSON responses silently
-                return;
-            }
-
-            const data = JSON.parse(event.data);
-
-            // Handle different message types from the market channel
-            const eventType = data.event_type || data.type;
-            if (eventType === 'book') {
-                this.emit('book', data);
-            } else if (eventType === 'price_change') {
-                this.emit('price_change', data);
-            } else if (eventType === 'last_trade_price') {
-                this.emit('last_trade_price', data);
-            } else if (eventType === 'tick_size_change') {
-                this.emit('tick_size_change', data);
-            } else {
-                // Unknown message type, emit as generic event
-                this.emit('message', data);
-            }
-        } catch (error) {
-            // Only log parse errors for messages that look like they should be JSON
-            if (event.data?.startsWith('{') || event.data?.startsWith('[')) {
-                this.emit('error', new Error(`Failed to parse WebSocket message: ${error.message}`));
-            }
-        }
+        // Raw frame for the capture recorder (see ws-recorder.js)
+        this.emit('raw-message', event.data, Date.now());
+        dispatchFrame(this, event.data);
     }
 
     _handleDisconnect(event) {
@@ -325,5 +337,7 @@ const clobWebSocketClient = new ClobWebSocketClient();
 // Export both the class and singleton instance
 module.exports = {
     ClobWebSocketClient,
-    clobWebSocketClient
+    clobWebSocketClient,
+    dispatchFrame,
+    VALID_EVENTS
 };
@@ -0,0 +1,218 @@
+/**
+ * WebSocket Capture Recorder
+ * Writes every raw market channel frame, with its receive time, to rotating
+ * NDJSON files so sessions can be replayed offline (see ws-replay.js).
+ *
+ * Line format:
+ *   {"t":1704067200123,"frame":"<raw frame>"}
+ *   {"t":1704067200456,"event":"disconnected"}     connection lifecycle
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+const BACKEND_DIR = path.join(__dirname, '..', '..');
+const FILE_PREFIX = 'capture-';
+const FILE_SUFFIX = '.ndjson';
+
+class WsRecorder {
+    /**
+     * @param {Object} [options] - Defaults to config.wsCapture
+     * @param {string} options.directory - Capture directory (relative to the backend directory)
+     * @param {number} options.maxFileBytes - Rotate after a file reaches this size
+     * @param {number} options.maxFiles - Oldest captures beyond this count are deleted
+     */
+    constructor(options = config.wsCapture) {
+        this.directory = path.resolve(BACKEND_DIR, options.directory);
+        this.maxFileBytes = options.maxFileBytes;
+        this.maxFiles = options.maxFiles;
+
+        this.client = null;
+        this.stream = null;
+        this.currentFile = null;
+        this.currentBytes = 0;
+        this.fileCounter = 0;
+
+        // Statistics
+        this.framesRecorded = 0;
+        this.filesWritten = 0;
+        this.lastError = null;
+
+        this._onFrame = (raw, receivedAt) => this.record({ t: receivedAt, frame: String(raw) });
+        this._onConnected = () => this.record({ t: Date.now(), event: 'connected' });
+        this._onDisconnected = () => this.record({ t: Date.now(), event: 'disconnected' });
+    }
+
+    /**
+     * Start recording a WebSocket client's traffic
+     * @param {EventEmitter} client - Emits 'raw-message', 'connected', 'disconnected'
+     * @returns {WsRecorder} this
+     */
+    attach(client) {
+        if (this.client) {
+            this.detach();
+        }
+
+        this.client = client;
+        client.on('raw-message', this._onFrame);
+        client.on('connected', this._onConnected);
+        client.on('disconnected', this._onDisconnected);
+
+        console.log(`[WsRecorder] Recording market WebSocket to ${this.directory}`);
+        return this;
+    }
+
+    /**
+     * Stop listening to the client (the current file stays open until close())
+     */
+    detach() {
+        if (!this.client) {
+            return;
+        }
+        this.client.off('raw-message', this._onFrame);
+        this.client.off('connected', this._onConnected);
+        this.client.off('disconnected', this._onDisconnected);
+        this.client = null;
+    }
+
+    /**
+     * Append one entry, rotating the file when it grows past maxFileBytes
+     * @param {Object} entry - { t, frame } or { t, event }
+     */
+    record(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        const bytes = Buffer.byteLength(line);
+
+        // Runs inside the WebSocket client's message handler, so file errors must not escape
+        try {
+            if (!this.stream || this.currentBytes + bytes > this.maxFileBytes) {
+                this._rotate();
+            }
+
+            this.stream.write(line);
+        } catch (error) {
+            this._disable(error);
+            return;
+        }
+
+        this.currentBytes += bytes;
+        if (entry.frame !== undefined) {
+            this.framesRecorded++;
+        }
+    }
+
+    /**
+     * Stop recording and flush the current file
+     * @returns {Promise<void>}
+     */
+    close() {
+        this.detach();
+
+        const stream = this.stream;
+        this.stream = null;
+        this.currentFile = null;
+        this.currentBytes = 0;
+
+        if (!stream) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => stream.end(resolve));
+    }
+
+    /**
+     * Get recorder status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            recording: this.client !== null,
+            directory: this.directory,
+            currentFile: this.currentFile,
+            currentBytes: this.currentBytes,
+            framesRecorded: this.framesRecorded,
+            filesWritten: this.filesWritten,
+            lastError: this.lastError
+        };
+    }
+
+    /**
+     * List capture files, oldest first
+     * @param {string} directory
+     * @returns {string[]} Absolute paths
+     */
+    static listCaptures(directory) {
+        if (!fs.existsSync(directory)) {
+            return [];
+        }
+        return fs.readdirSync(directory)
+            .filter(name => name.startsWith(FILE_PREFIX) && name.endsWith(FILE_SUFFIX))
+            .sort()
+            .map(name => path.join(directory, name));
+    }
+
+    /**
+     * @private
+     */
+    _rotate() {
+        if (this.stream) {
+            this.stream.end();
+            this.stream = null;
+        }
+
+        fs.mkdirSync(this.directory, { recursive: true });
+
+        // Timestamped names sort chronologically; the counter separates files opened in the same millisecond
+        const stamp = new Date().toISOString().replace(/[-:.]/g, '');
+        const counter = String(this.fileCounter++).padStart(4, '0');
+        this.currentFile = path.join(this.directory, `${FILE_PREFIX}${stamp}-${counter}${FILE_SUFFIX}`);
+        // Open synchronously so the new file is counted when pruning
+        this.stream = fs.createWriteStream(this.currentFile, { fd: fs.openSync(this.currentFile, 'a') });
+        this.stream.on('error', (error) => this._disable(error));
+        this.currentBytes = 0;
+        this.filesWritten++;
+
+        this._prune();
+    }
+
+    /**
+     * Stop recording after a file error (the live feed carries on unrecorded)
+     * @private
+     */
+    _disable(error) {
+        console.error('[WsRecorder] Recording disabled:', error.message);
+        this.lastError = error.message;
+        this.detach();
+
+        const stream = this.stream;
+        this.stream = null;
+        this.currentFile = null;
+        this.currentBytes = 0;
+        if (stream && !stream.destroyed) {
+            stream.destroy();
+        }
+    }
+
+    /**
+     * @private
+     */
+    _prune() {
+        const files = WsRecorder.listCaptures(this.directory);
+        for (const file of files.slice(0, Math.max(0, files.length - this.maxFiles))) {
+            if (file === this.currentFile) continue;
+            try {
+                fs.unlinkSync(file);
+            } catch (error) {
+                console.error(`[WsRecorder] Failed to delete ${file}:`, error.message);
+            }
+        }
+    }
+}
+
+// Export class and singleton instance
+const wsRecorder = new WsRecorder();
+
+module.exports = {
+    WsRecorder,
+    wsRecorder
+};
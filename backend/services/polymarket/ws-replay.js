@@ -0,0 +1,327 @@
+/**
+ * WebSocket Capture Replay
+ * Plays NDJSON captures from ws-recorder.js back through the same EventEmitter
+ * interface as clobWebSocketClient, so StreamProcessor can run against a
+ * recorded session offline.
+ *
+ * Usage:
+ *   node services/polymarket/ws-replay.js <capture file or directory> [--speed=1|10|max]
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const readline = require('readline');
+const { dispatchFrame, VALID_EVENTS } = require('./clob-websocket');
+const { WsRecorder } = require('./ws-recorder');
+
+/**
+ * Parse a speed option: a positive multiplier, or 'max' for no delays
+ * @param {string|number} value
+ * @returns {number} Multiplier (Infinity for max)
+ */
+function parseSpeed(value) {
+    if (value === undefined || value === null || value === '') return 1;
+    if (value === 'max' || value === Infinity) return Infinity;
+
+    const speed = parseFloat(value);
+    if (!(speed > 0)) {
+        throw new Error(`Invalid replay speed: ${value}`);
+    }
+    return speed;
+}
+
+class WsReplaySource extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string|string[]} options.path - Capture file, directory of captures, or list of files
+     * @param {string|number} [options.speed=1] - Playback multiplier, or 'max'
+     * @param {Function} [options.onFrame] - async (entry) => void, awaited after each frame is
+     *   dispatched; pass a drain (e.g. StreamProcessor#drain) so async handlers finish before the
+     *   next frame and replays are deterministic at any speed
+     */
+    constructor({ path: source, speed = 1, onFrame = null } = {}) {
+        super();
+
+        this.files = WsReplaySource.resolveFiles(source);
+        this.speed = parseSpeed(speed);
+        this.onFrame = onFrame;
+
+        // Same public state as ClobWebSocketClient
+        this.isConnected = false;
+        this.subscriptions = new Map(); // assetId -> Set of event types
+
+        this.stopped = false;
+        this.playback = null;
+        this.sleepTimer = null;
+        this.wakeUp = null;
+        this.startCaptureTime = null;
+        this.startWallTime = null;
+
+        // Capture time of the entry being replayed (use instead of Date.now() for deterministic checks)
+        this.currentTime = null;
+
+        // Statistics
+        this.framesReplayed = 0;
+        this.linesSkipped = 0;
+
+        // Match the live client: parse errors shouldn't crash without a listener
+        this.on('error', (err) => {
+            if (this.listenerCount('error') <= 1) {
+                console.error('WsReplaySource error:', err.message || err);
+            }
+        });
+    }
+
+    /**
+     * Expand a capture path into files, oldest first
+     * @param {string|string[]} source
+     * @returns {string[]}
+     */
+    static resolveFiles(source) {
+        if (Array.isArray(source)) {
+            return source;
+        }
+        if (!source) {
+            throw new Error('A capture file or directory is required');
+        }
+        if (fs.statSync(source).isDirectory()) {
+            const files = WsRecorder.listCaptures(source);
+            if (files.length === 0) {
+                throw new Error(`No captures found in ${source}`);
+            }
+            return files;
+        }
+        return [source];
+    }
+
+    /**
+     * Start playback
+     * @returns {Promise<void>} Resolves once "connected" (playback continues in the background)
+     */
+    async connect() {
+        if (this.isConnected) {
+            return;
+        }
+
+        this.stopped = false;
+        this.isConnected = true;
+        this.emit('connected');
+
+        this.playback = this._play()
+            .catch(error => this.emit('error', error))
+            .finally(() => {
+                this.isConnected = false;
+                this.emit('end', this.getStatus());
+            });
+    }
+
+    /**
+     * Stop playback
+     */
+    disconnect() {
+        this.stopped = true;
+        if (this.sleepTimer) {
+            clearTimeout(this.sleepTimer);
+            this.sleepTimer = null;
+            this.wakeUp?.();
+        }
+
+        if (this.isConnected) {
+            this.isConnected = false;
+            this.emit('disconnected');
+        }
+    }
+
+    /**
+     * Restart playback from the beginning
+     * @returns {Promise<void>}
+     */
+    async reconnect() {
+        this.disconnect();
+        await this.playback;
+        this.startCaptureTime = null;
+        return this.connect();
+    }
+
+    /**
+     * Wait for playback to finish
+     * @returns {Promise<Object>} Final status
+     */
+    async waitForEnd() {
+        if (this.playback) {
+            await this.playback;
+        }
+        return this.getStatus();
+    }
+
+    /**
+     * Record a subscription (captures already contain whatever was subscribed when recording)
+     * @param {string} assetId - The asset/market ID
+     * @param {string[]} events - Event types
+     */
+    subscribe(assetId, events = VALID_EVENTS) {
+        if (!assetId) {
+            throw new Error('assetId is required');
+        }
+        if (!this.subscriptions.has(assetId)) {
+            this.subscriptions.set(assetId, new Set());
+        }
+        events.filter(e => VALID_EVENTS.includes(e)).forEach(e => this.subscriptions.get(assetId).add(e));
+    }
+
+    /**
+     * @param {string} assetId - The asset/market ID
+     */
+    unsubscribe(assetId) {
+        if (!assetId) {
+            throw new Error('assetId is required');
+        }
+        this.subscriptions.delete(assetId);
+    }
+
+    /**
+     * @returns {Object} Map of assetId to subscribed events
+     */
+    getSubscriptions() {
+        const result = {};
+        this.subscriptions.forEach((events, assetId) => {
+            result[assetId] = Array.from(events);
+        });
+        return result;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isConnectedStatus() {
+        return this.isConnected;
+    }
+
+    /**
+     * Get playback status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        return {
+            files: this.files.length,
+            speed: this.speed === Infinity ? 'max' : this.speed,
+            playing: this.isConnected,
+            framesReplayed: this.framesReplayed,
+            linesSkipped: this.linesSkipped,
+            currentTime: this.currentTime
+        };
+    }
+
+    /**
+     * @private
+     */
+    async _play() {
+        let sawFrame = false;
+
+        for (const file of this.files) {
+            const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+            try {
+                for await (const line of lines) {
+                    if (this.stopped) break;
+                    if (!line.trim()) continue;
+
+                    let entry;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch {
+                        this.linesSkipped++;
+                        continue;
+                    }
+
+                    await this._waitUntil(entry.t);
+                    if (this.stopped) break;
+                    this.currentTime = entry.t;
+
+                    if (entry.frame !== undefined) {
+                        sawFrame = true;
+                        this.framesReplayed++;
+                        dispatchFrame(this, entry.frame);
+                        if (this.onFrame) {
+                            await this.onFrame(entry);
+                        }
+                    } else if (entry.event === 'disconnected' || (entry.event === 'connected' && sawFrame)) {
+                        // The opening "connected" was already emitted by connect()
+                        this.emit(entry.event);
+                    }
+                }
+            } finally {
+                lines.close();
+            }
+
+            if (this.stopped) break;
+        }
+    }
+
+    /**
+     * Hold each entry until its capture offset, scaled by speed
+     * Always yields to the event loop so async handlers run between frames.
+     * @private
+     */
+    _waitUntil(captureTime) {
+        if (this.startCaptureTime === null) {
+            this.startCaptureTime = captureTime;
+            this.startWallTime = Date.now();
+        }
+
+        const delay = this.speed === Infinity
+            ? 0
+            : this.startWallTime + (captureTime - this.startCaptureTime) / this.speed - Date.now();
+
+        if (delay <= 0) {
+            return new Promise(resolve => setImmediate(resolve));
+        }
+
+        return new Promise(resolve => {
+            this.wakeUp = resolve;
+            this.sleepTimer = setTimeout(() => {
+                this.sleepTimer = null;
+                resolve();
+            }, delay);
+        });
+    }
+}
+
+// Replay a capture through a StreamProcessor and print what it detected
+if (require.main === module) {
+    const [source, ...flags] = process.argv.slice(2);
+    const speedFlag = flags.find(f => f.startsWith('--speed='));
+
+    if (!source) {
+        console.error('Usage: node services/polymarket/ws-replay.js <capture file or directory> [--speed=1|10|max]');
+        process.exit(1);
+    }
+
+    const { StreamProcessor } = require('../pipeline/stream-processor');
+    // Each frame's handlers finish before the next frame, so results do not depend on speed
+    const replay = new WsReplaySource({
+        path: source,
+        speed: speedFlag ? speedFlag.split('=')[1] : 1,
+        onFrame: () => processor.drain()
+    });
+    const processor = new StreamProcessor({ wsClient: replay, subscribeToActiveMarkets: false, clob: null });
+
+    processor.on('error', (error) => console.error('Stream processor error:', error.message || error));
+
+    processor.start()
+        .then(() => replay.waitForEnd())
+        .then(status => {
+            console.log('Replay finished:', JSON.stringify({ replay: status, processor: processor.getStatus() }, null, 2));
+            processor.stop();
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    WsReplaySource,
+    parseSpeed
+};
@@ -1,7 +1,7 @@
 // RAG News Search Service
 // Searches for related news articles using web search APIs and generates summaries
 
-const config = require('../../config');
+const llm = require('../llm');
 
 // Extract key terms from headline for better search
 function extractSearchQuery(headline) {
@@ -102,36 +102,29 @@ async function searchTavily(query, limit = 5) {
     }));
 }
 
-// Generate summary for a related article using Claude
+// Generate summary for a related article using the LLM
 async function generateSummary(articleTitle, articleDescription, mainHeadline) {
-    if (!config.anthropic.apiKey) {
+    if (!llm.isConfigured()) {
         // Fallback: use the description as-is, trimmed
         return articleDescription?.substring(0, 200) || 'Related news story.';
     }
 
     try {
-        const Anthropic = (await import('@anthropic-ai/sdk')).default;
-        const anthropic = new Anthropic({ apiKey: config.anthropic.apiKey });
-
-        const response = await anthropic.messages.create({
-            model: config.anthropic.model,
+        const response = await llm.complete({
+            purpose: 'related-summary',
             system: 'You are a news editor. Write a brief 1-2 sentence summary explaining how this related article connects to the main story. Be concise and informative.',
-            messages: [
-                {
-                    role: 'user',
-                    content: `Main Story Headline: ${mainHeadline}
+            prompt: `Main Story Headline: ${mainHeadline}
 
 Related Article: ${articleTitle}
 Description: ${articleDescription}
 
-Write a brief summary (max 100 words) explaining the connection and key points from this related article.`
-                }
-            ],
-            max_tokens: 150,
-            temperature: 0.5
+Write a brief summary (max 100 words) explaining the connection and key points from this related article.`,
+            maxTokens: 150,
+            temperature: 0.5,
+            vars: { title: articleTitle, headline: mainHeadline }
         });
 
-        return response.content[0].text.trim();
+        return response.text.trim();
     } catch (error) {
         console.error('Failed to generate summary:', error.message);
         return articleDescription?.substring(0, 200) || 'Related news story.';
@@ -0,0 +1,345 @@
+/**
+ * Resolution Poller
+ * Periodically checks unresolved events against Polymarket, settles every
+ * resolved market's trades into wallet win/loss stats, and closes out the
+ * event and its article with the winning outcome.
+ */
+
+const EventEmitter = require('events');
+const polymarket = require('../polymarket/client');
+const { walletTracker } = require('../wallet/tracker');
+const {
+    getMarketResolution,
+    buildPositions,
+    settlePositions
+} = require('./settlement');
+const db = require('../../db');
+const config = require('../../config');
+
+// Upper bound on trades replayed per token (matches the trade history cap)
+const MAX_TRADES_PER_TOKEN = 100000;
+
+/**
+ * ResolutionPoller settles markets once Polymarket reports a final outcome.
+ * Each market is settled at most once; the record in db.resolutions guards replays.
+ */
+class ResolutionPoller extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {Object} options.client - Polymarket client (fetchEventById)
+     * @param {Object} options.tracker - Wallet tracker (updateWalletOnResolution)
+     */
+    constructor({ client = polymarket, tracker = walletTracker } = {}) {
+        super();
+
+        this.client = client;
+        this.tracker = tracker;
+        this.config = config.resolution;
+
+        this.timer = null;
+        this.polling = false;
+
+        // eventId -> { attempts, lastCheckedAt } for due events still waiting on a resolution
+        this.checks = new Map();
+
+        // Statistics
+        this.lastPollAt = null;
+        this.lastPollError = null;
+        this.checkedEvents = 0;
+        this.resolvedEvents = 0;
+        this.settledMarkets = 0;
+    }
+
+    /**
+     * Start polling on the configured interval
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.pollOnce().catch(error => {
+                console.error('[Resolution] Poll failed:', error.message);
+            });
+        }, this.config.pollIntervalMs);
+
+        console.log(`[Resolution] Poller started (every ${Math.round(this.config.pollIntervalMs / 1000)}s)`);
+    }
+
+    /**
+     * Stop polling
+     */
+    stop() {
+        if (!this.timer) {
+            return;
+        }
+        clearInterval(this.timer);
+        this.timer = null;
+        console.log('[Resolution] Poller stopped');
+    }
+
+    /**
+     * Check a batch of unresolved events that are due (or past due) to resolve
+     * @returns {Promise<Object>} { checked, resolvedEvents, settledMarkets }
+     */
+    async pollOnce() {
+        if (this.polling) {
+            return { checked: 0, resolvedEvents: [], settledMarkets: 0, skipped: true };
+        }
+        this.polling = true;
+
+        const summary = { checked: 0, resolvedEvents: [], settledMarkets: 0 };
+
+        try {
+            const candidates = await this._getDueEvents();
+
+            for (const event of candidates) {
+                summary.checked++;
+                const check = this.checks.get(event.id) || { attempts: 0, lastCheckedAt: 0 };
+                check.attempts++;
+                check.lastCheckedAt = Date.now();
+                this.checks.set(event.id, check);
+
+                try {
+                    const result = await this.checkEvent(event);
+                    summary.settledMarkets += result.settledMarkets;
+                    if (result.resolved) {
+                        summary.resolvedEvents.push(event.id);
+                        this.checks.delete(event.id);
+                    }
+                } catch (error) {
+                    console.error(`[Resolution] Failed to check event ${event.id}:`, error.message);
+                }
+            }
+
+            this.lastPollError = null;
+        } catch (error) {
+            this.lastPollError = error.message;
+            throw error;
+        } finally {
+            this.polling = false;
+            this.lastPollAt = new Date().toISOString();
+            this.checkedEvents += summary.checked;
+        }
+
+        if (summary.settledMarkets > 0 || summary.resolvedEvents.length > 0) {
+            console.log(`[Resolution] Checked ${summary.checked} events: ${summary.settledMarkets} markets settled, ${summary.resolvedEvents.length} events resolved`);
+        }
+
+        return summary;
+    }
+
+    /**
+     * Check one stored event against Polymarket and settle any resolved markets
+     * @param {Object} event - Event from db.events
+     * @returns {Promise<Object>} { resolved, settledMarkets }
+     */
+    async checkEvent(event) {
+        const remote = await this.client.fetchEventById(event.id);
+        if (!remote || remote.markets.length === 0) {
+            return { resolved: false, settledMarkets: 0 };
+        }
+
+        let settledMarkets = 0;
+        const marketResolutions = [];
+
+        for (const market of remote.markets) {
+            const resolution = getMarketResolution(market);
+            if (!resolution) continue;
+
+            // Markets whose settlement was cut short are picked up where they stopped
+            const existing = await db.resolutions.getByMarketId(resolution.marketId);
+            if (existing && existing.status !== 'settling') {
+                marketResolutions.push(existing);
+                continue;
+            }
+
+            marketResolutions.push(await this.settleMarket(event.id, resolution, existing));
+            settledMarkets++;
+        }
+
+        // The event is resolved once every one of its markets is
+        const resolved = marketResolutions.length === remote.markets.length;
+        if (resolved) {
+            await this._closeEvent(event, marketResolutions, remote.markets);
+        }
+
+        return { resolved, settledMarkets };
+    }
+
+    /**
+     * Replay recorded trades for a resolved market and update each wallet's stats
+     * The resolution is stored as 'settling' before any wallet is credited and lists the
+     * wallets credited so far, so a settlement cut short resumes without crediting twice.
+     * @param {string} eventId - Event the market belongs to
+     * @param {Object} resolution - From getMarketResolution
+     * @param {Object} [previous] - Stored 'settling' record of an interrupted settlement
+     * @returns {Promise<Object>} Stored resolution record
+     */
+    async settleMarket(eventId, resolution, previous = null) {
+        const tokenIds = resolution.payouts.map(p => p.tokenId).filter(Boolean);
+
+        const trades = [];
+        for (const tokenId of tokenIds) {
+            trades.push(...await db.tradeHistory.getByMarket(tokenId, MAX_TRADES_PER_TOKEN));
+        }
+
+        const settlements = settlePositions(buildPositions(trades), resolution.payouts);
+        const settledWallets = new Set(previous?.settledWallets || []);
+
+        let record = {
+            ...resolution,
+            eventId,
+            resolvedAt: previous?.resolvedAt || new Date().toISOString(),
+            status: 'settling',
+            settledWallets: Array.from(settledWallets)
+        };
+        await db.resolutions.record(record);
+
+        for (const settlement of settlements) {
+            if (settledWallets.has(settlement.address)) continue;
+
+            await this.tracker.updateWalletOnResolution(settlement.address, settlement.won, settlement.profit);
+            settledWallets.add(settlement.address);
+            record = await db.resolutions.record({ ...record, settledWallets: Array.from(settledWallets) });
+        }
+
+        record = await db.resolutions.record({
+            ...resolution,
+            eventId,
+            resolvedAt: record.resolvedAt,
+            status: 'settled',
+            tradesReplayed: trades.length,
+            walletsSettled: settlements.length,
+            winners: settlements.filter(s => s.won).length
+        });
+
+        this.settledMarkets++;
+        this.emit('market-settled', record);
+        console.log(`[Resolution] Settled market ${resolution.marketId} (${resolution.winningOutcome || 'no single winner'}): ${settlements.length} wallets`);
+
+        return record;
+    }
+
+    /**
+     * Get poller status
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        const attempts = Array.from(this.checks.values(), check => check.attempts);
+
+        return {
+            running: this.timer !== null,
+            polling: this.polling,
+            lastPollAt: this.lastPollAt,
+            lastPollError: this.lastPollError,
+            checkedEvents: this.checkedEvents,
+            resolvedEvents: this.resolvedEvents,
+            settledMarkets: this.settledMarkets,
+            pendingEvents: this.checks.size,
+            maxAttempts: attempts.length > 0 ? Math.max(...attempts) : 0,
+            config: { ...this.config }
+        };
+    }
+
+    /**
+     * Unresolved events whose end date is past or within the lookahead window
+     * (markets often resolve a little before their listed end date)
+     * Events never checked come first, oldest end date first; the rest rotate by
+     * least recently checked, so events Polymarket is slow to settle cannot hold
+     * the batch and starve newer ones.
+     * @private
+     */
+    async _getDueEvents() {
+        const cutoff = Date.now() + this.config.lookaheadHours * 60 * 60 * 1000;
+        const events = await db.events.getAll({ limit: Number.MAX_SAFE_INTEGER, resolved: false });
+
+        const due = events.filter(e => e.endDate && new Date(e.endDate).getTime() <= cutoff);
+
+        // Forget events that were resolved elsewhere or are no longer due
+        const dueIds = new Set(due.map(e => e.id));
+        for (const eventId of this.checks.keys()) {
+            if (!dueIds.has(eventId)) {
+                this.checks.delete(eventId);
+            }
+        }
+
+        const lastChecked = e => this.checks.get(e.id)?.lastCheckedAt || 0;
+        return due
+            .sort((a, b) => lastChecked(a) - lastChecked(b) || new Date(a.endDate) - new Date(b.endDate))
+            .slice(0, this.config.batchSize);
+    }
+
+    /**
+     * Mark an event and its article resolved
+     * The winning outcome is taken from the event's primary market (the one binary articles
+     * were written about). For a negative-risk field ("Who will win...?") it is the field
+     * member whose market's Yes paid out, as multi-outcome articles name the leader.
+     * @private
+     */
+    async _closeEvent(event, marketResolutions, markets = []) {
+        const winner = this._getFieldWinner(marketResolutions, markets) || this._getPrimaryWinner(event, marketResolutions);
+        const resolvedAt = new Date().toISOString();
+
+        const resolution = {
+            resolved: true,
+            resolvedAt,
+            winningOutcome: winner.winningOutcome,
+            resolvedMarketId: winner.marketId
+        };
+
+        await db.events.upsert({ ...event, ...resolution });
+
+        const article = await db.articles.getByEventId(event.id);
+        if (article) {
+            await db.articles.update(article.id, resolution);
+        }
+
+        this.resolvedEvents++;
+        this.emit('event-resolved', { eventId: event.id, articleId: article?.id || null, ...resolution });
+        console.log(`[Resolution] Event ${event.id} resolved: ${winner.winningOutcome || 'no single winner'}`);
+    }
+
+    /**
+     * Winning outcome of the event's primary market
+     * @private
+     */
+    _getPrimaryWinner(event, marketResolutions) {
+        const primaryId = event.rawData?.id != null ? String(event.rawData.id) : null;
+        const primary = marketResolutions.find(r => r.marketId === primaryId) || marketResolutions[0];
+        return { winningOutcome: primary.winningOutcome, marketId: primary.marketId };
+    }
+
+    /**
+     * Winning member of a negative-risk field: the market whose Yes token paid 1
+     * @returns {Object|null} { winningOutcome, marketId }, or null if the event is not a field
+     * @private
+     */
+    _getFieldWinner(marketResolutions, markets) {
+        const isField = markets.length > 1 && markets.every(market => market.rawData?.negRisk === true);
+        if (!isField) {
+            return null;
+        }
+
+        for (const market of markets) {
+            const marketId = String(market.id ?? market.rawData?.id);
+            const payouts = marketResolutions.find(r => r.marketId === marketId)?.payouts || [];
+            const yes = payouts.find(p => p.outcome === 'Yes') || payouts[0];
+            if (yes?.payout === 1) {
+                return { winningOutcome: market.rawData?.groupItemTitle || market.question, marketId };
+            }
+        }
+
+        // No member won (e.g. the field was voided)
+        return { winningOutcome: null, marketId: null };
+    }
+}
+
+// Export class and singleton instance
+const resolutionPoller = new ResolutionPoller();
+
+module.exports = {
+    ResolutionPoller,
+    resolutionPoller
+};
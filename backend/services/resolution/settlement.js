@@ -0,0 +1,151 @@
+/**
+ * Settlement - Works out how a resolved market paid out
+ *
+ * Reads the final state of a Polymarket market and replays recorded trades
+ * into per-wallet positions, so each wallet's profit on the market can be settled.
+ */
+
+// An outcome priced at or above this after close is treated as the winner
+const WINNING_PRICE = 0.99;
+
+/**
+ * Parse a field that Gamma returns either as a JSON string or an array
+ * @param {string|Array} value
+ * @returns {Array}
+ */
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    if (typeof value !== 'string') return [];
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Determine the final payout of a market
+ * Returns null while the market is still open or awaiting resolution.
+ *
+ * @param {Object} market - Market from polymarket/client.js (raw Gamma data in rawData)
+ * @returns {Object|null} { marketId, question, winningOutcome, payouts: [{ tokenId, outcome, payout }] }
+ */
+function getMarketResolution(market) {
+    const raw = market.rawData || market;
+    if (!raw.closed) {
+        return null;
+    }
+
+    const names = parseList(raw.outcomes);
+    const prices = parseList(raw.outcomePrices).map(p => parseFloat(p) || 0);
+    const tokenIds = parseList(raw.clobTokenIds);
+    if (prices.length === 0) {
+        return null;
+    }
+
+    const winnerIndex = prices.findIndex(p => p >= WINNING_PRICE);
+
+    // Closed but not settled yet (e.g. an open UMA dispute)
+    if (winnerIndex === -1 && raw.umaResolutionStatus !== 'resolved') {
+        return null;
+    }
+
+    return {
+        marketId: String(market.id ?? raw.id),
+        question: market.question || raw.question || null,
+        // null when the market resolved without a single winner (e.g. 50/50)
+        winningOutcome: winnerIndex >= 0 ? (names[winnerIndex] ?? null) : null,
+        payouts: prices.map((price, i) => ({
+            tokenId: tokenIds[i] ?? null,
+            outcome: names[i] ?? null,
+            payout: winnerIndex >= 0 ? (i === winnerIndex ? 1 : 0) : price
+        }))
+    };
+}
+
+/**
+ * Replay trades into net positions per wallet
+ * The taker trades on `side`; the maker takes the opposite side.
+ * Trades with only an `address` are attributed to that address on `side`.
+ *
+ * @param {Array} trades - Trades from db.tradeHistory (duplicates by id are ignored)
+ * @returns {Map<string, Object>} address -> { address, shares: { tokenId: n }, cost, trades }
+ */
+function buildPositions(trades) {
+    const positions = new Map();
+    const seen = new Set();
+
+    const apply = (address, tokenId, side, size, price) => {
+        if (!positions.has(address)) {
+            positions.set(address, { address, shares: {}, cost: 0, trades: 0 });
+        }
+        const position = positions.get(address);
+        const direction = side === 'BUY' ? 1 : -1;
+
+        position.shares[tokenId] = (position.shares[tokenId] || 0) + direction * size;
+        position.cost += direction * size * price;
+        position.trades += 1;
+    };
+
+    for (const trade of trades) {
+        if (trade.id && seen.has(trade.id)) continue;
+        if (trade.id) seen.add(trade.id);
+
+        const tokenId = trade.tokenId || trade.marketId;
+        const side = String(trade.side || '').toUpperCase();
+        const size = parseFloat(trade.size) || 0;
+        const price = parseFloat(trade.price) || 0;
+        if (!tokenId || size <= 0 || (side !== 'BUY' && side !== 'SELL')) continue;
+
+        const taker = (trade.taker || '').toLowerCase();
+        const maker = (trade.maker || '').toLowerCase();
+        const opposite = side === 'BUY' ? 'SELL' : 'BUY';
+
+        if (taker) apply(taker, tokenId, side, size, price);
+        if (maker) apply(maker, tokenId, opposite, size, price);
+        if (!taker && !maker && trade.address) {
+            apply(trade.address.toLowerCase(), tokenId, side, size, price);
+        }
+    }
+
+    return positions;
+}
+
+/**
+ * Settle positions against final payouts
+ * @param {Map<string, Object>} positions - From buildPositions
+ * @param {Array} payouts - From getMarketResolution
+ * @returns {Array} [{ address, won, profit, payout, cost, trades }]
+ */
+function settlePositions(positions, payouts) {
+    const payoutByToken = new Map(payouts.map(p => [p.tokenId, p.payout]));
+    const results = [];
+
+    for (const position of positions.values()) {
+        let payout = 0;
+        for (const [tokenId, shares] of Object.entries(position.shares)) {
+            payout += shares * (payoutByToken.get(tokenId) || 0);
+        }
+        const profit = payout - position.cost;
+
+        results.push({
+            address: position.address,
+            won: profit > 0,
+            profit,
+            payout,
+            cost: position.cost,
+            trades: position.trades
+        });
+    }
+
+    return results;
+}
+
+module.exports = {
+    WINNING_PRICE,
+    parseList,
+    getMarketResolution,
+    buildPositions,
+    settlePositions
+};
@@ -0,0 +1,450 @@
+/**
+ * Runtime Configuration Store
+ * Signal processor and whale detection settings that can be changed while the
+ * server runs, without dropping in-memory order books.
+ *
+ * Changes are validated against each processor's declared tunables (and the
+ * whale detector / probability adjuster fields below), applied live, recorded
+ * in an audit trail and persisted to disk as overrides of the startup values.
+ * On attach, persisted overrides are re-applied. A null value resets a field
+ * to its startup value.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+
+const BACKEND_DIR = path.join(__dirname, '..', '..');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Fields every signal processor accepts
+const PROCESSOR_FIELDS = {
+    enabled: { type: 'boolean' },
+    weight: { type: 'number', min: 0, max: 1 }
+};
+
+// Whale detector (stream processor) and probability adjuster fields
+const WHALE_TUNABLES = {
+    detector: {
+        depthThresholdPercent: { type: 'number', min: 0, max: 100 },
+        minNotionalUsd: { type: 'number', min: 0, max: 1e9 },
+        minHistoryTrades: { type: 'integer', min: 0, max: 10000 },
+        historyLimit: { type: 'integer', min: 1, max: 10000 },
+        reversalWindowMs: { type: 'integer', min: 0, max: 7 * 24 * HOUR_MS },
+        longHoldMs: { type: 'integer', min: 60000, max: 30 * 24 * HOUR_MS },
+        informedThreshold: { type: 'number', min: 0, max: 1 },
+        marketMakerThreshold: { type: 'number', min: 0, max: 1 }
+    },
+    adjuster: {
+        whaleWeight: { type: 'number', min: 0, max: 0.5 },
+        decayHalfLifeMs: { type: 'integer', min: 1000, max: 24 * HOUR_MS },
+        maxSignalAge: { type: 'integer', min: 1000, max: 7 * 24 * HOUR_MS }
+    }
+};
+
+/**
+ * Rejected configuration change; errors lists every problem found
+ */
+class RuntimeConfigError extends Error {
+    constructor(message, errors) {
+        super(message);
+        this.name = 'RuntimeConfigError';
+        this.errors = errors;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 'fresh-wallet' -> 'freshWallet' (the processor's block in config.signals)
+function configKey(processorName) {
+    return processorName.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+// Error message for a value that breaks its rule, or null
+function checkValue(label, value, rule) {
+    if (rule.type === 'boolean') {
+        return typeof value === 'boolean' ? null : `${label} must be true or false`;
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `${label} must be a number`;
+    }
+    if (rule.type === 'integer' && !Number.isInteger(value)) {
+        return `${label} must be an integer`;
+    }
+    if (value < rule.min || value > rule.max) {
+        return `${label} must be between ${rule.min} and ${rule.max}`;
+    }
+    return null;
+}
+
+function pick(source, fields) {
+    return Object.fromEntries(Object.keys(fields).map(field => [field, source[field]]));
+}
+
+class RuntimeConfigStore {
+    /**
+     * @param {Object} [options] - Defaults to config.runtimeConfig
+     * @param {string} options.path - Overrides file (relative to the backend directory)
+     * @param {number} options.auditLimit - Audit entries kept
+     */
+    constructor(options = config.runtimeConfig) {
+        this.filePath = path.resolve(BACKEND_DIR, options.path);
+        this.auditLimit = options.auditLimit;
+
+        this.registry = null;
+        this.whaleDetector = null;
+        this.probabilityAdjuster = null;
+
+        this.defaults = { signals: {}, whale: { detector: {}, adjuster: {} } };
+        this.overrides = { signals: {}, whale: { detector: {}, adjuster: {} } };
+        this.audit = [];
+        this.updatedAt = null;
+    }
+
+    /**
+     * Take control of the live components and re-apply persisted overrides
+     * @param {Object} targets
+     * @param {Object} targets.registry - Signal registry
+     * @param {Object} targets.whaleDetector - The stream processor's WhaleDetector
+     * @param {Object} targets.probabilityAdjuster - ProbabilityAdjuster singleton
+     * @returns {RuntimeConfigStore} this
+     */
+    attach({ registry, whaleDetector, probabilityAdjuster }) {
+        this.registry = registry;
+        this.whaleDetector = whaleDetector;
+        this.probabilityAdjuster = probabilityAdjuster;
+
+        // Startup values, for resets
+        for (const processor of registry.processors) {
+            this.defaults.signals[processor.name] = processor.getSettings();
+        }
+        this.defaults.whale = {
+            detector: pick(whaleDetector.getConfig(), WHALE_TUNABLES.detector),
+            adjuster: pick(probabilityAdjuster.getConfig(), WHALE_TUNABLES.adjuster)
+        };
+
+        this._restore();
+        return this;
+    }
+
+    /**
+     * Current settings of every signal processor
+     */
+    getSignals() {
+        const processors = {};
+        const tunables = {};
+        for (const processor of this.registry.processors) {
+            processors[processor.name] = processor.getSettings();
+            tunables[processor.name] = { ...PROCESSOR_FIELDS, ...processor.tunables };
+        }
+        return { processors, tunables, overrides: this.overrides.signals, updatedAt: this.updatedAt };
+    }
+
+    /**
+     * Current whale detector and probability adjuster settings
+     */
+    getWhale() {
+        return {
+            detector: pick(this.whaleDetector.getConfig(), WHALE_TUNABLES.detector),
+            adjuster: pick(this.probabilityAdjuster.getConfig(), WHALE_TUNABLES.adjuster),
+            tunables: WHALE_TUNABLES,
+            overrides: this.overrides.whale,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Change signal processor settings
+     * @param {Object} changes - processor name -> { enabled?, weight?, ...tunables } (null resets a field)
+     * @param {Object} [meta] - { actor, reason } for the audit trail
+     * @returns {Object} Updated settings and the audit entry
+     * @throws {RuntimeConfigError} When any change is invalid (nothing is applied)
+     */
+    updateSignals(changes, meta = {}) {
+        const plan = this._planSignals(changes);
+        const entry = this._commit('signals', plan, meta);
+
+        for (const { processor, values } of plan) {
+            processor.configure(values);
+
+            // Wallet tracking reads thresholds straight from config.signals
+            const block = config.signals[configKey(processor.name)];
+            if (block) {
+                for (const [field, value] of Object.entries(values)) {
+                    if (field !== 'enabled') block[field] = value;
+                }
+            }
+        }
+
+        return { ...this.getSignals(), change: entry };
+    }
+
+    /**
+     * Change whale detection settings
+     * @param {Object} changes - { detector?: {...}, adjuster?: {...} } (null resets a field)
+     * @param {Object} [meta] - { actor, reason } for the audit trail
+     * @returns {Object} Updated settings and the audit entry
+     * @throws {RuntimeConfigError} When any change is invalid (nothing is applied)
+     */
+    updateWhale(changes, meta = {}) {
+        const plan = this._planWhale(changes);
+        const entry = this._commit('whale', plan, meta);
+
+        for (const { section, values } of plan) {
+            const target = section === 'detector' ? this.whaleDetector : this.probabilityAdjuster;
+            target.updateConfig(values);
+        }
+
+        return { ...this.getWhale(), change: entry };
+    }
+
+    /**
+     * Recent configuration changes, newest first
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @param {string} [options.section] - 'signals' or 'whale'
+     */
+    getAudit({ limit = 50, section = null } = {}) {
+        return this.audit
+            .filter(entry => !section || entry.section === section)
+            .slice(-limit)
+            .reverse();
+    }
+
+    /**
+     * Validate signal changes and resolve resets
+     * @private
+     * @returns {Array<{ processor, section, values, diffs }>}
+     */
+    _planSignals(changes) {
+        if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+            throw new RuntimeConfigError('Invalid signal configuration', ['Body must map processor names to settings']);
+        }
+
+        const errors = [];
+        const plan = [];
+
+        for (const [name, fields] of Object.entries(changes)) {
+            const processor = this.registry.getProcessor(name);
+            if (!processor) {
+                errors.push(`Unknown processor: ${name}`);
+                continue;
+            }
+            if (!isPlainObject(fields)) {
+                errors.push(`${name} must be an object of settings`);
+                continue;
+            }
+
+            const rules = { ...PROCESSOR_FIELDS, ...processor.tunables };
+            const current = processor.getSettings();
+            const step = this._planFields(name, fields, rules, current, this.defaults.signals[name] || current, errors);
+
+            errors.push(...processor.validateSettings({ ...current, ...step.values }).map(message => `${name}: ${message}`));
+            plan.push({ processor, section: name, ...step });
+        }
+
+        if (errors.length > 0) {
+            throw new RuntimeConfigError('Invalid signal configuration', errors);
+        }
+        return plan;
+    }
+
+    /**
+     * Validate whale changes and resolve resets
+     * @private
+     */
+    _planWhale(changes) {
+        const sections = Object.keys(WHALE_TUNABLES);
+        if (!isPlainObject(changes) || Object.keys(changes).length === 0) {
+            throw new RuntimeConfigError('Invalid whale configuration', [`Body must contain ${sections.join(' and/or ')}`]);
+        }
+
+        const errors = [];
+        const plan = [];
+
+        for (const [section, fields] of Object.entries(changes)) {
+            if (!sections.includes(section)) {
+                errors.push(`Unknown section: ${section}`);
+                continue;
+            }
+            if (!isPlainObject(fields)) {
+                errors.push(`${section} must be an object of settings`);
+                continue;
+            }
+
+            const current = section === 'detector' ? this.whaleDetector.getConfig() : this.probabilityAdjuster.getConfig();
+            const step = this._planFields(section, fields, WHALE_TUNABLES[section], current, this.defaults.whale[section], errors);
+
+            if (section === 'detector') {
+                const next = { ...current, ...step.values };
+                if (next.marketMakerThreshold >= next.informedThreshold) {
+                    errors.push('detector: marketMakerThreshold must be below informedThreshold');
+                }
+            }
+            plan.push({ section, ...step });
+        }
+
+        if (errors.length > 0) {
+            throw new RuntimeConfigError('Invalid whale configuration', errors);
+        }
+        return plan;
+    }
+
+    /**
+     * Check each field against its rule; null means back to the startup value
+     * @private
+     * @returns {{ values: Object, resets: string[], diffs: Array }}
+     */
+    _planFields(prefix, fields, rules, current, defaults, errors) {
+        const values = {};
+        const resets = [];
+        const diffs = [];
+
+        for (const [field, value] of Object.entries(fields)) {
+            const rule = rules[field];
+            if (!rule) {
+                errors.push(`Unknown setting: ${prefix}.${field}`);
+                continue;
+            }
+
+            const next = value === null ? defaults[field] : value;
+            const error = value === null ? null : checkValue(`${prefix}.${field}`, value, rule);
+            if (error) {
+                errors.push(error);
+                continue;
+            }
+
+            values[field] = next;
+            if (value === null) resets.push(field);
+            if (current[field] !== next) {
+                diffs.push({ path: `${prefix}.${field}`, from: current[field], to: next });
+            }
+        }
+
+        return { values, resets, diffs };
+    }
+
+    /**
+     * Record overrides and the audit entry, then persist
+     * @private
+     */
+    _commit(kind, plan, { actor = null, reason = null } = {}) {
+        for (const { section, values, resets } of plan) {
+            const overrides = kind === 'signals' ? this.overrides.signals : this.overrides.whale;
+            const next = { ...overrides[section], ...values };
+            for (const field of resets) delete next[field];
+
+            if (Object.keys(next).length > 0) {
+                overrides[section] = next;
+            } else if (kind === 'signals') {
+                delete overrides[section];
+            } else {
+                overrides[section] = {};
+            }
+        }
+
+        const previous = this.audit[this.audit.length - 1];
+        const entry = {
+            id: previous ? previous.id + 1 : 1,
+            at: new Date().toISOString(),
+            section: kind,
+            actor,
+            reason,
+            changes: plan.flatMap(step => step.diffs)
+        };
+
+        this.audit.push(entry);
+        if (this.audit.length > this.auditLimit) {
+            this.audit.splice(0, this.audit.length - this.auditLimit);
+        }
+        this.updatedAt = entry.at;
+
+        this._save();
+        return entry;
+    }
+
+    /**
+     * Re-apply persisted overrides; invalid ones are dropped with a warning
+     * @private
+     */
+    _restore() {
+        let saved;
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+            saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            console.error('[RuntimeConfig] Failed to load overrides:', error.message);
+            return;
+        }
+
+        this.audit = Array.isArray(saved.audit) ? saved.audit.slice(-this.auditLimit) : [];
+        this.updatedAt = saved.updatedAt || null;
+
+        const restore = (label, apply, changes) => {
+            if (!isPlainObject(changes) || Object.keys(changes).length === 0) return;
+            try {
+                apply(changes);
+            } catch (error) {
+                console.warn(`[RuntimeConfig] Ignoring saved ${label} overrides:`, (error.errors || [error.message]).join('; '));
+            }
+        };
+
+        // Applied directly: restoring is not a new change for the audit trail
+        restore('signal', changes => {
+            for (const step of this._planSignals(changes)) {
+                this.overrides.signals[step.section] = step.values;
+                step.processor.configure(step.values);
+                const block = config.signals[configKey(step.processor.name)];
+                if (block) {
+                    for (const [field, value] of Object.entries(step.values)) {
+                        if (field !== 'enabled') block[field] = value;
+                    }
+                }
+            }
+        }, saved.signals);
+        restore('whale', changes => {
+            for (const step of this._planWhale(changes)) {
+                this.overrides.whale[step.section] = step.values;
+                (step.section === 'detector' ? this.whaleDetector : this.probabilityAdjuster).updateConfig(step.values);
+            }
+        }, saved.whale);
+
+        console.log(`[RuntimeConfig] Restored overrides from ${this.filePath}`);
+    }
+
+    /**
+     * Write overrides and audit trail (temp file + rename, so a crash never leaves half a file)
+     * @private
+     */
+    _save() {
+        const data = {
+            updatedAt: this.updatedAt,
+            signals: this.overrides.signals,
+            whale: this.overrides.whale,
+            audit: this.audit
+        };
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmp = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+            fs.renameSync(tmp, this.filePath);
+        } catch (error) {
+            // The change is live; it just won't survive a restart
+            console.error('[RuntimeConfig] Failed to save overrides:', error.message);
+        }
+    }
+}
+
+// Export class and singleton instance
+const runtimeConfig = new RuntimeConfigStore();
+
+module.exports = {
+    RuntimeConfigStore,
+    RuntimeConfigError,
+    runtimeConfig,
+    WHALE_TUNABLES
+};
@@ -0,0 +1,307 @@
+/**
+ * Article Search Index
+ * In-memory inverted index over article headline, summary, body and category.
+ *
+ * Built from the database on first use and kept current through the db change
+ * feed (articles.create/update). Queries are stemmed and every query word must
+ * match, either exactly or as a prefix of an indexed term; results are ranked
+ * with BM25 over field-weighted term frequencies.
+ */
+
+const db = require('../../db');
+const { tokenize, stem, analyze, STOP_WORDS } = require('./text');
+
+// A term in the headline counts three times as much as one in the body
+const FIELD_WEIGHTS = {
+    headline: 3,
+    category: 2,
+    summary: 2,
+    body: 1
+};
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Prefix-only matches score below exact (stemmed) matches
+const PREFIX_WEIGHT = 0.6;
+const MIN_PREFIX_LENGTH = 2;
+
+// Articles fetched per page while building
+const BUILD_PAGE_SIZE = 500;
+
+// Snippet window around the first match in the body
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60;
+
+/**
+ * Split text into highlight segments
+ * @param {string} text
+ * @param {Set<string>} terms - Index terms that matched the query
+ * @returns {Array<{text, match}>}
+ */
+function highlight(text, terms) {
+    const segments = [];
+    let cursor = 0;
+
+    for (const token of tokenize(text)) {
+        if (!terms.has(stem(token.word))) continue;
+        if (token.start > cursor) {
+            segments.push({ text: text.slice(cursor, token.start), match: false });
+        }
+        segments.push({ text: text.slice(token.start, token.end), match: true });
+        cursor = token.end;
+    }
+    if (cursor < text.length) {
+        segments.push({ text: text.slice(cursor), match: false });
+    }
+    return segments;
+}
+
+// Body excerpt starting shortly before the first matching word (or the summary if the body has none)
+function buildSnippet(article, terms) {
+    const body = article.body || '';
+    const first = tokenize(body).find(token => terms.has(stem(token.word)));
+    if (!first) {
+        return highlight(article.summary || body.slice(0, SNIPPET_LENGTH), terms);
+    }
+
+    let start = Math.max(0, first.start - SNIPPET_LEAD);
+    if (start > 0) {
+        // Start on a word boundary
+        const space = body.indexOf(' ', start);
+        start = space === -1 || space > first.start ? first.start : space + 1;
+    }
+    let end = Math.min(body.length, start + SNIPPET_LENGTH);
+    if (end < body.length) {
+        const space = body.lastIndexOf(' ', end);
+        end = space > first.end ? space : end;
+    }
+
+    const segments = highlight(body.slice(start, end).replace(/\s+/g, ' '), terms);
+    if (start > 0) segments.unshift({ text: '…', match: false });
+    if (end < body.length) segments.push({ text: '…', match: false });
+    return segments;
+}
+
+class ArticleSearchIndex {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Database with articles.getAll and an optional changes feed
+     */
+    constructor({ store = db } = {}) {
+        this.store = store;
+        this.docs = new Map();      // articleId -> { article, terms: Map<term, weightedTf>, length }
+        this.postings = new Map();  // term -> Set<articleId>
+        this.totalLength = 0;
+        this.built = false;
+        this.building = null;
+        this.pendingChanges = null; // articleId -> latest article saved while a rebuild pages
+
+        if (store.changes) {
+            store.changes.on('article', article => {
+                // A page read before the change would undo it, so rebuilds apply changes last;
+                // before the first build there is nothing to update
+                if (this.pendingChanges) {
+                    this.pendingChanges.set(article.id, article);
+                } else if (this.built) {
+                    this.add(article);
+                }
+            });
+        }
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    // Build from the database once; concurrent callers share the build
+    async ensureBuilt() {
+        if (this.built) return;
+        if (!this.building) {
+            this.building = this.rebuild().finally(() => {
+                this.building = null;
+            });
+        }
+        await this.building;
+    }
+
+    async rebuild() {
+        this.clear();
+        this.pendingChanges = new Map();
+
+        try {
+            for (let offset = 0; ; offset += BUILD_PAGE_SIZE) {
+                const page = await this.store.articles.getAll({ limit: BUILD_PAGE_SIZE, offset });
+                page.forEach(article => this.add(article));
+                if (page.length < BUILD_PAGE_SIZE) break;
+            }
+
+            this.pendingChanges.forEach(article => this.add(article));
+        } finally {
+            this.pendingChanges = null;
+        }
+
+        this.built = true;
+        console.log(`[Search] Indexed ${this.docs.size} articles (${this.postings.size} terms)`);
+        return this.docs.size;
+    }
+
+    clear() {
+        this.docs.clear();
+        this.postings.clear();
+        this.totalLength = 0;
+    }
+
+    // Index (or re-index) one article
+    add(article) {
+        if (!article?.id) return;
+        this.remove(article.id);
+
+        const terms = new Map();
+        let length = 0;
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            for (const term of analyze(article[field])) {
+                terms.set(term, (terms.get(term) || 0) + weight);
+                length++;
+            }
+        }
+
+        for (const term of terms.keys()) {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, new Set());
+            }
+            this.postings.get(term).add(article.id);
+        }
+
+        this.docs.set(article.id, { article, terms, length });
+        this.totalLength += length;
+    }
+
+    remove(articleId) {
+        const doc = this.docs.get(articleId);
+        if (!doc) return;
+
+        for (const term of doc.terms.keys()) {
+            const ids = this.postings.get(term);
+            ids.delete(articleId);
+            if (ids.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+        this.docs.delete(articleId);
+        this.totalLength -= doc.length;
+    }
+
+    // Index terms a query word matches: its stem exactly, or terms it is a prefix of
+    expandWord(word) {
+        const exact = stem(word);
+        const matches = new Map();
+        if (this.postings.has(exact)) {
+            matches.set(exact, 1);
+        }
+
+        if (word.length >= MIN_PREFIX_LENGTH) {
+            for (const term of this.postings.keys()) {
+                if (!matches.has(term) && (term.startsWith(word) || term.startsWith(exact))) {
+                    matches.set(term, PREFIX_WEIGHT);
+                }
+            }
+        }
+        return matches;
+    }
+
+    bm25(term, doc) {
+        const df = this.postings.get(term)?.size || 0;
+        const n = this.docs.size;
+        const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+        const tf = doc.terms.get(term) || 0;
+        const avgLength = this.totalLength / n || 1;
+        return idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * doc.length / avgLength));
+    }
+
+    /**
+     * Search articles
+     * @param {string} query - Free text; every word must match
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @param {number} [options.offset]
+     * @param {string} [options.category] - Only articles in this category
+     * @returns {Promise<{total, results: Array<{article, score, highlights}>}>}
+     */
+    async search(query, { limit = 20, offset = 0, category = null } = {}) {
+        await this.ensureBuilt();
+
+        let words = tokenize(query).map(token => token.word);
+        // Keep stop words only when the query has nothing else
+        const meaningful = words.filter(word => !STOP_WORDS.has(word));
+        if (meaningful.length > 0) words = meaningful;
+        if (words.length === 0) {
+            return { total: 0, results: [] };
+        }
+
+        const expansions = words.map(word => this.expandWord(word));
+        if (expansions.some(matches => matches.size === 0)) {
+            return { total: 0, results: [] };
+        }
+
+        // Every query word must match at least one of its terms
+        let candidates = null;
+        for (const matches of expansions) {
+            const ids = new Set();
+            for (const term of matches.keys()) {
+                this.postings.get(term).forEach(id => ids.add(id));
+            }
+            candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+        }
+
+        const scored = [];
+        for (const id of candidates) {
+            const doc = this.docs.get(id);
+            if (category && doc.article.category !== category) continue;
+
+            let score = 0;
+            for (const matches of expansions) {
+                let best = 0;
+                for (const [term, weight] of matches) {
+                    if (doc.terms.has(term)) {
+                        best = Math.max(best, weight * this.bm25(term, doc));
+                    }
+                }
+                score += best;
+            }
+            scored.push({ doc, score });
+        }
+
+        // Best score first, newer articles first on ties
+        scored.sort((a, b) => b.score - a.score ||
+            String(b.doc.article.publishedAt || '').localeCompare(String(a.doc.article.publishedAt || '')));
+
+        const matchedTerms = new Set(expansions.flatMap(matches => Array.from(matches.keys())));
+
+        return {
+            total: scored.length,
+            results: scored.slice(offset, offset + limit).map(({ doc, score }) => ({
+                article: doc.article,
+                score: parseFloat(score.toFixed(4)),
+                highlights: {
+                    headline: highlight(doc.article.headline || '', matchedTerms),
+                    snippet: buildSnippet(doc.article, matchedTerms)
+                }
+            }))
+        };
+    }
+
+    getStats() {
+        return {
+            built: this.built,
+            articles: this.docs.size,
+            terms: this.postings.size
+        };
+    }
+}
+
+// Singleton instance
+const articleSearch = new ArticleSearchIndex();
+
+module.exports = { ArticleSearchIndex, articleSearch, highlight };
@@ -0,0 +1,315 @@
+/**
+ * Article Recommender
+ * "More from Future Times": similar articles already in db.articles, computed locally.
+ *
+ * Each candidate gets a combined 0-1 score from:
+ *  - text: TF-IDF cosine similarity over headline (weighted) and body
+ *  - category: same category
+ *  - tags: Jaccard overlap of the Polymarket tags stored on the article's event
+ *  - proximity: how close the two events' resolution dates are
+ *
+ * Built from the database on first use and kept current through the db change
+ * feed, like the search index. Works without any external search provider.
+ */
+
+const db = require('../../db');
+const config = require('../../config');
+const { analyze } = require('./text');
+
+const DEFAULT_WEIGHTS = { text: 0.6, category: 0.1, tags: 0.2, proximity: 0.1 };
+
+// A term in the headline counts twice as much as one in the body
+const FIELD_WEIGHTS = {
+    headline: 2,
+    body: 1
+};
+
+// Polymarket tags that say nothing about the subject
+const IGNORED_TAGS = new Set(['all', 'featured']);
+
+// Articles fetched per page while building
+const BUILD_PAGE_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lowercase slugs for tags stored as objects ({ slug, label }) or strings
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return new Set();
+    return new Set(tags
+        .map(tag => (typeof tag === 'string' ? tag : (tag?.slug || tag?.label || '')).trim().toLowerCase())
+        .filter(tag => tag && !IGNORED_TAGS.has(tag)));
+}
+
+function toTime(value) {
+    if (!value) return null;
+    const time = new Date(value).getTime();
+    return Number.isNaN(time) ? null : time;
+}
+
+function textKey(article) {
+    return `${article.headline || ''}\n${article.body || ''}`;
+}
+
+class ArticleRecommender {
+    /**
+     * @param {Object} options
+     * @param {Object} options.store - Database with articles.getAll, events.getById and an optional changes feed
+     * @param {Object} options.settings - Overrides for config.recommendations
+     */
+    constructor({ store = db, settings = {} } = {}) {
+        this.store = store;
+        this.settings = { ...config.recommendations, ...settings };
+        this.docs = new Map();      // articleId -> { article, text, counts: Map<term, weightedTf>, tags: Set }
+        this.df = new Map();        // term -> number of articles containing it
+        this.vectors = null;        // articleId -> { weights: Map<term, tfidf> } (unit length); null when stale
+        this.built = false;
+        this.building = null;
+        this.pendingChanges = null; // articleId -> latest article saved while a rebuild pages
+
+        if (store.changes) {
+            store.changes.on('article', article => {
+                // A page read before the change would undo it, so rebuilds apply changes last;
+                // before the first build there is nothing to update
+                if (this.pendingChanges) {
+                    this.pendingChanges.set(article.id, article);
+                } else if (this.built) {
+                    this.add(article).catch(error => {
+                        console.error('[Recommender] Failed to index article:', error.message);
+                    });
+                }
+            });
+        }
+    }
+
+    get size() {
+        return this.docs.size;
+    }
+
+    get weights() {
+        return { ...DEFAULT_WEIGHTS, ...this.settings.weights };
+    }
+
+    // Build from the database once; concurrent callers share the build
+    async ensureBuilt() {
+        if (this.built) return;
+        if (!this.building) {
+            this.building = this.rebuild().finally(() => {
+                this.building = null;
+            });
+        }
+        await this.building;
+    }
+
+    async rebuild() {
+        this.docs.clear();
+        this.df.clear();
+        this.vectors = null;
+
+        this.pendingChanges = new Map();
+
+        try {
+            for (let offset = 0; ; offset += BUILD_PAGE_SIZE) {
+                const page = await this.store.articles.getAll({ limit: BUILD_PAGE_SIZE, offset });
+                for (const article of page) {
+                    await this.add(article);
+                }
+                if (page.length < BUILD_PAGE_SIZE) break;
+            }
+
+            // Indexing is async, so more changes can arrive while these are applied
+            while (this.pendingChanges.size > 0) {
+                const changes = Array.from(this.pendingChanges.values());
+                this.pendingChanges.clear();
+                for (const article of changes) {
+                    await this.add(article);
+                }
+            }
+        } finally {
+            this.pendingChanges = null;
+        }
+
+        this.built = true;
+        console.log(`[Recommender] Indexed ${this.docs.size} articles (${this.df.size} terms)`);
+        return this.docs.size;
+    }
+
+    // Tags live on the event the article was written from
+    async getEventTags(eventId) {
+        if (!eventId || !this.store.events?.getById) return new Set();
+        const event = await this.store.events.getById(eventId);
+        return normalizeTags(event?.tags || event?.rawData?.tags);
+    }
+
+    // Index (or re-index) one article; probability-only updates keep the cached vectors
+    async add(article) {
+        if (!article?.id) return;
+
+        const existing = this.docs.get(article.id);
+        const text = textKey(article);
+        const tags = existing && existing.article.eventId === article.eventId
+            ? existing.tags
+            : await this.getEventTags(article.eventId);
+
+        if (existing && existing.text === text) {
+            this.docs.set(article.id, { ...existing, article, tags });
+            return;
+        }
+
+        this.remove(article.id);
+
+        const counts = new Map();
+        for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+            for (const term of analyze(article[field])) {
+                counts.set(term, (counts.get(term) || 0) + weight);
+            }
+        }
+        for (const term of counts.keys()) {
+            this.df.set(term, (this.df.get(term) || 0) + 1);
+        }
+
+        this.docs.set(article.id, { article, text, counts, tags });
+        this.vectors = null;
+    }
+
+    remove(articleId) {
+        const doc = this.docs.get(articleId);
+        if (!doc) return;
+
+        for (const term of doc.counts.keys()) {
+            const df = this.df.get(term) - 1;
+            if (df > 0) {
+                this.df.set(term, df);
+            } else {
+                this.df.delete(term);
+            }
+        }
+        this.docs.delete(articleId);
+        this.vectors = null;
+    }
+
+    // Unit-length TF-IDF vectors for every article; recomputed only after the corpus text changes
+    getVectors() {
+        if (this.vectors) return this.vectors;
+
+        const n = this.docs.size;
+        this.vectors = new Map();
+        for (const [id, doc] of this.docs) {
+            const weights = new Map();
+            let norm = 0;
+            for (const [term, count] of doc.counts) {
+                // Smoothed idf so terms shared by every article still count a little
+                const idf = Math.log((1 + n) / (1 + this.df.get(term))) + 1;
+                const weight = (1 + Math.log(count)) * idf;
+                weights.set(term, weight);
+                norm += weight * weight;
+            }
+            norm = Math.sqrt(norm) || 1;
+            for (const [term, weight] of weights) {
+                weights.set(term, weight / norm);
+            }
+            this.vectors.set(id, weights);
+        }
+        return this.vectors;
+    }
+
+    cosine(a, b) {
+        const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+        let dot = 0;
+        for (const [term, weight] of small) {
+            const other = large.get(term);
+            if (other) dot += weight * other;
+        }
+        return dot;
+    }
+
+    /**
+     * Score one candidate against the source article
+     * @returns {{score, reasons: {text, sameCategory, sharedTags, daysApart}}}
+     */
+    scorePair(source, candidate, vectors) {
+        const weights = this.weights;
+
+        const text = this.cosine(vectors.get(source.article.id), vectors.get(candidate.article.id));
+
+        const sameCategory = Boolean(source.article.category) &&
+            source.article.category === candidate.article.category;
+
+        const sharedTags = [...source.tags].filter(tag => candidate.tags.has(tag));
+        const tagUnion = new Set([...source.tags, ...candidate.tags]).size;
+        const tagScore = tagUnion > 0 ? sharedTags.length / tagUnion : 0;
+
+        const sourceEnd = toTime(source.article.expiresAt);
+        const candidateEnd = toTime(candidate.article.expiresAt);
+        const daysApart = sourceEnd !== null && candidateEnd !== null
+            ? Math.abs(sourceEnd - candidateEnd) / DAY_MS
+            : null;
+        const halfLife = this.settings.proximityHalfLifeDays || 14;
+        const proximity = daysApart === null ? 0 : Math.pow(0.5, daysApart / halfLife);
+
+        const score = weights.text * text +
+            weights.category * (sameCategory ? 1 : 0) +
+            weights.tags * tagScore +
+            weights.proximity * proximity;
+
+        return {
+            score,
+            reasons: {
+                text: parseFloat(text.toFixed(4)),
+                sameCategory,
+                sharedTags,
+                daysApart: daysApart === null ? null : parseFloat(daysApart.toFixed(1))
+            }
+        };
+    }
+
+    /**
+     * Articles most similar to the given one
+     * @param {Object} article - Source article (must be in db.articles)
+     * @param {Object} [options]
+     * @param {number} [options.limit]
+     * @param {number} [options.minScore] - Drop candidates scoring below this
+     * @returns {Promise<Array<{article, score, reasons}>>}
+     */
+    async getSimilar(article, { limit = this.settings.maxResults || 5, minScore = this.settings.minScore ?? 0 } = {}) {
+        await this.ensureBuilt();
+
+        if (!this.docs.has(article.id)) {
+            await this.add(article);
+        }
+        const source = this.docs.get(article.id);
+        if (!source) return [];
+
+        const vectors = this.getVectors();
+        const scored = [];
+
+        for (const [id, candidate] of this.docs) {
+            if (id === article.id || candidate.article.resolved) continue;
+
+            const { score, reasons } = this.scorePair(source, candidate, vectors);
+            // Category and timing alone do not make two stories related
+            if (reasons.text === 0 && reasons.sharedTags.length === 0) continue;
+            if (score < minScore) continue;
+
+            scored.push({ article: candidate.article, score: parseFloat(score.toFixed(4)), reasons });
+        }
+
+        // Best score first, newer articles first on ties
+        scored.sort((a, b) => b.score - a.score ||
+            String(b.article.publishedAt || '').localeCompare(String(a.article.publishedAt || '')));
+
+        return scored.slice(0, limit);
+    }
+
+    getStats() {
+        return {
+            built: this.built,
+            articles: this.docs.size,
+            terms: this.df.size
+        };
+    }
+}
+
+// Singleton instance
+const articleRecommender = new ArticleRecommender();
+
+module.exports = { ArticleRecommender, articleRecommender, normalizeTags };
@@ -0,0 +1,99 @@
+// Text processing for search: tokenizing, stop words and a light suffix-stripping stemmer
+// Indexing and querying must run text through the same functions so terms line up.
+
+const STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in',
+    'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Suffix rules, tried in order; the first that leaves a stem of 3+ letters wins
+const SUFFIX_RULES = [
+    ['ational', 'ate'],
+    ['ization', 'ize'],
+    ['fulness', 'ful'],
+    ['ousness', 'ous'],
+    ['iveness', 'ive'],
+    ['ations', 'ate'],
+    ['ation', 'ate'],
+    ['ments', ''],
+    ['ment', ''],
+    ['ness', ''],
+    ['ings', ''],
+    ['ing', ''],
+    ['edly', ''],
+    ['ied', 'y'],
+    ['ed', ''],
+    ['ly', '']
+];
+
+/**
+ * Reduce a lowercase word to its stem ("elections" -> "election", "rates"/"rated" -> "rat")
+ * Not a full Porter stemmer: it only needs to map inflections of a word to the same term.
+ * @param {string} word
+ * @returns {string}
+ */
+function stem(word) {
+    if (word.length <= 3 || /\d/.test(word)) {
+        return word;
+    }
+
+    let result = word;
+
+    // Plurals first: "passes" -> "pass", "rates" -> "rate", but keep "ss"/"us"/"is" endings
+    if (result.endsWith('ies')) {
+        result = result.slice(0, -3) + 'y';
+    } else if (/(?:ss|x|z|ch|sh)es$/.test(result)) {
+        result = result.slice(0, -2);
+    } else if (/[^sui]s$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+
+    for (const [suffix, replacement] of SUFFIX_RULES) {
+        if (result.endsWith(suffix) && result.length - suffix.length >= 3) {
+            result = result.slice(0, -suffix.length) + replacement;
+            // "winning" -> "winn" -> "win"
+            if (!replacement && /([^aeioulsz])\1$/.test(result)) {
+                result = result.slice(0, -1);
+            }
+            break;
+        }
+    }
+
+    // "rate", "rated" and "rating" all end up as "rat"
+    if (result.length > 3 && result.endsWith('e')) {
+        result = result.slice(0, -1);
+    }
+
+    return result;
+}
+
+/**
+ * Split text into lowercase word tokens with their character offsets
+ * @param {string} text
+ * @returns {Array<{word, start, end}>}
+ */
+function tokenize(text) {
+    const tokens = [];
+    for (const match of String(text || '').matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)?/gu)) {
+        tokens.push({
+            word: match[0].toLowerCase().replace(/['’]s$/, '').replace(/['’]/g, ''),
+            start: match.index,
+            end: match.index + match[0].length
+        });
+    }
+    return tokens;
+}
+
+// Index terms of a text: stemmed tokens without stop words
+function analyze(text) {
+    return tokenize(text)
+        .filter(token => !STOP_WORDS.has(token.word))
+        .map(token => stem(token.word));
+}
+
+module.exports = {
+    STOP_WORDS,
+    stem,
+    tokenize,
+    analyze
+};
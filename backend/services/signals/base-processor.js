@@ -2,14 +2,56 @@
 // Each processor detects a specific type of unusual trading activity
 
 class BaseProcessor {
-    constructor(name, weight = 0.1) {
+    /**
+     * @param {string} name - Signal type
+     * @param {number} weight - Default weight for probability adjustment
+     * @param {Object} capabilities - What the registry must provide (see signal.js)
+     * @param {string[]} capabilities.inputs - Any of 'market', 'trade', 'orderbook', 'wallet'
+     * @param {string[]} capabilities.modes - 'batch' and/or 'realtime'
+     * @param {string} capabilities.description
+     * @param {Object} capabilities.tunables - Thresholds adjustable at runtime: field -> { type, min, max }
+     *   Each field is an instance property of the processor with the same name.
+     * @param {boolean} capabilities.usesOutcomes - Reads state derived from market resolutions
+     *   (e.g. wallet win rates), so replaying it over past markets would leak their outcomes
+     */
+    constructor(name, weight = 0.1, { inputs = ['market'], modes = ['batch', 'realtime'], description = '', tunables = {}, usesOutcomes = false } = {}) {
         this.name = name;
         this.weight = weight; // Default weight for probability adjustment
+        this.inputs = inputs;
+        this.modes = modes;
+        this.description = description;
+        this.tunables = tunables;
+        this.usesOutcomes = usesOutcomes;
+        this.enabled = true;
+    }
+
+    // Current runtime settings: enabled, weight and every tunable threshold
+    getSettings() {
+        const settings = { enabled: this.enabled, weight: this.weight };
+        for (const field of Object.keys(this.tunables)) {
+            settings[field] = this[field];
+        }
+        return settings;
+    }
+
+    // Apply validated settings (see services/runtime-config)
+    configure(settings) {
+        for (const [field, value] of Object.entries(settings)) {
+            if (field === 'enabled' || field === 'weight' || field in this.tunables) {
+                this[field] = value;
+            }
+        }
+    }
+
+    // Override to reject combinations of settings; returns error messages
+    validateSettings(settings) {
+        return [];
     }
 
     // Override this method in subclasses
+    // Receives the context from createSignalContext: { mode, event, market, trade, orderbook, wallet }
     // Should return: { detected: boolean, confidence: number (0-1), direction: 'YES'|'NO'|null, metadata: {} }
-    async process(event, market) {
+    async process(context) {
         throw new Error('process() must be implemented by subclass');
     }
 
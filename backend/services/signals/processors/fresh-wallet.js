@@ -17,7 +17,16 @@ const config = require('../../../config/index');
 class FreshWalletProcessor extends BaseProcessor {
     constructor() {
         const freshWalletConfig = config.signals.freshWallet;
-        super('fresh-wallet', freshWalletConfig.weight);
+        super('fresh-wallet', freshWalletConfig.weight, {
+            inputs: ['market', 'trade', 'wallet'],
+            modes: ['realtime'],
+            description: 'New wallets making large trades',
+            tunables: {
+                maxAgeDays: { type: 'number', min: 1, max: 3650 },
+                maxTrades: { type: 'integer', min: 1, max: 100000 },
+                minTradeSize: { type: 'number', min: 0.0001, max: 1 }
+            }
+        });
 
         // Load thresholds from config
         this.maxAgeDays = freshWalletConfig.maxAgeDays;
@@ -28,14 +37,14 @@ class FreshWalletProcessor extends BaseProcessor {
     /**
      * Process a trade event to detect fresh wallet activity
      *
-     * @param {Object} event - The event object
-     * @param {Object} market - Market data including liquidity
-     * @param {Object} trade - Trade data with address, size, side
+     * @param {Object} context - Signal context (see signal.js)
+     * @param {Object} context.market - Market data including liquidity
+     * @param {Object} context.trade - Trade data with size, side
+     * @param {Object} context.wallet - Trading wallet { address }
      * @returns {Promise<Object>} Signal result
      */
-    async process(event, market, trade) {
-        // Get wallet address from trade
-        const address = (trade.maker || trade.taker || trade.address || '').toLowerCase();
+    async process({ market, trade, wallet }) {
+        const address = wallet?.address;
 
         if (!address) {
             return { detected: false };
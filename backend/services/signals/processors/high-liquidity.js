@@ -2,29 +2,47 @@
 // Markets with high liquidity tend to have more accurate prices
 
 const BaseProcessor = require('../base-processor');
+const config = require('../../../config');
 
 class HighLiquidityProcessor extends BaseProcessor {
     constructor() {
-        super('high-liquidity', 0.03);
+        super('high-liquidity', config.signals.highLiquidity.weight, {
+            inputs: ['market'],
+            modes: ['batch'],
+            description: 'Deep markets whose prices tend to be accurate',
+            tunables: {
+                minLiquidity: { type: 'number', min: 0, max: 1e9 },
+                veryHighLiquidity: { type: 'number', min: 1, max: 1e9 }
+            }
+        });
+
+        // Liquidity (USD) where the signal starts, and where it reaches full confidence
+        this.minLiquidity = config.signals.highLiquidity.minLiquidity;
+        this.veryHighLiquidity = config.signals.highLiquidity.veryHighLiquidity;
+    }
+
+    validateSettings({ minLiquidity, veryHighLiquidity }) {
+        return minLiquidity < veryHighLiquidity ? [] : ['minLiquidity must be below veryHighLiquidity'];
     }
 
-    async process(event, market) {
+    async process({ market }) {
         const liquidity = market.liquidity || 0;
 
-        // High liquidity threshold: $100k+
-        if (liquidity > 100000) {
-            const confidence = Math.min((liquidity - 100000) / 400000, 1); // Scale to 500k
+        // High liquidity threshold: $100k+ by default
+        if (liquidity > this.minLiquidity) {
+            const confidence = Math.min((liquidity - this.minLiquidity) / (this.veryHighLiquidity - this.minLiquidity), 1);
             const probability = market.probability || 0.5;
             const direction = probability > 0.5 ? 'YES' : 'NO';
+            const veryHigh = liquidity > this.veryHighLiquidity;
 
             return {
                 detected: true,
                 confidence,
                 direction,
-                severity: liquidity > 500000 ? 'HIGH' : 'MEDIUM',
+                severity: veryHigh ? 'HIGH' : 'MEDIUM',
                 metadata: {
                     liquidity,
-                    liquidityTier: liquidity > 500000 ? 'very-high' : 'high'
+                    liquidityTier: veryHigh ? 'very-high' : 'high'
                 }
             };
         }
@@ -0,0 +1,27 @@
+// Signal processors run by the registry
+// Each declares its inputs and modes, so a new processor only needs a line here.
+
+const VolumeSpikeProcessor = require('./volume-spike');
+const ProbabilityExtremeProcessor = require('./probability-extreme');
+const HighLiquidityProcessor = require('./high-liquidity');
+const { FreshWalletProcessor } = require('./fresh-wallet');
+const { LiquidityImpactProcessor } = require('./liquidity-impact');
+const { WalletAccuracyProcessor } = require('./wallet-accuracy');
+const { TimingPatternProcessor } = require('./timing-pattern');
+const { SniperClusterProcessor } = require('./sniper-cluster');
+
+module.exports = [
+    // Market-level analysis
+    VolumeSpikeProcessor,
+    ProbabilityExtremeProcessor,
+    HighLiquidityProcessor,
+
+    // Trade-level analysis
+    FreshWalletProcessor,
+    LiquidityImpactProcessor,
+    WalletAccuracyProcessor,
+
+    // Market timing (batch and real-time)
+    TimingPatternProcessor,
+    SniperClusterProcessor
+];
@@ -8,11 +8,18 @@ const config = require('../../../config');
 class LiquidityImpactProcessor extends BaseProcessor {
     constructor() {
         const weight = config.signals.liquidityImpact.weight;
-        super('liquidity-impact', weight);
+        super('liquidity-impact', weight, {
+            inputs: ['market', 'trade', 'orderbook'],
+            modes: ['realtime'],
+            description: 'Trades that consume significant order book depth',
+            tunables: {
+                threshold: { type: 'number', min: 0, max: 1 }
+            }
+        });
         this.threshold = config.signals.liquidityImpact.threshold || 0.02; // Default 2%
     }
 
-    async process(event, market, trade, orderbook) {
+    async process({ trade, orderbook }) {
         if (!trade || !orderbook) {
             return { detected: false };
         }
@@ -2,30 +2,48 @@
 // Detects when probability is at extreme levels, suggesting high confidence
 
 const BaseProcessor = require('../base-processor');
+const config = require('../../../config');
 
 class ProbabilityExtremeProcessor extends BaseProcessor {
     constructor() {
-        super('probability-extreme', 0.05);
+        super('probability-extreme', config.signals.probabilityExtreme.weight, {
+            inputs: ['market'],
+            modes: ['batch'],
+            description: 'Market priced near certainty',
+            tunables: {
+                extremeThreshold: { type: 'number', min: 0.5, max: 0.99 },
+                highSeverityThreshold: { type: 'number', min: 0.5, max: 1 }
+            }
+        });
+
+        // Probability (or 1 - probability) above which the market counts as extreme
+        this.extremeThreshold = config.signals.probabilityExtreme.extremeThreshold;
+        this.highSeverityThreshold = config.signals.probabilityExtreme.highSeverityThreshold;
     }
 
-    async process(event, market) {
+    validateSettings({ extremeThreshold, highSeverityThreshold }) {
+        return extremeThreshold <= highSeverityThreshold ? [] : ['extremeThreshold must not exceed highSeverityThreshold'];
+    }
+
+    async process({ market }) {
         const probability = market.probability;
 
         if (probability === null || probability === undefined) {
             return { detected: false, confidence: 0, direction: null, metadata: {} };
         }
 
-        // Check for extreme probabilities (>90% or <10%)
-        if (probability > 0.9 || probability < 0.1) {
-            const isHigh = probability > 0.5;
-            const extremity = isHigh ? probability : (1 - probability);
-            const confidence = (extremity - 0.9) * 10; // 0.9 -> 0, 1.0 -> 1
+        const isHigh = probability > 0.5;
+        const extremity = isHigh ? probability : (1 - probability);
+
+        // Check for extreme probabilities (>90% or <10% by default)
+        if (extremity > this.extremeThreshold) {
+            const confidence = (extremity - this.extremeThreshold) / (1 - this.extremeThreshold); // threshold -> 0, 1.0 -> 1
 
             return {
                 detected: true,
                 confidence: Math.min(confidence, 1),
                 direction: isHigh ? 'YES' : 'NO',
-                severity: probability > 0.95 || probability < 0.05 ? 'HIGH' : 'MEDIUM',
+                severity: extremity > this.highSeverityThreshold ? 'HIGH' : 'MEDIUM',
                 metadata: {
                     probability,
                     extremity: extremity.toFixed(3)
@@ -8,7 +8,15 @@ const config = require('../../../config/index');
 
 class SniperClusterProcessor extends BaseProcessor {
     constructor() {
-        super('sniper-cluster', config.signals.sniperCluster.weight);
+        super('sniper-cluster', config.signals.sniperCluster.weight, {
+            inputs: ['market'],
+            modes: ['batch', 'realtime'],
+            description: 'Coordinated early entries from related wallets',
+            tunables: {
+                windowMinutes: { type: 'integer', min: 1, max: 1440 },
+                minWallets: { type: 'integer', min: 2, max: 100 }
+            }
+        });
 
         // Load thresholds from config
         this.windowMinutes = config.signals.sniperCluster.windowMinutes;
@@ -22,7 +30,7 @@ class SniperClusterProcessor extends BaseProcessor {
      * @param {Object} market - Market data with tokenId
      * @returns {Promise<Object>} Signal result
      */
-    async process(event, market) {
+    async process({ market }) {
         // Get recent trades for this market
         const trades = await db.tradeHistory.getByMarket(market.tokenId);
 
@@ -7,12 +7,20 @@ const config = require('../../../config/index.js');
 
 class TimingPatternProcessor extends BaseProcessor {
     constructor() {
-        super('timing-pattern', config.signals.timingPattern.weight);
+        super('timing-pattern', config.signals.timingPattern.weight, {
+            inputs: ['market'],
+            modes: ['batch', 'realtime'],
+            description: 'Trading concentrated shortly before resolution',
+            tunables: {
+                windowHours: { type: 'integer', min: 1, max: 720 },
+                concentrationThreshold: { type: 'number', min: 1, max: 100 }
+            }
+        });
         this.windowHours = config.signals.timingPattern.windowHours;
         this.concentrationThreshold = config.signals.timingPattern.concentrationThreshold;
     }
 
-    async process(event, market) {
+    async process({ market }) {
         // Check if market has endDate/resolutionDate
         const resolutionDate = market.endDate || market.resolutionDate;
         if (!resolutionDate) {
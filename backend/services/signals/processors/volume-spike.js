@@ -2,13 +2,24 @@
 // Detects unusual increases in trading volume
 
 const BaseProcessor = require('../base-processor');
+const config = require('../../../config');
 
 class VolumeSpikeProcessor extends BaseProcessor {
     constructor() {
-        super('volume-spike', 0.08);
+        super('volume-spike', config.signals.volumeSpike.weight, {
+            inputs: ['market'],
+            modes: ['batch'],
+            description: '24h volume unusually high relative to liquidity',
+            tunables: {
+                minVolumeRatio: { type: 'number', min: 0.01, max: 100 }
+            }
+        });
+
+        // 24h volume / liquidity above which activity counts as a spike
+        this.minVolumeRatio = config.signals.volumeSpike.minVolumeRatio;
     }
 
-    async process(event, market) {
+    async process({ market }) {
         // Check for significant volume relative to liquidity
         const volume24hr = market.volume24hr || 0;
         const liquidity = market.liquidity || 0;
@@ -20,9 +31,9 @@ class VolumeSpikeProcessor extends BaseProcessor {
         // Volume/liquidity ratio - high ratio suggests unusual activity
         const volumeRatio = volume24hr / liquidity;
 
-        // Detect spike if volume is >50% of liquidity
-        if (volumeRatio > 0.5) {
-            const confidence = Math.min(volumeRatio / 2, 1); // Cap at 1
+        // Detect spike if volume exceeds the configured share of liquidity (default 50%)
+        if (volumeRatio > this.minVolumeRatio) {
+            const confidence = Math.min(volumeRatio / (this.minVolumeRatio * 4), 1); // Cap at 1
             const probability = market.probability || 0.5;
 
             // If probability is moving toward extremes, signal is in that direction
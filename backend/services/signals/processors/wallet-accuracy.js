@@ -7,7 +7,16 @@ const config = require('../../../config');
 
 class WalletAccuracyProcessor extends BaseProcessor {
     constructor() {
-        super('wallet-accuracy', config.signals.walletAccuracy.weight);
+        super('wallet-accuracy', config.signals.walletAccuracy.weight, {
+            inputs: ['market', 'trade', 'wallet'],
+            modes: ['realtime'],
+            description: 'Wallets with statistically improbable win rates',
+            usesOutcomes: true,
+            tunables: {
+                minWinRate: { type: 'number', min: 0.5, max: 1 },
+                minResolvedPositions: { type: 'integer', min: 1, max: 10000 }
+            }
+        });
 
         // Load thresholds from config
         this.minWinRate = config.signals.walletAccuracy.minWinRate;
@@ -17,14 +26,13 @@ class WalletAccuracyProcessor extends BaseProcessor {
     /**
      * Process a trade event to detect wallets with statistically improbable win rates
      *
-     * @param {Object} event - The event being processed
-     * @param {Object} market - Market data
-     * @param {Object} trade - Trade data with address and side
+     * @param {Object} context - Signal context (see signal.js)
+     * @param {Object} context.trade - Trade data with side
+     * @param {Object} context.wallet - Trading wallet { address }
      * @returns {Promise<Object>} Signal result
      */
-    async process(event, market, trade) {
-        // Get wallet address from trade
-        const address = (trade.maker || trade.taker || trade.address || '').toLowerCase();
+    async process({ trade, wallet }) {
+        const address = wallet?.address;
 
         if (!address) {
             return { detected: false };
@@ -59,7 +67,7 @@ class WalletAccuracyProcessor extends BaseProcessor {
                     wins,
                     losses,
                     zScore,
-                    address: trade.address
+                    address
                 }
             };
         }
@@ -1,14 +1,17 @@
 // Signal Processor Registry
 // Manages all signal processors and runs them against events
-
-const VolumeSpikeProcessor = require('./processors/volume-spike');
-const ProbabilityExtremeProcessor = require('./processors/probability-extreme');
-const HighLiquidityProcessor = require('./processors/high-liquidity');
-const { FreshWalletProcessor } = require('./processors/fresh-wallet');
-const { LiquidityImpactProcessor } = require('./processors/liquidity-impact');
-const { WalletAccuracyProcessor } = require('./processors/wallet-accuracy');
-const { TimingPatternProcessor } = require('./processors/timing-pattern');
-const { SniperClusterProcessor } = require('./processors/sniper-cluster');
+// Processors declare their inputs and modes (see signal.js); the registry
+// dispatches on that metadata, so adding a processor needs no edits here.
+
+const processorClasses = require('./processors');
+const {
+    getProcessorMetadata,
+    validateProcessor,
+    createSignalContext,
+    hasInputs,
+    normalizeSignal,
+    toDetectedPattern
+} = require('./signal');
 const db = require('../../db');
 
 class SignalRegistry {
@@ -18,68 +21,78 @@ class SignalRegistry {
     }
 
     registerDefaultProcessors() {
-        // Batch processing processors (market-level analysis)
-        this.register(new VolumeSpikeProcessor());
-        this.register(new ProbabilityExtremeProcessor());
-        this.register(new HighLiquidityProcessor());
-
-        // Real-time trade processors (trade-level analysis)
-        this.register(new FreshWalletProcessor());
-        this.register(new LiquidityImpactProcessor());
-        this.register(new WalletAccuracyProcessor());
-
-        // Market timing processors (requires market data)
-        this.register(new TimingPatternProcessor());
-        this.register(new SniperClusterProcessor());
+        for (const Processor of processorClasses) {
+            this.register(new Processor());
+        }
     }
 
+    /**
+     * Add a processor; its declared inputs and modes decide where it runs
+     * @param {Object} processor - BaseProcessor (or any object with name, weight, process(context))
+     */
     register(processor) {
+        validateProcessor(processor);
         this.processors.push(processor);
     }
 
-    // Process an event through batch-compatible signal processors
-    // Note: Real-time processors (fresh-wallet, wallet-accuracy, liquidity-impact) require trade data
-    // and should be processed via processRealTimeTrade instead
-    async processEvent(event, market) {
-        const signals = [];
+    /**
+     * Enabled processors that run in a mode
+     * @param {string} mode - 'batch' or 'realtime'
+     * @returns {Array} Processor instances
+     */
+    getProcessors(mode) {
+        return this.processors.filter(p => p.enabled !== false && getProcessorMetadata(p).modes.includes(mode));
+    }
+
+    getProcessor(name) {
+        return this.processors.find(p => p.name === name) || null;
+    }
 
-        // Only run batch-compatible processors (those that don't require trade data)
-        const batchProcessorNames = ['volume-spike', 'probability-extreme', 'high-liquidity', 'timing-pattern', 'sniper-cluster'];
+    /**
+     * Run every processor for a mode whose inputs are present in the context
+     * Detected results are normalized, stored in db.signals and, for real-time
+     * trades, recorded as detected patterns for the dev panel.
+     *
+     * @param {Object} data - { event, market, trade?, orderbook? } (see createSignalContext)
+     * @param {string} mode - 'batch' or 'realtime'
+     * @returns {Promise<Array>} Normalized signals
+     */
+    async dispatch(data, mode) {
+        const context = createSignalContext({ ...data, mode });
+        const signals = [];
 
-        for (const processor of this.processors) {
-            // Skip processors that require trade data
-            if (!batchProcessorNames.includes(processor.name)) {
+        for (const processor of this.getProcessors(mode)) {
+            if (!hasInputs(processor, context)) {
                 continue;
             }
 
             try {
-                const result = await processor.process(event, market);
-
-                if (result.detected) {
-                    const signal = {
-                        eventId: event.id,
-                        signalType: processor.name,
-                        severity: result.severity || 'LOW',
-                        confidence: result.confidence,
-                        direction: result.direction,
-                        weight: processor.weight,
-                        adjustment: processor.calculateAdjustment(result),
-                        metadata: result.metadata
-                    };
-
-                    signals.push(signal);
-
-                    // Save to database
-                    await db.signals.create(signal);
+                const result = await processor.process(context);
+                if (!result?.detected) {
+                    continue;
+                }
+
+                const signal = normalizeSignal(processor, result, context);
+                signals.push(signal);
+
+                // Save to database
+                await db.signals.create(signal);
+                if (mode === 'realtime') {
+                    await db.detectedPatterns.record(toDetectedPattern(signal));
                 }
             } catch (error) {
-                console.error(`Error in processor ${processor.name}:`, error.message);
+                console.error(`Error in ${mode} processor ${processor.name}:`, error.message);
             }
         }
 
         return signals;
     }
 
+    // Process an event through the batch (market-level) processors
+    async processEvent(event, market) {
+        return this.dispatch({ event, market }, 'batch');
+    }
+
     // Get summary of all detected signals for an event
     async getSignalsSummary(eventId) {
         const signals = await db.signals.getByEventId(eventId);
@@ -100,22 +113,21 @@ class SignalRegistry {
         return this.processors.map(p => p.name);
     }
 
+    /**
+     * Declared capabilities of every registered processor
+     * @returns {Array<{ name, weight, inputs, modes, description }>}
+     */
+    getProcessorMetadata() {
+        return this.processors.map(getProcessorMetadata);
+    }
+
     /**
      * Get list of processors that support real-time trade processing
-     * These processors need trade data to function
      *
      * @returns {Array} Array of processor instances that support real-time processing
      */
     getRealtimeProcessors() {
-        const realtimeProcessorNames = [
-            'fresh-wallet',
-            'liquidity-impact',
-            'wallet-accuracy',
-            'timing-pattern',
-            'sniper-cluster'
-        ];
-
-        return this.processors.filter(p => realtimeProcessorNames.includes(p.name));
+        return this.getProcessors('realtime');
     }
 
     /**
@@ -128,54 +140,7 @@ class SignalRegistry {
      * @returns {Promise<Array>} Array of detected signals
      */
     async processRealTimeTrade(event, market, trade, orderbook) {
-        const signals = [];
-
-        // Trade-data processors: fresh-wallet, liquidity-impact, wallet-accuracy
-        const tradeProcessorNames = ['fresh-wallet', 'liquidity-impact', 'wallet-accuracy'];
-
-        // Market-data processors: timing-pattern, sniper-cluster
-        const marketProcessorNames = ['timing-pattern', 'sniper-cluster'];
-
-        for (const processor of this.processors) {
-            try {
-                let result;
-
-                if (tradeProcessorNames.includes(processor.name)) {
-                    // These processors need trade data
-                    result = await processor.process(event, market, trade, orderbook);
-                } else if (marketProcessorNames.includes(processor.name)) {
-                    // These processors work with market data
-                    result = await processor.process(event, market);
-                } else {
-                    // Skip batch-only processors in real-time mode
-                    continue;
-                }
-
-                if (result.detected) {
-                    const signal = {
-                        eventId: event.id,
-                        signalType: processor.name,
-                        severity: result.severity || 'LOW',
-                        confidence: result.confidence,
-                        direction: result.direction,
-                        weight: processor.weight,
-                        adjustment: processor.calculateAdjustment(result),
-                        metadata: result.metadata,
-                        tradeId: trade.id || trade.transactionHash || null,
-                        detectedAt: new Date().toISOString()
-                    };
-
-                    signals.push(signal);
-
-                    // Save to database
-                    await db.signals.create(signal);
-                }
-            } catch (error) {
-                console.error(`Error in real-time processor ${processor.name}:`, error.message);
-            }
-        }
-
-        return signals;
+        return this.dispatch({ event, market, trade, orderbook }, 'realtime');
     }
 }
 
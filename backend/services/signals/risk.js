@@ -0,0 +1,331 @@
+/**
+ * Event Risk Score
+ * Aggregates stored insider-trading detections into one time-decayed score per event.
+ *
+ * Each detection (from db.signals and db.detectedPatterns; the two overlap for
+ * real-time signals) is worth confidence x severity x type weight, halved every
+ * halfLifeHours. Detections that share a wallet or trade describe the same
+ * actor, so they form one group. Within a group only the strongest detection of
+ * each type counts (repeats of a type add nothing): the strongest of those in
+ * full, the others only by correlatedWeight. Independent groups combine as
+ * 1 - prod(1 - group), so the score never exceeds 100.
+ *
+ * The score is split back onto the detections that counted, to explain which
+ * wallets and trades contributed most (contributions add up to the score).
+ */
+
+const config = require('../../config');
+const db = require('../../db');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const SEVERITY_FACTORS = { LOW: 0.5, MEDIUM: 0.75, HIGH: 1 };
+
+// Score (0-100) at which an event is reported as MEDIUM / HIGH risk
+const LEVELS = { MEDIUM: 30, HIGH: 60 };
+
+function round(value, digits = 1) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+function riskLevel(score) {
+    if (score >= LEVELS.HIGH) return 'HIGH';
+    if (score >= LEVELS.MEDIUM) return 'MEDIUM';
+    return 'LOW';
+}
+
+// Minimal union-find over string keys
+function createGroups() {
+    const parent = new Map();
+    const find = key => {
+        if (!parent.has(key)) parent.set(key, key);
+        let root = key;
+        while (parent.get(root) !== root) root = parent.get(root);
+        parent.set(key, root);
+        return root;
+    };
+    return {
+        find,
+        union(a, b) {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent.set(rootB, rootA);
+        }
+    };
+}
+
+class EventRiskScorer {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Database (defaults to db)
+     * @param {Object} [options.settings] - Defaults to config.risk
+     */
+    constructor({ store = db, settings = config.risk } = {}) {
+        this.store = store;
+        this.settings = settings;
+    }
+
+    /**
+     * Risk score for one event
+     * @param {string} eventId
+     * @param {Object} [options]
+     * @param {number} [options.now] - Reference time (ms)
+     * @returns {Promise<Object>} See score()
+     */
+    async scoreEvent(eventId, { now = Date.now() } = {}) {
+        const [signals, patterns] = await Promise.all([
+            this.store.signals.getByEventId(eventId),
+            this.store.detectedPatterns.getByEventId(eventId)
+        ]);
+
+        return this.score(eventId, [...signals, ...patterns], now);
+    }
+
+    /**
+     * Events with recent detections, highest risk first
+     * @param {Object} [options]
+     * @param {number} [options.limit=20]
+     * @param {number} [options.minScore=0] - Only events scoring at least this (0-100)
+     * @param {number} [options.now] - Reference time (ms)
+     * @returns {Promise<{ events: Array, scanned: number }>}
+     */
+    async rankEvents({ limit = 20, minScore = 0, now = Date.now() } = {}) {
+        const since = new Date(now - this.settings.maxAgeDays * DAY_MS).toISOString();
+        const [signals, patterns] = await Promise.all([
+            this.store.signals.getSince(since),
+            this.store.detectedPatterns.getSince(since)
+        ]);
+
+        const byEvent = new Map();
+        for (const record of [...signals, ...patterns]) {
+            if (record.eventId == null) continue;
+            const eventId = String(record.eventId);
+            if (!byEvent.has(eventId)) byEvent.set(eventId, []);
+            byEvent.get(eventId).push(record);
+        }
+
+        const ranked = Array.from(byEvent, ([eventId, records]) => this.score(eventId, records, now))
+            .filter(risk => risk.score > 0 && risk.score >= minScore)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        const events = await Promise.all(ranked.map(async risk => {
+            const event = await this.store.events.getById(risk.eventId);
+            return { ...risk, title: event?.title || null, slug: event?.slug || null };
+        }));
+
+        return { events, scanned: byEvent.size };
+    }
+
+    /**
+     * Score a set of stored signal / pattern records for one event
+     * @param {string} eventId
+     * @param {Array} records - From db.signals and/or db.detectedPatterns
+     * @param {number} [now] - Reference time (ms)
+     * @returns {{ eventId, score, level, direction, detections, groups, components, topWallets, topTrades, computedAt }}
+     */
+    score(eventId, records, now = Date.now()) {
+        const detections = this._collect(records, now);
+        const groups = this._group(detections);
+
+        // Strongest detection per type counts: the strongest of those fully, the rest at correlatedWeight
+        for (const group of groups) {
+            const strongest = new Map();
+            for (const detection of group.detections) {
+                const best = strongest.get(detection.type);
+                if (!best || detection.strength > best.strength) strongest.set(detection.type, detection);
+            }
+            group.contributions = Array.from(strongest.values())
+                .sort((a, b) => b.strength - a.strength)
+                .map((detection, i) => ({
+                    detection,
+                    value: i === 0 ? detection.strength : this.settings.correlatedWeight * detection.strength
+                }));
+            group.score = Math.min(1, group.contributions.reduce((sum, c) => sum + c.value, 0));
+        }
+
+        const risk = 1 - groups.reduce((product, group) => product * (1 - group.score), 1);
+        const score = round(risk * 100);
+
+        this._attribute(groups, score);
+
+        return {
+            eventId: String(eventId),
+            score,
+            level: riskLevel(score),
+            direction: this._direction(detections),
+            detections: detections.length,
+            groups: groups.length,
+            components: this._components(detections),
+            topWallets: this._top(detections, d => d.wallets, 'address'),
+            topTrades: this._top(detections, d => (d.tradeId ? [d.tradeId] : []), 'tradeId'),
+            computedAt: new Date(now).toISOString()
+        };
+    }
+
+    /**
+     * Weighted, decayed detections, one per signal (duplicates across the two stores merged)
+     * @private
+     */
+    _collect(records, now) {
+        const { weights, halfLifeHours, maxAgeDays } = this.settings;
+        const byKey = new Map();
+
+        for (const record of records) {
+            const type = record.signalType || record.type;
+            const weight = weights[type];
+            if (!weight) continue;
+
+            const detectedAt = new Date(record.detectedAt).getTime();
+            const age = Math.max(0, now - detectedAt);
+            if (!Number.isFinite(detectedAt) || age > maxAgeDays * DAY_MS) continue;
+
+            const metadata = record.metadata || {};
+            const wallets = [record.walletAddress, metadata.address, ...(metadata.wallets || [])]
+                .filter(Boolean)
+                .map(address => String(address).toLowerCase());
+            const tradeId = record.tradeId || null;
+
+            const key = tradeId ? `${type}|${tradeId}` : `${type}|${record.id}`;
+            const existing = byKey.get(key);
+            if (existing) {
+                // Same detection in db.signals and db.detectedPatterns; older patterns lack walletAddress
+                existing.wallets = [...new Set([...existing.wallets, ...wallets])];
+                continue;
+            }
+
+            const confidence = Number.isFinite(record.confidence) ? Math.min(1, Math.max(0, record.confidence)) : 0;
+            const severity = SEVERITY_FACTORS[String(record.severity || '').toUpperCase()] || SEVERITY_FACTORS.LOW;
+            const decay = Math.pow(0.5, age / (halfLifeHours * HOUR_MS));
+
+            byKey.set(key, {
+                type,
+                tradeId,
+                wallets: [...new Set(wallets)],
+                direction: record.direction || null,
+                detectedAt: new Date(detectedAt).toISOString(),
+                strength: confidence * severity * weight * decay,
+                points: 0
+            });
+        }
+
+        return Array.from(byKey.values()).filter(d => d.strength > 0);
+    }
+
+    /**
+     * Group detections that share a wallet or trade; market-level ones group by type
+     * @private
+     */
+    _group(detections) {
+        const groups = createGroups();
+        const keysOf = detection => {
+            const keys = detection.wallets.map(address => `wallet:${address}`);
+            if (detection.tradeId) keys.push(`trade:${detection.tradeId}`);
+            return keys.length > 0 ? keys : [`type:${detection.type}`];
+        };
+
+        for (const detection of detections) {
+            const [first, ...rest] = keysOf(detection);
+            for (const key of rest) groups.union(first, key);
+        }
+
+        const byRoot = new Map();
+        for (const detection of detections) {
+            const root = groups.find(keysOf(detection)[0]);
+            if (!byRoot.has(root)) byRoot.set(root, { detections: [], contributions: [], score: 0 });
+            byRoot.get(root).detections.push(detection);
+        }
+        return Array.from(byRoot.values());
+    }
+
+    /**
+     * Split the score over groups (by group score) and within a group over the
+     * detections that counted, by what each added; repeats of a type get none
+     * @private
+     */
+    _attribute(groups, score) {
+        const total = groups.reduce((sum, group) => sum + group.score, 0);
+        if (total === 0) return;
+
+        for (const group of groups) {
+            const groupPoints = score * group.score / total;
+            const added = group.contributions.reduce((sum, c) => sum + c.value, 0);
+            for (const { detection, value } of group.contributions) {
+                detection.points = groupPoints * value / added;
+            }
+        }
+    }
+
+    /**
+     * Side the contributing detections point to, if any
+     * @private
+     */
+    _direction(detections) {
+        let yes = 0;
+        let no = 0;
+        for (const detection of detections) {
+            if (detection.direction === 'YES') yes += detection.points;
+            if (detection.direction === 'NO') no += detection.points;
+        }
+        if (yes === no) return null;
+        return yes > no ? 'YES' : 'NO';
+    }
+
+    /**
+     * Per-type breakdown
+     * @private
+     */
+    _components(detections) {
+        const byType = new Map();
+        for (const detection of detections) {
+            const component = byType.get(detection.type) || { type: detection.type, detections: 0, strongest: 0, points: 0 };
+            component.detections++;
+            component.strongest = Math.max(component.strongest, detection.strength);
+            component.points += detection.points;
+            byType.set(detection.type, component);
+        }
+
+        return Array.from(byType.values())
+            .map(c => ({ ...c, strongest: round(c.strongest, 3), points: round(c.points) }))
+            .sort((a, b) => b.points - a.points);
+    }
+
+    /**
+     * Wallets or trades with the most points (a detection's points split evenly over its wallets)
+     * Detections that did not count toward the score are left out.
+     * @private
+     */
+    _top(detections, keysOf, field) {
+        const totals = new Map();
+        for (const detection of detections) {
+            if (detection.points === 0) continue;
+            const keys = keysOf(detection);
+            for (const key of keys) {
+                const entry = totals.get(key) || { [field]: key, points: 0, types: new Set(), detections: 0, lastDetectedAt: null };
+                entry.points += detection.points / keys.length;
+                entry.types.add(detection.type);
+                entry.detections++;
+                if (!entry.lastDetectedAt || detection.detectedAt > entry.lastDetectedAt) {
+                    entry.lastDetectedAt = detection.detectedAt;
+                }
+                if (field === 'tradeId' && detection.wallets.length === 1) entry.address = detection.wallets[0];
+                totals.set(key, entry);
+            }
+        }
+
+        return Array.from(totals.values())
+            .sort((a, b) => b.points - a.points)
+            .slice(0, this.settings.topContributors)
+            .map(entry => ({ ...entry, points: round(entry.points), types: Array.from(entry.types) }));
+    }
+}
+
+// Export class and singleton instance
+const eventRiskScorer = new EventRiskScorer();
+
+module.exports = {
+    EventRiskScorer,
+    eventRiskScorer
+};
@@ -0,0 +1,170 @@
+// Signal Contract
+// The context processors receive and the one schema their results are stored in.
+//
+// Processors declare what they need (inputs) and when they run (modes); the
+// registry builds a context from whatever data is at hand and only dispatches
+// processors whose inputs are all present. Every detected result is normalized
+// with normalizeSignal before it reaches db.signals or db.detectedPatterns.
+
+// Data a processor can ask for (the event is always present)
+const SIGNAL_INPUTS = ['market', 'trade', 'orderbook', 'wallet'];
+
+// batch: periodic market-level pass (sync); realtime: once per live trade
+const SIGNAL_MODES = ['batch', 'realtime'];
+
+const SEVERITIES = ['LOW', 'MEDIUM', 'HIGH'];
+
+const DEFAULT_INPUTS = ['market'];
+const DEFAULT_MODES = ['batch', 'realtime'];
+
+/**
+ * Capabilities a processor declares (defaults for processors that declare none)
+ * @param {Object} processor
+ * @returns {{ name, enabled, weight, inputs, modes, description, tunables, usesOutcomes }}
+ */
+function getProcessorMetadata(processor) {
+    return {
+        name: processor.name,
+        enabled: processor.enabled !== false,
+        weight: processor.weight ?? 0,
+        inputs: processor.inputs || DEFAULT_INPUTS,
+        modes: processor.modes || DEFAULT_MODES,
+        description: processor.description || '',
+        tunables: processor.tunables || {},
+        usesOutcomes: processor.usesOutcomes === true
+    };
+}
+
+/**
+ * Throw if a processor declares inputs or modes the registry cannot provide
+ * @param {Object} processor
+ */
+function validateProcessor(processor) {
+    if (!processor?.name || typeof processor.process !== 'function') {
+        throw new Error('Signal processor needs a name and a process(context) method');
+    }
+
+    const { inputs, modes } = getProcessorMetadata(processor);
+    const unknownInputs = inputs.filter(input => !SIGNAL_INPUTS.includes(input));
+    const unknownModes = modes.filter(mode => !SIGNAL_MODES.includes(mode));
+
+    if (unknownInputs.length > 0) {
+        throw new Error(`Processor ${processor.name} declares unknown inputs: ${unknownInputs.join(', ')}`);
+    }
+    if (unknownModes.length > 0 || modes.length === 0) {
+        throw new Error(`Processor ${processor.name} must run in one of: ${SIGNAL_MODES.join(', ')}`);
+    }
+}
+
+/**
+ * Build the context handed to processor.process(context)
+ * @param {Object} data
+ * @param {string} data.mode - 'batch' or 'realtime'
+ * @param {Object} data.event - The event object
+ * @param {Object} [data.market] - Market data (liquidity, endDate, tokenId, probability)
+ * @param {Object} [data.trade] - Trade data (address, size, side)
+ * @param {Object} [data.orderbook] - Order book ({ bids, asks })
+ * @returns {{ mode, event, market, trade, orderbook, wallet }} wallet is { address } of the trading wallet
+ */
+function createSignalContext({ mode, event, market = null, trade = null, orderbook = null }) {
+    const address = (trade?.maker || trade?.taker || trade?.address || '').toLowerCase();
+
+    return {
+        mode,
+        event,
+        market,
+        trade,
+        orderbook,
+        wallet: address ? { address } : null
+    };
+}
+
+/**
+ * Whether the context holds every input the processor declares
+ * @param {Object} processor
+ * @param {Object} context - From createSignalContext
+ * @returns {boolean}
+ */
+function hasInputs(processor, context) {
+    return getProcessorMetadata(processor).inputs.every(input => context[input] != null);
+}
+
+/**
+ * YES/NO for the event's quoted outcome
+ * Trade-level processors report the trade side; buying the No token is a NO signal.
+ * @private
+ */
+function normalizeDirection(direction, trade) {
+    const value = typeof direction === 'string' ? direction.toUpperCase() : null;
+    if (value === 'YES' || value === 'NO') return value;
+    if (value !== 'BUY' && value !== 'SELL') return null;
+
+    const noToken = String(trade?.outcome || '').toUpperCase() === 'NO';
+    return (value === 'BUY') !== noToken ? 'YES' : 'NO';
+}
+
+/**
+ * Turn a processor result into a stored signal
+ * @param {Object} processor - The processor that produced the result
+ * @param {Object} result - { detected, confidence, direction, severity, metadata }
+ * @param {Object} context - From createSignalContext
+ * @returns {Object} Signal for db.signals.create
+ */
+function normalizeSignal(processor, result, context) {
+    const confidence = Number.isFinite(result.confidence) ? Math.min(1, Math.max(0, result.confidence)) : 0;
+    const severity = String(result.severity || '').toUpperCase();
+    const normalized = {
+        ...result,
+        confidence,
+        direction: normalizeDirection(result.direction, context.trade),
+        severity: SEVERITIES.includes(severity) ? severity : 'LOW'
+    };
+
+    return {
+        eventId: context.event?.id ?? null,
+        tokenId: context.market?.tokenId ?? context.trade?.tokenId ?? null,
+        signalType: processor.name,
+        mode: context.mode,
+        severity: normalized.severity,
+        confidence: normalized.confidence,
+        direction: normalized.direction,
+        weight: processor.weight,
+        adjustment: processor.calculateAdjustment(normalized),
+        metadata: result.metadata || {},
+        tradeId: context.trade ? (context.trade.id || context.trade.transactionHash || null) : null,
+        walletAddress: context.wallet?.address ?? null,
+        detectedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Detected pattern (dev panel feed) for a real-time signal
+ * @param {Object} signal - From normalizeSignal
+ * @returns {Object} Pattern for db.detectedPatterns.record
+ */
+function toDetectedPattern(signal) {
+    return {
+        type: signal.signalType,
+        eventId: signal.eventId,
+        tokenId: signal.tokenId,
+        confidence: signal.confidence,
+        direction: signal.direction,
+        severity: signal.severity,
+        adjustment: signal.adjustment,
+        tradeId: signal.tradeId,
+        walletAddress: signal.walletAddress,
+        metadata: signal.metadata
+    };
+}
+
+module.exports = {
+    SIGNAL_INPUTS,
+    SIGNAL_MODES,
+    SEVERITIES,
+    getProcessorMetadata,
+    validateProcessor,
+    createSignalContext,
+    hasInputs,
+    normalizeSignal,
+    toDetectedPattern
+};
@@ -0,0 +1,386 @@
+/**
+ * Wallet History Backfill
+ * Pulls historical trades from the CLOB trades endpoint so wallet profiles reflect
+ * more than the trades seen since the last restart (otherwise every wallet looks fresh).
+ *
+ * Two kinds of targets are paged backwards from the newest trade, up to
+ * config.wallet.historyLookbackDays:
+ * - subscribed assets (CLOB token IDs, all of their trades)
+ * - newly seen wallets, queued by the stream processor (trades where they are maker)
+ *
+ * Every target keeps a cursor (the match time of the oldest trade fetched so far),
+ * persisted with the wallet queue, so a run that hits its page budget, fails or is
+ * interrupted by a restart carries on where it stopped. A finished target is not
+ * paged again: its newer trades arrive through the live stream. Already recorded
+ * trades are skipped, and the profiles of every wallet that got new trades are
+ * rebuilt from history.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../config');
+const db = require('../../db');
+const { clobClient } = require('../polymarket/clob-client');
+const { walletTracker } = require('./tracker');
+
+const BACKEND_DIR = path.join(__dirname, '..', '..');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Queue changes are written at most this often; cursors are saved after every page
+const QUEUE_SAVE_DELAY_MS = 1000;
+
+// getTrades filter per target kind
+const TARGET_FILTERS = { wallet: 'maker', asset: 'assetId' };
+
+function lower(value) {
+    return value ? String(value).toLowerCase() : null;
+}
+
+// match_time is epoch seconds; other sources send epoch ms or ISO strings
+function toIsoTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    let time;
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(value)) {
+        const number = Number(value);
+        time = number < 1e12 ? number * 1000 : number;
+    } else {
+        time = Date.parse(value);
+    }
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Map a CLOB /trades entry onto the trade shape the stream processor records
+ * @param {Object} raw - Trade from ClobClient.getTrades
+ * @returns {Object|null} Normalized trade, or null without an ID or time
+ */
+function normalizeClobTrade(raw) {
+    const timestamp = toIsoTime(raw.match_time ?? raw.timestamp ?? raw.created_at);
+    if (!raw.id || !timestamp) return null;
+
+    return {
+        id: String(raw.id),
+        tokenId: raw.asset_id || raw.token_id || null,
+        marketId: raw.market || null,
+        price: parseFloat(raw.price) || 0,
+        size: parseFloat(raw.size) || 0,
+        side: String(raw.side || '').toUpperCase() === 'SELL' ? 'SELL' : 'BUY',
+        maker: lower(raw.maker_address || raw.maker),
+        taker: lower(raw.taker_address || raw.taker),
+        timestamp,
+        transactionHash: raw.transaction_hash || null,
+        source: 'backfill'
+    };
+}
+
+class WalletBackfill {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.clob] - CLOB client (defaults to the clobClient singleton)
+     * @param {Object} [options.store] - Database (defaults to db)
+     * @param {Object} [options.tracker] - Wallet tracker used to rebuild profiles
+     * @param {Object} [options.settings] - Defaults to config.wallet
+     */
+    constructor({ clob = clobClient, store = db, tracker = walletTracker, settings = config.wallet } = {}) {
+        this.clob = clob;
+        this.store = store;
+        this.tracker = tracker;
+        this.settings = settings;
+        this.filePath = path.resolve(BACKEND_DIR, settings.backfill.statePath);
+
+        this.state = null; // Loaded on first use
+        this.current = null; // Run in progress
+        this.saveTimer = null;
+    }
+
+    /**
+     * Queue a wallet for backfill (no-op if queued or already backfilled)
+     * @param {string} address - Wallet address
+     * @returns {boolean} True if the wallet was queued
+     */
+    enqueueWallet(address) {
+        const normalized = lower(address);
+        if (!normalized) return false;
+
+        const state = this._getState();
+        if (state.queue.includes(normalized) || state.cursors[`wallet:${normalized}`]?.complete) {
+            return false;
+        }
+        if (state.queue.length >= this.settings.maxTrackedWallets) {
+            return false;
+        }
+
+        state.queue.push(normalized);
+        this._scheduleSave();
+        return true;
+    }
+
+    /**
+     * Backfill queued wallets, then assets, within a page budget
+     * @param {Object} [options]
+     * @param {Array<string>} [options.assets] - CLOB token IDs to backfill
+     * @param {Array<string>} [options.wallets] - Wallets to queue before running
+     * @param {number} [options.maxPages] - getTrades requests for this run (default unlimited)
+     * @param {Object} [metrics] - Run counters, updated in place
+     * @returns {Promise<Object>} metrics
+     */
+    async run({ assets = [], wallets = [], maxPages = Infinity } = {}, metrics = {}) {
+        const state = this._getState();
+        for (const counter of ['assets', 'wallets', 'pages', 'fetched', 'newTrades', 'profiles', 'remaining', 'errors']) {
+            metrics[counter] = metrics[counter] || 0;
+        }
+
+        for (const address of wallets) {
+            this.enqueueWallet(address);
+        }
+
+        const targets = [
+            ...state.queue.map(address => ({ kind: 'wallet', id: address })),
+            ...assets
+                .filter(assetId => !state.cursors[`asset:${assetId}`]?.complete)
+                .map(assetId => ({ kind: 'asset', id: String(assetId) }))
+        ];
+
+        const cutoff = Date.now() - this.settings.historyLookbackDays * DAY_MS;
+        this.current = { startedAt: new Date().toISOString(), target: null, targets: targets.length, metrics };
+
+        try {
+            for (const target of targets) {
+                if (metrics.pages >= maxPages) {
+                    metrics.remaining++;
+                    continue;
+                }
+
+                this.current.target = `${target.kind}:${target.id}`;
+                const complete = await this._backfillTarget(target, cutoff, maxPages, metrics);
+
+                if (complete) {
+                    metrics[`${target.kind}s`]++;
+                    if (target.kind === 'wallet') {
+                        state.queue = state.queue.filter(address => address !== target.id);
+                    }
+                } else {
+                    metrics.remaining++;
+                }
+                this._save();
+            }
+        } finally {
+            state.lastRunAt = new Date().toISOString();
+            this.current = null;
+            this._save();
+        }
+
+        return metrics;
+    }
+
+    /**
+     * Progress of the backfill
+     * @returns {Object} Status information
+     */
+    getStatus() {
+        const state = this._getState();
+        const cursors = Object.entries(state.cursors);
+        const summarize = kind => {
+            const entries = cursors.filter(([key]) => key.startsWith(`${kind}:`));
+            return {
+                tracked: entries.length,
+                complete: entries.filter(([, cursor]) => cursor.complete).length
+            };
+        };
+
+        return {
+            running: this.current !== null,
+            currentRun: this.current,
+            queuedWallets: state.queue.length,
+            assets: summarize('asset'),
+            wallets: summarize('wallet'),
+            failing: cursors
+                .filter(([, cursor]) => cursor.lastError)
+                .map(([key, cursor]) => ({ target: key, error: cursor.lastError, updatedAt: cursor.updatedAt })),
+            lookbackDays: this.settings.historyLookbackDays,
+            lastRunAt: state.lastRunAt
+        };
+    }
+
+    /**
+     * Page one asset or wallet backwards from its cursor
+     * @returns {Promise<boolean>} True once the target is fully backfilled
+     * @private
+     */
+    async _backfillTarget(target, cutoff, maxPages, metrics) {
+        const key = `${target.kind}:${target.id}`;
+        const state = this._getState();
+        const cursor = state.cursors[key] || (state.cursors[key] = {
+            before: null,
+            oldestAt: null,
+            fetched: 0,
+            stored: 0,
+            complete: false,
+            updatedAt: null,
+            lastError: null
+        });
+
+        const pageSize = this.settings.backfill.pageSize;
+        const touched = new Set();
+
+        try {
+            while (!cursor.complete && metrics.pages < maxPages) {
+                const page = await this.clob.getTrades({
+                    [TARGET_FILTERS[target.kind]]: target.id,
+                    limit: pageSize,
+                    before: cursor.before ?? undefined
+                });
+                const raw = Array.isArray(page) ? page : [];
+                metrics.pages++;
+                metrics.fetched += raw.length;
+
+                const trades = raw.map(normalizeClobTrade).filter(Boolean);
+                const inWindow = trades.filter(trade => Date.parse(trade.timestamp) >= cutoff);
+                const stored = await this._storeTrades(inWindow, target, touched);
+                metrics.newTrades += stored;
+
+                const oldestMs = Math.min(...trades.map(trade => Date.parse(trade.timestamp)));
+                const oldestAt = Number.isFinite(oldestMs) ? new Date(oldestMs).toISOString() : null;
+
+                cursor.fetched += raw.length;
+                cursor.stored += stored;
+                cursor.oldestAt = oldestAt && (!cursor.oldestAt || oldestAt < cursor.oldestAt) ? oldestAt : cursor.oldestAt;
+                cursor.lastError = null;
+                cursor.updatedAt = new Date().toISOString();
+                // Done at the lookback cutoff or at the last (short) page
+                cursor.complete = raw.length < pageSize || inWindow.length < trades.length || !oldestAt;
+
+                if (oldestAt) {
+                    // `before` is exclusive and whole seconds: ask again from the oldest trade's
+                    // second (its other trades may not have fit on this page; stored ones are
+                    // skipped), unless the whole page was that second, then move past it.
+                    // A second with more trades than a page cannot be split any further.
+                    const oldestSecond = Math.floor(oldestMs / 1000);
+                    cursor.before = oldestSecond + 1 === cursor.before ? oldestSecond : oldestSecond + 1;
+                }
+
+                this._save();
+            }
+        } catch (error) {
+            cursor.lastError = error.message;
+            cursor.updatedAt = new Date().toISOString();
+            metrics.errors++;
+            console.error(`[WalletBackfill] ${key} failed:`, error.message);
+        }
+
+        // Rebuild even after a failure: the pages stored so far are in history
+        for (const address of touched) {
+            try {
+                await this.tracker.rebuildProfile(address);
+                metrics.profiles++;
+            } catch (error) {
+                metrics.errors++;
+                console.error(`[WalletBackfill] Failed to rebuild profile ${address}:`, error.message);
+            }
+        }
+
+        return cursor.complete;
+    }
+
+    /**
+     * Record trades that are not in trade history yet
+     * @returns {Promise<number>} Trades recorded
+     * @private
+     */
+    async _storeTrades(trades, target, touched) {
+        if (trades.length === 0) return 0;
+
+        const existing = await this.store.tradeHistory.getExistingIds(trades.map(trade => trade.id));
+        let stored = 0;
+
+        for (const trade of trades) {
+            if (existing.has(trade.id)) continue;
+            existing.add(trade.id);
+
+            // Same shape as the wallet tracker's copy: attributed to one wallet
+            const address = target.kind === 'wallet' ? target.id : (trade.maker || trade.taker);
+            await this.store.tradeHistory.record({ ...trade, address });
+            stored++;
+
+            for (const wallet of [address, trade.maker, trade.taker]) {
+                if (wallet) touched.add(wallet);
+            }
+        }
+
+        return stored;
+    }
+
+    /**
+     * Cursors and queue, read from disk the first time
+     * @private
+     */
+    _getState() {
+        if (this.state) return this.state;
+
+        this.state = { cursors: {}, queue: [], lastRunAt: null };
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.state = {
+                    cursors: saved.cursors || {},
+                    queue: saved.queue || [],
+                    lastRunAt: saved.lastRunAt || null
+                };
+            }
+        } catch (error) {
+            console.error('[WalletBackfill] Failed to load state, starting over:', error.message);
+        }
+        return this.state;
+    }
+
+    /**
+     * @private
+     */
+    _scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._save();
+        }, QUEUE_SAVE_DELAY_MS);
+        this.saveTimer.unref?.();
+    }
+
+    /**
+     * Write cursors and queue (temp file + rename, so a crash never leaves half a file)
+     * Finished wallet cursors older than the lookback window are dropped: the live
+     * stream has seen all of that wallet's trades since.
+     * @private
+     */
+    _save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        const state = this._getState();
+        const expiry = Date.now() - this.settings.historyLookbackDays * DAY_MS;
+        for (const [key, cursor] of Object.entries(state.cursors)) {
+            if (key.startsWith('wallet:') && cursor.complete && Date.parse(cursor.updatedAt) < expiry) {
+                delete state.cursors[key];
+            }
+        }
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmp = `${this.filePath}.tmp`;
+            fs.writeFileSync(tmp, JSON.stringify(state));
+            fs.renameSync(tmp, this.filePath);
+        } catch (error) {
+            // Progress is kept in memory; a restart repeats the unsaved pages
+            console.error('[WalletBackfill] Failed to save state:', error.message);
+        }
+    }
+}
+
+// Export class and singleton instance
+const walletBackfill = new WalletBackfill();
+
+module.exports = {
+    WalletBackfill,
+    walletBackfill,
+    normalizeClobTrade
+};
@@ -1,6 +1,9 @@
 // Funding Analyzer
 // Detects potentially connected wallets by analyzing funding patterns
+// Funding events come from imported USDC transfers (see transfer-importer.js);
+// the clusters built from them are persisted in db.walletClusters.
 
+const config = require('../../config');
 const db = require('../../db');
 
 // Constants for analysis
@@ -11,6 +14,18 @@ const SAME_SOURCE_WEIGHT = 0.4;
 const SIMILAR_TIMING_WEIGHT = 0.3;
 const SIMILAR_TRADES_WEIGHT = 0.2;
 const ROUND_TRIP_WEIGHT = 0.1;
+const DIRECT_TRANSFER_WEIGHT = 0.5;
+
+// Funding graph evidence types and their weight in an edge's confidence
+const EVIDENCE_WEIGHTS = {
+    direct_transfer: DIRECT_TRANSFER_WEIGHT,
+    same_funding_source: SAME_SOURCE_WEIGHT,
+    funded_within_1hr: SIMILAR_TIMING_WEIGHT,
+    round_trip_transactions: ROUND_TRIP_WEIGHT
+};
+
+// Transaction hashes kept per edge as evidence
+const MAX_EDGE_TX_HASHES = 5;
 
 class FundingAnalyzer {
     constructor() {
@@ -141,14 +156,198 @@ class FundingAnalyzer {
         };
     }
 
+    /**
+     * Get the persisted funding cluster a wallet belongs to
+     * @param {string} address - Wallet address
+     * @returns {Promise<Object>} { address, clusterId, connected, edges, confidence, updatedAt }
+     */
+    async getFundingCluster(address) {
+        const normalizedAddress = address.toLowerCase();
+        const cluster = await db.walletClusters.getByAddress(normalizedAddress);
+
+        if (!cluster) {
+            return { address: normalizedAddress, clusterId: null, connected: [], edges: [], confidence: 0, updatedAt: null };
+        }
+
+        return {
+            address: normalizedAddress,
+            clusterId: cluster.id,
+            connected: cluster.wallets.filter(wallet => wallet !== normalizedAddress),
+            edges: cluster.edges,
+            confidence: cluster.confidence,
+            updatedAt: cluster.updatedAt
+        };
+    }
+
+    /**
+     * Load stored transfers into the in-memory funding graph (on startup)
+     * @returns {Promise<number>} Number of transfers loaded
+     */
+    async loadFromStore() {
+        const transfers = await db.fundingTransfers.getAll();
+
+        this.fundingEvents.clear();
+        this.sourceToWallets.clear();
+        for (const transfer of transfers) {
+            this.recordFundingEvent(transfer.to, transfer.from, transfer.amount, transfer.timestamp, transfer.txHash);
+        }
+
+        return transfers.length;
+    }
+
+    /**
+     * Rebuild wallet clusters from the funding graph and persist them
+     * @param {Object} [options]
+     * @param {number} [options.hubFanout] - Sources funding more wallets than this are ignored
+     * @returns {Promise<Array>} The clusters
+     */
+    async rebuildClusters({ hubFanout = config.funding.hubFanout } = {}) {
+        const clusters = this.buildClusters({ hubFanout });
+        await db.walletClusters.replaceAll(clusters);
+        return clusters;
+    }
+
+    /**
+     * Group wallets connected by funding evidence into clusters
+     * Edges join two wallets and list every piece of evidence for the link: a
+     * direct transfer, a shared funding source (and funding within an hour of
+     * each other), or transfers in both directions. Exchanges and bridges fund
+     * thousands of unrelated wallets, so sources above hubFanout are left out.
+     * @param {Object} [options]
+     * @param {number} [options.hubFanout]
+     * @returns {Array<{ id, wallets, edges, confidence, updatedAt }>}
+     */
+    buildClusters({ hubFanout = config.funding.hubFanout } = {}) {
+        const hubs = new Set();
+        for (const [source, fundings] of this.sourceToWallets) {
+            if (new Set(fundings.map(f => f.address)).size > hubFanout) hubs.add(source);
+        }
+
+        const edges = new Map(); // 'a|b' -> { wallets: [a, b], evidence: [] }
+        const addEvidence = (a, b, evidence) => {
+            const wallets = [a, b].sort();
+            const key = wallets.join('|');
+            if (!edges.has(key)) edges.set(key, { wallets, evidence: [] });
+            edges.get(key).evidence.push(evidence);
+        };
+
+        // Direct transfers (and round trips when both directions exist)
+        for (const [address, fundings] of this.fundingEvents) {
+            if (hubs.has(address)) continue;
+
+            const bySource = new Map();
+            for (const funding of fundings) {
+                if (hubs.has(funding.source) || funding.source === address) continue;
+                if (!bySource.has(funding.source)) bySource.set(funding.source, []);
+                bySource.get(funding.source).push(funding);
+            }
+
+            for (const [source, transfers] of bySource) {
+                const times = transfers.map(t => t.timestamp);
+                addEvidence(source, address, {
+                    type: 'direct_transfer',
+                    from: source,
+                    to: address,
+                    transfers: transfers.length,
+                    amount: transfers.reduce((sum, t) => sum + t.amount, 0),
+                    firstAt: new Date(Math.min(...times)).toISOString(),
+                    lastAt: new Date(Math.max(...times)).toISOString(),
+                    txHashes: transfers.map(t => t.txHash).filter(Boolean).slice(0, MAX_EDGE_TX_HASHES)
+                });
+
+                if (source < address && this._checkRoundTrip(source, address)) {
+                    addEvidence(source, address, { type: 'round_trip_transactions' });
+                }
+            }
+        }
+
+        // Wallets funded by the same (non-hub) source
+        for (const [source, fundings] of this.sourceToWallets) {
+            if (hubs.has(source)) continue;
+
+            const firstFunding = new Map(); // address -> earliest timestamp from this source
+            for (const funding of fundings) {
+                if (hubs.has(funding.address) || funding.address === source) continue;
+                const current = firstFunding.get(funding.address);
+                if (current === undefined || funding.timestamp < current) firstFunding.set(funding.address, funding.timestamp);
+            }
+
+            const recipients = Array.from(firstFunding);
+            for (let i = 0; i < recipients.length; i++) {
+                for (let j = i + 1; j < recipients.length; j++) {
+                    const [a, timeA] = recipients[i];
+                    const [b, timeB] = recipients[j];
+                    const gapMs = Math.abs(timeA - timeB);
+
+                    addEvidence(a, b, { type: 'same_funding_source', via: source, gapMs });
+                    if (gapMs < SHORT_TIME_WINDOW_MS) {
+                        addEvidence(a, b, { type: 'funded_within_1hr', via: source, gapMs });
+                    }
+                }
+            }
+        }
+
+        // Connected components
+        const adjacency = new Map();
+        for (const edge of edges.values()) {
+            const types = new Set(edge.evidence.map(e => e.type));
+            edge.confidence = Math.min(1, [...types].reduce((sum, type) => sum + EVIDENCE_WEIGHTS[type], 0));
+
+            const [a, b] = edge.wallets;
+            if (!adjacency.has(a)) adjacency.set(a, []);
+            if (!adjacency.has(b)) adjacency.set(b, []);
+            adjacency.get(a).push(edge);
+            adjacency.get(b).push(edge);
+        }
+
+        const updatedAt = new Date().toISOString();
+        const visited = new Set();
+        const clusters = [];
+
+        for (const start of adjacency.keys()) {
+            if (visited.has(start)) continue;
+
+            const wallets = [];
+            const clusterEdges = new Set();
+            const queue = [start];
+            visited.add(start);
+
+            while (queue.length > 0) {
+                const wallet = queue.shift();
+                wallets.push(wallet);
+                for (const edge of adjacency.get(wallet)) {
+                    clusterEdges.add(edge);
+                    const other = edge.wallets[0] === wallet ? edge.wallets[1] : edge.wallets[0];
+                    if (!visited.has(other)) {
+                        visited.add(other);
+                        queue.push(other);
+                    }
+                }
+            }
+
+            wallets.sort();
+            const edgeList = Array.from(clusterEdges);
+            clusters.push({
+                id: `cluster-${wallets[0]}`,
+                wallets,
+                edges: edgeList,
+                confidence: edgeList.reduce((sum, e) => sum + e.confidence, 0) / edgeList.length,
+                updatedAt
+            });
+        }
+
+        return clusters;
+    }
+
     /**
      * Record a funding event for a wallet
      * @param {string} address - Wallet that received funds
      * @param {string} source - Source address of funds
      * @param {number} amount - Amount received
      * @param {Date|string} timestamp - When the funding occurred
+     * @param {string} [txHash] - Transaction the funds arrived in
      */
-    recordFundingEvent(address, source, amount, timestamp) {
+    recordFundingEvent(address, source, amount, timestamp, txHash = null) {
         const normalizedAddress = address.toLowerCase();
         const normalizedSource = source.toLowerCase();
         const ts = new Date(timestamp).getTime();
@@ -160,7 +359,8 @@ class FundingAnalyzer {
         this.fundingEvents.get(normalizedAddress).push({
             source: normalizedSource,
             amount,
-            timestamp: ts
+            timestamp: ts,
+            txHash
         });
 
         // Record in source's distribution map
@@ -138,6 +138,92 @@ class WalletTracker {
         };
     }
 
+    /**
+     * Summarize how a wallet trades, for telling market makers from directional flow
+     * - twoSidedRatio: share of volume matched by opposite-side volume on the same asset
+     *   (0 = only ever one side, 1 = perfectly balanced buying and selling)
+     * - avgHoldingMs: size-weighted time between opening and closing a position (null if never closed)
+     * - quickReversalRate: share of closed volume that was closed within reversalWindowMs
+     *
+     * @param {string} address - Wallet address
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Most recent trades to consider
+     * @param {number} [options.reversalWindowMs] - Window for a quick reversal
+     * @param {string|number} [options.before] - Only count trades before this time; trades in
+     *   the same second are left out too, as CLOB copies of a trade only keep whole seconds
+     * @returns {Promise<Object>} { trades, twoSidedRatio, avgHoldingMs, quickReversalRate }
+     */
+    async getTradingBehavior(address, {
+        limit = config.whaleClassification.historyLimit,
+        reversalWindowMs = config.whaleClassification.reversalWindowMs,
+        before = null
+    } = {}) {
+        const history = await db.tradeHistory.getByWallet(address.toLowerCase(), limit);
+        let trades = this._uniqueTrades(history);
+
+        if (before !== null && before !== undefined) {
+            const cutoff = Math.floor(this._tradeTime({ timestamp: before }) / 1000) * 1000;
+            if (!isNaN(cutoff)) {
+                trades = trades.filter(trade => this._tradeTime(trade) < cutoff);
+            }
+        }
+
+        return this._summarizeBehavior(trades, reversalWindowMs, address.toLowerCase());
+    }
+
+    /**
+     * Recompute a wallet's trade statistics from its stored trade history
+     * Used after backfilling historical trades, which trackTrade never saw.
+     * Resolution stats and suspicious flags are kept.
+     *
+     * @param {string} address - Wallet address
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Most recent stored trades to consider
+     * @returns {Promise<Object>} Updated wallet profile
+     */
+    async rebuildProfile(address, { limit = config.wallet.backfill.profileTradeLimit } = {}) {
+        const normalizedAddress = address.toLowerCase();
+        const profile = await this.getWalletProfile(normalizedAddress);
+        const history = this._uniqueTrades(await db.tradeHistory.getByWallet(normalizedAddress, limit));
+
+        if (history.length === 0) {
+            return profile;
+        }
+
+        let totalVolume = 0;
+        let maxTradeSize = 0;
+        let firstTradeMs = Infinity;
+        let lastTradeMs = -Infinity;
+
+        for (const trade of history) {
+            const tradeSize = this._calculateTradeSize(trade);
+            totalVolume += tradeSize;
+            maxTradeSize = Math.max(maxTradeSize, tradeSize);
+
+            const time = this._tradeTime(trade);
+            if (!isNaN(time)) {
+                firstTradeMs = Math.min(firstTradeMs, time);
+                lastTradeMs = Math.max(lastTradeMs, time);
+            }
+        }
+
+        profile.totalTrades = history.length;
+        profile.totalVolume = totalVolume;
+        profile.avgTradeSize = totalVolume / history.length;
+        profile.maxTradeSize = maxTradeSize;
+        if (Number.isFinite(firstTradeMs)) {
+            profile.firstTradeAt = new Date(firstTradeMs).toISOString();
+            profile.lastTradeAt = new Date(lastTradeMs).toISOString();
+        }
+
+        // Recalculate risk score
+        profile.riskScore = this.profileBuilder.calculateRiskScore(profile);
+
+        await db.walletProfiles.upsert(normalizedAddress, profile);
+
+        return profile;
+    }
+
     /**
      * Update wallet statistics after a market resolution
      * Call this when a position the wallet held is resolved
@@ -246,6 +332,112 @@ class WalletTracker {
         return 0;
     }
 
+    /**
+     * Helper: One trade per ID
+     * Trades can be recorded twice (raw trade + wallet-tracked copy)
+     *
+     * @param {Array} history - Stored trades
+     * @returns {Array} Trades without duplicates
+     */
+    _uniqueTrades(history) {
+        const seen = new Set();
+        return history.filter(trade => {
+            if (!trade.id) return true;
+            if (seen.has(trade.id)) return false;
+            seen.add(trade.id);
+            return true;
+        });
+    }
+
+    /**
+     * Helper: Trade time in ms (timestamps arrive as ISO strings or epoch ms)
+     * @param {Object} trade - Stored trade
+     * @returns {number} Time in ms, NaN if unknown
+     */
+    _tradeTime(trade) {
+        return new Date(Number(trade.timestamp) || trade.timestamp || trade.recordedAt).getTime();
+    }
+
+    /**
+     * Helper: Trading behavior metrics from a wallet's trades
+     * Positions are matched first-in first-out per asset: an opposite-side trade closes open lots.
+     * `side` is the taker's; trades where the wallet was the maker count on the opposite side
+     * (as in settlement's buildPositions).
+     *
+     * @param {Array} trades - Wallet trades (any order)
+     * @param {number} reversalWindowMs - Window for a quick reversal
+     * @param {string} [address] - Lowercase wallet address the trades belong to
+     * @returns {Object} Behavior metrics
+     */
+    _summarizeBehavior(trades, reversalWindowMs, address = null) {
+        const byAsset = new Map();
+        for (const trade of trades) {
+            const assetId = trade.tokenId || trade.assetId || trade.marketId;
+            const size = this._calculateTradeSize(trade);
+            const time = this._tradeTime(trade);
+            if (!assetId || !size || isNaN(time)) continue;
+
+            const takerSide = String(trade.side || '').toUpperCase() === 'SELL' ? 'SELL' : 'BUY';
+            const isMaker = address !== null &&
+                (trade.maker || '').toLowerCase() === address &&
+                (trade.taker || '').toLowerCase() !== address;
+            const side = isMaker ? (takerSide === 'BUY' ? 'SELL' : 'BUY') : takerSide;
+
+            if (!byAsset.has(assetId)) byAsset.set(assetId, []);
+            byAsset.get(assetId).push({ side, size, time });
+        }
+
+        let totalVolume = 0;
+        let matchedVolume = 0;
+        let closedVolume = 0;
+        let holdingWeighted = 0;
+        let quickVolume = 0;
+        let counted = 0;
+
+        for (const assetTrades of byAsset.values()) {
+            assetTrades.sort((a, b) => a.time - b.time);
+
+            const volume = { BUY: 0, SELL: 0 };
+            const openLots = []; // FIFO of { side, size, time }
+
+            for (const trade of assetTrades) {
+                counted++;
+                volume[trade.side] += trade.size;
+
+                let remaining = trade.size;
+                while (remaining > 0 && openLots.length > 0 && openLots[0].side !== trade.side) {
+                    const lot = openLots[0];
+                    const matched = Math.min(lot.size, remaining);
+                    const held = trade.time - lot.time;
+
+                    closedVolume += matched;
+                    holdingWeighted += matched * held;
+                    if (held <= reversalWindowMs) {
+                        quickVolume += matched;
+                    }
+
+                    lot.size -= matched;
+                    remaining -= matched;
+                    if (lot.size <= 0) openLots.shift();
+                }
+
+                if (remaining > 0) {
+                    openLots.push({ side: trade.side, size: remaining, time: trade.time });
+                }
+            }
+
+            totalVolume += volume.BUY + volume.SELL;
+            matchedVolume += 2 * Math.min(volume.BUY, volume.SELL);
+        }
+
+        return {
+            trades: counted,
+            twoSidedRatio: totalVolume > 0 ? matchedVolume / totalVolume : 0,
+            avgHoldingMs: closedVolume > 0 ? holdingWeighted / closedVolume : null,
+            quickReversalRate: closedVolume > 0 ? quickVolume / closedVolume : 0
+        };
+    }
+
     /**
      * Helper: Calculate wallet age in days
      * @param {Object} profile - Wallet profile
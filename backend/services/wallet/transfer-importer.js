@@ -0,0 +1,457 @@
+/**
+ * USDC Transfer Importer
+ * Feeds the wallet funding graph (FundingAnalyzer) from on-chain transfer data.
+ *
+ * Sources:
+ * - CSV exports: Polygonscan token transfer exports (Txhash, UnixTimestamp, From,
+ *   To, TokenValue, ContractAddress) or generic columns (transactionHash,
+ *   logIndex, timestamp, from, to, amount|value)
+ * - NDJSON: one transfer per line with the same fields, or raw Transfer logs
+ *   ({ address, topics, data, transactionHash, logIndex, timestamp })
+ * - JSON-RPC: eth_getLogs for Transfer events on the USDC contracts, e.g.
+ *   against a local node or stand-in
+ *
+ * `amount`/`TokenValue` are USDC; `value`/`data` are raw 6-decimal units.
+ * Transfers are stored in db.fundingTransfers (re-imports are skipped by id),
+ * recorded as funding events, and the wallet clusters rebuilt and persisted.
+ *
+ * Usage: node services/wallet/transfer-importer.js <file.csv|file.ndjson>
+ *        node services/wallet/transfer-importer.js --rpc [url] --from=<block> [--to=<block>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const config = require('../../config');
+const db = require('../../db');
+const { fundingAnalyzer } = require('./funding-analyzer');
+
+const BACKEND_DIR = path.join(__dirname, '..', '..');
+
+// keccak256('Transfer(address,address,uint256)')
+const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+const USDC_DECIMALS = 6;
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const ADDRESS_PATTERN = /^0x[0-9a-f]{40}$/;
+
+// Rows stored per database batch
+const BATCH_SIZE = 1000;
+
+// Rejected rows reported back (the rest are only counted)
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * Split one CSV line into fields (quoted fields may contain commas and "" escapes)
+ * @param {string} line
+ * @returns {string[]}
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field);
+
+    return fields;
+}
+
+// Case-insensitive field lookup over a few possible column names
+function pickField(row, names) {
+    for (const name of names) {
+        const value = row[name];
+        if (value !== undefined && value !== null && value !== '') return value;
+    }
+    return null;
+}
+
+// Lowercase keys without spaces, quotes or punctuation ('DateTime (UTC)' -> 'datetimeutc')
+function normalizeKeys(row) {
+    const normalized = {};
+    for (const [key, value] of Object.entries(row)) {
+        normalized[key.toLowerCase().replace(/[^a-z0-9]/g, '')] = value;
+    }
+    return normalized;
+}
+
+// Number from a decimal or 0x-hex string
+function toNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return value;
+    const text = String(value).trim();
+    return text.startsWith('0x') ? parseInt(text, 16) : Number(text.replace(/,/g, ''));
+}
+
+// Raw token units (decimal or hex string) -> USDC
+function fromRawUnits(value) {
+    const text = String(value).trim();
+    const raw = text.startsWith('0x') ? BigInt(text === '0x' ? 0 : text) : BigInt(text.split('.')[0]);
+    return Number(raw) / 10 ** USDC_DECIMALS;
+}
+
+// Seconds, milliseconds or a date string -> ISO timestamp (or null)
+function toIsoTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const numeric = toNumber(value);
+    let time;
+    if (Number.isFinite(numeric) && !/[-:T]/.test(String(value))) {
+        time = numeric < 1e12 ? numeric * 1000 : numeric;
+    } else {
+        // Polygonscan DateTime is UTC without a zone marker
+        const text = String(value).trim();
+        time = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text.replace(' ', 'T')}Z`);
+    }
+
+    return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// 32-byte log topic -> address
+function topicToAddress(topic) {
+    return `0x${String(topic).slice(-40)}`.toLowerCase();
+}
+
+/**
+ * Normalize one exported row or Transfer log into a transfer record
+ * @param {Object} row - CSV row (header -> value), NDJSON object or RPC log
+ * @param {Object} [options]
+ * @param {string[]} [options.contracts] - Token contracts treated as USDC
+ * @returns {{ transfer?: Object, skipped?: string }} skipped holds the reason the row was dropped
+ */
+function normalizeTransfer(row, { contracts = config.funding.usdcContracts } = {}) {
+    const fields = normalizeKeys(row);
+    const isLog = Array.isArray(row.topics);
+
+    if (isLog && String(row.topics[0]).toLowerCase() !== TRANSFER_TOPIC) {
+        return { skipped: 'not a Transfer log' };
+    }
+
+    const contract = isLog
+        ? String(row.address || '').toLowerCase()
+        : String(pickField(fields, ['contractaddress', 'tokenaddress', 'contract', 'token']) || '').toLowerCase();
+    if (contract && contracts.length > 0 && !contracts.includes(contract)) {
+        return { skipped: 'not a USDC contract' };
+    }
+
+    const from = isLog ? topicToAddress(row.topics[1] || '') : String(pickField(fields, ['from', 'fromaddress', 'sender']) || '').toLowerCase();
+    const to = isLog ? topicToAddress(row.topics[2] || '') : String(pickField(fields, ['to', 'toaddress', 'recipient']) || '').toLowerCase();
+    if (!ADDRESS_PATTERN.test(from) || !ADDRESS_PATTERN.test(to)) {
+        return { skipped: 'invalid address' };
+    }
+    if (from === ZERO_ADDRESS || to === ZERO_ADDRESS) {
+        return { skipped: 'mint or burn' };
+    }
+    if (from === to) {
+        return { skipped: 'self transfer' };
+    }
+
+    let amount;
+    try {
+        const decimal = isLog ? null : pickField(fields, ['amount', 'tokenvalue', 'quantity']);
+        const raw = isLog ? row.data : pickField(fields, ['value', 'rawvalue']);
+        amount = decimal !== null ? toNumber(decimal) : (raw !== null ? fromRawUnits(raw) : null);
+    } catch (error) {
+        amount = null;
+    }
+    if (!Number.isFinite(amount) || amount <= 0) {
+        return { skipped: 'invalid amount' };
+    }
+
+    const timestamp = toIsoTimestamp(pickField(fields, ['timestamp', 'unixtimestamp', 'blocktimestamp', 'timestamputc', 'datetimeutc', 'datetime', 'date']));
+    if (!timestamp) {
+        return { skipped: 'missing timestamp' };
+    }
+
+    const txHash = String(pickField(fields, ['transactionhash', 'txhash', 'hash', 'txn']) || '').toLowerCase() || null;
+    if (!txHash) {
+        return { skipped: 'missing transaction hash' };
+    }
+
+    const logIndex = toNumber(pickField(fields, ['logindex']));
+    const blockNumber = toNumber(pickField(fields, ['blocknumber', 'blockno', 'block']));
+
+    return {
+        transfer: {
+            // Exports without a log index: a transaction rarely moves the same amount between the same wallets twice
+            id: Number.isFinite(logIndex) ? `${txHash}:${logIndex}` : `${txHash}:${from}:${to}:${amount}`,
+            txHash,
+            logIndex: Number.isFinite(logIndex) ? logIndex : null,
+            blockNumber: Number.isFinite(blockNumber) ? blockNumber : null,
+            contract: contract || null,
+            from,
+            to,
+            amount,
+            timestamp
+        }
+    };
+}
+
+class TransferImporter {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.store] - Database (defaults to db)
+     * @param {Object} [options.analyzer] - FundingAnalyzer (defaults to the singleton)
+     * @param {Object} [options.settings] - Defaults to config.funding
+     */
+    constructor({ store = db, analyzer = fundingAnalyzer, settings = config.funding } = {}) {
+        this.store = store;
+        this.analyzer = analyzer;
+        this.settings = settings;
+    }
+
+    /**
+     * Import a CSV or NDJSON export
+     * @param {string} filePath - Relative paths resolve against the backend directory
+     * @param {Object} [options]
+     * @param {string} [options.format] - 'csv' or 'ndjson' (default: from the extension)
+     * @returns {Promise<Object>} Import summary
+     */
+    async importFile(filePath, { format = null } = {}) {
+        const resolved = path.resolve(BACKEND_DIR, filePath);
+        const type = format || (path.extname(resolved).toLowerCase() === '.csv' ? 'csv' : 'ndjson');
+        if (!['csv', 'ndjson'].includes(type)) {
+            throw new Error(`Unsupported transfer format: ${type}`);
+        }
+
+        const summary = this._createSummary(path.basename(resolved));
+        let batch = [];
+        let header = null;
+        let lineNumber = 0;
+
+        const lines = readline.createInterface({ input: fs.createReadStream(resolved), crlfDelay: Infinity });
+
+        for await (const rawLine of lines) {
+            lineNumber++;
+            const line = lineNumber === 1 ? rawLine.replace(/^\uFEFF/, '') : rawLine;
+            if (!line.trim()) continue;
+
+            let row;
+            if (type === 'csv') {
+                const values = parseCsvLine(line);
+                if (!header) {
+                    header = values;
+                    continue;
+                }
+                row = Object.fromEntries(header.map((name, i) => [name, values[i]]));
+            } else {
+                try {
+                    row = JSON.parse(line);
+                } catch (error) {
+                    this._reject(summary, lineNumber, 'invalid JSON');
+                    continue;
+                }
+            }
+
+            summary.rows++;
+            const { transfer, skipped } = normalizeTransfer(row, { contracts: this.settings.usdcContracts });
+            if (skipped) {
+                this._reject(summary, lineNumber, skipped);
+                continue;
+            }
+
+            batch.push(transfer);
+            if (batch.length >= BATCH_SIZE) {
+                await this._store(batch, summary);
+                batch = [];
+            }
+        }
+
+        await this._store(batch, summary);
+        return this._finish(summary);
+    }
+
+    /**
+     * Import Transfer logs of the USDC contracts over JSON-RPC
+     * @param {Object} options
+     * @param {number} options.fromBlock
+     * @param {number|string} [options.toBlock='latest']
+     * @param {string} [options.url] - Defaults to config.funding.rpcUrl
+     * @returns {Promise<Object>} Import summary
+     */
+    async importFromRpc({ fromBlock, toBlock = 'latest', url = this.settings.rpcUrl }) {
+        if (!Number.isInteger(fromBlock) || fromBlock < 0) {
+            throw new Error('fromBlock must be a non-negative block number');
+        }
+
+        const rpc = this._createRpc(url);
+        const lastBlock = toBlock === 'latest' ? toNumber(await rpc('eth_blockNumber', [])) : toBlock;
+        if (!Number.isInteger(lastBlock) || lastBlock < fromBlock) {
+            throw new Error('toBlock must be \'latest\' or a block number at or after fromBlock');
+        }
+
+        const summary = this._createSummary(`rpc ${fromBlock}-${lastBlock}`);
+        const blockTimes = new Map();
+
+        for (let start = fromBlock; start <= lastBlock; start += this.settings.rpcBlockChunk) {
+            const end = Math.min(start + this.settings.rpcBlockChunk - 1, lastBlock);
+            const logs = await rpc('eth_getLogs', [{
+                address: this.settings.usdcContracts,
+                topics: [TRANSFER_TOPIC],
+                fromBlock: `0x${start.toString(16)}`,
+                toBlock: `0x${end.toString(16)}`
+            }]);
+
+            const batch = [];
+            for (const log of logs || []) {
+                summary.rows++;
+                if (log.removed) continue;
+
+                // Logs carry no time; read it from the block (once per block)
+                const blockNumber = toNumber(log.blockNumber);
+                if (!blockTimes.has(blockNumber)) {
+                    const block = await rpc('eth_getBlockByNumber', [log.blockNumber, false]);
+                    blockTimes.set(blockNumber, block ? toNumber(block.timestamp) : null);
+                }
+
+                const { transfer, skipped } = normalizeTransfer(
+                    { ...log, timestamp: log.timestamp ?? blockTimes.get(blockNumber) },
+                    { contracts: this.settings.usdcContracts }
+                );
+                if (skipped) {
+                    this._reject(summary, log.transactionHash, skipped);
+                    continue;
+                }
+                batch.push(transfer);
+            }
+
+            await this._store(batch, summary);
+        }
+
+        return this._finish(summary);
+    }
+
+    /**
+     * Minimal JSON-RPC caller
+     * @private
+     */
+    _createRpc(url) {
+        let id = 0;
+        return async (method, params) => {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ jsonrpc: '2.0', id: ++id, method, params })
+            });
+
+            if (!response.ok) {
+                throw new Error(`RPC ${method} failed: HTTP ${response.status}`);
+            }
+            const body = await response.json();
+            if (body.error) {
+                throw new Error(`RPC ${method} failed: ${body.error.message || JSON.stringify(body.error)}`);
+            }
+            return body.result;
+        };
+    }
+
+    /** @private */
+    _createSummary(source) {
+        return { source, rows: 0, imported: 0, duplicates: 0, skipped: {}, errors: [], startedAt: Date.now() };
+    }
+
+    /** @private */
+    _reject(summary, location, reason) {
+        summary.skipped[reason] = (summary.skipped[reason] || 0) + 1;
+        if (summary.errors.length < MAX_REPORTED_ERRORS) {
+            summary.errors.push({ at: location, reason });
+        }
+    }
+
+    /**
+     * Store a batch and add the new transfers to the funding graph
+     * @private
+     */
+    async _store(batch, summary) {
+        if (batch.length === 0) return;
+
+        const added = await this.store.fundingTransfers.recordMany(batch);
+        for (const transfer of added) {
+            this.analyzer.recordFundingEvent(transfer.to, transfer.from, transfer.amount, transfer.timestamp, transfer.txHash);
+        }
+
+        summary.imported += added.length;
+        summary.duplicates += batch.length - added.length;
+    }
+
+    /**
+     * Rebuild and persist clusters once the import is done
+     * @private
+     */
+    async _finish(summary) {
+        const clusters = summary.imported > 0
+            ? await this.analyzer.rebuildClusters({ hubFanout: this.settings.hubFanout })
+            : null;
+
+        const { startedAt, ...result } = summary;
+        console.log(`[Funding] Imported ${result.imported} transfers from ${result.source} (${result.duplicates} already stored)`);
+
+        return {
+            ...result,
+            clusters: clusters ? clusters.length : await this.store.walletClusters.count(),
+            durationMs: Date.now() - startedAt
+        };
+    }
+}
+
+// Export class and singleton instance
+const transferImporter = new TransferImporter();
+
+// CLI: import a file or a block range, e.g. node services/wallet/transfer-importer.js exports/usdc.csv
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const flag = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1];
+    const positional = args.filter(a => !a.startsWith('--'));
+
+    let run;
+    if (args.includes('--rpc')) {
+        const fromBlock = parseInt(flag('from'));
+        const toBlock = flag('to') ? parseInt(flag('to')) : 'latest';
+        run = () => transferImporter.importFromRpc({ fromBlock, toBlock, url: positional[0] || config.funding.rpcUrl });
+    } else if (positional[0]) {
+        run = () => transferImporter.importFile(positional[0], { format: flag('format') || null });
+    } else {
+        console.error('Usage: node services/wallet/transfer-importer.js <file.csv|file.ndjson> [--format=csv|ndjson]');
+        console.error('       node services/wallet/transfer-importer.js --rpc [url] --from=<block> [--to=<block>]');
+        process.exit(1);
+    }
+
+    // Build on the transfers already stored
+    fundingAnalyzer.loadFromStore()
+        .then(run)
+        .then(async summary => {
+            console.log(JSON.stringify(summary, null, 2));
+            await db.close();
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error(error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = {
+    TransferImporter,
+    transferImporter,
+    normalizeTransfer,
+    parseCsvLine,
+    TRANSFER_TOPIC
+};
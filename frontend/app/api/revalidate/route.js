@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { revalidateTag } from 'next/cache';
+
+// POST /api/revalidate - Called by the backend when articles are created or rewritten
+// Headers: x-revalidate-secret (must match REVALIDATE_SECRET)
+// Body: { slugs: ['merz-wins'] }
+export async function POST(request) {
+    const secret = process.env.REVALIDATE_SECRET;
+    if (!secret || request.headers.get('x-revalidate-secret') !== secret) {
+        return NextResponse.json({ error: 'Invalid revalidation secret' }, { status: 401 });
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch {
+        return NextResponse.json({ error: 'Body must be JSON' }, { status: 400 });
+    }
+
+    const slugs = Array.isArray(body.slugs) ? body.slugs : [];
+
+    // Listings and the sitemap change with any article; article pages only with their own
+    const tags = ['articles', 'sitemap', ...slugs.map(slug => `article:${slug}`)];
+    tags.forEach(tag => revalidateTag(tag));
+
+    return NextResponse.json({ revalidated: true, tags, now: Date.now() });
+}
@@ -0,0 +1,22 @@
+import Link from 'next/link';
+import Header from '../../../components/layout/Header';
+
+export default function ArticleNotFound() {
+    return (
+        <div className="page">
+            <Header />
+
+            <main className="main article-main">
+                <div className="article-container">
+                    <div className="error-state">
+                        <h2>Article Not Found</h2>
+                        <p>This article does not exist or has been removed.</p>
+                        <Link href="/" className="back-link">
+                            Return to Homepage
+                        </Link>
+                    </div>
+                </div>
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,91 @@
+import { ImageResponse } from 'next/og';
+import { fetchArticle } from '../../../lib/api';
+import { SITE_NAME, formatProbability } from '../../../lib/site';
+
+// Share card: headline, category and current probability in the site's colors
+export const alt = 'Future Times article';
+export const size = { width: 1200, height: 630 };
+export const contentType = 'image/png';
+
+const COLORS = {
+    background: '#fffcf9',
+    text: '#1a1a1a',
+    muted: '#5a5a5a',
+    accent: '#cc0000',
+    border: '#ddd5cc'
+};
+
+export default async function Image({ params }) {
+    const article = await fetchArticle(params.slug);
+    const headline = article?.headline || SITE_NAME;
+    const probability = article ? formatProbability(article.adjustedProbability ?? article.probability) : null;
+
+    return new ImageResponse(
+        (
+            <div
+                style={{
+                    width: '100%',
+                    height: '100%',
+                    display: 'flex',
+                    flexDirection: 'column',
+                    justifyContent: 'space-between',
+                    padding: '64px 72px',
+                    background: COLORS.background,
+                    borderTop: `16px solid ${COLORS.accent}`,
+                    fontFamily: 'Georgia, serif'
+                }}
+            >
+                <div style={{ display: 'flex', alignItems: 'center', gap: 24 }}>
+                    <span style={{ fontSize: 36, fontWeight: 700, color: COLORS.text }}>{SITE_NAME}</span>
+                    {article?.category && (
+                        <span
+                            style={{
+                                fontSize: 24,
+                                fontWeight: 600,
+                                textTransform: 'uppercase',
+                                letterSpacing: 2,
+                                color: COLORS.accent,
+                                border: `2px solid ${COLORS.accent}`,
+                                padding: '6px 16px'
+                            }}
+                        >
+                            {article.category}
+                        </span>
+                    )}
+                </div>
+
+                <div
+                    style={{
+                        display: 'flex',
+                        fontSize: headline.length > 80 ? 52 : 64,
+                        fontWeight: 700,
+                        lineHeight: 1.15,
+                        color: COLORS.text
+                    }}
+                >
+                    {headline}
+                </div>
+
+                <div
+                    style={{
+                        display: 'flex',
+                        alignItems: 'baseline',
+                        gap: 16,
+                        paddingTop: 24,
+                        borderTop: `2px solid ${COLORS.border}`
+                    }}
+                >
+                    {probability ? (
+                        <>
+                            <span style={{ fontSize: 72, fontWeight: 700, color: COLORS.accent }}>{probability}</span>
+                            <span style={{ fontSize: 30, color: COLORS.muted }}>likely, according to prediction markets</span>
+                        </>
+                    ) : (
+                        <span style={{ fontSize: 30, color: COLORS.muted }}>Tomorrow's news today</span>
+                    )}
+                </div>
+            </div>
+        ),
+        size
+    );
+}
@@ -1,47 +1,75 @@
-'use client';
-
-import { useState, useEffect } from 'react';
-import { useParams } from 'next/navigation';
 import Link from 'next/link';
+import { notFound } from 'next/navigation';
 import Header from '../../../components/layout/Header';
 import ArticleFull from '../../../components/article/ArticleFull';
+import { fetchArticle } from '../../../lib/api';
+import { SITE_NAME, SITE_URL, formatProbability } from '../../../lib/site';
 
-const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
+function describe(article) {
+    const probability = formatProbability(article.adjustedProbability ?? article.probability);
+    return probability ? `${article.summary} (${probability} likely)` : article.summary;
+}
 
-export default function ArticlePage() {
-    const params = useParams();
-    const [article, setArticle] = useState(null);
-    const [loading, setLoading] = useState(true);
-    const [error, setError] = useState(null);
+export async function generateMetadata({ params }) {
+    const article = await fetchArticle(params.slug);
+    if (!article) {
+        return { title: `Article Not Found — ${SITE_NAME}` };
+    }
 
-    useEffect(() => {
-        if (params.slug) {
-            fetchArticle(params.slug);
-        }
-    }, [params.slug]);
+    const url = `/article/${article.slug}`;
+    const description = describe(article);
 
-    const fetchArticle = async (slug) => {
-        setLoading(true);
-        setError(null);
-        try {
-            const res = await fetch(`${API_URL}/api/articles/${encodeURIComponent(slug)}`);
-            if (!res.ok) {
-                if (res.status === 404) {
-                    setError('Article not found');
-                } else {
-                    throw new Error('Failed to fetch article');
-                }
-                return;
-            }
-            const data = await res.json();
-            setArticle(data);
-        } catch (err) {
-            console.error('Failed to fetch article:', err);
-            setError('Failed to load article');
-        } finally {
-            setLoading(false);
+    // The Open Graph image comes from ./opengraph-image.js
+    return {
+        title: `${article.headline} — ${SITE_NAME}`,
+        description,
+        alternates: { canonical: url },
+        openGraph: {
+            type: 'article',
+            siteName: SITE_NAME,
+            title: article.headline,
+            description,
+            url,
+            publishedTime: article.publishedAt,
+            modifiedTime: article.revisedAt || article.publishedAt,
+            section: article.category
+        },
+        twitter: {
+            card: 'summary_large_image',
+            title: article.headline,
+            description
         }
     };
+}
+
+// Structured data for search engines
+function ArticleJsonLd({ article }) {
+    const data = {
+        '@context': 'https://schema.org',
+        '@type': 'NewsArticle',
+        headline: article.headline,
+        description: article.summary,
+        articleSection: article.category,
+        datePublished: article.publishedAt,
+        dateModified: article.revisedAt || article.publishedAt,
+        url: `${SITE_URL}/article/${article.slug}`,
+        image: [`${SITE_URL}/article/${article.slug}/opengraph-image`],
+        publisher: { '@type': 'Organization', name: SITE_NAME }
+    };
+
+    return (
+        <script
+            type="application/ld+json"
+            dangerouslySetInnerHTML={{ __html: JSON.stringify(data).replace(/</g, '\\u003c') }}
+        />
+    );
+}
+
+export default async function ArticlePage({ params }) {
+    const article = await fetchArticle(params.slug);
+    if (!article) {
+        notFound();
+    }
 
     return (
         <div className="page">
@@ -58,22 +86,8 @@ export default function ArticlePage() {
                         </Link>
                     </nav>
 
-                    {loading ? (
-                        <div className="loading">
-                            <div className="loading-spinner"></div>
-                            <span>Loading article...</span>
-                        </div>
-                    ) : error ? (
-                        <div className="error-state">
-                            <h2>Article Not Found</h2>
-                            <p>{error}</p>
-                            <Link href="/" className="back-link">
-                                Return to Homepage
-                            </Link>
-                        </div>
-                    ) : (
-                        <ArticleFull article={article} />
-                    )}
+                    <ArticleJsonLd article={article} />
+                    <ArticleFull article={article} />
                 </div>
             </main>
         </div>
@@ -2,6 +2,7 @@
 
 import { useState, useEffect, useCallback } from 'react';
 import Header from '../../components/layout/Header';
+import CalibrationPanel from '../../components/dev/CalibrationPanel';
 import { fetchWhaleTrades, fetchStreamStatus } from '../../lib/api';
 
 function formatTime(isoString) {
@@ -168,6 +169,7 @@ export default function DevPanel() {
                                 <span>Outcome</span>
                                 <span>Side</span>
                                 <span>Impact</span>
+                                <span>Flow</span>
                                 <span>Volume</span>
                                 <span>Price</span>
                                 <span>Notional</span>
@@ -191,6 +193,14 @@ export default function DevPanel() {
                                     <span className={`whale-delta ${trade.probabilityDelta >= 0 ? 'delta-positive' : 'delta-negative'}`}>
                                         {formatDelta(trade.probabilityDelta)}
                                     </span>
+                                    <span>
+                                        <span
+                                            className={`flow-badge flow-${trade.classification || 'unknown'}`}
+                                            title={trade.informedScore != null ? `Informed score ${trade.informedScore.toFixed(2)}` : 'No wallet history'}
+                                        >
+                                            {trade.classification || 'unknown'}
+                                        </span>
+                                    </span>
                                     <span className="whale-volume">
                                         {formatVolume(trade.size)}
                                     </span>
@@ -212,6 +222,8 @@ export default function DevPanel() {
                             <span>Auto-refresh every 3s</span>
                         </div>
                     )}
+
+                    <CalibrationPanel />
                 </section>
             </main>
         </div>
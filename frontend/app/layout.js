@@ -1,8 +1,20 @@
 import './globals.css'
+import { SITE_URL, SITE_NAME, SITE_DESCRIPTION } from '../lib/site'
+
+const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
 export const metadata = {
-    title: 'Future Times — Predictive News',
-    description: 'News from the future. AI-generated articles about upcoming events with probability predictions.',
+    // Resolves relative canonical, Open Graph and image URLs
+    metadataBase: new URL(SITE_URL),
+    title: `${SITE_NAME} — Predictive News`,
+    description: SITE_DESCRIPTION,
+    // Feed autodiscovery for readers and aggregators
+    alternates: {
+        types: {
+            'application/atom+xml': [{ url: `${API_URL}/feeds/all.xml`, title: SITE_NAME }],
+            'application/feed+json': [{ url: `${API_URL}/feeds/all.json`, title: SITE_NAME }],
+        },
+    },
 }
 
 export default function RootLayout({ children }) {
@@ -0,0 +1,18 @@
+import Header from '../components/layout/Header';
+
+// Shown while a server-rendered page waits for the API
+export default function Loading() {
+    return (
+        <div className="page">
+            <Header />
+            <main className="main">
+                <section className="content">
+                    <div className="loading">
+                        <div className="loading-spinner"></div>
+                        <span>Loading...</span>
+                    </div>
+                </section>
+            </main>
+        </div>
+    );
+}
@@ -0,0 +1,13 @@
+import { SITE_URL } from '../lib/site';
+
+export default function robots() {
+    return {
+        rules: {
+            userAgent: '*',
+            allow: '/',
+            // Developer panel, search result pages and the revalidation hook
+            disallow: ['/dev', '/search', '/api/']
+        },
+        sitemap: `${SITE_URL}/sitemap.xml`
+    };
+}
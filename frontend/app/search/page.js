@@ -0,0 +1,140 @@
+'use client';
+
+import { useState, useEffect, Suspense } from 'react';
+import { useSearchParams, useRouter } from 'next/navigation';
+import Header from '../../components/layout/Header';
+import SearchResult from '../../components/article/SearchResult';
+import { searchArticles } from '../../lib/api';
+
+function SearchPageContent() {
+    const searchParams = useSearchParams();
+    const router = useRouter();
+    const query = searchParams.get('q') || '';
+
+    const [input, setInput] = useState(query);
+    const [results, setResults] = useState([]);
+    const [total, setTotal] = useState(0);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Keep the input in sync when the header search changes the URL
+    useEffect(() => {
+        setInput(query);
+    }, [query]);
+
+    useEffect(() => {
+        if (!query.trim()) {
+            setResults([]);
+            setTotal(0);
+            return;
+        }
+
+        let cancelled = false;
+        setLoading(true);
+        setError(null);
+
+        searchArticles(query, { limit: 30 })
+            .then(data => {
+                if (cancelled) return;
+                setResults(data.results || []);
+                setTotal(data.total || 0);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                console.error('Failed to search articles:', err);
+                setError('Search is unavailable right now.');
+            })
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [query]);
+
+    const submit = (e) => {
+        e.preventDefault();
+        const q = input.trim();
+        router.replace(q ? `/search?q=${encodeURIComponent(q)}` : '/search', { scroll: false });
+    };
+
+    return (
+        <div className="page">
+            <Header />
+
+            <main className="main">
+                <section className="content">
+                    <div className="content-header">
+                        <div>
+                            <h1 className="content-title">Search</h1>
+                            <p className="content-subtitle">
+                                {query && !loading && !error
+                                    ? `${total} ${total === 1 ? 'article' : 'articles'} matching “${query}”`
+                                    : 'Find articles by headline, topic or category'}
+                            </p>
+                        </div>
+                    </div>
+
+                    <form className="search-form" role="search" onSubmit={submit}>
+                        <input
+                            type="search"
+                            className="search-input"
+                            placeholder="Search articles"
+                            aria-label="Search articles"
+                            value={input}
+                            onChange={e => setInput(e.target.value)}
+                            autoFocus
+                        />
+                        <button type="submit" className="search-button">Search</button>
+                    </form>
+
+                    {loading ? (
+                        <div className="loading">
+                            <div className="loading-spinner"></div>
+                            <span>Searching...</span>
+                        </div>
+                    ) : error ? (
+                        <div className="empty-state">
+                            <p>{error}</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="search-results">
+                                {results.map(result => (
+                                    <SearchResult key={result.id} result={result} />
+                                ))}
+                            </div>
+
+                            {query && results.length === 0 && (
+                                <div className="empty-state">
+                                    <p>No articles match “{query}”.</p>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </section>
+            </main>
+        </div>
+    );
+}
+
+export default function SearchPage() {
+    return (
+        <Suspense fallback={
+            <div className="page">
+                <Header />
+                <main className="main">
+                    <section className="content">
+                        <div className="loading">
+                            <div className="loading-spinner"></div>
+                            <span>Loading...</span>
+                        </div>
+                    </section>
+                </main>
+            </div>
+        }>
+            <SearchPageContent />
+        </Suspense>
+    );
+}
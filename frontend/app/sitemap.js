@@ -0,0 +1,31 @@
+import { fetchSitemapArticles } from '../lib/api';
+import { SITE_URL, CATEGORIES } from '../lib/site';
+
+// Regenerated when the backend revalidates the "sitemap" tag (see app/api/revalidate)
+export default async function sitemap() {
+    const pages = [
+        { url: SITE_URL, changeFrequency: 'hourly', priority: 1 },
+        ...CATEGORIES.map(category => ({
+            url: `${SITE_URL}/category/${category.toLowerCase()}`,
+            changeFrequency: 'hourly',
+            priority: 0.7
+        }))
+    ];
+
+    try {
+        const { articles } = await fetchSitemapArticles();
+        for (const article of articles) {
+            pages.push({
+                url: `${SITE_URL}/article/${article.slug}`,
+                lastModified: article.updatedAt || article.publishedAt,
+                // Open markets keep moving; resolved stories are final
+                changeFrequency: article.resolved ? 'monthly' : 'daily',
+                priority: article.resolved ? 0.4 : 0.8
+            });
+        }
+    } catch (error) {
+        console.error('Failed to fetch sitemap articles:', error);
+    }
+
+    return pages;
+}
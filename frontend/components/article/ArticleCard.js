@@ -33,7 +33,7 @@ export default function ArticleCard({ article, index = 0 }) {
 
                 <div className="article-card-footer">
                     <CategoryPill category={article.category} clickable={false} />
-                    <ProbabilityBadge probability={article.adjustedProbability ?? article.probability} size="small" />
+                    <ProbabilityBadge slug={article.slug} probability={article.adjustedProbability ?? article.probability} size="small" />
                 </div>
             </div>
         </Link>
@@ -0,0 +1,28 @@
+// Ranked contenders of a multi-outcome event ("Who will win...?"), leader first
+export default function ArticleField({ field }) {
+    if (!field || field.length === 0) return null;
+
+    return (
+        <section className="article-field">
+            <h2 className="article-field-title">The Field</h2>
+            <ol className="article-field-list">
+                {field.map(outcome => {
+                    const percent = Math.round(outcome.probability * 100);
+                    return (
+                        <li
+                            key={outcome.name}
+                            className={`article-field-item${outcome.rank === 1 ? ' article-field-leader' : ''}`}
+                        >
+                            <span className="article-field-rank">{outcome.rank}</span>
+                            <span className="article-field-name">{outcome.name}</span>
+                            <span className="article-field-bar">
+                                <span className="article-field-bar-fill" style={{ width: `${percent}%` }} />
+                            </span>
+                            <span className="article-field-percent">{percent}%</span>
+                        </li>
+                    );
+                })}
+            </ol>
+        </section>
+    );
+}
@@ -4,6 +4,8 @@ import ProbabilityBadge from '../common/ProbabilityBadge';
 import CategoryPill from '../common/CategoryPill';
 import TimeAgo from '../common/TimeAgo';
 import RelatedArticles from './RelatedArticles';
+import ArticleUpdateNotice from './ArticleUpdateNotice';
+import ArticleField from './ArticleField';
 import { formatRelativeDate } from '../../lib/dateUtils';
 
 export default function ArticleFull({ article }) {
@@ -25,12 +27,26 @@ export default function ArticleFull({ article }) {
 
                 <h1 className="article-full-headline">{article.headline}</h1>
 
+                {article.revision > 1 && (
+                    <ArticleUpdateNotice article={article} />
+                )}
+
                 <div className="article-full-probability">
-                    <ProbabilityBadge probability={article.adjustedProbability ?? article.probability} size="large" />
+                    <ProbabilityBadge slug={article.slug} probability={article.adjustedProbability ?? article.probability} size="large" />
                     <span className="probability-context">
                         Based on market analysis and predictive signals
                     </span>
                 </div>
+
+                {article.consistency?.inconsistent && (
+                    <div className="article-consistency-note">
+                        Related markets on this event currently disagree
+                        {article.consistency.impliedSum !== null && (
+                            <> (outcome prices sum to {Math.round(article.consistency.impliedSum * 100)}%)</>
+                        )}
+                        , so this probability may shift.
+                    </div>
+                )}
             </div>
 
             <div className="article-full-body">
@@ -39,6 +55,10 @@ export default function ArticleFull({ article }) {
                 ))}
             </div>
 
+            {article.format === 'multi-outcome' && (
+                <ArticleField field={article.field} />
+            )}
+
             <div className="article-full-footer">
                 {article.expiresAt && (
                     <div className="article-expiry">
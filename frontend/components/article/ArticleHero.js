@@ -4,8 +4,14 @@ import Link from 'next/link';
 import ProbabilityBadge from '../common/ProbabilityBadge';
 import CategoryPill from '../common/CategoryPill';
 import { formatRelativeDate } from '../../lib/dateUtils';
+import useLiveProbability from '../../lib/useLiveProbability';
 
 export default function ArticleHero({ article }) {
+    const { probability, delta } = useLiveProbability(
+        article?.slug,
+        article ? article.adjustedProbability ?? article.probability : null
+    );
+
     if (!article) return null;
 
     const resolutionDate = formatRelativeDate(article.expiresAt);
@@ -14,7 +20,7 @@ export default function ArticleHero({ article }) {
         <Link href={`/article/${article.slug}`} className="article-hero">
             <div className="article-hero-content">
                 <div className="article-hero-meta">
-                    {(article.adjustedProbability ?? article.probability) >= 0.8 && (
+                    {probability >= 0.8 && (
                         <span className="hero-featured">FEATURED</span>
                     )}
                     <CategoryPill category={article.category} clickable={false} />
@@ -31,7 +37,7 @@ export default function ArticleHero({ article }) {
                 )}
 
                 <div className="article-hero-footer">
-                    <ProbabilityBadge probability={article.adjustedProbability ?? article.probability} size="large" />
+                    <ProbabilityBadge probability={probability} delta={delta} size="large" />
                 </div>
             </div>
 
@@ -0,0 +1,65 @@
+'use client';
+
+import { useState } from 'react';
+import TimeAgo from '../common/TimeAgo';
+import { fetchArticleRevisions } from '../../lib/api';
+
+// Shown on articles that were rewritten after the market moved
+export default function ArticleUpdateNotice({ article }) {
+    const [revisions, setRevisions] = useState(null);
+    const [open, setOpen] = useState(false);
+    const [error, setError] = useState(null);
+
+    const toggle = async () => {
+        if (!open && !revisions) {
+            try {
+                const data = await fetchArticleRevisions(article.slug);
+                setRevisions(data.revisions);
+            } catch (err) {
+                console.error('Failed to fetch article revisions:', err);
+                setError('Earlier versions are unavailable');
+            }
+        }
+        setOpen(!open);
+    };
+
+    // Newest first, without the version currently shown
+    const earlier = (revisions || [])
+        .filter(r => r.revision !== article.revision)
+        .reverse();
+
+    return (
+        <div className="article-update-notice">
+            <div className="article-update-summary">
+                <span className="article-update-label">Updated</span>
+                <TimeAgo date={article.revisedAt} />
+                <span>
+                    {article.favoredOutcome
+                        ? ` · Rewritten as the market moved toward "${article.favoredOutcome}".`
+                        : ' · Rewritten as the market moved.'}
+                </span>
+                <button type="button" className="article-update-toggle" onClick={toggle}>
+                    {open ? 'Hide earlier versions' : 'Show earlier versions'}
+                </button>
+            </div>
+
+            {open && error && (
+                <div className="article-update-error">{error}</div>
+            )}
+
+            {open && !error && revisions && (
+                <ol className="article-update-list">
+                    {earlier.map(revision => (
+                        <li key={revision.revision}>
+                            <span className="article-update-headline">{revision.headline}</span>
+                            <span className="article-update-meta">
+                                {revision.favoredOutcome && `${revision.favoredOutcome} · `}
+                                <TimeAgo date={revision.createdAt} />
+                            </span>
+                        </li>
+                    ))}
+                </ol>
+            )}
+        </div>
+    );
+}
@@ -1,6 +1,9 @@
 'use client';
 
 import { useState, useEffect } from 'react';
+import Link from 'next/link';
+import CategoryPill from '../common/CategoryPill';
+import ProbabilityBadge from '../common/ProbabilityBadge';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
@@ -56,62 +59,87 @@ export default function RelatedArticles({ articleSlug }) {
         );
     }
 
-    if (!relatedData || relatedData.relatedArticles?.length === 0) {
-        if (relatedData?.message) {
-            return (
+    const internal = relatedData?.moreFromFutureTimes || [];
+    const external = relatedData?.relatedArticles || [];
+
+    return (
+        <>
+            {internal.length > 0 && (
                 <div className="related-articles">
-                    <h2 className="related-articles-title">Related News</h2>
-                    <div className="related-articles-empty">
-                        RAG search is not configured for this instance.
+                    <h2 className="related-articles-title">More from Future Times</h2>
+                    <p className="related-articles-subtitle">
+                        Similar stories from our own coverage
+                    </p>
+
+                    <div className="related-articles-list">
+                        {internal.map((article) => (
+                            <Link
+                                key={article.id}
+                                href={`/article/${article.slug}`}
+                                className="related-article-item"
+                            >
+                                <div className="related-article-source">
+                                    <CategoryPill category={article.category} clickable={false} />
+                                    {article.reasons?.sharedTags?.length > 0 && (
+                                        <span className="related-article-time">
+                                            {article.reasons.sharedTags.join(', ')}
+                                        </span>
+                                    )}
+                                </div>
+                                <h3 className="related-article-headline">{article.headline}</h3>
+                                <p className="related-article-summary">{article.summary}</p>
+                                <ProbabilityBadge slug={article.slug} probability={article.adjustedProbability ?? article.probability} size="small" />
+                            </Link>
+                        ))}
                     </div>
                 </div>
-            );
-        }
-        return (
+            )}
+
             <div className="related-articles">
                 <h2 className="related-articles-title">Related News</h2>
-                <div className="related-articles-empty">
-                    No related news found.
-                </div>
-            </div>
-        );
-    }
-
-    return (
-        <div className="related-articles">
-            <h2 className="related-articles-title">Related News</h2>
-            <p className="related-articles-subtitle">
-                Real-world coverage related to this prediction
-            </p>
+                {external.length === 0 ? (
+                    <div className="related-articles-empty">
+                        {relatedData?.message
+                            ? 'RAG search is not configured for this instance.'
+                            : 'No related news found.'}
+                    </div>
+                ) : (
+                    <>
+                        <p className="related-articles-subtitle">
+                            Real-world coverage related to this prediction
+                        </p>
 
-            <div className="related-articles-list">
-                {relatedData.relatedArticles.map((article, index) => (
-                    <a
-                        key={index}
-                        href={article.url}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="related-article-item"
-                    >
-                        <div className="related-article-source">
-                            {article.source}
-                            {article.publishedAt && (
-                                <span className="related-article-time">
-                                    {article.publishedAt}
-                                </span>
-                            )}
+                        <div className="related-articles-list">
+                            {external.map((article, index) => (
+                                <a
+                                    key={index}
+                                    href={article.url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="related-article-item"
+                                >
+                                    <div className="related-article-source">
+                                        {article.source}
+                                        {article.publishedAt && (
+                                            <span className="related-article-time">
+                                                {article.publishedAt}
+                                            </span>
+                                        )}
+                                    </div>
+                                    <h3 className="related-article-headline">{article.title}</h3>
+                                    <p className="related-article-summary">{article.summary}</p>
+                                    <span className="related-article-link">
+                                        Read full article
+                                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                            <path d="M7 17L17 7M17 7H7M17 7V17" />
+                                        </svg>
+                                    </span>
+                                </a>
+                            ))}
                         </div>
-                        <h3 className="related-article-headline">{article.title}</h3>
-                        <p className="related-article-summary">{article.summary}</p>
-                        <span className="related-article-link">
-                            Read full article
-                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                                <path d="M7 17L17 7M17 7H7M17 7V17" />
-                            </svg>
-                        </span>
-                    </a>
-                ))}
+                    </>
+                )}
             </div>
-        </div>
+        </>
     );
 }
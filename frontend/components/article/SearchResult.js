@@ -0,0 +1,28 @@
+'use client';
+
+import Link from 'next/link';
+import ProbabilityBadge from '../common/ProbabilityBadge';
+import CategoryPill from '../common/CategoryPill';
+import Highlight from '../common/Highlight';
+import TimeAgo from '../common/TimeAgo';
+
+export default function SearchResult({ result }) {
+    return (
+        <Link href={`/article/${result.slug}`} className="search-result">
+            <div className="search-result-meta">
+                <CategoryPill category={result.category} clickable={false} />
+                <TimeAgo date={result.publishedAt} />
+            </div>
+
+            <h2 className="search-result-headline">
+                <Highlight segments={result.highlights?.headline} fallback={result.headline} />
+            </h2>
+
+            <p className="search-result-snippet">
+                <Highlight segments={result.highlights?.snippet} fallback={result.summary} />
+            </p>
+
+            <ProbabilityBadge slug={result.slug} probability={result.adjustedProbability ?? result.probability} size="small" />
+        </Link>
+    );
+}
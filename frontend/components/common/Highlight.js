@@ -0,0 +1,10 @@
+// Text with search matches marked, from the search API's { text, match } segments
+export default function Highlight({ segments, fallback = '' }) {
+    if (!segments || segments.length === 0) return fallback;
+
+    return segments.map((segment, i) => (
+        segment.match
+            ? <mark key={i} className="search-highlight">{segment.text}</mark>
+            : <span key={i}>{segment.text}</span>
+    ));
+}
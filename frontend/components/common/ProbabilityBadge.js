@@ -1,18 +1,24 @@
 'use client';
 
 import { useEffect, useState } from 'react';
+import useLiveProbability from '../../lib/useLiveProbability';
 
-export default function ProbabilityBadge({ probability, size = 'medium' }) {
-    if (probability === null || probability === undefined) return null;
+// Pass `slug` to follow live updates; otherwise `probability` and `delta` are shown as given
+export default function ProbabilityBadge({ probability, delta = null, slug = null, size = 'medium' }) {
+    const live = useLiveProbability(slug, probability);
+    const current = slug ? live.probability : probability;
+    const change = slug ? live.delta : delta;
 
-    const percent = Math.round(probability * 100);
+    const percent = current === null || current === undefined ? null : Math.round(current * 100);
     const [pulse, setPulse] = useState(false);
 
     useEffect(() => {
         setPulse(true);
         const timeout = setTimeout(() => setPulse(false), 650);
         return () => clearTimeout(timeout);
-    }, [percent]);
+    }, [percent, change]);
+
+    if (percent === null) return null;
 
     const getColorClass = () => {
         if (percent >= 80) return 'prob-high';
@@ -22,11 +28,16 @@ export default function ProbabilityBadge({ probability, size = 'medium' }) {
     };
 
     const sizeClass = size === 'large' ? 'badge-large' : size === 'small' ? 'badge-small' : '';
+    const trendClass = change > 0 ? 'badge-up' : change < 0 ? 'badge-down' : '';
+    const deltaPoints = change ? Math.abs(change * 100).toFixed(1) : null;
 
     return (
-        <div className={`probability-badge ${getColorClass()} ${sizeClass} ${pulse ? 'badge-pulse' : ''}`}>
+        <div className={`probability-badge ${getColorClass()} ${sizeClass} ${trendClass} ${pulse ? 'badge-pulse' : ''}`}>
             <span className="badge-value">{percent}%</span>
             <span className="badge-label">likely</span>
+            {deltaPoints && deltaPoints !== '0.0' && (
+                <span className="badge-delta">{change > 0 ? '▲' : '▼'} {deltaPoints}</span>
+            )}
         </div>
     );
 }
@@ -0,0 +1,214 @@
+'use client';
+
+// Calibration of published probabilities against resolved outcomes.
+// Reliability diagram (forecast vs. observed frequency) for the raw market price
+// and the whale-adjusted probability, plus Brier / ECE overall and per category.
+
+import { useState, useEffect, useCallback } from 'react';
+import { fetchCalibration } from '../../lib/api';
+
+const HORIZONS = [
+    { value: 'close', label: 'At close' },
+    { value: 'all', label: 'All snapshots' }
+];
+
+const SERIES = [
+    { key: 'market', label: 'Market price', color: '#0d7680' },
+    { key: 'adjusted', label: 'Adjusted', color: '#cc0000' }
+];
+
+// Chart geometry (SVG user units)
+const SIZE = 320;
+const PAD = 36;
+const PLOT = SIZE - PAD * 2;
+
+function x(p) {
+    return PAD + p * PLOT;
+}
+
+function y(p) {
+    return SIZE - PAD - p * PLOT;
+}
+
+function formatScore(value) {
+    return value === null || value === undefined ? '-' : value.toFixed(3);
+}
+
+function ReliabilityChart({ summary }) {
+    const ticks = [0, 0.25, 0.5, 0.75, 1];
+    const maxCount = Math.max(1, ...summary.market.reliability.map(b => b.count));
+
+    return (
+        <svg className="calibration-chart" viewBox={`0 0 ${SIZE} ${SIZE}`} role="img" aria-label="Reliability diagram">
+            {ticks.map(t => (
+                <g key={t}>
+                    <line className="calibration-grid" x1={x(0)} y1={y(t)} x2={x(1)} y2={y(t)} />
+                    <text className="calibration-tick" x={PAD - 6} y={y(t) + 3} textAnchor="end">{Math.round(t * 100)}</text>
+                    <text className="calibration-tick" x={x(t)} y={SIZE - PAD + 14} textAnchor="middle">{Math.round(t * 100)}</text>
+                </g>
+            ))}
+
+            {/* Forecasts per bucket */}
+            {summary.market.reliability.map(bin => (
+                <rect
+                    key={bin.lower}
+                    className="calibration-count"
+                    x={x(bin.lower) + 1}
+                    y={y((bin.count / maxCount) * 0.15)}
+                    width={Math.max(0, (bin.upper - bin.lower) * PLOT - 2)}
+                    height={(bin.count / maxCount) * 0.15 * PLOT}
+                />
+            ))}
+
+            {/* Perfect calibration */}
+            <line className="calibration-diagonal" x1={x(0)} y1={y(0)} x2={x(1)} y2={y(1)} />
+
+            {SERIES.map(({ key, color }) => {
+                const points = summary[key].reliability.filter(bin => bin.count > 0);
+                return (
+                    <g key={key}>
+                        <polyline
+                            fill="none"
+                            stroke={color}
+                            strokeWidth="2"
+                            points={points.map(bin => `${x(bin.meanForecast)},${y(bin.observedRate)}`).join(' ')}
+                        />
+                        {points.map(bin => (
+                            <circle key={bin.lower} cx={x(bin.meanForecast)} cy={y(bin.observedRate)} r="3.5" fill={color}>
+                                <title>
+                                    {`${Math.round(bin.meanForecast * 100)}% forecast, ${Math.round(bin.observedRate * 100)}% happened (${bin.count})`}
+                                </title>
+                            </circle>
+                        ))}
+                    </g>
+                );
+            })}
+
+            <text className="calibration-axis" x={SIZE / 2} y={SIZE - 4} textAnchor="middle">Forecast probability (%)</text>
+            <text className="calibration-axis" x={10} y={SIZE / 2} textAnchor="middle" transform={`rotate(-90 10 ${SIZE / 2})`}>
+                Observed frequency (%)
+            </text>
+        </svg>
+    );
+}
+
+export default function CalibrationPanel() {
+    const [horizon, setHorizon] = useState('close');
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async () => {
+        try {
+            setReport(await fetchCalibration({ horizon }));
+            setError(null);
+        } catch (err) {
+            console.error('Failed to fetch calibration:', err);
+            setError(err.message);
+        }
+    }, [horizon]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const overall = report?.overall;
+
+    return (
+        <div className="calibration-panel">
+            <div className="dev-header">
+                <h2 className="calibration-title">Calibration</h2>
+                <div className="dev-filters">
+                    {HORIZONS.map(option => (
+                        <button
+                            key={option.value}
+                            className={`dev-filter-btn ${horizon === option.value ? 'active' : ''}`}
+                            onClick={() => setHorizon(option.value)}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            {error ? (
+                <div className="dev-empty-state">
+                    <p>Error: {error}</p>
+                </div>
+            ) : !report ? (
+                <div className="loading">
+                    <div className="loading-spinner"></div>
+                    <span>Loading calibration...</span>
+                </div>
+            ) : overall.count === 0 ? (
+                <div className="dev-empty-state">
+                    <p>No resolved articles with recorded probabilities yet.</p>
+                    <p style={{ marginTop: '0.5rem', fontSize: '0.875rem' }}>
+                        {report.snapshots.toLocaleString()} snapshots recorded across {report.resolvedArticles} resolved articles.
+                    </p>
+                </div>
+            ) : (
+                <>
+                    <div className="dev-metrics">
+                        <div className="metric-card">
+                            <div className="metric-card-label">Forecasts</div>
+                            <div className="metric-card-value">{overall.count.toLocaleString()}</div>
+                        </div>
+                        <div className="metric-card">
+                            <div className="metric-card-label">Brier (market / adjusted)</div>
+                            <div className="metric-card-value">
+                                {formatScore(overall.market.brier)} / {formatScore(overall.adjusted.brier)}
+                            </div>
+                        </div>
+                        <div className="metric-card">
+                            <div className="metric-card-label">ECE (market / adjusted)</div>
+                            <div className="metric-card-value">
+                                {formatScore(overall.market.ece)} / {formatScore(overall.adjusted.ece)}
+                            </div>
+                        </div>
+                        <div className="metric-card">
+                            <div className="metric-card-label">Adjusted Brier Skill</div>
+                            <div className={`metric-card-value ${overall.adjustedSkill?.brierSkill < 0 ? 'high-severity' : ''}`}>
+                                {formatScore(overall.adjustedSkill?.brierSkill)}
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="calibration-body">
+                        <div>
+                            <ReliabilityChart summary={overall} />
+                            <div className="calibration-legend">
+                                {SERIES.map(({ key, label, color }) => (
+                                    <span key={key}>
+                                        <span className="calibration-swatch" style={{ background: color }}></span>
+                                        {label}
+                                    </span>
+                                ))}
+                            </div>
+                        </div>
+
+                        <div className="patterns-table calibration-table">
+                            <div className="patterns-table-header calibration-row">
+                                <span>Category</span>
+                                <span>Forecasts</span>
+                                <span>Brier (mkt)</span>
+                                <span>Brier (adj)</span>
+                                <span>ECE (mkt)</span>
+                                <span>ECE (adj)</span>
+                            </div>
+                            {report.byCategory.map(row => (
+                                <div key={row.category} className="pattern-row calibration-row">
+                                    <span>{row.category}</span>
+                                    <span>{row.count}</span>
+                                    <span>{formatScore(row.market.brier)}</span>
+                                    <span>{formatScore(row.adjusted.brier)}</span>
+                                    <span>{formatScore(row.market.ece)}</span>
+                                    <span>{formatScore(row.adjusted.ece)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </>
+            )}
+        </div>
+    );
+}
@@ -1,12 +1,15 @@
 'use client';
 
 import Link from 'next/link';
+import { useRouter } from 'next/navigation';
 import { useState, useEffect } from 'react';
 import { fetchCategories } from '../../lib/api';
 
 export default function Header() {
+    const router = useRouter();
     const [date, setDate] = useState('');
     const [categories, setCategories] = useState([]);
+    const [query, setQuery] = useState('');
 
     useEffect(() => {
         const updateDate = () => {
@@ -28,11 +31,29 @@ export default function Header() {
             .catch(() => setCategories([]));
     }, []);
 
+    const submitSearch = (e) => {
+        e.preventDefault();
+        const q = query.trim();
+        if (q) {
+            router.push(`/search?q=${encodeURIComponent(q)}`);
+        }
+    };
+
     return (
         <header className="header">
             <div className="header-top">
                 <Link href="/" className="logo">Future Times</Link>
                 <div className="header-top-right">
+                    <form className="header-search" role="search" onSubmit={submitSearch}>
+                        <input
+                            type="search"
+                            className="header-search-input"
+                            placeholder="Search articles"
+                            aria-label="Search articles"
+                            value={query}
+                            onChange={e => setQuery(e.target.value)}
+                        />
+                    </form>
                     <button type="button" className="live-button">Live</button>
                     <span className="header-date">{date}</span>
                 </div>
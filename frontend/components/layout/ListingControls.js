@@ -0,0 +1,93 @@
+// Sort, probability and resolution filters for article listings.
+// Plain links that update the query string, so the server renders the filtered page.
+
+import Link from 'next/link';
+
+const SORT_OPTIONS = [
+    { value: 'publishedAt', label: 'Latest' },
+    { value: 'probability', label: 'Most Likely' }
+];
+
+const PROBABILITY_OPTIONS = [
+    { value: '0.6', label: '60%+' },
+    { value: '0.7', label: '70%+' },
+    { value: '0.9', label: '90%+' }
+];
+
+const TIME_OPTIONS = [
+    { value: 'tomorrow', label: 'Tomorrow' },
+    { value: 'week', label: 'This Week' },
+    { value: 'month', label: 'This Month' }
+];
+
+function hrefWith(searchParams, key, value) {
+    const params = new URLSearchParams(searchParams);
+    params.set(key, value);
+    return `?${params.toString()}`;
+}
+
+function FilterLink({ searchParams, name, value, active, className, children }) {
+    return (
+        <Link
+            href={hrefWith(searchParams, name, value)}
+            replace
+            scroll={false}
+            className={`${className} ${active ? 'active' : ''}`}
+        >
+            {children}
+        </Link>
+    );
+}
+
+export default function ListingControls({ searchParams = {}, sortBy, probabilityFilter, timeHorizon }) {
+    return (
+        <div className="controls-group">
+            <div className="sort-controls">
+                {SORT_OPTIONS.map(option => (
+                    <FilterLink
+                        key={option.value}
+                        searchParams={searchParams}
+                        name="sort"
+                        value={option.value}
+                        active={sortBy === option.value}
+                        className="sort-btn"
+                    >
+                        {option.label}
+                    </FilterLink>
+                ))}
+            </div>
+            <div className="filter-controls">
+                <span className="filter-label">Show:</span>
+                {PROBABILITY_OPTIONS.map(option => (
+                    <FilterLink
+                        key={option.value}
+                        searchParams={searchParams}
+                        name="prob"
+                        value={option.value}
+                        active={probabilityFilter === option.value}
+                        className="filter-btn"
+                    >
+                        {option.label}
+                    </FilterLink>
+                ))}
+            </div>
+            {timeHorizon && (
+                <div className="filter-controls">
+                    <span className="filter-label">Resolution:</span>
+                    {TIME_OPTIONS.map(option => (
+                        <FilterLink
+                            key={option.value}
+                            searchParams={searchParams}
+                            name="time"
+                            value={option.value}
+                            active={timeHorizon === option.value}
+                            className="filter-btn"
+                        >
+                            {option.label}
+                        </FilterLink>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
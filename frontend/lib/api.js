@@ -2,13 +2,21 @@
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
+// Server-rendered pages cache API responses (ISR). The backend calls /api/revalidate with
+// the tags below when articles change; this interval is the fallback.
+export const REVALIDATE_SECONDS = 300;
+
+function cached(...tags) {
+    return { next: { revalidate: REVALIDATE_SECONDS, tags } };
+}
+
 export async function fetchArticles({ category, limit = 20, offset = 0, sort = 'publishedAt', minDays, maxDays } = {}) {
     const params = new URLSearchParams({ limit, offset, sort });
     if (category) params.set('category', category);
     if (minDays !== undefined) params.set('minDays', minDays);
     if (maxDays !== undefined) params.set('maxDays', maxDays);
 
-    const res = await fetch(`${API_URL}/api/articles?${params}`);
+    const res = await fetch(`${API_URL}/api/articles?${params}`, cached('articles'));
     if (!res.ok) throw new Error('Failed to fetch articles');
     return res.json();
 }
@@ -18,13 +26,13 @@ export async function fetchFeaturedArticles({ limit = 5, minDays, maxDays } = {}
     if (minDays !== undefined) params.set('minDays', minDays);
     if (maxDays !== undefined) params.set('maxDays', maxDays);
 
-    const res = await fetch(`${API_URL}/api/articles/featured?${params}`);
+    const res = await fetch(`${API_URL}/api/articles/featured?${params}`, cached('articles'));
     if (!res.ok) throw new Error('Failed to fetch featured articles');
     return res.json();
 }
 
 export async function fetchArticle(slug) {
-    const res = await fetch(`${API_URL}/api/articles/${encodeURIComponent(slug)}`);
+    const res = await fetch(`${API_URL}/api/articles/${encodeURIComponent(slug)}`, cached(`article:${slug}`));
     if (!res.ok) {
         if (res.status === 404) return null;
         throw new Error('Failed to fetch article');
@@ -32,6 +40,28 @@ export async function fetchArticle(slug) {
     return res.json();
 }
 
+// Every article's slug, category and last rewrite (for sitemap.xml)
+export async function fetchSitemapArticles() {
+    const res = await fetch(`${API_URL}/api/articles/sitemap`, cached('sitemap'));
+    if (!res.ok) throw new Error('Failed to fetch sitemap articles');
+    return res.json();
+}
+
+export async function fetchArticleRevisions(slug) {
+    const res = await fetch(`${API_URL}/api/articles/${encodeURIComponent(slug)}/revisions`);
+    if (!res.ok) throw new Error('Failed to fetch article revisions');
+    return res.json();
+}
+
+export async function searchArticles(q, { category, limit = 20, offset = 0 } = {}) {
+    const params = new URLSearchParams({ q, limit, offset });
+    if (category) params.set('category', category);
+
+    const res = await fetch(`${API_URL}/api/articles/search?${params}`);
+    if (!res.ok) throw new Error('Failed to search articles');
+    return res.json();
+}
+
 export async function fetchCategories() {
     const res = await fetch(`${API_URL}/api/articles/meta/categories`);
     if (!res.ok) throw new Error('Failed to fetch categories');
@@ -52,8 +82,9 @@ export async function fetchMarket(slug) {
 }
 
 // Internal API endpoints for developer panel
-export async function fetchWhaleTrades({ limit = 50 } = {}) {
+export async function fetchWhaleTrades({ limit = 50, classification = null } = {}) {
     const params = new URLSearchParams({ limit });
+    if (classification) params.set('classification', classification);
 
     const res = await fetch(`${API_URL}/api/internal/whale-trades?${params}`, {
         cache: 'no-store'
@@ -75,3 +106,56 @@ export async function fetchStreamStatus() {
     if (!res.ok) throw new Error('Failed to fetch stream status');
     return res.json();
 }
+
+export async function fetchCalibration({ horizon = 'close', category } = {}) {
+    const params = new URLSearchParams({ horizon });
+    if (category) params.set('category', category);
+
+    const res = await fetch(`${API_URL}/api/internal/calibration?${params}`, {
+        cache: 'no-store'
+    });
+    if (!res.ok) throw new Error('Failed to fetch calibration');
+    return res.json();
+}
+
+// Live probability updates (Server-Sent Events)
+// All subscribers share one EventSource. It resends Last-Event-ID itself when it
+// reconnects; when the stream is reopened later we pass the last ID explicitly.
+const probabilityListeners = new Set();
+let probabilitySource = null;
+let lastProbabilityEventId = null;
+
+export function subscribeToProbabilities(onUpdate, { onResync } = {}) {
+    if (typeof window === 'undefined' || typeof EventSource === 'undefined') {
+        return () => {};
+    }
+
+    const listener = { onUpdate, onResync };
+    probabilityListeners.add(listener);
+    if (!probabilitySource) openProbabilityStream();
+
+    return () => {
+        probabilityListeners.delete(listener);
+        if (probabilityListeners.size === 0 && probabilitySource) {
+            probabilitySource.close();
+            probabilitySource = null;
+        }
+    };
+}
+
+function openProbabilityStream() {
+    const params = lastProbabilityEventId ? `?lastEventId=${encodeURIComponent(lastProbabilityEventId)}` : '';
+    probabilitySource = new EventSource(`${API_URL}/api/articles/stream${params}`);
+
+    probabilitySource.addEventListener('probability', (event) => {
+        lastProbabilityEventId = event.lastEventId;
+        const update = JSON.parse(event.data);
+        for (const listener of probabilityListeners) listener.onUpdate(update);
+    });
+
+    // Updates were missed and can't be replayed; subscribers should refetch
+    probabilitySource.addEventListener('resync', (event) => {
+        lastProbabilityEventId = event.lastEventId;
+        for (const listener of probabilityListeners) listener.onResync?.();
+    });
+}
@@ -0,0 +1,21 @@
+// Site-wide constants for metadata, feeds and the sitemap
+
+export const SITE_URL = (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+export const SITE_NAME = 'Future Times';
+
+export const SITE_DESCRIPTION = 'News from the future. AI-generated articles about upcoming events with probability predictions.';
+
+// Categories with their own listing page and feed
+export const CATEGORIES = ['Politics', 'World', 'Finance', 'Technology', 'Sports', 'Entertainment', 'Crypto', 'Other'];
+
+// Capitalize category name for display
+export function formatCategoryName(name) {
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+// "73%" for a 0-1 probability
+export function formatProbability(probability) {
+    if (probability === null || probability === undefined) return null;
+    return `${Math.round(probability * 100)}%`;
+}
@@ -0,0 +1,38 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { fetchArticle, subscribeToProbabilities } from './api';
+
+// Follow an article's probability over the live stream, starting from the server-rendered value
+export default function useLiveProbability(slug, initialProbability) {
+    const [live, setLive] = useState({ probability: initialProbability, delta: null });
+
+    useEffect(() => {
+        setLive({ probability: initialProbability, delta: null });
+    }, [initialProbability]);
+
+    useEffect(() => {
+        if (!slug) return undefined;
+
+        return subscribeToProbabilities(
+            (update) => {
+                if (update.slug !== slug) return;
+                setLive({ probability: update.probability, delta: update.delta });
+            },
+            {
+                onResync: async () => {
+                    try {
+                        const article = await fetchArticle(slug);
+                        if (article) {
+                            setLive({ probability: article.adjustedProbability ?? article.probability, delta: null });
+                        }
+                    } catch {
+                        // Keep the last known value
+                    }
+                }
+            }
+        );
+    }, [slug]);
+
+    return live;
+}
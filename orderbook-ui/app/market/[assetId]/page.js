@@ -1,44 +1,22 @@
 'use client';
 
-import { useState, useEffect, use } from 'react';
+import { use } from 'react';
 import Link from 'next/link';
 import OrderBookTable from '@/components/OrderBookTable';
 import SpreadIndicator from '@/components/SpreadIndicator';
-import { fetchOrderBook } from '@/lib/api';
+import useOrderBookStream from '@/lib/useOrderBookStream';
 
 export default function MarketDetail({ params }) {
     const resolvedParams = use(params);
     const assetId = decodeURIComponent(resolvedParams.assetId);
 
-    const [data, setData] = useState(null);
-    const [error, setError] = useState(null);
-    const [loading, setLoading] = useState(true);
+    // Snapshot + incremental updates pushed over WebSocket
+    const { data, status, error } = useOrderBookStream(assetId);
 
-    const loadData = async () => {
-        try {
-            const result = await fetchOrderBook(assetId);
-            setData(result);
-            setError(null);
-        } catch (err) {
-            setError(err.message);
-        } finally {
-            setLoading(false);
-        }
-    };
-
-    useEffect(() => {
-        loadData();
-
-        // Auto-refresh every 2 seconds
-        const interval = setInterval(loadData, 2000);
-
-        return () => clearInterval(interval);
-    }, [assetId]);
-
-    if (loading && !data) {
+    if (!data && !error) {
         return (
             <div className="loading">
-                Loading order book...
+                {status === 'pending' ? 'Waiting for order book snapshot...' : 'Loading order book...'}
             </div>
         );
     }
@@ -87,9 +65,9 @@ export default function MarketDetail({ params }) {
                         <h1>{assetId}</h1>
                     )}
                 </div>
-                <div className="refresh-indicator">
+                <div className={`refresh-indicator ${status === 'reconnecting' ? 'reconnecting' : ''}`}>
                     <span className="refresh-dot"></span>
-                    <span>Live - Updates every 2s</span>
+                    <span>{status === 'live' ? 'Live' : status === 'reconnecting' ? 'Reconnecting...' : 'Connecting...'}</span>
                 </div>
             </div>
 
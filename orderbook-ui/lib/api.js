@@ -1,5 +1,15 @@
 const API_URL = process.env.NEXT_PUBLIC_API_URL || 'http://localhost:3001';
 
+/**
+ * Base URL of the backend WebSocket server (order book push)
+ */
+export const WS_URL = process.env.NEXT_PUBLIC_WS_URL || API_URL.replace(/^http/, 'ws');
+
+/**
+ * Path of the order book WebSocket (the backend's ORDERBOOK_WS_PATH)
+ */
+export const ORDERBOOK_WS_PATH = process.env.NEXT_PUBLIC_ORDERBOOK_WS_PATH || '/ws/orderbook';
+
 /**
  * Fetch all order books summary
  */
@@ -0,0 +1,147 @@
+'use client';
+
+import { useEffect, useState } from 'react';
+import { WS_URL, ORDERBOOK_WS_PATH } from './api';
+
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+/**
+ * Live order book for one asset over the backend WebSocket.
+ * Applies the initial snapshot, then sequenced level deltas; a sequence gap
+ * triggers a fresh snapshot, and dropped connections reconnect with backoff.
+ *
+ * @param {string} assetId
+ * @returns {{ data: Object|null, status: string, error: string|null }}
+ *   status is 'connecting', 'pending' (book not loaded yet), 'live' or 'reconnecting'
+ */
+export default function useOrderBookStream(assetId) {
+    const [data, setData] = useState(null);
+    const [status, setStatus] = useState('connecting');
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let socket = null;
+        let retryTimer = null;
+        let attempts = 0;
+        let closed = false;
+        let book = null; // { seq, bids: Map, asks: Map, meta }
+
+        const subscribe = () => {
+            socket.send(JSON.stringify({ type: 'subscribe', assetId }));
+        };
+
+        const publish = (stats, timestamp) => {
+            setData({
+                assetId,
+                ...book.meta,
+                bids: toLevels(book.bids, (a, b) => b - a),
+                asks: toLevels(book.asks, (a, b) => a - b),
+                stats,
+                timestamp
+            });
+        };
+
+        const handleMessage = (message) => {
+            if (message.assetId && message.assetId !== assetId) return;
+
+            switch (message.type) {
+                case 'pending':
+                    setStatus('pending');
+                    break;
+
+                case 'snapshot':
+                    book = {
+                        seq: message.seq,
+                        bids: toMap(message.bids),
+                        asks: toMap(message.asks),
+                        meta: {
+                            eventTitle: message.eventTitle,
+                            outcome: message.outcome,
+                            eventId: message.eventId
+                        }
+                    };
+                    setStatus('live');
+                    setError(null);
+                    publish(message.stats, message.timestamp);
+                    break;
+
+                case 'delta':
+                    if (!book) return;
+                    if (message.seq !== book.seq + 1) {
+                        // Missed an update: start over from a fresh snapshot
+                        book = null;
+                        subscribe();
+                        return;
+                    }
+                    book.seq = message.seq;
+                    for (const { side, price, size } of message.changes) {
+                        const levels = side === 'BUY' ? book.bids : book.asks;
+                        if (size === 0) levels.delete(price);
+                        else levels.set(price, size);
+                    }
+                    publish(message.stats, message.timestamp);
+                    break;
+
+                case 'error':
+                    setError(message.error);
+                    break;
+
+                default:
+                    break;
+            }
+        };
+
+        const connect = () => {
+            socket = new WebSocket(`${WS_URL}${ORDERBOOK_WS_PATH}`);
+
+            socket.onopen = () => {
+                attempts = 0;
+                subscribe();
+            };
+
+            socket.onmessage = (event) => {
+                try {
+                    handleMessage(JSON.parse(event.data));
+                } catch (err) {
+                    console.error('Bad order book message:', err);
+                }
+            };
+
+            socket.onerror = () => {
+                setError('Connection to order book stream failed');
+            };
+
+            socket.onclose = () => {
+                if (closed) return;
+                book = null;
+                setStatus('reconnecting');
+                const delay = Math.min(1000 * 2 ** attempts, MAX_RECONNECT_DELAY_MS);
+                attempts++;
+                retryTimer = setTimeout(connect, delay);
+            };
+        };
+
+        setData(null);
+        setError(null);
+        setStatus('connecting');
+        connect();
+
+        return () => {
+            closed = true;
+            clearTimeout(retryTimer);
+            if (socket) socket.close();
+        };
+    }, [assetId]);
+
+    return { data, status, error };
+}
+
+function toMap(levels = []) {
+    return new Map(levels.map(({ price, size }) => [price, size]));
+}
+
+function toLevels(map, compare) {
+    return Array.from(map.keys())
+        .sort(compare)
+        .map(price => ({ price, size: map.get(price) }));
+}